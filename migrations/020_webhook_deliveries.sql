@@ -0,0 +1,47 @@
+-- 020_webhook_deliveries.sql — Durable outbox for the central webhook router
+--
+-- Every event forwarded by routeWebhook (src/handlers/webhook-router.js) is
+-- persisted here before the first delivery attempt. Failed deliveries are
+-- retried with exponential backoff by the 5-minute cron; deliveries that
+-- exhaust their attempts (or get a permanent 4xx) move to status 'dead',
+-- which is the dead-letter store. Replay via
+-- POST /webhooks/:source/deliveries/:id/replay.
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id              TEXT PRIMARY KEY,                  -- whd_<uuid>
+  source          TEXT NOT NULL,                     -- notion, linear, stripe, ...
+  target          TEXT NOT NULL,                     -- logical target, e.g. 'agent', 'chittyclaw-review'
+  target_url      TEXT NOT NULL,
+  event_type      TEXT,
+  payload         TEXT NOT NULL,                     -- raw JSON body, forwarded verbatim
+  received_at     TEXT NOT NULL,                     -- X-Webhook-Timestamp sent to the target
+  status          TEXT NOT NULL DEFAULT 'pending' CHECK(status IN ('pending', 'failed', 'delivered', 'dead')),
+  attempts        INTEGER NOT NULL DEFAULT 0,
+  max_attempts    INTEGER NOT NULL DEFAULT 8,
+  replay_count    INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at TEXT,                              -- ISO-8601; NULL once delivered/dead
+  locked_until    TEXT,                              -- ISO-8601 claim lease held by the attempting worker
+  last_status     INTEGER,
+  last_error      TEXT,
+  delivered_at    TEXT,
+  created_at      TEXT NOT NULL DEFAULT (datetime('now')),
+  updated_at      TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_source
+  ON webhook_deliveries(source, created_at);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due
+  ON webhook_deliveries(status, next_attempt_at);
+
+CREATE TABLE IF NOT EXISTS webhook_delivery_attempts (
+  id              INTEGER PRIMARY KEY AUTOINCREMENT,
+  delivery_id     TEXT NOT NULL REFERENCES webhook_deliveries(id),
+  attempt         INTEGER NOT NULL,
+  status_code     INTEGER,
+  error           TEXT,
+  duration_ms     INTEGER,
+  attempted_at    TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_delivery_attempts_delivery
+  ON webhook_delivery_attempts(delivery_id);
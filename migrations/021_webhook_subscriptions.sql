@@ -0,0 +1,49 @@
+-- 021_webhook_subscriptions.sql — Tenant-scoped webhook agent registry
+--
+-- Replaces the hard-coded AGENTS map in src/handlers/webhook-router.js.
+-- Each row subscribes one target URL to events from one source for one
+-- tenant. routeWebhook fans an incoming event out to every active
+-- subscription whose event-type patterns and conditions match.
+--
+--   event_types  JSON array of patterns matched against "<type>.<action>"
+--                (Linear: "Issue.update"), or the bare type/event
+--                (Stripe: "invoice.paid"). "*" globs; [] = every event.
+--   conditions   JSON array of {path, op, value} payload predicates, e.g.
+--                [{"path":"data.state.name","op":"contains","value":"review"}]
+--                ops: eq, neq, contains, in, exists
+--   signing_secret  per-target HMAC-SHA256 key; outbound deliveries carry
+--                X-Webhook-Signature: sha256=<hex> over the raw body.
+--
+-- The built-in AGENTS map remains the fallback when the registry is
+-- unreachable, so the seed rows below mirror it for chittyos-default.
+
+CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+  id              TEXT PRIMARY KEY,                  -- whs_<uuid>
+  tenant_id       TEXT NOT NULL DEFAULT 'chittyos-default',
+  source          TEXT NOT NULL,                     -- notion, linear, stripe, ...
+  name            TEXT NOT NULL,                     -- logical target name, recorded on deliveries
+  target_url      TEXT NOT NULL,
+  event_types     TEXT NOT NULL DEFAULT '[]',
+  conditions      TEXT NOT NULL DEFAULT '[]',
+  signing_secret  TEXT,
+  status          TEXT NOT NULL DEFAULT 'active' CHECK(status IN ('active', 'paused')),
+  created_by      TEXT,
+  created_at      TEXT NOT NULL DEFAULT (datetime('now')),
+  updated_at      TEXT NOT NULL DEFAULT (datetime('now')),
+  UNIQUE (tenant_id, source, name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_subscriptions_lookup
+  ON webhook_subscriptions(tenant_id, source, status);
+
+-- Link deliveries back to the subscription (and tenant) that produced them.
+ALTER TABLE webhook_deliveries ADD COLUMN subscription_id TEXT;
+ALTER TABLE webhook_deliveries ADD COLUMN tenant_id TEXT;
+
+-- Seed: chittyos-default mirrors the legacy AGENTS map.
+INSERT OR IGNORE INTO webhook_subscriptions (id, tenant_id, source, name, target_url, created_by)
+VALUES
+  ('whs_default_notion',     'chittyos-default', 'notion',     'notion-ops',     'https://notion-ops.chitty.cc/webhook',             'migration:021'),
+  ('whs_default_linear',     'chittyos-default', 'linear',     'tasks',          'https://tasks.chitty.cc/api/v1/webhook/linear',    'migration:021'),
+  ('whs_default_cloudflare', 'chittyos-default', 'cloudflare', 'cloudflare-ops', 'https://cloudflare-ops.chitty.cc/webhook',         'migration:021'),
+  ('whs_default_stripe',     'chittyos-default', 'stripe',     'stripe-ops',     'https://stripe-ops.chitty.cc/webhook',             'migration:021');
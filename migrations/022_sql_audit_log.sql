@@ -0,0 +1,33 @@
+-- 022_sql_audit_log.sql — Audit trail for /api/execute/sql
+--
+-- One row per statement submitted to POST /api/execute/sql and
+-- /api/execute/sql/batch, including statements rejected by the SQL guard
+-- (src/lib/sql-guard.js) for missing scope or an EXPLAIN cost over the
+-- ceiling. Query parameters are never stored; only their count.
+
+CREATE TABLE IF NOT EXISTS sql_audit_log (
+  id              TEXT PRIMARY KEY,                  -- sqa_<uuid>
+  actor           TEXT,                              -- API key userId / service / name
+  database_name   TEXT NOT NULL,                     -- known database alias, or 'raw-connection'
+  statement_kind  TEXT NOT NULL CHECK(statement_kind IN ('read', 'write', 'ddl')),
+  required_scope  TEXT NOT NULL,                     -- sql:read | sql:write | sql:ddl
+  query_hash      TEXT NOT NULL,                     -- sha256 hex of the statement text
+  query_text      TEXT NOT NULL,                     -- truncated to 4000 chars
+  param_count     INTEGER NOT NULL DEFAULT 0,
+  outcome         TEXT NOT NULL CHECK(outcome IN ('executed', 'denied', 'rejected', 'error')),
+  reason          TEXT,                              -- denial / rejection / error message
+  plan_cost       REAL,                              -- EXPLAIN total cost, when measured
+  row_count       INTEGER,
+  truncated       INTEGER NOT NULL DEFAULT 0,
+  duration_ms     INTEGER,
+  created_at      TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_sql_audit_created
+  ON sql_audit_log(created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_sql_audit_actor
+  ON sql_audit_log(actor, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_sql_audit_outcome
+  ON sql_audit_log(outcome, created_at DESC);
@@ -0,0 +1,43 @@
+-- 023_git_confirm_policy.sql — Protected refs and human approval for git confirmations
+--
+-- Extends the per-tenant repo allowlist (018_git_tenant_allowlists.sql) with
+-- the policy read by POST /api/git/confirm (src/api/routes/git-confirm.js):
+--   - protected_branches → JSON array of ref globs the confirm endpoint refuses
+--                          for destructive intents in repos under path_prefix.
+--                          Bare patterns ('release/*') match branches; tag
+--                          patterns are written in full ('refs/tags/v*').
+--   - approval_intents   → JSON array of intents ('*' for all) that must be
+--                          approved by a human on the dashboard Approvals page
+--                          before a confirmation token is issued.
+--
+-- main/master remain hard-denied in code regardless of these columns.
+
+ALTER TABLE git_repo_allowlist ADD COLUMN protected_branches TEXT NOT NULL DEFAULT '[]';
+ALTER TABLE git_repo_allowlist ADD COLUMN approval_intents TEXT NOT NULL DEFAULT '[]';
+
+-- One row per confirmation held for human approval. The token itself is only
+-- minted (into TOKEN_KV) when the original requester collects an approved row.
+CREATE TABLE IF NOT EXISTS git_confirm_approvals (
+  id                  TEXT PRIMARY KEY,              -- gca_<uuid>
+  tenant_id           TEXT NOT NULL,
+  intent              TEXT NOT NULL,
+  repo_path           TEXT NOT NULL,
+  remote              TEXT,
+  ref                 TEXT NOT NULL,
+  reason              TEXT,
+  issuer_fingerprint  TEXT NOT NULL,                 -- sha256 prefix of the requesting API key
+  status              TEXT NOT NULL DEFAULT 'pending'
+                        CHECK(status IN ('pending', 'approved', 'denied', 'issued', 'expired')),
+  decided_by          TEXT,
+  decided_at          TEXT,
+  decision_notes      TEXT,
+  issued_at           TEXT,
+  expires_at          TEXT NOT NULL,                 -- pending requests lapse after this
+  created_at          TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_git_confirm_approvals_status
+  ON git_confirm_approvals(status, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_git_confirm_approvals_tenant
+  ON git_confirm_approvals(tenant_id, created_at DESC);
@@ -0,0 +1,41 @@
+-- 024_git_confirmations.sql — Audit trail for git confirmation tokens
+--
+-- Confirmation tokens from POST /api/git/confirm live in TOKEN_KV for 90s
+-- and then vanish. This table keeps one row per issued token so
+-- GET /api/git/confirmations can answer who confirmed what, and why, after
+-- the token is gone. Each issue / redeem / expiry is also emitted to
+-- ChittyChronicle (src/lib/git-confirm-audit.js).
+--
+-- The token itself is never stored; `id` is derived from its sha256.
+
+CREATE TABLE IF NOT EXISTS git_confirmations (
+  id                    TEXT PRIMARY KEY,            -- gct_<first 32 hex of sha256(token)>
+  tenant_id             TEXT NOT NULL,
+  intent                TEXT NOT NULL,
+  repo_path             TEXT NOT NULL,
+  remote                TEXT,
+  ref                   TEXT NOT NULL,
+  reason                TEXT,
+  caller                TEXT,                        -- API key name / userId of the issuer
+  issuer_fingerprint    TEXT NOT NULL,
+  approval_id           TEXT,                        -- git_confirm_approvals.id when human-approved
+  status                TEXT NOT NULL DEFAULT 'issued'
+                          CHECK(status IN ('issued', 'redeemed', 'expired')),
+  issued_at             TEXT NOT NULL,
+  expires_at            TEXT NOT NULL,
+  redeemed_at           TEXT,
+  redeemer_fingerprint  TEXT,
+  expired_at            TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_git_confirmations_repo
+  ON git_confirmations(tenant_id, repo_path, issued_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_git_confirmations_ref
+  ON git_confirmations(tenant_id, ref, issued_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_git_confirmations_caller
+  ON git_confirmations(tenant_id, caller, issued_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_git_confirmations_expiry
+  ON git_confirmations(status, expires_at);
@@ -0,0 +1,17 @@
+-- 025_github_automation_settings.sql — Per-installation GitHub App automation settings
+--
+-- The queue consumer (src/handlers/queue.js) reacts to GitHub App events
+-- with a fixed set of automations. This table lets each installation turn
+-- handlers on or off and tune them; `automations` is a JSON object keyed by
+-- handler (push, pull_request, pull_request_review, issue_comment, issues,
+-- check_rerun, release, workflow_run) whose values are shallow-merged over
+-- the defaults in src/github/automation-settings.js. Installations without a
+-- row run with the defaults.
+
+CREATE TABLE IF NOT EXISTS github_automation_settings (
+  installation_id  INTEGER PRIMARY KEY,             -- installations.installation_id
+  automations      TEXT NOT NULL DEFAULT '{}',
+  updated_by       TEXT,
+  created_at       TEXT NOT NULL DEFAULT (datetime('now')),
+  updated_at       TEXT NOT NULL DEFAULT (datetime('now'))
+);
@@ -0,0 +1,35 @@
+-- 026_context_ledger_integrity.sql — Signed entries and Merkle checkpoints for context_ledger
+--
+-- Backs the read / verify / proof surface of /api/v1/ledger
+-- (src/api/routes/ledger.js, src/lib/ledger-integrity.js):
+--   - signer_id, signature → written by POST /api/v1/ledger/append, which
+--                            already binds them (009 never declared them)
+--   - hash_version         → NULL for entries whose hash cannot be recomputed
+--                            from stored columns (context-resolver, dashboard
+--                            writers); 1 for the append format
+--                            sha256("<previous_hash>:<context_id>:<event_type>:<payload>:<signature>")
+--
+-- Chain order is insertion order (rowid); `timestamp` only has second
+-- resolution and cannot order entries written in the same second.
+
+ALTER TABLE context_ledger ADD COLUMN signer_id TEXT;
+ALTER TABLE context_ledger ADD COLUMN signature TEXT;
+ALTER TABLE context_ledger ADD COLUMN hash_version INTEGER;
+
+-- One row per Merkle root over the first `entry_count` entries of a context.
+-- Roots are also sent to ChittyChronicle (`ledger.checkpoint.created`) so an
+-- auditor can check a proof against a root held outside this database.
+CREATE TABLE IF NOT EXISTS context_ledger_checkpoints (
+  id            TEXT PRIMARY KEY,                 -- lcp_<uuid>
+  context_id    TEXT NOT NULL,
+  entry_count   INTEGER NOT NULL,                 -- Merkle tree size
+  last_entry_id TEXT NOT NULL,
+  last_hash     TEXT NOT NULL,
+  merkle_root   TEXT NOT NULL,                    -- hex, RFC 6962 tree hash
+  anchored_at   TEXT,                             -- when Chronicle accepted the root
+  created_at    TEXT NOT NULL DEFAULT (datetime('now')),
+  UNIQUE(context_id, entry_count)
+);
+
+CREATE INDEX IF NOT EXISTS idx_ledger_checkpoints_context
+  ON context_ledger_checkpoints(context_id, entry_count DESC);
@@ -0,0 +1,39 @@
+-- 027_policy_bundle_overlays.sql — Overlays and snapshots for the identity policy bundle
+--
+-- GET /api/v1/identity/:chittyId/policy-bundle (src/api/routes/identity.js)
+-- serves a vendored base bundle (policy-bundle/<version>/bundle.json) with
+-- overlays from this table merged in at request time:
+--   1. entity_type overlays (scope_value = P/L/T/E/A, the ChittyID type)
+--   2. tenant overlays      (scope_value = tenant id, ?tenant=)
+-- Later overlays win. `mode`:
+--   - replace → file content replaced (or file added)
+--   - append  → content appended to the file
+--   - merge   → JSON deep-merge into a .json file (arrays replaced)
+--   - remove  → file dropped from the bundle
+
+CREATE TABLE IF NOT EXISTS policy_bundle_overlays (
+  id          TEXT PRIMARY KEY,                    -- pbo_<uuid>
+  scope_type  TEXT NOT NULL CHECK(scope_type IN ('tenant', 'entity_type')),
+  scope_value TEXT NOT NULL,
+  version     TEXT NOT NULL DEFAULT '*',           -- bundle version, '*' for all
+  file_key    TEXT NOT NULL,                       -- e.g. 'policy', 'contract'
+  mode        TEXT NOT NULL CHECK(mode IN ('replace', 'append', 'merge', 'remove')),
+  file_name   TEXT,                                -- for files added by an overlay
+  content     TEXT,
+  updated_by  TEXT,
+  created_at  TEXT NOT NULL DEFAULT (datetime('now')),
+  updated_at  TEXT NOT NULL DEFAULT (datetime('now')),
+  UNIQUE(scope_type, scope_value, version, file_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_policy_overlays_scope
+  ON policy_bundle_overlays(scope_type, scope_value);
+
+-- Content-addressed copies of every effective (overlaid) bundle served, so
+-- GET .../policy-bundle/diff?from=<sha256> can resolve older shas.
+CREATE TABLE IF NOT EXISTS policy_bundle_snapshots (
+  sha256     TEXT PRIMARY KEY,
+  version    TEXT NOT NULL,
+  files      TEXT NOT NULL,                        -- JSON { key: { name, content } }
+  created_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
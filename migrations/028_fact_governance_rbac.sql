@@ -0,0 +1,54 @@
+-- 028_fact_governance_rbac.sql — Data-driven fact governance RBAC and delegations
+--
+-- Read by src/lib/fact-rbac.js for every fact lifecycle action (mint,
+-- validate, seal, dispute, export, retract):
+--   - fact_action_policies → who may perform an action: allowed ChittyID
+--                            entity types and a minimum ChittyTrust level.
+--                            tenant_id '*' is the global policy; a row for a
+--                            tenant overrides it for that tenant.
+--   - fact_delegations     → time-boxed grants letting a delegate act on a
+--                            delegator's behalf for one case (e.g. an
+--                            Authority lets a Person seal facts in case X).
+--                            The delegator must still hold the permission
+--                            when the delegation is used.
+
+CREATE TABLE IF NOT EXISTS fact_action_policies (
+  action       TEXT NOT NULL CHECK(action IN ('mint', 'validate', 'seal', 'dispute', 'export', 'retract')),
+  tenant_id    TEXT NOT NULL DEFAULT '*',
+  entity_types TEXT,                               -- JSON array of P/L/T/E/A; NULL = any
+  min_trust    INTEGER NOT NULL CHECK(min_trust BETWEEN 0 AND 5),
+  updated_by   TEXT,
+  updated_at   TEXT NOT NULL DEFAULT (datetime('now')),
+  PRIMARY KEY (action, tenant_id)
+);
+
+-- Global defaults; mirrors DEFAULT_FACT_POLICIES in src/lib/fact-rbac.js
+INSERT OR IGNORE INTO fact_action_policies (action, tenant_id, entity_types, min_trust) VALUES
+  ('mint',     '*', NULL,         1),
+  ('validate', '*', '["P","A"]',  3),
+  ('seal',     '*', '["A"]',      4),
+  ('dispute',  '*', '["P","A"]',  2),
+  ('export',   '*', NULL,         1),
+  ('retract',  '*', '["A"]',      4);
+
+CREATE TABLE IF NOT EXISTS fact_delegations (
+  id                  TEXT PRIMARY KEY,              -- fdl_<uuid>
+  tenant_id           TEXT NOT NULL,
+  delegator_chitty_id TEXT NOT NULL,
+  delegate_chitty_id  TEXT NOT NULL,
+  action              TEXT NOT NULL,
+  case_id             TEXT NOT NULL,
+  reason              TEXT,
+  starts_at           TEXT NOT NULL,
+  expires_at          TEXT NOT NULL,
+  created_by          TEXT,
+  created_at          TEXT NOT NULL DEFAULT (datetime('now')),
+  revoked_at          TEXT,
+  revoked_by          TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_fact_delegations_delegate
+  ON fact_delegations(delegate_chitty_id, action, expires_at);
+
+CREATE INDEX IF NOT EXISTS idx_fact_delegations_delegator
+  ON fact_delegations(delegator_chitty_id, created_at DESC);
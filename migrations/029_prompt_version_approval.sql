@@ -0,0 +1,26 @@
+-- 029_prompt_version_approval.sql — Staged prompt versions and approval
+--
+-- Honors author_gate.requireApproval in prompt_registry. Every version in
+-- prompt_versions now carries a lifecycle status:
+--   draft → pending → approved → active → superseded
+--                   ↘ rejected
+-- prompt_registry keeps serving the active version (resolve/execute read
+-- it); a version only reaches it once activated. Reviewers are assigned
+-- from author_gate.allowedAuthors when a version is submitted. Read by
+-- src/lib/prompt-approvals.js.
+
+ALTER TABLE prompt_versions ADD COLUMN status TEXT NOT NULL DEFAULT 'active'
+  CHECK(status IN ('draft', 'pending', 'approved', 'active', 'superseded', 'rejected'));
+ALTER TABLE prompt_versions ADD COLUMN reviewers TEXT NOT NULL DEFAULT '[]'; -- JSON array of ChittyIDs
+ALTER TABLE prompt_versions ADD COLUMN submitted_at TEXT;
+ALTER TABLE prompt_versions ADD COLUMN decided_by TEXT;
+ALTER TABLE prompt_versions ADD COLUMN decided_at TEXT;
+ALTER TABLE prompt_versions ADD COLUMN decision_notes TEXT;
+ALTER TABLE prompt_versions ADD COLUMN activated_at TEXT;
+
+-- Versions before the registry's current one were live once and replaced
+UPDATE prompt_versions
+SET status = 'superseded'
+WHERE version < (SELECT r.version FROM prompt_registry r WHERE r.id = prompt_versions.prompt_id);
+
+CREATE INDEX IF NOT EXISTS idx_prompt_versions_status ON prompt_versions(status, submitted_at);
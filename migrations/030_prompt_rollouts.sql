@@ -0,0 +1,41 @@
+-- 030_prompt_rollouts.sql — A/B splits and canary rollouts for prompts
+--
+-- Read by src/lib/prompt-rollouts.js from /api/v1/context/prompts/resolve
+-- and /execute:
+--   - prompt_rollouts → weighted traffic split between prompt versions for
+--                       one environment and consumer service ('*' = any).
+--                       Consumers are assigned sticky buckets by consumer
+--                       ID. With auto_decide set, the 5-minute cron promotes
+--                       the best candidate or rolls back to the control
+--                       version from the rollout's quality and error stats.
+--   - prompt_executions.rollout_id → which rollout served an execution, so
+--                       stats cover only traffic the split decided.
+
+CREATE TABLE IF NOT EXISTS prompt_rollouts (
+  id               TEXT PRIMARY KEY,                 -- pro_<uuid>
+  prompt_id        TEXT NOT NULL REFERENCES prompt_registry(id),
+  environment      TEXT NOT NULL DEFAULT '*',
+  consumer_service TEXT NOT NULL DEFAULT '*',
+  control_version  INTEGER NOT NULL,
+  variants         TEXT NOT NULL,                    -- JSON [{ "version": 2, "weight": 10 }, ...], weights sum to 100
+  status           TEXT NOT NULL DEFAULT 'active'
+    CHECK(status IN ('active', 'promoted', 'rolled_back', 'cancelled')),
+  auto_decide      INTEGER NOT NULL DEFAULT 1,
+  min_executions   INTEGER NOT NULL DEFAULT 50,       -- per candidate, before deciding
+  max_error_rate   REAL NOT NULL DEFAULT 0.05,
+  max_quality_drop REAL NOT NULL DEFAULT 0.05,        -- allowed drop in avg quality vs control
+  decided_version  INTEGER,
+  decision_reason  TEXT,
+  decided_by       TEXT,                              -- ChittyID, or 'auto'
+  decided_at       TEXT,
+  created_by       TEXT,
+  created_at       TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+-- One live split per prompt, environment and consumer service
+CREATE UNIQUE INDEX IF NOT EXISTS idx_prompt_rollouts_active
+  ON prompt_rollouts(prompt_id, environment, consumer_service) WHERE status = 'active';
+CREATE INDEX IF NOT EXISTS idx_prompt_rollouts_status ON prompt_rollouts(status, created_at);
+
+ALTER TABLE prompt_executions ADD COLUMN rollout_id TEXT;
+CREATE INDEX IF NOT EXISTS idx_prompt_executions_rollout ON prompt_executions(rollout_id, prompt_version);
@@ -0,0 +1,17 @@
+-- 031_prompt_templates.sql — Typed variables and escaping for prompt templates
+--
+-- Bases and layers are rendered by src/lib/prompt-template.js
+-- ({{#if}}/{{#each}} blocks, {{> prompt.id@version}} partials). Each
+-- prompt version now declares:
+--   - variable_schema → JSON { name: { type, required?, default?, enum?, description? } },
+--                       applied and validated on /resolve and /execute
+--   - escape_mode     → how {{name}} output is escaped: none | xml | json
+--                       ({{{name}}} is never escaped)
+
+ALTER TABLE prompt_registry ADD COLUMN variable_schema TEXT NOT NULL DEFAULT '{}';
+ALTER TABLE prompt_registry ADD COLUMN escape_mode TEXT NOT NULL DEFAULT 'none'
+  CHECK(escape_mode IN ('none', 'xml', 'json'));
+
+ALTER TABLE prompt_versions ADD COLUMN variable_schema TEXT NOT NULL DEFAULT '{}';
+ALTER TABLE prompt_versions ADD COLUMN escape_mode TEXT NOT NULL DEFAULT 'none'
+  CHECK(escape_mode IN ('none', 'xml', 'json'));
@@ -0,0 +1,25 @@
+-- 032_prompt_eval_suites.sql — Offline evaluation suites for registry prompts
+--
+-- Read by src/lib/prompt-evals.js from /api/v1/context/prompts/:id/evaluate:
+--   - prompt_eval_suites → input fixtures for one prompt, each with the
+--                          properties its output must have (regex, JSON
+--                          schema, must-contain, max length). A candidate
+--                          version is run against every case with the
+--                          prompt's `test` env gate or a stub model.
+--
+-- Each case is logged to prompt_executions (mode 'evaluate', environment
+-- 'test') with its score in output_quality and quality_source 'auto_eval',
+-- so eval scores show up next to live quality in /:id/drift.
+
+CREATE TABLE IF NOT EXISTS prompt_eval_suites (
+  id             TEXT PRIMARY KEY,                  -- pes_<uuid>
+  prompt_id      TEXT NOT NULL REFERENCES prompt_registry(id),
+  name           TEXT NOT NULL,
+  cases          TEXT NOT NULL DEFAULT '[]',        -- JSON [{ "id", "input", "variables", "stub", "expect": { ... } }]
+  pass_threshold REAL NOT NULL DEFAULT 1.0,         -- minimum average case score for the suite to pass
+  created_by     TEXT,
+  created_at     TEXT NOT NULL DEFAULT (datetime('now')),
+  updated_at     TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_prompt_eval_suites_name ON prompt_eval_suites(prompt_id, name);
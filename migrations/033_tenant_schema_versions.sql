@@ -0,0 +1,24 @@
+-- 033_tenant_schema_versions.sql — Schema versions of provisioned tenant databases
+--
+-- Written by src/services/tenant-schema-upgrader.js and at provisioning:
+--   - tenant_schema_versions → the schema version each tenant's Neon
+--                              database was last seen on, plus a lease that
+--                              keeps two upgrades of the same tenant from
+--                              running at once. The tenant's own
+--                              _tenant_schema_version table stays the source
+--                              of truth; this is the fan-out's lock and the
+--                              status report's index.
+
+CREATE TABLE IF NOT EXISTS tenant_schema_versions (
+  tenant_id     TEXT PRIMARY KEY,                  -- tenant_projects.tenant_id
+  version       INTEGER,                           -- NULL until first recorded
+  state         TEXT NOT NULL DEFAULT 'idle'
+    CHECK(state IN ('idle', 'migrating', 'failed')),
+  locked_by     TEXT,                              -- run holding the lease
+  locked_until  TEXT,                              -- lease expiry (ISO 8601)
+  last_error    TEXT,
+  last_run_at   TEXT,
+  updated_at    TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_tenant_schema_versions_version ON tenant_schema_versions(version);
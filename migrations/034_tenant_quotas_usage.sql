@@ -0,0 +1,39 @@
+-- 034_tenant_quotas_usage.sql — Tenant suspension, quotas and usage metering
+--
+-- Read by src/services/tenant-metering.js before every tenant query:
+--   - tenant_projects.suspended_* → who suspended a tenant, when and why.
+--                        Suspended tenants are refused by getTenantDb and
+--                        queryTenantDb until resumed.
+--   - tenant_quotas   → monthly limits per tenant. NULL means unlimited.
+--                        'hard' enforcement refuses queries over a limit
+--                        (storage only blocks writes); 'soft' only reports.
+--   - tenant_usage    → one row per tenant per calendar month (UTC):
+--                        queries counted by queryTenantDb, storage and
+--                        compute seconds pulled from the Neon API hourly.
+
+ALTER TABLE tenant_projects ADD COLUMN suspended_at TEXT;
+ALTER TABLE tenant_projects ADD COLUMN suspended_reason TEXT;
+ALTER TABLE tenant_projects ADD COLUMN suspended_by TEXT;
+
+CREATE TABLE IF NOT EXISTS tenant_quotas (
+  tenant_id           TEXT PRIMARY KEY,              -- tenant_projects.tenant_id
+  max_storage_bytes   INTEGER,
+  max_queries         INTEGER,                       -- per month
+  max_compute_seconds INTEGER,                       -- per month
+  enforcement         TEXT NOT NULL DEFAULT 'hard' CHECK(enforcement IN ('hard', 'soft')),
+  updated_by          TEXT,
+  updated_at          TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+CREATE TABLE IF NOT EXISTS tenant_usage (
+  tenant_id        TEXT NOT NULL,
+  period           TEXT NOT NULL,                    -- YYYY-MM (UTC)
+  query_count      INTEGER NOT NULL DEFAULT 0,
+  storage_bytes    INTEGER,                          -- Neon synthetic storage size
+  compute_seconds  REAL,                             -- Neon compute time for its billing period
+  neon_synced_at   TEXT,
+  updated_at       TEXT NOT NULL DEFAULT (datetime('now')),
+  PRIMARY KEY (tenant_id, period)
+);
+
+CREATE INDEX IF NOT EXISTS idx_tenant_usage_period ON tenant_usage(period);
@@ -0,0 +1,31 @@
+-- 035_tenant_data_migrations.sql — Checkpoints for the shared → tenant data migration
+--
+-- Written by src/services/tenant-data-migration.js after every batch:
+--   - tenant_data_migrations → one row per client: the phase and offset the
+--                              copy reached, rows copied per table, and the
+--                              result of the post-copy verification pass.
+--                              A rerun resumes from the saved phase/offset
+--                              (copies are upserts, so a replayed batch is
+--                              harmless); rollback removes the migrated rows
+--                              or deprovisions a tenant the migration created.
+
+CREATE TABLE IF NOT EXISTS tenant_data_migrations (
+  client_id          TEXT PRIMARY KEY,
+  status             TEXT NOT NULL DEFAULT 'running'
+    CHECK(status IN ('running', 'failed', 'verified', 'verify_failed', 'rolled_back')),
+  phase              TEXT NOT NULL DEFAULT 'documents'
+    CHECK(phase IN ('documents', 'custodyLogs', 'families', 'financialRecords', 'verify', 'done')),
+  cursor_offset      INTEGER NOT NULL DEFAULT 0,    -- rows already copied in the current phase
+  provisioned        INTEGER NOT NULL DEFAULT 0,    -- 1 = this migration created the tenant project
+  documents          INTEGER NOT NULL DEFAULT 0,
+  custody_logs       INTEGER NOT NULL DEFAULT 0,
+  families           INTEGER NOT NULL DEFAULT 0,
+  financial_records  INTEGER NOT NULL DEFAULT 0,
+  verification       TEXT,                          -- JSON result of the last verification pass
+  last_error         TEXT,
+  started_at         TEXT NOT NULL DEFAULT (datetime('now')),
+  updated_at         TEXT NOT NULL DEFAULT (datetime('now')),
+  completed_at       TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_tenant_data_migrations_status ON tenant_data_migrations(status);
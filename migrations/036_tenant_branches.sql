@@ -0,0 +1,32 @@
+-- 036_tenant_branches.sql — Point-in-time branches and sandboxes for tenant Neon projects
+--
+-- Written by TenantProjectManager (src/services/tenant-project-manager.js):
+--   - tenant_branches → one row per Neon branch created through
+--                       /api/v1/tenants/:tenantId/branches: the point in time
+--                       it was cut from, its sandbox connection URI and expiry.
+--                       Restores record the branch as promoted and add a row
+--                       for the pre-restore backup Neon keeps. The 5-minute
+--                       cron deletes branches past expires_at.
+
+CREATE TABLE IF NOT EXISTS tenant_branches (
+  id                        TEXT PRIMARY KEY,               -- tbr_<uuid>
+  tenant_id                 TEXT NOT NULL,
+  neon_branch_id            TEXT NOT NULL,
+  name                      TEXT NOT NULL,
+  kind                      TEXT NOT NULL DEFAULT 'sandbox' CHECK(kind IN ('sandbox', 'backup')),
+  parent_timestamp          TEXT,                           -- NULL = branched from the current state
+  purpose                   TEXT,
+  connection_uri_encrypted  TEXT,                           -- NULL for backups (no compute endpoint)
+  status                    TEXT NOT NULL DEFAULT 'active'
+    CHECK(status IN ('active', 'promoted', 'expired', 'deleted')),
+  expires_at                TEXT NOT NULL,
+  created_by                TEXT,
+  promoted_at               TEXT,
+  promoted_by               TEXT,
+  deleted_at                TEXT,                           -- Neon branch removed
+  created_at                TEXT NOT NULL DEFAULT (datetime('now')),
+  updated_at                TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_tenant_branches_tenant ON tenant_branches(tenant_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_tenant_branches_expiry ON tenant_branches(expires_at) WHERE deleted_at IS NULL;
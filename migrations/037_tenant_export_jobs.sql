@@ -0,0 +1,36 @@
+-- 037_tenant_export_jobs.sql — Async tenant export bundles
+--
+-- Written by src/services/tenant-export.js:
+--   - tenant_export_jobs → one row per POST /api/v1/tenants/:tenantId/exports.
+--                          The bundle (per-table NDJSON, evidence R2 objects,
+--                          manifest.json and its detached signature) is
+--                          streamed to R2 under exports/tenants/<tenant>/<job>/
+--                          and served by /api/v1/exports. A job runs under a
+--                          lease; the 5-minute cron picks up queued jobs and
+--                          retries ones whose lease ran out.
+
+CREATE TABLE IF NOT EXISTS tenant_export_jobs (
+  id                    TEXT PRIMARY KEY,               -- tex_<uuid>
+  tenant_id             TEXT NOT NULL,
+  status                TEXT NOT NULL DEFAULT 'queued'
+    CHECK(status IN ('queued', 'running', 'completed', 'failed')),
+  include_objects       INTEGER NOT NULL DEFAULT 1,
+  recipient_key         TEXT,                           -- public JWK/PEM; NULL = unencrypted
+  recipient_thumbprint  TEXT,
+  prefix                TEXT NOT NULL,                  -- R2 key prefix, under exports/
+  manifest_key          TEXT,
+  file_count            INTEGER,
+  total_bytes           INTEGER,
+  missing_objects       INTEGER,
+  attempts              INTEGER NOT NULL DEFAULT 0,
+  locked_until          TEXT,
+  error                 TEXT,
+  requested_by          TEXT,
+  created_at            TEXT NOT NULL DEFAULT (datetime('now')),
+  started_at            TEXT,
+  completed_at          TEXT,
+  updated_at            TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_tenant_export_jobs_tenant ON tenant_export_jobs(tenant_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_tenant_export_jobs_status ON tenant_export_jobs(status, locked_until);
@@ -0,0 +1,23 @@
+-- 038_tenant_data_migration_rows.sql — Rows inserted by the shared → tenant data migration
+--
+-- Written by src/services/tenant-data-migration.js:
+--   - tenant_data_migrations.locked_by / locked_until → the run lease; every
+--                              checkpoint renews it, and a run or rollback
+--                              that lost it stops instead of interleaving
+--                              with another on the same client.
+--   - tenant_data_migration_rows → every tenant row a run actually inserted
+--                              (rows that already existed are left alone).
+--                              Recorded with each batch's checkpoint;
+--                              rollback deletes exactly these rows.
+
+ALTER TABLE tenant_data_migrations ADD COLUMN locked_by TEXT;      -- run holding the lease
+ALTER TABLE tenant_data_migrations ADD COLUMN locked_until TEXT;   -- lease expiry (ISO 8601)
+
+CREATE TABLE IF NOT EXISTS tenant_data_migration_rows (
+  client_id   TEXT NOT NULL,
+  table_name  TEXT NOT NULL
+    CHECK(table_name IN ('evidence_documents', 'evidence_custody_log', 'document_families', 'financial_records')),
+  row_id      TEXT NOT NULL,
+  created_at  TEXT NOT NULL DEFAULT (datetime('now')),
+  PRIMARY KEY (client_id, table_name, row_id)
+);
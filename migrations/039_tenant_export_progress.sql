@@ -0,0 +1,26 @@
+-- 039_tenant_export_progress.sql — Resumable tenant export runs
+--
+-- Written by src/services/tenant-export.js:
+--   - tenant_export_jobs.progress → JSON resume point ({phase, table, after,
+--                                   part}) saved after every finished table
+--                                   part and page of evidence objects, so a
+--                                   run that hits its time budget or dies
+--                                   resumes there instead of at table one.
+--   - tenant_export_jobs.skipped_objects → r2_keys outside the tenant's
+--                                   evidence prefix, listed but not copied.
+--   - tenant_export_files        → one row per finished bundle file (and per
+--                                   missing or skipped evidence object); the
+--                                   manifest is built from these at the end.
+-- recipient_key now holds an age X25519 recipient (age1…).
+
+ALTER TABLE tenant_export_jobs ADD COLUMN progress TEXT;
+ALTER TABLE tenant_export_jobs ADD COLUMN skipped_objects INTEGER;
+
+CREATE TABLE IF NOT EXISTS tenant_export_files (
+  job_id      TEXT NOT NULL,
+  type        TEXT NOT NULL CHECK(type IN ('table', 'object', 'missing', 'skipped')),
+  path        TEXT NOT NULL,                  -- bundle path, or the r2_key of a missing/skipped object
+  entry       TEXT NOT NULL,                  -- manifest entry (JSON)
+  created_at  TEXT NOT NULL DEFAULT (datetime('now')),
+  PRIMARY KEY (job_id, type, path)
+);
@@ -1,23 +1,28 @@
 #!/usr/bin/env node
-// Build policy-bundle/v1/bundle.json from vendored canon files.
+// Build policy-bundle/<version>/bundle.json from vendored canon files.
+// Usage: node scripts/build-policy-bundle.mjs [version]   (default v1)
+// Each version is served side by side by src/lib/policy-bundles.js; add
+// new versions to POLICY_BUNDLES there.
 import { readFileSync, writeFileSync } from "node:fs";
 import { createHash } from "node:crypto";
 import { join, dirname } from "node:path";
 import { fileURLToPath } from "node:url";
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
-const root = join(__dirname, "..", "policy-bundle", "v1");
+const version = process.argv[2] || "v1";
+const root = join(__dirname, "..", "policy-bundle", version);
 
 const files = {
-  contract: "system-wide-sensitive-intent-contract-v1.md",
-  policy: "system-wide-sensitive-intent-policy-v1.json",
-  conformance: "system-wide-conformance-tests-v1.md",
-  integration_map: "system-wide-integration-map-v1.yaml",
-  drift_framework: "system-wide-drift-remediation-framework-v1.md",
+  contract: `system-wide-sensitive-intent-contract-${version}.md`,
+  policy: `system-wide-sensitive-intent-policy-${version}.json`,
+  rules: `system-wide-sensitive-intent-rules-${version}.json`,
+  conformance: `system-wide-conformance-tests-${version}.md`,
+  integration_map: `system-wide-integration-map-${version}.yaml`,
+  drift_framework: `system-wide-drift-remediation-framework-${version}.md`,
 };
 
 const bundle = {
-  version: "v1",
+  version,
   scope: "system-wide",
   generated_at: new Date().toISOString(),
   files: {},
@@ -32,4 +37,4 @@ const canonical = JSON.stringify(bundle.files); // hash file contents only (stab
 bundle.sha256 = createHash("sha256").update(canonical).digest("hex");
 
 writeFileSync(join(root, "bundle.json"), JSON.stringify(bundle, null, 2) + "\n");
-console.log("Wrote policy-bundle/v1/bundle.json sha256=" + bundle.sha256);
+console.log(`Wrote policy-bundle/${version}/bundle.json sha256=${bundle.sha256}`);
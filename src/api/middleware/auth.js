@@ -29,21 +29,42 @@ function isJwtAuthOwnedPath(c) {
   }
 }
 
-// Policy bundle is non-secret governance — must be reachable by any channel
-// (Desktop, Mobile, web, ChatGPT, …) on session start so policy travels with
-// the entity, not the channel. See policy-bundle/v1/.
-function isPolicyBundlePath(c) {
+// Public verification keys, served without an API key:
+//   - the policy bundle is non-secret governance and must be reachable by any
+//     channel (Desktop, Mobile, web, ChatGPT, …) on session start so policy
+//     travels with the entity, not the channel. See policy-bundle/v1/.
+//   - export bundle manifests are verified offline by whoever receives the
+//     bundle, who usually holds no ChittyConnect key.
+const PUBLIC_JWKS_PATHS = {
+  "/api/v1/identity/policy-bundle/jwks.json": "policy-bundle",
+  "/api/v1/tenants/exports/jwks": "tenant-exports",
+};
+
+// Policy bundle reads (bundle, check, diff) stay reachable without a key for
+// the same reason; those callers get the base bundle with entity-type
+// overlays. A presented key is still validated, since it selects the
+// tenant's overlays.
+function isPolicyBundleReadPath(c) {
   try {
     const url = new URL(c.req.raw?.url || "http://localhost");
     return (
       c.req.method === "GET" &&
-      /^\/api\/v1\/identity\/[^/]+\/policy-bundle(\/check)?$/.test(url.pathname)
+      /^\/api\/v1\/identity\/[^/]+\/policy-bundle(\/check|\/diff)?$/.test(url.pathname)
     );
   } catch {
     return false;
   }
 }
 
+function publicJwksService(c) {
+  try {
+    const url = new URL(c.req.raw?.url || "http://localhost");
+    return c.req.method === "GET" ? PUBLIC_JWKS_PATHS[url.pathname] || null : null;
+  } catch {
+    return null;
+  }
+}
+
 function cfAccessHeadersMatch(c) {
   const incomingId = c.req.header("CF-Access-Client-Id") || "";
   const incomingSecret = c.req.header("CF-Access-Client-Secret") || "";
@@ -75,13 +96,19 @@ export async function authenticate(c, next) {
 
   const apiKey = c.req.header("X-ChittyOS-API-Key") || bearerToken;
 
-  if (isPolicyBundlePath(c)) {
-    c.set("apiKey", { type: "public", service: "policy-bundle", status: "active" });
+  const publicService = publicJwksService(c);
+  if (publicService) {
+    c.set("apiKey", { type: "public", service: publicService, status: "active" });
     await next();
     return;
   }
 
   if (!apiKey) {
+    if (isPolicyBundleReadPath(c)) {
+      c.set("apiKey", { type: "public", service: "policy-bundle", status: "active" });
+      await next();
+      return;
+    }
     if (isContextSyncPath(c) && cfAccessHeadersMatch(c)) {
       c.set("apiKey", {
         type: "cloudflare-access",
@@ -41,10 +41,14 @@ import { authKeysRoutes } from "./routes/auth-keys.js";
 import { promptRoutes } from "./routes/prompts.js";
 import { tenantRoutes } from "./routes/tenants.js";
 import { migrationRoutes } from "./routes/tenant-migration.js";
+import { tenantSchemaRoutes } from "./routes/tenant-schema.js";
 import { sessionRoutes } from "./routes/sessions.js";
 import ledgerRoutes from "./routes/ledger.js";
 import { neonUserStoreRoutes } from "../auth/neon-user-store.js";
 import { identityRoutes } from "./routes/identity.js";
+import { factRoutes } from "./routes/facts.js";
+import { webhookSubscriptionRoutes } from "./routes/webhook-subscriptions.js";
+import { githubAutomationRoutes } from "./routes/github-automations.js";
 import { authenticate } from "./middleware/auth.js";
 import { autoRateLimit } from "./middleware/rate-limit.js";
 import openapiSpec from "../../public/openapi.json";
@@ -132,6 +136,9 @@ api.get("/api/health", (c) => {
       prompts: "/api/v1/context/prompts",
       tenants: "/api/v1/tenants",
       sessions: "/api/v1/sessions",
+      ledger: "/api/v1/ledger",
+      webhookSubscriptions: "/api/v1/webhooks/subscriptions",
+      githubAutomations: "/api/v1/github/installations",
       mcp: "/mcp",
       chatgptMcp: "/chatgpt/mcp",
     },
@@ -194,10 +201,14 @@ api.route("/api/execute", executeRoutes);
 api.route("/api/auth/keys", authKeysRoutes);
 api.route("/api/v1/context/prompts", promptRoutes);
 api.route("/api/v1/tenants/migration", migrationRoutes);
+api.route("/api/v1/tenants/migrations", tenantSchemaRoutes);
 api.route("/api/v1/tenants", tenantRoutes);
 api.route("/api/v1/sessions", sessionRoutes);
 api.route("/api/v1/ledger", ledgerRoutes);
 api.route("/api/v1/identity", identityRoutes);
+api.route("/api/v1/facts", factRoutes);
+api.route("/api/v1/webhooks/subscriptions", webhookSubscriptionRoutes);
+api.route("/api/v1/github/installations", githubAutomationRoutes);
 
 // Neon Auth user store — JWKS-validated read/write surface for
 // neon_auth.{user,account,session,verification,organization,member,invitation}.
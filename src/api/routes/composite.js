@@ -16,6 +16,7 @@ import { z } from "zod";
 import { getServiceToken } from "../../lib/credential-helper.js";
 import { contextualResponse, errorResponse } from "../../lib/responses.js";
 import { APIError } from "../../lib/errors.js";
+import { Saga, SagaError, expectOk } from "../../lib/saga.js";
 import { validateRequest } from "../middleware/validation.js";
 
 const compositeRoutes = new Hono();
@@ -95,8 +96,8 @@ compositeRoutes.post(
       c.req.header("X-Conversation-ID") || crypto.randomUUID();
     const input = await c.req.json();
 
-    // Track operations for potential rollback
-    const operations = [];
+    const saga = new Saga("case-with-parties");
+    const rollbackReason = `Rolled back composite case creation (conversation ${conversationId})`;
 
     try {
       // Get service tokens
@@ -116,247 +117,216 @@ compositeRoutes.post(
         );
       }
 
-      // Step 1: Create ChittyID for the case
-      const caseIdResponse = await fetch("https://id.chitty.cc/v1/mint", {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: `Bearer ${chittyIdToken}`,
-        },
-        body: JSON.stringify({
-          // @canon: chittycanon://gov/governance#core-types
-          // Cases are Events (E) — occurrences in time
-          entity: "E",
-          characterization: "Case",
-          metadata: {
-            title: input.caseDetails.title,
-            type: input.caseDetails.type,
-            conversationId,
-          },
-        }),
-      });
-
-      if (!caseIdResponse.ok) {
-        throw new APIError(
-          "CHITTYID_CREATION_FAILED",
-          "Failed to create case identifier",
-          await caseIdResponse.text(),
-          500,
-        );
-      }
-
-      const caseIdData = await caseIdResponse.json();
-      const caseId = caseIdData.chittyid;
-      operations.push({ type: "chittyid", id: caseId, service: "chittyid" });
-
-      // Step 2: Create ChittyIDs for all parties
-      let partyResults = [];
-      if (input.parties && input.parties.length > 0) {
-        const partyPromises = input.parties.map(async (party) => {
-          const response = await fetch("https://id.chitty.cc/v1/mint", {
-            method: "POST",
-            headers: {
-              "Content-Type": "application/json",
-              Authorization: `Bearer ${chittyIdToken}`,
+      const voidId = (chittyId) =>
+        voidChittyId(chittyIdToken, chittyId, rollbackReason);
+
+      const { caseId, caseData, partyResults, evidenceResults, operations } =
+        await saga.run(async () => {
+          // Track operations for the context record and response
+          const operations = [];
+
+          // Step 1: Create ChittyID for the case
+          const caseId = await saga.step(
+            "mint-case-id",
+            async () => {
+              const data = await mintChittyId(chittyIdToken, {
+                // @canon: chittycanon://gov/governance#core-types
+                // Cases are Events (E) — occurrences in time
+                entity: "E",
+                characterization: "Case",
+                metadata: {
+                  title: input.caseDetails.title,
+                  type: input.caseDetails.type,
+                  conversationId,
+                },
+              });
+              return data.chittyid;
             },
-            body: JSON.stringify({
-              // @canon: chittycanon://gov/governance#core-types
-              // Organizations are Person (P, Legal); individuals are Person (P, Natural)
-              entity: "P",
-              characterization:
-                party.type === "organization" ? "Legal" : "Natural",
-              metadata: {
-                name: party.name,
+            voidId,
+          );
+          operations.push({ type: "chittyid", id: caseId, service: "chittyid" });
+
+          // Step 2: Create ChittyIDs for all parties
+          const partyResults = await saga.all(
+            "mint-party-id",
+            input.parties || [],
+            async (party) => {
+              const data = await mintChittyId(chittyIdToken, {
+                // @canon: chittycanon://gov/governance#core-types
+                // Organizations are Person (P, Legal); individuals are Person (P, Natural)
+                entity: "P",
+                characterization:
+                  party.type === "organization" ? "Legal" : "Natural",
+                metadata: {
+                  name: party.name,
+                  role: party.role,
+                  caseId,
+                  ...party.contactInfo,
+                },
+              });
+              return {
+                chittyId: data.chittyid,
                 role: party.role,
-                caseId,
-                ...party.contactInfo,
-              },
-            }),
-          });
-
-          if (!response.ok) {
-            throw new Error(`Failed to create party ID for ${party.name}`);
-          }
-
-          const data = await response.json();
-          return {
-            chittyId: data.chittyid,
-            role: party.role,
-            name: party.name,
-            type: party.type,
-            contactInfo: party.contactInfo,
-          };
-        });
-
-        partyResults = await Promise.all(partyPromises);
-        operations.push(
-          ...partyResults.map((p) => ({
-            type: "chittyid",
-            id: p.chittyId,
-            service: "chittyid",
-          })),
-        );
-      }
-
-      // Step 3: Create the case in ChittyCases
-      const caseResponse = await fetch("https://cases.chitty.cc/v1/cases", {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: `Bearer ${chittyCasesToken}`,
-        },
-        body: JSON.stringify({
-          chittyId: caseId,
-          title: input.caseDetails.title,
-          type: input.caseDetails.type,
-          description: input.caseDetails.description,
-          jurisdiction: input.caseDetails.jurisdiction,
-          filingDate: input.caseDetails.filingDate,
-          parties: partyResults.map((p) => ({
-            chittyId: p.chittyId,
-            role: p.role,
-            name: p.name,
-          })),
-          status: "active",
-          metadata: {
-            createdVia: "composite-api",
-            conversationId,
-          },
-        }),
-      });
-
-      if (!caseResponse.ok) {
-        throw new APIError(
-          "CASE_CREATION_FAILED",
-          "Failed to create case record",
-          await caseResponse.text(),
-          500,
-        );
-      }
-
-      const caseData = await caseResponse.json();
-      operations.push({ type: "case", id: caseId, service: "chittycases" });
-
-      // Step 4: Process initial evidence if provided
-      let evidenceResults = [];
-      if (
-        input.initialEvidence &&
-        Object.keys(input.initialEvidence).length > 0
-      ) {
-        const evidencePromises = Object.entries(input.initialEvidence).map(
-          async ([key, evidence]) => {
-            // Create ChittyID for evidence
-            const evidenceIdResponse = await fetch(
-              "https://id.chitty.cc/v1/mint",
-              {
+                name: party.name,
+                type: party.type,
+                contactInfo: party.contactInfo,
+              };
+            },
+            (party) => voidId(party.chittyId),
+          );
+          operations.push(
+            ...partyResults.map((p) => ({
+              type: "chittyid",
+              id: p.chittyId,
+              service: "chittyid",
+            })),
+          );
+
+          // Step 3: Create the case in ChittyCases
+          const caseData = await saga.step(
+            "create-case",
+            async () => {
+              const response = await fetch("https://cases.chitty.cc/v1/cases", {
                 method: "POST",
-                headers: {
-                  "Content-Type": "application/json",
-                  Authorization: `Bearer ${chittyIdToken}`,
-                },
+                headers: jsonHeaders(chittyCasesToken),
                 body: JSON.stringify({
-                  // @canon: chittycanon://gov/governance#core-types
-                  // Evidence items are Things (T, Digital) — objects without agency
-                  entity: "T",
-                  characterization: "Digital",
+                  chittyId: caseId,
+                  title: input.caseDetails.title,
+                  type: input.caseDetails.type,
+                  description: input.caseDetails.description,
+                  jurisdiction: input.caseDetails.jurisdiction,
+                  filingDate: input.caseDetails.filingDate,
+                  parties: partyResults.map((p) => ({
+                    chittyId: p.chittyId,
+                    role: p.role,
+                    name: p.name,
+                  })),
+                  status: "active",
                   metadata: {
-                    type: evidence.type,
-                    description: evidence.description,
-                    caseId,
-                    key,
+                    createdVia: "composite-api",
+                    conversationId,
                   },
                 }),
-              },
-            );
-
-            if (!evidenceIdResponse.ok) {
-              throw new Error(`Failed to create evidence ID for ${key}`);
-            }
-
-            const evidenceIdData = await evidenceIdResponse.json();
-            const evidenceId = evidenceIdData.chittyid;
-
-            // Ingest evidence if service is available
-            if (chittyEvidenceToken) {
-              const ingestResponse = await fetch(
-                "https://evidence.chitty.cc/v1/ingest",
-                {
-                  method: "POST",
-                  headers: {
-                    "Content-Type": "application/json",
-                    Authorization: `Bearer ${chittyEvidenceToken}`,
-                  },
-                  body: JSON.stringify({
-                    chittyId: evidenceId,
-                    caseId,
-                    type: evidence.type,
-                    description: evidence.description,
-                    url: evidence.url,
-                    data: evidence.data,
-                    metadata: {
-                      key,
-                      conversationId,
-                    },
-                  }),
+              });
+              await expectOk(response, "Case creation");
+              return response.json();
+            },
+            () => closeCase(chittyCasesToken, caseId, rollbackReason),
+          );
+          operations.push({ type: "case", id: caseId, service: "chittycases" });
+
+          // Step 4: Process initial evidence if provided
+          const evidenceEntries = Object.entries(input.initialEvidence || {});
+          const evidenceIds = await saga.all(
+            "mint-evidence-id",
+            evidenceEntries,
+            async ([key, evidence]) => {
+              const data = await mintChittyId(chittyIdToken, {
+                // @canon: chittycanon://gov/governance#core-types
+                // Evidence items are Things (T, Digital) — objects without agency
+                entity: "T",
+                characterization: "Digital",
+                metadata: {
+                  type: evidence.type,
+                  description: evidence.description,
+                  caseId,
+                  key,
                 },
-              );
+              });
+              return data.chittyid;
+            },
+            voidId,
+          );
+
+          const evidenceResults = await saga.all(
+            "ingest-evidence",
+            evidenceEntries,
+            async ([key, evidence], index) => {
+              const evidenceId = evidenceIds[index];
+
+              // Ingest evidence if service is available
+              if (chittyEvidenceToken) {
+                const ingestResponse = await fetch(
+                  "https://evidence.chitty.cc/v1/ingest",
+                  {
+                    method: "POST",
+                    headers: jsonHeaders(chittyEvidenceToken),
+                    body: JSON.stringify({
+                      chittyId: evidenceId,
+                      caseId,
+                      type: evidence.type,
+                      description: evidence.description,
+                      url: evidence.url,
+                      data: evidence.data,
+                      metadata: {
+                        key,
+                        conversationId,
+                      },
+                    }),
+                  },
+                );
 
-              if (ingestResponse.ok) {
-                const ingestData = await ingestResponse.json();
-                return {
-                  id: evidenceId,
-                  key,
-                  type: evidence.type,
-                  status: "verified",
-                  ...ingestData,
-                };
+                if (ingestResponse.ok) {
+                  const ingestData = await ingestResponse.json();
+                  return {
+                    id: evidenceId,
+                    key,
+                    type: evidence.type,
+                    status: "verified",
+                    ...ingestData,
+                  };
+                }
               }
-            }
 
-            // Return basic evidence record if ingestion service unavailable
-            return {
-              id: evidenceId,
-              key,
-              type: evidence.type,
-              status: "pending",
-              description: evidence.description,
+              // Return basic evidence record if ingestion service unavailable
+              return {
+                id: evidenceId,
+                key,
+                type: evidence.type,
+                status: "pending",
+                description: evidence.description,
+              };
+            },
+            (evidence) =>
+              evidence.status === "verified"
+                ? retractEvidence(chittyEvidenceToken, evidence.id, rollbackReason)
+                : undefined,
+          );
+          operations.push(
+            ...evidenceResults.map((e) => ({
+              type: "evidence",
+              id: e.id,
+              service: "chittyevidence",
+            })),
+          );
+
+          // Step 5: Store conversation context
+          await saga.step("store-context", async () => {
+            const contextData = {
+              conversationId,
+              caseId,
+              operations,
+              timestamp: new Date().toISOString(),
+              summary: {
+                caseTitle: input.caseDetails.title,
+                partyCount: partyResults.length,
+                evidenceCount: evidenceResults.length,
+              },
             };
-          },
-        );
-
-        evidenceResults = await Promise.all(evidencePromises);
-        operations.push(
-          ...evidenceResults.map((e) => ({
-            type: "evidence",
-            id: e.id,
-            service: "chittyevidence",
-          })),
-        );
-      }
 
-      // Step 5: Store conversation context
-      const contextKey = `context:${conversationId}`;
-      const contextData = {
-        conversationId,
-        caseId,
-        operations,
-        timestamp: new Date().toISOString(),
-        summary: {
-          caseTitle: input.caseDetails.title,
-          partyCount: partyResults.length,
-          evidenceCount: evidenceResults.length,
-        },
-      };
+            if (c.env.CONVERSATIONS) {
+              await c.env.CONVERSATIONS.put(
+                `context:${conversationId}`,
+                JSON.stringify(contextData),
+                { expirationTtl: 86400 }, // 24 hours
+              );
+            } else {
+              console.warn("[Composite] CONVERSATIONS binding not available — context not persisted");
+            }
+          });
 
-      if (c.env.CONVERSATIONS) {
-        await c.env.CONVERSATIONS.put(
-          contextKey,
-          JSON.stringify(contextData),
-          { expirationTtl: 86400 }, // 24 hours
-        );
-      } else {
-        console.warn("[Composite] CONVERSATIONS binding not available — context not persisted");
-      }
+          return { caseId, caseData, partyResults, evidenceResults, operations };
+        });
 
       // Return comprehensive response
       return contextualResponse(
@@ -376,6 +346,7 @@ compositeRoutes.post(
             ...op,
             status: "completed",
           })),
+          saga: saga.report(),
         },
         {
           conversationId,
@@ -411,20 +382,9 @@ compositeRoutes.post(
         },
       );
     } catch (error) {
-      // Rollback operations on failure
       console.error("Composite operation failed:", error);
 
-      // Attempt rollback (simplified for example)
-      for (const op of operations.reverse()) {
-        try {
-          console.log(`Rolling back: ${op.type} ${op.id}`);
-          // Actual rollback logic would go here
-        } catch (rollbackError) {
-          console.error(`Rollback failed for ${op.id}:`, rollbackError);
-        }
-      }
-
-      // Return structured error
+      // Saga failures carry the step-by-step rollback report
       if (error instanceof APIError) {
         return errorResponse(c, error);
       }
@@ -434,14 +394,7 @@ compositeRoutes.post(
         new APIError(
           "COMPOSITE_OPERATION_FAILED",
           "Failed to complete case creation workflow",
-          {
-            error: error.message,
-            completedOperations: operations.filter(
-              (op) => op.status === "completed",
-            ),
-            failedAt: operations.find((op) => op.status === "failed"),
-            rollbackStatus: "attempted",
-          },
+          { error: error.message },
           500,
         ),
       );
@@ -453,9 +406,15 @@ compositeRoutes.post(
  * POST /api/composite/batch
  * Execute multiple operations in a single request
  * Supports both parallel and sequential processing
+ *
+ * With `atomic: true` the batch runs as a saga: any failed request rolls
+ * back the ones that succeeded using each request's `compensate` spec
+ * ({ method, endpoint, body }). `{{response.<path>}}` placeholders in the
+ * spec are filled from that request's response, e.g.
+ * `/api/chittycases/{{response.data.id}}`.
  */
 compositeRoutes.post("/batch", async (c) => {
-  const { requests, sequential = false } = await c.req.json();
+  const { requests, sequential = false, atomic = false } = await c.req.json();
 
   // Validate batch size
   if (!requests || requests.length === 0) {
@@ -482,17 +441,33 @@ compositeRoutes.post("/batch", async (c) => {
 
   try {
     // Process requests based on mode
-    const results = sequential
-      ? await processSequentially(requests, c, conversationId)
-      : await processInParallel(requests, c, conversationId);
+    const saga = atomic ? new Saga("batch") : null;
+    const results = atomic
+      ? await processAtomically(saga, requests, c, conversationId, sequential)
+      : sequential
+        ? await processSequentially(requests, c, conversationId)
+        : await processInParallel(requests, c, conversationId);
+    const report = saga?.report();
 
     // Analyze results
     const succeeded = results.filter((r) => r.status === "success");
     const failed = results.filter((r) => r.status === "error");
+    const rolledBack = results.filter((r) => r.rolledBack);
     const allSucceeded = failed.length === 0;
 
     // Determine response status code
-    const statusCode = allSucceeded ? 200 : 207; // 207 Multi-Status for partial success
+    let statusCode = allSucceeded ? 200 : 207; // 207 Multi-Status for partial success
+    let continuationHint =
+      failed.length > 0
+        ? `${failed.length} operations failed. Review the errors and retry if needed.`
+        : "All operations completed successfully.";
+    if (report && !allSucceeded) {
+      const clean = report.status === "rolled_back";
+      statusCode = clean ? 502 : 500;
+      continuationHint = clean
+        ? `Batch failed at ${report.failedStep} and ${rolledBack.length} completed operations were rolled back. It is safe to retry the whole batch.`
+        : `Batch failed at ${report.failedStep} and some operations could not be rolled back. Review the saga report before retrying.`;
+    }
 
     return c.json(
       {
@@ -500,21 +475,21 @@ compositeRoutes.post("/batch", async (c) => {
         batch: {
           size: requests.length,
           mode: sequential ? "sequential" : "parallel",
+          atomic,
           conversationId,
         },
         summary: {
           total: requests.length,
           succeeded: succeeded.length,
           failed: failed.length,
+          ...(report && { rolledBack: rolledBack.length }),
         },
         results,
+        ...(report && { saga: report }),
         context: {
           conversationId,
-          continuationHint:
-            failed.length > 0
-              ? `${failed.length} operations failed. Review the errors and retry if needed.`
-              : "All operations completed successfully.",
-          partialSuccess: !allSucceeded && succeeded.length > 0,
+          continuationHint,
+          partialSuccess: !allSucceeded && succeeded.length > rolledBack.length,
         },
         metadata: {
           timestamp: new Date().toISOString(),
@@ -537,6 +512,58 @@ compositeRoutes.post("/batch", async (c) => {
 });
 
 // Helper functions
+function jsonHeaders(token) {
+  return {
+    "Content-Type": "application/json",
+    Authorization: `Bearer ${token}`,
+  };
+}
+
+async function mintChittyId(token, body) {
+  const response = await fetch("https://id.chitty.cc/v1/mint", {
+    method: "POST",
+    headers: jsonHeaders(token),
+    body: JSON.stringify(body),
+  });
+  await expectOk(response, `ChittyID mint (${body.entity})`);
+  return response.json();
+}
+
+// Compensating actions used when a composite workflow rolls back
+
+async function voidChittyId(token, chittyId, reason) {
+  const response = await fetch("https://id.chitty.cc/v1/void", {
+    method: "POST",
+    headers: jsonHeaders(token),
+    body: JSON.stringify({ chittyid: chittyId, reason }),
+  });
+  await expectOk(response, `Void ChittyID ${chittyId}`);
+}
+
+async function closeCase(token, caseId, reason) {
+  const response = await fetch(
+    `https://cases.chitty.cc/v1/cases/${encodeURIComponent(caseId)}`,
+    {
+      method: "PATCH",
+      headers: jsonHeaders(token),
+      body: JSON.stringify({ status: "closed", closureReason: reason }),
+    },
+  );
+  await expectOk(response, `Close case ${caseId}`);
+}
+
+async function retractEvidence(token, evidenceId, reason) {
+  const response = await fetch(
+    `https://evidence.chitty.cc/v1/evidence/${encodeURIComponent(evidenceId)}/retract`,
+    {
+      method: "POST",
+      headers: jsonHeaders(token),
+      body: JSON.stringify({ reason }),
+    },
+  );
+  await expectOk(response, `Retract evidence ${evidenceId}`);
+}
+
 async function processInParallel(requests, c, conversationId) {
   return Promise.all(
     requests.map((req, index) => processRequest(req, c, conversationId, index)),
@@ -567,6 +594,127 @@ async function processSequentially(requests, c, conversationId) {
   return results;
 }
 
+/**
+ * Run a batch as a saga. Requests that never ran are reported as skipped;
+ * requests that ran and were compensated are flagged `rolledBack`.
+ */
+async function processAtomically(saga, requests, c, conversationId, sequential) {
+  const results = requests.map((request, index) => ({
+    id: request.id || `req_${index}`,
+    status: "skipped",
+    statusCode: null,
+    response: null,
+    error: null,
+  }));
+
+  const runStep = (request, index, previousContext = null) =>
+    saga.step(
+      results[index].id,
+      async () => {
+        const result = await processRequest(
+          request,
+          c,
+          conversationId,
+          index,
+          previousContext,
+        );
+        results[index] = result;
+        if (result.status !== "success") {
+          throw new Error(describeFailure(result));
+        }
+        return result;
+      },
+      request.compensate &&
+        (async (result) => {
+          await compensateRequest(request.compensate, result, c, conversationId, index);
+          result.rolledBack = true;
+        }),
+    );
+
+  try {
+    await saga.run(async () => {
+      if (sequential) {
+        let previousContext = null;
+        for (let i = 0; i < requests.length; i++) {
+          const result = await runStep(requests[i], i, previousContext);
+          previousContext = result.response?.context || previousContext;
+        }
+        return;
+      }
+
+      // Let every request settle so all successes have compensations registered
+      const settled = await Promise.allSettled(
+        requests.map((request, index) => runStep(request, index)),
+      );
+      const rejected = settled.find((s) => s.status === "rejected");
+      if (rejected) {
+        throw rejected.reason;
+      }
+    });
+  } catch (error) {
+    if (!(error instanceof SagaError)) {
+      throw error;
+    }
+  }
+
+  return results;
+}
+
+async function compensateRequest(spec, result, c, conversationId, index) {
+  const compensation = await processRequest(
+    {
+      id: `${result.id}:compensate`,
+      method: spec.method || "POST",
+      endpoint: fillTemplate(spec.endpoint, result, true),
+      body: fillTemplate(spec.body, result),
+      headers: spec.headers,
+    },
+    c,
+    conversationId,
+    index,
+  );
+  if (compensation.status !== "success") {
+    throw new Error(describeFailure(compensation));
+  }
+}
+
+/**
+ * Replace {{response.path}} placeholders in strings, arrays and objects.
+ * Values are URI-encoded when filling an endpoint. A placeholder that does
+ * not resolve throws rather than leaving a blank, so a compensation never
+ * runs against the wrong endpoint or with a half-filled body.
+ */
+function fillTemplate(value, source, encode = false) {
+  if (typeof value === "string") {
+    return value.replace(/\{\{\s*([\w.-]+)\s*\}\}/g, (_, path) => {
+      const resolved = path
+        .split(".")
+        .reduce((obj, key) => (obj == null ? undefined : obj[key]), source);
+      if (resolved == null) {
+        throw new Error(`Unresolved placeholder {{${path}}} in compensation spec`);
+      }
+      return encode ? encodeURIComponent(String(resolved)) : String(resolved);
+    });
+  }
+  if (Array.isArray(value)) {
+    return value.map((v) => fillTemplate(v, source));
+  }
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([k, v]) => [k, fillTemplate(v, source)]),
+    );
+  }
+  return value;
+}
+
+function describeFailure(result) {
+  const error = result.error;
+  return (
+    (typeof error === "string" ? error : error?.message) ||
+    `${result.id} returned ${result.statusCode}`
+  );
+}
+
 async function processRequest(
   request,
   c,
@@ -12,9 +12,47 @@
  */
 
 import { Hono } from "hono";
+import {
+  listConfirmApprovals,
+  getConfirmApproval,
+  decideConfirmApproval,
+} from "../../lib/git-policy.js";
+import { listConfirmations } from "../../lib/git-confirm-audit.js";
+import {
+  PROMPT_APPROVAL_PREFIX,
+  listPromptApprovals,
+  getPromptApproval,
+  checkReviewer,
+  decidePromptVersion,
+  activatePromptVersion,
+} from "../../lib/prompt-approvals.js";
+import { DEFAULT_TENANT } from "../../lib/webhook-registry.js";
 
 const dashboard = new Hono();
 
+function isAdmin(c) {
+  const keyInfo = c.get("apiKey") || {};
+  const role = keyInfo.role || keyInfo.scopes?.[0];
+  return role === "admin" || (keyInfo.scopes || []).includes("admin");
+}
+
+function tenantFor(c) {
+  return c.get("apiKey")?.metadata?.tenantId || DEFAULT_TENANT;
+}
+
+// Fingerprint of the credential `authenticate` accepted: the API key header,
+// else the Bearer token. Matches git-confirm's issuer fingerprint.
+async function keyFingerprint(c) {
+  const bearer = (c.req.header("Authorization") || "").match(/^Bearer\s+(.+)$/i);
+  const apiKey = c.req.header("X-ChittyOS-API-Key") || bearer?.[1].trim();
+  if (!apiKey) return null;
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(apiKey));
+  return [...new Uint8Array(digest)]
+    .map((b) => b.toString(16).padStart(2, "0"))
+    .join("")
+    .slice(0, 16);
+}
+
 // ============================================================================
 // CONTEXT ENTITIES - List, Get, Create
 // ============================================================================
@@ -642,9 +680,91 @@ dashboard.post("/contexts/:id/reactivate", async (c) => {
 // ACCESS APPROVALS
 // ============================================================================
 
+// Git confirmations held for approval (POST /api/git/confirm) share this
+// page with context access requests; their ids carry the gca_ prefix.
+const GIT_APPROVAL_PREFIX = "gca_";
+
+// Dashboard status filter -> git_confirm_approvals statuses
+const GIT_APPROVAL_STATUSES = {
+  pending: ["pending"],
+  approved: ["approved", "issued"],
+  denied: ["denied"],
+};
+
+function gitApprovalToDashboard(row) {
+  const approved = row.status === "approved" || row.status === "issued";
+  return {
+    id: row.id,
+    context_id: null,
+    context_chitty_id: null,
+    session_id: null,
+    project_path: row.repo_path,
+    support_type: "git",
+    trust_level: null,
+    payload: {
+      type: "git_confirmation",
+      request_type: `git:${row.intent}`,
+      status: approved ? "approved" : row.status,
+      intent: row.intent,
+      repo_path: row.repo_path,
+      remote: row.remote,
+      ref: row.ref,
+      reason: row.reason,
+      tenant_id: row.tenant_id,
+      token_issued: row.status === "issued",
+      ...(approved && { approved_by: row.decided_by, notes: row.decision_notes }),
+      ...(row.status === "denied" && {
+        denied_by: row.decided_by,
+        denial_reason: row.decision_notes,
+      }),
+    },
+    timestamp: row.created_at,
+  };
+}
+
+// Prompt versions staged by authorGate.requireApproval (pv_ ids).
+// Approving here also activates the version.
+const PROMPT_APPROVAL_STATUSES = {
+  pending: ["pending"],
+  approved: ["approved", "active", "superseded"],
+  denied: ["rejected"],
+};
+
+function promptApprovalToDashboard(row) {
+  const status =
+    row.status === "pending" ? "pending" : row.status === "rejected" ? "denied" : "approved";
+  return {
+    id: `${PROMPT_APPROVAL_PREFIX}${row.id}`,
+    context_id: null,
+    context_chitty_id: null,
+    session_id: null,
+    project_path: row.domain,
+    support_type: "prompt",
+    trust_level: null,
+    payload: {
+      type: "prompt_version",
+      request_type: `prompt:${row.domain}`,
+      status,
+      prompt_id: row.prompt_id,
+      version: row.version,
+      version_status: row.status,
+      changelog: row.changelog,
+      author: row.created_by,
+      reviewers: JSON.parse(row.reviewers || "[]"),
+      ...(status === "approved" && { approved_by: row.decided_by, notes: row.decision_notes }),
+      ...(status === "denied" && {
+        denied_by: row.decided_by,
+        denial_reason: row.decision_notes,
+      }),
+    },
+    timestamp: row.submitted_at,
+  };
+}
+
 /**
  * GET /dashboard/approvals
- * List pending access approval requests
+ * List pending access approval requests, git confirmations and prompt
+ * versions awaiting review
  */
 dashboard.get("/approvals", async (c) => {
   try {
@@ -677,14 +797,39 @@ dashboard.get("/approvals", async (c) => {
       .bind(status, parseInt(limit))
       .all();
 
+    const gitStatuses = GIT_APPROVAL_STATUSES[status];
+    const gitApprovals = gitStatuses
+      ? await listConfirmApprovals(c.env, {
+          statuses: gitStatuses,
+          tenantId: isAdmin(c) ? undefined : tenantFor(c),
+          limit: parseInt(limit),
+        })
+      : [];
+
+    const promptStatuses = PROMPT_APPROVAL_STATUSES[status];
+    const promptApprovals = promptStatuses
+      ? await listPromptApprovals(c.env, {
+          statuses: promptStatuses,
+          limit: parseInt(limit),
+        })
+      : [];
+
+    const merged = [
+      ...approvals.results.map((a) => ({
+        ...a,
+        payload: JSON.parse(a.payload || "{}"),
+        timestamp: new Date(a.timestamp * 1000).toISOString(),
+      })),
+      ...gitApprovals.map(gitApprovalToDashboard),
+      ...promptApprovals.map(promptApprovalToDashboard),
+    ]
+      .sort((a, b) => b.timestamp.localeCompare(a.timestamp))
+      .slice(0, parseInt(limit));
+
     return c.json({
       success: true,
       data: {
-        approvals: approvals.results.map((a) => ({
-          ...a,
-          payload: JSON.parse(a.payload || "{}"),
-          timestamp: new Date(a.timestamp * 1000).toISOString(),
-        })),
+        approvals: merged,
       },
     });
   } catch (error) {
@@ -703,6 +848,14 @@ dashboard.post("/approvals/:id/approve", async (c) => {
     const approvalId = c.req.param("id");
     const { approver_chitty_id, notes } = await c.req.json();
 
+    // Git and prompt approvals are decided by the authenticated caller
+    if (approvalId.startsWith(GIT_APPROVAL_PREFIX)) {
+      return decideGitApproval(c, approvalId, { status: "approved", notes });
+    }
+    if (approvalId.startsWith(PROMPT_APPROVAL_PREFIX)) {
+      return decidePromptApproval(c, approvalId, { status: "approved", notes });
+    }
+
     // Get the original request
     const request = await db
       .prepare(
@@ -782,6 +935,13 @@ dashboard.post("/approvals/:id/deny", async (c) => {
     const approvalId = c.req.param("id");
     const { denier_chitty_id, reason } = await c.req.json();
 
+    if (approvalId.startsWith(GIT_APPROVAL_PREFIX)) {
+      return decideGitApproval(c, approvalId, { status: "denied", notes: reason });
+    }
+    if (approvalId.startsWith(PROMPT_APPROVAL_PREFIX)) {
+      return decidePromptApproval(c, approvalId, { status: "rejected", notes: reason });
+    }
+
     const request = await db
       .prepare(
         `
@@ -835,6 +995,139 @@ dashboard.post("/approvals/:id/deny", async (c) => {
   }
 });
 
+/**
+ * Approve or deny a held git confirmation as the calling API key. The key
+ * that requested the confirmation cannot decide it, a caller whose key
+ * cannot be fingerprinted cannot decide at all, and only admins may decide
+ * for another tenant. Approval does not issue the token; the
+ * requester collects it from /api/git/confirm/approvals/:id/token.
+ */
+async function decideGitApproval(c, approvalId, { status, notes }) {
+  const apiKey = c.get("apiKey") || {};
+  const approval = await getConfirmApproval(c.env, approvalId);
+  if (!approval || (approval.tenant_id !== tenantFor(c) && !isAdmin(c))) {
+    return c.json({ success: false, error: "Approval request not found" }, 404);
+  }
+  const fingerprint = await keyFingerprint(c);
+  if (!fingerprint) {
+    return c.json(
+      { success: false, error: "Caller identity could not be established" },
+      403,
+    );
+  }
+  if (approval.issuer_fingerprint === fingerprint) {
+    return c.json(
+      { success: false, error: "Requesters cannot decide their own confirmation" },
+      403,
+    );
+  }
+  const decision = { status, notes, decidedBy: apiKey.name || apiKey.userId || null };
+  if (approval.status !== "pending") {
+    return c.json(
+      {
+        success: false,
+        error:
+          approval.status === "expired"
+            ? "Request expired"
+            : "Request already processed",
+      },
+      400,
+    );
+  }
+
+  const decided = await decideConfirmApproval(c.env, approvalId, decision);
+  if (!decided) {
+    return c.json({ success: false, error: "Request already processed" }, 400);
+  }
+
+  return c.json({
+    success: true,
+    data: {
+      approval_id: approvalId,
+      status: decision.status,
+      ...(decision.status === "approved"
+        ? { approver: decision.decidedBy }
+        : { denier: decision.decidedBy, reason: decision.notes }),
+      intent: approval.intent,
+      repo_path: approval.repo_path,
+      ref: approval.ref,
+    },
+  });
+}
+
+/**
+ * Approve (and activate) or reject a pending prompt version as the calling
+ * API key, under the same reviewer rules as /api/prompts.
+ */
+async function decidePromptApproval(c, approvalId, { status, notes }) {
+  const apiKey = c.get("apiKey") || {};
+  const version = await getPromptApproval(c.env, approvalId);
+  if (!version) {
+    return c.json({ success: false, error: "Approval request not found" }, 404);
+  }
+  const decision = { status, notes, decidedBy: apiKey.chittyId || apiKey.userId || null };
+  const reviewerCheck = checkReviewer(version, decision.decidedBy, { isAdmin: isAdmin(c) });
+  if (!reviewerCheck.allowed) {
+    return c.json({ success: false, error: reviewerCheck.reason }, 403);
+  }
+  if (version.status !== "pending") {
+    return c.json({ success: false, error: "Request already processed" }, 400);
+  }
+
+  const decided = await decidePromptVersion(
+    c.env,
+    version.prompt_id,
+    version.version,
+    decision,
+  );
+  if (!decided) {
+    return c.json({ success: false, error: "Request already processed" }, 400);
+  }
+  if (decision.status === "approved") {
+    await activatePromptVersion(c.env, version);
+  }
+
+  return c.json({
+    success: true,
+    data: {
+      approval_id: approvalId,
+      status: decision.status === "approved" ? "approved" : "denied",
+      ...(decision.status === "approved"
+        ? { approver: decision.decidedBy }
+        : { denier: decision.decidedBy, reason: decision.notes }),
+      prompt_id: version.prompt_id,
+      version: version.version,
+    },
+  });
+}
+
+/**
+ * GET /dashboard/git-confirmations
+ * Recent git confirmation tokens (audit trail panel). Callers see their own
+ * tenant; admins may pick one with ?tenant= or omit it to see every tenant.
+ */
+dashboard.get("/git-confirmations", async (c) => {
+  try {
+    const { tenant, repo_path, ref, caller, status, limit = 50 } = c.req.query();
+    const confirmations = await listConfirmations(c.env, {
+      tenantId: isAdmin(c) ? tenant : tenantFor(c),
+      repoPath: repo_path,
+      ref,
+      caller,
+      status,
+      limit,
+    });
+
+    return c.json({
+      success: true,
+      data: { confirmations },
+    });
+  } catch (error) {
+    console.error("[Dashboard] List git confirmations error:", error);
+    return c.json({ success: false, error: error.message }, 500);
+  }
+});
+
 // ============================================================================
 // ALCHEMY SUGGESTIONS - MCP Tool Recommendations
 // ============================================================================
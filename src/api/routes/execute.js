@@ -21,6 +21,24 @@
 import { Hono } from "hono";
 import { Client } from "@neondatabase/serverless";
 import { getCredential } from "../../lib/credential-helper.js";
+import {
+  classifySql,
+  missingSqlScope,
+  resolveSqlLimits,
+  executeGuarded,
+  recordSqlAudit,
+  SqlRejectedError,
+} from "../../lib/sql-guard.js";
+import {
+  isPageable,
+  keysetError,
+  cursorOwner,
+  fetchPage,
+  openReadCursor,
+  streamCursorNdjson,
+  loadCursorState,
+  advanceCursor,
+} from "../../lib/sql-cursor.js";
 
 const executeRoutes = new Hono();
 
@@ -32,33 +50,121 @@ const executeRoutes = new Hono();
  * POST /sql
  * Execute a SQL query against a Neon database.
  *
- * Body: { database: string, query: string, params?: any[] }
+ * Body: { database: string, query: string, params?: any[], maxRows?: number,
+ *         timeoutMs?: number, pageSize?: number, keyset?: string[], stream?: boolean }
  *   database: "chittyos-core" | "chittycommand" | "chittycounsel" | connection-string
  *
+ * Large read results:
+ *   pageSize — return one page plus an opaque `nextCursor`; continue with
+ *              POST /sql/next. Requires `keyset`: the result column(s)
+ *              that uniquely order the rows, e.g. ["id"]. Pages are
+ *              ordered by the keyset, not the query's own ORDER BY.
+ *   stream   — (or `Accept: application/x-ndjson`) stream every row as NDJSON
+ *              from a server-side cursor instead of buffering the result.
+ *
  * The database name maps to a known Neon connection string via the credential
- * broker. Raw connection strings are also accepted for flexibility.
+ * broker. Raw connection strings require the sql:ddl scope.
+ *
+ * Every statement passes through the SQL guard (lib/sql-guard.js): it is
+ * classified as read/write/ddl and checked against the key's sql:* scope,
+ * costed with EXPLAIN, run under row and statement_timeout limits, and
+ * audited to sql_audit_log.
  */
 executeRoutes.post("/sql", async (c) => {
   try {
-    const { database, query, params = [] } = await c.req.json();
+    const body = await c.req.json();
+    const { database, query, params = [], maxRows, timeoutMs, pageSize, keyset } = body;
+    const stream =
+      body.stream === true ||
+      (c.req.header("Accept") || "").includes("application/x-ndjson");
+    const paged = pageSize !== undefined && pageSize !== null;
 
     if (!database || !query) {
       return c.json({ error: "database and query required" }, 400);
     }
 
+    const keyInfo = c.get("apiKey") || {};
+    const classification = classifySql(query);
+    if (classification.statementCount > 1) {
+      return c.json(
+        { error: "Only one statement per query; use /sql/batch for several", type: "sql_multiple_statements" },
+        400,
+      );
+    }
+
+    const audit = auditBase(keyInfo, database, query, params, classification);
+    const denied = await checkSqlAccess(c.env, keyInfo, database, classification, audit);
+    if (denied) {
+      return c.json(denied, 403);
+    }
+
+    if ((stream || paged) && !isPageable(classification)) {
+      return c.json(
+        {
+          error: "Only a single SELECT, WITH, VALUES or TABLE query can be paged or streamed",
+          type: "sql_not_pageable",
+        },
+        400,
+      );
+    }
+    if (paged && isRawConnectionString(database)) {
+      return c.json(
+        { error: "Raw connection strings cannot be paged; use stream instead", type: "sql_not_pageable" },
+        400,
+      );
+    }
+    if (paged && keysetError(keyset)) {
+      return c.json({ error: keysetError(keyset), type: "sql_not_pageable" }, 400);
+    }
+    if (paged && !c.env.TOKEN_KV) {
+      return c.json({ error: "SQL cursor store not configured" }, 503);
+    }
+    const owner = paged ? await cursorOwner(presentedCredential(c)) : null;
+    if (paged && !owner) {
+      return c.json({ error: "Paging requires an API key or bearer token", type: "sql_not_pageable" }, 403);
+    }
+
     const connectionString = await resolveNeonConnection(c.env, database);
     if (!connectionString) {
       return c.json({ error: `Unknown database: ${database}` }, 400);
     }
 
+    const limits = resolveSqlLimits(c.env, keyInfo, { maxRows, timeoutMs });
+
+    if (stream) {
+      return await streamQuery(c, { connectionString, query, params, limits, audit });
+    }
+
+    if (paged) {
+      const state = {
+        source: "execute",
+        database,
+        query,
+        params,
+        keyset,
+        after: null,
+        pageSize: clampPageSize(pageSize, limits),
+        actor: owner,
+      };
+      return await servePage(c, { connectionString, state, audit, limits });
+    }
+
     const client = new Client(connectionString);
     await client.connect();
     try {
-      const result = await client.query(query, params);
+      const outcome = await runAudited(c.env, audit, () =>
+        executeGuarded(client, { query, params, classification, limits }),
+      );
+      if (outcome.rejected) {
+        return c.json(outcome.rejected, 422);
+      }
+      const { result, rows, truncated, planCost } = outcome;
       return c.json({
-        rows: result.rows,
+        rows,
         rowCount: result.rowCount,
         fields: result.fields?.map((f) => ({ name: f.name, dataTypeID: f.dataTypeID })),
+        truncated,
+        guard: { kind: classification.kind, planCost, limits },
       });
     } finally {
       await client.end();
@@ -72,11 +178,56 @@ executeRoutes.post("/sql", async (c) => {
   }
 });
 
+/**
+ * POST /sql/next
+ * Fetch the next page of a paged query.
+ *
+ * Body: { cursor: string } — the `nextCursor` from the previous page.
+ * Cursors expire after 15 minutes and only work for the credential that
+ * opened them. Retrying a cursor returns the same page.
+ */
+executeRoutes.post("/sql/next", async (c) => {
+  try {
+    const { cursor } = await c.req.json();
+    if (!cursor) {
+      return c.json({ error: "cursor required" }, 400);
+    }
+    if (!c.env.TOKEN_KV) {
+      return c.json({ error: "SQL cursor store not configured" }, 503);
+    }
+
+    const keyInfo = c.get("apiKey") || {};
+    const state = await loadCursorState(c.env, cursor, await cursorOwner(presentedCredential(c)));
+    if (!state || state.source !== "execute") {
+      return c.json({ error: "Cursor not found or expired", type: "sql_cursor_not_found" }, 404);
+    }
+
+    const connectionString = await resolveNeonConnection(c.env, state.database);
+    if (!connectionString) {
+      return c.json({ error: `Unknown database: ${state.database}` }, 400);
+    }
+
+    const classification = classifySql(state.query);
+    const audit = auditBase(keyInfo, state.database, state.query, state.params, classification);
+    const limits = resolveSqlLimits(c.env, keyInfo);
+    return await servePage(c, { connectionString, state, audit, limits });
+  } catch (error) {
+    console.error("[Execute/SQL/Next]", error);
+    return c.json(
+      { error: error.message, type: "sql_execution_error" },
+      500,
+    );
+  }
+});
+
 /**
  * POST /sql/batch
  * Execute multiple SQL statements in sequence (not a transaction).
  *
  * Body: { database: string, statements: Array<{ query: string, params?: any[] }> }
+ *
+ * All statements are scope-checked before any runs; a single denial rejects
+ * the whole batch.
  */
 executeRoutes.post("/sql/batch", async (c) => {
   try {
@@ -86,20 +237,52 @@ executeRoutes.post("/sql/batch", async (c) => {
       return c.json({ error: "database and statements[] required" }, 400);
     }
 
+    const keyInfo = c.get("apiKey") || {};
+    const planned = statements.map((stmt) => {
+      const classification = classifySql(stmt.query);
+      return {
+        query: stmt.query,
+        params: stmt.params || [],
+        classification,
+        audit: auditBase(keyInfo, database, stmt.query, stmt.params, classification),
+      };
+    });
+
+    if (planned.some((p) => p.classification.statementCount !== 1)) {
+      return c.json(
+        { error: "Each batch entry must contain exactly one statement", type: "sql_multiple_statements" },
+        400,
+      );
+    }
+
+    for (const [index, stmt] of planned.entries()) {
+      const denied = await checkSqlAccess(c.env, keyInfo, database, stmt.classification, stmt.audit);
+      if (denied) {
+        return c.json({ ...denied, index }, 403);
+      }
+    }
+
     const connectionString = await resolveNeonConnection(c.env, database);
     if (!connectionString) {
       return c.json({ error: `Unknown database: ${database}` }, 400);
     }
 
+    const limits = resolveSqlLimits(c.env, keyInfo);
     const client = new Client(connectionString);
     await client.connect();
     try {
       const results = [];
-      for (const stmt of statements) {
-        const result = await client.query(stmt.query, stmt.params || []);
+      for (const [index, stmt] of planned.entries()) {
+        const outcome = await runAudited(c.env, stmt.audit, () =>
+          executeGuarded(client, { ...stmt, limits }),
+        );
+        if (outcome.rejected) {
+          return c.json({ ...outcome.rejected, index, results }, 422);
+        }
         results.push({
-          rows: result.rows,
-          rowCount: result.rowCount,
+          rows: outcome.rows,
+          rowCount: outcome.result.rowCount,
+          truncated: outcome.truncated,
         });
       }
       return c.json({ results, count: results.length });
@@ -115,6 +298,176 @@ executeRoutes.post("/sql/batch", async (c) => {
   }
 });
 
+function isRawConnectionString(database) {
+  return database.startsWith("postgresql://") || database.startsWith("postgres://");
+}
+
+function presentedCredential(c) {
+  return (
+    c.req.header("X-ChittyOS-API-Key") ||
+    (c.req.header("Authorization") || "").replace(/^Bearer\s+/i, "") ||
+    null
+  );
+}
+
+function actorFor(keyInfo) {
+  return keyInfo.userId || keyInfo.service || keyInfo.name || null;
+}
+
+function clampPageSize(pageSize, limits) {
+  const size = Math.floor(Number(pageSize)) || limits.maxRows;
+  return Math.min(Math.max(size, 1), limits.maxRows);
+}
+
+function auditBase(keyInfo, database, query, params, classification) {
+  return {
+    actor: actorFor(keyInfo),
+    // Never persist credentials embedded in a raw connection string
+    database: isRawConnectionString(database) ? "raw-connection" : database,
+    query,
+    paramCount: Array.isArray(params) ? params.length : 0,
+    kind: classification.kind,
+  };
+}
+
+/**
+ * Scope check for one statement. Returns a 403 body (after auditing the
+ * denial) or null when the key may run it.
+ */
+async function checkSqlAccess(env, keyInfo, database, classification, audit) {
+  const required = isRawConnectionString(database)
+    ? missingSqlScope(keyInfo, "ddl")
+    : missingSqlScope(keyInfo, classification.kind);
+  if (!required) return null;
+
+  const error = isRawConnectionString(database)
+    ? `Raw connection strings require the ${required} scope`
+    : `${classification.keyword || "This"} statement requires the ${required} scope`;
+  await recordSqlAudit(env, { ...audit, outcome: "denied", reason: error });
+  return { error, type: "sql_scope_denied", requiredScope: required, kind: classification.kind };
+}
+
+/**
+ * Run a guarded statement and audit the outcome. Plan-cost rejections are
+ * returned as { rejected }; other errors are rethrown.
+ *
+ * @param {Function} run - async () => outcome with rows and planCost
+ */
+async function runAudited(env, audit, run) {
+  const started = Date.now();
+  try {
+    const outcome = await run();
+    await recordSqlAudit(env, {
+      ...audit,
+      outcome: "executed",
+      planCost: outcome.planCost,
+      rowCount: outcome.result?.rowCount ?? outcome.rows.length,
+      truncated: outcome.truncated,
+      durationMs: Date.now() - started,
+    });
+    return outcome;
+  } catch (error) {
+    const rejected = error instanceof SqlRejectedError;
+    await recordSqlAudit(env, {
+      ...audit,
+      outcome: rejected ? "rejected" : "error",
+      reason: error.message,
+      planCost: error.planCost,
+      durationMs: Date.now() - started,
+    });
+    if (rejected) {
+      return { rejected: rejectionBody(error) };
+    }
+    throw error;
+  }
+}
+
+function rejectionBody(error) {
+  return {
+    error: error.message,
+    type: error.type || "sql_cost_exceeded",
+    planCost: error.planCost,
+    maxCost: error.maxCost,
+  };
+}
+
+/**
+ * Fetch one cursor page and issue the continuation token for the next.
+ */
+async function servePage(c, { connectionString, state, audit, limits }) {
+  const client = new Client(connectionString);
+  await client.connect();
+  try {
+    const page = await runAudited(c.env, audit, () =>
+      fetchPage(client, { ...state, limits }),
+    );
+    if (page.rejected) {
+      return c.json(page.rejected, 422);
+    }
+    return c.json({
+      rows: page.rows,
+      rowCount: page.rows.length,
+      fields: page.fields,
+      hasMore: page.hasMore,
+      nextCursor: await advanceCursor(c.env, state, page),
+      guard: { kind: "read", planCost: page.planCost, limits },
+    });
+  } finally {
+    await client.end();
+  }
+}
+
+/**
+ * Stream a read query as NDJSON from a server-side cursor. The cost check
+ * runs before the response starts so rejections are still plain JSON; the
+ * audit row is written when the stream finishes.
+ */
+async function streamQuery(c, { connectionString, query, params, limits, audit }) {
+  const started = Date.now();
+  const client = new Client(connectionString);
+  await client.connect();
+
+  let planCost;
+  try {
+    ({ planCost } = await openReadCursor(client, { query, params, limits }));
+  } catch (error) {
+    await client.end();
+    const rejected = error instanceof SqlRejectedError;
+    await recordSqlAudit(c.env, {
+      ...audit,
+      outcome: rejected ? "rejected" : "error",
+      reason: error.message,
+      planCost: error.planCost,
+      durationMs: Date.now() - started,
+    });
+    if (rejected) {
+      return c.json(rejectionBody(error), 422);
+    }
+    throw error;
+  }
+
+  const body = streamCursorNdjson(client, {
+    maxRows: Number(c.env.SQL_MAX_STREAM_ROWS) || undefined,
+    onComplete: ({ rowCount, truncated, error }) =>
+      recordSqlAudit(c.env, {
+        ...audit,
+        outcome: error ? "error" : "executed",
+        reason: error?.message,
+        planCost,
+        rowCount,
+        truncated,
+        durationMs: Date.now() - started,
+      }),
+  });
+
+  return new Response(body, {
+    headers: {
+      "Content-Type": "application/x-ndjson",
+      "Cache-Control": "no-store",
+    },
+  });
+}
+
 // ============================================
 // HTTP EXECUTION (Generic fetch with credentials)
 // ============================================
@@ -224,7 +577,7 @@ const KNOWN_DATABASES = {
 
 async function resolveNeonConnection(env, database) {
   // Direct connection string
-  if (database.startsWith("postgresql://") || database.startsWith("postgres://")) {
+  if (isRawConnectionString(database)) {
     return database;
   }
 
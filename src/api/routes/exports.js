@@ -2,6 +2,8 @@
  * R2 Export Download Route
  *
  * Streams exported files (PDFs, proof bundles) from R2 without buffering.
+ * Tenant export bundles (exports/tenants/…) hold a tenant's full data, so
+ * they are limited to admin callers.
  *
  * @module api/routes/exports
  */
@@ -13,6 +15,15 @@ export const exportRoutes = new Hono();
 exportRoutes.get("/:key{.+}", async (c) => {
   const key = c.req.param("key");
 
+  if (key.startsWith("tenants/")) {
+    const keyInfo = c.get("apiKey") || c.get("auth") || {};
+    const role = keyInfo.role || keyInfo.scopes?.[0];
+    const scopes = keyInfo.scopes || [];
+    if (role !== "admin" && !scopes.includes("admin")) {
+      return c.json({ error: "Admin scope required for tenant exports" }, 403);
+    }
+  }
+
   if (!c.env.FILES) {
     return c.json({ error: "Storage not configured" }, 503);
   }
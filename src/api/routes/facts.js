@@ -0,0 +1,279 @@
+/**
+ * Fact Governance Routes
+ *
+ * Explains and administers fact lifecycle RBAC (src/lib/fact-rbac.js):
+ * effective action policies per tenant, tenant overrides, and time-boxed
+ * case-scoped delegations. The tenant is the API key's tenant
+ * (metadata.tenantId), falling back to the default tenant; the caller's
+ * ChittyID is the key's metadata.chittyId.
+ *
+ * Mounted at /api/v1/facts.
+ */
+
+import { Hono } from "hono";
+import { DEFAULT_TENANT } from "../../lib/webhook-registry.js";
+import {
+  FACT_ACTION_NAMES,
+  explainFactPermissions,
+  listFactPolicies,
+  validateFactPolicy,
+  upsertFactPolicy,
+  deleteFactPolicy,
+  createDelegation,
+  listDelegations,
+  revokeDelegation,
+} from "../../lib/fact-rbac.js";
+
+const factRoutes = new Hono();
+
+function tenantFor(c) {
+  return c.get("apiKey")?.metadata?.tenantId || DEFAULT_TENANT;
+}
+
+function callerFor(c) {
+  const keyInfo = c.get("apiKey") || {};
+  return keyInfo.userId || keyInfo.service || keyInfo.name || null;
+}
+
+function chittyIdFor(c) {
+  return c.get("apiKey")?.metadata?.chittyId || null;
+}
+
+function isAdmin(c) {
+  const keyInfo = c.get("apiKey") || {};
+  const role = keyInfo.role || keyInfo.scopes?.[0];
+  return role === "admin" || (keyInfo.scopes || []).includes("admin");
+}
+
+function requireAdmin(c) {
+  if (!isAdmin(c)) {
+    return c.json({ error: "FORBIDDEN", message: "Admin role required" }, 403);
+  }
+  return null;
+}
+
+/**
+ * Policies of another tenant, and the global ("*") policy, belong to the
+ * platform: admins of the default tenant.
+ */
+function requirePolicyTenant(c, tenantId) {
+  if (tenantId !== tenantFor(c) && tenantFor(c) !== DEFAULT_TENANT) {
+    return c.json(
+      { error: "FORBIDDEN", message: "Only platform admins may change another tenant's or the global policy" },
+      403,
+    );
+  }
+  return null;
+}
+
+function requireDb(c) {
+  if (!c.env.DB) {
+    return c.json({ error: "RBAC_STORE_UNAVAILABLE", message: "Fact governance store not configured" }, 503);
+  }
+  return null;
+}
+
+/**
+ * GET /api/v1/facts/permissions/:chittyId?case_id=
+ *
+ * Every fact action with whether the entity may perform it and why: its
+ * entity type and trust against the effective policy, or the delegation
+ * that grants it for `case_id`.
+ */
+factRoutes.get("/permissions/:chittyId", async (c) => {
+  try {
+    const explanation = await explainFactPermissions(c.env, c.req.param("chittyId"), {
+      tenantId: tenantFor(c),
+      caseId: c.req.query("case_id") || undefined,
+    });
+    return c.json(explanation);
+  } catch (error) {
+    return c.json({ error: "RBAC_STORE_UNAVAILABLE", message: error.message }, 503);
+  }
+});
+
+/**
+ * GET /api/v1/facts/policies
+ * Effective policy per action for the caller's tenant.
+ */
+factRoutes.get("/policies", async (c) => {
+  try {
+    const tenantId = tenantFor(c);
+    return c.json({ tenant_id: tenantId, policies: await listFactPolicies(c.env, { tenantId }) });
+  } catch (error) {
+    return c.json({ error: "RBAC_STORE_UNAVAILABLE", message: error.message }, 503);
+  }
+});
+
+/**
+ * PUT /api/v1/facts/policies/:action
+ * Body: { entity_types: string[]|null, min_trust: 0-5, tenant_id?: string|"*" }
+ *
+ * Admin only. Without tenant_id the caller's tenant is overridden; "*"
+ * (the global policy) and other tenants are for platform admins only.
+ */
+factRoutes.put("/policies/:action", async (c) => {
+  const denied = requireAdmin(c) || requireDb(c);
+  if (denied) return denied;
+
+  const action = c.req.param("action");
+  if (!FACT_ACTION_NAMES.includes(action)) {
+    return c.json({ error: "UNKNOWN_ACTION", message: `action must be one of ${FACT_ACTION_NAMES.join(", ")}` }, 404);
+  }
+  let input;
+  try {
+    input = await c.req.json();
+  } catch {
+    return c.json({ error: "INVALID_BODY", message: "Request body must be valid JSON" }, 400);
+  }
+  const invalid = validateFactPolicy(input);
+  if (invalid) {
+    return c.json({ error: "INVALID_POLICY", message: invalid }, 400);
+  }
+  const tenantId = input.tenant_id || tenantFor(c);
+  const forbidden = requirePolicyTenant(c, tenantId);
+  if (forbidden) return forbidden;
+
+  try {
+    const policy = await upsertFactPolicy(
+      c.env,
+      {
+        action,
+        tenantId,
+        entity_types: input.entity_types,
+        min_trust: input.min_trust,
+      },
+      callerFor(c),
+    );
+    return c.json({ policy });
+  } catch (error) {
+    return c.json({ error: "RBAC_STORE_UNAVAILABLE", message: error.message }, 500);
+  }
+});
+
+/**
+ * DELETE /api/v1/facts/policies/:action?tenant_id=
+ * Admin only, and platform admins only for another tenant. Removes a
+ * tenant override; the global policy applies again.
+ */
+factRoutes.delete("/policies/:action", async (c) => {
+  const denied = requireAdmin(c) || requireDb(c);
+  if (denied) return denied;
+
+  const tenantId = c.req.query("tenant_id") || tenantFor(c);
+  if (tenantId === "*") {
+    return c.json({ error: "INVALID_TENANT", message: "The global policy can be changed but not deleted" }, 400);
+  }
+  const forbidden = requirePolicyTenant(c, tenantId);
+  if (forbidden) return forbidden;
+  try {
+    const deleted = await deleteFactPolicy(c.env, c.req.param("action"), tenantId);
+    if (!deleted) {
+      return c.json({ error: "POLICY_NOT_FOUND", message: "No override for this action and tenant" }, 404);
+    }
+    return c.json({ deleted: true });
+  } catch (error) {
+    return c.json({ error: "RBAC_STORE_UNAVAILABLE", message: error.message }, 500);
+  }
+});
+
+/**
+ * POST /api/v1/facts/delegations
+ * Body: { delegate_chitty_id, action, case_id, expires_at, starts_at?,
+ *         reason?, delegator_chitty_id? }
+ *
+ * The delegator is the caller's own ChittyID; only admins may name another
+ * delegator. The delegator must hold the permission itself; delegations
+ * last at most MAX_DELEGATION_SECONDS.
+ */
+factRoutes.post("/delegations", async (c) => {
+  const denied = requireDb(c);
+  if (denied) return denied;
+
+  let body;
+  try {
+    body = await c.req.json();
+  } catch {
+    return c.json({ error: "INVALID_BODY", message: "Request body must be valid JSON" }, 400);
+  }
+  const delegatorChittyId = body?.delegator_chitty_id || chittyIdFor(c);
+  if (delegatorChittyId !== chittyIdFor(c) && !isAdmin(c)) {
+    return c.json(
+      { error: "FORBIDDEN", message: "Delegations can only be granted by the caller's own ChittyID" },
+      403,
+    );
+  }
+
+  try {
+    const result = await createDelegation(c.env, {
+      tenantId: tenantFor(c),
+      delegatorChittyId,
+      delegateChittyId: body?.delegate_chitty_id,
+      action: body?.action,
+      caseId: body?.case_id,
+      startsAt: body?.starts_at,
+      expiresAt: body?.expires_at,
+      reason: body?.reason,
+      createdBy: callerFor(c),
+    });
+    if (result.error) {
+      return c.json(
+        { error: result.status === 403 ? "DELEGATOR_NOT_PERMITTED" : "INVALID_DELEGATION", message: result.error },
+        result.status,
+      );
+    }
+    return c.json({ delegation: result.delegation }, 201);
+  } catch (error) {
+    return c.json({ error: "RBAC_STORE_UNAVAILABLE", message: error.message }, 500);
+  }
+});
+
+/**
+ * GET /api/v1/facts/delegations?chitty_id=&include_inactive=true
+ */
+factRoutes.get("/delegations", async (c) => {
+  const denied = requireDb(c);
+  if (denied) return denied;
+  try {
+    const delegations = await listDelegations(c.env, {
+      tenantId: tenantFor(c),
+      chittyId: c.req.query("chitty_id"),
+      includeInactive: c.req.query("include_inactive") === "true",
+    });
+    return c.json({ delegations, count: delegations.length });
+  } catch (error) {
+    return c.json({ error: "RBAC_STORE_UNAVAILABLE", message: error.message }, 500);
+  }
+});
+
+/**
+ * DELETE /api/v1/facts/delegations/:id
+ *
+ * Only the delegator (the caller's own ChittyID) or an admin may revoke;
+ * other callers' delegations 404.
+ */
+factRoutes.delete("/delegations/:id", async (c) => {
+  const denied = requireDb(c);
+  if (denied) return denied;
+  if (!chittyIdFor(c) && !isAdmin(c)) {
+    return c.json(
+      { error: "FORBIDDEN", message: "Delegations can only be revoked by the caller's own ChittyID" },
+      403,
+    );
+  }
+  try {
+    const revoked = await revokeDelegation(c.env, c.req.param("id"), {
+      tenantId: tenantFor(c),
+      delegatorChittyId: isAdmin(c) ? undefined : chittyIdFor(c),
+      revokedBy: callerFor(c),
+    });
+    if (!revoked) {
+      return c.json({ error: "DELEGATION_NOT_FOUND", message: "No active delegation with this id" }, 404);
+    }
+    return c.json({ revoked: true });
+  } catch (error) {
+    return c.json({ error: "RBAC_STORE_UNAVAILABLE", message: error.message }, 500);
+  }
+});
+
+export { factRoutes };
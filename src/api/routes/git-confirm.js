@@ -3,8 +3,8 @@
  *
  * Implements POST /api/git/confirm per chittyos/chittyconnect#210.
  * Issues short-TTL (90s) confirmation tokens that the write tools
- * (`git_push` with `force=true`, future `git_reset --hard`, etc.) must redeem
- * on the actual mutation request.
+ * (`git_push` with `force=true`, `git_reset --hard`, branch/tag deletion,
+ * history rewrites) must redeem on the actual mutation request.
  *
  * Tokens are scoped: a token issued for `intent="force_push"`,
  * `repo_path="/abs/path"`, `remote="origin"`, `ref="refs/heads/foo"` can only
@@ -13,9 +13,23 @@
  *
  * Hard-deny rule: tokens for force-push to a repo's default branch
  * (`main` / `master`) are refused at issue time, not just at redeem time —
- * per CHARTER.md "Force-push to main/master is hard-denied."
+ * per CHARTER.md "Force-push to main/master is hard-denied." The same
+ * applies to every branch-rewriting intent, and tenants can protect further
+ * refs per repo via `git_repo_allowlist.protected_branches` (see
+ * src/lib/git-policy.js). The main/master hard-deny is enforced here,
+ * whatever the bundle says; for every other ref, whether it is refused and
+ * with which code is decided by the policy bundle's sensitive-intent rules
+ * (src/lib/policy-evaluator.js), the same evaluator MCP tools use.
  *
- * Storage: TOKEN_KV (existing binding, see wrangler.jsonc).
+ * Human approval: when the repo policy lists the intent in
+ * `approval_intents`, or the caller sends `require_approval: true`, no token
+ * is issued up front. The request appears on the dashboard Approvals page
+ * and the caller collects the token once it has been approved.
+ *
+ * Storage: TOKEN_KV (existing binding, see wrangler.jsonc); pending
+ * approvals in D1 `git_confirm_approvals`. Issue, redeem and expiry are
+ * audited to D1 `git_confirmations` and ChittyChronicle, and listed by
+ * GET /api/git/confirmations.
  * Auth: X-ChittyOS-API-Key via mcpAuthMiddleware.
  *
  * @canonical-uri chittycanon://core/services/chittyconnect/api/routes/git-confirm
@@ -24,6 +38,23 @@
 
 import { Hono } from "hono";
 import { mcpAuthMiddleware } from "../../middleware/mcp-auth.js";
+import { DEFAULT_TENANT } from "../../lib/webhook-registry.js";
+import {
+  GIT_CONFIRM_INTENTS,
+  loadRepoPolicy,
+  findProtectedRef,
+  approvalRequired,
+  createConfirmApproval,
+  getConfirmApproval,
+  claimApprovedConfirmation,
+} from "../../lib/git-policy.js";
+import {
+  confirmationId,
+  recordConfirmationIssued,
+  recordConfirmationRedeemed,
+  listConfirmations,
+} from "../../lib/git-confirm-audit.js";
+import { evaluatePolicy } from "../../lib/policy-evaluator.js";
 
 const gitConfirmRoutes = new Hono();
 
@@ -32,18 +63,7 @@ gitConfirmRoutes.use("*", mcpAuthMiddleware);
 
 const CONFIRM_TTL_SECONDS = 90;
 const TOKEN_BYTES = 24;
-const SUPPORTED_INTENTS = new Set(["force_push", "force_push_with_lease"]);
-const HARD_DENY_REFS = new Set([
-  "main",
-  "master",
-  "refs/heads/main",
-  "refs/heads/master",
-]);
-
-function isHardDeniedRef(ref) {
-  if (!ref) return false;
-  return HARD_DENY_REFS.has(ref);
-}
+const SUPPORTED_INTENTS = new Set(Object.keys(GIT_CONFIRM_INTENTS));
 
 function newConfirmationToken() {
   const bytes = new Uint8Array(TOKEN_BYTES);
@@ -59,16 +79,125 @@ function tokenKey(token) {
   return `git:confirm:${token}`;
 }
 
+function errorBody(code, message, extra = {}) {
+  return { error: { code, message, ...extra } };
+}
+
+function tenantFor(c) {
+  return c.get("apiKey")?.metadata?.tenantId || DEFAULT_TENANT;
+}
+
+function callerFor(c) {
+  const apiKey = c.get("apiKey") || {};
+  return apiKey.name || apiKey.userId || null;
+}
+
+async function issuerFingerprintFor(c) {
+  const apiKey = c.req.header("X-ChittyOS-API-Key");
+  // mcpAuthMiddleware already validated; the key itself is non-secret as
+  // an identifier (real secret is the validation against API_KEYS KV).
+  // We persist a hash so the stored record can't be replayed as a key.
+  return sha256Hex(apiKey).then((h) => h.slice(0, 16));
+}
+
+function protectedRefMessage(intent, protection) {
+  const { forceClass } = GIT_CONFIRM_INTENTS[intent];
+  return protection.source === "hard_deny"
+    ? `${forceClass ? "Force operations" : `${intent} operations`} against main/master are hard-denied regardless of confirmation`
+    : `Ref is protected by tenant policy pattern "${protection.pattern}"`;
+}
+
+/**
+ * Refusal when the sensitive-intent rules deny this write, or null when the
+ * ref may be confirmed. Hard-deny refs are refused before the bundle is
+ * consulted, so an edited or overlaid bundle cannot open main/master.
+ * Tenant protection is context for the rules; the decision and error code
+ * come from the policy bundle via the shared evaluator.
+ */
+async function policyRefusal(env, { tenantId, intent, ref, policy }) {
+  const protection = findProtectedRef(intent, ref, policy);
+  if (protection?.source === "hard_deny") {
+    return errorBody(
+      GIT_CONFIRM_INTENTS[intent].forceClass
+        ? "POLICY_BLOCKED_FORCE_TO_PROTECTED"
+        : "POLICY_BLOCKED_PROTECTED_REF",
+      protectedRefMessage(intent, protection),
+      { source: protection.source, pattern: protection.pattern, rule: "hard_deny" },
+    );
+  }
+
+  const result = await evaluatePolicy(env, {
+    intent,
+    tenantId,
+    context: {
+      ref_protected: Boolean(protection),
+      protection_source: protection?.source ?? null,
+      force_class: GIT_CONFIRM_INTENTS[intent].forceClass,
+    },
+  });
+  if (result.decision !== "deny") return null;
+
+  const message =
+    protection && result.rule.id !== "failure_mode"
+      ? protectedRefMessage(intent, protection)
+      : result.rule.reason || "Denied by policy";
+  return errorBody(result.rule.error_code, message, {
+    source: protection?.source ?? null,
+    pattern: protection?.pattern ?? null,
+    rule: result.rule.id,
+  });
+}
+
+/**
+ * Mint a confirmation token for a scope, store it in TOKEN_KV and write the
+ * issue to the audit trail.
+ */
+async function issueToken(env, scope, extra) {
+  const token = newConfirmationToken();
+  const issuedAt = new Date();
+  const expiresAt = new Date(issuedAt.getTime() + CONFIRM_TTL_SECONDS * 1000);
+
+  const record = {
+    ...scope,
+    reason: extra.reason,
+    tenant_id: extra.tenantId,
+    approval_id: extra.approvalId ?? null,
+    issued_at: issuedAt.toISOString(),
+    expires_at: expiresAt.toISOString(),
+    issuer_fingerprint: extra.issuerFingerprint,
+    redeemed_at: null,
+  };
+
+  await env.TOKEN_KV.put(tokenKey(token), JSON.stringify(record), {
+    expirationTtl: CONFIRM_TTL_SECONDS,
+  });
+  await recordConfirmationIssued(env, {
+    id: await confirmationId(token),
+    scope,
+    record,
+    caller: extra.caller,
+  });
+
+  return {
+    confirmation_token: token,
+    expires_at: expiresAt.toISOString(),
+    ttl_seconds: CONFIRM_TTL_SECONDS,
+    scope,
+  };
+}
+
 /**
  * POST /api/git/confirm
  *
  * Request body:
  *   {
- *     "intent": "force_push" | "force_push_with_lease",
+ *     "intent": "force_push" | "force_push_with_lease" | "reset_hard" |
+ *               "branch_delete" | "tag_delete" | "history_rewrite",
  *     "repo_path": "/abs/path/to/repo",
- *     "remote": "origin",
- *     "ref": "refs/heads/feature-x",
- *     "reason": "Optional human-readable rationale (audit only)"
+ *     "remote": "origin",            // required for force_push*, optional otherwise
+ *     "ref": "refs/heads/feature-x", // tag name or refs/tags/... for tag_delete
+ *     "reason": "Optional human-readable rationale (audit only)",
+ *     "require_approval": false      // hold for dashboard approval even if policy does not
  *   }
  *
  * Response 201:
@@ -79,10 +208,24 @@ function tokenKey(token) {
  *     "scope": { intent, repo_path, remote, ref }
  *   }
  *
+ * Response 202 (approval required):
+ *   {
+ *     "status": "pending_approval",
+ *     "approval_id": "gca_...",
+ *     "expires_at": "...",           // when the pending request lapses
+ *     "scope": { intent, repo_path, remote, ref },
+ *     "status_url": "/api/git/confirm/approvals/gca_...",
+ *     "token_url": "/api/git/confirm/approvals/gca_.../token"
+ *   }
+ *
  * Error codes:
- *   POLICY_BLOCKED_FORCE_TO_PROTECTED — ref is in the hard-deny set
+ *   POLICY_BLOCKED_FORCE_TO_PROTECTED — force intent against a protected ref
+ *   POLICY_BLOCKED_PROTECTED_REF      — other intent against a protected ref
+ *   POLICY_BLOCKED_CHITTYCONNECT_UNAVAILABLE — policy rules could not be loaded
  *   INVALID_INTENT                    — intent not in SUPPORTED_INTENTS
  *   MISSING_REQUIRED_FIELDS           — required body field absent
+ *   POLICY_UNAVAILABLE                — tenant policy could not be loaded
+ *   APPROVALS_UNAVAILABLE             — approval required but no DB binding
  */
 gitConfirmRoutes.post("/confirm", async (c) => {
   let body;
@@ -90,91 +233,254 @@ gitConfirmRoutes.post("/confirm", async (c) => {
     body = await c.req.json();
   } catch {
     return c.json(
-      {
-        error: {
-          code: "INVALID_JSON",
-          message: "Request body must be valid JSON",
-        },
-      },
+      errorBody("INVALID_JSON", "Request body must be valid JSON"),
       400,
     );
   }
 
-  const { intent, repo_path, remote, ref, reason } = body || {};
+  const { intent, repo_path, remote, ref, reason, require_approval } = body || {};
 
-  if (!intent || !repo_path || !remote || !ref) {
+  if (!intent || !repo_path || !ref) {
     return c.json(
-      {
-        error: {
-          code: "MISSING_REQUIRED_FIELDS",
-          message:
-            "intent, repo_path, remote, and ref are all required",
-        },
-      },
+      errorBody(
+        "MISSING_REQUIRED_FIELDS",
+        "intent, repo_path, and ref are required",
+      ),
       400,
     );
   }
 
   if (!SUPPORTED_INTENTS.has(intent)) {
     return c.json(
-      {
-        error: {
-          code: "INVALID_INTENT",
-          message: `intent must be one of: ${[...SUPPORTED_INTENTS].join(", ")}`,
-        },
-      },
+      errorBody(
+        "INVALID_INTENT",
+        `intent must be one of: ${[...SUPPORTED_INTENTS].join(", ")}`,
+      ),
       400,
     );
   }
 
-  if (isHardDeniedRef(ref)) {
+  if (GIT_CONFIRM_INTENTS[intent].requiresRemote && !remote) {
+    return c.json(
+      errorBody(
+        "MISSING_REQUIRED_FIELDS",
+        `remote is required for ${intent}`,
+      ),
+      400,
+    );
+  }
+
+  const tenantId = tenantFor(c);
+  let policy;
+  try {
+    policy = await loadRepoPolicy(c.env, tenantId, repo_path);
+  } catch (error) {
+    console.error("[GitConfirm] policy lookup failed:", error);
+    return c.json(
+      errorBody("POLICY_UNAVAILABLE", "Tenant git policy could not be loaded"),
+      503,
+    );
+  }
+
+  const blocked = await policyRefusal(c.env, { tenantId, intent, ref, policy });
+  if (blocked) {
+    return c.json(blocked, 403);
+  }
+
+  const scope = { intent, repo_path, remote: remote ?? null, ref };
+  const issuerFingerprint = await issuerFingerprintFor(c);
+  const auditReason = typeof reason === "string" ? reason.slice(0, 512) : null;
+
+  if (require_approval === true || approvalRequired(intent, policy)) {
+    if (!c.env.DB) {
+      return c.json(
+        errorBody(
+          "APPROVALS_UNAVAILABLE",
+          "This operation requires approval but the approval store is not configured",
+        ),
+        503,
+      );
+    }
+    const approval = await createConfirmApproval(c.env, {
+      tenantId,
+      intent,
+      repoPath: repo_path,
+      remote: scope.remote,
+      ref,
+      reason: auditReason,
+      issuerFingerprint,
+    });
     return c.json(
       {
-        error: {
-          code: "POLICY_BLOCKED_FORCE_TO_PROTECTED",
-          message:
-            "Force operations against main/master are hard-denied regardless of confirmation",
-        },
+        status: "pending_approval",
+        approval_id: approval.id,
+        expires_at: approval.expires_at,
+        scope,
+        status_url: `/api/git/confirm/approvals/${approval.id}`,
+        token_url: `/api/git/confirm/approvals/${approval.id}/token`,
       },
-      403,
+      202,
     );
   }
 
-  const apiKey = c.req.header("X-ChittyOS-API-Key");
-  // mcpAuthMiddleware already validated; the key itself is non-secret as
-  // an identifier (real secret is the validation against API_KEYS KV).
-  // We persist a hash so the stored record can't be replayed as a key.
-  const issuerFingerprint = await sha256Hex(apiKey).then((h) => h.slice(0, 16));
+  const issued = await issueToken(c.env, scope, {
+    reason: auditReason,
+    tenantId,
+    issuerFingerprint,
+    caller: callerFor(c),
+  });
+  return c.json(issued, 201);
+});
 
-  const token = newConfirmationToken();
-  const issuedAt = new Date();
-  const expiresAt = new Date(issuedAt.getTime() + CONFIRM_TTL_SECONDS * 1000);
+/**
+ * Load an approval row for its original requester. Other callers get the
+ * same 404 as an unknown id.
+ */
+async function loadOwnApproval(c) {
+  if (!c.env.DB) return null;
+  const approval = await getConfirmApproval(c.env, c.req.param("id"));
+  if (!approval) return null;
+  const issuerFingerprint = await issuerFingerprintFor(c);
+  return approval.issuer_fingerprint === issuerFingerprint ? approval : null;
+}
 
-  const record = {
-    intent,
-    repo_path,
-    remote,
-    ref,
-    reason: typeof reason === "string" ? reason.slice(0, 512) : null,
-    issued_at: issuedAt.toISOString(),
-    expires_at: expiresAt.toISOString(),
-    issuer_fingerprint: issuerFingerprint,
-    redeemed_at: null,
+function approvalView(approval) {
+  return {
+    approval_id: approval.id,
+    status: approval.status,
+    scope: {
+      intent: approval.intent,
+      repo_path: approval.repo_path,
+      remote: approval.remote,
+      ref: approval.ref,
+    },
+    requested_at: approval.created_at,
+    expires_at: approval.expires_at,
+    decided_by: approval.decided_by ?? null,
+    decided_at: approval.decided_at ?? null,
+    decision_notes: approval.decision_notes ?? null,
   };
+}
 
-  await c.env.TOKEN_KV.put(tokenKey(token), JSON.stringify(record), {
-    expirationTtl: CONFIRM_TTL_SECONDS,
+/**
+ * GET /api/git/confirm/approvals/:id
+ *
+ * Status of a confirmation held for approval:
+ * pending | approved | denied | issued | expired.
+ */
+gitConfirmRoutes.get("/confirm/approvals/:id", async (c) => {
+  const approval = await loadOwnApproval(c);
+  if (!approval) {
+    return c.json(
+      errorBody("APPROVAL_NOT_FOUND", "Approval request not found"),
+      404,
+    );
+  }
+  return c.json(approvalView(approval));
+});
+
+/**
+ * POST /api/git/confirm/approvals/:id/token
+ *
+ * Collect the confirmation token for an approved request. Only the API key
+ * that made the request can collect it, and only once; the 90s token TTL
+ * starts now. Protected refs are re-checked in case policy changed while
+ * the request was waiting.
+ *
+ * Error codes:
+ *   APPROVAL_NOT_FOUND                — unknown id or different requester
+ *   APPROVAL_PENDING                  — not decided yet (409)
+ *   POLICY_BLOCKED_APPROVAL_DENIED    — denied on the Approvals page
+ *   POLICY_BLOCKED_APPROVAL_EXPIRED   — lapsed before a decision
+ *   POLICY_BLOCKED_TOKEN_ISSUED       — token already collected
+ */
+gitConfirmRoutes.post("/confirm/approvals/:id/token", async (c) => {
+  const approval = await loadOwnApproval(c);
+  if (!approval) {
+    return c.json(
+      errorBody("APPROVAL_NOT_FOUND", "Approval request not found"),
+      404,
+    );
+  }
+
+  switch (approval.status) {
+    case "pending":
+      return c.json(
+        errorBody("APPROVAL_PENDING", "Approval request has not been decided yet"),
+        409,
+      );
+    case "denied":
+      return c.json(
+        errorBody("POLICY_BLOCKED_APPROVAL_DENIED", "Approval request was denied", {
+          reason: approval.decision_notes ?? null,
+        }),
+        403,
+      );
+    case "expired":
+      return c.json(
+        errorBody(
+          "POLICY_BLOCKED_APPROVAL_EXPIRED",
+          "Approval request expired before it was decided",
+        ),
+        403,
+      );
+    case "issued":
+      return c.json(
+        errorBody(
+          "POLICY_BLOCKED_TOKEN_ISSUED",
+          "A confirmation token has already been issued for this approval",
+        ),
+        403,
+      );
+  }
+
+  let policy;
+  try {
+    policy = await loadRepoPolicy(c.env, approval.tenant_id, approval.repo_path);
+  } catch (error) {
+    console.error("[GitConfirm] policy lookup failed:", error);
+    return c.json(
+      errorBody("POLICY_UNAVAILABLE", "Tenant git policy could not be loaded"),
+      503,
+    );
+  }
+  const blocked = await policyRefusal(c.env, {
+    tenantId: approval.tenant_id,
+    intent: approval.intent,
+    ref: approval.ref,
+    policy,
   });
+  if (blocked) {
+    return c.json(blocked, 403);
+  }
+
+  if (!(await claimApprovedConfirmation(c.env, approval.id))) {
+    return c.json(
+      errorBody(
+        "POLICY_BLOCKED_TOKEN_ISSUED",
+        "A confirmation token has already been issued for this approval",
+      ),
+      403,
+    );
+  }
 
-  return c.json(
+  const issued = await issueToken(
+    c.env,
     {
-      confirmation_token: token,
-      expires_at: expiresAt.toISOString(),
-      ttl_seconds: CONFIRM_TTL_SECONDS,
-      scope: { intent, repo_path, remote, ref },
+      intent: approval.intent,
+      repo_path: approval.repo_path,
+      remote: approval.remote,
+      ref: approval.ref,
+    },
+    {
+      reason: approval.reason,
+      tenantId: approval.tenant_id,
+      approvalId: approval.id,
+      issuerFingerprint: approval.issuer_fingerprint,
+      caller: callerFor(c),
     },
-    201,
   );
+  return c.json({ ...issued, approval_id: approval.id }, 201);
 });
 
 /**
@@ -189,7 +495,7 @@ gitConfirmRoutes.post("/confirm", async (c) => {
  *     "confirmation_token": "...",
  *     "intent": "force_push",
  *     "repo_path": "/abs/path/to/repo",
- *     "remote": "origin",
+ *     "remote": "origin",            // when the token was issued with one
  *     "ref": "refs/heads/feature-x"
  *   }
  *
@@ -219,13 +525,13 @@ gitConfirmRoutes.post("/confirm/redeem", async (c) => {
 
   const { confirmation_token, intent, repo_path, remote, ref } = body || {};
 
-  if (!confirmation_token || !intent || !repo_path || !remote || !ref) {
+  if (!confirmation_token || !intent || !repo_path || !ref) {
     return c.json(
       {
         error: {
           code: "MISSING_REQUIRED_FIELDS",
           message:
-            "confirmation_token, intent, repo_path, remote, and ref are required",
+            "confirmation_token, intent, repo_path, and ref are required",
         },
       },
       400,
@@ -278,7 +584,7 @@ gitConfirmRoutes.post("/confirm/redeem", async (c) => {
   const scopeMatches =
     record.intent === intent &&
     record.repo_path === repo_path &&
-    record.remote === remote &&
+    (record.remote ?? null) === (remote ?? null) &&
     record.ref === ref;
 
   if (!scopeMatches) {
@@ -302,6 +608,11 @@ gitConfirmRoutes.post("/confirm/redeem", async (c) => {
 
   // Consume: delete from KV so the token cannot be replayed.
   await c.env.TOKEN_KV.delete(key);
+  await recordConfirmationRedeemed(c.env, {
+    id: await confirmationId(confirmation_token),
+    record,
+    redeemerFingerprint: await issuerFingerprintFor(c),
+  });
 
   return c.json({
     valid: true,
@@ -313,9 +624,53 @@ gitConfirmRoutes.post("/confirm/redeem", async (c) => {
     },
     issued_at: record.issued_at,
     issuer_fingerprint: record.issuer_fingerprint,
+    approval_id: record.approval_id ?? null,
   });
 });
 
+/**
+ * GET /api/git/confirmations
+ *
+ * Audit trail of confirmation tokens issued to the caller's tenant, newest
+ * first. Tokens themselves are never returned.
+ *
+ * Query params (all optional):
+ *   repo_path, ref, intent — exact match
+ *   caller                 — API key name or issuer fingerprint
+ *   status                 — issued | redeemed | expired
+ *   since                  — ISO timestamp (issued_at >= since)
+ *   limit                  — default 50, max 200
+ */
+gitConfirmRoutes.get("/confirmations", async (c) => {
+  if (!c.env.DB) {
+    return c.json(
+      errorBody("AUDIT_UNAVAILABLE", "Confirmation audit store is not configured"),
+      503,
+    );
+  }
+
+  const { repo_path, ref, caller, intent, status, since, limit } = c.req.query();
+  if (status && !["issued", "redeemed", "expired"].includes(status)) {
+    return c.json(
+      errorBody("INVALID_STATUS", "status must be one of: issued, redeemed, expired"),
+      400,
+    );
+  }
+
+  const confirmations = await listConfirmations(c.env, {
+    tenantId: tenantFor(c),
+    repoPath: repo_path,
+    ref,
+    caller,
+    intent,
+    status,
+    since,
+    limit,
+  });
+
+  return c.json({ confirmations, count: confirmations.length });
+});
+
 async function sha256Hex(input) {
   const data = new TextEncoder().encode(input);
   const digest = await crypto.subtle.digest("SHA-256", data);
@@ -0,0 +1,154 @@
+/**
+ * GitHub Automation Settings Routes
+ *
+ * Per-installation configuration for the GitHub App event handlers run by
+ * the queue consumer (handlers/queue.js). Overrides are stored as given and
+ * merged over the defaults in github/automation-settings.js.
+ *
+ * Only admin keys, or keys whose metadata.githubAccounts lists the GitHub
+ * account the App is installed on, can read or change an installation's
+ * settings.
+ *
+ * @module api/routes/github-automations
+ */
+
+import { Hono } from "hono";
+import {
+  DEFAULT_AUTOMATIONS,
+  loadAutomationSettings,
+  saveAutomationSettings,
+} from "../../github/automation-settings.js";
+import { COMMANDS } from "../../github/commands.js";
+import { unsafeRegexReason } from "../../lib/safe-regex.js";
+
+export const githubAutomationRoutes = new Hono();
+
+githubAutomationRoutes.use("*", async (c, next) => {
+  if (!c.env.DB) {
+    return c.json({ error: "Automation settings store not configured" }, 503);
+  }
+  await next();
+});
+
+function installationIdParam(c) {
+  const id = Number(c.req.param("installationId"));
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+/**
+ * Error response when the caller's key does not own the installation, else null
+ */
+async function installationAccessError(c, installationId) {
+  const keyInfo = c.get("apiKey") || {};
+  const role = keyInfo.role || keyInfo.scopes?.[0];
+  if (role === "admin" || (keyInfo.scopes || []).includes("admin")) return null;
+
+  const installation = await c.env.DB.prepare(
+    "SELECT account_login FROM installations WHERE installation_id = ?",
+  )
+    .bind(installationId)
+    .first();
+  if (!installation) {
+    return c.json({ error: `Installation ${installationId} not found` }, 404);
+  }
+
+  const accounts = (keyInfo.metadata?.githubAccounts || []).map((a) => String(a).toLowerCase());
+  if (!accounts.includes(String(installation.account_login).toLowerCase())) {
+    return c.json({ error: `API key is not authorized for installation ${installationId}` }, 403);
+  }
+  return null;
+}
+
+/**
+ * GET /api/v1/github/installations/:installationId/automations
+ * Effective settings for the installation, plus the defaults for reference
+ */
+githubAutomationRoutes.get("/:installationId/automations", async (c) => {
+  const installationId = installationIdParam(c);
+  if (!installationId) {
+    return c.json({ error: "installationId must be a positive integer" }, 400);
+  }
+  try {
+    const denied = await installationAccessError(c, installationId);
+    if (denied) return denied;
+    const automations = await loadAutomationSettings(c.env, installationId);
+    return c.json({ installationId, automations, defaults: DEFAULT_AUTOMATIONS });
+  } catch (error) {
+    return c.json({ error: error.message }, 500);
+  }
+});
+
+/**
+ * PUT /api/v1/github/installations/:installationId/automations
+ * Body: { "<handler>": { enabled?, ...handler options } } — replaces all
+ * stored overrides; omitted handlers fall back to their defaults
+ */
+githubAutomationRoutes.put("/:installationId/automations", async (c) => {
+  const installationId = installationIdParam(c);
+  if (!installationId) {
+    return c.json({ error: "installationId must be a positive integer" }, 400);
+  }
+  try {
+    const denied = await installationAccessError(c, installationId);
+    if (denied) return denied;
+  } catch (error) {
+    return c.json({ error: error.message }, 500);
+  }
+
+  let overrides;
+  try {
+    overrides = await c.req.json();
+  } catch {
+    return c.json({ error: "Request body must be valid JSON" }, 400);
+  }
+  if (!overrides || typeof overrides !== "object" || Array.isArray(overrides)) {
+    return c.json({ error: "Body must be an object keyed by handler name" }, 400);
+  }
+
+  const unknown = Object.keys(overrides).filter((k) => !(k in DEFAULT_AUTOMATIONS));
+  if (unknown.length > 0) {
+    return c.json(
+      {
+        error: `Unknown automation handler(s): ${unknown.join(", ")}`,
+        handlers: Object.keys(DEFAULT_AUTOMATIONS),
+      },
+      400,
+    );
+  }
+
+  for (const rule of overrides.issues?.rules || []) {
+    const reason = unsafeRegexReason(rule?.pattern);
+    if (reason) {
+      return c.json({ error: `Invalid issue rule pattern: ${rule?.pattern} (${reason})` }, 400);
+    }
+    if (typeof rule.label !== "string" || !rule.label) {
+      return c.json({ error: "Each issue rule needs a label" }, 400);
+    }
+  }
+
+  const unknownCommands = (overrides.issue_comment?.disabled_commands || []).filter(
+    (name) => !Object.hasOwn(COMMANDS, name),
+  );
+  if (unknownCommands.length > 0) {
+    return c.json(
+      {
+        error: `Unknown slash command(s): ${unknownCommands.join(", ")}`,
+        commands: Object.keys(COMMANDS),
+      },
+      400,
+    );
+  }
+
+  try {
+    const keyInfo = c.get("apiKey") || {};
+    const automations = await saveAutomationSettings(
+      c.env,
+      installationId,
+      overrides,
+      keyInfo.userId || keyInfo.service || keyInfo.name || null,
+    );
+    return c.json({ installationId, automations });
+  } catch (error) {
+    return c.json({ error: error.message }, 500);
+  }
+});
@@ -6,11 +6,34 @@
  * on session start. Closes the cross-channel enforcement gap where local
  * hooks only fire on the VM.
  *
+ * Versions are served side by side (?version=, default latest) with
+ * entity-type overlays merged in, plus the API key's tenant overlays when
+ * a key is presented, and every response carries a detached signature
+ * verifiable against /policy-bundle/jwks.json. See src/lib/policy-bundles.js.
+ *
+ * The bundle, check and diff reads and jwks.json need no API key. POST
+ * /:chittyId/policy/evaluate applies the bundle's machine-readable rules to
+ * an intent (src/lib/policy-evaluator.js) and, like the overlay admin
+ * routes, requires one.
+ *
  * @canon: chittycanon://gov/governance#core-types
  */
 
 import { Hono } from "hono";
-import bundle from "../../../policy-bundle/v1/bundle.json";
+import {
+  POLICY_BUNDLES,
+  LATEST_POLICY_VERSION,
+  resolvePolicyBundle,
+  findBundleBySha,
+  diffBundleFiles,
+  signPolicyBundle,
+  policyBundleJwks,
+  validateOverlay,
+  listOverlays,
+  upsertOverlay,
+  deleteOverlay,
+} from "../../lib/policy-bundles.js";
+import { evaluatePolicy } from "../../lib/policy-evaluator.js";
 
 const identityRoutes = new Hono();
 
@@ -23,8 +46,6 @@ const identityRoutes = new Hono();
 const CHITTYID_RE =
   /^\d{2}-[A-Z0-9]-[A-Z]{3}-\d{4}-[PLTEA]-\d{3,4}-[0-5]-\d{1,2}$/;
 
-const etag = `W/"${bundle.sha256}"`;
-
 function validateChittyId(c) {
   const id = c.req.param("chittyId");
   if (!CHITTYID_RE.test(id)) {
@@ -36,16 +57,122 @@ function validateChittyId(c) {
   return null;
 }
 
-identityRoutes.get("/:chittyId/policy-bundle", (c) => {
+function isAdmin(c) {
+  const keyInfo = c.get("apiKey") || {};
+  const role = keyInfo.role || keyInfo.scopes?.[0];
+  return role === "admin" || (keyInfo.scopes || []).includes("admin");
+}
+
+/**
+ * Tenant whose overlays apply: the API key's own, or none for keyless
+ * callers. Only admins may name another tenant.
+ *
+ * @returns {{ tenantId?: string|null, response?: Response }}
+ */
+function overlayTenant(c, requested) {
+  if (c.get("apiKey")?.type === "public") {
+    if (!requested) return { tenantId: null };
+    return {
+      response: c.json(
+        { error: "UNAUTHORIZED", message: "An API key is required for tenant overlays" },
+        401,
+      ),
+    };
+  }
+  const own = c.get("apiKey")?.metadata?.tenantId || null;
+  if (!requested || requested === own || isAdmin(c)) {
+    return { tenantId: requested || own };
+  }
+  return {
+    response: c.json(
+      { error: "FORBIDDEN", message: "Cannot read another tenant's policy bundle" },
+      403,
+    ),
+  };
+}
+
+/**
+ * Resolve the effective bundle for the request, or return an error response.
+ */
+async function effectiveBundle(c) {
+  const tenant = overlayTenant(c, c.req.query("tenant"));
+  if (tenant.response) return tenant;
+
+  const version = c.req.query("version") || LATEST_POLICY_VERSION;
+  if (!POLICY_BUNDLES[version]) {
+    return {
+      response: c.json(
+        {
+          error: "UNKNOWN_VERSION",
+          message: `No policy bundle version ${version}`,
+          versions: Object.keys(POLICY_BUNDLES),
+        },
+        404,
+      ),
+    };
+  }
+  try {
+    const bundle = await resolvePolicyBundle(c.env, {
+      chittyId: c.req.param("chittyId"),
+      version,
+      tenantId: tenant.tenantId,
+    });
+    return { bundle, tenantId: tenant.tenantId };
+  } catch (error) {
+    return {
+      response: c.json(
+        { error: "POLICY_OVERLAYS_UNAVAILABLE", message: error.message },
+        503,
+      ),
+    };
+  }
+}
+
+/**
+ * Bundles without tenant overlays are the same for every caller, so shared
+ * caches may keep them; tenant bundles follow the API key.
+ */
+function cacheControlFor(tenantId) {
+  return `${tenantId ? "private" : "public"}, max-age=300, must-revalidate`;
+}
+
+function etagFor(bundle) {
+  return `W/"${bundle.sha256}"`;
+}
+
+async function signatureHeaders(c, bundle) {
+  const signed = await signPolicyBundle(c.env, bundle);
+  if (signed) {
+    c.header("X-Policy-Bundle-Signature", signed.signature);
+    c.header("X-Policy-Bundle-Key-Id", signed.kid);
+  }
+  return signed;
+}
+
+/**
+ * GET /api/v1/identity/policy-bundle/jwks.json
+ * Public keys for verifying bundle signatures offline.
+ */
+identityRoutes.get("/policy-bundle/jwks.json", async (c) => {
+  c.header("Cache-Control", "public, max-age=3600");
+  return c.json(await policyBundleJwks(c.env));
+});
+
+identityRoutes.get("/:chittyId/policy-bundle", async (c) => {
   const err = validateChittyId(c);
   if (err) return err;
 
+  const { bundle, tenantId, response } = await effectiveBundle(c);
+  if (response) return response;
+
+  const etag = etagFor(bundle);
   if (c.req.header("If-None-Match") === etag) {
     return new Response(null, { status: 304, headers: { ETag: etag } });
   }
 
+  const signed = await signatureHeaders(c, bundle);
   c.header("ETag", etag);
-  c.header("Cache-Control", "public, max-age=300, must-revalidate");
+  c.header("Cache-Control", cacheControlFor(tenantId));
   // `generated_at` is intentionally omitted from the served representation:
   // the ETag is derived from `sha256` (content hash only), so including a
   // rebuild timestamp that changes without a content change would violate
@@ -55,14 +182,22 @@ identityRoutes.get("/:chittyId/policy-bundle", (c) => {
     version: bundle.version,
     scope: bundle.scope,
     sha256: bundle.sha256,
+    base_sha256: bundle.base_sha256,
+    overlays: bundle.overlays,
+    signature: signed?.signature ?? null,
+    signing_kid: signed?.kid ?? null,
     bundle: bundle.files,
   });
 });
 
-identityRoutes.get("/:chittyId/policy-bundle/check", (c) => {
+identityRoutes.get("/:chittyId/policy-bundle/check", async (c) => {
   const err = validateChittyId(c);
   if (err) return err;
 
+  const { bundle, response } = await effectiveBundle(c);
+  if (response) return response;
+
+  const etag = etagFor(bundle);
   if (c.req.header("If-None-Match") === etag) {
     return new Response(null, { status: 304, headers: { ETag: etag } });
   }
@@ -71,7 +206,183 @@ identityRoutes.get("/:chittyId/policy-bundle/check", (c) => {
     chittyId: c.req.param("chittyId"),
     version: bundle.version,
     sha256: bundle.sha256,
+    versions: Object.keys(POLICY_BUNDLES),
   });
 });
 
+/**
+ * GET /api/v1/identity/:chittyId/policy-bundle/diff?from=<sha256>
+ * Files added, changed or removed since the bundle the channel holds.
+ */
+identityRoutes.get("/:chittyId/policy-bundle/diff", async (c) => {
+  const err = validateChittyId(c);
+  if (err) return err;
+
+  const from = c.req.query("from");
+  if (!from || !/^[0-9a-f]{64}$/.test(from)) {
+    return c.json(
+      { error: "INVALID_FROM", message: "from must be the sha256 of a previously fetched bundle" },
+      400,
+    );
+  }
+
+  const { bundle, tenantId, response } = await effectiveBundle(c);
+  if (response) return response;
+
+  let previous;
+  try {
+    previous = from === bundle.sha256 ? { files: bundle.files } : await findBundleBySha(c.env, from);
+  } catch (error) {
+    return c.json({ error: "POLICY_OVERLAYS_UNAVAILABLE", message: error.message }, 503);
+  }
+  if (!previous) {
+    return c.json(
+      {
+        error: "UNKNOWN_BASE",
+        message: "Bundle sha not known; fetch the full policy bundle",
+        to: bundle.sha256,
+      },
+      404,
+    );
+  }
+
+  const signed = await signatureHeaders(c, bundle);
+  c.header("ETag", `W/"${from}..${bundle.sha256}"`);
+  c.header("Cache-Control", cacheControlFor(tenantId));
+  return c.json({
+    chittyId: c.req.param("chittyId"),
+    version: bundle.version,
+    from,
+    to: bundle.sha256,
+    signature: signed?.signature ?? null,
+    signing_kid: signed?.kid ?? null,
+    ...diffBundleFiles(previous.files, bundle.files),
+  });
+});
+
+/**
+ * POST /api/v1/identity/:chittyId/policy/evaluate
+ * Body: { intent, context?, version?, tenant? }
+ *
+ * Decision (allow | deny | require_confirmation) for an intent under the
+ * effective bundle's rules, with the rule that matched. The API key's
+ * tenant selects tenant overlays; only admins may pass another `tenant`.
+ */
+identityRoutes.post("/:chittyId/policy/evaluate", async (c) => {
+  const err = validateChittyId(c);
+  if (err) return err;
+
+  let body;
+  try {
+    body = await c.req.json();
+  } catch {
+    return c.json({ error: "INVALID_BODY", message: "Request body must be valid JSON" }, 400);
+  }
+  const { intent, context = {}, version = LATEST_POLICY_VERSION, tenant } = body || {};
+  if (!intent || typeof intent !== "string") {
+    return c.json({ error: "MISSING_INTENT", message: "intent is required" }, 400);
+  }
+  if (context === null || typeof context !== "object" || Array.isArray(context)) {
+    return c.json({ error: "INVALID_CONTEXT", message: "context must be an object" }, 400);
+  }
+  if (!POLICY_BUNDLES[version]) {
+    return c.json(
+      {
+        error: "UNKNOWN_VERSION",
+        message: `No policy bundle version ${version}`,
+        versions: Object.keys(POLICY_BUNDLES),
+      },
+      404,
+    );
+  }
+
+  const scoped = overlayTenant(c, tenant);
+  if (scoped.response) return scoped.response;
+
+  const result = await evaluatePolicy(c.env, {
+    intent,
+    context,
+    version,
+    chittyId: c.req.param("chittyId"),
+    tenantId: scoped.tenantId,
+  });
+  return c.json({ chittyId: c.req.param("chittyId"), ...result });
+});
+
+function requireAdmin(c) {
+  if (!isAdmin(c)) {
+    return c.json({ error: "FORBIDDEN", message: "Admin role required" }, 403);
+  }
+  if (!c.env.DB) {
+    return c.json({ error: "OVERLAYS_UNAVAILABLE", message: "Overlay store not configured" }, 503);
+  }
+  return null;
+}
+
+/**
+ * GET /api/v1/identity/policy-bundle/overlays?scope_type=&scope_value=
+ */
+identityRoutes.get("/policy-bundle/overlays", async (c) => {
+  const denied = requireAdmin(c);
+  if (denied) return denied;
+  try {
+    const overlays = await listOverlays(c.env, {
+      scopeType: c.req.query("scope_type"),
+      scopeValue: c.req.query("scope_value"),
+    });
+    return c.json({ overlays });
+  } catch (error) {
+    return c.json({ error: "OVERLAYS_UNAVAILABLE", message: error.message }, 500);
+  }
+});
+
+/**
+ * PUT /api/v1/identity/policy-bundle/overlays
+ * Body: { scope_type, scope_value, version?, file_key, mode, file_name?, content? }
+ */
+identityRoutes.put("/policy-bundle/overlays", async (c) => {
+  const denied = requireAdmin(c);
+  if (denied) return denied;
+
+  let input;
+  try {
+    input = await c.req.json();
+  } catch {
+    return c.json({ error: "INVALID_BODY", message: "Request body must be valid JSON" }, 400);
+  }
+  const invalid = validateOverlay(input);
+  if (invalid) {
+    return c.json({ error: "INVALID_OVERLAY", message: invalid }, 400);
+  }
+
+  try {
+    const keyInfo = c.get("apiKey") || {};
+    const overlay = await upsertOverlay(
+      c.env,
+      input,
+      keyInfo.userId || keyInfo.service || keyInfo.name || null,
+    );
+    return c.json({ overlay });
+  } catch (error) {
+    return c.json({ error: "OVERLAYS_UNAVAILABLE", message: error.message }, 500);
+  }
+});
+
+/**
+ * DELETE /api/v1/identity/policy-bundle/overlays/:id
+ */
+identityRoutes.delete("/policy-bundle/overlays/:id", async (c) => {
+  const denied = requireAdmin(c);
+  if (denied) return denied;
+  try {
+    const deleted = await deleteOverlay(c.env, c.req.param("id"));
+    if (!deleted) {
+      return c.json({ error: "OVERLAY_NOT_FOUND", message: "Overlay not found" }, 404);
+    }
+    return c.json({ deleted: true });
+  } catch (error) {
+    return c.json({ error: "OVERLAYS_UNAVAILABLE", message: error.message }, 500);
+  }
+});
+
 export { identityRoutes };
@@ -1,11 +1,30 @@
 import { Hono } from "hono";
+import {
+  HASH_VERSION_APPEND,
+  LEDGER_GENESIS,
+  latestLedgerHash,
+  ledgerEntryHash,
+  listCheckpoints,
+  listLedgerEntries,
+  proveLedgerEntry,
+  verifyLedgerChain,
+} from "../../lib/ledger-integrity.js";
+import {
+  LEDGER_RECORD_PERMISSION,
+  LEDGER_SIGNATURE_MAX_SKEW_S,
+  ledgerSigningInput,
+  sovereigntyVerifierFromEnv,
+} from "../../auth/sovereignty-cert.js";
 
 export const ledgerRouter = new Hono();
 
 /**
  * POST /api/v1/ledger/append
  * Appends a new cryptographic event to the context.ledger.
- * Requires STRICT_SOVEREIGNTY validation of the incoming cert.
+ * Requires STRICT_SOVEREIGNTY validation of the incoming cert. The entry
+ * signature covers every stored field plus previous_hash and signed_at
+ * (see ledgerSigningInput); an entry whose previous_hash is no longer the
+ * chain head is refused with 409.
  */
 ledgerRouter.post("/append", async (c) => {
   const req = c.req;
@@ -24,58 +43,108 @@ ledgerRouter.post("/append", async (c) => {
     session_id,
     event_type,
     data,
+    previous_hash,
+    signed_at,
     signature,
     signer_id,
   } = payload;
 
-  if (!context_id || !signature || !signer_id) {
+  if (
+    !context_id ||
+    !context_chitty_id ||
+    !session_id ||
+    !event_type ||
+    !previous_hash ||
+    !signature ||
+    !signer_id
+  ) {
     return c.json({ error: "Missing required ledger payload fields" }, 400);
   }
+  if (!Number.isInteger(signed_at)) {
+    return c.json({ error: "signed_at must be unix seconds" }, 400);
+  }
+  if (Math.abs(Math.floor(Date.now() / 1000) - signed_at) > LEDGER_SIGNATURE_MAX_SKEW_S) {
+    return c.json(
+      {
+        error: "Invalid SOVEREIGNTY.cert",
+        code: "stale_signature",
+        details: `signed_at must be within ${LEDGER_SIGNATURE_MAX_SKEW_S}s of the server clock`,
+      },
+      403,
+    );
+  }
 
-  // TODO: Fix import and re-enable validation when chittycanon-sdk is available
-  // const client = new ChittyCertClient({
-  //   serviceUrl: env.CHITTYCERT_SERVICE_URL,
-  //   token: env.CHITTY_CERT_TOKEN,
-  // });
-  // const valResult = await client.validateCert(certHeader, signer_id, "chitty_ledger_record");
-  // if (!valResult.valid) {
-  //   return c.json({ error: "Invalid SOVEREIGNTY.cert", details: valResult.error }, 403);
-  // }
-
-  // 2. Fetch previous hash
-  const db = env.DB; // D1 binding
-  const lastEntry = await db
-    .prepare(
-      `SELECT hash FROM context_ledger WHERE context_id = ? ORDER BY timestamp DESC LIMIT 1`,
-    )
-    .bind(context_id)
-    .first();
-  const previous_hash = lastEntry ? lastEntry.hash : "GENESIS";
-
-  // 3. Generate current hash (simple SHA-256 placeholder via Web Crypto)
-  const encoder = new TextEncoder();
+  // 1. Verify SOVEREIGNTY.cert and the entry signature
   const dataString = JSON.stringify(data);
-  const hashMaterial = `${previous_hash}:${context_id}:${event_type}:${dataString}:${signature}`;
-  const hashBuffer = await crypto.subtle.digest(
-    "SHA-256",
-    encoder.encode(hashMaterial),
-  );
-  const hashArray = Array.from(new Uint8Array(hashBuffer));
-  const hashHex = hashArray
-    .map((b) => b.toString(16).padStart(2, "0"))
-    .join("");
+  let verification;
+  try {
+    verification = await sovereigntyVerifierFromEnv(env).verify({
+      cert: certHeader.replace(/^Bearer\s+/i, ""),
+      signerId: signer_id,
+      permission: LEDGER_RECORD_PERMISSION,
+      signingInput: ledgerSigningInput({
+        context_id,
+        context_chitty_id,
+        session_id,
+        event_type,
+        payload: dataString,
+        previous_hash,
+        signer_id,
+        signed_at,
+      }),
+      signature,
+    });
+  } catch (err) {
+    return c.json({ error: "SOVEREIGNTY.cert verifier unavailable", details: err.message }, 503);
+  }
+  if (!verification.valid) {
+    return c.json(
+      {
+        error: "Invalid SOVEREIGNTY.cert",
+        code: verification.code,
+        details: verification.error,
+      },
+      verification.status,
+    );
+  }
+
+  // 2. The signed previous_hash must be the chain head
+  const db = env.DB; // D1 binding
+  const head = await latestLedgerHash(db, context_id);
+  if (previous_hash !== head) {
+    return c.json(
+      { error: "previous_hash is not the chain head", code: "stale_previous_hash", head },
+      409,
+    );
+  }
+
+  // 3. Generate current hash (recomputed by GET /:contextId/verify)
+  const hashHex = await ledgerEntryHash({
+    previous_hash,
+    context_id,
+    event_type,
+    payload: dataString,
+    signature,
+  });
 
   const id = crypto.randomUUID();
 
-  // 4. Insert (relying on trigger to prevent updates/deletes)
+  // 4. Insert only while previous_hash is still the head, so a concurrent
+  //    append cannot fork the chain (a trigger prevents updates/deletes)
+  let result;
   try {
-    await db
+    result = await db
       .prepare(
         `
       INSERT INTO context_ledger (
         id, context_id, context_chitty_id, session_id, event_type,
-        payload, hash, previous_hash, signer_id, signature
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        payload, hash, previous_hash, signer_id, signature, hash_version, timestamp
+      )
+      SELECT ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?
+      WHERE COALESCE(
+        (SELECT hash FROM context_ledger WHERE context_id = ? ORDER BY rowid DESC LIMIT 1),
+        ?
+      ) = ?
     `,
       )
       .bind(
@@ -89,11 +158,26 @@ ledgerRouter.post("/append", async (c) => {
         previous_hash,
         signer_id,
         signature,
+        HASH_VERSION_APPEND,
+        signed_at,
+        context_id,
+        LEDGER_GENESIS,
+        previous_hash,
       )
       .run();
   } catch (err) {
     return c.json({ error: "Ledger append failed", details: err.message }, 500);
   }
+  if ((result?.meta?.changes ?? 0) === 0) {
+    return c.json(
+      {
+        error: "previous_hash is not the chain head",
+        code: "stale_previous_hash",
+        head: await latestLedgerHash(db, context_id),
+      },
+      409,
+    );
+  }
 
   return c.json(
     {
@@ -106,4 +190,75 @@ ledgerRouter.post("/append", async (c) => {
   );
 });
 
+/**
+ * GET /api/v1/ledger/:contextId
+ * Entries of a context in chain order. Page with ?cursor=<next_cursor>&limit=
+ */
+ledgerRouter.get("/:contextId", async (c) => {
+  try {
+    const { entries, next_cursor } = await listLedgerEntries(
+      c.env,
+      c.req.param("contextId"),
+      { cursor: c.req.query("cursor"), limit: c.req.query("limit") },
+    );
+    return c.json({
+      context_id: c.req.param("contextId"),
+      entries,
+      count: entries.length,
+      next_cursor,
+    });
+  } catch (err) {
+    return c.json({ error: "Ledger read failed", details: err.message }, 500);
+  }
+});
+
+/**
+ * GET /api/v1/ledger/:contextId/verify
+ * Re-walks the hash chain and checkpoint roots; reports the first broken link.
+ */
+ledgerRouter.get("/:contextId/verify", async (c) => {
+  try {
+    const report = await verifyLedgerChain(c.env, c.req.param("contextId"));
+    return c.json(report);
+  } catch (err) {
+    return c.json({ error: "Ledger verification failed", details: err.message }, 500);
+  }
+});
+
+/**
+ * GET /api/v1/ledger/:contextId/checkpoints
+ * Merkle root checkpoints of a context, newest first.
+ */
+ledgerRouter.get("/:contextId/checkpoints", async (c) => {
+  try {
+    const checkpoints = await listCheckpoints(c.env, c.req.param("contextId"));
+    return c.json({ context_id: c.req.param("contextId"), checkpoints });
+  } catch (err) {
+    return c.json({ error: "Checkpoint read failed", details: err.message }, 500);
+  }
+});
+
+/**
+ * GET /api/v1/ledger/:contextId/entries/:entryId/proof
+ * Merkle inclusion proof for one entry against the latest checkpoint
+ * (or ?checkpoint=<id>).
+ */
+ledgerRouter.get("/:contextId/entries/:entryId/proof", async (c) => {
+  try {
+    const proof = await proveLedgerEntry(
+      c.env,
+      c.req.param("contextId"),
+      c.req.param("entryId"),
+      { checkpointId: c.req.query("checkpoint") },
+    );
+    if (proof.error) {
+      const { status, ...body } = proof;
+      return c.json(body, status);
+    }
+    return c.json(proof);
+  } catch (err) {
+    return c.json({ error: "Proof generation failed", details: err.message }, 500);
+  }
+});
+
 export default ledgerRouter;
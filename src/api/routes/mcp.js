@@ -11,6 +11,8 @@
 import { Hono } from "hono";
 import { dispatchToolCall } from "../../mcp/tool-dispatcher.js";
 import { MCP_TOOLS } from "../../mcp/tool-registry.js";
+import { DEFAULT_TENANT } from "../../lib/webhook-registry.js";
+import { cursorOwner } from "../../lib/sql-cursor.js";
 
 const mcpRoutes = new Hono();
 
@@ -88,10 +90,15 @@ mcpRoutes.get("/tools/list", async (c) => {
 
 /**
  * POST /mcp/tools/call
- * Execute an MCP tool
+ * Execute an MCP tool. The tenant, acting ChittyID and scopes come from the
+ * API key (metadata.tenantId, metadata.chittyId, scopes), never from the
+ * request's context. This route is stateless, so the presented credential
+ * stands in for the session that SQL cursors are bound to.
  */
 mcpRoutes.post("/tools/call", async (c) => {
   const { name, arguments: args, context } = await c.req.json();
+  const keyInfo = c.get("apiKey") || {};
+  const keyMetadata = keyInfo.metadata || {};
   const baseUrl = resolveInternalBaseUrl(c.req.url);
   const authToken = (c.req.header("Authorization") || "").replace(
     /^Bearer\s+/i,
@@ -101,7 +108,15 @@ mcpRoutes.post("/tools/call", async (c) => {
   const result = await dispatchToolCall(name, args, c.env, {
     baseUrl,
     authToken,
-    context,
+    context: {
+      ...context,
+      tenantId: keyMetadata.tenantId || DEFAULT_TENANT,
+      chittyId: keyMetadata.chittyId || null,
+      role: keyInfo.role,
+      scopes: keyInfo.scopes || [],
+      viaBroker: true,
+      sessionId: await cursorOwner(c.req.header("X-ChittyOS-API-Key") || authToken),
+    },
   });
 
   if (result.isError) {
@@ -11,11 +11,68 @@
  *   /resolve — returns composed prompt, consumer calls AI themselves
  *   /execute — resolves + dispatches to agent, returns result
  *
+ * When authorGate.requireApproval is set, PUT stages a pending version
+ * instead of going live; reviewers approve or reject it and approval
+ * activates it (src/lib/prompt-approvals.js). `draft: true` stages a
+ * draft for any prompt.
+ *
+ * Bases and layers are templates (src/lib/prompt-template.js): typed
+ * variable schemas validated on resolve, {{#if}}/{{#each}} blocks, partials
+ * by prompt ID and version, and per-prompt escaping. Authors check output
+ * with /:id/render-preview.
+ *
+ * Rollouts split /resolve and /execute traffic between reviewed versions
+ * (A/B or canary) with sticky assignment by consumer, and promote or roll
+ * back on the drift stats (src/lib/prompt-rollouts.js).
+ *
+ * Eval suites attached to a prompt regression-test a candidate version
+ * offline with /:id/evaluate; scores land in prompt_executions as
+ * quality_source "auto_eval" (src/lib/prompt-evals.js).
+ *
  * @canonical-uri chittycanon://core/services/chittyconnect/api/routes/prompts
  * @canon chittycanon://gov/governance#core-types
  */
 
 import { Hono } from "hono";
+import {
+  ESCAPE_MODES,
+  TemplateError,
+  parseTemplate,
+  compileTemplate,
+  renderTemplate,
+  applyVariableSchema,
+  validateVariableSchema,
+} from "../../lib/prompt-template.js";
+import {
+  requiresApproval,
+  assignReviewers,
+  checkReviewer,
+  withNextPromptVersion,
+  getPromptVersion,
+  stagePromptVersion,
+  submitPromptVersion,
+  decidePromptVersion,
+  activatePromptVersion,
+} from "../../lib/prompt-approvals.js";
+import {
+  validateRollout,
+  createRollout,
+  listRollouts,
+  getRollout,
+  selectPromptVariant,
+  promptVersionStats,
+  evaluateRollout,
+  endRollout,
+} from "../../lib/prompt-rollouts.js";
+import {
+  validateEvalSuite,
+  createEvalSuite,
+  updateEvalSuite,
+  listEvalSuites,
+  getEvalSuite,
+  runEvalSuite,
+  stubModel,
+} from "../../lib/prompt-evals.js";
 
 export const promptRoutes = new Hono();
 
@@ -31,6 +88,9 @@ promptRoutes.post("/", async (c) => {
     return c.json({ error: "id, domain, and base are required" }, 400);
   }
 
+  const invalidTemplate = checkTemplateInput(body);
+  if (invalidTemplate) return c.json({ error: "Invalid template", reason: invalidTemplate }, 400);
+
   const consumerId = c.get("apiKey")?.chittyId || c.get("apiKey")?.userId || null;
 
   // RY: check author gate if updating an existing prompt in this domain
@@ -40,6 +100,8 @@ promptRoutes.post("/", async (c) => {
   const envGate = JSON.stringify(body.envGate || { production: "ai", staging: "ai", dev: "configurable", test: "deterministic" });
   const authorGate = JSON.stringify(body.authorGate || { domain: body.domain, allowedAuthors: consumerId ? [consumerId] : ["*"], requireApproval: false });
   const consumerGate = JSON.stringify(body.consumerGate || { allowedServices: ["*"], allowedAgents: ["*"], scopeBoundaries: [] });
+  const variableSchema = JSON.stringify(body.variableSchema || {});
+  const escapeMode = body.escapeMode || "none";
 
   try {
     // Check if already exists
@@ -50,22 +112,22 @@ promptRoutes.post("/", async (c) => {
 
     // Atomic: batch both inserts in a single D1 transaction
     const registryStmt = db.prepare(`
-      INSERT INTO prompt_registry (id, domain, version, base, layers, fallback, env_gate, author_gate, consumer_gate, created_by, changelog)
-      VALUES (?, ?, 1, ?, ?, ?, ?, ?, ?, ?, ?)
+      INSERT INTO prompt_registry (id, domain, version, base, layers, fallback, env_gate, author_gate, consumer_gate, created_by, changelog, variable_schema, escape_mode)
+      VALUES (?, ?, 1, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `).bind(
       body.id, body.domain, body.base, layers,
       body.fallback || "passthrough", envGate, authorGate, consumerGate,
-      consumerId, body.changelog || "Initial creation"
+      consumerId, body.changelog || "Initial creation", variableSchema, escapeMode
     );
 
     // TY: save version 1
     const versionStmt = db.prepare(`
-      INSERT INTO prompt_versions (prompt_id, version, base, layers, fallback, env_gate, author_gate, consumer_gate, changelog, created_by)
-      VALUES (?, 1, ?, ?, ?, ?, ?, ?, ?, ?)
+      INSERT INTO prompt_versions (prompt_id, version, base, layers, fallback, env_gate, author_gate, consumer_gate, changelog, created_by, variable_schema, escape_mode)
+      VALUES (?, 1, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `).bind(
       body.id, body.base, layers, body.fallback || "passthrough",
       envGate, authorGate, consumerGate,
-      body.changelog || "Initial creation", consumerId
+      body.changelog || "Initial creation", consumerId, variableSchema, escapeMode
     );
 
     await db.batch([registryStmt, versionStmt]);
@@ -117,7 +179,7 @@ promptRoutes.get("/", async (c) => {
   return c.json({ prompts: filtered.map(formatPrompt), total: filtered.length });
 });
 
-// Update prompt (creates new version)
+// Update prompt (creates new version; staged when the author gate requires approval)
 promptRoutes.put("/:id", async (c) => {
   const db = c.env.DB;
   if (!db) return c.json({ error: "D1 not available" }, 503);
@@ -125,6 +187,8 @@ promptRoutes.put("/:id", async (c) => {
   const promptId = c.req.param("id");
   const body = await c.req.json().catch(() => null);
   if (!body) return c.json({ error: "Request body required" }, 400);
+  const invalidTemplate = checkTemplateInput(body);
+  if (invalidTemplate) return c.json({ error: "Invalid template", reason: invalidTemplate }, 400);
 
   const existing = await db.prepare("SELECT * FROM prompt_registry WHERE id = ?").bind(promptId).first();
   if (!existing) return c.json({ error: "Prompt not found" }, 404);
@@ -137,33 +201,58 @@ promptRoutes.put("/:id", async (c) => {
     return c.json({ error: "Unauthorized: author gate denied", reason: authorGateCheck.reason }, 403);
   }
 
-  const newVersion = (existing.version || 0) + 1;
   const base = body.base || existing.base;
   const layers = JSON.stringify(body.layers || JSON.parse(existing.layers || "[]"));
   const fallback = body.fallback || existing.fallback;
   const envGate = JSON.stringify(body.envGate || JSON.parse(existing.env_gate || "{}"));
   const authorGate = JSON.stringify(body.authorGate || JSON.parse(existing.author_gate || "{}"));
   const consumerGate = JSON.stringify(body.consumerGate || JSON.parse(existing.consumer_gate || "{}"));
-  const changelog = body.changelog || `Updated to version ${newVersion}`;
+  const variableSchema = JSON.stringify(body.variableSchema || safeParseJson(existing.variable_schema));
+  const escapeMode = body.escapeMode || existing.escape_mode || "none";
 
   try {
-    // Atomic: batch update + version insert in a single D1 transaction
-    const updateStmt = db.prepare(`
-      UPDATE prompt_registry
-      SET version = ?, base = ?, layers = ?, fallback = ?, env_gate = ?, author_gate = ?, consumer_gate = ?,
-          updated_at = datetime('now'), changelog = ?
-      WHERE id = ?
-    `).bind(newVersion, base, layers, fallback, envGate, authorGate, consumerGate, changelog, promptId);
-
-    // TY: save version snapshot
-    const versionInsertStmt = db.prepare(`
-      INSERT INTO prompt_versions (prompt_id, version, base, layers, fallback, env_gate, author_gate, consumer_gate, changelog, created_by)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `).bind(promptId, newVersion, base, layers, fallback, envGate, authorGate, consumerGate, changelog, consumerId);
-
-    await db.batch([updateStmt, versionInsertStmt]);
-
-    return c.json({ id: promptId, version: newVersion, status: "updated" });
+    // Staged versions count, so numbering continues past pending ones
+    return await withNextPromptVersion(c.env, promptId, async (newVersion) => {
+      const changelog = body.changelog || `Updated to version ${newVersion}`;
+
+      // RY: the gate in force decides, so a PUT cannot lift its own approval requirement
+      const gate = safeParseJson(existing.author_gate);
+      if (body.draft === true || requiresApproval(gate)) {
+        const status = body.draft === true ? "draft" : "pending";
+        const reviewers = status === "pending" ? assignReviewers(gate, consumerId) : [];
+        await stagePromptVersion(c.env, {
+          promptId,
+          version: newVersion,
+          status,
+          reviewers,
+          createdBy: consumerId,
+          snapshot: { base, layers, fallback, envGate, authorGate, consumerGate, changelog, variableSchema, escapeMode },
+        });
+        return c.json({ id: promptId, version: newVersion, status, reviewers, activeVersion: existing.version }, 202);
+      }
+
+      // Atomic: batch update + version insert in a single D1 transaction
+      const updateStmt = db.prepare(`
+        UPDATE prompt_registry
+        SET version = ?, base = ?, layers = ?, fallback = ?, env_gate = ?, author_gate = ?, consumer_gate = ?,
+            updated_at = datetime('now'), changelog = ?, variable_schema = ?, escape_mode = ?
+        WHERE id = ?
+      `).bind(newVersion, base, layers, fallback, envGate, authorGate, consumerGate, changelog, variableSchema, escapeMode, promptId);
+
+      const supersedeStmt = db.prepare(
+        "UPDATE prompt_versions SET status = 'superseded' WHERE prompt_id = ? AND status = 'active'"
+      ).bind(promptId);
+
+      // TY: save version snapshot
+      const versionInsertStmt = db.prepare(`
+        INSERT INTO prompt_versions (prompt_id, version, base, layers, fallback, env_gate, author_gate, consumer_gate, changelog, created_by, variable_schema, escape_mode)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).bind(promptId, newVersion, base, layers, fallback, envGate, authorGate, consumerGate, changelog, consumerId, variableSchema, escapeMode);
+
+      await db.batch([updateStmt, supersedeStmt, versionInsertStmt]);
+
+      return c.json({ id: promptId, version: newVersion, status: "updated" });
+    });
   } catch (err) {
     console.error("[prompts] update error:", err);
     return c.json({ error: "Failed to update prompt", detail: err.message }, 500);
@@ -182,6 +271,186 @@ promptRoutes.get("/:id/versions", async (c) => {
   return c.json({ versions: (results.results || []).map(formatVersion), total: results.results?.length || 0 });
 });
 
+// ── RY: Approval workflow ───────────────────────────────────
+
+// Load prompt + version for a workflow step, or an error response
+async function loadStagedVersion(c) {
+  const db = c.env.DB;
+  if (!db) return { response: c.json({ error: "D1 not available" }, 503) };
+
+  const promptId = c.req.param("id");
+  const versionNumber = Number(c.req.param("version"));
+  if (!Number.isInteger(versionNumber) || versionNumber < 1) {
+    return { response: c.json({ error: "version must be a positive integer" }, 400) };
+  }
+
+  const prompt = await db.prepare("SELECT * FROM prompt_registry WHERE id = ?").bind(promptId).first();
+  if (!prompt) return { response: c.json({ error: "Prompt not found" }, 404) };
+  const version = await getPromptVersion(c.env, promptId, versionNumber);
+  if (!version) return { response: c.json({ error: "Version not found" }, 404) };
+
+  const apiKey = c.get("apiKey");
+  return { prompt, version, callerId: apiKey?.chittyId || apiKey?.userId || null };
+}
+
+function wrongStatus(c, version, expected) {
+  return c.json(
+    { error: `Version is ${version.status}`, reason: `Only ${expected} versions can take this step` },
+    409,
+  );
+}
+
+// Submit a draft: pending review if the gate requires approval, live otherwise
+promptRoutes.post("/:id/versions/:version/submit", async (c) => {
+  const { prompt, version, callerId, response } = await loadStagedVersion(c);
+  if (response) return response;
+
+  const authorGateCheck = checkAuthorGate(prompt, callerId);
+  if (!authorGateCheck.allowed) {
+    return c.json({ error: "Unauthorized: author gate denied", reason: authorGateCheck.reason }, 403);
+  }
+  if (version.status !== "draft") return wrongStatus(c, version, "draft");
+
+  try {
+    const gate = safeParseJson(prompt.author_gate);
+    if (!requiresApproval(gate)) {
+      await activatePromptVersion(c.env, version);
+      return c.json({ id: prompt.id, version: version.version, status: "active" });
+    }
+    const reviewers = assignReviewers(gate, version.created_by);
+    if (!(await submitPromptVersion(c.env, prompt.id, version.version, reviewers))) {
+      return c.json({ error: "Version is no longer a draft" }, 409);
+    }
+    return c.json({ id: prompt.id, version: version.version, status: "pending", reviewers });
+  } catch (err) {
+    console.error("[prompts] submit error:", err);
+    return c.json({ error: "Failed to submit version", detail: err.message }, 500);
+  }
+});
+
+// Approve a pending version; it goes live unless activate is false
+promptRoutes.post("/:id/versions/:version/approve", async (c) => {
+  const { prompt, version, callerId, response } = await loadStagedVersion(c);
+  if (response) return response;
+
+  const body = await c.req.json().catch(() => ({}));
+  const reviewerCheck = checkReviewer(version, callerId, { isAdmin: isAdmin(c) });
+  if (!reviewerCheck.allowed) {
+    return c.json({ error: "Unauthorized: reviewer check failed", reason: reviewerCheck.reason }, 403);
+  }
+  if (version.status !== "pending") return wrongStatus(c, version, "pending");
+
+  try {
+    const decided = await decidePromptVersion(c.env, prompt.id, version.version, {
+      status: "approved",
+      decidedBy: callerId,
+      notes: body?.notes,
+    });
+    if (!decided) return c.json({ error: "Version already decided" }, 409);
+
+    if (body?.activate === false) {
+      return c.json({ id: prompt.id, version: version.version, status: "approved" });
+    }
+    await activatePromptVersion(c.env, version);
+    return c.json({ id: prompt.id, version: version.version, status: "active" });
+  } catch (err) {
+    console.error("[prompts] approve error:", err);
+    return c.json({ error: "Failed to approve version", detail: err.message }, 500);
+  }
+});
+
+// Reject a pending version
+promptRoutes.post("/:id/versions/:version/reject", async (c) => {
+  const { prompt, version, callerId, response } = await loadStagedVersion(c);
+  if (response) return response;
+
+  const body = await c.req.json().catch(() => null);
+  if (!body?.reason) return c.json({ error: "reason is required" }, 400);
+
+  const reviewerCheck = checkReviewer(version, callerId, { isAdmin: isAdmin(c) });
+  if (!reviewerCheck.allowed) {
+    return c.json({ error: "Unauthorized: reviewer check failed", reason: reviewerCheck.reason }, 403);
+  }
+  if (version.status !== "pending") return wrongStatus(c, version, "pending");
+
+  const decided = await decidePromptVersion(c.env, prompt.id, version.version, {
+    status: "rejected",
+    decidedBy: callerId,
+    notes: body.reason,
+  });
+  if (!decided) return c.json({ error: "Version already decided" }, 409);
+  return c.json({ id: prompt.id, version: version.version, status: "rejected" });
+});
+
+// Activate an approved version held back at approval time
+promptRoutes.post("/:id/versions/:version/activate", async (c) => {
+  const { prompt, version, callerId, response } = await loadStagedVersion(c);
+  if (response) return response;
+
+  const authorGateCheck = checkAuthorGate(prompt, callerId);
+  if (!authorGateCheck.allowed && !isAdmin(c)) {
+    return c.json({ error: "Unauthorized: author gate denied", reason: authorGateCheck.reason }, 403);
+  }
+  if (version.status !== "approved") return wrongStatus(c, version, "approved");
+
+  try {
+    await activatePromptVersion(c.env, version);
+    return c.json({ id: prompt.id, version: version.version, status: "active" });
+  } catch (err) {
+    console.error("[prompts] activate error:", err);
+    return c.json({ error: "Failed to activate version", detail: err.message }, 500);
+  }
+});
+
+// ── TY: Render preview (authors) ────────────────────────────
+
+// Render a prompt without executing or logging it. Unsaved edits can be
+// previewed: { version?, base?, layers?, variableSchema?, escapeMode?, variables? }
+promptRoutes.post("/:id/render-preview", async (c) => {
+  const db = c.env.DB;
+  if (!db) return c.json({ error: "D1 not available" }, 503);
+
+  const prompt = await db.prepare("SELECT * FROM prompt_registry WHERE id = ?").bind(c.req.param("id")).first();
+  if (!prompt) return c.json({ error: "Prompt not found" }, 404);
+
+  const callerId = c.get("apiKey")?.chittyId || c.get("apiKey")?.userId || null;
+  const authorGateCheck = checkAuthorGate(prompt, callerId);
+  if (!authorGateCheck.allowed) {
+    return c.json({ error: "Unauthorized: author gate denied", reason: authorGateCheck.reason }, 403);
+  }
+
+  const body = await c.req.json().catch(() => ({}));
+  const invalidTemplate = checkTemplateInput(body || {});
+  if (invalidTemplate) return c.json({ error: "Invalid template", reason: invalidTemplate }, 400);
+
+  let source = prompt;
+  if (body?.version !== undefined) {
+    source = await getPromptVersion(c.env, prompt.id, Number(body.version));
+    if (!source) return c.json({ error: "Version not found" }, 404);
+  }
+  const draft = {
+    base: body?.base ?? source.base,
+    layers: body?.layers ?? safeParseJson(source.layers || "[]"),
+    variable_schema: JSON.stringify(body?.variableSchema ?? safeParseJson(source.variable_schema)),
+    escape_mode: body?.escapeMode ?? source.escape_mode,
+  };
+  const layers = (Array.isArray(draft.layers) ? [...draft.layers] : []).sort((a, b) => (a.order || 0) - (b.order || 0));
+
+  try {
+    const composed = await composePrompt(c, draft, layers, body?.variables);
+    return c.json({
+      rendered: composed.output,
+      resolvedLayers: composed.layers,
+      partials: composed.partials,
+      variables: composed.values,
+      version: source.version,
+    });
+  } catch (err) {
+    if (err instanceof TemplateError) return templateErrorResponse(c, err);
+    throw err;
+  }
+});
+
 // ── Resolve (TY + RY) ───────────────────────────────────────
 
 promptRoutes.post("/resolve", async (c) => {
@@ -196,7 +465,7 @@ promptRoutes.post("/resolve", async (c) => {
 
   const environment = body.environment || "production";
   const apiKey = c.get("apiKey");
-  const consumerService = apiKey?.service || apiKey?.chittyId || c.req.header("X-Source-Service") || "unknown";
+  const consumerService = consumerServiceFor(c);
   const consumerId = apiKey?.chittyId || apiKey?.userId || null;
 
   // RY: check consumer gate
@@ -210,8 +479,11 @@ promptRoutes.post("/resolve", async (c) => {
   const envMode = envGate[environment] || "ai";
   const aiEnabled = envMode === "ai" || (envMode === "configurable" && body.forceAi);
 
+  // VY: A/B or canary split, if a rollout covers this consumer
+  const { served, rolloutId } = await servedVersion(c, prompt, { environment, consumerService, consumerId });
+
   // TY: compose prompt from base + layers + additional layers
-  const baseLayers = safeParseJson(prompt.layers);
+  const baseLayers = safeParseJson(served.layers);
   const additionalLayerIds = body.additionalLayers || [];
   const resolvedLayers = [...baseLayers];
 
@@ -225,13 +497,23 @@ promptRoutes.post("/resolve", async (c) => {
 
   // Sort by order and compose
   resolvedLayers.sort((a, b) => (a.order || 0) - (b.order || 0));
-  const composedPrompt = composePrompt(prompt.base, resolvedLayers, body.variables);
-  const resolvedLayerIds = resolvedLayers.map((l) => l.id);
+
+  // TY: render base + layers as templates against the declared variables
+  let composed;
+  try {
+    composed = await composePrompt(c, served, resolvedLayers, body.variables);
+  } catch (err) {
+    if (err instanceof TemplateError) return templateErrorResponse(c, err);
+    throw err;
+  }
+  const composedPrompt = composed.output;
+  const resolvedLayerIds = composed.layers;
 
   // VY: log execution
   await logExecution(db, {
     promptId: body.promptId,
-    promptVersion: prompt.version,
+    promptVersion: served.version,
+    rolloutId,
     consumerId,
     consumerService,
     mode: "resolve",
@@ -242,8 +524,10 @@ promptRoutes.post("/resolve", async (c) => {
   return c.json({
     systemPrompt: composedPrompt,
     aiEnabled,
-    version: prompt.version,
+    version: served.version,
+    rolloutId,
     resolvedLayers: resolvedLayerIds,
+    partials: composed.partials,
     fallbackMode: aiEnabled ? null : prompt.fallback,
   });
 });
@@ -264,7 +548,7 @@ promptRoutes.post("/execute", async (c) => {
 
   const environment = body.environment || "production";
   const apiKeyExec = c.get("apiKey");
-  const consumerService = apiKeyExec?.service || apiKeyExec?.chittyId || c.req.header("X-Source-Service") || "unknown";
+  const consumerService = consumerServiceFor(c);
   const consumerId = apiKeyExec?.chittyId || apiKeyExec?.userId || null;
 
   // RY: gates
@@ -277,10 +561,13 @@ promptRoutes.post("/execute", async (c) => {
   const envMode = envGate[environment] || "ai";
   const aiEnabled = envMode === "ai" || (envMode === "configurable" && body.forceAi);
 
+  // VY: A/B or canary split, if a rollout covers this consumer
+  const { served, rolloutId } = await servedVersion(c, prompt, { environment, consumerService, consumerId });
+
   if (!aiEnabled) {
     // VY: log gated execution
     await logExecution(db, {
-      promptId: body.promptId, promptVersion: prompt.version,
+      promptId: body.promptId, promptVersion: served.version, rolloutId,
       consumerId, consumerService, mode: "execute", environment,
       layersResolved: [], error: `AI gated: env=${environment} mode=${envMode}`,
     });
@@ -289,13 +576,13 @@ promptRoutes.post("/execute", async (c) => {
       result: null,
       aiEnabled: false,
       fallbackMode: prompt.fallback,
-      version: prompt.version,
+      version: served.version,
       message: `AI execution gated in ${environment} environment (mode: ${envMode})`,
     });
   }
 
   // TY: compose prompt
-  const baseLayers = safeParseJson(prompt.layers);
+  const baseLayers = safeParseJson(served.layers);
   const additionalLayerIds = body.additionalLayers || [];
   const resolvedLayers = [...baseLayers];
 
@@ -307,8 +594,17 @@ promptRoutes.post("/execute", async (c) => {
   }
 
   resolvedLayers.sort((a, b) => (a.order || 0) - (b.order || 0));
-  const composedPrompt = composePrompt(prompt.base, resolvedLayers, body.variables);
-  const resolvedLayerIds = resolvedLayers.map((l) => l.id);
+
+  // TY: render base + layers as templates against the declared variables
+  let composed;
+  try {
+    composed = await composePrompt(c, served, resolvedLayers, body.variables);
+  } catch (err) {
+    if (err instanceof TemplateError) return templateErrorResponse(c, err);
+    throw err;
+  }
+  const composedPrompt = composed.output;
+  const resolvedLayerIds = composed.layers;
 
   // Dispatch to agent or AI proxy
   const startMs = Date.now();
@@ -339,7 +635,7 @@ promptRoutes.post("/execute", async (c) => {
           systemPrompt: composedPrompt,
           input: body.input,
           promptId: body.promptId,
-          promptVersion: prompt.version,
+          promptVersion: served.version,
         }),
         signal: AbortSignal.timeout(60000),
       });
@@ -355,17 +651,7 @@ promptRoutes.post("/execute", async (c) => {
     } else {
       // Direct AI proxy via Workers AI
       if (c.env.AI) {
-        const aiResult = await c.env.AI.run(
-          c.env.AI_MODEL_PRIMARY || "@cf/meta/llama-4-scout-17b-16e-instruct",
-          {
-            messages: [
-              { role: "system", content: composedPrompt },
-              { role: "user", content: typeof body.input === "string" ? body.input : JSON.stringify(body.input) },
-            ],
-            max_tokens: body.maxTokens || 4096,
-          }
-        );
-        result = aiResult.response;
+        result = await runWorkersAi(c.env, composedPrompt, body.input, body.maxTokens);
         executedBy = "chittyconnect/workers-ai";
       } else {
         throw new Error("No AI binding or dispatch target available");
@@ -383,19 +669,20 @@ promptRoutes.post("/execute", async (c) => {
   const inputHash = await hashInput(inputStr);
 
   await logExecution(db, {
-    promptId: body.promptId, promptVersion: prompt.version,
+    promptId: body.promptId, promptVersion: served.version, rolloutId,
     consumerId, consumerService, executedBy, mode: "execute",
     environment, inputHash, layersResolved: resolvedLayerIds,
     latencyMs, error,
   });
 
   if (error) {
-    return c.json({ error: "Execution failed", detail: error, version: prompt.version }, 502);
+    return c.json({ error: "Execution failed", detail: error, version: served.version }, 502);
   }
 
   return c.json({
     result,
-    promptVersion: prompt.version,
+    promptVersion: served.version,
+    rolloutId,
     resolvedLayers: resolvedLayerIds,
     executedBy,
     latencyMs,
@@ -457,25 +744,12 @@ promptRoutes.get("/:id/drift", async (c) => {
   const days = Number.isFinite(rawDays) ? Math.max(1, Math.min(rawDays, 365)) : 30;
 
   // Get quality distribution over time
-  const results = await db.prepare(`
-    SELECT
-      prompt_version,
-      COUNT(*) as executions,
-      AVG(output_quality) as avg_quality,
-      MIN(output_quality) as min_quality,
-      MAX(output_quality) as max_quality,
-      COUNT(CASE WHEN output_quality IS NOT NULL THEN 1 END) as rated_count,
-      COUNT(CASE WHEN error IS NOT NULL THEN 1 END) as error_count
-    FROM prompt_executions
-    WHERE prompt_id = ? AND created_at >= datetime('now', '-' || ? || ' days')
-    GROUP BY prompt_version
-    ORDER BY prompt_version DESC
-  `).bind(promptId, days).all();
+  const versions = await promptVersionStats(c.env, promptId, { days });
 
   return c.json({
     promptId,
     periodDays: days,
-    versions: results.results || [],
+    versions,
   });
 });
 
@@ -498,6 +772,223 @@ promptRoutes.get("/:id/executions", async (c) => {
   return c.json({ executions: results.results || [], total: results.results?.length || 0 });
 });
 
+// ── VY: Rollouts (A/B + canary) ─────────────────────────────
+
+// Load prompt for an author-only step (rollouts, evals) and enforce the author gate, or an error response
+async function loadAuthoredPrompt(c) {
+  const db = c.env.DB;
+  if (!db) return { response: c.json({ error: "D1 not available" }, 503) };
+
+  const prompt = await db.prepare("SELECT * FROM prompt_registry WHERE id = ?").bind(c.req.param("id")).first();
+  if (!prompt) return { response: c.json({ error: "Prompt not found" }, 404) };
+
+  const apiKey = c.get("apiKey");
+  const callerId = apiKey?.chittyId || apiKey?.userId || null;
+  const authorGateCheck = checkAuthorGate(prompt, callerId);
+  if (!authorGateCheck.allowed && !isAdmin(c)) {
+    return {
+      response: c.json({ error: "Unauthorized: author gate denied", reason: authorGateCheck.reason }, 403),
+    };
+  }
+  return { prompt, callerId };
+}
+
+// Start a rollout: { variants: [{ version, weight }], controlVersion?, environment?,
+// consumerService?, autoDecide?, minExecutions?, maxErrorRate?, maxQualityDrop? }
+promptRoutes.post("/:id/rollouts", async (c) => {
+  const { prompt, callerId, response } = await loadAuthoredPrompt(c);
+  if (response) return response;
+
+  const body = await c.req.json().catch(() => null);
+  const invalid = validateRollout(body);
+  if (invalid) return c.json({ error: "Invalid rollout", reason: invalid }, 400);
+
+  try {
+    const result = await createRollout(c.env, prompt, body, callerId);
+    if (result.error) return c.json({ error: result.error }, result.status);
+    return c.json({ rollout: result.rollout }, 201);
+  } catch (err) {
+    console.error("[prompts] rollout create error:", err);
+    return c.json({ error: "Failed to create rollout", detail: err.message }, 500);
+  }
+});
+
+// List rollouts (?status=active)
+promptRoutes.get("/:id/rollouts", async (c) => {
+  const db = c.env.DB;
+  if (!db) return c.json({ error: "D1 not available" }, 503);
+
+  const rollouts = await listRollouts(c.env, c.req.param("id"), { status: c.req.query("status") });
+  return c.json({ rollouts, total: rollouts.length });
+});
+
+// Rollout with its per-version stats and what the auto-decision would be
+promptRoutes.get("/:id/rollouts/:rolloutId", async (c) => {
+  const db = c.env.DB;
+  if (!db) return c.json({ error: "D1 not available" }, 503);
+
+  const rollout = await getRollout(c.env, c.req.param("id"), c.req.param("rolloutId"));
+  if (!rollout) return c.json({ error: "Rollout not found" }, 404);
+  const stats = await promptVersionStats(c.env, rollout.promptId, { rolloutId: rollout.id });
+  return c.json({ rollout, stats });
+});
+
+// Evaluate now and apply the promote/rollback decision
+promptRoutes.post("/:id/rollouts/:rolloutId/evaluate", async (c) => {
+  const { prompt, response } = await loadAuthoredPrompt(c);
+  if (response) return response;
+
+  const rollout = await getRollout(c.env, prompt.id, c.req.param("rolloutId"));
+  if (!rollout) return c.json({ error: "Rollout not found" }, 404);
+  if (rollout.status !== "active") return c.json({ error: `Rollout is ${rollout.status}` }, 409);
+
+  const decision = await evaluateRollout(c.env, rollout);
+  return c.json({ rolloutId: rollout.id, ...decision });
+});
+
+// Promote a variant by hand: { version, reason? }
+promptRoutes.post("/:id/rollouts/:rolloutId/promote", async (c) => {
+  const { prompt, callerId, response } = await loadAuthoredPrompt(c);
+  if (response) return response;
+
+  const rollout = await getRollout(c.env, prompt.id, c.req.param("rolloutId"));
+  if (!rollout) return c.json({ error: "Rollout not found" }, 404);
+
+  const body = await c.req.json().catch(() => ({}));
+  if (!rollout.variants.some((v) => v.version === body?.version)) {
+    return c.json({ error: "version must be one of the rollout's variants" }, 400);
+  }
+  const ended = await endRollout(c.env, rollout, {
+    status: "promoted",
+    version: body.version,
+    reason: body.reason || "Promoted manually",
+    decidedBy: callerId,
+  });
+  if (!ended) return c.json({ error: `Rollout is ${rollout.status}` }, 409);
+  return c.json({ rolloutId: rollout.id, status: "promoted", version: body.version });
+});
+
+// Roll back to the control version: { reason? }
+promptRoutes.post("/:id/rollouts/:rolloutId/rollback", async (c) => {
+  const { prompt, callerId, response } = await loadAuthoredPrompt(c);
+  if (response) return response;
+
+  const rollout = await getRollout(c.env, prompt.id, c.req.param("rolloutId"));
+  if (!rollout) return c.json({ error: "Rollout not found" }, 404);
+
+  const body = await c.req.json().catch(() => ({}));
+  const ended = await endRollout(c.env, rollout, {
+    status: "rolled_back",
+    version: rollout.controlVersion,
+    reason: body?.reason || "Rolled back manually",
+    decidedBy: callerId,
+  });
+  if (!ended) return c.json({ error: `Rollout is ${rollout.status}` }, 409);
+  return c.json({ rolloutId: rollout.id, status: "rolled_back", version: rollout.controlVersion });
+});
+
+// ── VY: Offline evaluation ──────────────────────────────────
+
+// Attach a suite: { name, cases: [{ id, input, variables?, stub?, expect }], passThreshold? }
+promptRoutes.post("/:id/eval-suites", async (c) => {
+  const { prompt, callerId, response } = await loadAuthoredPrompt(c);
+  if (response) return response;
+
+  const body = await c.req.json().catch(() => null);
+  const invalid = validateEvalSuite(body);
+  if (invalid) return c.json({ error: "Invalid eval suite", reason: invalid }, 400);
+
+  const result = await createEvalSuite(c.env, prompt.id, body, callerId);
+  if (result.error) return c.json({ error: result.error }, result.status);
+  return c.json({ suite: result.suite }, 201);
+});
+
+promptRoutes.get("/:id/eval-suites", async (c) => {
+  const db = c.env.DB;
+  if (!db) return c.json({ error: "D1 not available" }, 503);
+
+  const suites = await listEvalSuites(c.env, c.req.param("id"));
+  return c.json({ suites, total: suites.length });
+});
+
+// Replace a suite's name, cases or passThreshold
+promptRoutes.put("/:id/eval-suites/:suiteId", async (c) => {
+  const { prompt, response } = await loadAuthoredPrompt(c);
+  if (response) return response;
+
+  const suite = await getEvalSuite(c.env, prompt.id, c.req.param("suiteId"));
+  if (!suite) return c.json({ error: "Eval suite not found" }, 404);
+
+  const body = await c.req.json().catch(() => null);
+  const invalid = validateEvalSuite(body, { partial: true });
+  if (invalid) return c.json({ error: "Invalid eval suite", reason: invalid }, 400);
+
+  return c.json({ suite: await updateEvalSuite(c.env, suite, body) });
+});
+
+// Run a candidate version against its suites: { version?, suiteId?, model?: "stub", forceAi? }
+// The model follows the candidate's `test` env gate (deterministic → stub);
+// every case is logged with its score as quality_source "auto_eval".
+promptRoutes.post("/:id/evaluate", async (c) => {
+  const { prompt, callerId, response } = await loadAuthoredPrompt(c);
+  if (response) return response;
+  const db = c.env.DB;
+
+  const body = await c.req.json().catch(() => ({}));
+  let candidate = prompt;
+  if (body?.version !== undefined) {
+    candidate = await getPromptVersion(c.env, prompt.id, Number(body.version));
+    if (!candidate) return c.json({ error: "Version not found" }, 404);
+  }
+
+  let suites;
+  if (body?.suiteId) {
+    const suite = await getEvalSuite(c.env, prompt.id, body.suiteId);
+    if (!suite) return c.json({ error: "Eval suite not found" }, 404);
+    suites = [suite];
+  } else {
+    suites = await listEvalSuites(c.env, prompt.id);
+    if (!suites.length) return c.json({ error: "No eval suites attached to this prompt" }, 400);
+  }
+
+  const envMode = safeParseJson(candidate.env_gate || prompt.env_gate).test || "deterministic";
+  const useAi = body?.model !== "stub" && Boolean(c.env.AI) &&
+    (envMode === "ai" || (envMode === "configurable" && body?.forceAi));
+  const executedBy = useAi ? "chittyconnect/workers-ai" : "chittyconnect/eval-stub";
+
+  const layers = [...safeParseJson(candidate.layers || "[]")].sort((a, b) => (a.order || 0) - (b.order || 0));
+  const runner = {
+    compose: (variables) => composePrompt(c, candidate, layers, variables),
+    generate: async (systemPrompt, testCase) =>
+      useAi ? runWorkersAi(c.env, systemPrompt, testCase.input) : stubModel(systemPrompt, testCase),
+  };
+
+  const results = [];
+  for (const suite of suites) {
+    const result = await runEvalSuite(suite, runner);
+    for (const run of result.cases) {
+      const inputStr = typeof run.input === "string" ? run.input : JSON.stringify(run.input);
+      await logExecution(db, {
+        promptId: prompt.id, promptVersion: candidate.version,
+        consumerId: callerId, consumerService: "prompt-eval", executedBy,
+        mode: "evaluate", environment: "test", inputHash: await hashInput(inputStr),
+        layersResolved: run.layers, latencyMs: run.latencyMs, error: run.error,
+        outputQuality: run.score, qualitySource: "auto_eval",
+      });
+    }
+    results.push(result);
+  }
+
+  return c.json({
+    promptId: prompt.id,
+    version: candidate.version,
+    model: useAi ? "workers-ai" : "stub",
+    envMode,
+    passed: results.every((r) => r.passed),
+    suites: results,
+  });
+});
+
 // ── Helpers ──────────────────────────────────────────────────
 
 function formatPrompt(row) {
@@ -511,6 +1002,8 @@ function formatPrompt(row) {
     envGate: safeParseJson(row.env_gate),
     authorGate: safeParseJson(row.author_gate),
     consumerGate: safeParseJson(row.consumer_gate),
+    variableSchema: safeParseJson(row.variable_schema),
+    escapeMode: row.escape_mode || "none",
     createdBy: row.created_by,
     createdAt: row.created_at,
     updatedAt: row.updated_at,
@@ -528,9 +1021,18 @@ function formatVersion(row) {
     envGate: safeParseJson(row.env_gate),
     authorGate: safeParseJson(row.author_gate),
     consumerGate: safeParseJson(row.consumer_gate),
+    variableSchema: safeParseJson(row.variable_schema),
+    escapeMode: row.escape_mode || "none",
     changelog: row.changelog,
     createdBy: row.created_by,
     createdAt: row.created_at,
+    status: row.status || "active",
+    reviewers: Array.isArray(row.reviewers) ? row.reviewers : safeParseJson(row.reviewers || "[]"),
+    submittedAt: row.submitted_at || null,
+    decidedBy: row.decided_by || null,
+    decidedAt: row.decided_at || null,
+    decisionNotes: row.decision_notes || null,
+    activatedAt: row.activated_at || null,
   };
 }
 
@@ -538,18 +1040,97 @@ function safeParseJson(str) {
   try { return JSON.parse(str || "{}"); } catch { return {}; }
 }
 
-function composePrompt(base, layers, variables) {
-  let composed = base;
-  for (const layer of layers) {
-    composed += "\n\n" + (layer.content || "");
+// Whether a layer applies: `when: "flag"` needs a truthy variable, "!flag" a falsy one
+function layerApplies(layer, values) {
+  if (typeof layer.when !== "string" || !layer.when) return true;
+  const negate = layer.when.startsWith("!");
+  const value = values[negate ? layer.when.slice(1) : layer.when];
+  const set = Array.isArray(value) ? value.length > 0 : Boolean(value);
+  return negate ? !set : set;
+}
+
+// Partials come from prompts the caller passes the consumer gate for, and
+// only from the active base or an active or approved version
+async function loadPartial(c, id, version) {
+  const db = c.env.DB;
+  const prompt = await db.prepare("SELECT * FROM prompt_registry WHERE id = ?").bind(id).first();
+  if (!prompt) return null;
+  if (!isAdmin(c) && !checkConsumerGate(prompt, consumerServiceFor(c)).allowed) return null;
+  if (!version) return prompt.base ?? null;
+
+  const row = await db
+    .prepare(
+      "SELECT base FROM prompt_versions WHERE prompt_id = ? AND version = ? AND COALESCE(status, 'active') IN ('active', 'approved')",
+    )
+    .bind(id, version)
+    .first();
+  return row?.base ?? null;
+}
+
+// Render base + applicable layers against the prompt's variable schema
+async function composePrompt(c, prompt, layers, variables) {
+  const checked = applyVariableSchema(safeParseJson(prompt.variable_schema), variables || {});
+  if (checked.errors.length) {
+    throw new TemplateError(`Invalid variables: ${checked.errors.join("; ")}`, {
+      code: "TEMPLATE_INVALID_VARIABLES",
+      errors: checked.errors,
+    });
   }
-  // Variable substitution: {{variable}} → value
-  if (variables && typeof variables === "object") {
-    for (const [key, value] of Object.entries(variables)) {
-      composed = composed.replaceAll(`{{${key}}}`, String(value));
+
+  const included = layers.filter((layer) => layerApplies(layer, checked.values));
+  const opts = { escape: prompt.escape_mode || "none", optional: checked.optional };
+  const partials = new Set();
+  const parts = [];
+  for (const source of [prompt.base, ...included.map((layer) => layer.content || "")]) {
+    const compiled = await compileTemplate(source, (id, version) => loadPartial(c, id, version));
+    const rendered = renderTemplate(compiled, checked.values, opts);
+    rendered.partials.forEach((key) => partials.add(key));
+    parts.push(rendered.output);
+  }
+
+  return {
+    output: parts.join("\n\n"),
+    layers: included.map((layer) => layer.id),
+    partials: [...partials],
+    values: checked.values,
+  };
+}
+
+// Template fields of a create/update/preview body: error message or null
+function checkTemplateInput(body) {
+  if (body.variableSchema !== undefined) {
+    const invalid = validateVariableSchema(body.variableSchema);
+    if (invalid) return invalid;
+  }
+  if (body.escapeMode !== undefined && !ESCAPE_MODES.includes(body.escapeMode)) {
+    return `escapeMode must be one of ${ESCAPE_MODES.join(", ")}`;
+  }
+  const sources = [body.base, ...(Array.isArray(body.layers) ? body.layers.map((l) => l?.content) : [])];
+  for (const source of sources) {
+    if (typeof source !== "string") continue;
+    try {
+      parseTemplate(source);
+    } catch (err) {
+      if (err instanceof TemplateError) return err.message;
+      throw err;
     }
   }
-  return composed;
+  return null;
+}
+
+// Caller errors (variables) are 400; author errors (syntax, partials) 422
+function templateErrorResponse(c, err) {
+  const callerError = err.code === "TEMPLATE_INVALID_VARIABLES" || err.code === "TEMPLATE_MISSING_VARIABLES";
+  return c.json(
+    {
+      error: "Template error",
+      code: err.code,
+      reason: err.message,
+      ...(err.missing && { missing: err.missing }),
+      ...(err.errors && { errors: err.errors }),
+    },
+    callerError ? 400 : 422,
+  );
 }
 
 function checkAuthorGate(prompt, consumerId) {
@@ -566,6 +1147,17 @@ function checkAuthorGate(prompt, consumerId) {
   return { allowed: true };
 }
 
+function isAdmin(c) {
+  const keyInfo = c.get("apiKey") || {};
+  const role = keyInfo.role || keyInfo.scopes?.[0];
+  return role === "admin" || (keyInfo.scopes || []).includes("admin");
+}
+
+function consumerServiceFor(c) {
+  const apiKey = c.get("apiKey");
+  return apiKey?.service || apiKey?.chittyId || c.req.header("X-Source-Service") || "unknown";
+}
+
 function checkConsumerGate(prompt, consumerService) {
   const gate = safeParseJson(prompt.consumer_gate);
   if (!gate.allowedServices || gate.allowedServices.includes("*")) {
@@ -596,19 +1188,53 @@ function resolveDispatchTarget(domain, env) {
   return { type: "direct" };
 }
 
+// Version to serve: a rollout variant, or the registry's active version.
+// Rollout lookups fail open to the active version.
+async function servedVersion(c, prompt, consumer) {
+  try {
+    const variant = await selectPromptVariant(c.env, prompt, consumer);
+    if (variant) {
+      const { version, base, layers, variable_schema, escape_mode } = variant.version;
+      return {
+        served: { ...prompt, version, base, layers, variable_schema, escape_mode },
+        rolloutId: variant.rolloutId,
+      };
+    }
+  } catch (err) {
+    console.error("[prompts] rollout lookup failed:", err);
+  }
+  return { served: prompt, rolloutId: null };
+}
+
+async function runWorkersAi(env, systemPrompt, input, maxTokens) {
+  const aiResult = await env.AI.run(
+    env.AI_MODEL_PRIMARY || "@cf/meta/llama-4-scout-17b-16e-instruct",
+    {
+      messages: [
+        { role: "system", content: systemPrompt },
+        { role: "user", content: typeof input === "string" ? input : JSON.stringify(input) },
+      ],
+      max_tokens: maxTokens || 4096,
+    }
+  );
+  return aiResult.response;
+}
+
 async function logExecution(db, params) {
   try {
     await db.prepare(`
       INSERT INTO prompt_executions
-        (prompt_id, prompt_version, consumer_id, consumer_service, executed_by, mode, environment, input_hash, layers_resolved, latency_ms, error)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        (prompt_id, prompt_version, consumer_id, consumer_service, executed_by, mode, environment, input_hash, layers_resolved, latency_ms, error, rollout_id, output_quality, quality_source)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `).bind(
       params.promptId, params.promptVersion,
       params.consumerId || null, params.consumerService || "unknown",
       params.executedBy || null, params.mode || "resolve",
       params.environment || "production", params.inputHash || null,
       JSON.stringify(params.layersResolved || []),
-      params.latencyMs || null, params.error || null
+      params.latencyMs || null, params.error || null,
+      params.rolloutId || null,
+      params.outputQuality ?? null, params.qualitySource || null
     ).run();
   } catch (err) {
     console.error("[prompts] execution log failed:", err);
@@ -4,9 +4,20 @@
 
 import { Hono } from "hono";
 import { getServiceCatalog } from "../../lib/service-catalog.js";
+import { getBreakerStates, resetBreakers } from "../../lib/service-switch.js";
 
 const servicesRoutes = new Hono();
 
+function requireAdmin(c) {
+  const keyInfo = c.get("apiKey") || {};
+  const role = keyInfo.role || keyInfo.scopes?.[0];
+  const scopes = keyInfo.scopes || [];
+  if (role !== "admin" && !scopes.includes("admin")) {
+    return c.json({ error: "Admin scope required" }, 403);
+  }
+  return null;
+}
+
 /**
  * GET /api/services/status
  * Check all ChittyOS services health
@@ -47,12 +58,33 @@ servicesRoutes.get("/status", async (c) => {
       services[result.serviceId] = result;
     });
 
-    return c.json({ services });
+    return c.json({ services, breakers: getBreakerStates() });
   } catch (error) {
     return c.json({ error: error.message }, 500);
   }
 });
 
+/**
+ * GET /api/services/breakers
+ * Circuit breaker state for serviceFetch routes seen by this isolate
+ */
+servicesRoutes.get("/breakers", (c) => {
+  return c.json({ breakers: getBreakerStates() });
+});
+
+/**
+ * POST /api/services/breakers/:serviceName/reset
+ * Force a service's breakers back to closed (admin only)
+ */
+servicesRoutes.post("/breakers/:serviceName/reset", (c) => {
+  const denied = requireAdmin(c);
+  if (denied) return denied;
+
+  const serviceName = c.req.param("serviceName");
+  const reset = resetBreakers(serviceName);
+  return c.json({ serviceName, reset });
+});
+
 /**
  * GET /api/services/:serviceId/status
  * Check specific service health
@@ -57,17 +57,19 @@ migrationRoutes.get("/plan", async (c) => {
 
 /**
  * POST /api/v1/tenants/migration/execute
- * Execute the migration — provisions tenants and replicates data
+ * Execute the migration — provisions tenants and replicates data.
+ * Resumes interrupted clients from their checkpoints unless restart is true.
  */
 migrationRoutes.post("/execute", async (c) => {
   try {
-    const { clientId, dryRun, region } = await c.req.json();
+    const { clientId, dryRun, region, restart } = await c.req.json();
 
     const migration = new TenantDataMigration(c.env);
     const result = await migration.execute({
       clientId,
       dryRun: dryRun === true,
       region,
+      restart: restart === true,
     });
 
     return c.json(result);
@@ -76,4 +78,65 @@ migrationRoutes.post("/execute", async (c) => {
   }
 });
 
+/**
+ * GET /api/v1/tenants/migration/progress
+ * Per-client checkpoints (optionally ?clientId=)
+ */
+migrationRoutes.get("/progress", async (c) => {
+  try {
+    const migration = new TenantDataMigration(c.env);
+    const result = await migration.progress(c.req.query("clientId") || undefined);
+    return c.json(result);
+  } catch (error) {
+    return c.json({ error: error.message }, 500);
+  }
+});
+
+/**
+ * POST /api/v1/tenants/migration/verify
+ * Re-run count and content_hash verification for one client
+ */
+migrationRoutes.post("/verify", async (c) => {
+  try {
+    const { clientId } = await c.req.json();
+    if (!clientId) {
+      return c.json({ error: "clientId is required" }, 400);
+    }
+
+    const migration = new TenantDataMigration(c.env);
+    const result = await migration.verify(clientId);
+    return c.json(result);
+  } catch (error) {
+    return c.json({ error: error.message }, 500);
+  }
+});
+
+/**
+ * POST /api/v1/tenants/migration/rollback
+ * Remove a client's migrated data (or, with deprovision, the tenant
+ * project the migration created). Verified migrations require force.
+ */
+migrationRoutes.post("/rollback", async (c) => {
+  try {
+    const { clientId, deprovision, force } = await c.req.json();
+    if (!clientId) {
+      return c.json({ error: "clientId is required" }, 400);
+    }
+
+    const migration = new TenantDataMigration(c.env);
+    const result = await migration.rollback(clientId, {
+      deprovision: deprovision === true,
+      force: force === true,
+    });
+    return c.json(result);
+  } catch (error) {
+    const status = error.message.includes("not found")
+      ? 404
+      : error.message.includes("cannot be")
+        ? 409
+        : 500;
+    return c.json({ error: error.message }, status);
+  }
+});
+
 export { migrationRoutes };
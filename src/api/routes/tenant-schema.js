@@ -0,0 +1,100 @@
+/**
+ * Tenant Schema Upgrade Routes
+ *
+ * Admin endpoints that bring already-provisioned tenant databases to a
+ * TENANT_MIGRATIONS version and report which tenants are on which version.
+ *
+ * All endpoints require admin-level authentication.
+ */
+
+import { Hono } from "hono";
+import { TenantSchemaUpgrader } from "../../services/tenant-schema-upgrader.js";
+import { LATEST_TENANT_VERSION } from "../../lib/tenant-migrations.js";
+
+const tenantSchemaRoutes = new Hono();
+
+// Require admin scope for all schema upgrade endpoints
+tenantSchemaRoutes.use("*", async (c, next) => {
+  const keyInfo = c.get("apiKey") || c.get("auth") || {};
+  const role = keyInfo.role || keyInfo.scopes?.[0];
+  const scopes = keyInfo.scopes || [];
+  if (role !== "admin" && !scopes.includes("admin")) {
+    return c.json(
+      { error: "Admin scope required for tenant schema endpoints" },
+      403,
+    );
+  }
+  return next();
+});
+
+/**
+ * POST /api/v1/tenants/migrations/apply
+ * Upgrade every active tenant (or one tenant) to a schema version.
+ * Body: { tenantId?, targetVersion?, dryRun?, allowDataLoss? }
+ * A targetVersion below the latest runs down-migrations, which drop
+ * tables, so it requires allowDataLoss unless it is a dry run.
+ */
+tenantSchemaRoutes.post("/apply", async (c) => {
+  try {
+    const { tenantId, targetVersion, dryRun, allowDataLoss } = await c.req
+      .json()
+      .catch(() => ({}));
+
+    if (
+      targetVersion !== undefined &&
+      (!Number.isInteger(targetVersion) ||
+        targetVersion < 0 ||
+        targetVersion > LATEST_TENANT_VERSION)
+    ) {
+      return c.json(
+        { error: `targetVersion must be an integer from 0 to ${LATEST_TENANT_VERSION}` },
+        400,
+      );
+    }
+    if (
+      targetVersion !== undefined &&
+      targetVersion < LATEST_TENANT_VERSION &&
+      dryRun !== true &&
+      allowDataLoss !== true
+    ) {
+      return c.json(
+        {
+          error:
+            "targetVersion below the latest can run down-migrations that drop tenant tables; " +
+            "pass allowDataLoss: true (or dryRun: true to see the steps)",
+        },
+        400,
+      );
+    }
+
+    const upgrader = new TenantSchemaUpgrader(c.env);
+    const result = await upgrader.apply({
+      tenantId,
+      targetVersion,
+      dryRun: dryRun === true,
+    });
+    return c.json(result);
+  } catch (error) {
+    const status = error.message.includes("not found")
+      ? 404
+      : error.message.includes("deprovisioned")
+        ? 409
+        : 500;
+    return c.json({ error: error.message }, status);
+  }
+});
+
+/**
+ * GET /api/v1/tenants/migrations/status
+ * Which active tenants are on which schema version
+ */
+tenantSchemaRoutes.get("/status", async (c) => {
+  try {
+    const upgrader = new TenantSchemaUpgrader(c.env);
+    return c.json(await upgrader.status());
+  } catch (error) {
+    return c.json({ error: error.message }, 500);
+  }
+});
+
+export { tenantSchemaRoutes };
@@ -2,15 +2,51 @@
  * Tenant Management Routes
  *
  * CRUD operations for Neon project-per-tenant lifecycle.
- * All endpoints require authentication.
+ * All endpoints but the export signing JWKS require authentication;
+ * suspension, quotas, usage reports, branches, restores and export bundles
+ * require admin scope.
  */
 
 import { Hono } from "hono";
-import { TenantProjectManager } from "../../services/tenant-project-manager.js";
+import {
+  TenantProjectManager,
+  BRANCH_TTL_HOURS,
+} from "../../services/tenant-project-manager.js";
+import {
+  TenantMetering,
+  TenantAccessError,
+  usagePeriod,
+} from "../../services/tenant-metering.js";
+import { TenantExporter } from "../../services/tenant-export.js";
+import { exportSigningJwks } from "../../lib/export-crypto.js";
 import { queryTenantDb } from "../../lib/tenant-connection-router.js";
 
 const tenantRoutes = new Hono();
 
+const PERIOD_RE = /^\d{4}-(0[1-9]|1[0-2])$/;
+const BRANCH_NAME_RE = /^[a-z0-9][a-z0-9-]{0,39}$/;
+
+function requireAdmin(c) {
+  const keyInfo = c.get("apiKey") || c.get("auth") || {};
+  const role = keyInfo.role || keyInfo.scopes?.[0];
+  const scopes = keyInfo.scopes || [];
+  if (role !== "admin" && !scopes.includes("admin")) {
+    return c.json({ error: "Admin scope required" }, 403);
+  }
+  return null;
+}
+
+function actorOf(c) {
+  const keyInfo = c.get("apiKey") || {};
+  return keyInfo.chittyId || keyInfo.userId || keyInfo.name || null;
+}
+
+function lifecycleErrorStatus(error) {
+  if (error.message.includes("not found")) return 404;
+  if (error.message.includes("is not")) return 409;
+  return 500;
+}
+
 /**
  * POST /api/v1/tenants/provision
  * Provision a new tenant Neon project
@@ -32,6 +68,40 @@ tenantRoutes.post("/provision", async (c) => {
   }
 });
 
+/**
+ * GET /api/v1/tenants/usage?period=YYYY-MM
+ * Monthly usage report across tenants, for billing
+ */
+tenantRoutes.get("/usage", async (c) => {
+  const denied = requireAdmin(c);
+  if (denied) return denied;
+
+  const period = c.req.query("period") || usagePeriod();
+  if (!PERIOD_RE.test(period)) {
+    return c.json({ error: "period must be YYYY-MM" }, 400);
+  }
+
+  try {
+    const metering = new TenantMetering(c.env);
+    return c.json(await metering.report(period));
+  } catch (error) {
+    return c.json({ error: error.message }, 500);
+  }
+});
+
+/**
+ * GET /api/v1/tenants/exports/jwks
+ * Public keys that sign export bundle manifests (no API key required, see
+ * middleware/auth.js)
+ */
+tenantRoutes.get("/exports/jwks", async (c) => {
+  try {
+    return c.json(await exportSigningJwks(c.env));
+  } catch (error) {
+    return c.json({ error: error.message }, 500);
+  }
+});
+
 /**
  * GET /api/v1/tenants/:tenantId
  * Get tenant project details
@@ -51,6 +121,8 @@ tenantRoutes.get("/:tenantId", async (c) => {
       neonProjectId: record.neon_project_id,
       region: record.neon_region,
       status: record.status,
+      suspendedAt: record.suspended_at ?? null,
+      suspendedReason: record.suspended_reason ?? null,
       pgVersion: record.pg_version,
       createdAt: record.created_at,
       updatedAt: record.updated_at,
@@ -86,7 +158,7 @@ tenantRoutes.get("/", async (c) => {
 
 /**
  * POST /api/v1/tenants/:tenantId/export
- * Export tenant project metadata
+ * Export tenant project metadata (data bundles: POST /:tenantId/exports)
  */
 tenantRoutes.post("/:tenantId/export", async (c) => {
   try {
@@ -165,10 +237,305 @@ tenantRoutes.post("/:tenantId/replicate", async (c) => {
       layer: result.layer,
     });
   } catch (error) {
+    if (error instanceof TenantAccessError) {
+      return c.json({ error: error.message, code: error.code }, error.status);
+    }
     return c.json({ error: error.message }, 500);
   }
 });
 
+/**
+ * POST /api/v1/tenants/:tenantId/suspend
+ * Suspend a tenant: queries are refused until it is resumed
+ * Body: { reason? }
+ */
+tenantRoutes.post("/:tenantId/suspend", async (c) => {
+  const denied = requireAdmin(c);
+  if (denied) return denied;
+
+  try {
+    const { reason } = await c.req.json().catch(() => ({}));
+    const manager = new TenantProjectManager(c.env);
+    const result = await manager.suspendTenant(c.req.param("tenantId"), {
+      reason,
+      actor: actorOf(c),
+    });
+    return c.json(result);
+  } catch (error) {
+    return c.json({ error: error.message }, lifecycleErrorStatus(error));
+  }
+});
+
+/**
+ * POST /api/v1/tenants/:tenantId/resume
+ * Resume a suspended tenant
+ */
+tenantRoutes.post("/:tenantId/resume", async (c) => {
+  const denied = requireAdmin(c);
+  if (denied) return denied;
+
+  try {
+    const manager = new TenantProjectManager(c.env);
+    return c.json(await manager.resumeTenant(c.req.param("tenantId")));
+  } catch (error) {
+    return c.json({ error: error.message }, lifecycleErrorStatus(error));
+  }
+});
+
+/**
+ * PUT /api/v1/tenants/:tenantId/quota
+ * Set monthly limits; omitted limits are unlimited
+ * Body: { maxStorageBytes?, maxQueries?, maxComputeSeconds?, enforcement?: "hard"|"soft" }
+ */
+tenantRoutes.put("/:tenantId/quota", async (c) => {
+  const denied = requireAdmin(c);
+  if (denied) return denied;
+
+  const body = await c.req.json().catch(() => null);
+  if (!body || typeof body !== "object") {
+    return c.json({ error: "quota body is required" }, 400);
+  }
+  for (const field of ["maxStorageBytes", "maxQueries", "maxComputeSeconds"]) {
+    const value = body[field];
+    if (value !== undefined && value !== null && !(Number.isInteger(value) && value >= 0)) {
+      return c.json({ error: `${field} must be a non-negative integer or null` }, 400);
+    }
+  }
+  if (body.enforcement !== undefined && !["hard", "soft"].includes(body.enforcement)) {
+    return c.json({ error: "enforcement must be hard or soft" }, 400);
+  }
+
+  try {
+    const metering = new TenantMetering(c.env);
+    const tenantId = c.req.param("tenantId");
+    const quota = await metering.setQuota(tenantId, body, actorOf(c));
+    return c.json({ tenantId, quota });
+  } catch (error) {
+    return c.json({ error: error.message }, lifecycleErrorStatus(error));
+  }
+});
+
+/**
+ * GET /api/v1/tenants/:tenantId/usage?period=YYYY-MM
+ * One tenant's usage against its quota
+ */
+tenantRoutes.get("/:tenantId/usage", async (c) => {
+  const denied = requireAdmin(c);
+  if (denied) return denied;
+
+  const period = c.req.query("period") || usagePeriod();
+  if (!PERIOD_RE.test(period)) {
+    return c.json({ error: "period must be YYYY-MM" }, 400);
+  }
+
+  try {
+    const metering = new TenantMetering(c.env);
+    return c.json(await metering.getUsage(c.req.param("tenantId"), period));
+  } catch (error) {
+    return c.json({ error: error.message }, lifecycleErrorStatus(error));
+  }
+});
+
+/**
+ * POST /api/v1/tenants/:tenantId/branches
+ * Branch the tenant's database at a point in time; returns a sandbox
+ * connection URI that lives until expiresAt
+ * Body: { timestamp?, ttlHours?, name?, purpose? }
+ */
+tenantRoutes.post("/:tenantId/branches", async (c) => {
+  const denied = requireAdmin(c);
+  if (denied) return denied;
+
+  const body = await c.req.json().catch(() => ({}));
+  const { timestamp, ttlHours, name, purpose } = body || {};
+  if (timestamp !== undefined) {
+    const at = Date.parse(timestamp);
+    if (Number.isNaN(at) || at > Date.now()) {
+      return c.json({ error: "timestamp must be an ISO date in the past" }, 400);
+    }
+  }
+  if (
+    ttlHours !== undefined &&
+    !(typeof ttlHours === "number" && ttlHours > 0 && ttlHours <= BRANCH_TTL_HOURS.max)
+  ) {
+    return c.json({ error: `ttlHours must be between 0 and ${BRANCH_TTL_HOURS.max}` }, 400);
+  }
+  if (name !== undefined && !BRANCH_NAME_RE.test(name)) {
+    return c.json({ error: "name must be lowercase letters, digits and dashes (max 40)" }, 400);
+  }
+
+  try {
+    const manager = new TenantProjectManager(c.env);
+    const branch = await manager.createBranch(c.req.param("tenantId"), {
+      timestamp,
+      ttlHours,
+      name,
+      purpose,
+      actor: actorOf(c),
+    });
+    return c.json(branch, 201);
+  } catch (error) {
+    return c.json({ error: error.message }, lifecycleErrorStatus(error));
+  }
+});
+
+/**
+ * GET /api/v1/tenants/:tenantId/branches
+ * The tenant's branches, newest first
+ */
+tenantRoutes.get("/:tenantId/branches", async (c) => {
+  const denied = requireAdmin(c);
+  if (denied) return denied;
+
+  try {
+    const manager = new TenantProjectManager(c.env);
+    return c.json(await manager.listBranches(c.req.param("tenantId")));
+  } catch (error) {
+    return c.json({ error: error.message }, lifecycleErrorStatus(error));
+  }
+});
+
+/**
+ * GET /api/v1/tenants/:tenantId/branches/:branchId
+ * One branch, with its sandbox connection URI while it exists
+ */
+tenantRoutes.get("/:tenantId/branches/:branchId", async (c) => {
+  const denied = requireAdmin(c);
+  if (denied) return denied;
+
+  try {
+    const manager = new TenantProjectManager(c.env);
+    return c.json(
+      await manager.getBranch(c.req.param("tenantId"), c.req.param("branchId")),
+    );
+  } catch (error) {
+    return c.json({ error: error.message }, lifecycleErrorStatus(error));
+  }
+});
+
+/**
+ * DELETE /api/v1/tenants/:tenantId/branches/:branchId
+ * Delete a branch before it expires
+ */
+tenantRoutes.delete("/:tenantId/branches/:branchId", async (c) => {
+  const denied = requireAdmin(c);
+  if (denied) return denied;
+
+  try {
+    const manager = new TenantProjectManager(c.env);
+    return c.json(
+      await manager.deleteBranch(c.req.param("tenantId"), c.req.param("branchId")),
+    );
+  } catch (error) {
+    return c.json({ error: error.message }, lifecycleErrorStatus(error));
+  }
+});
+
+/**
+ * POST /api/v1/tenants/:tenantId/branches/:branchId/restore
+ * Restore the tenant's database from a branch. The previous state is
+ * kept as a backup branch, which can itself be restored to undo; when it
+ * could not be recorded the result has backupRecorded: false and the
+ * backup's Neon branch name.
+ */
+tenantRoutes.post("/:tenantId/branches/:branchId/restore", async (c) => {
+  const denied = requireAdmin(c);
+  if (denied) return denied;
+
+  try {
+    const manager = new TenantProjectManager(c.env);
+    const result = await manager.restoreBranch(
+      c.req.param("tenantId"),
+      c.req.param("branchId"),
+      { actor: actorOf(c) },
+    );
+    return c.json(result);
+  } catch (error) {
+    return c.json({ error: error.message }, lifecycleErrorStatus(error));
+  }
+});
+
+function exportErrorStatus(error) {
+  if (error.message.includes("recipientKey")) return 400;
+  if (error.message.includes("not configured")) return 503;
+  return lifecycleErrorStatus(error);
+}
+
+/**
+ * POST /api/v1/tenants/:tenantId/exports
+ * Queue a signed export bundle (table NDJSON + evidence objects) streamed
+ * to R2; poll GET /:tenantId/exports/:jobId for status and download URLs
+ * Body: { recipientKey?: age recipient (age1…) or X25519 public JWK, includeObjects? }
+ */
+tenantRoutes.post("/:tenantId/exports", async (c) => {
+  const denied = requireAdmin(c);
+  if (denied) return denied;
+
+  const body = await c.req.json().catch(() => ({}));
+  const { recipientKey, includeObjects } = body || {};
+  if (includeObjects !== undefined && typeof includeObjects !== "boolean") {
+    return c.json({ error: "includeObjects must be a boolean" }, 400);
+  }
+
+  try {
+    const exporter = new TenantExporter(c.env);
+    const job = await exporter.createJob(c.req.param("tenantId"), {
+      recipientKey,
+      includeObjects,
+      actor: actorOf(c),
+    });
+
+    // Start now when the runtime lets us; otherwise the cron picks it up
+    try {
+      c.executionCtx.waitUntil(
+        exporter.runJob(job.id).catch((err) => {
+          console.error(`[Tenants] Export ${job.id} run failed:`, err.message);
+        }),
+      );
+    } catch {
+      // No execution context (tests, local scripts)
+    }
+
+    return c.json(job, 202);
+  } catch (error) {
+    return c.json({ error: error.message }, exportErrorStatus(error));
+  }
+});
+
+/**
+ * GET /api/v1/tenants/:tenantId/exports
+ * The tenant's export jobs, newest first
+ */
+tenantRoutes.get("/:tenantId/exports", async (c) => {
+  const denied = requireAdmin(c);
+  if (denied) return denied;
+
+  try {
+    const exporter = new TenantExporter(c.env);
+    return c.json(await exporter.listJobs(c.req.param("tenantId")));
+  } catch (error) {
+    return c.json({ error: error.message }, 500);
+  }
+});
+
+/**
+ * GET /api/v1/tenants/:tenantId/exports/:jobId
+ * Export job status; completed jobs include manifest and signature URLs
+ */
+tenantRoutes.get("/:tenantId/exports/:jobId", async (c) => {
+  const denied = requireAdmin(c);
+  if (denied) return denied;
+
+  try {
+    const exporter = new TenantExporter(c.env);
+    return c.json(
+      await exporter.getJob(c.req.param("tenantId"), c.req.param("jobId")),
+    );
+  } catch (error) {
+    return c.json({ error: error.message }, lifecycleErrorStatus(error));
+  }
+});
+
 /**
  * DELETE /api/v1/tenants/:tenantId
  * Deprovision a tenant's Neon project
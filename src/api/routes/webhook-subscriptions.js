@@ -0,0 +1,189 @@
+/**
+ * Webhook Subscription Routes
+ *
+ * CRUD for the tenant-scoped webhook agent registry (lib/webhook-registry.js).
+ * Signing secrets are returned only on create and rotate.
+ *
+ * Keys only see and change their own tenant's subscriptions (the key's
+ * metadata.tenantId, default chittyos-default); admin keys may name any
+ * tenant, or "*" to list all of them. Other tenants' subscriptions 404.
+ *
+ * @module api/routes/webhook-subscriptions
+ */
+
+import { Hono } from "hono";
+import {
+  DEFAULT_TENANT,
+  validateSubscriptionInput,
+  listSubscriptions,
+  getSubscription,
+  createSubscription,
+  updateSubscription,
+  deleteSubscription,
+  rotateSigningSecret,
+} from "../../lib/webhook-registry.js";
+
+export const webhookSubscriptionRoutes = new Hono();
+
+function tenantFor(c) {
+  return c.get("apiKey")?.metadata?.tenantId || DEFAULT_TENANT;
+}
+
+function isAdmin(c) {
+  const keyInfo = c.get("apiKey") || {};
+  return keyInfo.role === "admin" || (keyInfo.scopes || []).includes("admin");
+}
+
+/**
+ * The subscription, if it exists and the caller's tenant owns it
+ */
+async function ownedSubscription(c, id) {
+  const subscription = await getSubscription(c.env, id);
+  if (!subscription) return null;
+  if (!isAdmin(c) && subscription.tenantId !== tenantFor(c)) return null;
+  return subscription;
+}
+
+webhookSubscriptionRoutes.use("*", async (c, next) => {
+  if (!c.env.DB) {
+    return c.json({ error: "Webhook registry not configured" }, 503);
+  }
+  await next();
+});
+
+/**
+ * GET /api/v1/webhooks/subscriptions
+ * Query: tenantId (default the key's tenant; admin only for another tenant
+ * or "*" for all), source, status
+ */
+webhookSubscriptionRoutes.get("/", async (c) => {
+  try {
+    const tenantParam = c.req.query("tenantId") || tenantFor(c);
+    if (tenantParam !== tenantFor(c) && !isAdmin(c)) {
+      return c.json({ error: "Admin scope required to list another tenant's subscriptions" }, 403);
+    }
+    const subscriptions = await listSubscriptions(c.env, {
+      tenantId: tenantParam === "*" ? undefined : tenantParam,
+      source: c.req.query("source"),
+      status: c.req.query("status"),
+    });
+    return c.json({ subscriptions });
+  } catch (error) {
+    return c.json({ error: error.message }, 500);
+  }
+});
+
+/**
+ * POST /api/v1/webhooks/subscriptions
+ * Body: { tenantId?, source, name, targetUrl, eventTypes?, conditions?, signed?, status? }
+ */
+webhookSubscriptionRoutes.post("/", async (c) => {
+  try {
+    const input = await c.req.json();
+    const invalid = validateSubscriptionInput(input);
+    if (invalid) {
+      return c.json({ error: invalid }, 400);
+    }
+    if (input.tenantId && input.tenantId !== tenantFor(c) && !isAdmin(c)) {
+      return c.json({ error: "Admin scope required to subscribe for another tenant" }, 403);
+    }
+
+    const keyInfo = c.get("apiKey") || {};
+    const { subscription, signingSecret } = await createSubscription(
+      c.env,
+      { ...input, tenantId: input.tenantId || tenantFor(c) },
+      keyInfo.userId || keyInfo.service || keyInfo.name || null,
+    );
+    return c.json({ subscription, signingSecret }, 201);
+  } catch (error) {
+    const status = /UNIQUE constraint/i.test(error.message) ? 409 : 500;
+    return c.json(
+      {
+        error:
+          status === 409
+            ? "A subscription with this tenant, source and name already exists"
+            : error.message,
+      },
+      status,
+    );
+  }
+});
+
+/**
+ * GET /api/v1/webhooks/subscriptions/:id
+ */
+webhookSubscriptionRoutes.get("/:id", async (c) => {
+  try {
+    const subscription = await ownedSubscription(c, c.req.param("id"));
+    if (!subscription) {
+      return c.json({ error: "Subscription not found" }, 404);
+    }
+    return c.json(subscription);
+  } catch (error) {
+    return c.json({ error: error.message }, 500);
+  }
+});
+
+/**
+ * PATCH /api/v1/webhooks/subscriptions/:id
+ * Body: any of { name, targetUrl, eventTypes, conditions, status }
+ */
+webhookSubscriptionRoutes.patch("/:id", async (c) => {
+  try {
+    const patch = await c.req.json();
+    if (patch.tenantId !== undefined || patch.source !== undefined) {
+      return c.json({ error: "tenantId and source cannot be changed" }, 400);
+    }
+    const invalid = validateSubscriptionInput(patch, { partial: true });
+    if (invalid) {
+      return c.json({ error: invalid }, 400);
+    }
+    if (!(await ownedSubscription(c, c.req.param("id")))) {
+      return c.json({ error: "Subscription not found" }, 404);
+    }
+
+    const subscription = await updateSubscription(c.env, c.req.param("id"), patch);
+    if (!subscription) {
+      return c.json({ error: "Subscription not found" }, 404);
+    }
+    return c.json(subscription);
+  } catch (error) {
+    return c.json({ error: error.message }, 500);
+  }
+});
+
+/**
+ * DELETE /api/v1/webhooks/subscriptions/:id
+ */
+webhookSubscriptionRoutes.delete("/:id", async (c) => {
+  try {
+    if (!(await ownedSubscription(c, c.req.param("id")))) {
+      return c.json({ error: "Subscription not found" }, 404);
+    }
+    const deleted = await deleteSubscription(c.env, c.req.param("id"));
+    if (!deleted) {
+      return c.json({ error: "Subscription not found" }, 404);
+    }
+    return c.json({ deleted: true, id: c.req.param("id") });
+  } catch (error) {
+    return c.json({ error: error.message }, 500);
+  }
+});
+
+/**
+ * POST /api/v1/webhooks/subscriptions/:id/rotate-secret
+ */
+webhookSubscriptionRoutes.post("/:id/rotate-secret", async (c) => {
+  try {
+    if (!(await ownedSubscription(c, c.req.param("id")))) {
+      return c.json({ error: "Subscription not found" }, 404);
+    }
+    const signingSecret = await rotateSigningSecret(c.env, c.req.param("id"));
+    if (!signingSecret) {
+      return c.json({ error: "Subscription not found" }, 404);
+    }
+    return c.json({ id: c.req.param("id"), signingSecret });
+  } catch (error) {
+    return c.json({ error: error.message }, 500);
+  }
+});
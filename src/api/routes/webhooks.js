@@ -0,0 +1,151 @@
+/**
+ * Webhook Delivery Routes
+ *
+ * Delivery history and replay for the webhook outbox. Mounted at /webhooks
+ * alongside the unauthenticated POST /webhooks/:source receiver in index.js;
+ * everything here requires an API key.
+ *
+ * Keys only see and replay their own tenant's deliveries (the key's
+ * metadata.tenantId, default chittyos-default); admin keys may name any
+ * tenant, or "*" to list all of them. Other tenants' deliveries 404.
+ *
+ * @module api/routes/webhooks
+ */
+
+import { Hono } from "hono";
+import { authenticate } from "../middleware/auth.js";
+import {
+  listDeliveries,
+  deliveryListWindow,
+  getDelivery,
+  replayDelivery,
+} from "../../handlers/webhook-outbox.js";
+import { DEFAULT_TENANT } from "../../lib/webhook-registry.js";
+
+const DELIVERY_STATUSES = new Set(["pending", "failed", "delivered", "dead"]);
+
+export const webhookRoutes = new Hono();
+
+function tenantFor(c) {
+  return c.get("apiKey")?.metadata?.tenantId || DEFAULT_TENANT;
+}
+
+function isAdmin(c) {
+  const keyInfo = c.get("apiKey") || {};
+  return keyInfo.role === "admin" || (keyInfo.scopes || []).includes("admin");
+}
+
+/**
+ * Tenant filter for a single delivery: the caller's own, or none for admins
+ */
+function deliveryScope(c) {
+  return { tenantId: isAdmin(c) ? undefined : tenantFor(c) };
+}
+
+function requireDeliveryStore(c, next) {
+  if (!c.env.DB) {
+    return c.json({ error: "Delivery store not configured" }, 503);
+  }
+  return next();
+}
+
+// "/*" also matches the bare /:source/deliveries listing path.
+webhookRoutes.use("/:source/deliveries/*", authenticate, requireDeliveryStore);
+
+/**
+ * GET /webhooks/:source/deliveries
+ * Delivery history for a source. Query: tenantId (default the key's
+ * tenant; admin only for another tenant or "*" for all), status, limit, offset
+ */
+webhookRoutes.get("/:source/deliveries", async (c) => {
+  try {
+    const source = c.req.param("source");
+    const tenantParam = c.req.query("tenantId") || tenantFor(c);
+    if (tenantParam !== tenantFor(c) && !isAdmin(c)) {
+      return c.json({ error: "Admin scope required to list another tenant's deliveries" }, 403);
+    }
+    const status = c.req.query("status");
+    if (status && !DELIVERY_STATUSES.has(status)) {
+      return c.json(
+        { error: `status must be one of: ${[...DELIVERY_STATUSES].join(", ")}` },
+        400,
+      );
+    }
+    const { limit, offset } = deliveryListWindow({
+      limit: c.req.query("limit"),
+      offset: c.req.query("offset"),
+    });
+
+    const deliveries = await listDeliveries(c.env, source, {
+      tenantId: tenantParam === "*" ? undefined : tenantParam,
+      status,
+      limit,
+      offset,
+    });
+    return c.json({ source, deliveries, limit, offset });
+  } catch (error) {
+    return c.json({ error: error.message }, 500);
+  }
+});
+
+/**
+ * GET /webhooks/:source/deliveries/:id
+ * One delivery with payload and attempt history
+ */
+webhookRoutes.get("/:source/deliveries/:id", async (c) => {
+  try {
+    const delivery = await getDelivery(
+      c.env,
+      c.req.param("source"),
+      c.req.param("id"),
+      deliveryScope(c),
+    );
+    if (!delivery) {
+      return c.json({ error: "Delivery not found" }, 404);
+    }
+    return c.json(delivery);
+  } catch (error) {
+    return c.json({ error: error.message }, 500);
+  }
+});
+
+/**
+ * POST /webhooks/:source/deliveries/:id/replay
+ * Re-arm a delivery (including dead-lettered ones) and attempt it now;
+ * 409 while another attempt holds its lease
+ */
+webhookRoutes.post("/:source/deliveries/:id/replay", async (c) => {
+  try {
+    const replay = await replayDelivery(
+      c.env,
+      c.req.param("source"),
+      c.req.param("id"),
+      deliveryScope(c),
+    );
+    if (!replay) {
+      return c.json({ error: "Delivery not found" }, 404);
+    }
+    const { delivery, outcome } = replay;
+    if (outcome.error === "delivery_locked") {
+      return c.json(
+        {
+          error: "Delivery is being attempted right now; replay it once that attempt finishes",
+          id: delivery.id,
+        },
+        409,
+      );
+    }
+    return c.json({
+      id: delivery.id,
+      source: delivery.source,
+      target: delivery.target,
+      replayCount: delivery.replay_count,
+      delivered: outcome.delivered,
+      status: outcome.status,
+      statusCode: outcome.statusCode,
+      error: outcome.error,
+    });
+  } catch (error) {
+    return c.json({ error: error.message }, 500);
+  }
+});
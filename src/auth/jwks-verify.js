@@ -19,9 +19,8 @@ const DEFAULT_ISSUER = "https://auth.chitty.cc";
 const JWKS_CACHE_TTL_MS = 60 * 60 * 1000; // 1 hour, matches github-oidc.js
 const TOKEN_MAX_AGE_S = 24 * 60 * 60; // refuse tokens older than 24h regardless of exp
 
-let jwksCache = null;
-let jwksCacheLoadedAt = 0;
-let jwksCacheKey = null;
+// jwksUrl -> { jwks, loadedAt }
+const jwksCache = new Map();
 
 /**
  * Lazily build and cache a remote JWKS set keyed on the JWKS URL.
@@ -29,20 +28,22 @@ let jwksCacheKey = null;
  * `jose.createRemoteJWKSet` itself does internal caching with
  * refresh-on-kid-miss, but we additionally cap the lifetime of the wrapper
  * to flush stale state if the issuer rotates host or URL.
+ *
+ * Exported for other verifiers (e.g. `sovereignty-cert.js`) that need a
+ * JWKS from a different issuer.
+ *
+ * @param {string} jwksUrl
+ * @returns {ReturnType<typeof jose.createRemoteJWKSet>}
  */
-function getRemoteJWKS(jwksUrl) {
+export function getRemoteJWKS(jwksUrl) {
   const now = Date.now();
-  if (
-    jwksCache &&
-    jwksCacheKey === jwksUrl &&
-    now - jwksCacheLoadedAt < JWKS_CACHE_TTL_MS
-  ) {
-    return jwksCache;
+  const cached = jwksCache.get(jwksUrl);
+  if (cached && now - cached.loadedAt < JWKS_CACHE_TTL_MS) {
+    return cached.jwks;
   }
-  jwksCache = jose.createRemoteJWKSet(new URL(jwksUrl));
-  jwksCacheKey = jwksUrl;
-  jwksCacheLoadedAt = now;
-  return jwksCache;
+  const jwks = jose.createRemoteJWKSet(new URL(jwksUrl));
+  jwksCache.set(jwksUrl, { jwks, loadedAt: now });
+  return jwks;
 }
 
 /**
@@ -162,7 +163,5 @@ export async function requireChittyAuthJWT(c, next) {
  * Internal: reset JWKS cache. Test-only.
  */
 export function _resetJwksCacheForTests() {
-  jwksCache = null;
-  jwksCacheLoadedAt = 0;
-  jwksCacheKey = null;
+  jwksCache.clear();
 }
@@ -0,0 +1,245 @@
+/**
+ * SOVEREIGNTY.cert verifier for ledger writes.
+ *
+ * A SOVEREIGNTY.cert is a JWT issued by ChittyCertify (iss =
+ * https://cert.chitty.cc) that authorizes `sub` (the signer id) to act
+ * under the permissions it lists. A ledger write is accepted when:
+ *
+ *   1. the cert verifies against the issuer JWKS and is unexpired;
+ *   2. cert `sub` is the entry's `signer_id`;
+ *   3. the cert grants the permission (`chitty_ledger_record`), via a
+ *      `permissions` array or a space-separated `scope` claim;
+ *   4. the cert has a `jti` and it is not revoked;
+ *   5. the entry `signature` is a detached compact JWS
+ *      (`<protected>..<signature>`, RFC 7515 Appendix F) over
+ *      ledgerSigningInput() — every stored column plus the chain head and
+ *      signing time — signed with the signer's key from the signer JWKS.
+ *      The JWS `kid` must be the cert's `cnf.kid`, or `signer_id` when the
+ *      cert does not bind a key.
+ *
+ * Keys, revocation and issuer are pluggable through
+ * createSovereigntyVerifier(); sovereigntyVerifierFromEnv() builds the
+ * production wiring. JWKS can be given inline (CHITTYCERT_JWKS,
+ * CHITTY_SIGNER_JWKS) to pin keys without a network fetch.
+ */
+
+import * as jose from "jose";
+import { getRemoteJWKS } from "./jwks-verify.js";
+
+const DEFAULT_ISSUER = "https://cert.chitty.cc";
+const DEFAULT_SIGNER_JWKS_URL = "https://id.chitty.cc/.well-known/jwks.json";
+const ALGORITHMS = ["EdDSA", "ES256"];
+const REVOCATION_TIMEOUT_MS = 5_000;
+
+export const LEDGER_RECORD_PERMISSION = "chitty_ledger_record";
+
+export const LEDGER_SIGNING_FORMAT = "chitty-ledger-entry/v2";
+
+/** How far signed_at may be from the server clock, in seconds */
+export const LEDGER_SIGNATURE_MAX_SKEW_S = 300;
+
+/**
+ * Bytes a signer signs for a ledger entry: every column the entry is
+ * stored with, as JSON in this fixed key order. previous_hash pins the
+ * entry to one position in its context's chain and signed_at (unix
+ * seconds, stored as the entry's timestamp) bounds when it can be
+ * submitted, so a captured signature cannot be appended again.
+ *
+ * @param {object} entry
+ * @param {string} entry.context_id
+ * @param {string} entry.context_chitty_id
+ * @param {string} entry.session_id
+ * @param {string} entry.event_type
+ * @param {string} entry.payload - JSON.stringify of `data`, exactly as stored
+ * @param {string} entry.previous_hash - Chain head the entry extends
+ * @param {string} entry.signer_id
+ * @param {number} entry.signed_at - Unix seconds
+ * @returns {string}
+ */
+export function ledgerSigningInput({
+  context_id,
+  context_chitty_id,
+  session_id,
+  event_type,
+  payload,
+  previous_hash,
+  signer_id,
+  signed_at,
+}) {
+  return JSON.stringify({
+    format: LEDGER_SIGNING_FORMAT,
+    context_id: context_id ?? null,
+    context_chitty_id: context_chitty_id ?? null,
+    session_id: session_id ?? null,
+    event_type: event_type ?? null,
+    payload: payload ?? null,
+    previous_hash: previous_hash ?? null,
+    signer_id: signer_id ?? null,
+    signed_at: signed_at ?? null,
+  });
+}
+
+function failure(code, error, status = 403) {
+  return { valid: false, code, error, status };
+}
+
+function grantedPermissions(claims) {
+  if (Array.isArray(claims.permissions)) return claims.permissions;
+  if (typeof claims.scope === "string") return claims.scope.split(/\s+/).filter(Boolean);
+  return [];
+}
+
+/**
+ * Build a verifier.
+ *
+ * @param {object} opts
+ * @param {Function} opts.issuerKeys - jose key resolver for cert signatures (createRemoteJWKSet / createLocalJWKSet)
+ * @param {Function} opts.signerKeys - jose key resolver for entry signatures
+ * @param {(jti: string, claims: object) => Promise<boolean>} [opts.isRevoked] - May throw when status is unknown
+ * @param {string} [opts.issuer]
+ * @param {string} [opts.audience]
+ * @returns {{ verify: Function }}
+ */
+export function createSovereigntyVerifier({
+  issuerKeys,
+  signerKeys,
+  isRevoked = async () => false,
+  issuer = DEFAULT_ISSUER,
+  audience,
+}) {
+  /**
+   * @param {object} input
+   * @param {string} input.cert - SOVEREIGNTY.cert JWT
+   * @param {string} input.signerId
+   * @param {string} input.permission
+   * @param {string} input.signingInput - from ledgerSigningInput
+   * @param {string} input.signature - detached compact JWS
+   * @returns {Promise<{ valid: true, claims: object, kid: string, alg: string }
+   *                  | { valid: false, code: string, error: string, status: number }>}
+   */
+  async function verify({ cert, signerId, permission, signingInput, signature }) {
+    if (!cert) return failure("missing_cert", "SOVEREIGNTY.cert is required", 401);
+
+    let claims;
+    try {
+      const verifyOpts = { issuer, algorithms: ALGORITHMS };
+      if (audience) verifyOpts.audience = audience;
+      ({ payload: claims } = await jose.jwtVerify(cert, issuerKeys, verifyOpts));
+    } catch (err) {
+      if (err?.code === "ERR_JWT_EXPIRED") {
+        return failure("cert_expired", "SOVEREIGNTY.cert has expired");
+      }
+      return failure("invalid_cert", err?.message || "SOVEREIGNTY.cert verification failed");
+    }
+
+    if (claims.sub !== signerId) {
+      return failure("signer_mismatch", "SOVEREIGNTY.cert subject does not match signer_id");
+    }
+    if (!grantedPermissions(claims).includes(permission)) {
+      return failure("permission_denied", `SOVEREIGNTY.cert does not grant ${permission}`);
+    }
+
+    // Without a jti the cert could never be revoked
+    if (!claims.jti) {
+      return failure("invalid_cert", "SOVEREIGNTY.cert has no jti");
+    }
+    let revoked;
+    try {
+      revoked = await isRevoked(claims.jti, claims);
+    } catch (err) {
+      return failure(
+        "revocation_unavailable",
+        `Could not check SOVEREIGNTY.cert status: ${err.message}`,
+        503,
+      );
+    }
+    if (revoked) return failure("cert_revoked", "SOVEREIGNTY.cert has been revoked");
+
+    const parts = typeof signature === "string" ? signature.split(".") : [];
+    if (parts.length !== 3 || parts[1] !== "") {
+      return failure("invalid_signature", "signature must be a detached compact JWS");
+    }
+
+    const expectedKid = claims.cnf?.kid || signerId;
+    let header;
+    try {
+      header = jose.decodeProtectedHeader(signature);
+    } catch {
+      return failure("invalid_signature", "signature header is not decodable");
+    }
+    if (header.kid !== expectedKid) {
+      return failure("key_mismatch", `signature kid must be ${expectedKid}`);
+    }
+
+    try {
+      await jose.flattenedVerify(
+        {
+          protected: parts[0],
+          payload: jose.base64url.encode(signingInput),
+          signature: parts[2],
+        },
+        signerKeys,
+        { algorithms: ALGORITHMS },
+      );
+    } catch (err) {
+      return failure("invalid_signature", err?.message || "signature verification failed");
+    }
+
+    return { valid: true, claims, kid: header.kid, alg: header.alg };
+  }
+
+  return { verify };
+}
+
+function keySet(inlineJwks, jwksUrl) {
+  if (inlineJwks) {
+    return jose.createLocalJWKSet(
+      typeof inlineJwks === "string" ? JSON.parse(inlineJwks) : inlineJwks,
+    );
+  }
+  return getRemoteJWKS(jwksUrl);
+}
+
+/**
+ * Revocation check against ChittyCertify's certificate status.
+ * Throws when the status cannot be read in time, so writes fail closed.
+ */
+function certifyRevocationCheck(issuer) {
+  return async (jti) => {
+    const resp = await fetch(`${issuer}/api/v1/certificate/${encodeURIComponent(jti)}`, {
+      signal: AbortSignal.timeout(REVOCATION_TIMEOUT_MS),
+    });
+    // A cert the issuer does not know is treated as revoked
+    if (resp.status === 404) return true;
+    if (!resp.ok) throw new Error(`ChittyCertify returned ${resp.status}`);
+    const data = await resp.json();
+    return data.revoked === true || data.status === "revoked";
+  };
+}
+
+/**
+ * Verifier wired from Worker env:
+ *   CHITTYCERT_ISSUER       (default https://cert.chitty.cc)
+ *   CHITTYCERT_JWKS / CHITTYCERT_JWKS_URL   (default <issuer>/.well-known/jwks.json)
+ *   CHITTY_SIGNER_JWKS / CHITTY_SIGNER_JWKS_URL (default https://id.chitty.cc/.well-known/jwks.json)
+ *   CHITTYCERT_AUDIENCE     (optional; if set, enforced)
+ *
+ * @param {object} env
+ * @returns {{ verify: Function }}
+ */
+export function sovereigntyVerifierFromEnv(env = {}) {
+  const issuer = env.CHITTYCERT_ISSUER || DEFAULT_ISSUER;
+  return createSovereigntyVerifier({
+    issuer,
+    audience: env.CHITTYCERT_AUDIENCE,
+    issuerKeys: keySet(
+      env.CHITTYCERT_JWKS,
+      env.CHITTYCERT_JWKS_URL || `${issuer}/.well-known/jwks.json`,
+    ),
+    signerKeys: keySet(
+      env.CHITTY_SIGNER_JWKS,
+      env.CHITTY_SIGNER_JWKS_URL || DEFAULT_SIGNER_JWKS_URL,
+    ),
+    isRevoked: certifyRevocationCheck(issuer),
+  });
+}
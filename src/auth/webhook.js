@@ -27,10 +27,10 @@ export async function verifyWebhookSignature(body, signature, secret) {
 /**
  * Sign data with HMAC-SHA256
  * @param {string} secret
- * @param {ArrayBuffer} data
+ * @param {ArrayBuffer|Uint8Array} data
  * @returns {Promise<string>} Signature in format "sha256=<hex>"
  */
-async function signHmac(secret, data) {
+export async function signHmac(secret, data) {
   const encoder = new TextEncoder();
   const key = await crypto.subtle.importKey(
     "raw",
@@ -0,0 +1,117 @@
+/**
+ * GitHub App automation settings
+ *
+ * Per-installation switches and tuning for the queue consumer's event
+ * handlers. Overrides live in D1 `github_automation_settings` and are
+ * shallow-merged per handler over DEFAULT_AUTOMATIONS, so an installation
+ * only stores what it changes.
+ */
+
+export const DEFAULT_AUTOMATIONS = {
+  push: { enabled: true },
+  pull_request: { enabled: true },
+  issue_comment: {
+    enabled: true,
+    // Slash command names (see src/github/commands.js) to turn off
+    disabled_commands: [],
+    // Default assignee for "/chitty task"
+    task_agent: "chittyagent-github",
+  },
+  check_rerun: { enabled: true },
+  pull_request_review: {
+    enabled: true,
+    labels: {
+      approved: "review/approved",
+      changes_requested: "review/changes-requested",
+    },
+  },
+  issues: {
+    enabled: true,
+    // Extra { pattern, label } rules, patterns are case-insensitive regex source
+    rules: [],
+    link_cases: true,
+    case_label: "chittycase",
+  },
+  release: { enabled: true },
+  workflow_run: {
+    enabled: true,
+    conclusions: ["failure", "timed_out"],
+    // Empty means every branch
+    branches: [],
+    assigned_agent: "chittyagent-github",
+    priority: "high",
+  },
+};
+
+/**
+ * Merge stored overrides over the defaults. Unknown handlers are dropped.
+ *
+ * @param {object} overrides
+ * @returns {object}
+ */
+export function mergeAutomationSettings(overrides = {}) {
+  const merged = {};
+  for (const [handler, defaults] of Object.entries(DEFAULT_AUTOMATIONS)) {
+    const override = overrides?.[handler];
+    merged[handler] =
+      override && typeof override === "object" && !Array.isArray(override)
+        ? { ...defaults, ...override }
+        : { ...defaults };
+  }
+  return merged;
+}
+
+/**
+ * Load the effective settings for an installation. Falls back to the
+ * defaults when there is no row or it cannot be read.
+ *
+ * @param {object} env - Worker env (uses env.DB)
+ * @param {number} installationId
+ * @returns {Promise<object>}
+ */
+export async function loadAutomationSettings(env, installationId) {
+  let overrides = {};
+  try {
+    const row = await env.DB.prepare(
+      "SELECT automations FROM github_automation_settings WHERE installation_id = ?",
+    )
+      .bind(installationId)
+      .first();
+    overrides = row?.automations ? JSON.parse(row.automations) : {};
+  } catch (error) {
+    console.warn("Automation settings unavailable, using defaults:", {
+      installationId,
+      error: error.message,
+    });
+  }
+  return mergeAutomationSettings(overrides);
+}
+
+/**
+ * Store overrides for an installation, replacing any previous ones.
+ *
+ * @param {object} env
+ * @param {number} installationId
+ * @param {object} overrides - Keyed by handler name
+ * @param {string} [updatedBy]
+ * @returns {Promise<object>} Effective settings after the update
+ */
+export async function saveAutomationSettings(env, installationId, overrides, updatedBy) {
+  const unknown = Object.keys(overrides).filter((k) => !(k in DEFAULT_AUTOMATIONS));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown automation handler(s): ${unknown.join(", ")}`);
+  }
+
+  await env.DB.prepare(
+    `INSERT INTO github_automation_settings (installation_id, automations, updated_by, updated_at)
+     VALUES (?, ?, ?, datetime('now'))
+     ON CONFLICT(installation_id) DO UPDATE SET
+       automations = excluded.automations,
+       updated_by = excluded.updated_by,
+       updated_at = excluded.updated_at`,
+  )
+    .bind(installationId, JSON.stringify(overrides), updatedBy ?? null)
+    .run();
+
+  return mergeAutomationSettings(overrides);
+}
@@ -0,0 +1,438 @@
+/**
+ * Slash commands in GitHub issue and PR comments
+ *
+ * Parses `/chitty <command> [args]` lines out of a comment, checks the
+ * commenter's repository role against the command's minimum, runs it and
+ * posts one reply with the result (or usage/permission error) per command.
+ */
+
+import { createComplianceCheck } from "./checks.js";
+import { addLabels, removeLabel } from "./labels.js";
+import { postComment, summarizePullRequest } from "./comments.js";
+import {
+  addAssignees,
+  findCaseReference,
+  getCollaboratorRole,
+} from "./issues.js";
+import { getServiceToken } from "../lib/credential-helper.js";
+import { dispatchToolCall } from "../mcp/tool-dispatcher.js";
+
+const COMMAND_PREFIX = "/chitty";
+const REPLY_MARKER = "<!-- chitty:command-reply v1 -->";
+const MAX_COMMANDS_PER_COMMENT = 5;
+
+/**
+ * Repository roles, lowest first
+ */
+const ROLE_RANK = ["none", "read", "triage", "write", "maintain", "admin"];
+
+const TASK_PRIORITIES = ["low", "normal", "high", "critical"];
+
+/**
+ * A command failed because it was invoked wrongly; the reply shows usage
+ */
+class CommandUsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "CommandUsageError";
+  }
+}
+
+/**
+ * Split "--flag value" pairs out of an argument list
+ * @param {string[]} args
+ * @param {string[]} flags - Accepted flag names, without "--"
+ * @returns {{ flags: object, rest: string[] }}
+ */
+function takeFlags(args, flags) {
+  const found = {};
+  const rest = [];
+  for (let i = 0; i < args.length; i++) {
+    const name = args[i].startsWith("--") ? args[i].slice(2) : null;
+    if (name === null) {
+      rest.push(args[i]);
+      continue;
+    }
+    if (!flags.includes(name)) {
+      throw new CommandUsageError(`Unknown option \`--${name}\`.`);
+    }
+    if (i + 1 >= args.length) {
+      throw new CommandUsageError(`Option \`--${name}\` needs a value.`);
+    }
+    found[name] = args[++i];
+  }
+  return { flags: found, rest };
+}
+
+/**
+ * Fetch the full PR object behind an issue comment
+ * @param {string} token
+ * @param {object} issue
+ * @returns {Promise<object>}
+ */
+async function fetchPullRequest(token, issue) {
+  const response = await fetch(issue.pull_request.url, {
+    headers: {
+      Authorization: `token ${token}`,
+      Accept: "application/vnd.github+json",
+      "User-Agent": "ChittyConnect/1.0",
+    },
+  });
+
+  if (!response.ok) {
+    const error = await response.text();
+    throw new Error(`Get pull request failed (${response.status}): ${error}`);
+  }
+
+  return await response.json();
+}
+
+/**
+ * Command registry. `role` is the minimum repository role, `prOnly`
+ * commands are rejected on plain issues. `run` returns the reply text, or
+ * null when the command's own output is the reply.
+ */
+export const COMMANDS = {
+  help: {
+    usage: "help",
+    description: "List available commands",
+    role: "read",
+    run: (ctx) => helpText(ctx.config),
+  },
+
+  summarize: {
+    usage: "summarize",
+    description: "Refresh the PR summary comment",
+    role: "read",
+    prOnly: true,
+    async run(ctx) {
+      const pr = await fetchPullRequest(ctx.token, ctx.issue);
+      await summarizePullRequest(ctx.token, ctx.owner, ctx.repo, ctx.issue.number, pr);
+      return null;
+    },
+  },
+
+  label: {
+    usage: "label add|remove <label> [<label> ...]",
+    description: "Add or remove labels",
+    role: "triage",
+    async run(ctx, args) {
+      const [op, ...labels] = args;
+      if (!["add", "remove"].includes(op) || labels.length === 0) {
+        throw new CommandUsageError("Say `add` or `remove` and at least one label.");
+      }
+      if (op === "add") {
+        await addLabels(ctx.token, ctx.owner, ctx.repo, ctx.issue.number, labels);
+        return `Added ${labels.map((l) => `\`${l}\``).join(", ")}.`;
+      }
+      for (const label of labels) {
+        await removeLabel(ctx.token, ctx.owner, ctx.repo, ctx.issue.number, label);
+      }
+      return `Removed ${labels.map((l) => `\`${l}\``).join(", ")}.`;
+    },
+  },
+
+  assign: {
+    usage: "assign <@user|me> [<@user> ...]",
+    description: "Assign users",
+    role: "triage",
+    async run(ctx, args) {
+      if (args.length === 0) {
+        throw new CommandUsageError("Name at least one user.");
+      }
+      const logins = [
+        ...new Set(args.map((a) => (a === "me" ? ctx.sender : a.replace(/^@/, "")))),
+      ];
+      const updated = await addAssignees(ctx.token, ctx.owner, ctx.repo, ctx.issue.number, logins);
+
+      // GitHub silently drops users who cannot be assigned
+      const assigned = new Set((updated.assignees || []).map((a) => a.login.toLowerCase()));
+      const skipped = logins.filter((l) => !assigned.has(l.toLowerCase()));
+      const done = logins.filter((l) => assigned.has(l.toLowerCase()));
+
+      const lines = [];
+      if (done.length > 0) lines.push(`Assigned ${done.map((l) => `@${l}`).join(", ")}.`);
+      if (skipped.length > 0) {
+        lines.push(
+          `Could not assign ${skipped.map((l) => `@${l}`).join(", ")} (not a collaborator on this repository).`,
+        );
+      }
+      return lines.join(" ");
+    },
+  },
+
+  "rerun-checks": {
+    usage: "rerun-checks",
+    description: "Re-run the Chitty compliance check on the PR head",
+    role: "write",
+    prOnly: true,
+    async run(ctx) {
+      const pr = await fetchPullRequest(ctx.token, ctx.issue);
+      await createComplianceCheck(ctx.token, ctx.owner, ctx.repo, pr.head.sha, {
+        summary: `Re-run requested by @${ctx.sender} via \`${COMMAND_PREFIX} rerun-checks\`.`,
+      });
+      return `Re-ran checks on \`${pr.head.sha.slice(0, 7)}\`.`;
+    },
+  },
+
+  evidence: {
+    usage: "evidence <url> [--case <case-id>]",
+    description: "Submit a URL to ChittyEvidence for the linked case",
+    role: "write",
+    async run(ctx, args) {
+      const { flags, rest } = takeFlags(args, ["case"]);
+      if (rest.length !== 1) {
+        throw new CommandUsageError("Give exactly one URL.");
+      }
+      let url;
+      try {
+        url = new URL(rest[0]);
+      } catch {
+        throw new CommandUsageError(`\`${rest[0]}\` is not a URL.`);
+      }
+      if (url.protocol !== "https:") {
+        throw new CommandUsageError("Only https URLs can be submitted as evidence.");
+      }
+      const caseId = flags.case || findCaseReference(ctx.issue);
+      if (!caseId) {
+        throw new CommandUsageError(
+          "No ChittyCase is referenced in this issue; pass `--case <case-id>`.",
+        );
+      }
+
+      const serviceToken = await getServiceToken(ctx.env, "chittyevidence");
+      const response = await fetch("https://evidence.chitty.cc/v1/ingest", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          ...(serviceToken && { Authorization: `Bearer ${serviceToken}` }),
+        },
+        body: JSON.stringify({
+          caseId,
+          type: "url",
+          description: `Submitted from ${ctx.repository.full_name}#${ctx.issue.number}`,
+          url: url.href,
+          metadata: {
+            source: "github",
+            repository: ctx.repository.full_name,
+            issue: ctx.issue.html_url,
+            comment: ctx.comment.html_url,
+            submittedBy: ctx.sender,
+          },
+        }),
+      });
+      if (!response.ok) {
+        throw new Error(`ChittyEvidence ingest failed (${response.status})`);
+      }
+
+      const data = await response.json();
+      const evidenceId = data.evidence_id || data.id;
+      return `Submitted to case \`${caseId}\`${evidenceId ? ` as evidence \`${evidenceId}\`` : ""}.`;
+    },
+  },
+
+  task: {
+    usage: "task [--agent <agent>] [--priority low|normal|high|critical] <title>",
+    description: "Open a ChittyOS task linked to this thread",
+    role: "write",
+    async run(ctx, args) {
+      const { flags, rest } = takeFlags(args, ["agent", "priority"]);
+      const title = rest.join(" ").trim();
+      if (!title) {
+        throw new CommandUsageError("Give the task a title.");
+      }
+      const priority = flags.priority || "normal";
+      if (!TASK_PRIORITIES.includes(priority)) {
+        throw new CommandUsageError(`Priority must be one of ${TASK_PRIORITIES.join(", ")}.`);
+      }
+
+      const result = await dispatchToolCall(
+        "chitty_task_create",
+        {
+          title,
+          task_type: "github_command",
+          assigned_agent: flags.agent || ctx.config.task_agent,
+          priority,
+          description: `Requested by @${ctx.sender} on ${ctx.issue.html_url}`,
+          payload: {
+            repository: ctx.repository.full_name,
+            number: ctx.issue.number,
+            url: ctx.issue.html_url,
+            comment_url: ctx.comment.html_url,
+            requested_by: ctx.sender,
+          },
+        },
+        ctx.env,
+      );
+      const text = result.content?.[0]?.text || "";
+      if (result.isError) {
+        throw new Error(`chitty_task_create failed: ${text || "unknown error"}`);
+      }
+
+      let taskId = null;
+      try {
+        const task = JSON.parse(text);
+        taskId = task.id || task.task_id || task.task?.id || null;
+      } catch {
+        // Non-JSON tool output, reply without the id
+      }
+      return `Opened task${taskId ? ` \`${taskId}\`` : ""}: ${title}`;
+    },
+  },
+};
+
+/**
+ * Split a command line into arguments, honouring "double" and 'single' quotes
+ * @param {string} input
+ * @returns {string[]}
+ */
+export function tokenize(input) {
+  const args = [];
+  const pattern = /"([^"]*)"|'([^']*)'|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(input)) !== null) {
+    args.push(match[1] ?? match[2] ?? match[3]);
+  }
+  return args;
+}
+
+/**
+ * Extract `/chitty` commands from a comment body. Lines inside code fences
+ * and quoted lines (e.g. a reply quoting an earlier command) are ignored.
+ * @param {string} body
+ * @returns {Array<{ name: string, args: string[], raw: string }>}
+ */
+export function parseCommands(body) {
+  const commands = [];
+  let inFence = false;
+
+  for (const rawLine of String(body || "").split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (/^(```|~~~)/.test(line)) {
+      inFence = !inFence;
+      continue;
+    }
+    if (inFence || line.startsWith(">")) continue;
+
+    const [prefix, ...rest] = tokenize(line);
+    if (prefix !== COMMAND_PREFIX) continue;
+
+    const [name = "", ...args] = rest;
+    commands.push({ name: name.toLowerCase(), args, raw: line });
+    if (commands.length >= MAX_COMMANDS_PER_COMMENT) break;
+  }
+  return commands;
+}
+
+/**
+ * @param {string} role
+ * @param {string} required
+ * @returns {boolean}
+ */
+export function roleAtLeast(role, required) {
+  return ROLE_RANK.indexOf(role) >= ROLE_RANK.indexOf(required);
+}
+
+/**
+ * @param {object} config - issue_comment automation settings
+ * @returns {string}
+ */
+function helpText(config) {
+  const lines = ["Available commands:", ""];
+  for (const [name, command] of Object.entries(COMMANDS)) {
+    if (config.disabled_commands.includes(name)) continue;
+    const scope = command.prOnly ? ", pull requests only" : "";
+    lines.push(
+      `- \`${COMMAND_PREFIX} ${command.usage}\` — ${command.description} (${command.role}${scope})`,
+    );
+  }
+  return lines.join("\n");
+}
+
+/**
+ * Run one parsed command and return its reply text
+ * @param {object} ctx
+ * @param {{ name: string, args: string[] }} parsed
+ * @param {() => Promise<string>} resolveRole - Memoized role lookup
+ * @returns {Promise<string|null>}
+ */
+async function runCommand(ctx, parsed, resolveRole) {
+  const command = Object.hasOwn(COMMANDS, parsed.name) ? COMMANDS[parsed.name] : null;
+  if (!command || ctx.config.disabled_commands.includes(parsed.name)) {
+    return `Unknown command \`${parsed.name || "(none)"}\`. Try \`${COMMAND_PREFIX} help\`.`;
+  }
+  if (command.prOnly && !ctx.isPullRequest) {
+    return `\`${COMMAND_PREFIX} ${parsed.name}\` only works on pull requests.`;
+  }
+
+  const role = await resolveRole();
+  if (!roleAtLeast(role, command.role)) {
+    return `@${ctx.sender} needs the **${command.role}** role or higher to run \`${COMMAND_PREFIX} ${parsed.name}\` (current: ${role}).`;
+  }
+
+  try {
+    return await command.run(ctx, parsed.args);
+  } catch (error) {
+    if (error instanceof CommandUsageError) {
+      return `${error.message}\nUsage: \`${COMMAND_PREFIX} ${command.usage}\``;
+    }
+    console.error("Slash command failed:", {
+      command: parsed.name,
+      issue: ctx.issue.html_url,
+      error: error.message,
+    });
+    return `Failed: ${error.message}`;
+  }
+}
+
+/**
+ * Handle the slash commands in an issue_comment webhook payload
+ * @param {object} env
+ * @param {string} token - Installation access token
+ * @param {object} payload - issue_comment webhook payload
+ * @param {object} config - issue_comment automation settings
+ * @returns {Promise<Array<{ command: string, reply: string|null }>>}
+ */
+export async function handleCommentCommands(env, token, payload, config) {
+  const { comment, issue, repository } = payload;
+  const commands = parseCommands(comment?.body);
+  if (commands.length === 0) return [];
+
+  const ctx = {
+    env,
+    token,
+    config,
+    comment,
+    issue,
+    repository,
+    owner: repository.owner.login,
+    repo: repository.name,
+    sender: comment.user.login,
+    isPullRequest: Boolean(issue.pull_request),
+  };
+
+  let rolePromise;
+  const resolveRole = () =>
+    (rolePromise ??= getCollaboratorRole(token, ctx.owner, ctx.repo, ctx.sender).catch(
+      (error) => {
+        console.warn("Collaborator role lookup failed:", error.message);
+        return "none";
+      },
+    ));
+
+  const results = [];
+  for (const parsed of commands) {
+    results.push({ command: parsed.raw, reply: await runCommand(ctx, parsed, resolveRole) });
+  }
+
+  const replies = results.filter((r) => r.reply);
+  if (replies.length > 0) {
+    const body = [
+      ...replies.flatMap((r) => [`> ${r.command}`, "", r.reply, ""]),
+      REPLY_MARKER,
+    ].join("\n");
+    await postComment(token, ctx.owner, ctx.repo, issue.number, body);
+  }
+
+  return results;
+}
@@ -1,7 +1,7 @@
 /**
  * GitHub Comments API client
  *
- * Posts and updates PR summary comments
+ * Posts and updates PR summary comments and other marker-tagged bot comments
  */
 
 const COMMENT_MARKER = "<!-- chitty:summary v1 -->";
@@ -13,34 +13,106 @@ const COMMENT_MARKER = "<!-- chitty:summary v1 -->";
  * @param {string} repo - Repository name
  * @param {number} prNumber - PR number
  * @param {object} pr - PR object from GitHub API
+ * @param {object} [options]
+ * @param {Array<object>} [options.reviews] - PR reviews; latest state per reviewer is listed
  */
-export async function summarizePullRequest(token, owner, repo, prNumber, pr) {
+export async function summarizePullRequest(
+  token,
+  owner,
+  repo,
+  prNumber,
+  pr,
+  options = {},
+) {
   // Generate summary
-  const summary = generatePRSummary(pr);
+  const summary = generatePRSummary(pr, options.reviews);
 
-  // Check if we already posted a summary comment
+  await upsertMarkedComment(token, owner, repo, prNumber, COMMENT_MARKER, summary);
+}
+
+/**
+ * Post a comment, or update the one already carrying `marker`
+ * @param {string} token
+ * @param {string} owner
+ * @param {string} repo
+ * @param {number} issueNumber
+ * @param {string} marker - HTML comment identifying the bot comment
+ * @param {string} body - Comment body; must contain the marker
+ */
+export async function upsertMarkedComment(
+  token,
+  owner,
+  repo,
+  issueNumber,
+  marker,
+  body,
+) {
+  // Check if we already posted this comment
   const existingComment = await findExistingComment(
     token,
     owner,
     repo,
-    prNumber,
+    issueNumber,
+    marker,
   );
 
   if (existingComment) {
     // Update existing comment
-    await updateComment(token, owner, repo, existingComment.id, summary);
+    await updateComment(token, owner, repo, existingComment.id, body);
   } else {
     // Post new comment
-    await postComment(token, owner, repo, prNumber, summary);
+    await postComment(token, owner, repo, issueNumber, body);
   }
 }
 
+/**
+ * Fetch reviews for a pull request
+ * @param {string} token
+ * @param {string} owner
+ * @param {string} repo
+ * @param {number} prNumber
+ * @returns {Promise<Array<object>>}
+ */
+export async function fetchPullRequestReviews(token, owner, repo, prNumber) {
+  const response = await fetch(
+    `https://api.github.com/repos/${owner}/${repo}/pulls/${prNumber}/reviews?per_page=100`,
+    {
+      headers: {
+        Authorization: `token ${token}`,
+        Accept: "application/vnd.github+json",
+        "User-Agent": "ChittyConnect/1.0",
+      },
+    },
+  );
+
+  if (!response.ok) return [];
+  return await response.json();
+}
+
+/**
+ * Latest decisive review state per reviewer. Comment-only reviews do not
+ * override an earlier approval or change request.
+ * @param {Array<object>} reviews
+ * @returns {Map<string, string>} login -> APPROVED | CHANGES_REQUESTED | COMMENTED | DISMISSED
+ */
+export function latestReviewStates(reviews = []) {
+  const states = new Map();
+  for (const review of reviews) {
+    const login = review.user?.login;
+    if (!login) continue;
+    if (review.state === "COMMENTED" && states.has(login)) continue;
+    states.set(login, review.state);
+  }
+  return states;
+}
+
 /**
  * Generate PR summary text
  * @param {object} pr - PR object
+ * @param {Array<object>} [reviews] - PR reviews
  * @returns {string} Markdown summary
  */
-function generatePRSummary(pr) {
+function generatePRSummary(pr, reviews) {
   const lines = [];
 
   lines.push("## PR Summary");
@@ -73,6 +145,16 @@ function generatePRSummary(pr) {
     lines.push("");
   }
 
+  // Reviews
+  const reviewStates = latestReviewStates(reviews);
+  if (reviewStates.size > 0) {
+    lines.push("### Reviews");
+    for (const [login, state] of reviewStates) {
+      lines.push(`- @${login}: ${state.toLowerCase().replace(/_/g, " ")}`);
+    }
+    lines.push("");
+  }
+
   // Checklist
   lines.push("### Review Checklist");
   lines.push("- [ ] Code follows project style guidelines");
@@ -88,14 +170,21 @@ function generatePRSummary(pr) {
 }
 
 /**
- * Find existing Chitty summary comment
+ * Find existing Chitty comment carrying a marker
  * @param {string} token
  * @param {string} owner
  * @param {string} repo
  * @param {number} prNumber
+ * @param {string} [marker]
  * @returns {Promise<object|null>}
  */
-async function findExistingComment(token, owner, repo, prNumber) {
+async function findExistingComment(
+  token,
+  owner,
+  repo,
+  prNumber,
+  marker = COMMENT_MARKER,
+) {
   const response = await fetch(
     `https://api.github.com/repos/${owner}/${repo}/issues/${prNumber}/comments`,
     {
@@ -112,7 +201,7 @@ async function findExistingComment(token, owner, repo, prNumber) {
   }
 
   const comments = await response.json();
-  return comments.find((c) => c.body?.includes(COMMENT_MARKER)) || null;
+  return comments.find((c) => c.body?.includes(marker)) || null;
 }
 
 /**
@@ -122,8 +211,9 @@ async function findExistingComment(token, owner, repo, prNumber) {
  * @param {string} repo
  * @param {number} issueNumber
  * @param {string} body
+ * @returns {Promise<object>} Created comment
  */
-async function postComment(token, owner, repo, issueNumber, body) {
+export async function postComment(token, owner, repo, issueNumber, body) {
   const response = await fetch(
     `https://api.github.com/repos/${owner}/${repo}/issues/${issueNumber}/comments`,
     {
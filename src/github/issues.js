@@ -0,0 +1,90 @@
+/**
+ * GitHub Issues API client
+ *
+ * Assignees and ChittyCase references on issues and PRs
+ */
+
+/**
+ * ChittyCase references in issue text: a case id such as "CASE-2024-001"
+ * anywhere, or "case"/"chittycase" followed by a ChittyID or "#" and a
+ * number ("chittycase #1042"). Plain prose like "in case the…" never matches.
+ */
+const CASE_ID_PATTERN = /\b(CASE-\d[A-Za-z0-9-]*[A-Za-z0-9])\b/;
+const CASE_KEYWORD_PATTERN =
+  /\b(?:chitty)?case[\s:]*(?:#(\d+)|(\d{2}-[A-Z0-9]-[A-Z]{3}-\d{4}-[PLTEA]-\d{3,4}-[0-5]-\d{1,2}))\b/i;
+
+/**
+ * First ChittyCase id referenced in an issue's title or body
+ * @param {object} issue - Issue object from GitHub API
+ * @returns {string|null}
+ */
+export function findCaseReference(issue) {
+  const text = `${issue?.title || ""}\n${issue?.body || ""}`;
+  const keyword = text.match(CASE_KEYWORD_PATTERN);
+  if (keyword) return keyword[1] || keyword[2];
+  return text.match(CASE_ID_PATTERN)?.[1] || null;
+}
+
+/**
+ * Add assignees to issue/PR
+ * @param {string} token
+ * @param {string} owner
+ * @param {string} repo
+ * @param {number} issueNumber
+ * @param {string[]} assignees - Logins, without "@"
+ * @returns {Promise<object>} Updated issue
+ */
+export async function addAssignees(token, owner, repo, issueNumber, assignees) {
+  const response = await fetch(
+    `https://api.github.com/repos/${owner}/${repo}/issues/${issueNumber}/assignees`,
+    {
+      method: "POST",
+      headers: {
+        Authorization: `token ${token}`,
+        Accept: "application/vnd.github+json",
+        "User-Agent": "ChittyConnect/1.0",
+      },
+      body: JSON.stringify({ assignees }),
+    },
+  );
+
+  if (!response.ok) {
+    const error = await response.text();
+    throw new Error(`Add assignees failed (${response.status}): ${error}`);
+  }
+
+  return await response.json();
+}
+
+/**
+ * Repository role of a user: admin, maintain, write, triage, read or none
+ * @param {string} token
+ * @param {string} owner
+ * @param {string} repo
+ * @param {string} username
+ * @returns {Promise<string>}
+ */
+export async function getCollaboratorRole(token, owner, repo, username) {
+  const response = await fetch(
+    `https://api.github.com/repos/${owner}/${repo}/collaborators/${encodeURIComponent(username)}/permission`,
+    {
+      headers: {
+        Authorization: `token ${token}`,
+        Accept: "application/vnd.github+json",
+        "User-Agent": "ChittyConnect/1.0",
+      },
+    },
+  );
+
+  // Not a collaborator
+  if (response.status === 404) return "none";
+
+  if (!response.ok) {
+    const error = await response.text();
+    throw new Error(`Get collaborator permission failed (${response.status}): ${error}`);
+  }
+
+  const data = await response.json();
+  // role_name distinguishes triage/maintain; permission is the legacy fallback
+  return data.role_name || data.permission || "none";
+}
@@ -4,6 +4,8 @@
  * Auto-labels PRs based on title patterns and changed files
  */
 
+import { MAX_INPUT_LENGTH, unsafeRegexReason } from "../lib/safe-regex.js";
+
 /**
  * Label rules based on PR title patterns
  */
@@ -32,6 +34,17 @@ const PATH_RULES = [
   { pattern: /package\.json$/i, label: "area/dependencies" },
 ];
 
+/**
+ * Label rules for issues, matched against title and body
+ */
+const ISSUE_RULES = [
+  { pattern: /\b(bug|error|crash|broken|regression)\b/i, label: "type/bug" },
+  { pattern: /\b(feature request|enhancement|proposal)\b/i, label: "type/feature" },
+  { pattern: /\b(docs|documentation|typo)\b/i, label: "type/docs" },
+  { pattern: /\b(question|how do i|how to)\b/i, label: "type/question" },
+  { pattern: /\b(security|vulnerability|cve-\d+)/i, label: "security" },
+];
+
 /**
  * Size labels based on changes count
  */
@@ -95,6 +108,51 @@ export async function autoLabelPullRequest(
   return Array.from(labels);
 }
 
+/**
+ * Auto-label an issue from its title and body
+ * @param {string} token - Installation access token
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {number} issueNumber - Issue number
+ * @param {object} issue - Issue object from the webhook payload
+ * @param {Array<{pattern: string, label: string}>} extraRules - Installation rules;
+ *   unsafe patterns (see lib/safe-regex.js) are skipped
+ * @returns {Promise<string[]>} Labels applied
+ */
+export async function autoLabelIssue(
+  token,
+  owner,
+  repo,
+  issueNumber,
+  issue,
+  extraRules = [],
+) {
+  const text = `${issue.title || ""}\n${issue.body || ""}`.slice(0, MAX_INPUT_LENGTH);
+  const rules = [...ISSUE_RULES];
+  for (const rule of extraRules) {
+    const reason = unsafeRegexReason(rule.pattern);
+    if (reason) {
+      console.warn(`Skipping issue rule for "${rule.label}":`, reason);
+      continue;
+    }
+    rules.push({ pattern: new RegExp(rule.pattern, "i"), label: rule.label });
+  }
+  const existing = new Set((issue.labels || []).map((l) => l.name));
+
+  const labels = new Set();
+  for (const rule of rules) {
+    if (rule.pattern.test(text) && !existing.has(rule.label)) {
+      labels.add(rule.label);
+    }
+  }
+
+  if (labels.size > 0) {
+    await addLabels(token, owner, repo, issueNumber, Array.from(labels));
+  }
+
+  return Array.from(labels);
+}
+
 /**
  * Add labels to issue/PR
  * @param {string} token
@@ -24,9 +24,41 @@ const normalizeGitHubEvent = ({
 });
 import { getCachedInstallationToken } from "../auth/github.js";
 import { createComplianceCheck } from "../github/checks.js";
-import { autoLabelPullRequest } from "../github/labels.js";
-import { summarizePullRequest } from "../github/comments.js";
+import {
+  autoLabelPullRequest,
+  autoLabelIssue,
+  addLabels,
+  removeLabel,
+} from "../github/labels.js";
+import {
+  summarizePullRequest,
+  upsertMarkedComment,
+  fetchPullRequestReviews,
+  latestReviewStates,
+} from "../github/comments.js";
 import { requestReviewers } from "../github/reviewers.js";
+import { findCaseReference } from "../github/issues.js";
+import { handleCommentCommands } from "../github/commands.js";
+import { loadAutomationSettings } from "../github/automation-settings.js";
+import { getServiceToken } from "../lib/credential-helper.js";
+import { dispatchToolCall } from "../mcp/tool-dispatcher.js";
+
+/**
+ * Automation settings key for each handled GitHub event
+ */
+const EVENT_HANDLERS = {
+  push: "push",
+  pull_request: "pull_request",
+  pull_request_review: "pull_request_review",
+  issue_comment: "issue_comment",
+  issues: "issues",
+  check_suite: "check_rerun",
+  check_run: "check_rerun",
+  release: "release",
+  workflow_run: "workflow_run",
+};
+
+const CASE_LINK_MARKER = "<!-- chitty:case-link v1 -->";
 
 /**
  * Fetch changed file paths for a pull request
@@ -165,13 +197,26 @@ async function lookupTenant(env, installationId) {
 }
 
 /**
- * Run v1 automations based on event type
+ * Run automations based on event type. Each handler can be switched off or
+ * tuned per installation (see src/github/automation-settings.js).
  * @param {object} env
  * @param {string} event
  * @param {object} payload
  * @param {number} installationId
  */
-async function runAutomations(env, event, payload, installationId) {
+export async function runAutomations(env, event, payload, installationId) {
+  const handler = EVENT_HANDLERS[event];
+  if (!handler) return;
+
+  const settings = await loadAutomationSettings(env, installationId);
+  if (!settings[handler].enabled) {
+    console.log("Automation disabled for installation:", {
+      installationId,
+      handler,
+    });
+    return;
+  }
+
   const token = await getCachedInstallationToken(env, installationId);
 
   switch (event) {
@@ -238,30 +283,281 @@ async function runAutomations(env, event, payload, installationId) {
       break;
 
     case "issue_comment":
-      // Re-summarize on "/chitty summarize" command
-      if (payload.comment?.body?.includes("/chitty summarize")) {
-        const issue = payload.issue;
-        const repo = payload.repository;
-
-        if (issue.pull_request) {
-          // Fetch PR details
-          const prResponse = await fetch(issue.pull_request.url, {
-            headers: {
-              Authorization: `token ${token}`,
-              Accept: "application/vnd.github+json",
-            },
-          });
-          const pr = await prResponse.json();
+      // Slash commands ("/chitty <command>"); edits and bot comments are ignored
+      if (payload.action === "created" && payload.comment?.user?.type !== "Bot") {
+        await handleCommentCommands(env, token, payload, settings.issue_comment);
+      }
+      break;
 
-          await summarizePullRequest(
+    case "check_suite":
+    case "check_run":
+      // Re-run the compliance check when a user clicks "Re-run"
+      if (payload.action === "rerequested") {
+        const headSha =
+          payload.check_suite?.head_sha || payload.check_run?.head_sha;
+        if (headSha && payload.repository) {
+          await createComplianceCheck(
             token,
-            repo.owner.login,
-            repo.name,
-            issue.number,
-            pr,
+            payload.repository.owner.login,
+            payload.repository.name,
+            headSha,
+            {
+              summary: `Re-run requested by @${payload.sender?.login || "unknown"}.`,
+            },
           );
         }
       }
       break;
+
+    case "pull_request_review":
+      if (["submitted", "dismissed"].includes(payload.action)) {
+        await handlePullRequestReview(
+          token,
+          payload,
+          settings.pull_request_review,
+        );
+      }
+      break;
+
+    case "issues":
+      if (["opened", "edited", "reopened"].includes(payload.action)) {
+        await handleIssue(env, token, payload, settings.issues);
+      }
+      break;
+
+    case "release":
+      await logRelease(env, payload, installationId);
+      break;
+
+    case "workflow_run":
+      if (
+        payload.action === "completed" &&
+        isTrackedFailure(payload.workflow_run, settings.workflow_run)
+      ) {
+        await openWorkflowFailureTask(env, payload, settings.workflow_run);
+      }
+      break;
+  }
+}
+
+/**
+ * Refresh the PR summary with review states and set the review label
+ * @param {string} token
+ * @param {object} payload - pull_request_review webhook payload
+ * @param {object} config - pull_request_review automation settings
+ */
+async function handlePullRequestReview(token, payload, config) {
+  const repo = payload.repository;
+  const owner = repo.owner.login;
+  const prNumber = payload.pull_request.number;
+
+  // The review payload's PR lacks diff stats; fetch the full object
+  let pr = payload.pull_request;
+  const prResponse = await fetch(pr.url, {
+    headers: {
+      Authorization: `token ${token}`,
+      Accept: "application/vnd.github+json",
+      "User-Agent": "ChittyConnect/1.0",
+    },
+  });
+  if (prResponse.ok) {
+    pr = await prResponse.json();
+  }
+
+  const reviews = await fetchPullRequestReviews(token, owner, repo.name, prNumber);
+  const states = [...latestReviewStates(reviews).values()];
+  const changesRequested = states.includes("CHANGES_REQUESTED");
+  const approved = !changesRequested && states.includes("APPROVED");
+
+  const { approved: approvedLabel, changes_requested: changesLabel } =
+    config.labels;
+  const labelOps = [];
+  if (approved) {
+    labelOps.push(addLabels(token, owner, repo.name, prNumber, [approvedLabel]));
+    labelOps.push(removeLabel(token, owner, repo.name, prNumber, changesLabel));
+  } else if (changesRequested) {
+    labelOps.push(addLabels(token, owner, repo.name, prNumber, [changesLabel]));
+    labelOps.push(removeLabel(token, owner, repo.name, prNumber, approvedLabel));
+  } else {
+    labelOps.push(removeLabel(token, owner, repo.name, prNumber, approvedLabel));
+    labelOps.push(removeLabel(token, owner, repo.name, prNumber, changesLabel));
+  }
+
+  await Promise.allSettled([
+    summarizePullRequest(token, owner, repo.name, prNumber, pr, { reviews }),
+    ...labelOps,
+  ]);
+}
+
+/**
+ * Auto-label an issue and link it to a ChittyCase it references
+ * @param {object} env
+ * @param {string} token
+ * @param {object} payload - issues webhook payload
+ * @param {object} config - issues automation settings
+ */
+async function handleIssue(env, token, payload, config) {
+  const { issue, repository: repo } = payload;
+  const owner = repo.owner.login;
+
+  const tasks = [
+    autoLabelIssue(token, owner, repo.name, issue.number, issue, config.rules),
+  ];
+
+  const caseId = config.link_cases ? findCaseReference(issue) : null;
+  if (caseId) {
+    tasks.push(linkIssueToCase(env, token, payload, caseId, config));
+  }
+
+  const results = await Promise.allSettled(tasks);
+  results
+    .filter((r) => r.status === "rejected")
+    .forEach((r) =>
+      console.error("Issue automation failed:", {
+        issue: issue.html_url,
+        error: r.reason?.message,
+      }),
+    );
+}
+
+/**
+ * Register the issue with ChittyCases, then label it and leave a link comment
+ * @param {object} env
+ * @param {string} token
+ * @param {object} payload
+ * @param {string} caseId
+ * @param {object} config
+ */
+async function linkIssueToCase(env, token, payload, caseId, config) {
+  const { issue, repository: repo } = payload;
+  const serviceToken = await getServiceToken(env, "chittycases");
+
+  const response = await fetch(
+    `https://cases.chitty.cc/api/cases/${encodeURIComponent(caseId)}/links`,
+    {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...(serviceToken && { Authorization: `Bearer ${serviceToken}` }),
+      },
+      body: JSON.stringify({
+        type: "github_issue",
+        url: issue.html_url,
+        title: issue.title,
+        repository: repo.full_name,
+        number: issue.number,
+      }),
+    },
+  );
+  if (!response.ok) {
+    throw new Error(`ChittyCases link failed (${response.status})`);
+  }
+
+  await Promise.all([
+    addLabels(token, repo.owner.login, repo.name, issue.number, [
+      config.case_label,
+    ]),
+    upsertMarkedComment(
+      token,
+      repo.owner.login,
+      repo.name,
+      issue.number,
+      CASE_LINK_MARKER,
+      [
+        `Linked to ChittyCase [\`${caseId}\`](https://cases.chitty.cc/cases/${encodeURIComponent(caseId)}).`,
+        "",
+        CASE_LINK_MARKER,
+      ].join("\n"),
+    ),
+  ]);
+}
+
+/**
+ * Log a release event to ChittyChronicle
+ * @param {object} env
+ * @param {object} payload - release webhook payload
+ * @param {number} installationId
+ */
+async function logRelease(env, payload, installationId) {
+  const chronicleUrl = env.CHITTYCHRONICLE_SERVICE_URL;
+  if (!chronicleUrl) {
+    console.warn("Release not logged: CHITTYCHRONICLE_SERVICE_URL not configured");
+    return;
+  }
+
+  const { release, repository: repo } = payload;
+  const response = await fetch(`${chronicleUrl}/events`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${env.CHITTYCONNECT_SERVICE_TOKEN}`,
+    },
+    body: JSON.stringify({
+      event_type: `github.release.${payload.action}`,
+      source: "chittyconnect",
+      data: {
+        installationId,
+        repository: repo.full_name,
+        tag: release.tag_name,
+        name: release.name,
+        draft: release.draft,
+        prerelease: release.prerelease,
+        url: release.html_url,
+        author: release.author?.login,
+        sender: payload.sender?.login,
+      },
+    }),
+  });
+
+  if (!response.ok) {
+    throw new Error(`Chronicle release log failed (${response.status})`);
+  }
+}
+
+/**
+ * @param {object} run - workflow_run object
+ * @param {object} config - workflow_run automation settings
+ * @returns {boolean} Whether the run is a failure we open a task for
+ */
+function isTrackedFailure(run, config) {
+  if (!run || !config.conclusions.includes(run.conclusion)) return false;
+  return config.branches.length === 0 || config.branches.includes(run.head_branch);
+}
+
+/**
+ * Open a tracking task for a failed workflow run via chitty_task_create
+ * @param {object} env
+ * @param {object} payload - workflow_run webhook payload
+ * @param {object} config - workflow_run automation settings
+ */
+async function openWorkflowFailureTask(env, payload, config) {
+  const { workflow_run: run, repository: repo } = payload;
+
+  const result = await dispatchToolCall(
+    "chitty_task_create",
+    {
+      title: `CI ${run.conclusion}: ${run.name} on ${run.head_branch} (${repo.full_name})`,
+      task_type: "ci_failure",
+      assigned_agent: config.assigned_agent,
+      priority: config.priority,
+      description: `Workflow run #${run.run_number} (attempt ${run.run_attempt || 1}) concluded ${run.conclusion}. ${run.html_url}`,
+      payload: {
+        repository: repo.full_name,
+        workflow: run.name,
+        run_id: run.id,
+        run_attempt: run.run_attempt || 1,
+        head_branch: run.head_branch,
+        head_sha: run.head_sha,
+        conclusion: run.conclusion,
+        url: run.html_url,
+      },
+    },
+    env,
+  );
+
+  if (result.isError) {
+    throw new Error(
+      `chitty_task_create failed: ${result.content?.[0]?.text || "unknown error"}`,
+    );
   }
 }
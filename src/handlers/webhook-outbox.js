@@ -0,0 +1,455 @@
+/**
+ * Webhook Delivery Outbox
+ *
+ * Durable, retrying delivery for events forwarded by the central webhook
+ * router. Deliveries are written to D1 (`webhook_deliveries`, see
+ * migrations/020_webhook_deliveries.sql) before the first attempt, retried
+ * with exponential backoff from the scheduled handler, and dead-lettered
+ * (status `dead`) once attempts are exhausted or the target rejects the
+ * event permanently. Every attempt is recorded in `webhook_delivery_attempts`.
+ *
+ * Without a DB binding deliveries still go out once, but are not persisted.
+ *
+ * Deliveries created from a registry subscription (lib/webhook-registry.js)
+ * are signed with that subscription's secret at send time; the secret itself
+ * is never copied into the outbox.
+ *
+ * @module handlers/webhook-outbox
+ */
+
+import { signHmac } from "../auth/webhook.js";
+import { getSigningSecret } from "../lib/webhook-registry.js";
+
+export const MAX_ATTEMPTS = 8;
+const BACKOFF_BASE_MS = 30_000; // 30s, 60s, 2m, 4m, ...
+const BACKOFF_MAX_MS = 6 * 60 * 60 * 1000; // 6h
+const LOCK_TTL_MS = 60_000;
+const DELIVERY_TIMEOUT_MS = 15_000;
+const LIST_DEFAULT_LIMIT = 50;
+const LIST_MAX_LIMIT = 200;
+
+// 4xx responses that are worth retrying; any other 4xx is dead-lettered.
+const RETRYABLE_4XX = new Set([408, 409, 425, 429]);
+
+function hasDb(env) {
+  return Boolean(env.DB && typeof env.DB.prepare === "function");
+}
+
+/**
+ * Backoff before the next attempt, after `attempt` attempts have failed.
+ *
+ * @param {number} attempt - 1-based attempt number that just failed
+ * @returns {number} Delay in milliseconds
+ */
+export function computeBackoffMs(attempt) {
+  return Math.min(BACKOFF_BASE_MS * 2 ** Math.max(0, attempt - 1), BACKOFF_MAX_MS);
+}
+
+async function deliveryHeaders(env, delivery) {
+  const headers = {
+    "Content-Type": "application/json",
+    "X-Webhook-Source": delivery.source,
+    "X-Webhook-Timestamp": delivery.received_at,
+    "X-Webhook-Delivery": delivery.id,
+    "X-Forwarded-By": "chittyconnect",
+    ...(delivery.tenant_id && { "X-ChittyOS-Tenant": delivery.tenant_id }),
+    ...(env.INTERNAL_WEBHOOK_SECRET && {
+      "X-Webhook-Secret": env.INTERNAL_WEBHOOK_SECRET,
+    }),
+  };
+
+  if (delivery.subscription_id) {
+    const secret = await getSigningSecret(env, delivery.subscription_id);
+    if (secret) {
+      headers["X-Webhook-Signature"] = await signHmac(
+        secret,
+        new TextEncoder().encode(delivery.payload),
+      );
+    }
+  }
+  return headers;
+}
+
+/**
+ * Persist a new delivery in the outbox.
+ *
+ * @param {object} env - Worker environment
+ * @param {object} params
+ * @param {string} params.source - Webhook source
+ * @param {string} params.target - Logical target name
+ * @param {string} params.url - Target URL
+ * @param {string} [params.eventType]
+ * @param {object} params.payload - Webhook payload
+ * @param {string} params.receivedAt - ISO timestamp the webhook was received
+ * @param {string} [params.subscriptionId] - Registry subscription, for signing
+ * @param {string} [params.tenantId]
+ * @returns {Promise<object>} Delivery row
+ */
+export async function enqueueDelivery(
+  env,
+  { source, target, url, eventType, payload, receivedAt, subscriptionId, tenantId },
+) {
+  const delivery = {
+    id: `whd_${crypto.randomUUID()}`,
+    subscription_id: subscriptionId || null,
+    tenant_id: tenantId || null,
+    source,
+    target,
+    target_url: url,
+    event_type: eventType || null,
+    payload: JSON.stringify(payload),
+    received_at: receivedAt,
+    status: "pending",
+    attempts: 0,
+    max_attempts: MAX_ATTEMPTS,
+    replay_count: 0,
+    next_attempt_at: receivedAt,
+    persisted: false,
+  };
+
+  if (!hasDb(env)) {
+    console.warn(
+      `[webhook-outbox] DB not bound — ${source} delivery to ${target} will not be retried`,
+    );
+    return delivery;
+  }
+
+  try {
+    await env.DB.prepare(
+      `INSERT INTO webhook_deliveries
+         (id, subscription_id, tenant_id, source, target, target_url, event_type,
+          payload, received_at, status, attempts, max_attempts, next_attempt_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending', 0, ?, ?)`,
+    )
+      .bind(
+        delivery.id,
+        delivery.subscription_id,
+        delivery.tenant_id,
+        source,
+        target,
+        url,
+        delivery.event_type,
+        delivery.payload,
+        receivedAt,
+        MAX_ATTEMPTS,
+        receivedAt,
+      )
+      .run();
+    delivery.persisted = true;
+  } catch (err) {
+    console.error(`[webhook-outbox] Failed to persist ${source} delivery:`, err);
+  }
+  return delivery;
+}
+
+/**
+ * Take a short lease on a delivery so the inline attempt and the cron sweep
+ * never send the same event concurrently.
+ */
+async function claim(env, id, now) {
+  const result = await env.DB.prepare(
+    `UPDATE webhook_deliveries SET locked_until = ?
+     WHERE id = ? AND status IN ('pending', 'failed')
+       AND (locked_until IS NULL OR locked_until < ?)`,
+  )
+    .bind(new Date(now + LOCK_TTL_MS).toISOString(), id, new Date(now).toISOString())
+    .run();
+  return (result?.meta?.changes ?? 0) > 0;
+}
+
+/**
+ * Attempt a single delivery and record the outcome.
+ *
+ * @param {object} env - Worker environment
+ * @param {object} delivery - Delivery row
+ * @param {object} [options]
+ * @param {boolean} [options.leased=false] - The caller already holds the lease (replay)
+ * @returns {Promise<{delivered: boolean, status: string, statusCode: number|null, result: object|null, error: string|null}>}
+ */
+export async function attemptDelivery(env, delivery, { leased = false } = {}) {
+  const persisted = delivery.persisted !== false && hasDb(env);
+  const now = Date.now();
+
+  if (persisted && !leased && !(await claim(env, delivery.id, now))) {
+    return {
+      delivered: false,
+      status: delivery.status,
+      statusCode: null,
+      result: null,
+      error: "delivery_locked",
+    };
+  }
+
+  const attempt = delivery.attempts + 1;
+  let statusCode = null;
+  let result = null;
+  let error = null;
+
+  try {
+    const response = await fetch(delivery.target_url, {
+      method: "POST",
+      headers: await deliveryHeaders(env, delivery),
+      body: delivery.payload,
+      signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS),
+    });
+    statusCode = response.status;
+    result = await response.json().catch(() => ({}));
+    if (!response.ok) error = `HTTP ${response.status}`;
+  } catch (err) {
+    error = err.message;
+  }
+
+  const durationMs = Date.now() - now;
+  const delivered = !error;
+  const permanent =
+    statusCode !== null &&
+    statusCode >= 400 &&
+    statusCode < 500 &&
+    !RETRYABLE_4XX.has(statusCode);
+
+  let status;
+  let nextAttemptAt = null;
+  if (delivered) {
+    status = "delivered";
+  } else if (permanent || attempt >= delivery.max_attempts) {
+    status = "dead";
+  } else {
+    status = "failed";
+    nextAttemptAt = new Date(Date.now() + computeBackoffMs(attempt)).toISOString();
+  }
+
+  if (!delivered) {
+    console.warn(
+      `[webhook-outbox] ${delivery.source} → ${delivery.target} attempt ${attempt} failed (${error}); ${status === "dead" ? "dead-lettered" : `retry at ${nextAttemptAt}`}`,
+    );
+  }
+
+  if (persisted) {
+    try {
+      await env.DB.batch([
+        env.DB.prepare(
+          `UPDATE webhook_deliveries
+           SET status = ?, attempts = ?, next_attempt_at = ?, locked_until = NULL,
+               last_status = ?, last_error = ?,
+               delivered_at = CASE WHEN ? = 'delivered' THEN ? ELSE delivered_at END,
+               updated_at = datetime('now')
+           WHERE id = ?`,
+        ).bind(
+          status,
+          attempt,
+          nextAttemptAt,
+          statusCode,
+          error,
+          status,
+          new Date().toISOString(),
+          delivery.id,
+        ),
+        env.DB.prepare(
+          `INSERT INTO webhook_delivery_attempts
+             (delivery_id, attempt, status_code, error, duration_ms)
+           VALUES (?, ?, ?, ?, ?)`,
+        ).bind(delivery.id, attempt, statusCode, error, durationMs),
+      ]);
+    } catch (err) {
+      console.error(`[webhook-outbox] Failed to record attempt for ${delivery.id}:`, err);
+    }
+  }
+
+  Object.assign(delivery, {
+    status,
+    attempts: attempt,
+    next_attempt_at: nextAttemptAt,
+    last_status: statusCode,
+    last_error: error,
+  });
+
+  return { delivered, status, statusCode, result, error };
+}
+
+/**
+ * Retry every delivery whose backoff has elapsed. Called from the scheduled
+ * handler.
+ *
+ * @param {object} env - Worker environment
+ * @param {object} [options]
+ * @param {number} [options.limit=25] - Max deliveries per sweep
+ * @returns {Promise<{attempted: number, delivered: number, retrying: number, dead: number}>}
+ */
+export async function processDueDeliveries(env, { limit = 25 } = {}) {
+  const summary = { attempted: 0, delivered: 0, retrying: 0, dead: 0 };
+  if (!hasDb(env)) return summary;
+
+  const now = new Date().toISOString();
+  const { results = [] } = await env.DB.prepare(
+    `SELECT * FROM webhook_deliveries
+     WHERE status IN ('pending', 'failed') AND next_attempt_at <= ?
+       AND (locked_until IS NULL OR locked_until < ?)
+     ORDER BY next_attempt_at ASC
+     LIMIT ?`,
+  )
+    .bind(now, now, limit)
+    .all();
+
+  for (const delivery of results) {
+    const outcome = await attemptDelivery(env, delivery);
+    if (outcome.error === "delivery_locked") continue;
+    summary.attempted++;
+    if (outcome.status === "delivered") summary.delivered++;
+    else if (outcome.status === "dead") summary.dead++;
+    else summary.retrying++;
+  }
+  return summary;
+}
+
+/**
+ * Parse a list page's limit and offset (numbers or query strings), falling
+ * back to the defaults for anything that is not an integer and clamping
+ * the rest: limit to 1–200, offset to 0 or more.
+ *
+ * @param {object} [window]
+ * @param {number|string} [window.limit]
+ * @param {number|string} [window.offset]
+ * @returns {{limit: number, offset: number}}
+ */
+export function deliveryListWindow({ limit, offset } = {}) {
+  const parsedLimit = Number.parseInt(limit, 10);
+  const parsedOffset = Number.parseInt(offset, 10);
+  return {
+    limit: Number.isFinite(parsedLimit)
+      ? Math.min(Math.max(parsedLimit, 1), LIST_MAX_LIMIT)
+      : LIST_DEFAULT_LIMIT,
+    offset: Number.isFinite(parsedOffset) ? Math.max(parsedOffset, 0) : 0,
+  };
+}
+
+/**
+ * List deliveries for a source, newest first.
+ *
+ * @param {object} env - Worker environment
+ * @param {string} source - Webhook source
+ * @param {object} [filters]
+ * @param {string} [filters.tenantId] - Omit to list every tenant (admins only)
+ * @param {string} [filters.status] - pending | failed | delivered | dead
+ * @param {number|string} [filters.limit=50] - Clamped by deliveryListWindow
+ * @param {number|string} [filters.offset=0]
+ * @returns {Promise<object[]>} Delivery rows without payloads
+ */
+export async function listDeliveries(env, source, { tenantId, status, ...window } = {}) {
+  const { limit, offset } = deliveryListWindow(window);
+  let sql = `SELECT id, subscription_id, tenant_id, source, target, target_url,
+                    event_type, status, attempts,
+                    max_attempts, replay_count, next_attempt_at, last_status,
+                    last_error, received_at, delivered_at, created_at, updated_at
+             FROM webhook_deliveries WHERE source = ?`;
+  const params = [source];
+  if (tenantId) {
+    sql += " AND tenant_id = ?";
+    params.push(tenantId);
+  }
+  if (status) {
+    sql += " AND status = ?";
+    params.push(status);
+  }
+  sql += " ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?";
+  params.push(limit, offset);
+
+  const { results = [] } = await env.DB.prepare(sql).bind(...params).all();
+  return results;
+}
+
+/**
+ * Load a delivery row by source and id, confined to one tenant when given.
+ */
+function findDelivery(env, source, id, tenantId) {
+  const sql = "SELECT * FROM webhook_deliveries WHERE id = ? AND source = ?";
+  return tenantId
+    ? env.DB.prepare(`${sql} AND tenant_id = ?`).bind(id, source, tenantId).first()
+    : env.DB.prepare(sql).bind(id, source).first();
+}
+
+/**
+ * Fetch one delivery with its payload and attempt history.
+ *
+ * @param {object} env - Worker environment
+ * @param {string} source - Webhook source
+ * @param {string} id - Delivery id
+ * @param {object} [options]
+ * @param {string} [options.tenantId] - Only this tenant's delivery; omit for admins
+ * @returns {Promise<object|null>}
+ */
+export async function getDelivery(env, source, id, { tenantId } = {}) {
+  const delivery = await findDelivery(env, source, id, tenantId);
+  if (!delivery) return null;
+
+  const { results: attempts = [] } = await env.DB.prepare(
+    `SELECT attempt, status_code, error, duration_ms, attempted_at
+     FROM webhook_delivery_attempts WHERE delivery_id = ? ORDER BY id ASC`,
+  )
+    .bind(id)
+    .all();
+
+  let payload = delivery.payload;
+  try {
+    payload = JSON.parse(delivery.payload);
+  } catch {
+    // keep raw string
+  }
+  return { ...delivery, payload, attempts };
+}
+
+/**
+ * Re-arm a delivery (including dead-lettered or already delivered ones) and
+ * attempt it immediately. The re-arm takes the delivery's lease, so a
+ * replay never overlaps an attempt already in flight: while one is, the
+ * replay changes nothing and reports `delivery_locked`.
+ *
+ * @param {object} env - Worker environment
+ * @param {string} source - Webhook source
+ * @param {string} id - Delivery id
+ * @param {object} [options]
+ * @param {string} [options.tenantId] - Only this tenant's delivery; omit for admins
+ * @returns {Promise<{delivery: object, outcome: object}|null>} null if not found
+ */
+export async function replayDelivery(env, source, id, { tenantId } = {}) {
+  const delivery = await findDelivery(env, source, id, tenantId);
+  if (!delivery) return null;
+
+  const { payload: _payload, ...current } = delivery;
+  const now = Date.now();
+  const rearm = await env.DB.prepare(
+    `UPDATE webhook_deliveries
+     SET status = 'pending', attempts = 0, replay_count = replay_count + 1,
+         next_attempt_at = ?, locked_until = ?, updated_at = datetime('now')
+     WHERE id = ? AND (locked_until IS NULL OR locked_until < ?)`,
+  )
+    .bind(
+      new Date(now).toISOString(),
+      new Date(now + LOCK_TTL_MS).toISOString(),
+      id,
+      new Date(now).toISOString(),
+    )
+    .run();
+  if ((rearm?.meta?.changes ?? 0) === 0) {
+    return {
+      delivery: current,
+      outcome: {
+        delivered: false,
+        status: delivery.status,
+        statusCode: null,
+        result: null,
+        error: "delivery_locked",
+      },
+    };
+  }
+
+  const rearmed = {
+    ...delivery,
+    status: "pending",
+    attempts: 0,
+    replay_count: (delivery.replay_count || 0) + 1,
+    next_attempt_at: new Date(now).toISOString(),
+  };
+  const outcome = await attemptDelivery(env, rearmed, { leased: true });
+  const { payload: _sent, ...summary } = rearmed;
+  return { delivery: summary, outcome };
+}
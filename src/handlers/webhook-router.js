@@ -1,11 +1,21 @@
 /**
  * Central Webhook Router
- * Routes incoming webhooks to appropriate agents after logging to ChittyChronicle
+ * Routes incoming webhooks to appropriate agents after logging to ChittyChronicle.
+ * Deliveries are durable and retried via the webhook outbox.
  */
 
 import { verifyWebhookSignature } from "../auth/webhook.js";
+import { enqueueDelivery, attemptDelivery } from "./webhook-outbox.js";
+import {
+  DEFAULT_TENANT,
+  eventKeyFor,
+  resolveSubscriptions,
+  listSubscriptions,
+} from "../lib/webhook-registry.js";
 
-// Agent webhook endpoints
+// Fallback agent endpoints, used only when the webhook registry
+// (lib/webhook-registry.js) cannot be read. Seeded into the registry for
+// chittyos-default by migrations/021_webhook_subscriptions.sql.
 const AGENTS = {
   notion: "https://notion-ops.chitty.cc/webhook",
   github: null, // Handled internally
@@ -16,19 +26,55 @@ const AGENTS = {
 };
 
 /**
- * Route webhook to appropriate agent
+ * Resolve delivery targets for an event: registry subscriptions for the
+ * tenant, or the built-in AGENTS entry when the registry is unavailable.
+ */
+async function resolveTargets(env, tenantId, source, payload) {
+  const subscriptions = await resolveSubscriptions(env, {
+    tenantId,
+    source,
+    payload,
+  });
+  if (subscriptions) {
+    return subscriptions.map((sub) => ({
+      name: sub.name,
+      url: sub.targetUrl,
+      subscriptionId: sub.id,
+    }));
+  }
+  return AGENTS[source] ? [{ name: "agent", url: AGENTS[source] }] : [];
+}
+
+/**
+ * Route webhook to appropriate agents
+ *
+ * Targets come from the tenant's webhook subscriptions. Deliveries go through
+ * the durable outbox (see ./webhook-outbox.js): each is persisted, attempted
+ * once inline, and retried by the scheduled handler if the agent is
+ * unavailable.
+ *
  * @param {string} source - Webhook source (notion, linear, cloudflare, etc.)
  * @param {object} payload - Webhook payload
  * @param {object} env - Environment variables
+ * @param {object} [options]
+ * @param {object} [options.ctx] - Execution context, keeps the review-hook delivery alive
+ * @param {string} [options.tenantId] - Subscription tenant (default chittyos-default)
  * @returns {object} Routing result
  */
-export async function routeWebhook(source, payload, env) {
+export async function routeWebhook(
+  source,
+  payload,
+  env,
+  { ctx, tenantId = DEFAULT_TENANT } = {},
+) {
   const timestamp = new Date().toISOString();
+  const eventType = eventKeyFor(payload);
 
   // Log to ChittyChronicle
   await logWebhook(env, {
     source,
-    event_type: payload.type || payload.event || payload.action || "unknown",
+    tenant_id: tenantId,
+    event_type: eventType,
     timestamp,
     payload_size: JSON.stringify(payload).length,
   });
@@ -45,77 +91,82 @@ export async function routeWebhook(source, payload, env) {
     const clawUrl =
       env.CHITTYCLAW_REVIEW_URL ||
       "http://100.69.69.7:18789/hooks/adversarial-review";
-    fetch(clawUrl, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        "X-Webhook-Source": source,
-        "X-Webhook-Timestamp": timestamp,
-        "X-Forwarded-By": "chittyconnect",
-        ...(env.INTERNAL_WEBHOOK_SECRET && {
-          "X-Webhook-Secret": env.INTERNAL_WEBHOOK_SECRET,
-        }),
-      },
-      body: JSON.stringify(payload),
-    }).catch((e) =>
-      console.warn(
-        `[webhook-router] Forward to chittyclaw review failed:`,
-        e.message,
-      ),
-    );
+    const review = enqueueDelivery(env, {
+      source,
+      target: "chittyclaw-review",
+      url: clawUrl,
+      eventType,
+      payload,
+      receivedAt: timestamp,
+    })
+      .then((delivery) => attemptDelivery(env, delivery))
+      .catch((e) =>
+        console.warn(
+          `[webhook-router] Forward to chittyclaw review failed:`,
+          e.message,
+        ),
+      );
+    ctx?.waitUntil?.(review);
   }
 
-  // Get agent endpoint
-  const agentUrl = AGENTS[source];
+  const targets = await resolveTargets(env, tenantId, source, payload);
 
-  if (!agentUrl) {
+  if (targets.length === 0) {
     // Handle internally or return unhandled
     return {
       routed: false,
       source,
-      reason: agentUrl === null ? "handled_internally" : "no_agent_configured",
+      tenant_id: tenantId,
+      reason: AGENTS[source] === null ? "handled_internally" : "no_agent_configured",
       timestamp,
     };
   }
 
-  // Forward to agent
-  try {
-    const response = await fetch(agentUrl, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        "X-Webhook-Source": source,
-        "X-Webhook-Timestamp": timestamp,
-        "X-Forwarded-By": "chittyconnect",
-        ...(env.INTERNAL_WEBHOOK_SECRET && {
-          "X-Webhook-Secret": env.INTERNAL_WEBHOOK_SECRET,
-        }),
-      },
-      body: JSON.stringify(payload),
-    });
-
-    const result = await response.json().catch(() => ({}));
-
-    return {
-      routed: true,
-      source,
-      agent: agentUrl,
-      status: response.status,
-      result,
-      timestamp,
-    };
-  } catch (error) {
-    // Log failure but don't throw - webhook should be acknowledged
-    console.error(`Failed to forward webhook to ${agentUrl}:`, error);
+  // Forward to each agent. Failures are retried from the outbox; the webhook
+  // is acknowledged either way.
+  const deliveries = await Promise.all(
+    targets.map(async (target) => {
+      const delivery = await enqueueDelivery(env, {
+        source,
+        target: target.name,
+        url: target.url,
+        eventType,
+        payload,
+        receivedAt: timestamp,
+        subscriptionId: target.subscriptionId,
+        tenantId,
+      });
+      const outcome = await attemptDelivery(env, delivery);
+      if (outcome.statusCode === null) {
+        console.error(`Failed to forward webhook to ${target.url}:`, outcome.error);
+      }
+      return {
+        delivery_id: delivery.id,
+        subscription_id: target.subscriptionId || null,
+        target: target.name,
+        agent: target.url,
+        status: outcome.statusCode,
+        delivery_status: outcome.status,
+        result: outcome.result,
+        error: outcome.error,
+      };
+    }),
+  );
 
-    return {
-      routed: false,
-      source,
-      agent: agentUrl,
-      error: error.message,
-      timestamp,
-    };
-  }
+  // Top-level agent/status/result mirror the first delivery for callers that
+  // predate fan-out.
+  const [first] = deliveries;
+  return {
+    routed: deliveries.some((d) => d.status !== null),
+    source,
+    tenant_id: tenantId,
+    agent: first.agent,
+    status: first.status,
+    result: first.result,
+    ...(first.status === null && { error: first.error }),
+    deliveries,
+    timestamp,
+  };
 }
 
 /**
@@ -165,16 +216,78 @@ async function logWebhook(env, event) {
 }
 
 /**
- * Get list of configured agents
+ * Get list of configured agents for a tenant, read from the webhook
+ * registry. Falls back to the built-in AGENTS map if the registry is
+ * unavailable.
+ *
+ * @param {object} env - Environment variables
+ * @param {object} [options]
+ * @param {string} [options.tenantId]
+ * @returns {Promise<Array<object>>}
  */
-export function getConfiguredAgents() {
+export async function getConfiguredAgents(env, { tenantId = DEFAULT_TENANT } = {}) {
+  if (env?.DB) {
+    try {
+      const subscriptions = await listSubscriptions(env, {
+        tenantId,
+        status: "active",
+      });
+      return subscriptions.map((sub) => ({
+        source: sub.source,
+        url: sub.targetUrl,
+        name: sub.name,
+        subscription_id: sub.id,
+        event_types: sub.eventTypes,
+        signed: sub.signed,
+      }));
+    } catch (err) {
+      console.error("[webhook-router] Registry unavailable, using built-in agents:", err);
+    }
+  }
   return Object.entries(AGENTS)
     .filter(([_, url]) => url !== null)
     .map(([source, url]) => ({ source, url }));
 }
 
 /**
- * Validate webhook signature (generic)
+ * Inbound secrets for a source and the tenant each one belongs to. The
+ * platform secret (`<SOURCE>_WEBHOOK_SECRET`) belongs to the default tenant;
+ * other tenants' secrets live in WEBHOOK_TENANT_SECRETS, a JSON map of
+ * `{ "<tenantId>": { "<source>": "<secret>" } }`.
+ *
+ * @returns {Array<{tenantId: string, secret: string}>}
+ */
+function ingressSecrets(env, source) {
+  const secrets = [];
+  const platform = env[`${source.toUpperCase()}_WEBHOOK_SECRET`];
+  if (platform) secrets.push({ tenantId: DEFAULT_TENANT, secret: platform });
+
+  if (env.WEBHOOK_TENANT_SECRETS) {
+    try {
+      const byTenant =
+        typeof env.WEBHOOK_TENANT_SECRETS === "string"
+          ? JSON.parse(env.WEBHOOK_TENANT_SECRETS)
+          : env.WEBHOOK_TENANT_SECRETS;
+      for (const [tenantId, sources] of Object.entries(byTenant || {})) {
+        const secret = sources?.[source];
+        if (typeof secret === "string" && secret) secrets.push({ tenantId, secret });
+      }
+    } catch (err) {
+      console.error("[webhook-router] WEBHOOK_TENANT_SECRETS is not valid JSON:", err.message);
+    }
+  }
+  return secrets;
+}
+
+/**
+ * Validate webhook signature (generic) and work out which tenant sent it.
+ *
+ * The tenant is the owner of the secret that verified the signature, never
+ * anything the caller asserts. Sources with any secret configured must be
+ * signed; unsigned webhooks are only accepted from sources with no secret,
+ * and always belong to the default tenant.
+ *
+ * @returns {Promise<{valid: boolean, signed: boolean, verified?: boolean, reason?: string, tenantId?: string}>}
  */
 export async function validateWebhookSignature(source, request, env) {
   const signature =
@@ -182,14 +295,17 @@ export async function validateWebhookSignature(source, request, env) {
     request.headers.get("X-Webhook-Signature") ||
     request.headers.get("X-Hub-Signature-256") ||
     request.headers.get("X-Signature");
+  const secrets = ingressSecrets(env, source);
 
   if (!signature) {
+    if (secrets.length > 0) {
+      return { valid: false, signed: false, verified: false, reason: "signature_required" };
+    }
     // Some sources don't sign webhooks
-    return { valid: true, signed: false };
+    return { valid: true, signed: false, tenantId: DEFAULT_TENANT };
   }
 
-  const secret = env[`${source.toUpperCase()}_WEBHOOK_SECRET`];
-  if (!secret) {
+  if (secrets.length === 0) {
     return {
       valid: false,
       signed: true,
@@ -200,12 +316,16 @@ export async function validateWebhookSignature(source, request, env) {
 
   // Use HMAC-SHA256 verification
   const body = await request.clone().arrayBuffer();
-  const isValid = await verifyWebhookSignature(body, signature, secret);
+  for (const { tenantId, secret } of secrets) {
+    if (await verifyWebhookSignature(body, signature, secret)) {
+      return { valid: true, signed: true, verified: true, reason: "signature_verified", tenantId };
+    }
+  }
 
   return {
-    valid: isValid,
+    valid: false,
     signed: true,
-    verified: isValid,
-    reason: isValid ? "signature_verified" : "signature_mismatch",
+    verified: false,
+    reason: "signature_mismatch",
   };
 }
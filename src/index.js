@@ -1509,6 +1509,7 @@ app.post("/intelligence/relationships/discover", async (c) => {
 import { discoveryRoutes } from "./api/routes/discovery.js";
 import { githubActionsRoutes } from "./api/routes/github-actions.js";
 import { gitConfirmRoutes } from "./api/routes/git-confirm.js";
+import { webhookRoutes } from "./api/routes/webhooks.js";
 
 app.route("/.well-known", discoveryRoutes);
 
@@ -2007,25 +2008,43 @@ app.post("/integrations/github/webhook", async (c) => {
 /**
  * General Webhook Router
  * POST /webhooks/:source - Route webhooks to appropriate agents
- * All webhooks are logged to ChittyChronicle before forwarding
+ * All webhooks are logged to ChittyChronicle before forwarding. The tenant
+ * is the owner of the secret that verified the signature.
  */
 app.post("/webhooks/:source", async (c) => {
   const { routeWebhook, validateWebhookSignature } =
     await import("./handlers/webhook-router.js");
   const source = c.req.param("source");
 
+  if (c.req.query("tenant") !== undefined) {
+    return c.json(
+      { error: "tenant cannot be chosen by the caller; it follows from the webhook secret" },
+      400,
+    );
+  }
+
   try {
-    // Validate signature if present
     const validation = await validateWebhookSignature(source, c.req.raw, c.env);
     if (!validation.valid) {
-      return c.json({ error: "Invalid webhook signature" }, 401);
+      return c.json(
+        {
+          error:
+            validation.reason === "signature_required"
+              ? "Webhook signature required"
+              : "Invalid webhook signature",
+        },
+        401,
+      );
     }
 
     // Parse payload
     const payload = await c.req.json();
 
     // Route to appropriate agent
-    const result = await routeWebhook(source, payload, c.env);
+    const result = await routeWebhook(source, payload, c.env, {
+      ctx: c.executionCtx,
+      tenantId: validation.tenantId,
+    });
 
     return c.json({
       received: true,
@@ -2040,17 +2059,31 @@ app.post("/webhooks/:source", async (c) => {
 
 /**
  * List configured webhook agents
- * GET /webhooks - Show available webhook routes
+ * GET /webhooks - Show available webhook routes for the caller's tenant
+ * (admins may pass ?tenant=)
  */
-app.get("/webhooks", async (c) => {
+app.get("/webhooks", authenticate, async (c) => {
   const { getConfiguredAgents } = await import("./handlers/webhook-router.js");
+  const keyInfo = c.get("apiKey") || {};
+  const isAdmin = keyInfo.role === "admin" || (keyInfo.scopes || []).includes("admin");
+  const tenantId =
+    (isAdmin && c.req.query("tenant")) || keyInfo.metadata?.tenantId || undefined;
   return c.json({
     endpoint: "/webhooks/:source",
-    configured_agents: getConfiguredAgents(),
-    usage: "POST /webhooks/{source} with JSON payload",
+    configured_agents: await getConfiguredAgents(c.env, { tenantId }),
+    subscriptions: "/api/v1/webhooks/subscriptions",
+    usage: "POST /webhooks/{source} with JSON payload, signed with the tenant's webhook secret",
   });
 });
 
+/**
+ * Webhook delivery history and replay
+ * GET  /webhooks/:source/deliveries
+ * GET  /webhooks/:source/deliveries/:id
+ * POST /webhooks/:source/deliveries/:id/replay
+ */
+app.route("/webhooks", webhookRoutes);
+
 /**
  * GitHub App installation callback
  * Handles OAuth flow after app installation
@@ -2553,7 +2586,14 @@ ${errorInfo.stack}`);
 
     // Scheduled handler for cron triggers
     // - "0 * * * *"     (hourly)  → chittysecrets event sync to ChittyChronicle
-    // - every 5 min     → Connection health checks
+    //                               + context ledger Merkle checkpoints
+    //                               + tenant storage/compute usage from Neon
+    // - every 5 min     → Connection health checks + webhook delivery retries
+    //                     + git confirmation expiry audit
+    //                     + reconciliation of locally scored trust levels
+    //                     + prompt rollout promotion / rollback
+    //                     + expired tenant sandbox branch cleanup
+    //                     + queued / retried tenant export bundles
     async scheduled(event, env, ctx) {
       console.log(
         `[Scheduled] Cron trigger: ${event.cron} at ${new Date().toISOString()}`,
@@ -2583,6 +2623,86 @@ ${errorInfo.stack}`);
         } catch (err) {
           console.error(`[Scheduled] Health checks failed:`, err);
         }
+
+        try {
+          const { processDueDeliveries } =
+            await import("./handlers/webhook-outbox.js");
+          const sweep = await processDueDeliveries(env);
+          if (sweep.attempted > 0) {
+            console.log(
+              `[Scheduled] Webhook retries: ${sweep.delivered} delivered, ${sweep.retrying} retrying, ${sweep.dead} dead-lettered`,
+            );
+          }
+        } catch (err) {
+          console.error(`[Scheduled] Webhook retries failed:`, err);
+        }
+
+        try {
+          const { expireConfirmations } =
+            await import("./lib/git-confirm-audit.js");
+          const sweep = await expireConfirmations(env);
+          if (sweep.expired > 0) {
+            console.log(
+              `[Scheduled] Git confirmations: ${sweep.expired} expired unredeemed`,
+            );
+          }
+        } catch (err) {
+          console.error(`[Scheduled] Git confirmation expiry failed:`, err);
+        }
+
+        try {
+          const { reconcileLocalTrust } =
+            await import("./lib/trust-resolver.js");
+          const sweep = await reconcileLocalTrust(env);
+          if (sweep.checked > 0) {
+            console.log(
+              `[Scheduled] Trust reconciliation: ${sweep.reconciled} reconciled with ChittyScore, ${sweep.pending} still local`,
+            );
+          }
+        } catch (err) {
+          console.error(`[Scheduled] Trust reconciliation failed:`, err);
+        }
+
+        try {
+          const { evaluatePromptRollouts } =
+            await import("./lib/prompt-rollouts.js");
+          const sweep = await evaluatePromptRollouts(env);
+          if (sweep.promoted > 0 || sweep.rolledBack > 0) {
+            console.log(
+              `[Scheduled] Prompt rollouts: ${sweep.promoted} promoted, ${sweep.rolledBack} rolled back of ${sweep.evaluated} evaluated`,
+            );
+          }
+        } catch (err) {
+          console.error(`[Scheduled] Prompt rollout evaluation failed:`, err);
+        }
+
+        try {
+          const { TenantProjectManager } =
+            await import("./services/tenant-project-manager.js");
+          const sweep = await new TenantProjectManager(
+            env,
+          ).cleanupExpiredBranches();
+          if (sweep.deleted > 0 || sweep.failed > 0) {
+            console.log(
+              `[Scheduled] Tenant branches: ${sweep.deleted} expired branches deleted, ${sweep.failed} failed`,
+            );
+          }
+        } catch (err) {
+          console.error(`[Scheduled] Tenant branch cleanup failed:`, err);
+        }
+
+        try {
+          const { TenantExporter } =
+            await import("./services/tenant-export.js");
+          const sweep = await new TenantExporter(env).processJobs();
+          if (sweep.ran > 0 || sweep.failed > 0) {
+            console.log(
+              `[Scheduled] Tenant exports: ${sweep.ran} run, ${sweep.failed} failed`,
+            );
+          }
+        } catch (err) {
+          console.error(`[Scheduled] Tenant export jobs failed:`, err);
+        }
         return;
       }
 
@@ -2627,6 +2747,32 @@ ${errorInfo.stack}`);
         } catch (err) {
           console.error(`[Scheduled] chittysecrets sync failed:`, err);
         }
+
+        try {
+          const { checkpointLedgers } =
+            await import("./lib/ledger-integrity.js");
+          const sweep = await checkpointLedgers(env);
+          if (sweep.checkpointed > 0 || sweep.failed > 0) {
+            console.log(
+              `[Scheduled] Ledger checkpoints: ${sweep.checkpointed} created, ${sweep.failed} failed`,
+            );
+          }
+        } catch (err) {
+          console.error(`[Scheduled] Ledger checkpoints failed:`, err);
+        }
+
+        try {
+          const { TenantMetering } =
+            await import("./services/tenant-metering.js");
+          const sweep = await new TenantMetering(env).syncAllUsage();
+          if (sweep.synced > 0 || sweep.failed > 0) {
+            console.log(
+              `[Scheduled] Tenant usage: ${sweep.synced} synced from Neon, ${sweep.failed} failed`,
+            );
+          }
+        } catch (err) {
+          console.error(`[Scheduled] Tenant usage sync failed:`, err);
+        }
         return;
       }
 
@@ -0,0 +1,436 @@
+/**
+ * Export Crypto — age encryption and manifest signing for tenant export
+ * bundles.
+ *
+ * Encryption (optional, per bundle) writes every file in the age v1 format
+ * (https://age-encryption.org/v1) to one X25519 recipient, so recipients
+ * open bundles with the stock tooling rather than anything of ours:
+ *
+ *   age -d -i key.txt -o part-0000.ndjson tables/evidence_documents/part-0000.ndjson.age
+ *
+ *   - Recipients are an `age1…` string (what age-keygen prints) or the same
+ *     X25519 key as a public JWK.
+ *   - Each file has its own random file key, wrapped to the recipient in
+ *     the file's header (ephemeral X25519 share, HKDF-SHA-256,
+ *     ChaCha20-Poly1305) and bound to the header by an HMAC, so files are
+ *     self-contained and no bundle key has to outlive a run.
+ *   - The payload is ChaCha20-Poly1305 in 64 KiB STREAM chunks: the nonce is
+ *     an 11-byte chunk counter plus a final-chunk flag, so reordered,
+ *     dropped or truncated chunks fail to decrypt.
+ *
+ * Signing: the manifest bytes are signed with an Ed25519 key
+ * (env.EXPORT_SIGNING_JWK) as a detached compact JWS; the public key is
+ * served as a JWKS so recipients can verify offline.
+ *
+ * @module lib/export-crypto
+ */
+
+import * as jose from "jose";
+import { chacha20poly1305 } from "@noble/ciphers/chacha";
+
+export const ENCRYPTION_SCHEME = "age-encryption.org/v1";
+export const CHUNK_SIZE = 64 * 1024;
+
+const TAG_SIZE = 16;
+const FILE_KEY_SIZE = 16;
+const PAYLOAD_NONCE_SIZE = 16;
+const X25519_INFO = "age-encryption.org/v1/X25519";
+const RECIPIENT_HRP = "age";
+const IDENTITY_HRP = "age-secret-key-";
+const BECH32_CHARSET = "qpzry9x8gf2tvdw0s3jn54khce6mua7l";
+// RFC 8410 PKCS#8 wrapping for a raw X25519 private key
+const X25519_PKCS8_PREFIX = Uint8Array.from([
+  0x30, 0x2e, 0x02, 0x01, 0x00, 0x30, 0x05, 0x06, 0x03, 0x2b, 0x65, 0x6e, 0x04, 0x22, 0x04, 0x20,
+]);
+const X25519_BASEPOINT = Uint8Array.from({ length: 32 }, (_, i) => (i === 0 ? 9 : 0));
+const SIGNING_ALG = "EdDSA";
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+function concat(chunks, length) {
+  const out = new Uint8Array(length ?? chunks.reduce((n, c) => n + c.length, 0));
+  let offset = 0;
+  for (const chunk of chunks) {
+    out.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return out;
+}
+
+// Standard base64 without padding, as age writes it
+function toBase64(bytes) {
+  let binary = "";
+  for (const byte of bytes) binary += String.fromCharCode(byte);
+  return btoa(binary).replace(/=+$/, "");
+}
+
+function fromBase64(text) {
+  if (!/^[A-Za-z0-9+/]*$/.test(text)) throw new Error("Invalid base64 in age header");
+  const binary = atob(text + "=".repeat((4 - (text.length % 4)) % 4));
+  return Uint8Array.from(binary, (ch) => ch.charCodeAt(0));
+}
+
+function bech32Polymod(values) {
+  const generators = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+  let checksum = 1;
+  for (const value of values) {
+    const top = checksum >>> 25;
+    checksum = ((checksum & 0x1ffffff) << 5) ^ value;
+    for (let i = 0; i < 5; i++) {
+      if ((top >>> i) & 1) checksum ^= generators[i];
+    }
+  }
+  return checksum;
+}
+
+function bech32HrpExpand(hrp) {
+  const codes = [...hrp].map((ch) => ch.charCodeAt(0));
+  return [...codes.map((c) => c >>> 5), 0, ...codes.map((c) => c & 31)];
+}
+
+function convertBits(data, from, to, pad) {
+  let acc = 0;
+  let bits = 0;
+  const out = [];
+  for (const value of data) {
+    acc = (acc << from) | value;
+    bits += from;
+    while (bits >= to) {
+      bits -= to;
+      out.push((acc >>> bits) & ((1 << to) - 1));
+    }
+    acc &= (1 << bits) - 1;
+  }
+  if (pad && bits > 0) out.push((acc << (to - bits)) & ((1 << to) - 1));
+  if (!pad && (bits >= from || acc !== 0)) throw new Error("Invalid bech32 padding");
+  return out;
+}
+
+function bech32Encode(hrp, bytes) {
+  const data = convertBits(bytes, 8, 5, true);
+  const mod = bech32Polymod([...bech32HrpExpand(hrp), ...data, 0, 0, 0, 0, 0, 0]) ^ 1;
+  const checksum = Array.from({ length: 6 }, (_, i) => (mod >>> (5 * (5 - i))) & 31);
+  return `${hrp}1${[...data, ...checksum].map((d) => BECH32_CHARSET[d]).join("")}`;
+}
+
+// age keys are plain bech32 without BIP 173's 90-character limit
+function bech32Decode(text, hrp) {
+  if (text !== text.toLowerCase() && text !== text.toUpperCase()) {
+    throw new Error("Mixed-case bech32 string");
+  }
+  const lower = text.toLowerCase();
+  const separator = lower.lastIndexOf("1");
+  if (lower.slice(0, separator) !== hrp) throw new Error(`Expected a ${hrp}1… string`);
+  const data = [...lower.slice(separator + 1)].map((ch) => BECH32_CHARSET.indexOf(ch));
+  if (data.length < 6 || data.includes(-1)) throw new Error("Invalid bech32 characters");
+  if (bech32Polymod([...bech32HrpExpand(hrp), ...data]) !== 1) {
+    throw new Error("Invalid bech32 checksum");
+  }
+  return Uint8Array.from(convertBits(data.slice(0, -6), 5, 8, false));
+}
+
+async function hkdf(ikm, salt, info) {
+  const base = await crypto.subtle.importKey("raw", ikm, "HKDF", false, ["deriveBits"]);
+  const bits = await crypto.subtle.deriveBits(
+    { name: "HKDF", hash: "SHA-256", salt, info: encoder.encode(info) },
+    base,
+    256,
+  );
+  return new Uint8Array(bits);
+}
+
+async function hmacSha256(key, data) {
+  const hmacKey = await crypto.subtle.importKey("raw", key, { name: "HMAC", hash: "SHA-256" }, false, ["sign"]);
+  return new Uint8Array(await crypto.subtle.sign("HMAC", hmacKey, data));
+}
+
+function importSecretKey(secret) {
+  return crypto.subtle.importKey("pkcs8", concat([X25519_PKCS8_PREFIX, secret]), { name: "X25519" }, false, [
+    "deriveBits",
+  ]);
+}
+
+async function x25519(privateKey, publicBytes) {
+  const publicKey = await crypto.subtle.importKey("raw", publicBytes, { name: "X25519" }, false, []);
+  const shared = new Uint8Array(
+    await crypto.subtle.deriveBits({ name: "X25519", public: publicKey }, privateKey, 256),
+  );
+  if (shared.every((byte) => byte === 0)) throw new Error("X25519 produced an all-zero shared secret");
+  return shared;
+}
+
+function streamNonce(counter, final) {
+  const nonce = new Uint8Array(12);
+  new DataView(nonce.buffer).setBigUint64(3, BigInt(counter));
+  nonce[11] = final ? 1 : 0;
+  return nonce;
+}
+
+function bytesEqual(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff |= a[i] ^ b[i];
+  return diff === 0;
+}
+
+/**
+ * Parse a recipient: an age X25519 recipient (`age1…`) or the same key as
+ * an OKP/X25519 public JWK (object or JSON string). Private keys are refused.
+ *
+ * @param {object|string} recipientKey
+ * @returns {Promise<{publicKey: Uint8Array, recipient: string}>} recipient is the `age1…` form
+ * @throws {Error} When the key is unusable
+ */
+export async function importRecipientKey(recipientKey) {
+  let jwk = null;
+  if (typeof recipientKey === "object" && recipientKey !== null) {
+    jwk = recipientKey;
+  } else if (typeof recipientKey === "string" && recipientKey.trim().startsWith("{")) {
+    try {
+      jwk = JSON.parse(recipientKey);
+    } catch {
+      throw new Error("recipientKey is not valid JSON");
+    }
+  }
+
+  let publicKey = null;
+  if (jwk) {
+    if (jwk.d || jwk.p || jwk.k) {
+      throw new Error("recipientKey must be a public key");
+    }
+    if (jwk.kty === "OKP" && jwk.crv === "X25519" && typeof jwk.x === "string") {
+      try {
+        publicKey = jose.base64url.decode(jwk.x);
+      } catch {
+        throw new Error("recipientKey is not a usable public key: x is not base64url");
+      }
+    }
+  } else if (typeof recipientKey === "string" && /^age1/i.test(recipientKey.trim())) {
+    try {
+      publicKey = bech32Decode(recipientKey.trim(), RECIPIENT_HRP);
+    } catch (err) {
+      throw new Error(`recipientKey is not a usable age recipient: ${err.message}`);
+    }
+  }
+
+  if (!publicKey) {
+    throw new Error("recipientKey must be an age X25519 recipient (age1…) or an X25519 public JWK");
+  }
+  if (publicKey.length !== 32) {
+    throw new Error("recipientKey is not a usable public key: X25519 keys are 32 bytes");
+  }
+  return { publicKey, recipient: bech32Encode(RECIPIENT_HRP, publicKey) };
+}
+
+/**
+ * A new age X25519 identity, for tests and for recipients without age-keygen
+ *
+ * @returns {Promise<{identity: string, recipient: string}>} identity is `AGE-SECRET-KEY-1…`
+ */
+export async function generateAgeIdentity() {
+  const secret = crypto.getRandomValues(new Uint8Array(32));
+  const publicKey = await x25519(await importSecretKey(secret), X25519_BASEPOINT);
+  return {
+    identity: bech32Encode(IDENTITY_HRP, secret).toUpperCase(),
+    recipient: bech32Encode(RECIPIENT_HRP, publicKey),
+  };
+}
+
+/**
+ * Streaming age encryptor for one file. push() returns the output that is
+ * complete (the header comes out with the first chunk); finish() returns
+ * the rest, ending with the final chunk.
+ *
+ * @param {{publicKey: Uint8Array}} recipient - From importRecipientKey
+ * @returns {Promise<{push: function(Uint8Array): Promise<Uint8Array[]>, finish: function(): Promise<Uint8Array>}>}
+ */
+export async function createFileEncryptor(recipient) {
+  const fileKey = crypto.getRandomValues(new Uint8Array(FILE_KEY_SIZE));
+
+  const ephemeral = await crypto.subtle.generateKey({ name: "X25519" }, false, ["deriveBits"]);
+  const share = new Uint8Array(await crypto.subtle.exportKey("raw", ephemeral.publicKey));
+  const shared = await x25519(ephemeral.privateKey, recipient.publicKey);
+  const wrapKey = await hkdf(shared, concat([share, recipient.publicKey]), X25519_INFO);
+  const body = chacha20poly1305(wrapKey, new Uint8Array(12)).encrypt(fileKey);
+
+  const headerText = `age-encryption.org/v1\n-> X25519 ${toBase64(share)}\n${toBase64(body)}\n---`;
+  const mac = await hmacSha256(await hkdf(fileKey, new Uint8Array(0), "header"), encoder.encode(headerText));
+  const nonce = crypto.getRandomValues(new Uint8Array(PAYLOAD_NONCE_SIZE));
+  const payloadKey = await hkdf(fileKey, nonce, "payload");
+
+  let header = concat([encoder.encode(`${headerText} ${toBase64(mac)}\n`), nonce]);
+  let counter = 0;
+  let pending = [];
+  let pendingLength = 0;
+
+  const seal = (plaintext, final) =>
+    chacha20poly1305(payloadKey, streamNonce(counter++, final)).encrypt(plaintext);
+  const takeHeader = () => {
+    const out = header ? [header] : [];
+    header = null;
+    return out;
+  };
+
+  return {
+    async push(bytes) {
+      pending.push(bytes);
+      pendingLength += bytes.length;
+      const out = [];
+      // Keep at least one byte back: the last chunk must be sealed as final
+      while (pendingLength > CHUNK_SIZE) {
+        const all = concat(pending, pendingLength);
+        out.push(seal(all.subarray(0, CHUNK_SIZE), false));
+        pending = [all.subarray(CHUNK_SIZE)];
+        pendingLength -= CHUNK_SIZE;
+      }
+      return out.length ? [...takeHeader(), ...out] : out;
+    },
+    async finish() {
+      const last = concat(pending, pendingLength);
+      pending = [];
+      pendingLength = 0;
+      return concat([...takeHeader(), seal(last, true)]);
+    },
+  };
+}
+
+function parseIdentity(identity) {
+  // Accepts the key alone or a whole age-keygen key file
+  const line = String(identity)
+    .split(/\r?\n/)
+    .map((l) => l.trim())
+    .find((l) => /^AGE-SECRET-KEY-1/i.test(l));
+  if (!line) throw new Error("identity must be an AGE-SECRET-KEY-1… key");
+  return bech32Decode(line, IDENTITY_HRP);
+}
+
+/**
+ * Decrypt a whole age file produced by createFileEncryptor (or by age
+ * itself, for X25519 recipients)
+ *
+ * @param {Uint8Array} ciphertext
+ * @param {string} identity - `AGE-SECRET-KEY-1…`, or an age-keygen key file
+ * @returns {Promise<Uint8Array>}
+ * @throws {Error} When no stanza matches the identity, the header MAC is
+ *   wrong, or any chunk fails authentication or the file is truncated
+ */
+export async function decryptFile(ciphertext, identity) {
+  const secret = parseIdentity(identity);
+  const privateKey = await importSecretKey(secret);
+  const ownPublicKey = await x25519(privateKey, X25519_BASEPOINT);
+
+  const headerSearch = decoder.decode(ciphertext.subarray(0, Math.min(ciphertext.length, 64 * 1024)));
+  const macMark = headerSearch.indexOf("\n--- ");
+  const headerEnd = macMark === -1 ? -1 : headerSearch.indexOf("\n", macMark + 1);
+  if (!headerSearch.startsWith("age-encryption.org/v1\n") || headerEnd === -1) {
+    throw new Error("Not an age v1 file");
+  }
+  const headerText = headerSearch.slice(0, macMark + 4);
+  const mac = fromBase64(headerSearch.slice(macMark + 5, headerEnd));
+
+  let fileKey = null;
+  const lines = headerText.split("\n").slice(1, -1);
+  for (let i = 0; i < lines.length && !fileKey; i++) {
+    if (!lines[i].startsWith("-> ")) continue;
+    const args = lines[i].slice(3).split(" ");
+    const bodyLines = [];
+    while (i + 1 < lines.length && !lines[i + 1].startsWith("-> ")) {
+      bodyLines.push(lines[++i]);
+      if (bodyLines.at(-1).length < 64) break;
+    }
+    if (args[0] !== "X25519" || args.length !== 2) continue;
+
+    const share = fromBase64(args[1]);
+    const shared = await x25519(privateKey, share);
+    const wrapKey = await hkdf(shared, concat([share, ownPublicKey]), X25519_INFO);
+    try {
+      fileKey = chacha20poly1305(wrapKey, new Uint8Array(12)).decrypt(fromBase64(bodyLines.join("")));
+    } catch {
+      // Wrapped to a different recipient
+    }
+  }
+  if (!fileKey) throw new Error("No recipient stanza in this file matches the identity");
+
+  const expectedMac = await hmacSha256(await hkdf(fileKey, new Uint8Array(0), "header"), encoder.encode(headerText));
+  if (!bytesEqual(mac, expectedMac)) throw new Error("age header MAC does not match");
+
+  // The header is ASCII, so its character length is its byte length
+  const payloadStart = headerEnd + 1;
+  const nonce = ciphertext.subarray(payloadStart, payloadStart + PAYLOAD_NONCE_SIZE);
+  const payloadKey = await hkdf(fileKey, nonce, "payload");
+  const payload = ciphertext.subarray(payloadStart + PAYLOAD_NONCE_SIZE);
+
+  const segment = CHUNK_SIZE + TAG_SIZE;
+  const chunks = [];
+  let offset = 0;
+  let counter = 0;
+  let final = false;
+  while (!final) {
+    const end = Math.min(offset + segment, payload.length);
+    final = end === payload.length;
+    try {
+      chunks.push(chacha20poly1305(payloadKey, streamNonce(counter, final)).decrypt(payload.subarray(offset, end)));
+    } catch {
+      throw new Error(`Chunk ${counter} failed to decrypt`);
+    }
+    offset = end;
+    counter++;
+  }
+  return concat(chunks);
+}
+
+let signingKeyCache = null;
+
+async function signingKey(env) {
+  const raw = env.EXPORT_SIGNING_JWK;
+  if (!raw) return null;
+  if (signingKeyCache?.raw === raw) return signingKeyCache;
+
+  const jwk = typeof raw === "string" ? JSON.parse(raw) : raw;
+  const publicJwk = { ...jwk };
+  delete publicJwk.d;
+  signingKeyCache = {
+    raw,
+    kid: jwk.kid || "tenant-export",
+    key: await jose.importJWK(jwk, SIGNING_ALG),
+    publicJwk: { ...publicJwk, kid: jwk.kid || "tenant-export", alg: SIGNING_ALG, use: "sig" },
+  };
+  return signingKeyCache;
+}
+
+/**
+ * Whether a manifest signing key is configured
+ * @param {object} env
+ * @returns {boolean}
+ */
+export function hasExportSigningKey(env = {}) {
+  return Boolean(env.EXPORT_SIGNING_JWK);
+}
+
+/**
+ * Detached compact JWS (`<protected>..<signature>`) over the manifest bytes
+ *
+ * @param {object} env - Uses env.EXPORT_SIGNING_JWK (Ed25519 private JWK)
+ * @param {Uint8Array} manifestBytes - manifest.json exactly as stored
+ * @returns {Promise<{signature: string, kid: string}>}
+ */
+export async function signManifest(env, manifestBytes) {
+  const signer = await signingKey(env);
+  if (!signer) throw new Error("Export signing key is not configured");
+  const jws = await new jose.CompactSign(manifestBytes)
+    .setProtectedHeader({ alg: SIGNING_ALG, kid: signer.kid })
+    .sign(signer.key);
+  const [header, , signature] = jws.split(".");
+  return { signature: `${header}..${signature}`, kid: signer.kid };
+}
+
+/**
+ * Public manifest signing keys as a JWKS
+ *
+ * @param {object} env
+ * @returns {Promise<{keys: object[]}>}
+ */
+export async function exportSigningJwks(env = {}) {
+  const signer = await signingKey(env);
+  return { keys: signer ? [signer.publicJwk] : [] };
+}
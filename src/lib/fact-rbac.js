@@ -5,6 +5,15 @@
  * Access control for fact lifecycle operations using ChittyID
  * entity types and ChittyTrust levels.
  *
+ * Policies are data-driven: D1 `fact_action_policies` (migration 028) holds a
+ * global row per action (tenant_id '*') and optional per-tenant overrides.
+ * FACT_ACTIONS are the built-in defaults, used when no row applies or no DB
+ * is bound. Callers that pass no tenant act for DEFAULT_TENANT.
+ *
+ * Delegations (`fact_delegations`) let a delegate act on a delegator's behalf
+ * for one action in one case until they expire. A delegation only helps while
+ * the delegator still holds the permission directly; delegations do not chain.
+ *
  * @canon: chittycanon://docs/tech/spec/chittyid-spec#trust-levels
  * @canon: chittycanon://gov/governance#core-types
  *
@@ -12,12 +21,23 @@
  */
 
 import { resolveTrustLevel, TRUST_LEVELS } from "./trust-resolver.js";
+import { DEFAULT_TENANT } from "./webhook-registry.js";
 
 /**
- * Fact governance action definitions.
+ * Fact governance action definitions (built-in defaults).
  * Each action specifies required entity types and minimum trust level.
  */
 export const FACT_ACTIONS = {
+  MINT: {
+    name: "mint",
+    entity_types: null, // Any authenticated entity
+    min_trust: TRUST_LEVELS.BASIC,
+  },
+  VALIDATE: {
+    name: "validate",
+    entity_types: ["P", "A"], // Person or Authority
+    min_trust: TRUST_LEVELS.PROFESSIONAL,
+  },
   SEAL: {
     name: "seal",
     entity_types: ["A"], // Authority only
@@ -33,43 +53,453 @@ export const FACT_ACTIONS = {
     entity_types: null, // Any authenticated entity
     min_trust: TRUST_LEVELS.BASIC,
   },
+  RETRACT: {
+    name: "retract",
+    entity_types: ["A"], // Authority only
+    min_trust: TRUST_LEVELS.INSTITUTIONAL,
+  },
 };
 
+export const FACT_ACTION_NAMES = Object.values(FACT_ACTIONS).map((a) => a.name);
+
+const ENTITY_TYPES = ["P", "L", "T", "E", "A"];
+const GLOBAL_TENANT = "*";
+
+/** Longest a delegation may run */
+export const MAX_DELEGATION_SECONDS = 30 * 24 * 60 * 60;
+
+function actionName(action) {
+  return typeof action === "string" ? action : action?.name;
+}
+
+function builtInPolicy(name) {
+  return Object.values(FACT_ACTIONS).find((a) => a.name === name) || null;
+}
+
+function policyFromRow(row) {
+  return {
+    name: row.action,
+    entity_types: row.entity_types ? JSON.parse(row.entity_types) : null,
+    min_trust: row.min_trust,
+    scope: row.tenant_id === GLOBAL_TENANT ? "global" : "tenant",
+  };
+}
+
 /**
- * Check if an entity has permission for a fact governance action.
+ * Effective policies for a tenant: tenant override, else the global row,
+ * else the built-in default.
  *
- * @param {string} chittyId - Actor ChittyID
- * @param {object} action - FACT_ACTIONS member
- * @param {object} env - Worker environment
- * @returns {Promise<{allowed: boolean, trust_level: number, entity_type: string, required_level: number, action: string, reason?: string}>}
+ * @param {object} env
+ * @param {{ tenantId?: string }} [opts]
+ * @returns {Promise<object>} { [action]: { name, entity_types, min_trust, scope } }
  */
-export async function checkFactPermission(chittyId, action, env) {
-  const { trust_level, entity_type } = await resolveTrustLevel(chittyId, env);
+export async function listFactPolicies(env, { tenantId } = {}) {
+  const policies = {};
+  for (const action of Object.values(FACT_ACTIONS)) {
+    policies[action.name] = { ...action, scope: "default" };
+  }
+  if (!env.DB) return policies;
+
+  const { results } = await env.DB.prepare(
+    `SELECT action, tenant_id, entity_types, min_trust FROM fact_action_policies
+     WHERE tenant_id IN ('*', ?)
+     ORDER BY CASE tenant_id WHEN '*' THEN 0 ELSE 1 END`,
+  )
+    .bind(tenantId ?? DEFAULT_TENANT)
+    .all();
+  for (const row of results || []) {
+    if (policies[row.action]) policies[row.action] = policyFromRow(row);
+  }
+  return policies;
+}
 
+/**
+ * Effective policy for one action.
+ *
+ * @param {object} env
+ * @param {object|string} action - FACT_ACTIONS member or action name
+ * @param {{ tenantId?: string }} [opts]
+ * @returns {Promise<object|null>} null for an unknown action
+ */
+export async function resolveFactPolicy(env, action, { tenantId } = {}) {
+  const name = actionName(action);
+  const fallback = builtInPolicy(name);
+  if (!fallback) return null;
+  if (!env.DB) return { ...fallback, scope: "default" };
+
+  const { results } = await env.DB.prepare(
+    `SELECT action, tenant_id, entity_types, min_trust FROM fact_action_policies
+     WHERE action = ? AND tenant_id IN ('*', ?)`,
+  )
+    .bind(name, tenantId ?? DEFAULT_TENANT)
+    .all();
+  const row =
+    (results || []).find((r) => r.tenant_id !== GLOBAL_TENANT) ||
+    (results || []).find((r) => r.tenant_id === GLOBAL_TENANT);
+  return row ? policyFromRow(row) : { ...fallback, scope: "default" };
+}
+
+/**
+ * Check an entity's own entity type and trust against a policy.
+ */
+function directDecision(policy, { trust_level, entity_type }) {
   const base = {
     trust_level,
     entity_type,
-    required_level: action.min_trust,
-    action: action.name,
+    required_level: policy.min_trust,
+    action: policy.name,
+    policy: {
+      entity_types: policy.entity_types,
+      min_trust: policy.min_trust,
+      scope: policy.scope,
+    },
+    source: "direct",
   };
 
   // Check entity type constraint
-  if (action.entity_types && !action.entity_types.includes(entity_type)) {
+  if (policy.entity_types && !policy.entity_types.includes(entity_type)) {
     return {
       ...base,
       allowed: false,
-      reason: `Action "${action.name}" requires entity type ${action.entity_types.join(" or ")}, got "${entity_type}"`,
+      reason: `Action "${policy.name}" requires entity type ${policy.entity_types.join(" or ")}, got "${entity_type}"`,
     };
   }
 
   // Check trust level
-  if (trust_level < action.min_trust) {
+  if (trust_level < policy.min_trust) {
     return {
       ...base,
       allowed: false,
-      reason: `Action "${action.name}" requires trust level ${action.min_trust}, got ${trust_level}`,
+      reason: `Action "${policy.name}" requires trust level ${policy.min_trust}, got ${trust_level}`,
     };
   }
 
   return { ...base, allowed: true };
 }
+
+/**
+ * Active delegations to an entity, optionally for one action and case.
+ */
+async function activeDelegationsTo(env, { chittyId, tenantId, action, caseId }) {
+  if (!env.DB) return [];
+  const now = new Date().toISOString();
+  const where = [
+    "delegate_chitty_id = ?",
+    "tenant_id = ?",
+    "revoked_at IS NULL",
+    "starts_at <= ?",
+    "expires_at > ?",
+  ];
+  const values = [chittyId, tenantId ?? DEFAULT_TENANT, now, now];
+  if (action) {
+    where.push("action = ?");
+    values.push(action);
+  }
+  if (caseId) {
+    where.push("case_id = ?");
+    values.push(caseId);
+  }
+  const { results } = await env.DB.prepare(
+    `SELECT * FROM fact_delegations WHERE ${where.join(" AND ")} ORDER BY expires_at DESC`,
+  )
+    .bind(...values)
+    .all();
+  return results || [];
+}
+
+/**
+ * Permission via a delegation for this case, or null.
+ */
+async function delegatedDecision(env, denied, { chittyId, policy, tenantId, caseId }) {
+  // An unresolvable delegate (ANONYMOUS fallback) cannot act for anyone
+  if (denied.trust_level < TRUST_LEVELS.BASIC) return null;
+
+  const delegations = await activeDelegationsTo(env, {
+    chittyId,
+    tenantId,
+    action: policy.name,
+    caseId,
+  });
+  for (const delegation of delegations) {
+    const delegator = directDecision(
+      policy,
+      await resolveTrustLevel(delegation.delegator_chitty_id, env),
+    );
+    if (!delegator.allowed) continue;
+    const { reason: _reason, ...rest } = denied;
+    return {
+      ...rest,
+      allowed: true,
+      source: "delegation",
+      delegation: {
+        id: delegation.id,
+        delegator_chitty_id: delegation.delegator_chitty_id,
+        case_id: delegation.case_id,
+        expires_at: delegation.expires_at,
+      },
+    };
+  }
+  return null;
+}
+
+/**
+ * Check if an entity has permission for a fact governance action.
+ *
+ * Delegations are only considered when `caseId` is given.
+ *
+ * @param {string} chittyId - Actor ChittyID
+ * @param {object|string} action - FACT_ACTIONS member or action name
+ * @param {object} env - Worker environment
+ * @param {{ tenantId?: string, caseId?: string }} [opts]
+ * @returns {Promise<{allowed: boolean, trust_level: number, entity_type: string, required_level: number, action: string, policy: object, source: "direct"|"delegation", delegation?: object, reason?: string}>}
+ */
+export async function checkFactPermission(chittyId, action, env, { tenantId, caseId } = {}) {
+  const policy = await resolveFactPolicy(env, action, { tenantId });
+  if (!policy) {
+    return { allowed: false, action: actionName(action), reason: `Unknown fact action "${actionName(action)}"` };
+  }
+
+  const decision = directDecision(policy, await resolveTrustLevel(chittyId, env));
+  if (decision.allowed || !caseId) return decision;
+
+  return (
+    (await delegatedDecision(env, decision, { chittyId, policy, tenantId, caseId })) || decision
+  );
+}
+
+/**
+ * What an entity can do, and why, for every fact action.
+ *
+ * @param {object} env
+ * @param {string} chittyId
+ * @param {{ tenantId?: string, caseId?: string }} [opts]
+ * @returns {Promise<object>}
+ */
+export async function explainFactPermissions(env, chittyId, { tenantId, caseId } = {}) {
+  const trust = await resolveTrustLevel(chittyId, env);
+  const policies = await listFactPolicies(env, { tenantId });
+
+  const actions = {};
+  for (const policy of Object.values(policies)) {
+    const decision = directDecision(policy, trust);
+    actions[policy.name] =
+      decision.allowed || !caseId
+        ? decision
+        : (await delegatedDecision(env, decision, { chittyId, policy, tenantId, caseId })) ||
+          decision;
+  }
+
+  return {
+    chitty_id: chittyId,
+    entity_type: trust.entity_type,
+    trust_level: trust.trust_level,
+    ty: trust.ty,
+    vy: trust.vy,
+    ry: trust.ry,
+    trust_source: trust.source ?? null,
+    tenant_id: tenantId ?? null,
+    case_id: caseId ?? null,
+    actions,
+    delegations: await activeDelegationsTo(env, { chittyId, tenantId }),
+  };
+}
+
+// ── Policy overrides ───────────────────────────────────────────────────
+
+/**
+ * @param {object} input - { entity_types, min_trust }
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateFactPolicy(input) {
+  if (!input || typeof input !== "object") return "Body must be an object";
+  const { entity_types, min_trust } = input;
+  if (
+    entity_types !== null &&
+    (!Array.isArray(entity_types) ||
+      entity_types.length === 0 ||
+      !entity_types.every((t) => ENTITY_TYPES.includes(t)))
+  ) {
+    return `entity_types must be null (any) or a non-empty array of ${ENTITY_TYPES.join(", ")}`;
+  }
+  if (!Number.isInteger(min_trust) || min_trust < 0 || min_trust > 5) {
+    return "min_trust must be an integer from 0 to 5";
+  }
+  return null;
+}
+
+/**
+ * Create or replace the policy for an action, globally ('*') or for a tenant.
+ *
+ * @param {object} env
+ * @param {{ action: string, tenantId: string, entity_types: string[]|null, min_trust: number }} input
+ * @param {string|null} updatedBy
+ * @returns {Promise<object>} The stored policy
+ */
+export async function upsertFactPolicy(env, { action, tenantId, entity_types, min_trust }, updatedBy) {
+  await env.DB.prepare(
+    `INSERT INTO fact_action_policies (action, tenant_id, entity_types, min_trust, updated_by)
+     VALUES (?, ?, ?, ?, ?)
+     ON CONFLICT(action, tenant_id) DO UPDATE SET
+       entity_types = excluded.entity_types,
+       min_trust = excluded.min_trust,
+       updated_by = excluded.updated_by,
+       updated_at = datetime('now')`,
+  )
+    .bind(action, tenantId, entity_types ? JSON.stringify(entity_types) : null, min_trust, updatedBy)
+    .run();
+  return policyFromRow({ action, tenant_id: tenantId, entity_types: entity_types && JSON.stringify(entity_types), min_trust });
+}
+
+/**
+ * Drop a tenant override so the global policy applies again.
+ *
+ * @param {object} env
+ * @param {string} action
+ * @param {string} tenantId
+ * @returns {Promise<boolean>} Whether a row was deleted
+ */
+export async function deleteFactPolicy(env, action, tenantId) {
+  const result = await env.DB.prepare(
+    `DELETE FROM fact_action_policies WHERE action = ? AND tenant_id = ?`,
+  )
+    .bind(action, tenantId)
+    .run();
+  return (result?.meta?.changes ?? 0) > 0;
+}
+
+// ── Delegations ────────────────────────────────────────────────────────
+
+/**
+ * Grant a time-boxed, case-scoped delegation. The delegator must hold the
+ * permission directly at grant time (and again whenever it is used).
+ *
+ * @param {object} env
+ * @param {object} input
+ * @param {string} input.tenantId
+ * @param {string} input.delegatorChittyId
+ * @param {string} input.delegateChittyId
+ * @param {string} input.action
+ * @param {string} input.caseId
+ * @param {string} input.expiresAt - ISO timestamp
+ * @param {string} [input.startsAt] - ISO timestamp, default now
+ * @param {string} [input.reason]
+ * @param {string|null} [input.createdBy]
+ * @returns {Promise<{ delegation: object } | { status: number, error: string }>}
+ */
+export async function createDelegation(env, input) {
+  const { tenantId, delegatorChittyId, delegateChittyId, action, caseId, reason, createdBy } = input;
+  if (!delegatorChittyId || !delegateChittyId || !action || !caseId || !input.expiresAt) {
+    return {
+      status: 400,
+      error: "delegator_chitty_id, delegate_chitty_id, action, case_id and expires_at are required",
+    };
+  }
+  if (delegatorChittyId === delegateChittyId) {
+    return { status: 400, error: "An entity cannot delegate to itself" };
+  }
+  if (!FACT_ACTION_NAMES.includes(action)) {
+    return { status: 400, error: `action must be one of ${FACT_ACTION_NAMES.join(", ")}` };
+  }
+
+  const startsAt = input.startsAt ? new Date(input.startsAt) : new Date();
+  const expiresAt = new Date(input.expiresAt);
+  if (Number.isNaN(startsAt.getTime()) || Number.isNaN(expiresAt.getTime())) {
+    return { status: 400, error: "starts_at and expires_at must be ISO timestamps" };
+  }
+  if (expiresAt <= startsAt || expiresAt <= new Date()) {
+    return { status: 400, error: "expires_at must be in the future and after starts_at" };
+  }
+  if (expiresAt - startsAt > MAX_DELEGATION_SECONDS * 1000) {
+    return { status: 400, error: `Delegations may last at most ${MAX_DELEGATION_SECONDS / 86400} days` };
+  }
+
+  const policy = await resolveFactPolicy(env, action, { tenantId });
+  const delegator = directDecision(policy, await resolveTrustLevel(delegatorChittyId, env));
+  if (!delegator.allowed) {
+    return { status: 403, error: `Delegator cannot ${action}: ${delegator.reason}` };
+  }
+
+  const delegation = {
+    id: `fdl_${crypto.randomUUID()}`,
+    tenant_id: tenantId,
+    delegator_chitty_id: delegatorChittyId,
+    delegate_chitty_id: delegateChittyId,
+    action,
+    case_id: caseId,
+    reason: reason ?? null,
+    starts_at: startsAt.toISOString(),
+    expires_at: expiresAt.toISOString(),
+    created_by: createdBy ?? null,
+  };
+  await env.DB.prepare(
+    `INSERT INTO fact_delegations
+       (id, tenant_id, delegator_chitty_id, delegate_chitty_id, action, case_id, reason,
+        starts_at, expires_at, created_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+  )
+    .bind(
+      delegation.id,
+      delegation.tenant_id,
+      delegation.delegator_chitty_id,
+      delegation.delegate_chitty_id,
+      delegation.action,
+      delegation.case_id,
+      delegation.reason,
+      delegation.starts_at,
+      delegation.expires_at,
+      delegation.created_by,
+    )
+    .run();
+  return { delegation };
+}
+
+/**
+ * Delegations granted by or to an entity, newest first.
+ *
+ * @param {object} env
+ * @param {{ tenantId: string, chittyId?: string, includeInactive?: boolean }} opts
+ * @returns {Promise<object[]>}
+ */
+export async function listDelegations(env, { tenantId, chittyId, includeInactive = false }) {
+  const where = ["tenant_id = ?"];
+  const values = [tenantId];
+  if (chittyId) {
+    where.push("(delegator_chitty_id = ? OR delegate_chitty_id = ?)");
+    values.push(chittyId, chittyId);
+  }
+  if (!includeInactive) {
+    where.push("revoked_at IS NULL", "expires_at > ?");
+    values.push(new Date().toISOString());
+  }
+  const { results } = await env.DB.prepare(
+    `SELECT * FROM fact_delegations WHERE ${where.join(" AND ")} ORDER BY created_at DESC LIMIT 200`,
+  )
+    .bind(...values)
+    .all();
+  return results || [];
+}
+
+/**
+ * @param {object} env
+ * @param {string} id
+ * @param {{ tenantId: string, delegatorChittyId?: string, revokedBy?: string|null }} opts
+ *   delegatorChittyId confines the revoke to that delegator's grants; omit
+ *   it only for admins
+ * @returns {Promise<boolean>} Whether an active delegation was revoked
+ */
+export async function revokeDelegation(env, id, { tenantId, delegatorChittyId, revokedBy = null }) {
+  const delegatorClause = delegatorChittyId ? " AND delegator_chitty_id = ?" : "";
+  const result = await env.DB.prepare(
+    `UPDATE fact_delegations SET revoked_at = ?, revoked_by = ?
+     WHERE id = ? AND tenant_id = ? AND revoked_at IS NULL${delegatorClause}`,
+  )
+    .bind(
+      new Date().toISOString(),
+      revokedBy,
+      id,
+      tenantId,
+      ...(delegatorChittyId ? [delegatorChittyId] : []),
+    )
+    .run();
+  return (result?.meta?.changes ?? 0) > 0;
+}
@@ -0,0 +1,282 @@
+/**
+ * Git Confirm Audit — durable record of git confirmation tokens.
+ *
+ * Every issue, redeem and expiry of a token from POST /api/git/confirm is
+ * written to D1 `git_confirmations` (migration 024) and emitted to
+ * ChittyChronicle as `git.confirmation.<event>`. Tokens are identified by a
+ * hash so the token itself never reaches the audit trail (CHARTER.md
+ * redaction contract).
+ *
+ * Writes never throw: an audit failure is logged but must not block or
+ * mask the confirmation itself.
+ *
+ * @module lib/git-confirm-audit
+ */
+
+const LIST_LIMIT_DEFAULT = 50;
+const LIST_LIMIT_MAX = 200;
+const EXPIRY_SWEEP_BATCH = 100;
+
+async function sha256Hex(input) {
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(input));
+  return [...new Uint8Array(digest)].map((b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * Stable audit id for a confirmation token.
+ *
+ * @param {string} token
+ * @returns {Promise<string>} gct_<32 hex>
+ */
+export async function confirmationId(token) {
+  return `gct_${(await sha256Hex(token)).slice(0, 32)}`;
+}
+
+function scopeOf(row) {
+  return {
+    intent: row.intent,
+    repo_path: row.repo_path,
+    remote: row.remote ?? null,
+    ref: row.ref,
+  };
+}
+
+/**
+ * POST one event to ChittyChronicle. Skipped when no chronicle URL is set.
+ */
+async function emitChronicle(env, eventType, data) {
+  const chronicleUrl = env.CHITTYCHRONICLE_SERVICE_URL;
+  if (!chronicleUrl) return;
+  try {
+    const resp = await fetch(`${chronicleUrl}/events`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${env.CHITTYCONNECT_SERVICE_TOKEN}`,
+      },
+      body: JSON.stringify({
+        event_type: `git.confirmation.${eventType}`,
+        source: "chittyconnect",
+        data,
+      }),
+    });
+    if (!resp.ok) {
+      console.warn(`[GitConfirmAudit] Chronicle returned ${resp.status} for ${eventType}`);
+    }
+  } catch (error) {
+    console.error(`[GitConfirmAudit] Chronicle emit failed for ${eventType}:`, error.message);
+  }
+}
+
+/**
+ * Record a freshly issued token.
+ *
+ * @param {object} env - Worker env (uses env.DB, CHITTYCHRONICLE_SERVICE_URL)
+ * @param {object} entry
+ * @param {string} entry.id - from confirmationId
+ * @param {object} entry.scope - { intent, repo_path, remote, ref }
+ * @param {object} entry.record - The TOKEN_KV record (tenant, reason, times, fingerprint)
+ * @param {string|null} entry.caller - API key name / userId
+ */
+export async function recordConfirmationIssued(env, { id, scope, record, caller }) {
+  if (env.DB) {
+    try {
+      await env.DB.prepare(
+        `INSERT INTO git_confirmations
+           (id, tenant_id, intent, repo_path, remote, ref, reason, caller,
+            issuer_fingerprint, approval_id, status, issued_at, expires_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'issued', ?, ?)`,
+      )
+        .bind(
+          id,
+          record.tenant_id,
+          scope.intent,
+          scope.repo_path,
+          scope.remote ?? null,
+          scope.ref,
+          record.reason ?? null,
+          caller ?? null,
+          record.issuer_fingerprint,
+          record.approval_id ?? null,
+          record.issued_at,
+          record.expires_at,
+        )
+        .run();
+    } catch (error) {
+      console.error("[GitConfirmAudit] issue write failed:", error.message);
+    }
+  }
+
+  await emitChronicle(env, "issued", {
+    confirmation_id: id,
+    tenant_id: record.tenant_id,
+    scope,
+    caller: caller ?? null,
+    issuer_fingerprint: record.issuer_fingerprint,
+    reason: record.reason ?? null,
+    approval_id: record.approval_id ?? null,
+    issued_at: record.issued_at,
+    expires_at: record.expires_at,
+  });
+}
+
+/**
+ * Record a successful redemption.
+ *
+ * @param {object} env
+ * @param {object} entry
+ * @param {string} entry.id - from confirmationId
+ * @param {object} entry.record - The TOKEN_KV record that was consumed
+ * @param {string} entry.redeemerFingerprint
+ */
+export async function recordConfirmationRedeemed(env, { id, record, redeemerFingerprint }) {
+  const redeemedAt = new Date().toISOString();
+  if (env.DB) {
+    try {
+      await env.DB.prepare(
+        `UPDATE git_confirmations
+         SET status = 'redeemed', redeemed_at = ?, redeemer_fingerprint = ?
+         WHERE id = ? AND status = 'issued'`,
+      )
+        .bind(redeemedAt, redeemerFingerprint, id)
+        .run();
+    } catch (error) {
+      console.error("[GitConfirmAudit] redeem write failed:", error.message);
+    }
+  }
+
+  await emitChronicle(env, "redeemed", {
+    confirmation_id: id,
+    tenant_id: record.tenant_id ?? null,
+    scope: scopeOf(record),
+    issuer_fingerprint: record.issuer_fingerprint,
+    redeemer_fingerprint: redeemerFingerprint,
+    reason: record.reason ?? null,
+    issued_at: record.issued_at,
+    redeemed_at: redeemedAt,
+  });
+}
+
+/**
+ * Mark issued tokens past their TTL as expired and emit an expiry event
+ * for each. Run from the 5-minute cron.
+ *
+ * @param {object} env
+ * @param {{ limit?: number }} [opts]
+ * @returns {Promise<{ expired: number }>}
+ */
+export async function expireConfirmations(env, { limit = EXPIRY_SWEEP_BATCH } = {}) {
+  if (!env.DB) return { expired: 0 };
+  const now = new Date().toISOString();
+
+  const { results } = await env.DB.prepare(
+    `SELECT * FROM git_confirmations
+     WHERE status = 'issued' AND expires_at <= ?
+     ORDER BY expires_at
+     LIMIT ?`,
+  )
+    .bind(now, limit)
+    .all();
+
+  let expired = 0;
+  for (const row of results || []) {
+    const update = await env.DB.prepare(
+      `UPDATE git_confirmations
+       SET status = 'expired', expired_at = ?
+       WHERE id = ? AND status = 'issued'`,
+    )
+      .bind(now, row.id)
+      .run();
+    // Lost the race to a redemption
+    if ((update?.meta?.changes ?? 0) === 0) continue;
+
+    expired++;
+    await emitChronicle(env, "expired", {
+      confirmation_id: row.id,
+      tenant_id: row.tenant_id,
+      scope: scopeOf(row),
+      caller: row.caller,
+      issuer_fingerprint: row.issuer_fingerprint,
+      reason: row.reason,
+      issued_at: row.issued_at,
+      expires_at: row.expires_at,
+    });
+  }
+  return { expired };
+}
+
+/**
+ * List confirmations, newest first. Issued rows past their TTL are
+ * reported as expired even before the sweep has run.
+ *
+ * @param {object} env
+ * @param {object} filters
+ * @param {string} [filters.tenantId] - Omit to list every tenant (dashboard)
+ * @param {string} [filters.repoPath]
+ * @param {string} [filters.ref]
+ * @param {string} [filters.caller] - API key name or issuer fingerprint
+ * @param {string} [filters.intent]
+ * @param {string} [filters.status] - issued | redeemed | expired
+ * @param {string} [filters.since] - ISO timestamp, on issued_at
+ * @param {number} [filters.limit]
+ * @returns {Promise<object[]>}
+ */
+export async function listConfirmations(env, filters = {}) {
+  const now = new Date().toISOString();
+  const where = [];
+  const values = [];
+
+  if (filters.tenantId) {
+    where.push("tenant_id = ?");
+    values.push(filters.tenantId);
+  }
+  if (filters.repoPath) {
+    where.push("repo_path = ?");
+    values.push(filters.repoPath);
+  }
+  if (filters.ref) {
+    where.push("ref = ?");
+    values.push(filters.ref);
+  }
+  if (filters.caller) {
+    where.push("(caller = ? OR issuer_fingerprint = ?)");
+    values.push(filters.caller, filters.caller);
+  }
+  if (filters.intent) {
+    where.push("intent = ?");
+    values.push(filters.intent);
+  }
+  if (filters.status === "expired") {
+    where.push("(status = 'expired' OR (status = 'issued' AND expires_at <= ?))");
+    values.push(now);
+  } else if (filters.status === "issued") {
+    where.push("status = 'issued' AND expires_at > ?");
+    values.push(now);
+  } else if (filters.status) {
+    where.push("status = ?");
+    values.push(filters.status);
+  }
+  if (filters.since) {
+    where.push("issued_at >= ?");
+    values.push(filters.since);
+  }
+
+  const limit = Math.min(
+    Math.max(parseInt(filters.limit) || LIST_LIMIT_DEFAULT, 1),
+    LIST_LIMIT_MAX,
+  );
+
+  const { results } = await env.DB.prepare(
+    `SELECT * FROM git_confirmations
+     ${where.length ? `WHERE ${where.join(" AND ")}` : ""}
+     ORDER BY issued_at DESC
+     LIMIT ?`,
+  )
+    .bind(...values, limit)
+    .all();
+
+  return (results || []).map((row) => ({
+    ...row,
+    status: row.status === "issued" && row.expires_at <= now ? "expired" : row.status,
+  }));
+}
@@ -0,0 +1,268 @@
+/**
+ * Git Policy — intents, protected refs and human approval for
+ * POST /api/git/confirm.
+ *
+ * Protected-ref patterns and approval requirements come from the tenant's
+ * `git_repo_allowlist` rows (migrations 018 + 023). Every row whose
+ * `path_prefix` contains the repo contributes; patterns and intents are
+ * unioned so a broader prefix cannot be loosened by a narrower one.
+ *
+ * main/master stay hard-denied in code for every branch-rewriting intent
+ * per CHARTER.md, whatever the tenant rows say.
+ *
+ * @module lib/git-policy
+ */
+
+/**
+ * Supported confirmation intents.
+ *   requiresRemote — remote is part of the token scope and must be given
+ *   refKind        — how bare ref names are qualified (refs/heads or refs/tags)
+ *   hardDeny       — main/master are refused outright
+ *   forceClass     — reported with POLICY_BLOCKED_FORCE_TO_PROTECTED
+ */
+export const GIT_CONFIRM_INTENTS = {
+  force_push: { requiresRemote: true, refKind: "branch", hardDeny: true, forceClass: true },
+  force_push_with_lease: { requiresRemote: true, refKind: "branch", hardDeny: true, forceClass: true },
+  reset_hard: { requiresRemote: false, refKind: "branch", hardDeny: true, forceClass: false },
+  branch_delete: { requiresRemote: false, refKind: "branch", hardDeny: true, forceClass: false },
+  tag_delete: { requiresRemote: false, refKind: "tag", hardDeny: false, forceClass: false },
+  history_rewrite: { requiresRemote: false, refKind: "branch", hardDeny: true, forceClass: false },
+};
+
+const HARD_DENY_REFS = new Set(["refs/heads/main", "refs/heads/master"]);
+
+/** How long a confirmation waits on the Approvals page before lapsing */
+export const APPROVAL_TTL_SECONDS = 60 * 60;
+
+function globToRegExp(pattern) {
+  const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*");
+  return new RegExp(`^${escaped}$`);
+}
+
+/**
+ * Fully qualify a ref for the intent: `feature` → `refs/heads/feature`,
+ * `v1.0` for tag_delete → `refs/tags/v1.0`. Qualified refs pass through.
+ */
+export function qualifyRef(ref, refKind = "branch") {
+  if (ref.startsWith("refs/")) return ref;
+  return `refs/${refKind === "tag" ? "tags" : "heads"}/${ref}`;
+}
+
+/**
+ * Resolve `.`/`..` segments and duplicate or trailing slashes so a repo
+ * path cannot step outside a prefix it appears to sit under.
+ */
+export function canonicalRepoPath(path) {
+  const out = [];
+  for (const segment of String(path).split("/")) {
+    if (!segment || segment === ".") continue;
+    if (segment === "..") out.pop();
+    else out.push(segment);
+  }
+  return `/${out.join("/")}`;
+}
+
+function isUnderPrefix(repoPath, prefix) {
+  const base = canonicalRepoPath(prefix);
+  return base === "/" || repoPath === base || repoPath.startsWith(`${base}/`);
+}
+
+function parseJsonArray(text) {
+  try {
+    const value = JSON.parse(text || "[]");
+    return Array.isArray(value) ? value.filter((v) => typeof v === "string") : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Load the protected-ref patterns and approval intents that apply to a repo.
+ * Without a DB binding only the hard-coded main/master rule applies.
+ *
+ * @param {object} env - Worker env (uses env.DB)
+ * @param {string} tenantId
+ * @param {string} repoPath - Absolute repo path
+ * @returns {Promise<{ protectedBranches: string[], approvalIntents: string[], matchedPrefixes: string[] }>}
+ */
+export async function loadRepoPolicy(env, tenantId, repoPath) {
+  const policy = { protectedBranches: [], approvalIntents: [], matchedPrefixes: [] };
+  if (!env.DB) return policy;
+
+  const { results } = await env.DB.prepare(
+    `SELECT path_prefix, protected_branches, approval_intents
+     FROM git_repo_allowlist
+     WHERE tenant_id = ?`,
+  )
+    .bind(tenantId)
+    .all();
+
+  const canonical = canonicalRepoPath(repoPath);
+  const protectedBranches = new Set();
+  const approvalIntents = new Set();
+  for (const row of results || []) {
+    if (!isUnderPrefix(canonical, row.path_prefix)) continue;
+    policy.matchedPrefixes.push(row.path_prefix);
+    parseJsonArray(row.protected_branches).forEach((p) => protectedBranches.add(p));
+    parseJsonArray(row.approval_intents).forEach((i) => approvalIntents.add(i));
+  }
+  policy.protectedBranches = [...protectedBranches];
+  policy.approvalIntents = [...approvalIntents];
+  return policy;
+}
+
+/**
+ * Check a ref against the hard-deny set and the repo's protected patterns.
+ *
+ * @param {string} intent - Key of GIT_CONFIRM_INTENTS
+ * @param {string} ref
+ * @param {object} policy - from loadRepoPolicy
+ * @returns {{ source: "hard_deny"|"tenant_policy", pattern: string }|null}
+ */
+export function findProtectedRef(intent, ref, policy) {
+  const spec = GIT_CONFIRM_INTENTS[intent];
+  const qualified = qualifyRef(ref, spec.refKind);
+
+  if (spec.hardDeny && HARD_DENY_REFS.has(qualified)) {
+    return { source: "hard_deny", pattern: qualified };
+  }
+  const pattern = policy.protectedBranches.find((p) =>
+    globToRegExp(qualifyRef(p, "branch")).test(qualified),
+  );
+  return pattern ? { source: "tenant_policy", pattern } : null;
+}
+
+/**
+ * @returns {boolean} Whether the repo policy holds this intent for approval
+ */
+export function approvalRequired(intent, policy) {
+  return policy.approvalIntents.includes(intent) || policy.approvalIntents.includes("*");
+}
+
+/**
+ * Record a confirmation held for approval.
+ *
+ * @returns {Promise<object>} The stored row
+ */
+export async function createConfirmApproval(env, request) {
+  const now = new Date();
+  const row = {
+    id: `gca_${crypto.randomUUID()}`,
+    tenant_id: request.tenantId,
+    intent: request.intent,
+    repo_path: request.repoPath,
+    remote: request.remote ?? null,
+    ref: request.ref,
+    reason: request.reason ?? null,
+    issuer_fingerprint: request.issuerFingerprint,
+    status: "pending",
+    expires_at: new Date(now.getTime() + APPROVAL_TTL_SECONDS * 1000).toISOString(),
+    created_at: now.toISOString(),
+  };
+
+  await env.DB.prepare(
+    `INSERT INTO git_confirm_approvals
+       (id, tenant_id, intent, repo_path, remote, ref, reason,
+        issuer_fingerprint, status, expires_at, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+  )
+    .bind(
+      row.id,
+      row.tenant_id,
+      row.intent,
+      row.repo_path,
+      row.remote,
+      row.ref,
+      row.reason,
+      row.issuer_fingerprint,
+      row.status,
+      row.expires_at,
+      row.created_at,
+    )
+    .run();
+
+  return row;
+}
+
+/**
+ * Fetch an approval row. Pending rows past their expiry are marked expired.
+ *
+ * @returns {Promise<object|null>}
+ */
+export async function getConfirmApproval(env, id) {
+  const row = await env.DB.prepare(`SELECT * FROM git_confirm_approvals WHERE id = ?`)
+    .bind(id)
+    .first();
+  if (!row) return null;
+
+  if (row.status === "pending" && row.expires_at <= new Date().toISOString()) {
+    await env.DB.prepare(
+      `UPDATE git_confirm_approvals SET status = 'expired' WHERE id = ? AND status = 'pending'`,
+    )
+      .bind(id)
+      .run();
+    return { ...row, status: "expired" };
+  }
+  return row;
+}
+
+/**
+ * Approve or deny a pending, unexpired request.
+ *
+ * @param {object} env
+ * @param {string} id
+ * @param {{ status: "approved"|"denied", decidedBy?: string, notes?: string }} decision
+ * @returns {Promise<boolean>} False when the request was not pending
+ */
+export async function decideConfirmApproval(env, id, { status, decidedBy, notes }) {
+  const now = new Date().toISOString();
+  const result = await env.DB.prepare(
+    `UPDATE git_confirm_approvals
+     SET status = ?, decided_by = ?, decided_at = ?, decision_notes = ?
+     WHERE id = ? AND status = 'pending' AND expires_at > ?`,
+  )
+    .bind(status, decidedBy ?? null, now, notes ?? null, id, now)
+    .run();
+  return (result?.meta?.changes ?? 0) > 0;
+}
+
+/**
+ * Mark an approved request as issued. Only one caller can win, so an
+ * approval yields at most one confirmation token.
+ *
+ * @returns {Promise<boolean>}
+ */
+export async function claimApprovedConfirmation(env, id) {
+  const result = await env.DB.prepare(
+    `UPDATE git_confirm_approvals
+     SET status = 'issued', issued_at = ?
+     WHERE id = ? AND status = 'approved'`,
+  )
+    .bind(new Date().toISOString(), id)
+    .run();
+  return (result?.meta?.changes ?? 0) > 0;
+}
+
+/**
+ * List approval rows for the dashboard. Pending rows past their expiry are
+ * left out.
+ *
+ * @param {object} env
+ * @param {{ statuses: string[], tenantId?: string, limit?: number }} opts
+ *   Omit tenantId to list every tenant (admins only)
+ * @returns {Promise<object[]>}
+ */
+export async function listConfirmApprovals(env, { statuses, tenantId, limit = 50 }) {
+  const placeholders = statuses.map(() => "?").join(", ");
+  const tenantClause = tenantId ? "AND tenant_id = ?" : "";
+  const { results } = await env.DB.prepare(
+    `SELECT * FROM git_confirm_approvals
+     WHERE status IN (${placeholders}) ${tenantClause}
+     ORDER BY created_at DESC
+     LIMIT ?`,
+  )
+    .bind(...statuses, ...(tenantId ? [tenantId] : []), limit)
+    .all();
+  const now = new Date().toISOString();
+  return (results || []).filter((r) => r.status !== "pending" || r.expires_at > now);
+}
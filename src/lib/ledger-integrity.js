@@ -0,0 +1,600 @@
+/**
+ * Ledger Integrity — read, verify and prove entries of `context_ledger`.
+ *
+ * The ledger is a per-context hash chain: each entry stores the hash of the
+ * entry before it. Chain order is insertion order (rowid).
+ *
+ * On top of the chain, checkpoints record a Merkle root over the first N
+ * entry hashes of a context (migration 026). Trees follow RFC 6962 §2.1:
+ *   leaf = SHA-256(0x00 || utf8(entry.hash))
+ *   node = SHA-256(0x01 || left || right)
+ * with the left subtree covering the largest power of two below the size.
+ * Roots are sent to ChittyChronicle when created, so an inclusion proof
+ * can be checked against a root held outside this database.
+ *
+ * @module lib/ledger-integrity
+ */
+
+export const LEDGER_GENESIS = "GENESIS";
+// Written by context-resolver and dashboard before the append endpoint existed
+const LEGACY_GENESIS = "genesis";
+
+/** hash_version for entries written by POST /api/v1/ledger/append */
+export const HASH_VERSION_APPEND = 1;
+
+export const MERKLE_ALGORITHM = "rfc6962-sha256";
+
+const PAGE_LIMIT_DEFAULT = 50;
+const PAGE_LIMIT_MAX = 200;
+const WALK_BATCH = 500;
+const CHECKPOINT_SWEEP_BATCH = 50;
+
+const encoder = new TextEncoder();
+
+async function sha256(bytes) {
+  return new Uint8Array(await crypto.subtle.digest("SHA-256", bytes));
+}
+
+function toHex(bytes) {
+  return [...bytes].map((b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+function fromHex(hex) {
+  if (typeof hex !== "string" || !/^([0-9a-f]{2})*$/i.test(hex)) {
+    throw new Error("Invalid hex string");
+  }
+  return Uint8Array.from(hex.match(/../g) || [], (h) => parseInt(h, 16));
+}
+
+function concat(...parts) {
+  const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    out.set(part, offset);
+    offset += part.length;
+  }
+  return out;
+}
+
+/**
+ * Chain hash of an append-format entry.
+ *
+ * @param {object} entry
+ * @param {string} entry.previous_hash
+ * @param {string} entry.context_id
+ * @param {string} entry.event_type
+ * @param {string} entry.payload - JSON string exactly as stored
+ * @param {string} entry.signature
+ * @returns {Promise<string>} hex
+ */
+export async function ledgerEntryHash({ previous_hash, context_id, event_type, payload, signature }) {
+  const material = `${previous_hash}:${context_id}:${event_type}:${payload}:${signature}`;
+  return toHex(await sha256(encoder.encode(material)));
+}
+
+/**
+ * Hash of the newest entry of a context, or the genesis marker.
+ *
+ * @param {object} db - D1 binding
+ * @param {string} contextId
+ * @returns {Promise<string>}
+ */
+export async function latestLedgerHash(db, contextId) {
+  const last = await db
+    .prepare(
+      `SELECT hash FROM context_ledger WHERE context_id = ? ORDER BY rowid DESC LIMIT 1`,
+    )
+    .bind(contextId)
+    .first();
+  return last ? last.hash : LEDGER_GENESIS;
+}
+
+// ── Merkle tree (RFC 6962) ─────────────────────────────────────────────
+
+/**
+ * @param {string} entryHash
+ * @returns {Promise<Uint8Array>}
+ */
+export async function merkleLeafHash(entryHash) {
+  return sha256(concat(Uint8Array.of(0), encoder.encode(entryHash)));
+}
+
+async function nodeHash(left, right) {
+  return sha256(concat(Uint8Array.of(1), left, right));
+}
+
+function splitPoint(n) {
+  let k = 1;
+  while (k * 2 < n) k *= 2;
+  return k;
+}
+
+async function treeHash(leaves) {
+  if (leaves.length === 0) return sha256(new Uint8Array());
+  if (leaves.length === 1) return leaves[0];
+  const k = splitPoint(leaves.length);
+  return nodeHash(await treeHash(leaves.slice(0, k)), await treeHash(leaves.slice(k)));
+}
+
+async function auditPath(index, leaves) {
+  if (leaves.length <= 1) return [];
+  const k = splitPoint(leaves.length);
+  if (index < k) {
+    return [...(await auditPath(index, leaves.slice(0, k))), await treeHash(leaves.slice(k))];
+  }
+  return [...(await auditPath(index - k, leaves.slice(k))), await treeHash(leaves.slice(0, k))];
+}
+
+/**
+ * Merkle root over entry hashes, in chain order.
+ *
+ * @param {string[]} entryHashes
+ * @returns {Promise<string>} hex
+ */
+export async function merkleRoot(entryHashes) {
+  const leaves = await Promise.all(entryHashes.map(merkleLeafHash));
+  return toHex(await treeHash(leaves));
+}
+
+/**
+ * Inclusion proof for the entry at `index` in a tree over `entryHashes`.
+ *
+ * @param {string[]} entryHashes
+ * @param {number} index
+ * @returns {Promise<{ leaf_index: number, tree_size: number, leaf_hash: string, audit_path: string[], merkle_root: string }>}
+ */
+export async function merkleInclusionProof(entryHashes, index) {
+  if (!Number.isInteger(index) || index < 0 || index >= entryHashes.length) {
+    throw new RangeError(`Leaf index ${index} outside tree of size ${entryHashes.length}`);
+  }
+  const leaves = await Promise.all(entryHashes.map(merkleLeafHash));
+  return {
+    leaf_index: index,
+    tree_size: leaves.length,
+    leaf_hash: toHex(leaves[index]),
+    audit_path: (await auditPath(index, leaves)).map(toHex),
+    merkle_root: toHex(await treeHash(leaves)),
+  };
+}
+
+/**
+ * Check an inclusion proof (RFC 9162 §2.1.3.2). Needs nothing from this
+ * service: the entry hash, the proof and a trusted root are enough.
+ *
+ * @param {object} proof
+ * @param {string} proof.entry_hash
+ * @param {number} proof.leaf_index
+ * @param {number} proof.tree_size
+ * @param {string[]} proof.audit_path - hex
+ * @param {string} root - hex, e.g. as anchored in ChittyChronicle
+ * @returns {Promise<boolean>}
+ */
+export async function verifyInclusionProof(
+  { entry_hash, leaf_index, tree_size, audit_path },
+  root,
+) {
+  if (!(leaf_index >= 0 && leaf_index < tree_size)) return false;
+
+  let fn = leaf_index;
+  let sn = tree_size - 1;
+  let r = await merkleLeafHash(entry_hash);
+
+  try {
+    for (const hex of audit_path) {
+      if (sn === 0) return false;
+      const p = fromHex(hex);
+      if (fn % 2 === 1 || fn === sn) {
+        r = await nodeHash(p, r);
+        while (fn % 2 === 0 && fn !== 0) {
+          fn = Math.floor(fn / 2);
+          sn = Math.floor(sn / 2);
+        }
+      } else {
+        r = await nodeHash(r, p);
+      }
+      fn = Math.floor(fn / 2);
+      sn = Math.floor(sn / 2);
+    }
+  } catch {
+    return false;
+  }
+  return sn === 0 && toHex(r) === String(root).toLowerCase();
+}
+
+// ── Reads ─────────────────────────────────────────────────────────────
+
+function toEntry(row) {
+  let payload = row.payload;
+  try {
+    payload = JSON.parse(row.payload);
+  } catch {
+    // Leave unparseable payloads as stored
+  }
+  return { ...row, payload };
+}
+
+/**
+ * One page of entries in chain order.
+ *
+ * @param {object} env - Worker env (uses env.DB)
+ * @param {string} contextId
+ * @param {object} [opts]
+ * @param {string|number} [opts.cursor] - `next_cursor` of the previous page
+ * @param {number} [opts.limit]
+ * @returns {Promise<{ entries: object[], next_cursor: string|null }>}
+ */
+export async function listLedgerEntries(env, contextId, { cursor, limit } = {}) {
+  const after = parseInt(cursor) || 0;
+  const pageSize = Math.min(Math.max(parseInt(limit) || PAGE_LIMIT_DEFAULT, 1), PAGE_LIMIT_MAX);
+
+  const { results } = await env.DB.prepare(
+    `SELECT rowid AS seq, * FROM context_ledger
+     WHERE context_id = ? AND rowid > ?
+     ORDER BY rowid
+     LIMIT ?`,
+  )
+    .bind(contextId, after, pageSize + 1)
+    .all();
+
+  const rows = results || [];
+  const hasMore = rows.length > pageSize;
+  const page = rows.slice(0, pageSize);
+  return {
+    entries: page.map(toEntry),
+    next_cursor: hasMore ? String(page[page.length - 1].seq) : null,
+  };
+}
+
+/**
+ * Walk a context's entries in batches, in chain order.
+ */
+async function* walkEntries(env, contextId, { columns = "*", upTo = Infinity } = {}) {
+  let after = 0;
+  let seen = 0;
+  while (seen < upTo) {
+    const { results } = await env.DB.prepare(
+      `SELECT rowid AS seq, ${columns} FROM context_ledger
+       WHERE context_id = ? AND rowid > ?
+       ORDER BY rowid
+       LIMIT ?`,
+    )
+      .bind(contextId, after, Math.min(WALK_BATCH, upTo - seen))
+      .all();
+    const rows = results || [];
+    for (const row of rows) yield row;
+    if (rows.length === 0) return;
+    seen += rows.length;
+    after = rows[rows.length - 1].seq;
+  }
+}
+
+async function loadEntryHashes(env, contextId, upTo) {
+  const hashes = [];
+  for await (const row of walkEntries(env, contextId, { columns: "id, hash", upTo })) {
+    hashes.push(row.hash);
+  }
+  return hashes;
+}
+
+/**
+ * Checkpoints of a context, newest first.
+ *
+ * @param {object} env
+ * @param {string} contextId
+ * @returns {Promise<object[]>}
+ */
+export async function listCheckpoints(env, contextId) {
+  const { results } = await env.DB.prepare(
+    `SELECT * FROM context_ledger_checkpoints
+     WHERE context_id = ?
+     ORDER BY entry_count DESC`,
+  )
+    .bind(contextId)
+    .all();
+  return results || [];
+}
+
+// ── Verification ──────────────────────────────────────────────────────
+
+/**
+ * Re-walk a context's chain and report the first broken link.
+ *
+ * Every entry must point at the hash of the entry before it (the first at
+ * the genesis marker). Entries with a known hash_version also have their
+ * hash recomputed from the stored columns. Stored checkpoint roots are
+ * recomputed from the entries they cover and reported separately.
+ *
+ * @param {object} env
+ * @param {string} contextId
+ * @returns {Promise<object>} Verification report
+ */
+export async function verifyLedgerChain(env, contextId) {
+  const report = {
+    context_id: contextId,
+    valid: true,
+    entries: 0,
+    recomputed: 0,
+    link_only: 0,
+    checkpoints_checked: 0,
+    first_broken: null,
+    checkpoint_mismatches: [],
+    head_hash: null,
+  };
+  const hashes = [];
+  let previous = null;
+
+  for await (const row of walkEntries(env, contextId)) {
+    const index = report.entries++;
+    hashes.push(row.hash);
+
+    if (!report.first_broken) {
+      const linked =
+        previous === null
+          ? row.previous_hash === LEDGER_GENESIS || row.previous_hash === LEGACY_GENESIS
+          : row.previous_hash === previous;
+      if (!linked) {
+        report.first_broken = {
+          index,
+          entry_id: row.id,
+          reason: "previous_hash_mismatch",
+          expected: previous ?? LEDGER_GENESIS,
+          actual: row.previous_hash,
+        };
+      } else if (row.hash_version === HASH_VERSION_APPEND) {
+        report.recomputed++;
+        const expected = await ledgerEntryHash(row);
+        if (expected !== row.hash) {
+          report.first_broken = {
+            index,
+            entry_id: row.id,
+            reason: "hash_mismatch",
+            expected,
+            actual: row.hash,
+          };
+        }
+      } else {
+        report.link_only++;
+      }
+    }
+    previous = row.hash;
+  }
+  report.head_hash = previous;
+
+  for (const checkpoint of await listCheckpoints(env, contextId)) {
+    report.checkpoints_checked++;
+    const covered = hashes.slice(0, checkpoint.entry_count);
+    const root =
+      covered.length === checkpoint.entry_count ? await merkleRoot(covered) : null;
+    if (root !== checkpoint.merkle_root) {
+      report.checkpoint_mismatches.push({
+        checkpoint_id: checkpoint.id,
+        entry_count: checkpoint.entry_count,
+        reason: root === null ? "entries_missing" : "root_mismatch",
+        expected: checkpoint.merkle_root,
+        actual: root,
+      });
+    }
+  }
+
+  report.valid =
+    report.first_broken === null && report.checkpoint_mismatches.length === 0;
+  return report;
+}
+
+// ── Checkpoints and proofs ────────────────────────────────────────────
+
+/**
+ * POST one event to ChittyChronicle. Resolves to whether it was accepted.
+ */
+async function emitChronicle(env, eventType, data) {
+  const chronicleUrl = env.CHITTYCHRONICLE_SERVICE_URL;
+  if (!chronicleUrl) return false;
+  try {
+    const resp = await fetch(`${chronicleUrl}/events`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${env.CHITTYCONNECT_SERVICE_TOKEN}`,
+      },
+      body: JSON.stringify({
+        event_type: `ledger.${eventType}`,
+        source: "chittyconnect",
+        data,
+      }),
+    });
+    if (!resp.ok) {
+      console.warn(`[LedgerIntegrity] Chronicle returned ${resp.status} for ${eventType}`);
+    }
+    return resp.ok;
+  } catch (error) {
+    console.error(`[LedgerIntegrity] Chronicle emit failed for ${eventType}:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Record a checkpoint over every current entry of a context and anchor its
+ * root in ChittyChronicle. Returns null when the context has no entries
+ * past its latest checkpoint.
+ *
+ * @param {object} env
+ * @param {string} contextId
+ * @returns {Promise<object|null>} The checkpoint row
+ */
+export async function createCheckpoint(env, contextId) {
+  const rows = [];
+  for await (const row of walkEntries(env, contextId, { columns: "id, hash" })) {
+    rows.push(row);
+  }
+  if (rows.length === 0) return null;
+
+  const latest = await env.DB.prepare(
+    `SELECT MAX(entry_count) AS entry_count FROM context_ledger_checkpoints WHERE context_id = ?`,
+  )
+    .bind(contextId)
+    .first();
+  if ((latest?.entry_count ?? 0) >= rows.length) return null;
+
+  const last = rows[rows.length - 1];
+  const checkpoint = {
+    id: `lcp_${crypto.randomUUID()}`,
+    context_id: contextId,
+    entry_count: rows.length,
+    last_entry_id: last.id,
+    last_hash: last.hash,
+    merkle_root: await merkleRoot(rows.map((r) => r.hash)),
+    anchored_at: null,
+    created_at: new Date().toISOString(),
+  };
+
+  await env.DB.prepare(
+    `INSERT INTO context_ledger_checkpoints
+       (id, context_id, entry_count, last_entry_id, last_hash, merkle_root, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+  )
+    .bind(
+      checkpoint.id,
+      contextId,
+      checkpoint.entry_count,
+      checkpoint.last_entry_id,
+      checkpoint.last_hash,
+      checkpoint.merkle_root,
+      checkpoint.created_at,
+    )
+    .run();
+
+  const anchored = await emitChronicle(env, "checkpoint.created", {
+    checkpoint_id: checkpoint.id,
+    context_id: contextId,
+    entry_count: checkpoint.entry_count,
+    last_entry_id: checkpoint.last_entry_id,
+    last_hash: checkpoint.last_hash,
+    merkle_root: checkpoint.merkle_root,
+    algorithm: MERKLE_ALGORITHM,
+  });
+  if (anchored) {
+    checkpoint.anchored_at = new Date().toISOString();
+    await env.DB.prepare(`UPDATE context_ledger_checkpoints SET anchored_at = ? WHERE id = ?`)
+      .bind(checkpoint.anchored_at, checkpoint.id)
+      .run();
+  }
+
+  return checkpoint;
+}
+
+/**
+ * Checkpoint every context with entries past its latest checkpoint. Run
+ * from the hourly cron.
+ *
+ * @param {object} env
+ * @param {{ limit?: number }} [opts]
+ * @returns {Promise<{ checkpointed: number, failed: number }>}
+ */
+export async function checkpointLedgers(env, { limit = CHECKPOINT_SWEEP_BATCH } = {}) {
+  if (!env.DB) return { checkpointed: 0, failed: 0 };
+
+  const { results } = await env.DB.prepare(
+    `SELECT l.context_id, COUNT(*) AS entry_count
+     FROM context_ledger l
+     GROUP BY l.context_id
+     HAVING COUNT(*) > COALESCE(
+       (SELECT MAX(c.entry_count) FROM context_ledger_checkpoints c
+        WHERE c.context_id = l.context_id), 0)
+     LIMIT ?`,
+  )
+    .bind(limit)
+    .all();
+
+  let checkpointed = 0;
+  let failed = 0;
+  for (const { context_id } of results || []) {
+    try {
+      if (await createCheckpoint(env, context_id)) checkpointed++;
+    } catch (error) {
+      failed++;
+      console.error(`[LedgerIntegrity] Checkpoint failed for ${context_id}:`, error.message);
+    }
+  }
+  return { checkpointed, failed };
+}
+
+/**
+ * Inclusion proof for one entry against a checkpoint root.
+ *
+ * @param {object} env
+ * @param {string} contextId
+ * @param {string} entryId
+ * @param {object} [opts]
+ * @param {string} [opts.checkpointId] - Defaults to the latest checkpoint
+ * @returns {Promise<object>} Proof, or `{ error }` with `status`
+ */
+export async function proveLedgerEntry(env, contextId, entryId, { checkpointId } = {}) {
+  const entry = await env.DB.prepare(
+    `SELECT rowid AS seq, id, hash FROM context_ledger WHERE context_id = ? AND id = ?`,
+  )
+    .bind(contextId, entryId)
+    .first();
+  if (!entry) {
+    return { status: 404, error: "Ledger entry not found" };
+  }
+
+  const position = await env.DB.prepare(
+    `SELECT COUNT(*) AS idx FROM context_ledger WHERE context_id = ? AND rowid < ?`,
+  )
+    .bind(contextId, entry.seq)
+    .first();
+  const index = position?.idx ?? 0;
+
+  const checkpoint = checkpointId
+    ? await env.DB.prepare(
+        `SELECT * FROM context_ledger_checkpoints WHERE id = ? AND context_id = ?`,
+      )
+        .bind(checkpointId, contextId)
+        .first()
+    : await env.DB.prepare(
+        `SELECT * FROM context_ledger_checkpoints
+         WHERE context_id = ?
+         ORDER BY entry_count DESC
+         LIMIT 1`,
+      )
+        .bind(contextId)
+        .first();
+  if (!checkpoint) {
+    return {
+      status: checkpointId ? 404 : 409,
+      error: checkpointId ? "Checkpoint not found" : "Context has no checkpoint yet",
+    };
+  }
+  if (index >= checkpoint.entry_count) {
+    return {
+      status: 409,
+      error: "Entry is newer than the checkpoint; retry after the next checkpoint",
+      checkpoint_id: checkpoint.id,
+    };
+  }
+
+  const hashes = await loadEntryHashes(env, contextId, checkpoint.entry_count);
+  const proof = await merkleInclusionProof(hashes, index);
+  if (proof.merkle_root !== checkpoint.merkle_root) {
+    return {
+      status: 409,
+      error: "Ledger no longer matches the checkpoint root; run /verify",
+      checkpoint_id: checkpoint.id,
+    };
+  }
+
+  return {
+    context_id: contextId,
+    entry_id: entry.id,
+    entry_hash: entry.hash,
+    ...proof,
+    algorithm: MERKLE_ALGORITHM,
+    checkpoint: {
+      id: checkpoint.id,
+      entry_count: checkpoint.entry_count,
+      merkle_root: checkpoint.merkle_root,
+      anchored_at: checkpoint.anchored_at,
+      created_at: checkpoint.created_at,
+    },
+  };
+}
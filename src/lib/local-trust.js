@@ -0,0 +1,180 @@
+/**
+ * Local Trust Scoring
+ *
+ * Computes TY/VY/RY from data ChittyConnect already holds, for use when
+ * ChittyScore reckoning is unreachable:
+ *
+ * - TY (idenTitY): how established the identity is — interaction volume,
+ *   context ledger depth, share of signed ledger entries, and tenure.
+ * - VY (connectiVitY): how the entity behaves while engaged — behavioral
+ *   traits from context_dna (see intelligence/context-behavior.js), red
+ *   flags, and how recently it was active.
+ * - RY (authoRitY): track record — success rate and risk score from the
+ *   experience profile (see intelligence/experience-anchor.js), less a
+ *   penalty for recorded anomalies.
+ *
+ * Scores are heuristics, not a substitute for the DRL reckoning; the
+ * resolver caps the trust_level they can yield and reconciles them with
+ * ChittyScore once it answers again (see lib/trust-resolver.js).
+ *
+ * @module lib/local-trust
+ */
+
+import { ExperienceAnchor } from "../intelligence/experience-anchor.js";
+import { BEHAVIORAL_TRAITS } from "../intelligence/context-behavior.js";
+
+const DAY_SECONDS = 86400;
+const TENURE_DAYS = 180; // full TY tenure credit after ~6 months
+const RECENT_DAYS = 7; // full VY recency credit when active within a week
+const STALE_DAYS = 90; // recency credit bottoms out here
+const RED_FLAG_PENALTY = 0.1;
+const ANOMALY_PENALTY = 0.05;
+const MAX_ANOMALY_PENALTY = 0.5;
+
+function clamp01(value) {
+  if (!Number.isFinite(value)) return 0;
+  return Math.min(1, Math.max(0, value));
+}
+
+function round3(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/** 0 at none, 1 at 1000 or more. */
+function logScale(count) {
+  return clamp01(Math.log10(1 + (count || 0)) / 3);
+}
+
+function parseTraits(raw) {
+  if (!raw) return {};
+  if (typeof raw === "object") return raw;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Mean trait score with "lower is better" traits inverted, or null when
+ * no known trait has been assessed.
+ */
+function traitAlignment(traits) {
+  const scores = Object.entries(BEHAVIORAL_TRAITS)
+    .filter(([key]) => typeof traits[key] === "number")
+    .map(([key, def]) => (def.inversePositive ? 1 - traits[key] : traits[key]));
+  if (scores.length === 0) return null;
+  return scores.reduce((sum, score) => sum + score, 0) / scores.length;
+}
+
+/**
+ * Unix seconds from an INTEGER column or a timestamp string. Some columns
+ * declared INTEGER hold SQLite CURRENT_TIMESTAMP text ("YYYY-MM-DD HH:MM:SS",
+ * UTC), e.g. experience_profiles.newest_interaction.
+ */
+function toUnixSeconds(value) {
+  if (value === null || value === undefined || value === "") return null;
+  if (typeof value === "number") return Number.isFinite(value) ? value : null;
+  if (/^\d+$/.test(value)) return Number(value);
+  const iso = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(value) ? `${value.replace(" ", "T")}Z` : value;
+  const ms = Date.parse(iso);
+  return Number.isNaN(ms) ? null : Math.floor(ms / 1000);
+}
+
+function recencyFactor(lastActiveAt, now) {
+  if (!lastActiveAt) return 0.5;
+  const idleDays = (now - lastActiveAt) / DAY_SECONDS;
+  if (idleDays <= RECENT_DAYS) return 1;
+  if (idleDays >= STALE_DAYS) return 0.5;
+  return 1 - (0.5 * (idleDays - RECENT_DAYS)) / (STALE_DAYS - RECENT_DAYS);
+}
+
+async function loadBehavior(env, chittyId) {
+  return env.DB.prepare(
+    `SELECT behavioral_traits, red_flag_count, anomaly_count, success_rate
+     FROM context_dna WHERE context_chitty_id = ?`,
+  )
+    .bind(chittyId)
+    .first();
+}
+
+async function loadLedgerHistory(env, chittyId) {
+  return env.DB.prepare(
+    `SELECT COUNT(*) AS entries,
+            SUM(CASE WHEN signature IS NOT NULL THEN 1 ELSE 0 END) AS signed,
+            SUM(CASE WHEN event_type = 'anomaly' THEN 1 ELSE 0 END) AS anomalies,
+            MIN(timestamp) AS first_at,
+            MAX(timestamp) AS last_at
+     FROM context_ledger WHERE context_chitty_id = ?`,
+  )
+    .bind(chittyId)
+    .first();
+}
+
+/**
+ * Compute TY/VY/RY for an entity from local history.
+ *
+ * @param {string} chittyId
+ * @param {object} env - Needs DB; MEMORY_KV/TOKEN_KV are used for the profile cache
+ * @param {{ now?: number }} [opts] - Unix seconds, for tests
+ * @returns {Promise<{ ty: number, vy: number, ry: number, signals: object }|null>}
+ *   Null when ChittyConnect holds no history for the entity
+ */
+export async function computeLocalTrust(chittyId, env, { now = Math.floor(Date.now() / 1000) } = {}) {
+  if (!env?.DB) return null;
+
+  const [profile, behavior, ledger] = await Promise.all([
+    new ExperienceAnchor(env).loadExperienceProfile(chittyId),
+    loadBehavior(env, chittyId),
+    loadLedgerHistory(env, chittyId),
+  ]);
+  const entries = ledger?.entries || 0;
+  if (!profile && !behavior && entries === 0) return null;
+
+  const traits = parseTraits(behavior?.behavioral_traits);
+  const interactions = profile?.total_interactions || 0;
+  const signed = ledger?.signed || 0;
+  const firstSeen = toUnixSeconds(profile?.first_seen) ?? toUnixSeconds(ledger?.first_at);
+  const activity = [profile?.newest_interaction, ledger?.last_at].map(toUnixSeconds).filter((t) => t !== null);
+  const lastActive = activity.length > 0 ? Math.max(...activity) : null;
+  const redFlags = behavior?.red_flag_count || 0;
+  const anomalies = Math.max(
+    profile?.anomaly_count || 0,
+    behavior?.anomaly_count || 0,
+    ledger?.anomalies || 0,
+  );
+  const successRate = profile?.success_rate ?? behavior?.success_rate ?? 0;
+  const riskScore = profile?.risk_score ?? 50;
+
+  const tenure = firstSeen ? clamp01((now - firstSeen) / DAY_SECONDS / TENURE_DAYS) : 0;
+  const ty =
+    0.3 * logScale(interactions) +
+    0.3 * logScale(entries) +
+    0.2 * (entries > 0 ? signed / entries : 0) +
+    0.2 * tenure;
+
+  const alignment = traitAlignment(traits) ?? 0.5;
+  const vy = alignment * recencyFactor(lastActive, now) - RED_FLAG_PENALTY * redFlags;
+
+  const ry =
+    clamp01(successRate) * (1 - clamp01(riskScore / 100)) -
+    Math.min(MAX_ANOMALY_PENALTY, ANOMALY_PENALTY * anomalies);
+
+  return {
+    ty: round3(clamp01(ty)),
+    vy: round3(clamp01(vy)),
+    ry: round3(clamp01(ry)),
+    signals: {
+      interactions,
+      ledger_entries: entries,
+      signed_entries: signed,
+      first_seen: firstSeen,
+      last_active: lastActive,
+      trait_alignment: round3(alignment),
+      red_flags: redFlags,
+      anomalies,
+      success_rate: successRate,
+      risk_score: riskScore,
+    },
+  };
+}
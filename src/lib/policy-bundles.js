@@ -0,0 +1,454 @@
+/**
+ * Policy Bundles — versioned governance bundles with overlays and signatures.
+ *
+ * Base bundles are vendored under policy-bundle/<version>/bundle.json (built
+ * by scripts/build-policy-bundle.mjs) and served side by side. Overlays
+ * from D1 `policy_bundle_overlays` (migration 027) are merged at request
+ * time: entity-type overlays first, then tenant overlays.
+ *
+ * The effective bundle is identified by sha256(JSON.stringify(files)), the
+ * same hash the build script uses, so a bundle without overlays keeps its
+ * base sha. Whenever an overlay is written or deleted, the effective
+ * bundles it takes part in are snapshotted by sha so channels can diff
+ * from them later; serving a bundle never writes. Effective bundles are signed with an Ed25519 key as a detached
+ * compact JWS over policyBundleSigningInput(); the public key is served as
+ * a JWKS so clients can verify offline.
+ *
+ * @module lib/policy-bundles
+ */
+
+import * as jose from "jose";
+import v1 from "../../policy-bundle/v1/bundle.json";
+
+export const POLICY_BUNDLES = { v1 };
+export const LATEST_POLICY_VERSION = "v1";
+
+export const OVERLAY_SCOPES = ["entity_type", "tenant"];
+export const OVERLAY_MODES = ["replace", "append", "merge", "remove"];
+export const ENTITY_TYPES = ["P", "L", "T", "E", "A"];
+
+const SIGNING_ALG = "EdDSA";
+
+async function sha256Hex(input) {
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(input));
+  return [...new Uint8Array(digest)].map((b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * @param {object} files - { key: { name, content } }
+ * @returns {Promise<string>} hex
+ */
+export function bundleSha256(files) {
+  return sha256Hex(JSON.stringify(files));
+}
+
+/**
+ * ChittyID entity type (the T segment: P/L/T/E/A).
+ *
+ * @param {string} chittyId
+ * @returns {string|null}
+ */
+export function entityTypeOf(chittyId) {
+  return String(chittyId).split("-")[4] || null;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function deepMerge(base, overlay) {
+  const out = { ...base };
+  for (const [key, value] of Object.entries(overlay)) {
+    out[key] = isPlainObject(value) && isPlainObject(base[key]) ? deepMerge(base[key], value) : value;
+  }
+  return out;
+}
+
+/**
+ * Validate an overlay before it is stored.
+ *
+ * @param {object} input
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateOverlay(input) {
+  if (!input || typeof input !== "object") return "Body must be an object";
+  if (!OVERLAY_SCOPES.includes(input.scope_type)) {
+    return `scope_type must be one of ${OVERLAY_SCOPES.join(", ")}`;
+  }
+  if (!input.scope_value || typeof input.scope_value !== "string") {
+    return "scope_value is required";
+  }
+  if (input.scope_type === "entity_type" && !ENTITY_TYPES.includes(input.scope_value)) {
+    return `entity_type overlays take one of ${ENTITY_TYPES.join(", ")}`;
+  }
+  const version = input.version ?? "*";
+  if (version !== "*" && !(version in POLICY_BUNDLES)) {
+    return `Unknown bundle version: ${version}`;
+  }
+  if (!input.file_key || typeof input.file_key !== "string") return "file_key is required";
+  if (!OVERLAY_MODES.includes(input.mode)) {
+    return `mode must be one of ${OVERLAY_MODES.join(", ")}`;
+  }
+  if (input.mode !== "remove" && typeof input.content !== "string") {
+    return "content is required";
+  }
+  if (input.mode === "merge") {
+    try {
+      if (!isPlainObject(JSON.parse(input.content))) return "merge content must be a JSON object";
+    } catch {
+      return "merge content must be valid JSON";
+    }
+  }
+  return null;
+}
+
+/**
+ * Apply overlays, in order, to a copy of `files`.
+ *
+ * @param {object} files
+ * @param {object[]} overlays - policy_bundle_overlays rows
+ * @returns {object}
+ */
+export function applyOverlays(files, overlays) {
+  const out = { ...files };
+  for (const overlay of overlays) {
+    const existing = out[overlay.file_key];
+    switch (overlay.mode) {
+      case "remove":
+        delete out[overlay.file_key];
+        break;
+      case "append":
+        out[overlay.file_key] = {
+          name: existing?.name || overlay.file_name || overlay.file_key,
+          content: existing ? `${existing.content.replace(/\n?$/, "\n")}${overlay.content}` : overlay.content,
+        };
+        break;
+      case "merge": {
+        let base = {};
+        try {
+          base = existing ? JSON.parse(existing.content) : {};
+        } catch {
+          throw new Error(`Cannot merge into non-JSON file ${overlay.file_key}`);
+        }
+        out[overlay.file_key] = {
+          name: existing?.name || overlay.file_name || `${overlay.file_key}.json`,
+          content: JSON.stringify(deepMerge(base, JSON.parse(overlay.content)), null, 2),
+        };
+        break;
+      }
+      default:
+        out[overlay.file_key] = {
+          name: overlay.file_name || existing?.name || overlay.file_key,
+          content: overlay.content,
+        };
+    }
+  }
+  return out;
+}
+
+/**
+ * Overlays that apply to an entity type and tenant for a version, in
+ * application order.
+ */
+async function loadOverlays(env, { version, entityType, tenantId }) {
+  if (!env.DB) return [];
+  const scopes = [["entity_type", entityType]];
+  if (tenantId) scopes.push(["tenant", tenantId]);
+
+  const { results } = await env.DB.prepare(
+    `SELECT * FROM policy_bundle_overlays
+     WHERE version IN ('*', ?)
+       AND (${scopes.map(() => "(scope_type = ? AND scope_value = ?)").join(" OR ")})
+     ORDER BY CASE scope_type WHEN 'entity_type' THEN 0 ELSE 1 END,
+              CASE version WHEN '*' THEN 0 ELSE 1 END,
+              file_key`,
+  )
+    .bind(version, ...scopes.flat())
+    .all();
+  return results || [];
+}
+
+/**
+ * Effective bundle for a ChittyID.
+ *
+ * @param {object} env
+ * @param {object} opts
+ * @param {string} opts.chittyId
+ * @param {string} [opts.version] - Defaults to LATEST_POLICY_VERSION
+ * @param {string} [opts.tenantId]
+ * @returns {Promise<object|null>} null for an unknown version
+ */
+export async function resolvePolicyBundle(env = {}, { chittyId, version, tenantId }) {
+  const v = version || LATEST_POLICY_VERSION;
+  if (!POLICY_BUNDLES[v]) return null;
+  return buildBundle(env, { version: v, entityType: entityTypeOf(chittyId), tenantId });
+}
+
+async function buildBundle(env, { version: v, entityType, tenantId }) {
+  const base = POLICY_BUNDLES[v];
+  const overlays = await loadOverlays(env, { version: v, entityType, tenantId });
+  if (overlays.length === 0) {
+    return {
+      version: v,
+      scope: base.scope,
+      sha256: base.sha256,
+      base_sha256: base.sha256,
+      files: base.files,
+      overlays: [],
+    };
+  }
+
+  const files = applyOverlays(base.files, overlays);
+  const sha256 = await bundleSha256(files);
+
+  return {
+    version: v,
+    scope: base.scope,
+    sha256,
+    base_sha256: base.sha256,
+    files,
+    overlays: overlays.map((o) => ({
+      scope_type: o.scope_type,
+      scope_value: o.scope_value,
+      file_key: o.file_key,
+      mode: o.mode,
+      updated_at: o.updated_at,
+    })),
+  };
+}
+
+/**
+ * Snapshot every effective bundle an overlay scope takes part in: for an
+ * entity type, that type alone and with each tenant that has overlays; for
+ * a tenant, each entity type with that tenant.
+ */
+async function snapshotScope(env, { scope_type, scope_value, version }) {
+  try {
+    let combos;
+    if (scope_type === "entity_type") {
+      const { results } = await env.DB.prepare(
+        `SELECT DISTINCT scope_value FROM policy_bundle_overlays WHERE scope_type = 'tenant'`,
+      ).all();
+      combos = [null, ...(results || []).map((r) => r.scope_value)].map((tenantId) => [scope_value, tenantId]);
+    } else {
+      combos = ENTITY_TYPES.map((entityType) => [entityType, scope_value]);
+    }
+
+    const versions = version === "*" ? Object.keys(POLICY_BUNDLES) : [version];
+    for (const v of versions) {
+      for (const [entityType, tenantId] of combos) {
+        const bundle = await buildBundle(env, { version: v, entityType, tenantId });
+        if (bundle.overlays.length > 0) {
+          await saveSnapshot(env, { sha256: bundle.sha256, version: v, files: bundle.files });
+        }
+      }
+    }
+  } catch (error) {
+    console.warn("[PolicyBundles] snapshot failed:", error.message);
+  }
+}
+
+async function saveSnapshot(env, { sha256, version, files }) {
+  try {
+    await env.DB.prepare(
+      `INSERT OR IGNORE INTO policy_bundle_snapshots (sha256, version, files) VALUES (?, ?, ?)`,
+    )
+      .bind(sha256, version, JSON.stringify(files))
+      .run();
+  } catch (error) {
+    console.warn("[PolicyBundles] snapshot write failed:", error.message);
+  }
+}
+
+/**
+ * Files of a previously served bundle, by sha256.
+ *
+ * @param {object} env
+ * @param {string} sha256
+ * @returns {Promise<object|null>} { version, files }
+ */
+export async function findBundleBySha(env = {}, sha256) {
+  for (const [version, bundle] of Object.entries(POLICY_BUNDLES)) {
+    if (bundle.sha256 === sha256) return { version, files: bundle.files };
+  }
+  if (!env.DB) return null;
+  const row = await env.DB.prepare(
+    `SELECT version, files FROM policy_bundle_snapshots WHERE sha256 = ?`,
+  )
+    .bind(sha256)
+    .first();
+  return row ? { version: row.version, files: JSON.parse(row.files) } : null;
+}
+
+/**
+ * File-level diff between two bundles.
+ *
+ * @param {object} fromFiles
+ * @param {object} toFiles
+ * @returns {{ added: object, changed: object, removed: string[] }}
+ */
+export function diffBundleFiles(fromFiles, toFiles) {
+  const added = {};
+  const changed = {};
+  for (const [key, file] of Object.entries(toFiles)) {
+    if (!(key in fromFiles)) added[key] = file;
+    else if (fromFiles[key].content !== file.content || fromFiles[key].name !== file.name) {
+      changed[key] = file;
+    }
+  }
+  const removed = Object.keys(fromFiles).filter((key) => !(key in toFiles));
+  return { added, changed, removed };
+}
+
+// ── Signing ────────────────────────────────────────────────────────────
+
+/**
+ * Bytes signed for a bundle. Clients recompute sha256 over the files they
+ * received and verify the signature over this string.
+ *
+ * @param {string} version
+ * @param {string} sha256
+ * @returns {string}
+ */
+export function policyBundleSigningInput(version, sha256) {
+  return `chitty-policy-bundle:${version}:${sha256}`;
+}
+
+let signingKeyCache = null;
+
+async function signingKey(env) {
+  const raw = env.POLICY_BUNDLE_SIGNING_JWK;
+  if (!raw) return null;
+  if (signingKeyCache?.raw === raw) return signingKeyCache;
+
+  const jwk = typeof raw === "string" ? JSON.parse(raw) : raw;
+  const publicJwk = { ...jwk };
+  delete publicJwk.d;
+  signingKeyCache = {
+    raw,
+    kid: jwk.kid || "policy-bundle",
+    key: await jose.importJWK(jwk, SIGNING_ALG),
+    publicJwk: { ...publicJwk, kid: jwk.kid || "policy-bundle", alg: SIGNING_ALG, use: "sig" },
+  };
+  return signingKeyCache;
+}
+
+/**
+ * Detached compact JWS (`<protected>..<signature>`) over the bundle's
+ * signing input, or null when no signing key is configured.
+ *
+ * @param {object} env - Uses env.POLICY_BUNDLE_SIGNING_JWK (Ed25519 private JWK)
+ * @param {{ version: string, sha256: string }} bundle
+ * @returns {Promise<{ signature: string, kid: string }|null>}
+ */
+export async function signPolicyBundle(env = {}, { version, sha256 }) {
+  const signer = await signingKey(env);
+  if (!signer) return null;
+  const jws = await new jose.CompactSign(
+    new TextEncoder().encode(policyBundleSigningInput(version, sha256)),
+  )
+    .setProtectedHeader({ alg: SIGNING_ALG, kid: signer.kid })
+    .sign(signer.key);
+  const [header, , signature] = jws.split(".");
+  return { signature: `${header}..${signature}`, kid: signer.kid };
+}
+
+/**
+ * Public signing keys as a JWKS.
+ *
+ * @param {object} env
+ * @returns {Promise<{ keys: object[] }>}
+ */
+export async function policyBundleJwks(env = {}) {
+  const signer = await signingKey(env);
+  return { keys: signer ? [signer.publicJwk] : [] };
+}
+
+// ── Overlay store ──────────────────────────────────────────────────────
+
+/**
+ * @param {object} env
+ * @param {{ scopeType?: string, scopeValue?: string }} [filters]
+ * @returns {Promise<object[]>}
+ */
+export async function listOverlays(env, { scopeType, scopeValue } = {}) {
+  const where = [];
+  const values = [];
+  if (scopeType) {
+    where.push("scope_type = ?");
+    values.push(scopeType);
+  }
+  if (scopeValue) {
+    where.push("scope_value = ?");
+    values.push(scopeValue);
+  }
+  const { results } = await env.DB.prepare(
+    `SELECT * FROM policy_bundle_overlays
+     ${where.length ? `WHERE ${where.join(" AND ")}` : ""}
+     ORDER BY scope_type, scope_value, version, file_key`,
+  )
+    .bind(...values)
+    .all();
+  return results || [];
+}
+
+/**
+ * Create or replace the overlay for (scope, version, file_key).
+ *
+ * @param {object} env
+ * @param {object} input - validated with validateOverlay
+ * @param {string|null} updatedBy
+ * @returns {Promise<object>} Stored overlay
+ */
+export async function upsertOverlay(env, input, updatedBy) {
+  const id = `pbo_${crypto.randomUUID()}`;
+  await env.DB.prepare(
+    `INSERT INTO policy_bundle_overlays
+       (id, scope_type, scope_value, version, file_key, mode, file_name, content, updated_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+     ON CONFLICT(scope_type, scope_value, version, file_key) DO UPDATE SET
+       mode = excluded.mode,
+       file_name = excluded.file_name,
+       content = excluded.content,
+       updated_by = excluded.updated_by,
+       updated_at = datetime('now')`,
+  )
+    .bind(
+      id,
+      input.scope_type,
+      input.scope_value,
+      input.version ?? "*",
+      input.file_key,
+      input.mode,
+      input.file_name ?? null,
+      input.mode === "remove" ? null : input.content,
+      updatedBy,
+    )
+    .run();
+  await snapshotScope(env, { ...input, version: input.version ?? "*" });
+
+  return env.DB.prepare(
+    `SELECT * FROM policy_bundle_overlays
+     WHERE scope_type = ? AND scope_value = ? AND version = ? AND file_key = ?`,
+  )
+    .bind(input.scope_type, input.scope_value, input.version ?? "*", input.file_key)
+    .first();
+}
+
+/**
+ * @param {object} env
+ * @param {string} id
+ * @returns {Promise<boolean>} Whether a row was deleted
+ */
+export async function deleteOverlay(env, id) {
+  const overlay = await env.DB.prepare(`SELECT * FROM policy_bundle_overlays WHERE id = ?`)
+    .bind(id)
+    .first();
+  if (!overlay) return false;
+  const result = await env.DB.prepare(`DELETE FROM policy_bundle_overlays WHERE id = ?`)
+    .bind(id)
+    .run();
+  const deleted = (result?.meta?.changes ?? 0) > 0;
+  if (deleted) await snapshotScope(env, overlay);
+  return deleted;
+}
@@ -0,0 +1,144 @@
+/**
+ * Policy Evaluator — decisions for sensitive intents.
+ *
+ * Evaluates an intent (force_push, credential_retrieve, sql_write, ...) and
+ * a context object against the `rules` file of the effective policy bundle
+ * (see lib/policy-bundles.js), so tenant and entity-type overlays apply.
+ * The first rule whose `intents` include the intent and whose `when`
+ * conditions all hold decides; otherwise the file's `default` does.
+ *
+ * Per the bundle's failure_mode the evaluator fails closed: if the bundle
+ * or its rules cannot be loaded, the decision is deny with
+ * POLICY_BLOCKED_CHITTYCONNECT_UNAVAILABLE.
+ *
+ * Shared by POST /api/v1/identity/:chittyId/policy/evaluate, git-confirm
+ * and the MCP tool dispatcher.
+ *
+ * @module lib/policy-evaluator
+ */
+
+import { resolvePolicyBundle } from "./policy-bundles.js";
+import { classifySql } from "./sql-guard.js";
+
+export const POLICY_DECISIONS = ["allow", "deny", "require_confirmation"];
+
+const RULES_FILE_KEY = "rules";
+const FAIL_CLOSED_CODE = "POLICY_BLOCKED_CHITTYCONNECT_UNAVAILABLE";
+
+function conditionHolds(expected, actual) {
+  if (expected !== null && typeof expected === "object" && !Array.isArray(expected)) {
+    if ("in" in expected) return Array.isArray(expected.in) && expected.in.includes(actual);
+    if ("not" in expected) return actual !== expected.not;
+    if ("exists" in expected) return (actual !== undefined && actual !== null) === expected.exists;
+    return false;
+  }
+  return actual === expected;
+}
+
+/**
+ * Parse and sanity-check a rules file.
+ *
+ * @param {string} content - JSON text of the bundle's rules file
+ * @returns {{ default: object, rules: object[] }}
+ * @throws {Error} When the file is not a usable rule set
+ */
+export function parsePolicyRules(content) {
+  const parsed = JSON.parse(content);
+  if (!Array.isArray(parsed?.rules)) throw new Error("rules file has no rules array");
+  for (const rule of parsed.rules) {
+    if (!rule.id || !Array.isArray(rule.intents) || !POLICY_DECISIONS.includes(rule.decision)) {
+      throw new Error(`malformed rule ${rule.id ?? "(no id)"}`);
+    }
+  }
+  const fallback = parsed.default ?? { decision: "deny", reason: "No default decision" };
+  if (!POLICY_DECISIONS.includes(fallback.decision)) {
+    throw new Error("rules file has an invalid default decision");
+  }
+  return { default: fallback, rules: parsed.rules };
+}
+
+/**
+ * First matching rule for an intent, or the default.
+ *
+ * @param {{ default: object, rules: object[] }} ruleSet - from parsePolicyRules
+ * @param {string} intent
+ * @param {object} [context]
+ * @returns {{ decision: string, rule: { id: string, reason: string|null, error_code: string|null } }}
+ */
+export function matchPolicyRule(ruleSet, intent, context = {}) {
+  const rule =
+    ruleSet.rules.find(
+      (r) =>
+        r.intents.includes(intent) &&
+        Object.entries(r.when || {}).every(([field, expected]) =>
+          conditionHolds(expected, context[field]),
+        ),
+    ) ?? { id: "default", ...ruleSet.default };
+
+  return {
+    decision: rule.decision,
+    rule: {
+      id: rule.id,
+      reason: rule.reason ?? null,
+      error_code: rule.error_code ?? (rule.decision === "deny" ? "EXECUTION_DENIED_BY_POLICY" : null),
+    },
+  };
+}
+
+/**
+ * Evaluate an intent against the effective bundle.
+ *
+ * @param {object} env
+ * @param {object} opts
+ * @param {string} opts.intent
+ * @param {object} [opts.context] - Facts the rules condition on (ref_protected, via_broker, ...)
+ * @param {string} [opts.chittyId] - Selects entity-type overlays
+ * @param {string} [opts.tenantId] - Selects tenant overlays
+ * @param {string} [opts.version] - Bundle version; defaults to latest
+ * @returns {Promise<{ decision: string, intent: string, rule: object, bundle: object|null }>}
+ */
+export async function evaluatePolicy(env = {}, { intent, context = {}, chittyId, tenantId, version }) {
+  let bundle;
+  let ruleSet;
+  try {
+    bundle = await resolvePolicyBundle(env, { chittyId, version, tenantId });
+    if (!bundle) throw new Error(`Unknown bundle version: ${version}`);
+    const file = bundle.files[RULES_FILE_KEY];
+    if (!file) throw new Error("bundle has no rules file");
+    ruleSet = parsePolicyRules(file.content);
+  } catch (error) {
+    console.error("[PolicyEvaluator] rules unavailable, failing closed:", error.message);
+    return {
+      decision: "deny",
+      intent,
+      rule: { id: "failure_mode", reason: error.message, error_code: FAIL_CLOSED_CODE },
+      bundle: bundle ? { version: bundle.version, sha256: bundle.sha256 } : null,
+    };
+  }
+
+  return {
+    ...matchPolicyRule(ruleSet, intent, context),
+    intent,
+    bundle: { version: bundle.version, sha256: bundle.sha256 },
+  };
+}
+
+/**
+ * Sensitive intent for an MCP tool call, or null for tools the policy does
+ * not govern.
+ *
+ * @param {string} name - Tool name
+ * @param {object} [args]
+ * @returns {string|null}
+ */
+export function intentForTool(name, args = {}) {
+  if (name === "chitty_credential_retrieve") return "credential_retrieve";
+  if (name === "chitty_neon_query") {
+    const query = args.query || args.sql;
+    if (!query) return null;
+    const { kind } = classifySql(query);
+    if (kind === "write") return "sql_write";
+    if (kind === "ddl") return "sql_ddl";
+  }
+  return null;
+}
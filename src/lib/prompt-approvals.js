@@ -0,0 +1,277 @@
+/**
+ * Prompt Approvals — staged prompt versions for the prompt registry.
+ *
+ * When a prompt's author_gate has `requireApproval`, updates no longer go
+ * live on PUT. Each version in prompt_versions moves through
+ *   draft → pending → approved → active → superseded
+ * (or pending → rejected), and prompt_registry only ever holds the active
+ * version, so /resolve and /execute are unaffected until activation.
+ *
+ * Reviewers are assigned from the gate's allowedAuthors, minus the author,
+ * when a version is submitted. Shared by the prompt routes and the
+ * dashboard Approvals page (migration 029).
+ *
+ * @module lib/prompt-approvals
+ */
+
+export const PROMPT_VERSION_STATUSES = ["draft", "pending", "approved", "active", "superseded", "rejected"];
+
+/** Dashboard approval ids for prompt versions: pv_<prompt_versions.id> */
+export const PROMPT_APPROVAL_PREFIX = "pv_";
+
+/**
+ * @param {object} authorGate - Parsed prompt_registry.author_gate
+ * @returns {boolean}
+ */
+export function requiresApproval(authorGate) {
+  return authorGate?.requireApproval === true;
+}
+
+/**
+ * Reviewers for a version: the gate's allowed authors other than the
+ * author. Empty when the gate is open ("*") or names only the author, in
+ * which case an admin must review.
+ *
+ * @param {object} authorGate
+ * @param {string|null} authorId
+ * @returns {string[]}
+ */
+export function assignReviewers(authorGate, authorId) {
+  const allowed = Array.isArray(authorGate?.allowedAuthors) ? authorGate.allowedAuthors : [];
+  return allowed.filter((id) => id !== "*" && id !== authorId);
+}
+
+/**
+ * Whether a caller may approve or reject a pending version.
+ *
+ * @param {object} version - prompt_versions row
+ * @param {string|null} reviewerId
+ * @param {{ isAdmin?: boolean }} [opts]
+ * @returns {{ allowed: boolean, reason?: string }}
+ */
+export function checkReviewer(version, reviewerId, { isAdmin = false } = {}) {
+  if (reviewerId && reviewerId === version.created_by) {
+    return { allowed: false, reason: "Authors cannot review their own version" };
+  }
+  const reviewers = parseReviewers(version.reviewers);
+  if (isAdmin || (reviewerId && reviewers.includes(reviewerId))) {
+    return { allowed: true };
+  }
+  return {
+    allowed: false,
+    reason: reviewers.length
+      ? `Reviewer must be one of ${reviewers.join(", ")}`
+      : "No reviewers assigned; an admin must review",
+  };
+}
+
+function parseReviewers(raw) {
+  if (Array.isArray(raw)) return raw;
+  try {
+    const parsed = JSON.parse(raw || "[]");
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Next version number, counting staged versions as well as the active one.
+ *
+ * @param {object} env
+ * @param {string} promptId
+ * @returns {Promise<number>}
+ */
+export async function nextPromptVersion(env, promptId) {
+  const row = await env.DB.prepare(
+    `SELECT MAX(version) AS latest FROM prompt_versions WHERE prompt_id = ?`,
+  )
+    .bind(promptId)
+    .first();
+  return (row?.latest || 0) + 1;
+}
+
+/** Tries at numbering a new version before a conflict is an error */
+const VERSION_ATTEMPTS = 3;
+
+/**
+ * Run `write` with the next version number. A concurrent write can take
+ * the same number first; the unique prompt_versions(prompt_id, version)
+ * index then rejects ours, and `write` runs again with a fresh number.
+ *
+ * @param {object} env
+ * @param {string} promptId
+ * @param {(version: number) => Promise<T>} write - must insert the prompt_versions row
+ * @returns {Promise<T>}
+ * @template T
+ */
+export async function withNextPromptVersion(env, promptId, write) {
+  for (let attempt = 1; ; attempt++) {
+    const version = await nextPromptVersion(env, promptId);
+    try {
+      return await write(version);
+    } catch (error) {
+      const conflict = /UNIQUE constraint failed: prompt_versions/.test(error?.message || "");
+      if (!conflict || attempt >= VERSION_ATTEMPTS) throw error;
+    }
+  }
+}
+
+/**
+ * @param {object} env
+ * @param {string} promptId
+ * @param {number} version
+ * @returns {Promise<object|null>} prompt_versions row
+ */
+export async function getPromptVersion(env, promptId, version) {
+  return env.DB.prepare(`SELECT * FROM prompt_versions WHERE prompt_id = ? AND version = ?`)
+    .bind(promptId, version)
+    .first();
+}
+
+/**
+ * Look up a version by its dashboard approval id.
+ *
+ * @param {object} env
+ * @param {string} approvalId - pv_<id>
+ * @returns {Promise<object|null>}
+ */
+export async function getPromptApproval(env, approvalId) {
+  const id = Number(approvalId.slice(PROMPT_APPROVAL_PREFIX.length));
+  if (!Number.isInteger(id)) return null;
+  return env.DB.prepare(`SELECT * FROM prompt_versions WHERE id = ?`).bind(id).first();
+}
+
+/**
+ * Store a version that does not go live yet.
+ *
+ * @param {object} env
+ * @param {object} input
+ * @param {string} input.promptId
+ * @param {number} input.version
+ * @param {"draft"|"pending"} input.status
+ * @param {object} input.snapshot - { base, layers, fallback, envGate, authorGate, consumerGate, changelog, variableSchema, escapeMode } (JSON fields serialized)
+ * @param {string[]} [input.reviewers]
+ * @param {string|null} [input.createdBy]
+ */
+export async function stagePromptVersion(env, { promptId, version, status, snapshot, reviewers = [], createdBy }) {
+  await env.DB.prepare(
+    `INSERT INTO prompt_versions
+       (prompt_id, version, base, layers, fallback, env_gate, author_gate, consumer_gate, changelog, created_by,
+        status, reviewers, submitted_at, variable_schema, escape_mode)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+  )
+    .bind(
+      promptId,
+      version,
+      snapshot.base,
+      snapshot.layers,
+      snapshot.fallback,
+      snapshot.envGate,
+      snapshot.authorGate,
+      snapshot.consumerGate,
+      snapshot.changelog,
+      createdBy ?? null,
+      status,
+      JSON.stringify(reviewers),
+      status === "pending" ? new Date().toISOString() : null,
+      snapshot.variableSchema ?? "{}",
+      snapshot.escapeMode ?? "none",
+    )
+    .run();
+}
+
+/**
+ * Submit a draft for review.
+ *
+ * @returns {Promise<boolean>} False when the version was not a draft
+ */
+export async function submitPromptVersion(env, promptId, version, reviewers) {
+  const result = await env.DB.prepare(
+    `UPDATE prompt_versions
+     SET status = 'pending', reviewers = ?, submitted_at = ?
+     WHERE prompt_id = ? AND version = ? AND status = 'draft'`,
+  )
+    .bind(JSON.stringify(reviewers), new Date().toISOString(), promptId, version)
+    .run();
+  return (result?.meta?.changes ?? 0) > 0;
+}
+
+/**
+ * Approve or reject a pending version.
+ *
+ * @param {object} env
+ * @param {string} promptId
+ * @param {number} version
+ * @param {{ status: "approved"|"rejected", decidedBy?: string, notes?: string }} decision
+ * @returns {Promise<boolean>} False when the version was not pending
+ */
+export async function decidePromptVersion(env, promptId, version, { status, decidedBy, notes }) {
+  const result = await env.DB.prepare(
+    `UPDATE prompt_versions
+     SET status = ?, decided_by = ?, decided_at = ?, decision_notes = ?
+     WHERE prompt_id = ? AND version = ? AND status = 'pending'`,
+  )
+    .bind(status, decidedBy ?? null, new Date().toISOString(), notes ?? null, promptId, version)
+    .run();
+  return (result?.meta?.changes ?? 0) > 0;
+}
+
+/**
+ * Make a staged version live: copy it into prompt_registry, supersede the
+ * previously active version and mark this one active, in one batch.
+ *
+ * @param {object} env
+ * @param {object} row - prompt_versions row to activate
+ */
+export async function activatePromptVersion(env, row) {
+  const now = new Date().toISOString();
+  await env.DB.batch([
+    env.DB.prepare(
+      `UPDATE prompt_registry
+       SET version = ?, base = ?, layers = ?, fallback = ?, env_gate = ?, author_gate = ?, consumer_gate = ?,
+           updated_at = datetime('now'), changelog = ?, variable_schema = ?, escape_mode = ?
+       WHERE id = ?`,
+    ).bind(
+      row.version,
+      row.base,
+      row.layers,
+      row.fallback,
+      row.env_gate,
+      row.author_gate,
+      row.consumer_gate,
+      row.changelog,
+      row.variable_schema ?? "{}",
+      row.escape_mode ?? "none",
+      row.prompt_id,
+    ),
+    env.DB.prepare(
+      `UPDATE prompt_versions SET status = 'superseded' WHERE prompt_id = ? AND status = 'active'`,
+    ).bind(row.prompt_id),
+    env.DB.prepare(
+      `UPDATE prompt_versions SET status = 'active', activated_at = ? WHERE prompt_id = ? AND version = ?`,
+    ).bind(now, row.prompt_id, row.version),
+  ]);
+}
+
+/**
+ * Versions that went through review, for the dashboard.
+ *
+ * @param {object} env
+ * @param {{ statuses: string[], limit?: number }} opts
+ * @returns {Promise<object[]>} prompt_versions rows with the prompt's domain
+ */
+export async function listPromptApprovals(env, { statuses, limit = 50 }) {
+  const placeholders = statuses.map(() => "?").join(", ");
+  const { results } = await env.DB.prepare(
+    `SELECT v.*, r.domain
+     FROM prompt_versions v
+     JOIN prompt_registry r ON r.id = v.prompt_id
+     WHERE v.status IN (${placeholders}) AND v.submitted_at IS NOT NULL
+     ORDER BY v.submitted_at DESC
+     LIMIT ?`,
+  )
+    .bind(...statuses, limit)
+    .all();
+  return results || [];
+}
@@ -0,0 +1,413 @@
+/**
+ * Prompt Evals — offline evaluation suites for registry prompts.
+ *
+ * A suite is a list of input fixtures attached to one prompt. Each case
+ * declares the properties its output must have:
+ *   regex         — string or { pattern, flags }, must match
+ *   jsonSchema    — output must parse as JSON and satisfy the schema
+ *   mustContain   — substrings that must all appear
+ *   mustNotContain — substrings that must not appear
+ *   maxLength     — maximum output length in characters
+ *
+ * A case scores the fraction of its checks that pass; a suite passes when
+ * its average score reaches pass_threshold. Cases are rendered with the
+ * candidate version's template and run through a model chosen by the
+ * caller — the prompt's `test` env gate, or a stub that returns the case's
+ * `stub` output (or echoes the rendered prompt and input) so regressions
+ * can be caught without calling AI. Storage is migration 032.
+ *
+ * Regex checks and jsonSchema patterns are screened by lib/safe-regex.js
+ * and run against a capped slice of the output.
+ *
+ * @module lib/prompt-evals
+ */
+
+import { compileSafeRegex, safeTest, unsafeRegexReason } from "./safe-regex.js";
+
+export const EVAL_CHECKS = ["regex", "jsonSchema", "mustContain", "mustNotContain", "maxLength"];
+
+export const MAX_EVAL_CASES = 50;
+
+const JSON_SCHEMA_TYPES = ["string", "number", "integer", "boolean", "array", "object", "null"];
+
+function parseCases(raw) {
+  if (Array.isArray(raw)) return raw;
+  try {
+    const parsed = JSON.parse(raw || "[]");
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+function formatSuite(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    promptId: row.prompt_id,
+    name: row.name,
+    cases: parseCases(row.cases),
+    passThreshold: row.pass_threshold,
+    createdBy: row.created_by ?? null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function compileRegex(spec) {
+  return typeof spec === "string" ? compileSafeRegex(spec) : compileSafeRegex(spec.pattern, spec.flags || "");
+}
+
+/** First unsafe `pattern` in a JSON schema, as "path: reason", or null */
+function schemaPatternError(schema, path = "$") {
+  if (!schema || typeof schema !== "object") return null;
+  if (schema.pattern !== undefined) {
+    const reason = unsafeRegexReason(schema.pattern);
+    if (reason) return `${path}: ${reason}`;
+  }
+  if (schema.items) {
+    const error = schemaPatternError(schema.items, `${path}[]`);
+    if (error) return error;
+  }
+  for (const [key, child] of Object.entries(schema.properties || {})) {
+    const error = schemaPatternError(child, `${path}.${key}`);
+    if (error) return error;
+  }
+  return null;
+}
+
+function isStringArray(value) {
+  return Array.isArray(value) && value.every((s) => typeof s === "string");
+}
+
+function checkCase(testCase, index) {
+  const label = `cases[${index}]`;
+  if (!testCase || typeof testCase !== "object" || Array.isArray(testCase)) return `${label} must be an object`;
+  if (typeof testCase.id !== "string" || !testCase.id) return `${label}.id is required`;
+  if (testCase.input === undefined || testCase.input === null) return `${label}.input is required`;
+  if (testCase.variables !== undefined && (typeof testCase.variables !== "object" || Array.isArray(testCase.variables))) {
+    return `${label}.variables must be an object`;
+  }
+
+  const expect = testCase.expect;
+  if (!expect || typeof expect !== "object" || Array.isArray(expect)) return `${label}.expect must be an object`;
+  const keys = Object.keys(expect);
+  const unknown = keys.find((key) => !EVAL_CHECKS.includes(key));
+  if (unknown) return `${label}.expect.${unknown} is not a check; use ${EVAL_CHECKS.join(", ")}`;
+  if (!keys.length) return `${label}.expect needs at least one check`;
+
+  if (expect.regex !== undefined) {
+    if (typeof expect.regex !== "string" && typeof expect.regex?.pattern !== "string") {
+      return `${label}.expect.regex must be a pattern string or { pattern, flags }`;
+    }
+    try {
+      compileRegex(expect.regex);
+    } catch (err) {
+      return `${label}.expect.regex is invalid: ${err.message}`;
+    }
+  }
+  for (const key of ["mustContain", "mustNotContain"]) {
+    if (expect[key] !== undefined && !isStringArray(expect[key])) return `${label}.expect.${key} must be an array of strings`;
+  }
+  if (expect.maxLength !== undefined && !(Number.isInteger(expect.maxLength) && expect.maxLength > 0)) {
+    return `${label}.expect.maxLength must be a positive integer`;
+  }
+  if (expect.jsonSchema !== undefined) {
+    if (typeof expect.jsonSchema !== "object" || expect.jsonSchema === null) {
+      return `${label}.expect.jsonSchema must be an object`;
+    }
+    const patternError = schemaPatternError(expect.jsonSchema);
+    if (patternError) return `${label}.expect.jsonSchema has an unsafe pattern at ${patternError}`;
+  }
+  return null;
+}
+
+/**
+ * @param {object} input - { name, cases, passThreshold? }
+ * @param {{ partial?: boolean }} [opts] - partial: fields are optional (updates)
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateEvalSuite(input, { partial = false } = {}) {
+  if (!input || typeof input !== "object") return "body must be an object";
+  if ((!partial || input.name !== undefined) && (typeof input.name !== "string" || !input.name.trim())) {
+    return "name is required";
+  }
+  if (!partial || input.cases !== undefined) {
+    if (!Array.isArray(input.cases) || input.cases.length === 0) return "cases must be a non-empty array";
+    if (input.cases.length > MAX_EVAL_CASES) return `A suite holds at most ${MAX_EVAL_CASES} cases`;
+    const ids = new Set();
+    for (const [index, testCase] of input.cases.entries()) {
+      const invalid = checkCase(testCase, index);
+      if (invalid) return invalid;
+      if (ids.has(testCase.id)) return `Case ${testCase.id} appears twice`;
+      ids.add(testCase.id);
+    }
+  }
+  if (
+    input.passThreshold !== undefined &&
+    !(typeof input.passThreshold === "number" && input.passThreshold >= 0 && input.passThreshold <= 1)
+  ) {
+    return "passThreshold must be between 0 and 1";
+  }
+  return null;
+}
+
+function jsonType(value) {
+  if (Array.isArray(value)) return "array";
+  if (value === null) return "null";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+/**
+ * Check a value against the commonly used subset of JSON Schema: type,
+ * enum, const, required, properties, additionalProperties: false, items,
+ * min/maxItems, min/maxLength, pattern and minimum/maximum. Unsupported
+ * keywords are ignored.
+ *
+ * @param {*} value
+ * @param {object} schema
+ * @param {string} [path]
+ * @returns {string[]} Errors, empty when the value conforms
+ */
+export function validateJsonSchema(value, schema, path = "$") {
+  const errors = [];
+  const actual = jsonType(value);
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const matches = types.some((type) =>
+      JSON_SCHEMA_TYPES.includes(type) && (type === actual || (type === "number" && actual === "integer")),
+    );
+    if (!matches) return [`${path} must be ${types.join(" or ")}, got ${actual}`];
+  }
+  if (Array.isArray(schema.enum) && !schema.enum.some((option) => JSON.stringify(option) === JSON.stringify(value))) {
+    errors.push(`${path} must be one of ${schema.enum.map((o) => JSON.stringify(o)).join(", ")}`);
+  }
+  if (schema.const !== undefined && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+    errors.push(`${path} must equal ${JSON.stringify(schema.const)}`);
+  }
+
+  if (actual === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${path} is shorter than ${schema.minLength}`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${path} is longer than ${schema.maxLength}`);
+    if (typeof schema.pattern === "string") {
+      const unsafe = unsafeRegexReason(schema.pattern);
+      if (unsafe) errors.push(`${path} pattern ${schema.pattern} was not run: ${unsafe}`);
+      else if (!safeTest(new RegExp(schema.pattern), value)) errors.push(`${path} does not match ${schema.pattern}`);
+    }
+  }
+  if (actual === "number" || actual === "integer") {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} is below ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path} is above ${schema.maximum}`);
+  }
+  if (actual === "array") {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${path} has fewer than ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${path} has more than ${schema.maxItems} items`);
+    if (schema.items && typeof schema.items === "object") {
+      value.forEach((item, i) => errors.push(...validateJsonSchema(item, schema.items, `${path}[${i}]`)));
+    }
+  }
+  if (actual === "object") {
+    for (const key of Array.isArray(schema.required) ? schema.required : []) {
+      if (!(key in value)) errors.push(`${path}.${key} is required`);
+    }
+    const properties = schema.properties || {};
+    for (const [key, child] of Object.entries(value)) {
+      if (properties[key]) {
+        errors.push(...validateJsonSchema(child, properties[key], `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key} is not allowed`);
+      }
+    }
+  }
+  return errors;
+}
+
+/**
+ * Score an output against a case's expectations.
+ *
+ * @param {string} output
+ * @param {object} expect - The case's `expect`
+ * @returns {{ score: number, passed: boolean, checks: Array<{ check: string, passed: boolean, detail?: string }> }}
+ */
+export function checkExpectations(output, expect) {
+  const text = typeof output === "string" ? output : JSON.stringify(output ?? "");
+  const checks = [];
+
+  if (expect.regex !== undefined) {
+    let re = null;
+    try {
+      re = compileRegex(expect.regex);
+    } catch (err) {
+      checks.push({ check: "regex", passed: false, detail: err.message });
+    }
+    if (re) {
+      const passed = safeTest(re, text);
+      checks.push({ check: "regex", passed, ...(!passed && { detail: `does not match ${re}` }) });
+    }
+  }
+  if (expect.jsonSchema !== undefined) {
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch {
+      checks.push({ check: "jsonSchema", passed: false, detail: "output is not JSON" });
+    }
+    if (parsed !== undefined) {
+      const errors = validateJsonSchema(parsed, expect.jsonSchema);
+      checks.push({ check: "jsonSchema", passed: errors.length === 0, ...(errors.length && { detail: errors.join("; ") }) });
+    }
+  }
+  for (const needle of expect.mustContain || []) {
+    const passed = text.includes(needle);
+    checks.push({ check: "mustContain", passed, ...(!passed && { detail: `missing ${JSON.stringify(needle)}` }) });
+  }
+  for (const needle of expect.mustNotContain || []) {
+    const passed = !text.includes(needle);
+    checks.push({ check: "mustNotContain", passed, ...(!passed && { detail: `contains ${JSON.stringify(needle)}` }) });
+  }
+  if (expect.maxLength !== undefined) {
+    const passed = text.length <= expect.maxLength;
+    checks.push({ check: "maxLength", passed, ...(!passed && { detail: `${text.length} > ${expect.maxLength}` }) });
+  }
+
+  const passedCount = checks.filter((check) => check.passed).length;
+  const score = checks.length ? passedCount / checks.length : 0;
+  return { score, passed: checks.length > 0 && passedCount === checks.length, checks };
+}
+
+/**
+ * The stub model: the case's recorded `stub` output when it has one,
+ * otherwise the rendered prompt followed by the input, so template
+ * regressions show up in mustContain/regex checks.
+ *
+ * @param {string} systemPrompt
+ * @param {object} testCase
+ * @returns {string}
+ */
+export function stubModel(systemPrompt, testCase) {
+  if (testCase.stub !== undefined) {
+    return typeof testCase.stub === "string" ? testCase.stub : JSON.stringify(testCase.stub);
+  }
+  const input = typeof testCase.input === "string" ? testCase.input : JSON.stringify(testCase.input);
+  return `${systemPrompt}\n\n${input}`;
+}
+
+/**
+ * Run every case in a suite.
+ *
+ * @param {object} suite - Formatted suite
+ * @param {object} runner
+ * @param {(variables: object) => Promise<{ output: string, layers: string[] }>} runner.compose - Render the candidate
+ * @param {(systemPrompt: string, testCase: object) => Promise<string>} runner.generate - Model call
+ * @returns {Promise<{ suiteId: string, name: string, score: number, passed: boolean, cases: object[] }>}
+ */
+export async function runEvalSuite(suite, { compose, generate }) {
+  const cases = [];
+  for (const testCase of suite.cases) {
+    const startMs = Date.now();
+    let result;
+    try {
+      const composed = await compose(testCase.variables || {});
+      const output = await generate(composed.output, testCase);
+      result = { ...checkExpectations(output, testCase.expect), output, layers: composed.layers, error: null };
+    } catch (err) {
+      result = { score: 0, passed: false, checks: [], output: null, layers: [], error: err.message };
+    }
+    cases.push({ caseId: testCase.id, input: testCase.input, latencyMs: Date.now() - startMs, ...result });
+  }
+
+  const score = cases.length ? cases.reduce((sum, c) => sum + c.score, 0) / cases.length : 0;
+  return {
+    suiteId: suite.id,
+    name: suite.name,
+    score: Math.round(score * 1000) / 1000,
+    passed: score >= suite.passThreshold,
+    cases,
+  };
+}
+
+/**
+ * @param {object} env
+ * @param {string} promptId
+ * @param {object} input - Validated { name, cases, passThreshold? }
+ * @param {string|null} createdBy
+ * @returns {Promise<{ suite?: object, status?: number, error?: string }>}
+ */
+export async function createEvalSuite(env, promptId, input, createdBy) {
+  const existing = await env.DB.prepare(`SELECT id FROM prompt_eval_suites WHERE prompt_id = ? AND name = ?`)
+    .bind(promptId, input.name)
+    .first();
+  if (existing) return { status: 409, error: `Suite ${input.name} already exists (${existing.id})` };
+
+  const now = new Date().toISOString();
+  const row = {
+    id: `pes_${crypto.randomUUID()}`,
+    prompt_id: promptId,
+    name: input.name,
+    cases: JSON.stringify(input.cases),
+    pass_threshold: input.passThreshold ?? 1,
+    created_by: createdBy ?? null,
+    created_at: now,
+    updated_at: now,
+  };
+  await env.DB.prepare(
+    `INSERT INTO prompt_eval_suites (id, prompt_id, name, cases, pass_threshold, created_by, created_at, updated_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+  )
+    .bind(row.id, row.prompt_id, row.name, row.cases, row.pass_threshold, row.created_by, row.created_at, row.updated_at)
+    .run();
+  return { suite: formatSuite(row) };
+}
+
+/**
+ * Replace a suite's name, cases or threshold.
+ *
+ * @param {object} env
+ * @param {object} suite - Formatted suite
+ * @param {object} input - Validated partial { name?, cases?, passThreshold? }
+ * @returns {Promise<object>} The updated suite
+ */
+export async function updateEvalSuite(env, suite, input) {
+  const updated = {
+    ...suite,
+    name: input.name ?? suite.name,
+    cases: input.cases ?? suite.cases,
+    passThreshold: input.passThreshold ?? suite.passThreshold,
+    updatedAt: new Date().toISOString(),
+  };
+  await env.DB.prepare(
+    `UPDATE prompt_eval_suites SET name = ?, cases = ?, pass_threshold = ?, updated_at = ? WHERE id = ?`,
+  )
+    .bind(updated.name, JSON.stringify(updated.cases), updated.passThreshold, updated.updatedAt, suite.id)
+    .run();
+  return updated;
+}
+
+/**
+ * @param {object} env
+ * @param {string} promptId
+ * @returns {Promise<object[]>}
+ */
+export async function listEvalSuites(env, promptId) {
+  const { results } = await env.DB.prepare(
+    `SELECT * FROM prompt_eval_suites WHERE prompt_id = ? ORDER BY created_at ASC`,
+  )
+    .bind(promptId)
+    .all();
+  return (results || []).map(formatSuite);
+}
+
+/**
+ * @param {object} env
+ * @param {string} promptId
+ * @param {string} suiteId
+ * @returns {Promise<object|null>}
+ */
+export async function getEvalSuite(env, promptId, suiteId) {
+  const row = await env.DB.prepare(`SELECT * FROM prompt_eval_suites WHERE id = ? AND prompt_id = ?`)
+    .bind(suiteId, promptId)
+    .first();
+  return formatSuite(row);
+}
@@ -0,0 +1,437 @@
+/**
+ * Prompt Rollouts — A/B splits and canary rollouts between prompt versions.
+ *
+ * A rollout splits /resolve and /execute traffic for one prompt between
+ * versions by weight, scoped to an environment and consumer service ('*'
+ * matches any; the most specific active rollout wins). Consumers land in
+ * a sticky bucket derived from the rollout id and their consumer ID, so a
+ * consumer keeps seeing the same version for the life of the rollout.
+ *
+ * Executions served by a rollout record its id, and the same per-version
+ * quality and error stats that /:id/drift reports decide the outcome:
+ * a candidate that errors too often or loses too much quality against the
+ * control rolls the split back (re-activating the control). Once the
+ * control and every candidate have enough traffic, the best candidate is
+ * promoted (activated in prompt_registry), but only on rated executions
+ * and only if it is rated at least as well as the control. Rollouts with
+ * auto_decide are evaluated by the 5-minute cron (migration 030).
+ *
+ * Only reviewed versions (approved, active or superseded) can take part,
+ * so a rollout cannot bypass authorGate.requireApproval.
+ *
+ * @module lib/prompt-rollouts
+ */
+
+import { getPromptVersion, activatePromptVersion } from "./prompt-approvals.js";
+
+export const ROLLOUT_STATUSES = ["active", "promoted", "rolled_back", "cancelled"];
+
+const ROLLOUT_VERSION_STATUSES = ["approved", "active", "superseded"];
+
+const ROLLOUT_DEFAULTS = {
+  minExecutions: 50,
+  maxErrorRate: 0.05,
+  maxQualityDrop: 0.05,
+};
+
+/** Rated executions each side needs before quality can justify a promotion */
+const MIN_RATED_EXECUTIONS = 10;
+
+function parseVariants(raw) {
+  if (Array.isArray(raw)) return raw;
+  try {
+    const parsed = JSON.parse(raw || "[]");
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+function formatRollout(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    promptId: row.prompt_id,
+    environment: row.environment,
+    consumerService: row.consumer_service,
+    controlVersion: row.control_version,
+    variants: parseVariants(row.variants),
+    status: row.status,
+    autoDecide: row.auto_decide === 1 || row.auto_decide === true,
+    minExecutions: row.min_executions,
+    maxErrorRate: row.max_error_rate,
+    maxQualityDrop: row.max_quality_drop,
+    decidedVersion: row.decided_version ?? null,
+    decisionReason: row.decision_reason ?? null,
+    decidedBy: row.decided_by ?? null,
+    decidedAt: row.decided_at ?? null,
+    createdBy: row.created_by ?? null,
+    createdAt: row.created_at,
+  };
+}
+
+/**
+ * @param {object} input - { variants, controlVersion?, environment?, consumerService?, minExecutions?, maxErrorRate?, maxQualityDrop? }
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateRollout(input) {
+  const variants = input?.variants;
+  if (!Array.isArray(variants) || variants.length < 2) {
+    return "variants must list at least two { version, weight } entries";
+  }
+  const seen = new Set();
+  for (const variant of variants) {
+    if (!Number.isInteger(variant?.version) || variant.version < 1) {
+      return "variant version must be a positive integer";
+    }
+    if (!Number.isInteger(variant.weight) || variant.weight < 0 || variant.weight > 100) {
+      return "variant weight must be an integer between 0 and 100";
+    }
+    if (seen.has(variant.version)) return `version ${variant.version} is listed twice`;
+    seen.add(variant.version);
+  }
+  if (variants.reduce((sum, v) => sum + v.weight, 0) !== 100) {
+    return "variant weights must sum to 100";
+  }
+  if (input.controlVersion !== undefined && !seen.has(input.controlVersion)) {
+    return "controlVersion must be one of the variants";
+  }
+  for (const field of ["environment", "consumerService"]) {
+    if (input[field] !== undefined && (typeof input[field] !== "string" || !input[field])) {
+      return `${field} must be a non-empty string`;
+    }
+  }
+  if (input.minExecutions !== undefined && (!Number.isInteger(input.minExecutions) || input.minExecutions < 1)) {
+    return "minExecutions must be a positive integer";
+  }
+  for (const field of ["maxErrorRate", "maxQualityDrop"]) {
+    const value = input[field];
+    if (value !== undefined && (typeof value !== "number" || value < 0 || value > 1)) {
+      return `${field} must be between 0 and 1`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Start a rollout. The control defaults to the prompt's active version.
+ *
+ * @param {object} env
+ * @param {object} prompt - prompt_registry row
+ * @param {object} input - Validated with validateRollout
+ * @param {string|null} createdBy
+ * @returns {Promise<{ rollout: object }|{ status: number, error: string }>}
+ */
+export async function createRollout(env, prompt, input, createdBy) {
+  const controlVersion = input.controlVersion ?? prompt.version;
+  if (!input.variants.some((v) => v.version === controlVersion)) {
+    return { status: 400, error: `Active version ${controlVersion} must be a variant, or set controlVersion` };
+  }
+  for (const { version } of input.variants) {
+    const row = await getPromptVersion(env, prompt.id, version);
+    if (!row) return { status: 404, error: `Version ${version} not found` };
+    if (!ROLLOUT_VERSION_STATUSES.includes(row.status || "active")) {
+      return { status: 409, error: `Version ${version} is ${row.status}; only reviewed versions can be rolled out` };
+    }
+  }
+
+  const environment = input.environment || "*";
+  const consumerService = input.consumerService || "*";
+  const existing = await env.DB.prepare(
+    `SELECT id FROM prompt_rollouts
+     WHERE prompt_id = ? AND environment = ? AND consumer_service = ? AND status = 'active'`,
+  )
+    .bind(prompt.id, environment, consumerService)
+    .first();
+  if (existing) {
+    return { status: 409, error: `Rollout ${existing.id} is already active for this environment and consumer service` };
+  }
+
+  const row = {
+    id: `pro_${crypto.randomUUID()}`,
+    prompt_id: prompt.id,
+    environment,
+    consumer_service: consumerService,
+    control_version: controlVersion,
+    variants: JSON.stringify(input.variants.map(({ version, weight }) => ({ version, weight }))),
+    status: "active",
+    auto_decide: input.autoDecide === false ? 0 : 1,
+    min_executions: input.minExecutions ?? ROLLOUT_DEFAULTS.minExecutions,
+    max_error_rate: input.maxErrorRate ?? ROLLOUT_DEFAULTS.maxErrorRate,
+    max_quality_drop: input.maxQualityDrop ?? ROLLOUT_DEFAULTS.maxQualityDrop,
+    created_by: createdBy ?? null,
+    created_at: new Date().toISOString(),
+  };
+  await env.DB.prepare(
+    `INSERT INTO prompt_rollouts
+       (id, prompt_id, environment, consumer_service, control_version, variants, status, auto_decide,
+        min_executions, max_error_rate, max_quality_drop, created_by, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+  )
+    .bind(
+      row.id,
+      row.prompt_id,
+      row.environment,
+      row.consumer_service,
+      row.control_version,
+      row.variants,
+      row.status,
+      row.auto_decide,
+      row.min_executions,
+      row.max_error_rate,
+      row.max_quality_drop,
+      row.created_by,
+      row.created_at,
+    )
+    .run();
+  return { rollout: formatRollout(row) };
+}
+
+/**
+ * @param {object} env
+ * @param {string} promptId
+ * @param {{ status?: string }} [opts]
+ * @returns {Promise<object[]>}
+ */
+export async function listRollouts(env, promptId, { status } = {}) {
+  const { results } = await env.DB.prepare(
+    `SELECT * FROM prompt_rollouts
+     WHERE prompt_id = ?${status ? " AND status = ?" : ""}
+     ORDER BY created_at DESC`,
+  )
+    .bind(...(status ? [promptId, status] : [promptId]))
+    .all();
+  return (results || []).map(formatRollout);
+}
+
+/**
+ * @param {object} env
+ * @param {string} promptId
+ * @param {string} rolloutId
+ * @returns {Promise<object|null>}
+ */
+export async function getRollout(env, promptId, rolloutId) {
+  const row = await env.DB.prepare(`SELECT * FROM prompt_rollouts WHERE id = ? AND prompt_id = ?`)
+    .bind(rolloutId, promptId)
+    .first();
+  return formatRollout(row);
+}
+
+/**
+ * Sticky bucket 0-99 for a consumer within a rollout.
+ *
+ * @param {string} rolloutId
+ * @param {string} consumerKey - Consumer ID, or the consumer service when anonymous
+ * @returns {Promise<number>}
+ */
+export async function assignBucket(rolloutId, consumerKey) {
+  const digest = await crypto.subtle.digest(
+    "SHA-256",
+    new TextEncoder().encode(`${rolloutId}:${consumerKey}`),
+  );
+  return new DataView(digest).getUint32(0) % 100;
+}
+
+/**
+ * Pick the version a consumer should get, or null when no rollout applies
+ * and the registry's active version should be served.
+ *
+ * @param {object} env
+ * @param {object} prompt - prompt_registry row
+ * @param {{ environment: string, consumerService: string, consumerId?: string|null }} consumer
+ * @returns {Promise<{ rolloutId: string, version: object }|null>} version is the prompt_versions row
+ */
+export async function selectPromptVariant(env, prompt, { environment, consumerService, consumerId }) {
+  const { results } = await env.DB.prepare(
+    `SELECT * FROM prompt_rollouts
+     WHERE prompt_id = ? AND status = 'active'
+       AND environment IN (?, '*') AND consumer_service IN (?, '*')
+     ORDER BY (environment != '*') + (consumer_service != '*') DESC, created_at DESC
+     LIMIT 1`,
+  )
+    .bind(prompt.id, environment, consumerService)
+    .all();
+  const rollout = results?.[0];
+  if (!rollout) return null;
+
+  const bucket = await assignBucket(rollout.id, consumerId || consumerService);
+  let cumulative = 0;
+  const variant = parseVariants(rollout.variants).find((v) => (cumulative += v.weight) > bucket);
+  if (!variant) return null;
+
+  const version = await getPromptVersion(env, prompt.id, variant.version);
+  if (!version) return null;
+  return { rolloutId: rollout.id, version };
+}
+
+/**
+ * Per-version execution stats, as reported by /:id/drift. Scoped to a
+ * rollout's traffic, or to the last `days` days. Eval-suite runs (quality
+ * source "auto_eval", scored against the stub model) are not live traffic
+ * and are left out.
+ *
+ * @param {object} env
+ * @param {string} promptId
+ * @param {{ days?: number, rolloutId?: string }} opts
+ * @returns {Promise<object[]>}
+ */
+export async function promptVersionStats(env, promptId, { days = 30, rolloutId } = {}) {
+  const scope = rolloutId
+    ? "rollout_id = ?"
+    : "created_at >= datetime('now', '-' || ? || ' days')";
+  const { results } = await env.DB.prepare(
+    `SELECT
+       prompt_version,
+       COUNT(*) as executions,
+       AVG(output_quality) as avg_quality,
+       MIN(output_quality) as min_quality,
+       MAX(output_quality) as max_quality,
+       COUNT(CASE WHEN output_quality IS NOT NULL THEN 1 END) as rated_count,
+       COUNT(CASE WHEN error IS NOT NULL THEN 1 END) as error_count
+     FROM prompt_executions
+     WHERE prompt_id = ? AND ${scope}
+       AND (quality_source IS NULL OR quality_source != 'auto_eval')
+     GROUP BY prompt_version
+     ORDER BY prompt_version DESC`,
+  )
+    .bind(promptId, rolloutId ?? days)
+    .all();
+  return results || [];
+}
+
+/**
+ * Decide a rollout from its stats. Error-budget and quality breaches roll
+ * back as soon as they show; promotion waits for minExecutions on the
+ * control and every candidate, MIN_RATED_EXECUTIONS rated executions on
+ * both sides, and a candidate rated no worse than the control.
+ *
+ * @param {object} rollout - formatted rollout
+ * @param {object[]} stats - from promptVersionStats
+ * @returns {{ action: "promote"|"rollback"|"hold", version?: number, reason: string }}
+ */
+export function decideRollout(rollout, stats) {
+  const byVersion = new Map(stats.map((s) => [s.prompt_version, s]));
+  const control = byVersion.get(rollout.controlVersion);
+  const candidates = rollout.variants.filter((v) => v.version !== rollout.controlVersion && v.weight > 0);
+  const rated = (s) => s?.avg_quality != null && (s.rated_count ?? 0) >= MIN_RATED_EXECUTIONS;
+
+  const ready = [];
+  for (const { version } of candidates) {
+    const s = byVersion.get(version);
+    if (!s || s.executions < rollout.minExecutions) continue;
+
+    const errorRate = s.error_count / s.executions;
+    if (errorRate > rollout.maxErrorRate) {
+      return {
+        action: "rollback",
+        version: rollout.controlVersion,
+        reason: `v${version} error rate ${errorRate.toFixed(3)} exceeds ${rollout.maxErrorRate}`,
+      };
+    }
+    if (rated(s) && rated(control) && s.avg_quality < control.avg_quality - rollout.maxQualityDrop) {
+      return {
+        action: "rollback",
+        version: rollout.controlVersion,
+        reason: `v${version} quality ${s.avg_quality.toFixed(3)} is below control ${control.avg_quality.toFixed(3)}`,
+      };
+    }
+    ready.push(s);
+  }
+
+  if (candidates.length === 0 || ready.length < candidates.length) {
+    return { action: "hold", reason: `Waiting for ${rollout.minExecutions} executions per candidate` };
+  }
+  if (!control || control.executions < rollout.minExecutions) {
+    return { action: "hold", reason: `Waiting for ${rollout.minExecutions} control executions` };
+  }
+  if (!rated(control) || !ready.some(rated)) {
+    return { action: "hold", reason: `Waiting for ${MIN_RATED_EXECUTIONS} rated executions on the control and a candidate` };
+  }
+
+  const best = ready.filter(rated).sort((a, b) => b.avg_quality - a.avg_quality)[0];
+  if (best.avg_quality < control.avg_quality) {
+    return {
+      action: "hold",
+      reason: `Best candidate v${best.prompt_version} quality ${best.avg_quality.toFixed(3)} is below control ${control.avg_quality.toFixed(3)}`,
+    };
+  }
+  return {
+    action: "promote",
+    version: best.prompt_version,
+    reason: `v${best.prompt_version} quality ${best.avg_quality.toFixed(3)} matched or beat control ${control.avg_quality.toFixed(3)} over ${best.executions} executions`,
+  };
+}
+
+/**
+ * End an active rollout. Promotion activates the chosen version; rolling
+ * back re-activates it (the control) if something else went active since.
+ *
+ * @param {object} env
+ * @param {object} rollout - formatted rollout
+ * @param {{ status: "promoted"|"rolled_back"|"cancelled", version?: number, reason?: string, decidedBy?: string }} decision
+ * @returns {Promise<boolean>} False when the rollout was no longer active
+ */
+export async function endRollout(env, rollout, { status, version, reason, decidedBy }) {
+  const result = await env.DB.prepare(
+    `UPDATE prompt_rollouts
+     SET status = ?, decided_version = ?, decision_reason = ?, decided_by = ?, decided_at = ?
+     WHERE id = ? AND status = 'active'`,
+  )
+    .bind(status, version ?? null, reason ?? null, decidedBy ?? null, new Date().toISOString(), rollout.id)
+    .run();
+  if ((result?.meta?.changes ?? 0) === 0) return false;
+
+  if ((status === "promoted" || status === "rolled_back") && version != null) {
+    const row = await getPromptVersion(env, rollout.promptId, version);
+    if (row && row.status !== "active") await activatePromptVersion(env, row);
+  }
+  return true;
+}
+
+/**
+ * Evaluate one rollout and apply the decision.
+ *
+ * @param {object} env
+ * @param {object} rollout - formatted rollout
+ * @returns {Promise<{ action: string, version?: number, reason: string, stats: object[] }>}
+ */
+export async function evaluateRollout(env, rollout) {
+  const stats = await promptVersionStats(env, rollout.promptId, { rolloutId: rollout.id });
+  const decision = decideRollout(rollout, stats);
+  if (decision.action !== "hold") {
+    const applied = await endRollout(env, rollout, {
+      status: decision.action === "promote" ? "promoted" : "rolled_back",
+      version: decision.version,
+      reason: decision.reason,
+      decidedBy: "auto",
+    });
+    if (!applied) return { action: "hold", reason: "Rollout is no longer active", stats };
+  }
+  return { ...decision, stats };
+}
+
+/**
+ * Cron sweep over active auto-decided rollouts.
+ *
+ * @param {object} env
+ * @returns {Promise<{ evaluated: number, promoted: number, rolledBack: number }>}
+ */
+export async function evaluatePromptRollouts(env) {
+  const summary = { evaluated: 0, promoted: 0, rolledBack: 0 };
+  if (!env.DB) return summary;
+
+  const { results } = await env.DB.prepare(
+    `SELECT * FROM prompt_rollouts WHERE status = 'active' AND auto_decide = 1 ORDER BY created_at LIMIT 100`,
+  ).all();
+  for (const row of results || []) {
+    try {
+      const { action } = await evaluateRollout(env, formatRollout(row));
+      summary.evaluated++;
+      if (action === "promote") summary.promoted++;
+      if (action === "rollback") summary.rolledBack++;
+    } catch (err) {
+      console.error(`[PromptRollouts] Evaluation failed for ${row.id}:`, err.message);
+    }
+  }
+  return summary;
+}
@@ -0,0 +1,358 @@
+/**
+ * Prompt Template Engine
+ *
+ * Renders prompt registry bases and layers. Syntax:
+ *
+ *   {{name}} {{a.b}}          value, escaped per the prompt's escape mode
+ *   {{{name}}}                value, never escaped
+ *   {{#if x}}…{{else}}…{{/if}}, {{#unless x}}…{{/unless}}
+ *   {{#each items}}…{{else}}…{{/each}} — inside: {{this}}, {{this.f}} or
+ *                             {{f}}, {{@index}}, {{@first}}, {{@last}}
+ *   {{> prompt.id}}           partial: another prompt's active base
+ *   {{> prompt.id@3}}         partial pinned to a registry version
+ *   {{! comment }}            dropped
+ *   \{{                       a literal "{{"
+ *
+ * Values are inserted, never re-parsed, so variable content cannot inject
+ * template syntax. A variable that is neither supplied nor declared
+ * optional in the prompt's schema is an error rather than leaking
+ * `{{name}}` into the output.
+ *
+ * Variable schemas map names to { type, required?, default?, enum?,
+ * description? } with type string | number | boolean | array | object.
+ *
+ * @module lib/prompt-template
+ */
+
+export const ESCAPE_MODES = ["none", "xml", "json"];
+export const VARIABLE_TYPES = ["string", "number", "boolean", "array", "object"];
+
+const MAX_PARTIAL_DEPTH = 5;
+const TAG_RE = /\\\{\{|\{\{\{\s*([\s\S]*?)\s*\}\}\}|\{\{\s*([\s\S]*?)\s*\}\}/g;
+const PATH_RE = /^(?:this|@index|@first|@last|[A-Za-z_][\w-]*)(?:\.[A-Za-z_][\w-]*)*$/;
+const PARTIAL_RE = /^([A-Za-z0-9_.:-]+?)(?:@(\d+))?$/;
+
+export class TemplateError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = "TemplateError";
+    Object.assign(this, details);
+  }
+}
+
+// ── Parsing ─────────────────────────────────────────────────
+
+function checkPath(path, offset) {
+  if (!PATH_RE.test(path)) {
+    throw new TemplateError(`Invalid expression "${path}" at ${offset}`, { code: "TEMPLATE_SYNTAX" });
+  }
+  return path;
+}
+
+/**
+ * Parse a template into a node tree.
+ *
+ * @param {string} source
+ * @returns {object[]} nodes
+ * @throws {TemplateError} code TEMPLATE_SYNTAX on malformed tags or unbalanced blocks
+ */
+export function parseTemplate(source) {
+  const root = { children: [] };
+  const stack = [root];
+  const top = () => stack[stack.length - 1];
+  const append = (node) => (top().inElse ? top().elseChildren : top().children).push(node);
+
+  let last = 0;
+  for (const match of String(source ?? "").matchAll(TAG_RE)) {
+    if (match.index > last) append({ type: "text", value: source.slice(last, match.index) });
+    last = match.index + match[0].length;
+
+    if (match[0] === "\\{{") {
+      append({ type: "text", value: "{{" });
+      continue;
+    }
+    if (match[1] !== undefined) {
+      append({ type: "var", path: checkPath(match[1], match.index), raw: true });
+      continue;
+    }
+
+    const tag = match[2];
+    if (tag.startsWith("!")) continue;
+
+    if (tag.startsWith("#")) {
+      const [keyword, path, ...extra] = tag.slice(1).trim().split(/\s+/);
+      if (!["if", "unless", "each"].includes(keyword) || !path || extra.length) {
+        throw new TemplateError(`Invalid block "{{${tag}}}" at ${match.index}`, { code: "TEMPLATE_SYNTAX" });
+      }
+      const block = { type: keyword, path: checkPath(path, match.index), children: [], elseChildren: [], inElse: false };
+      append(block);
+      stack.push(block);
+      continue;
+    }
+    if (tag === "else") {
+      const block = top();
+      if (block === root || block.inElse) {
+        throw new TemplateError(`Unexpected {{else}} at ${match.index}`, { code: "TEMPLATE_SYNTAX" });
+      }
+      block.inElse = true;
+      continue;
+    }
+    if (tag.startsWith("/")) {
+      const keyword = tag.slice(1).trim();
+      const block = top();
+      if (block === root || block.type !== keyword) {
+        throw new TemplateError(`Unexpected {{/${keyword}}} at ${match.index}`, { code: "TEMPLATE_SYNTAX" });
+      }
+      stack.pop();
+      continue;
+    }
+    if (tag.startsWith(">")) {
+      const ref = PARTIAL_RE.exec(tag.slice(1).trim());
+      if (!ref) {
+        throw new TemplateError(`Invalid partial "{{${tag}}}" at ${match.index}`, { code: "TEMPLATE_SYNTAX" });
+      }
+      append({ type: "partial", id: ref[1], version: ref[2] ? Number(ref[2]) : null });
+      continue;
+    }
+    append({ type: "var", path: checkPath(tag, match.index), raw: false });
+  }
+  if (last < String(source ?? "").length) append({ type: "text", value: source.slice(last) });
+
+  if (stack.length > 1) {
+    throw new TemplateError(`Unclosed {{#${top().type}}} block`, { code: "TEMPLATE_SYNTAX" });
+  }
+  return root.children;
+}
+
+function collectPartials(nodes, out = []) {
+  for (const node of nodes) {
+    if (node.type === "partial") out.push(node);
+    if (node.children) {
+      collectPartials(node.children, out);
+      collectPartials(node.elseChildren, out);
+    }
+  }
+  return out;
+}
+
+export function partialKey(id, version) {
+  return version ? `${id}@${version}` : id;
+}
+
+/**
+ * Parse a template and, through `loadPartial`, every partial it reaches.
+ *
+ * @param {string} source
+ * @param {(id: string, version: number|null) => Promise<string|null>} [loadPartial]
+ * @returns {Promise<{ nodes: object[], partials: Map<string, object[]> }>}
+ * @throws {TemplateError} TEMPLATE_PARTIAL_NOT_FOUND, TEMPLATE_PARTIAL_CYCLE or TEMPLATE_SYNTAX
+ */
+export async function compileTemplate(source, loadPartial) {
+  const nodes = parseTemplate(source);
+  const partials = new Map();
+
+  async function visit(tree, chain) {
+    for (const { id, version } of collectPartials(tree)) {
+      const key = partialKey(id, version);
+      if (chain.includes(key)) {
+        throw new TemplateError(`Partial cycle: ${[...chain, key].join(" → ")}`, { code: "TEMPLATE_PARTIAL_CYCLE" });
+      }
+      if (chain.length >= MAX_PARTIAL_DEPTH) {
+        throw new TemplateError(`Partials nest deeper than ${MAX_PARTIAL_DEPTH}`, { code: "TEMPLATE_PARTIAL_CYCLE" });
+      }
+      if (partials.has(key)) continue;
+      const body = loadPartial ? await loadPartial(id, version) : null;
+      if (body == null) {
+        throw new TemplateError(`Partial ${key} not found`, { code: "TEMPLATE_PARTIAL_NOT_FOUND", partial: key });
+      }
+      const parsed = parseTemplate(body);
+      partials.set(key, parsed);
+      await visit(parsed, [...chain, key]);
+    }
+  }
+
+  await visit(nodes, []);
+  return { nodes, partials };
+}
+
+// ── Rendering ───────────────────────────────────────────────
+
+function escapeValue(text, mode) {
+  if (mode === "xml") {
+    return text
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&apos;");
+  }
+  if (mode === "json") return JSON.stringify(text).slice(1, -1);
+  return text;
+}
+
+function stringify(value) {
+  if (value === null) return "";
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+}
+
+function truthy(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  return Boolean(value);
+}
+
+function lookup(path, scopes) {
+  const [head, ...rest] = path.split(".");
+  for (let i = scopes.length - 1; i >= 0; i--) {
+    const scope = scopes[i];
+    let value;
+    if (head === "this") {
+      if (!Object.hasOwn(scope, "this")) continue;
+      value = scope.this;
+    } else if (head.startsWith("@")) {
+      if (!Object.hasOwn(scope, head)) continue;
+      value = scope[head];
+    } else if (scope.vars && typeof scope.vars === "object" && Object.hasOwn(scope.vars, head)) {
+      value = scope.vars[head];
+    } else {
+      continue;
+    }
+    // Own properties only, so `constructor` or `__proto__` never resolve
+    for (const key of rest) {
+      value = value != null && typeof value === "object" && Object.hasOwn(value, key) ? value[key] : undefined;
+    }
+    return { found: true, value };
+  }
+  return { found: false, value: undefined };
+}
+
+function renderNodes(nodes, scopes, ctx) {
+  let out = "";
+  for (const node of nodes) {
+    if (node.type === "text") {
+      out += node.value;
+    } else if (node.type === "var") {
+      const { found, value } = lookup(node.path, scopes);
+      if (!found || value === undefined) {
+        const root = node.path.split(".")[0];
+        if (!ctx.optional.has(root)) ctx.missing.add(node.path);
+        continue;
+      }
+      const text = stringify(value);
+      out += node.raw ? text : escapeValue(text, ctx.escape);
+    } else if (node.type === "if" || node.type === "unless") {
+      const { value } = lookup(node.path, scopes);
+      const pass = node.type === "if" ? truthy(value) : !truthy(value);
+      out += renderNodes(pass ? node.children : node.elseChildren, scopes, ctx);
+    } else if (node.type === "each") {
+      const { value } = lookup(node.path, scopes);
+      const items = Array.isArray(value) ? value : [];
+      if (items.length === 0) {
+        out += renderNodes(node.elseChildren, scopes, ctx);
+        continue;
+      }
+      items.forEach((item, index) => {
+        const scope = {
+          this: item,
+          vars: item && typeof item === "object" && !Array.isArray(item) ? item : undefined,
+          "@index": index,
+          "@first": index === 0,
+          "@last": index === items.length - 1,
+        };
+        out += renderNodes(node.children, [...scopes, scope], ctx);
+      });
+    } else if (node.type === "partial") {
+      const key = partialKey(node.id, node.version);
+      ctx.used.add(key);
+      out += renderNodes(ctx.partials.get(key) || [], scopes, ctx);
+    }
+  }
+  return out;
+}
+
+/**
+ * Render a compiled template.
+ *
+ * @param {{ nodes: object[], partials: Map<string, object[]> }} compiled - from compileTemplate
+ * @param {object} values
+ * @param {{ escape?: string, optional?: string[] }} [opts] - optional: declared variables that may be absent
+ * @returns {{ output: string, partials: string[] }}
+ * @throws {TemplateError} code TEMPLATE_MISSING_VARIABLES with `missing`
+ */
+export function renderTemplate(compiled, values = {}, { escape = "none", optional = [] } = {}) {
+  const ctx = {
+    escape,
+    optional: new Set(optional),
+    partials: compiled.partials,
+    missing: new Set(),
+    used: new Set(),
+  };
+  const output = renderNodes(compiled.nodes, [{ vars: values }], ctx);
+  if (ctx.missing.size > 0) {
+    const missing = [...ctx.missing];
+    throw new TemplateError(`Missing variables: ${missing.join(", ")}`, {
+      code: "TEMPLATE_MISSING_VARIABLES",
+      missing,
+    });
+  }
+  return { output, partials: [...ctx.used] };
+}
+
+// ── Variable schemas ────────────────────────────────────────
+
+function typeOf(value) {
+  if (Array.isArray(value)) return "array";
+  if (value === null) return "null";
+  return typeof value;
+}
+
+/**
+ * @param {object} schema - { name: { type, required?, default?, enum?, description? } }
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateVariableSchema(schema) {
+  if (schema === null || typeof schema !== "object" || Array.isArray(schema)) {
+    return "variables must be an object keyed by variable name";
+  }
+  for (const [name, spec] of Object.entries(schema)) {
+    if (!/^[A-Za-z_][\w-]*$/.test(name)) return `Invalid variable name "${name}"`;
+    if (!spec || !VARIABLE_TYPES.includes(spec.type)) {
+      return `${name}.type must be one of ${VARIABLE_TYPES.join(", ")}`;
+    }
+    if (spec.enum !== undefined && !Array.isArray(spec.enum)) return `${name}.enum must be an array`;
+    if (spec.default !== undefined && typeOf(spec.default) !== spec.type) {
+      return `${name}.default must be a ${spec.type}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Apply defaults and check supplied values against a schema. Variables
+ * the schema does not declare pass through unchecked.
+ *
+ * @param {object} schema
+ * @param {object} [values]
+ * @returns {{ values: object, errors: string[], optional: string[] }}
+ *   optional: declared, not required, and still absent after defaults
+ */
+export function applyVariableSchema(schema, values = {}) {
+  const out = { ...values };
+  const errors = [];
+  const optional = [];
+  for (const [name, spec] of Object.entries(schema || {})) {
+    if (out[name] === undefined && spec.default !== undefined) out[name] = spec.default;
+    const value = out[name];
+    if (value === undefined || value === null) {
+      if (spec.required) errors.push(`${name} is required`);
+      else optional.push(name);
+      continue;
+    }
+    if (typeOf(value) !== spec.type) {
+      errors.push(`${name} must be a ${spec.type}, got ${typeOf(value)}`);
+    } else if (Array.isArray(spec.enum) && !spec.enum.includes(value)) {
+      errors.push(`${name} must be one of ${spec.enum.join(", ")}`);
+    }
+  }
+  return { values: out, errors, optional };
+}
@@ -136,6 +136,20 @@ export function errorResponse(c, error) {
         "Review which operations succeeded and retry the failed portions individually.",
       statusCode: 500,
     },
+    COMPOSITE_ROLLED_BACK: {
+      message:
+        "The multi-step operation failed partway through and every completed step was rolled back.",
+      recovery:
+        "Nothing was left behind, so the whole request is safe to retry. See the saga report for the failing step.",
+      statusCode: 502,
+    },
+    COMPOSITE_ROLLBACK_INCOMPLETE: {
+      message:
+        "The multi-step operation failed and some completed steps could not be rolled back.",
+      recovery:
+        "Do not retry blindly. Review the saga report for steps marked compensation_failed and clean them up first.",
+      statusCode: 500,
+    },
     BATCH_TOO_LARGE: {
       message: "The batch contains too many requests.",
       recovery:
@@ -163,6 +177,11 @@ export function errorResponse(c, error) {
     },
   };
 
+  // Saga reports are always returned so callers know what was rolled back
+  if (error.report) {
+    response.saga = error.report;
+  }
+
   // Include details only in development or if provided
   if (isDevelopment && error.details) {
     response.error.details = error.details;
@@ -0,0 +1,93 @@
+/**
+ * Safe Regex — screening for caller-supplied regular expressions
+ *
+ * Installation label rules and prompt eval assertions are regexes written by
+ * tenants and run against text nobody vetted (issue bodies, model output).
+ * JavaScript regexes backtrack, so a pattern like `(a+)+$` can take
+ * exponential time on a crafted input and stall the isolate. Patterns are
+ * capped in length and may not nest quantifiers, repeat an alternation or
+ * use backreferences, and the text they run against is capped as well.
+ *
+ * @canonical-uri chittycanon://core/services/chittyconnect/lib/safe-regex
+ */
+
+export const MAX_PATTERN_LENGTH = 256;
+export const MAX_INPUT_LENGTH = 20_000;
+
+const REPEAT = new Set(["*", "+", "{"]);
+
+/**
+ * Why a pattern is refused, or null when it may run
+ * @param {string} pattern
+ * @returns {string|null}
+ */
+export function unsafeRegexReason(pattern) {
+  if (typeof pattern !== "string" || !pattern) return "pattern must be a non-empty string";
+  if (pattern.length > MAX_PATTERN_LENGTH) {
+    return `pattern is longer than ${MAX_PATTERN_LENGTH} characters`;
+  }
+
+  // One pass over the source: groups remember whether anything inside
+  // repeats and whether they alternate
+  const groups = [{ repeats: false, alternates: false }];
+  let inClass = false;
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    if (ch === "\\") {
+      const next = pattern[i + 1];
+      if (!inClass && (/[1-9]/.test(next || "") || next === "k")) {
+        return "backreferences are not allowed";
+      }
+      i++;
+      continue;
+    }
+    if (inClass) {
+      if (ch === "]") inClass = false;
+    } else if (ch === "[") {
+      inClass = true;
+    } else if (ch === "(") {
+      groups.push({ repeats: false, alternates: false });
+    } else if (ch === "|") {
+      groups.at(-1).alternates = true;
+    } else if (ch === ")") {
+      const group = groups.length > 1 ? groups.pop() : { repeats: false, alternates: false };
+      const repeated = REPEAT.has(pattern[i + 1]);
+      if (repeated && group.repeats) return "nested quantifiers are not allowed";
+      if (repeated && group.alternates) return "repeated alternations are not allowed";
+      if (repeated || group.repeats) groups.at(-1).repeats = true;
+      if (group.alternates) groups.at(-1).alternates = true;
+    } else if (REPEAT.has(ch)) {
+      groups.at(-1).repeats = true;
+    }
+  }
+
+  try {
+    new RegExp(pattern);
+  } catch (error) {
+    return error.message;
+  }
+  return null;
+}
+
+/**
+ * Compile a caller-supplied pattern, refusing unsafe ones
+ * @param {string} pattern
+ * @param {string} [flags]
+ * @returns {RegExp}
+ * @throws {Error} When the pattern is invalid or unsafe
+ */
+export function compileSafeRegex(pattern, flags) {
+  const reason = unsafeRegexReason(pattern);
+  if (reason) throw new Error(`Unsafe pattern ${JSON.stringify(String(pattern).slice(0, 64))}: ${reason}`);
+  return new RegExp(pattern, flags);
+}
+
+/**
+ * Test a screened regex against at most MAX_INPUT_LENGTH characters of text
+ * @param {RegExp} regex
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function safeTest(regex, text) {
+  return regex.test(String(text ?? "").slice(0, MAX_INPUT_LENGTH));
+}
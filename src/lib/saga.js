@@ -0,0 +1,184 @@
+/**
+ * Saga - compensating transactions for multi-step workflows
+ *
+ * Each step declares an action and, optionally, a compensating action that
+ * undoes it. When a step fails, compensations for every completed step run
+ * in reverse order and the caller receives a step-by-step report of what
+ * ran, what failed and what was rolled back.
+ *
+ * @module lib/saga
+ */
+
+import { APIError } from "./errors.js";
+
+/**
+ * Thrown by Saga#run when a step fails. Carries the saga report so route
+ * handlers can return it to the caller.
+ */
+export class SagaError extends APIError {
+  constructor(report, cause) {
+    const rolledBack = report.rollback.status === "completed";
+    super(
+      rolledBack ? "COMPOSITE_ROLLED_BACK" : "COMPOSITE_ROLLBACK_INCOMPLETE",
+      `Workflow ${report.name} failed at step ${report.failedStep}`,
+      { cause: cause?.message, failedStep: report.failedStep },
+      rolledBack ? 502 : 500,
+    );
+    this.name = "SagaError";
+    this.report = report;
+    this.cause = cause;
+  }
+}
+
+export class Saga {
+  /**
+   * @param {string} name - Workflow name, used in logs and the report
+   */
+  constructor(name) {
+    this.name = name;
+    this.steps = [];
+    this.compensations = [];
+    this.failedStep = null;
+    this.rollbackStatus = "not_required";
+    this.startedAt = Date.now();
+  }
+
+  /**
+   * Run a single step. On success its compensation (if any) is registered
+   * with the step result; on failure the error is rethrown.
+   *
+   * @param {string} name - Step name
+   * @param {Function} action - async () => result
+   * @param {Function} [compensate] - async (result) => void
+   * @returns {Promise<*>} Step result
+   */
+  async step(name, action, compensate) {
+    const record = { name, status: "running", durationMs: null };
+    this.steps.push(record);
+    const started = Date.now();
+
+    try {
+      const result = await action();
+      record.status = "completed";
+      record.durationMs = Date.now() - started;
+      if (compensate) {
+        this.compensations.push({ record, run: () => compensate(result) });
+      }
+      return result;
+    } catch (error) {
+      record.status = "failed";
+      record.durationMs = Date.now() - started;
+      record.error = error.message;
+      this.failedStep ??= name;
+      throw error;
+    }
+  }
+
+  /**
+   * Run one step per item concurrently. Every item settles before the first
+   * failure is rethrown, so compensations are registered for all items that
+   * did succeed.
+   *
+   * @param {string} name - Step name prefix; items become name[0], name[1], ...
+   * @param {Array} items - Inputs
+   * @param {Function} action - async (item, index) => result
+   * @param {Function} [compensate] - async (result, item, index) => void
+   * @returns {Promise<Array>} Results in item order
+   */
+  async all(name, items, action, compensate) {
+    const settled = await Promise.allSettled(
+      items.map((item, index) =>
+        this.step(
+          `${name}[${index}]`,
+          () => action(item, index),
+          compensate && ((result) => compensate(result, item, index)),
+        ),
+      ),
+    );
+    const rejected = settled.find((s) => s.status === "rejected");
+    if (rejected) {
+      throw rejected.reason;
+    }
+    return settled.map((s) => s.value);
+  }
+
+  /**
+   * Run compensations for completed steps in reverse order. A failing
+   * compensation is recorded and does not stop the remaining ones.
+   */
+  async rollback() {
+    if (this.compensations.length === 0) {
+      this.rollbackStatus = "completed";
+      return;
+    }
+
+    let failures = 0;
+    for (const { record, run } of this.compensations.reverse()) {
+      try {
+        await run();
+        record.status = "compensated";
+      } catch (error) {
+        failures++;
+        record.status = "compensation_failed";
+        record.compensationError = error.message;
+        console.error(
+          `[Saga] ${this.name}: compensation for ${record.name} failed:`,
+          error,
+        );
+      }
+    }
+    this.compensations = [];
+    this.rollbackStatus = failures === 0 ? "completed" : "partial";
+  }
+
+  /**
+   * Execute a workflow. If it throws, completed steps are compensated and a
+   * SagaError carrying the report is thrown instead.
+   *
+   * @param {Function} workflow - async (saga) => result
+   * @returns {Promise<*>} Workflow result
+   */
+  async run(workflow) {
+    try {
+      return await workflow(this);
+    } catch (error) {
+      this.failedStep ??= "(outside step)";
+      await this.rollback();
+      throw new SagaError(this.report(), error);
+    }
+  }
+
+  /**
+   * @returns {object} Step-by-step report
+   */
+  report() {
+    return {
+      name: this.name,
+      status: !this.failedStep
+        ? "completed"
+        : this.rollbackStatus === "partial"
+          ? "rollback_incomplete"
+          : "rolled_back",
+      failedStep: this.failedStep,
+      steps: this.steps.map((s) => ({ ...s })),
+      rollback: { status: this.rollbackStatus },
+      durationMs: Date.now() - this.startedAt,
+    };
+  }
+}
+
+/**
+ * Assert a fetch response succeeded, throwing with the upstream body so it
+ * lands in the saga report.
+ *
+ * @param {Response} response
+ * @param {string} what - Description for the error message
+ * @returns {Promise<Response>}
+ */
+export async function expectOk(response, what) {
+  if (!response.ok) {
+    const text = await response.text().catch(() => "");
+    throw new Error(`${what} failed (${response.status})${text ? `: ${text}` : ""}`);
+  }
+  return response;
+}
@@ -8,6 +8,14 @@
  *
  * Switches are read from SERVICE_SWITCHES KV with fallback to defaults.
  *
+ * Every routed call also passes through a per-service, per-route circuit
+ * breaker (closed → open → half_open). When the primary route's breaker is
+ * open, or an idempotent call fails at the transport layer, serviceFetch
+ * fails over to the alternate route (binding ↔ http) so a flapping
+ * downstream no longer needs a manual KV edit. A binding missing from the
+ * env stays an error unless the switch sets `failover: true`. Breaker state
+ * is per-isolate and in-memory.
+ *
  * @canonical-uri chittycanon://core/services/chittyconnect/lib/service-switch
  */
 
@@ -21,7 +29,7 @@ const DEFAULTS = {
   evidence:    { enabled: true, mode: "binding", binding: "SVC_EVIDENCE" },
   concierge:   { enabled: true, mode: "binding", binding: "SVC_CONCIERGE" },
   chronicle:   { enabled: true, mode: "binding", binding: "SVC_CHRONICLE" },
-  disputes:    { enabled: true, mode: "binding", binding: "SVC_DISPUTES" },
+  disputes:    { enabled: true, mode: "binding", binding: "SVC_DISPUTES", sub: "dispute" },
   score:       { enabled: true, mode: "binding", binding: "SVC_SCORE" },
 };
 
@@ -29,6 +37,23 @@ let _cache = null;
 let _cacheTs = 0;
 const CACHE_TTL = 60_000; // 1 minute
 
+/**
+ * Breaker tuning. Any field can be overridden per service via
+ * `service:switches` → `{ "<service>": { "breaker": { ... } } }`.
+ */
+const BREAKER_DEFAULTS = {
+  windowSize: 20,             // outcomes kept in the rolling window
+  minimumCalls: 5,            // calls required before the error rate can trip
+  failureRateThreshold: 0.5,  // trip when failures / window >= this
+  openMs: 30_000,             // how long to stay open before a half-open probe
+  halfOpenMaxCalls: 1,        // concurrent probes allowed while half-open
+};
+
+const IDEMPOTENT_METHODS = new Set(["GET", "HEAD", "PUT", "DELETE", "OPTIONS"]);
+
+/** @type {Map<string, object>} keyed by `${serviceName}:${route}` */
+const _breakers = new Map();
+
 /**
  * Load service switches from KV with in-memory cache.
  */
@@ -56,9 +81,176 @@ export async function getSwitch(env, serviceName) {
   return switches[serviceName] || { enabled: false, mode: "disabled", reason: "unknown service" };
 }
 
+function jsonError(body, status) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { "Content-Type": "application/json" },
+  });
+}
+
+function breakerConfig(sw) {
+  return { ...BREAKER_DEFAULTS, ...(sw.breaker || {}) };
+}
+
+function getBreaker(serviceName, route) {
+  const key = `${serviceName}:${route}`;
+  let breaker = _breakers.get(key);
+  if (!breaker) {
+    breaker = {
+      service: serviceName,
+      route,
+      state: "closed",
+      outcomes: [],
+      consecutiveFailures: 0,
+      halfOpenInFlight: 0,
+      openedAt: null,
+      trips: 0,
+      totalCalls: 0,
+      totalFailures: 0,
+      lastLatencyMs: null,
+      avgLatencyMs: null,
+      lastError: null,
+      lastFailureAt: null,
+    };
+    _breakers.set(key, breaker);
+  }
+  return breaker;
+}
+
+/**
+ * Decide whether a call may go through this breaker, moving open → half_open
+ * once the cool-down has elapsed.
+ * @returns {false|"call"|"probe"} "probe" when the call holds a half-open slot
+ */
+function admit(breaker, cfg, now = Date.now()) {
+  if (breaker.state === "open") {
+    if (now - breaker.openedAt < cfg.openMs) return false;
+    breaker.state = "half_open";
+    breaker.halfOpenInFlight = 0;
+  }
+  if (breaker.state === "half_open") {
+    if (breaker.halfOpenInFlight >= cfg.halfOpenMaxCalls) return false;
+    breaker.halfOpenInFlight++;
+    return "probe";
+  }
+  return "call";
+}
+
+function trip(breaker, now) {
+  breaker.state = "open";
+  breaker.openedAt = now;
+  breaker.halfOpenInFlight = 0;
+  breaker.trips++;
+  console.warn(`[service-switch] Circuit opened for ${breaker.service} (${breaker.route}): ${breaker.lastError}`);
+}
+
+function record(breaker, cfg, ok, latencyMs, error = null, now = Date.now()) {
+  breaker.totalCalls++;
+  breaker.lastLatencyMs = latencyMs;
+  breaker.avgLatencyMs = breaker.avgLatencyMs === null
+    ? latencyMs
+    : Math.round(breaker.avgLatencyMs * 0.8 + latencyMs * 0.2);
+
+  breaker.outcomes.push(ok);
+  if (breaker.outcomes.length > cfg.windowSize) breaker.outcomes.shift();
+
+  if (ok) {
+    breaker.consecutiveFailures = 0;
+    if (breaker.state === "half_open") {
+      breaker.state = "closed";
+      breaker.openedAt = null;
+      breaker.halfOpenInFlight = 0;
+      breaker.outcomes = [];
+    }
+    return;
+  }
+
+  breaker.totalFailures++;
+  breaker.consecutiveFailures++;
+  breaker.lastError = error;
+  breaker.lastFailureAt = new Date(now).toISOString();
+
+  if (breaker.state === "half_open") {
+    trip(breaker, now);
+    return;
+  }
+
+  const failures = breaker.outcomes.filter((o) => !o).length;
+  if (
+    breaker.outcomes.length >= cfg.minimumCalls &&
+    failures / breaker.outcomes.length >= cfg.failureRateThreshold
+  ) {
+    trip(breaker, now);
+  }
+}
+
+/**
+ * Resolve the HTTP URL for a service: explicit `url`, else derived from the
+ * service's subdomain on CHITTYOS_DOMAIN.
+ */
+function resolveHttpUrl(env, serviceName, sw) {
+  if (sw.url) return sw.url;
+  const domain = env.CHITTYOS_DOMAIN || "chitty.cc";
+  return `https://${sw.sub || serviceName}.${domain}`;
+}
+
+/**
+ * Build the ordered list of routes to try: the configured mode first, then
+ * the alternate route when failover is allowed. A binding-mode service whose
+ * binding is missing only gets an http route when failover is set explicitly,
+ * so a deploy that drops a binding is reported rather than silently rerouted.
+ */
+function resolveRoutes(env, serviceName, sw) {
+  const routes = [];
+  const hasBinding = Boolean(sw.binding && env[sw.binding]);
+  const failover = sw.failover !== false;
+
+  if (sw.mode === "binding") {
+    if (hasBinding) {
+      routes.push({ route: "binding" });
+    } else if (sw.binding) {
+      console.error(`[service-switch] Binding "${sw.binding}" for "${serviceName}" not in env. Check wrangler.jsonc services.`);
+    }
+    if (hasBinding ? failover : sw.failover === true) {
+      routes.push({ route: "http", url: resolveHttpUrl(env, serviceName, sw) });
+    }
+  } else if (sw.mode === "http") {
+    if (sw.url) routes.push({ route: "http", url: sw.url });
+    if (failover && hasBinding) routes.push({ route: "binding" });
+  }
+  return routes;
+}
+
+async function attempt(env, serviceName, sw, target, path, options, headers) {
+  const init = {
+    method: options.method || "GET",
+    headers: { ...headers },
+    body: options.body ? JSON.stringify(options.body) : undefined,
+  };
+  if (sw.timeoutMs) init.signal = AbortSignal.timeout(sw.timeoutMs);
+
+  if (target.route === "binding") {
+    // Service binding — direct Worker-to-Worker, no auth needed
+    return env[sw.binding].fetch(new Request(`https://internal${path}`, init));
+  }
+
+  // HTTP — needs service token
+  const { getServiceToken } = await import("./credential-helper.js");
+  const token = await getServiceToken(env, serviceName);
+  if (token) {
+    init.headers.Authorization = `Bearer ${token}`;
+  } else {
+    console.warn(`[service-switch] No service token for "${serviceName}" in HTTP mode`);
+  }
+  return fetch(new Request(`${target.url}${path}`, init));
+}
+
 /**
  * Execute a fetch through the service switch layer.
- * Uses service binding when available, falls back to HTTP.
+ * Uses the configured route, guarded by a circuit breaker, and fails over to
+ * the alternate route when the primary is open or unreachable. Transport
+ * errors and 5xx responses only trigger failover for idempotent methods, so a
+ * write that may have reached the downstream is never replayed.
  *
  * @param {object} env - Worker env bindings
  * @param {string} serviceName - Service key (e.g., "tasks", "ledger")
@@ -70,10 +262,10 @@ export async function serviceFetch(env, serviceName, path, options = {}) {
   const sw = await getSwitch(env, serviceName);
 
   if (!sw.enabled) {
-    return new Response(JSON.stringify({
+    return jsonError({
       error: `Service "${serviceName}" is disabled`,
       reason: sw.reason || "maintenance",
-    }), { status: 503, headers: { "Content-Type": "application/json" } });
+    }, 503);
   }
 
   const headers = {
@@ -82,44 +274,117 @@ export async function serviceFetch(env, serviceName, path, options = {}) {
     ...options.headers,
   };
 
-  if (sw.mode === "binding" && sw.binding && !env[sw.binding]) {
-    console.error(`[service-switch] Binding "${sw.binding}" for "${serviceName}" not in env. Check wrangler.jsonc services.`);
-    return new Response(JSON.stringify({
-      error: `Service "${serviceName}" binding "${sw.binding}" not configured in wrangler.jsonc`,
-    }), { status: 503, headers: { "Content-Type": "application/json" } });
+  const routes = resolveRoutes(env, serviceName, sw);
+
+  if (routes.length === 0) {
+    if (sw.mode === "binding" && sw.binding) {
+      return jsonError({
+        error: `Service "${serviceName}" binding "${sw.binding}" not configured in wrangler.jsonc`,
+      }, 503);
+    }
+    return jsonError({
+      error: `Service "${serviceName}" has invalid switch mode: ${sw.mode}`,
+    }, 500);
   }
 
-  if (sw.mode === "binding" && sw.binding && env[sw.binding]) {
-    // Service binding — direct Worker-to-Worker, no auth needed
-    const req = new Request(`https://internal${path}`, {
-      method: options.method || "GET",
-      headers,
-      body: options.body ? JSON.stringify(options.body) : undefined,
-    });
-    return env[sw.binding].fetch(req);
-  }
-
-  if (sw.mode === "http" && sw.url) {
-    // HTTP fallback — needs service token
-    const { getServiceToken } = await import("./credential-helper.js");
-    const token = await getServiceToken(env, serviceName);
-    if (token) {
-      headers.Authorization = `Bearer ${token}`;
-    } else {
-      console.warn(`[service-switch] No service token for "${serviceName}" in HTTP mode`);
+  const cfg = breakerConfig(sw);
+  const idempotent = IDEMPOTENT_METHODS.has((options.method || "GET").toUpperCase());
+  let lastResponse = null;
+  let lastError = null;
+  let admitted = 0;
+
+  for (let i = 0; i < routes.length; i++) {
+    const target = routes[i];
+    const breaker = getBreaker(serviceName, target.route);
+    const slot = admit(breaker, cfg);
+    if (!slot) continue;
+    admitted++;
+
+    const started = Date.now();
+    try {
+      const response = await attempt(env, serviceName, sw, target, path, options, headers);
+      const ok = response.status < 500;
+      record(breaker, cfg, ok, Date.now() - started, ok ? null : `HTTP ${response.status}`);
+      if (ok || !idempotent) return response;
+      lastResponse = response;
+    } catch (err) {
+      record(breaker, cfg, false, Date.now() - started, err.message);
+      lastError = err;
+    } finally {
+      if (slot === "probe" && breaker.halfOpenInFlight > 0) breaker.halfOpenInFlight--;
+    }
+    if (!idempotent) break;
+    if (i < routes.length - 1) {
+      console.warn(`[service-switch] ${serviceName} via ${target.route} failed, failing over to ${routes[i + 1].route}`);
     }
+  }
+
+  if (lastResponse) return lastResponse;
+
+  if (admitted === 0) {
+    const retryAt = routes
+      .map((t) => getBreaker(serviceName, t.route))
+      .map((b) => (b.openedAt || 0) + cfg.openMs)
+      .sort((a, b) => a - b)[0];
+    return jsonError({
+      error: `Service "${serviceName}" circuit is open`,
+      retryAfterMs: Math.max(0, retryAt - Date.now()),
+      breakers: getBreakerStates(serviceName)[serviceName],
+    }, 503);
+  }
+
+  return jsonError({
+    error: `Service "${serviceName}" unreachable`,
+    reason: lastError?.message,
+  }, 503);
+}
+
+function snapshot(breaker) {
+  const failures = breaker.outcomes.filter((o) => !o).length;
+  return {
+    state: breaker.state,
+    failureRate: breaker.outcomes.length ? failures / breaker.outcomes.length : 0,
+    windowCalls: breaker.outcomes.length,
+    consecutiveFailures: breaker.consecutiveFailures,
+    totalCalls: breaker.totalCalls,
+    totalFailures: breaker.totalFailures,
+    trips: breaker.trips,
+    lastLatencyMs: breaker.lastLatencyMs,
+    avgLatencyMs: breaker.avgLatencyMs,
+    lastError: breaker.lastError,
+    lastFailureAt: breaker.lastFailureAt,
+    openedAt: breaker.openedAt ? new Date(breaker.openedAt).toISOString() : null,
+  };
+}
 
-    const req = new Request(`${sw.url}${path}`, {
-      method: options.method || "GET",
-      headers,
-      body: options.body ? JSON.stringify(options.body) : undefined,
-    });
-    return fetch(req);
+/**
+ * Snapshot breaker state for every service/route seen by this isolate.
+ *
+ * @param {string} [serviceName] - Limit to one service
+ * @returns {Record<string, Record<string, object>>} service → route → state
+ */
+export function getBreakerStates(serviceName) {
+  const states = {};
+  for (const breaker of _breakers.values()) {
+    if (serviceName && breaker.service !== serviceName) continue;
+    states[breaker.service] ||= {};
+    states[breaker.service][breaker.route] = snapshot(breaker);
   }
+  return states;
+}
 
-  return new Response(JSON.stringify({
-    error: `Service "${serviceName}" has invalid switch mode: ${sw.mode}`,
-  }), { status: 500, headers: { "Content-Type": "application/json" } });
+/**
+ * Force breakers back to closed (all services, or one service).
+ * @returns {number} Number of breakers reset
+ */
+export function resetBreakers(serviceName) {
+  let count = 0;
+  for (const [key, breaker] of _breakers) {
+    if (serviceName && breaker.service !== serviceName) continue;
+    _breakers.delete(key);
+    count++;
+  }
+  return count;
 }
 
 /**
@@ -0,0 +1,298 @@
+/**
+ * SQL Cursor
+ *
+ * Server-side cursor paging and NDJSON streaming for large read queries, so
+ * results never have to be buffered into a single JSON response.
+ *
+ * - Paging: keyset pagination. The caller names the result columns that
+ *   uniquely order the rows (`keyset`); each page wraps the query as
+ *   `SELECT * FROM (query) WHERE (keyset) > (last key) ORDER BY keyset
+ *   LIMIT n`, so a page costs the same however deep it is. The query and
+ *   last key live in TOKEN_KV behind an opaque continuation token, bound to
+ *   the session or credential that opened it. Pages are separate READ ONLY
+ *   transactions, so rows committed between pages show up in later pages.
+ * - Streaming: one cursor is held open for the life of the response and
+ *   rows are fetched in batches as the client reads.
+ *
+ * Only single read statements (SELECT / WITH / VALUES / TABLE) can be
+ * paged or streamed, and caller SQL only ever runs as a prepared statement.
+ *
+ * @module lib/sql-cursor
+ */
+
+import {
+  beginGuarded,
+  checkPlanCost,
+  queryExtended,
+  tokenizeSql,
+  SqlRejectedError,
+} from "./sql-guard.js";
+
+const CURSOR_NAME = "chitty_cursor";
+const CURSOR_PREFIX = "sqlcursor:";
+const KEYSET_COLUMN_RE = /^[A-Za-z_][A-Za-z0-9_]*$/;
+export const MAX_KEYSET_COLUMNS = 4;
+export const CURSOR_TTL_SECONDS = 15 * 60;
+export const STREAM_BATCH_SIZE = 500;
+export const STREAM_ROW_LIMIT_DEFAULT = 1_000_000;
+
+/**
+ * @param {object} classification - from classifySql
+ * @returns {boolean} Whether the statement can run behind a cursor
+ */
+export function isPageable(classification) {
+  return classification.kind === "read" && classification.explainable;
+}
+
+/**
+ * @param {unknown} keyset - Result column names that order the pages
+ * @returns {string|null} Why the keyset is unusable, or null when it is valid
+ */
+export function keysetError(keyset) {
+  if (!Array.isArray(keyset) || keyset.length === 0) {
+    return "keyset must name the result column(s) that uniquely order the rows";
+  }
+  if (keyset.length > MAX_KEYSET_COLUMNS) {
+    return `keyset may name at most ${MAX_KEYSET_COLUMNS} columns`;
+  }
+  const invalid = keyset.find((col) => typeof col !== "string" || !KEYSET_COLUMN_RE.test(col));
+  return invalid === undefined ? null : `Invalid keyset column: ${invalid}`;
+}
+
+/**
+ * Owner a continuation token is bound to: a hash of the credential or
+ * session id that opened it, so tokens never match across callers.
+ *
+ * @param {string|null|undefined} secret - API key, bearer token or session id
+ * @returns {Promise<string|null>} null when there is nothing to bind to
+ */
+export async function cursorOwner(secret) {
+  if (!secret) return null;
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(secret));
+  const hex = Array.from(new Uint8Array(digest))
+    .map((b) => b.toString(16).padStart(2, "0"))
+    .join("");
+  return `owner:${hex.slice(0, 32)}`;
+}
+
+function mapFields(fields) {
+  return fields?.map((f) => ({ name: f.name, dataTypeID: f.dataTypeID }));
+}
+
+/**
+ * Start a READ ONLY transaction, cost-check the query and declare the
+ * cursor. On failure the transaction is rolled back.
+ *
+ * @returns {Promise<{ planCost: number|null }>}
+ */
+export async function openReadCursor(client, { query, params = [], limits, explain = true }) {
+  await beginGuarded(client, "read", limits);
+  try {
+    const planCost = explain ? await checkPlanCost(client, query, params, limits) : null;
+    await queryExtended(client, `DECLARE ${CURSOR_NAME} NO SCROLL CURSOR FOR\n${query}\n`, params);
+    return { planCost };
+  } catch (error) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw error;
+  }
+}
+
+/**
+ * Wrap the caller's query so it returns the page after `after`. The query
+ * must keep its own parentheses balanced, or it could close the subquery
+ * and replace the page's WHERE, ORDER BY or LIMIT.
+ *
+ * @returns {{ text: string, values: Array }}
+ */
+function buildPageQuery(query, params, keyset, after, pageSize) {
+  const [statement] = tokenizeSql(query).statements;
+  let depth = 0;
+  for (const ch of statement?.code || "") {
+    if (ch === "(") depth++;
+    if (ch === ")" && --depth < 0) break;
+  }
+  if (depth !== 0) {
+    throw new SqlRejectedError("Paged queries must have balanced parentheses", {
+      type: "sql_not_pageable",
+    });
+  }
+
+  const columns = keyset.map((col) => `"${col}"`).join(", ");
+  const values = Array.isArray(params) ? [...params] : [];
+  let where = "";
+  if (after) {
+    const placeholders = after.map((value) => {
+      values.push(value);
+      return `$${values.length}`;
+    });
+    where = ` WHERE (${columns}) > (${placeholders.join(", ")})`;
+  }
+  return {
+    // Newlines, so a trailing line comment in the query cannot swallow the wrapper
+    text: `SELECT * FROM (\n${query}\n) AS chitty_page${where} ORDER BY ${columns} LIMIT ${Math.floor(pageSize) + 1}`,
+    values,
+  };
+}
+
+function keyOf(row, keyset) {
+  return keyset.map((col) => {
+    if (row[col] === undefined || row[col] === null) {
+      throw new SqlRejectedError(`Keyset column ${col} must be present and non-null in every row`, {
+        type: "sql_not_pageable",
+      });
+    }
+    return row[col];
+  });
+}
+
+/**
+ * Fetch the page after the key `after` (the first page when null).
+ *
+ * @returns {Promise<{ rows: Array, fields: Array, hasMore: boolean, after: Array|null, planCost: number|null }>}
+ * @throws {SqlRejectedError} for unbalanced queries, null keys and plans over the ceiling
+ */
+export async function fetchPage(client, { query, params = [], keyset, after = null, pageSize, limits }) {
+  const { text, values } = buildPageQuery(query, params, keyset, after, pageSize);
+
+  await beginGuarded(client, "read", limits);
+  try {
+    // The first page is costed; continuations were already admitted
+    const planCost = after ? null : await checkPlanCost(client, text, values, limits);
+    const fetched = await queryExtended(client, text, values);
+    await client.query("COMMIT");
+
+    const rows = (fetched.rows || []).slice(0, pageSize);
+    const hasMore = (fetched.rows || []).length > pageSize;
+    return {
+      rows,
+      fields: mapFields(fetched.fields),
+      hasMore,
+      after: hasMore ? keyOf(rows[rows.length - 1], keyset) : null,
+      planCost,
+    };
+  } catch (error) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw error;
+  }
+}
+
+/**
+ * Stream rows from a cursor already opened with openReadCursor as NDJSON.
+ *
+ * Lines are `{"type":"fields",...}` once, then `{"type":"row","data":{...}}`
+ * per row, and finally `{"type":"end","rowCount":n,"truncated":bool}` or
+ * `{"type":"error","error":"..."}`. The client is closed when the stream
+ * ends or is cancelled.
+ *
+ * @param {import("@neondatabase/serverless").Client} client
+ * @param {object} opts
+ * @param {number} [opts.batchSize]
+ * @param {number} [opts.maxRows] - Rows after which the stream is truncated
+ * @param {Function} [opts.onComplete] - async ({ rowCount, truncated, error }) => void
+ * @returns {ReadableStream<Uint8Array>}
+ */
+export function streamCursorNdjson(
+  client,
+  { batchSize = STREAM_BATCH_SIZE, maxRows = STREAM_ROW_LIMIT_DEFAULT, onComplete } = {},
+) {
+  const encoder = new TextEncoder();
+  const line = (obj) => encoder.encode(`${JSON.stringify(obj)}\n`);
+  let sent = 0;
+  let fieldsSent = false;
+  let finished = false;
+
+  const finish = async ({ truncated = false, error = null } = {}) => {
+    if (finished) return;
+    finished = true;
+    try {
+      await client.query(error ? "ROLLBACK" : "COMMIT");
+    } catch {
+      // Connection already gone; nothing left to release
+    }
+    try {
+      await client.end();
+    } catch {
+      // Same as above
+    }
+    await onComplete?.({ rowCount: sent, truncated, error });
+  };
+
+  return new ReadableStream({
+    async pull(controller) {
+      try {
+        const remaining = maxRows - sent;
+        // Ask for one extra row at the limit so truncation is detectable
+        const requested = Math.min(batchSize, remaining + 1);
+        const batch = await client.query(`FETCH ${requested} FROM ${CURSOR_NAME}`);
+        const fetched = batch.rows || [];
+
+        if (!fieldsSent) {
+          controller.enqueue(line({ type: "fields", fields: mapFields(batch.fields) || [] }));
+          fieldsSent = true;
+        }
+
+        const rows = fetched.slice(0, remaining);
+        for (const row of rows) {
+          controller.enqueue(line({ type: "row", data: row }));
+        }
+        sent += rows.length;
+
+        const truncated = fetched.length > remaining;
+        if (truncated || fetched.length < requested) {
+          controller.enqueue(line({ type: "end", rowCount: sent, truncated }));
+          await finish({ truncated });
+          controller.close();
+        }
+      } catch (error) {
+        controller.enqueue(line({ type: "error", error: error.message, rowCount: sent }));
+        await finish({ error });
+        controller.close();
+      }
+    },
+    async cancel() {
+      await finish({ error: new Error("stream cancelled by client") });
+    },
+  });
+}
+
+/**
+ * Persist cursor state and return its opaque continuation token.
+ *
+ * @param {object} env - Worker env (uses env.TOKEN_KV)
+ * @param {object} state - { source, database?, query, params, keyset, after, pageSize, actor }
+ * @returns {Promise<string>}
+ */
+export async function saveCursorState(env, state) {
+  const token = `sqlc_${crypto.randomUUID().replace(/-/g, "")}`;
+  await env.TOKEN_KV.put(`${CURSOR_PREFIX}${token}`, JSON.stringify(state), {
+    expirationTtl: CURSOR_TTL_SECONDS,
+  });
+  return token;
+}
+
+/**
+ * Load cursor state for a continuation token. Returns null for unknown or
+ * expired tokens and for tokens opened by a different actor. A null actor
+ * never matches.
+ */
+export async function loadCursorState(env, token, actor) {
+  if (!actor || typeof token !== "string" || !token.startsWith("sqlc_")) return null;
+  const state = await env.TOKEN_KV.get(`${CURSOR_PREFIX}${token}`, { type: "json" });
+  if (!state || state.actor !== actor) return null;
+  return state;
+}
+
+/**
+ * Issue the continuation token for the page after `page`. Each page gets a
+ * fresh token and earlier tokens stay valid until they expire, so retrying
+ * a continuation returns the same page again.
+ *
+ * @returns {Promise<string|null>} The next token, or null after the last page
+ */
+export async function advanceCursor(env, state, page) {
+  if (!page.hasMore) return null;
+  return saveCursorState(env, {
+    ...state,
+    after: page.after,
+  });
+}
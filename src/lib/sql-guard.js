@@ -0,0 +1,491 @@
+/**
+ * SQL Guard
+ *
+ * Classifies SQL submitted to /api/execute/sql, checks it against the
+ * caller's API-key scopes, enforces EXPLAIN cost / row / time limits and
+ * writes an audit row for every statement.
+ *
+ * Scopes are hierarchical: sql:ddl implies sql:write implies sql:read.
+ * Keys with no sql:* scope at all are treated as sql:read so existing
+ * read-only integrations keep working; the `admin` scope grants everything.
+ *
+ * Classification tokenizes the SQL in one pass (quotes, E-strings, dollar
+ * quotes and comments together), so statement boundaries are the ones
+ * Postgres sees. Caller SQL is only ever sent as a named prepared statement
+ * (extended protocol), which Postgres refuses to run with more than one
+ * statement in it.
+ *
+ * @module lib/sql-guard
+ */
+
+export const SQL_SCOPES = {
+  read: "sql:read",
+  write: "sql:write",
+  ddl: "sql:ddl",
+};
+
+const SCOPE_RANK = { read: 1, write: 2, ddl: 3 };
+
+export const SQL_LIMIT_DEFAULTS = {
+  maxRows: 1000,
+  timeoutMs: 10_000,
+  maxCost: 100_000,
+};
+
+const READ_KEYWORDS = new Set(["SELECT", "WITH", "VALUES", "TABLE", "SHOW", "EXPLAIN"]);
+const WRITE_KEYWORDS = new Set(["INSERT", "UPDATE", "DELETE", "MERGE", "COPY", "CALL", "LOCK"]);
+// Anything else (CREATE, DROP, ALTER, TRUNCATE, GRANT, DO, SET, BEGIN, ...)
+// is classified as ddl, the most privileged kind.
+
+// Statements EXPLAIN accepts, and therefore the ones we can cost
+const EXPLAINABLE = new Set(["SELECT", "WITH", "VALUES", "TABLE", "INSERT", "UPDATE", "DELETE", "MERGE"]);
+
+// Server functions with side effects a READ ONLY transaction does not stop
+const ADMIN_FUNCTION_RE = /^(pg_terminate_backend|pg_cancel_backend|pg_reload_conf|set_config|lo_\w+|dblink\w*)$/i;
+
+const IDENT_CHAR = /[A-Za-z0-9_$\u0080-\uffff]/;
+
+/**
+ * Split SQL into statements in a single pass, blanking comments, string
+ * literals (including E'' strings with backslash escapes), dollar-quoted
+ * bodies and quoted identifiers so keywords and semicolons inside them are
+ * not misread.
+ *
+ * @param {string} sql
+ * @returns {{ statements: Array<{ code: string, functions: string[] }>, unterminated: boolean }}
+ *   code is the statement with literals blanked; functions are the names
+ *   of everything called in it
+ */
+export function tokenizeSql(sql) {
+  const statements = [];
+  let code = "";
+  let quotedCalls = [];
+  // A quoted name is a call when the next token (comments aside) is "("
+  let pendingQuoted = null;
+  let unterminated = false;
+  let i = 0;
+
+  const flush = () => {
+    if (code.trim()) {
+      statements.push({ code: code.trim(), functions: [...quotedCalls, ...calledFunctions(code)] });
+    }
+    code = "";
+    quotedCalls = [];
+  };
+
+  while (i < sql.length) {
+    const ch = sql[i];
+    const next = sql[i + 1];
+    const prev = i > 0 ? sql[i - 1] : "";
+    const comment = (ch === "-" && next === "-") || (ch === "/" && next === "*");
+    if (pendingQuoted && !comment && !/\s/.test(ch)) {
+      if (ch === "(") quotedCalls.push(pendingQuoted);
+      pendingQuoted = null;
+    }
+
+    if (ch === "-" && next === "-") {
+      const end = sql.indexOf("\n", i);
+      i = end === -1 ? sql.length : end + 1;
+      code += " ";
+    } else if (ch === "/" && next === "*") {
+      // Block comments nest in Postgres
+      let depth = 1;
+      i += 2;
+      while (i < sql.length && depth > 0) {
+        if (sql[i] === "/" && sql[i + 1] === "*") {
+          depth++;
+          i += 2;
+        } else if (sql[i] === "*" && sql[i + 1] === "/") {
+          depth--;
+          i += 2;
+        } else {
+          i++;
+        }
+      }
+      if (depth > 0) unterminated = true;
+      code += " ";
+    } else if (ch === "'") {
+      // E'...' (not the tail of an identifier) honours backslash escapes
+      const escapes = /[eE]/.test(prev) && !IDENT_CHAR.test(sql[i - 2] || "");
+      i++;
+      let closed = false;
+      while (i < sql.length) {
+        if (escapes && sql[i] === "\\") {
+          i += 2;
+        } else if (sql[i] === "'" && sql[i + 1] === "'") {
+          i += 2;
+        } else if (sql[i] === "'") {
+          i++;
+          closed = true;
+          break;
+        } else {
+          i++;
+        }
+      }
+      if (!closed) unterminated = true;
+      code += "''";
+    } else if (ch === '"') {
+      let name = "";
+      i++;
+      let closed = false;
+      while (i < sql.length) {
+        if (sql[i] === '"' && sql[i + 1] === '"') {
+          name += '"';
+          i += 2;
+        } else if (sql[i] === '"') {
+          i++;
+          closed = true;
+          break;
+        } else {
+          name += sql[i++];
+        }
+      }
+      if (!closed) unterminated = true;
+      pendingQuoted = name.toLowerCase();
+      code += '"_"';
+    } else if (ch === "$" && !IDENT_CHAR.test(prev)) {
+      const tag = sql.slice(i).match(/^\$(?:[A-Za-z_\u0080-\uffff][\w\u0080-\uffff]*)?\$/);
+      if (tag) {
+        const end = sql.indexOf(tag[0], i + tag[0].length);
+        if (end === -1) {
+          unterminated = true;
+          i = sql.length;
+        } else {
+          i = end + tag[0].length;
+        }
+        code += "''";
+      } else {
+        // Positional parameter ($1) or a lone dollar sign
+        code += ch;
+        i++;
+      }
+    } else if (ch === ";") {
+      flush();
+      i++;
+    } else {
+      code += ch;
+      i++;
+    }
+  }
+  flush();
+
+  return { statements, unterminated };
+}
+
+function calledFunctions(code) {
+  const names = [];
+  for (const match of code.matchAll(/([A-Za-z_][\w$]*)\s*\(/g)) {
+    names.push(match[1].toLowerCase());
+  }
+  return names;
+}
+
+function firstKeyword(statement) {
+  const match = statement.replace(/^[\s(]+/, "").match(/^[A-Za-z]+/);
+  return match ? match[0].toUpperCase() : "";
+}
+
+function classifyOne({ code: statement, functions }) {
+  const keyword = firstKeyword(statement);
+
+  // Admin functions take effect even inside a READ ONLY transaction
+  const admin = functions.find((name) => ADMIN_FUNCTION_RE.test(name));
+  if (admin) {
+    return { keyword: keyword || "UNKNOWN", kind: "ddl", adminFunction: admin };
+  }
+
+  if (keyword === "EXPLAIN") {
+    // EXPLAIN ANALYZE executes the inner statement
+    const inner = statement.replace(/^\s*EXPLAIN\s*(\([^)]*\))?\s*/i, "");
+    const analyze = /^\s*EXPLAIN\s*(\([^)]*\bANALYZE\b[^)]*\)|ANALYZE\b)/i.test(statement);
+    const innerStatement = inner.replace(/^((ANALYZE|VERBOSE)\s+)+/i, "");
+    return {
+      keyword,
+      kind: analyze ? classifyOne({ code: innerStatement, functions }).kind : "read",
+    };
+  }
+
+  if (READ_KEYWORDS.has(keyword)) {
+    // SELECT ... INTO creates a table; data-modifying CTEs and row locks write
+    if (keyword === "SELECT" && /\bINTO\b/i.test(statement)) {
+      return { keyword, kind: "ddl" };
+    }
+    if (/\b(INSERT|UPDATE|DELETE|MERGE)\b/i.test(statement)) {
+      return { keyword, kind: "write" };
+    }
+    return { keyword, kind: "read" };
+  }
+
+  if (WRITE_KEYWORDS.has(keyword)) {
+    return { keyword, kind: "write" };
+  }
+
+  return { keyword: keyword || "UNKNOWN", kind: "ddl" };
+}
+
+/**
+ * Classify a SQL string.
+ *
+ * @param {string} sql
+ * @returns {{ kind: "read"|"write"|"ddl", keyword: string, statementCount: number, explainable: boolean, adminFunction?: string }}
+ *   kind is the most privileged kind across all statements in the string;
+ *   an unterminated quote or comment is classified as ddl
+ */
+export function classifySql(sql) {
+  const { statements, unterminated } = tokenizeSql(String(sql || ""));
+
+  if (statements.length === 0) {
+    return { kind: unterminated ? "ddl" : "read", keyword: "", statementCount: 0, explainable: false };
+  }
+
+  const classified = statements.map(classifyOne);
+  const strongest = classified.reduce((a, b) =>
+    SCOPE_RANK[b.kind] > SCOPE_RANK[a.kind] ? b : a,
+  );
+
+  const result = {
+    kind: unterminated ? "ddl" : strongest.kind,
+    keyword: strongest.keyword,
+    statementCount: statements.length,
+    explainable:
+      !unterminated && statements.length === 1 && EXPLAINABLE.has(classified[0].keyword),
+  };
+  if (strongest.adminFunction) result.adminFunction = strongest.adminFunction;
+  return result;
+}
+
+/**
+ * Highest SQL kind the API key may run.
+ *
+ * @param {object} keyInfo - API key record from the auth middleware
+ * @returns {"read"|"write"|"ddl"}
+ */
+export function grantedSqlLevel(keyInfo = {}) {
+  const scopes = keyInfo.scopes || [];
+  if (keyInfo.role === "admin" || scopes.includes("admin")) return "ddl";
+  if (scopes.includes(SQL_SCOPES.ddl)) return "ddl";
+  if (scopes.includes(SQL_SCOPES.write)) return "write";
+  return "read";
+}
+
+/**
+ * @param {object} keyInfo
+ * @param {"read"|"write"|"ddl"} kind
+ * @returns {string|null} The missing scope, or null when allowed
+ */
+export function missingSqlScope(keyInfo, kind) {
+  return SCOPE_RANK[grantedSqlLevel(keyInfo)] >= SCOPE_RANK[kind]
+    ? null
+    : SQL_SCOPES[kind];
+}
+
+/**
+ * Resolve effective limits. Environment sets the ceiling, the API key may
+ * carry its own `sqlLimits`, and the request may only tighten them further.
+ */
+export function resolveSqlLimits(env = {}, keyInfo = {}, requested = {}) {
+  const fromEnv = {
+    maxRows: Number(env.SQL_MAX_ROWS) || SQL_LIMIT_DEFAULTS.maxRows,
+    timeoutMs: Number(env.SQL_STATEMENT_TIMEOUT_MS) || SQL_LIMIT_DEFAULTS.timeoutMs,
+    maxCost: Number(env.SQL_MAX_PLAN_COST) || SQL_LIMIT_DEFAULTS.maxCost,
+  };
+  const limits = { ...fromEnv, ...(keyInfo.sqlLimits || {}) };
+
+  for (const key of ["maxRows", "timeoutMs"]) {
+    const value = Number(requested[key]);
+    if (value > 0 && value < limits[key]) {
+      limits[key] = Math.floor(value);
+    }
+  }
+  return limits;
+}
+
+export class SqlRejectedError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = "SqlRejectedError";
+    Object.assign(this, details);
+  }
+}
+
+let statementSeq = 0;
+
+/**
+ * Run caller-supplied SQL over the extended protocol. The client only
+ * prepares queries that have a name or parameters, and the simple protocol
+ * it falls back to runs every statement in the string — so each call gets
+ * its own statement name.
+ *
+ * @param {import("@neondatabase/serverless").Client} client
+ * @param {string} text
+ * @param {Array} [params]
+ */
+export function queryExtended(client, text, params = []) {
+  statementSeq = (statementSeq + 1) % Number.MAX_SAFE_INTEGER;
+  return client.query({
+    name: `chitty_sql_${statementSeq}`,
+    text,
+    values: Array.isArray(params) ? params : [],
+  });
+}
+
+/**
+ * @param {object} classification - from classifySql
+ * @throws {SqlRejectedError} unless it holds exactly one statement
+ */
+export function assertSingleStatement(classification) {
+  if (classification.statementCount !== 1) {
+    throw new SqlRejectedError("Exactly one SQL statement is required", {
+      type: "sql_multiple_statements",
+    });
+  }
+}
+
+/**
+ * Run one classified statement on a connected pg client with the guard's
+ * limits applied.
+ *
+ * Read statements run in a READ ONLY transaction, so side-effecting
+ * functions called from a SELECT still fail. Explainable statements are
+ * costed with EXPLAIN first and rejected above the ceiling.
+ *
+ * @param {import("@neondatabase/serverless").Client} client
+ * @param {object} opts
+ * @param {string} opts.query
+ * @param {Array} [opts.params]
+ * @param {object} opts.classification - from classifySql
+ * @param {object} opts.limits - from resolveSqlLimits
+ * @returns {Promise<{ result: object, rows: Array, truncated: boolean, planCost: number|null }>}
+ * @throws {SqlRejectedError} when the plan cost exceeds the ceiling or the
+ *   query is not exactly one statement
+ */
+export async function executeGuarded(client, { query, params = [], classification, limits }) {
+  assertSingleStatement(classification);
+
+  // VACUUM, CREATE INDEX CONCURRENTLY etc. cannot run inside a transaction
+  const transactional = classification.kind !== "ddl";
+  await beginGuarded(client, classification.kind, limits);
+
+  try {
+    const planCost = classification.explainable
+      ? await checkPlanCost(client, query, params, limits)
+      : null;
+
+    const result = await queryExtended(client, query, params);
+    if (transactional) {
+      await client.query("COMMIT");
+    }
+
+    const rows = result.rows || [];
+    return {
+      result,
+      rows: rows.slice(0, limits.maxRows),
+      truncated: rows.length > limits.maxRows,
+      planCost,
+    };
+  } catch (error) {
+    if (transactional) {
+      await client.query("ROLLBACK").catch(() => {});
+    }
+    throw error;
+  }
+}
+
+/**
+ * Open the transaction a statement of this kind runs in and apply the
+ * statement timeout. ddl runs outside a transaction with a session timeout.
+ *
+ * @param {import("@neondatabase/serverless").Client} client
+ * @param {"read"|"write"|"ddl"} kind
+ * @param {object} limits - from resolveSqlLimits
+ */
+export async function beginGuarded(client, kind, limits) {
+  const timeoutMs = Math.floor(Number(limits.timeoutMs)) || SQL_LIMIT_DEFAULTS.timeoutMs;
+  if (kind === "ddl") {
+    await client.query(`SET statement_timeout = ${timeoutMs}`);
+    return;
+  }
+  await client.query(kind === "read" ? "BEGIN READ ONLY" : "BEGIN");
+  await client.query(`SET LOCAL statement_timeout = ${timeoutMs}`);
+}
+
+/**
+ * Cost a statement with EXPLAIN and reject it above the ceiling.
+ *
+ * @returns {Promise<number|null>} Estimated total cost, if the plan had one
+ * @throws {SqlRejectedError}
+ */
+export async function checkPlanCost(client, query, params, limits) {
+  // A newline, so a trailing line comment in the query cannot swallow anything
+  const explained = await queryExtended(client, `EXPLAIN (FORMAT JSON)\n${query}\n`, params);
+  const planCost = extractPlanCost(explained);
+  if (planCost !== null && planCost > limits.maxCost) {
+    throw new SqlRejectedError(
+      `Estimated plan cost ${planCost} exceeds the ceiling of ${limits.maxCost}`,
+      { planCost, maxCost: limits.maxCost },
+    );
+  }
+  return planCost;
+}
+
+function extractPlanCost(explained) {
+  const row = explained?.rows?.[0];
+  if (!row) return null;
+  let plan = row["QUERY PLAN"] ?? Object.values(row)[0];
+  if (typeof plan === "string") {
+    try {
+      plan = JSON.parse(plan);
+    } catch {
+      return null;
+    }
+  }
+  const cost = plan?.[0]?.Plan?.["Total Cost"];
+  return typeof cost === "number" ? cost : null;
+}
+
+async function sha256Hex(text) {
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest))
+    .map((b) => b.toString(16).padStart(2, "0"))
+    .join("");
+}
+
+/**
+ * Write one sql_audit_log row. Never throws — an audit failure is logged
+ * but must not mask the statement's own outcome.
+ *
+ * @param {object} env - Worker env (uses env.DB)
+ * @param {object} entry
+ */
+export async function recordSqlAudit(env, entry) {
+  if (!env.DB) return;
+  try {
+    const query = String(entry.query || "");
+    await env.DB.prepare(
+      `INSERT INTO sql_audit_log
+         (id, actor, database_name, statement_kind, required_scope, query_hash,
+          query_text, param_count, outcome, reason, plan_cost, row_count,
+          truncated, duration_ms)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    )
+      .bind(
+        `sqa_${crypto.randomUUID()}`,
+        entry.actor || null,
+        entry.database,
+        entry.kind,
+        SQL_SCOPES[entry.kind],
+        await sha256Hex(query),
+        query.slice(0, 4000),
+        entry.paramCount || 0,
+        entry.outcome,
+        entry.reason || null,
+        entry.planCost ?? null,
+        entry.rowCount ?? null,
+        entry.truncated ? 1 : 0,
+        entry.durationMs ?? null,
+      )
+      .run();
+  } catch (error) {
+    console.error("[SqlGuard] audit write failed:", error.message);
+  }
+}
@@ -3,12 +3,15 @@
  *
  * Resolves tenant context from a request and returns the appropriate
  * Neon database connection string — either tenant-owned or platform.
+ * Suspended tenants and tenants over a hard quota are refused before
+ * connecting (services/tenant-metering.js), and queries are metered.
  *
  * @module lib/tenant-connection-router
  */
 
 import { Client } from "@neondatabase/serverless";
 import { TenantProjectManager } from "../services/tenant-project-manager.js";
+import { TenantMetering, isWriteQuery } from "../services/tenant-metering.js";
 import { getCredential } from "./credential-helper.js";
 
 /**
@@ -16,10 +19,15 @@ import { getCredential } from "./credential-helper.js";
  *
  * @param {object} env - Worker environment bindings
  * @param {string} tenantId - Tenant identifier
+ * @param {object} [options]
+ * @param {boolean} [options.write] - Caller will write (enforces the storage quota)
  * @returns {Promise<{client: Client, layer: string}>} Connected client and which layer it points to
+ * @throws {import("../services/tenant-metering.js").TenantAccessError} Tenant suspended or over quota
  */
-export async function getTenantDb(env, tenantId) {
+export async function getTenantDb(env, tenantId, options = {}) {
   if (tenantId) {
+    await new TenantMetering(env).checkAccess(tenantId, { write: options.write === true });
+
     const manager = new TenantProjectManager(env);
     const connectionUri = await manager.getTenantConnection(tenantId);
 
@@ -71,9 +79,14 @@ export async function getTenantDb(env, tenantId) {
  * @returns {Promise<{rows: any[], layer: string}>}
  */
 export async function queryTenantDb(env, tenantId, query, params = []) {
-  const { client, layer } = await getTenantDb(env, tenantId);
+  const { client, layer } = await getTenantDb(env, tenantId, {
+    write: isWriteQuery(query),
+  });
   try {
     const result = await client.query(query, params);
+    if (layer === "tenant") {
+      await new TenantMetering(env).recordQuery(tenantId);
+    }
     return { rows: result.rows || [], layer };
   } finally {
     await client.end().catch((err) => {
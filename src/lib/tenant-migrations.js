@@ -1,10 +1,15 @@
 /**
  * Tenant Migration Runner
  *
- * Runs base PostgreSQL migrations on newly provisioned tenant Neon projects.
+ * Runs base PostgreSQL migrations on newly provisioned tenant Neon projects,
+ * and upgrades (or rolls back) tenants that are already provisioned.
  * Migrations are defined inline (not read from filesystem) since Cloudflare
  * Workers don't have filesystem access at runtime.
  *
+ * Each migration has `sql` (up) and `down`; applied versions are recorded in
+ * the tenant's own `_tenant_schema_version` table. The fan-out across
+ * tenants lives in services/tenant-schema-upgrader.js.
+ *
  * @module lib/tenant-migrations
  */
 
@@ -12,7 +17,9 @@ import { Client } from "@neondatabase/serverless";
 
 /**
  * Ordered list of tenant base migrations.
- * Each migration runs once per tenant project during provisioning.
+ * Each migration runs once per tenant project during provisioning, and
+ * reaches existing tenants through POST /api/v1/tenants/migrations/apply.
+ * `down` reverses `sql`; it must never drop `_tenant_schema_version`.
  */
 const TENANT_MIGRATIONS = [
   {
@@ -80,6 +87,11 @@ const TENANT_MIGRATIONS = [
       CREATE INDEX IF NOT EXISTS idx_families_parent ON document_families(parent_document_id);
       CREATE INDEX IF NOT EXISTS idx_families_child ON document_families(child_document_id);
     `,
+    down: `
+      DROP TABLE IF EXISTS document_families;
+      DROP TABLE IF EXISTS evidence_custody_log;
+      DROP TABLE IF EXISTS evidence_documents;
+    `,
   },
   {
     version: 2,
@@ -127,16 +139,56 @@ const TENANT_MIGRATIONS = [
         applied_at TIMESTAMPTZ DEFAULT NOW()
       );
     `,
+    down: `
+      DROP TABLE IF EXISTS financial_records;
+      DROP TABLE IF EXISTS client_documents;
+    `,
   },
 ];
 
+/** Schema version a fully migrated tenant is on */
+const LATEST_TENANT_VERSION = TENANT_MIGRATIONS.at(-1).version;
+
 /**
- * Run all pending migrations on a tenant's Neon database.
+ * Plan the steps that take a tenant from its applied versions to a target.
+ * Upgrades apply missing versions up to the target in order; downgrades
+ * run `down` for applied versions above the target, newest first.
+ *
+ * @param {number[]} appliedVersions - Versions in the tenant's _tenant_schema_version
+ * @param {number} [targetVersion] - Defaults to the latest version
+ * @returns {{from: number, to: number, steps: Array<{version: number, name: string, direction: "up"|"down", sql: string}>}}
+ */
+export function planTenantMigrations(appliedVersions, targetVersion = LATEST_TENANT_VERSION) {
+  if (!Number.isInteger(targetVersion) || targetVersion < 0 || targetVersion > LATEST_TENANT_VERSION) {
+    throw new Error(`targetVersion must be an integer from 0 to ${LATEST_TENANT_VERSION}`);
+  }
+
+  const applied = new Set(appliedVersions);
+  const from = applied.size ? Math.max(...applied) : 0;
+
+  const downs = TENANT_MIGRATIONS.filter((m) => m.version > targetVersion && applied.has(m.version))
+    .reverse()
+    .map((m) => {
+      if (!m.down) throw new Error(`Tenant migration ${m.name} has no down migration`);
+      return { version: m.version, name: m.name, direction: "down", sql: m.down };
+    });
+  const ups = TENANT_MIGRATIONS.filter((m) => m.version <= targetVersion && !applied.has(m.version)).map(
+    (m) => ({ version: m.version, name: m.name, direction: "up", sql: m.sql }),
+  );
+
+  return { from, to: targetVersion, steps: [...downs, ...ups] };
+}
+
+/**
+ * Bring a tenant's database to a schema version, one transaction per step.
  *
  * @param {string} connectionUri - Neon connection string
- * @returns {Promise<{applied: number, total: number}>}
+ * @param {object} [options]
+ * @param {number} [options.targetVersion] - Defaults to the latest version
+ * @param {boolean} [options.dryRun] - Plan only; nothing is executed
+ * @returns {Promise<{from: number, to: number, version: number, steps: object[], applied: number}>}
  */
-export async function runTenantMigrations(connectionUri) {
+export async function migrateTenantSchema(connectionUri, options = {}) {
   const client = new Client({ connectionString: connectionUri });
   try {
     await client.connect();
@@ -154,30 +206,46 @@ export async function runTenantMigrations(connectionUri) {
     const { rows } = await client.query(
       "SELECT version FROM _tenant_schema_version ORDER BY version",
     );
-    const appliedVersions = new Set(rows.map((r) => r.version));
+    const plan = planTenantMigrations(
+      rows.map((r) => r.version),
+      options.targetVersion ?? LATEST_TENANT_VERSION,
+    );
 
-    let applied = 0;
-    for (const migration of TENANT_MIGRATIONS) {
-      if (appliedVersions.has(migration.version)) continue;
+    if (options.dryRun) {
+      return { ...plan, version: plan.from, applied: 0 };
+    }
 
+    let applied = 0;
+    let version = plan.from;
+    for (const step of plan.steps) {
       await client.query("BEGIN");
       try {
-        await client.query(migration.sql);
-        await client.query(
-          "INSERT INTO _tenant_schema_version (version, migration_name) VALUES ($1, $2)",
-          [migration.version, migration.name],
-        );
+        await client.query(step.sql);
+        if (step.direction === "up") {
+          await client.query(
+            "INSERT INTO _tenant_schema_version (version, migration_name) VALUES ($1, $2)",
+            [step.version, step.name],
+          );
+        } else {
+          await client.query(
+            "DELETE FROM _tenant_schema_version WHERE version = $1",
+            [step.version],
+          );
+        }
         await client.query("COMMIT");
         applied++;
+        version = step.direction === "up" ? step.version : step.version - 1;
       } catch (err) {
         await client.query("ROLLBACK").catch(() => {});
-        throw new Error(
-          `Tenant migration ${migration.name} failed: ${err.message}`,
-        );
+        const label = step.direction === "down" ? `${step.name} (down)` : step.name;
+        const error = new Error(`Tenant migration ${label} failed: ${err.message}`);
+        error.version = version;
+        error.applied = applied;
+        throw error;
       }
     }
 
-    return { applied, total: TENANT_MIGRATIONS.length };
+    return { ...plan, version, applied };
   } finally {
     await client.end().catch((err) => {
       console.warn(
@@ -188,4 +256,15 @@ export async function runTenantMigrations(connectionUri) {
   }
 }
 
-export { TENANT_MIGRATIONS };
+/**
+ * Run all pending migrations on a tenant's Neon database.
+ *
+ * @param {string} connectionUri - Neon connection string
+ * @returns {Promise<{applied: number, total: number, version: number}>}
+ */
+export async function runTenantMigrations(connectionUri) {
+  const result = await migrateTenantSchema(connectionUri);
+  return { applied: result.applied, total: TENANT_MIGRATIONS.length, version: result.version };
+}
+
+export { TENANT_MIGRATIONS, LATEST_TENANT_VERSION };
@@ -4,10 +4,20 @@
  * Resolves trust levels via ChittyScore DRL reckoning (TY/VY/RY model).
  * Derives backward-compatible trust_level (0-5) from TY/VY/RY composite.
  *
+ * When ChittyScore is unreachable (a network error or a 5xx), TY/VY/RY are
+ * computed locally from experience profiles, behavioral traits and ledger
+ * history (lib/local-trust.js). Local results carry `source: "local"`, are capped
+ * at PROFESSIONAL, and are cached briefly so ChittyScore is retried soon.
+ * Each local result is also kept under `trust:local:<id>` until ChittyScore
+ * answers for that entity; the remote result then replaces it and records
+ * the drift (see reconcileLocalTrust for the cron sweep).
+ *
  * @canon: chittycanon://docs/tech/spec/chittyid-spec#trust-levels
  * @module lib/trust-resolver
  */
 
+import { computeLocalTrust } from "./local-trust.js";
+
 /** Canonical trust level constants (0-5 scale) — backward compat */
 export const TRUST_LEVELS = {
   ANONYMOUS: 0,
@@ -19,6 +29,13 @@ export const TRUST_LEVELS = {
 };
 
 const CACHE_TTL = 300; // 5 minutes
+const LOCAL_CACHE_TTL = 60; // retry ChittyScore sooner after a local result
+const PENDING_TTL = 86400; // local results awaiting reconciliation
+const PENDING_PREFIX = "trust:local:";
+const SCORE_TIMEOUT_MS = 5000; // a hung ChittyScore falls back like a down one
+
+/** Highest trust_level local scoring may grant. */
+export const LOCAL_TRUST_CEILING = TRUST_LEVELS.PROFESSIONAL;
 
 /**
  * Derive trust_level (0-5) from TY/VY/RY reckoning.
@@ -34,22 +51,108 @@ function deriveTrustLevel(ty, vy, ry) {
   return Math.min(5, Math.floor(composite * 5));
 }
 
+function entityTypeOf(chittyId) {
+  // Extract entity type from ChittyID format: VV-G-LLL-SSSS-T-YM-C-X (segment 4)
+  const segments = (chittyId || "").split("-");
+  return segments.length >= 5 ? segments[4] : "P";
+}
+
+/**
+ * Score an entity locally, or null when there is no local history.
+ */
+async function resolveLocally(chittyId, entityType, env) {
+  let scores;
+  try {
+    scores = await computeLocalTrust(chittyId, env);
+  } catch (err) {
+    console.error(
+      `[TrustResolver] Local scoring failed for ${chittyId}:`,
+      err.message,
+    );
+    return null;
+  }
+  if (!scores) return null;
+
+  const { ty, vy, ry, signals } = scores;
+  const result = {
+    trust_level: Math.min(LOCAL_TRUST_CEILING, deriveTrustLevel(ty, vy, ry)),
+    entity_type: entityType,
+    ty,
+    vy,
+    ry,
+    source: "local",
+    computed_at: new Date().toISOString(),
+    signals,
+  };
+
+  if (env.CREDENTIAL_CACHE) {
+    const serialized = JSON.stringify(result);
+    await env.CREDENTIAL_CACHE.put(`trust:${chittyId}`, serialized, {
+      expirationTtl: LOCAL_CACHE_TTL,
+    });
+    await env.CREDENTIAL_CACHE.put(`${PENDING_PREFIX}${chittyId}`, serialized, {
+      expirationTtl: PENDING_TTL,
+    });
+  }
+  return result;
+}
+
+/**
+ * Attach drift against a pending local result, if any, and clear it.
+ */
+async function reconcile(chittyId, result, env) {
+  const pendingKey = `${PENDING_PREFIX}${chittyId}`;
+  const pending = await env.CREDENTIAL_CACHE.get(pendingKey);
+  if (!pending) return result;
+
+  await env.CREDENTIAL_CACHE.delete(pendingKey);
+  let local;
+  try {
+    local = JSON.parse(pending);
+  } catch {
+    return result;
+  }
+
+  if (local.trust_level !== result.trust_level) {
+    console.warn(
+      `[TrustResolver] ChittyScore trust_level ${result.trust_level} differs from local ${local.trust_level} for ${chittyId}`,
+    );
+  }
+  const drift = (a, b) => Math.round(((a ?? 0) - (b ?? 0)) * 1000) / 1000;
+  return {
+    ...result,
+    reconciled: {
+      local_trust_level: local.trust_level,
+      local_computed_at: local.computed_at ?? null,
+      drift: {
+        trust_level: result.trust_level - local.trust_level,
+        ty: drift(result.ty, local.ty),
+        vy: drift(result.vy, local.vy),
+        ry: drift(result.ry, local.ry),
+      },
+    },
+  };
+}
+
 /**
  * Resolve trust level for a ChittyID entity.
  *
  * Calls ChittyScore DRL reckoning endpoint, caches result in KV.
- * Returns backward-compatible trust_level plus TY/VY/RY breakdown.
+ * Returns backward-compatible trust_level plus TY/VY/RY breakdown and the
+ * `source` of the scores ("chittyscore" or "local"). Falls back to local
+ * scoring when ChittyScore is unreachable or erroring (5xx), and to
+ * ANONYMOUS when there is nothing to score locally either. Any other
+ * non-OK answer (e.g. 404 for an entity ChittyScore does not know) is
+ * ANONYMOUS: local history must not vouch for what ChittyScore rejected.
  *
  * @param {string} chittyId - Entity ChittyID
- * @param {object} env - Worker environment (needs CREDENTIAL_CACHE KV)
- * @returns {Promise<{trust_level: number, entity_type: string, ty: number, vy: number, ry: number}>}
+ * @param {object} env - Worker environment (needs CREDENTIAL_CACHE KV; DB for local scoring)
+ * @param {{ refresh?: boolean }} [opts] - refresh skips the cache read
+ * @returns {Promise<{trust_level: number, entity_type: string, ty: number, vy: number, ry: number, source?: string}>}
  */
-export async function resolveTrustLevel(chittyId, env) {
+export async function resolveTrustLevel(chittyId, env, { refresh = false } = {}) {
   const cacheKey = `trust:${chittyId}`;
-
-  // Extract entity type from ChittyID format: VV-G-LLL-SSSS-T-YM-C-X (segment 4)
-  const segments = (chittyId || "").split("-");
-  const entityType = segments.length >= 5 ? segments[4] : "P";
+  const entityType = entityTypeOf(chittyId);
 
   // Fail-closed fallback: ANONYMOUS trust grants no governance permissions
   const FALLBACK = { trust_level: TRUST_LEVELS.ANONYMOUS, entity_type: entityType, ty: 0, vy: 0, ry: 0 };
@@ -58,11 +161,11 @@ export async function resolveTrustLevel(chittyId, env) {
     console.error(
       `[TrustResolver] CREDENTIAL_CACHE binding missing for ${chittyId}`,
     );
-    return FALLBACK;
+    return (await resolveLocally(chittyId, entityType, env)) ?? FALLBACK;
   }
 
   // Check cache
-  const cached = await env.CREDENTIAL_CACHE.get(cacheKey);
+  const cached = refresh ? null : await env.CREDENTIAL_CACHE.get(cacheKey);
   if (cached) {
     try {
       return JSON.parse(cached);
@@ -84,6 +187,7 @@ export async function resolveTrustLevel(chittyId, env) {
           "Content-Type": "application/json",
           "X-Source-Service": "chittyconnect",
         },
+        signal: AbortSignal.timeout(SCORE_TIMEOUT_MS),
       },
     );
 
@@ -91,7 +195,8 @@ export async function resolveTrustLevel(chittyId, env) {
       console.error(
         `[TrustResolver] ChittyScore returned ${resp.status} for ${chittyId}`,
       );
-      return FALLBACK;
+      if (resp.status < 500) return FALLBACK;
+      return (await resolveLocally(chittyId, entityType, env)) ?? FALLBACK;
     }
 
     const data = await resp.json();
@@ -99,13 +204,18 @@ export async function resolveTrustLevel(chittyId, env) {
     const vy = data.vy ?? 0;
     const ry = data.ry ?? 0;
 
-    const result = {
-      trust_level: deriveTrustLevel(ty, vy, ry),
-      entity_type: entityType,
-      ty,
-      vy,
-      ry,
-    };
+    const result = await reconcile(
+      chittyId,
+      {
+        trust_level: deriveTrustLevel(ty, vy, ry),
+        entity_type: entityType,
+        ty,
+        vy,
+        ry,
+        source: "chittyscore",
+      },
+      env,
+    );
 
     // Cache with TTL
     await env.CREDENTIAL_CACHE.put(cacheKey, JSON.stringify(result), {
@@ -118,6 +228,30 @@ export async function resolveTrustLevel(chittyId, env) {
       `[TrustResolver] Failed to resolve trust for ${chittyId}:`,
       err.message,
     );
-    return FALLBACK;
+    return (await resolveLocally(chittyId, entityType, env)) ?? FALLBACK;
+  }
+}
+
+/**
+ * Re-resolve entities whose trust was last scored locally, so ChittyScore
+ * results replace them as soon as it is reachable. Run from the 5-minute
+ * cron.
+ *
+ * @param {object} env
+ * @param {{ limit?: number }} [opts]
+ * @returns {Promise<{ checked: number, reconciled: number, pending: number }>}
+ */
+export async function reconcileLocalTrust(env, { limit = 50 } = {}) {
+  const summary = { checked: 0, reconciled: 0, pending: 0 };
+  if (!env.CREDENTIAL_CACHE) return summary;
+
+  const { keys = [] } = await env.CREDENTIAL_CACHE.list({ prefix: PENDING_PREFIX, limit });
+  for (const { name } of keys) {
+    const chittyId = name.slice(PENDING_PREFIX.length);
+    const result = await resolveTrustLevel(chittyId, env, { refresh: true });
+    summary.checked++;
+    if (result.source === "chittyscore") summary.reconciled++;
+    else summary.pending++;
   }
+  return summary;
 }
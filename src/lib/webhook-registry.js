@@ -0,0 +1,408 @@
+/**
+ * Webhook Agent Registry
+ *
+ * Tenant-scoped webhook subscriptions stored in D1 (`webhook_subscriptions`,
+ * see migrations/021_webhook_subscriptions.sql). Replaces the hard-coded
+ * AGENTS map in handlers/webhook-router.js, which remains the fallback when
+ * the registry cannot be read.
+ *
+ * A subscription matches an event when its source matches, one of its
+ * `event_types` patterns matches the event key (see eventKeyFor), and every
+ * `conditions` predicate holds against the payload.
+ *
+ * @module lib/webhook-registry
+ */
+
+export const DEFAULT_TENANT = "chittyos-default";
+
+const CONDITION_OPS = new Set(["eq", "neq", "contains", "in", "exists"]);
+const SOURCE_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+
+// Hostnames that never leave the local network
+const INTERNAL_HOST = /(^|\.)(localhost|local|internal|localdomain|home\.arpa)$/i;
+
+function isPrivateIPv4(host) {
+  const parts = host.split(".").map(Number);
+  if (parts.length !== 4 || parts.some((n) => !Number.isInteger(n) || n < 0 || n > 255)) {
+    return false;
+  }
+  const [a, b] = parts;
+  return (
+    a === 0 ||
+    a === 10 ||
+    a === 127 ||
+    (a === 100 && b >= 64 && b <= 127) || // carrier-grade NAT
+    (a === 169 && b === 254) || // link-local, cloud metadata
+    (a === 172 && b >= 16 && b <= 31) ||
+    (a === 192 && b === 168) ||
+    a >= 224 // multicast and reserved
+  );
+}
+
+function isPrivateIPv6(host) {
+  const addr = host.replace(/^\[|\]$/g, "").toLowerCase();
+  // Unspecified, loopback, and IPv4-mapped or -compatible addresses
+  // (::ffff:10.0.0.1) — a public service has no reason to use these
+  if (addr.startsWith("::")) return true;
+  return /^f[cd]/.test(addr) || /^fe[89ab]/.test(addr); // unique-local, link-local
+}
+
+/**
+ * Whether a delivery target would reach a private, loopback or link-local
+ * address. Literal addresses only: names are not resolved here.
+ *
+ * @param {URL} url
+ * @returns {boolean}
+ */
+export function isInternalTarget(url) {
+  const host = url.hostname;
+  if (host.startsWith("[")) return isPrivateIPv6(host);
+  return INTERNAL_HOST.test(host) || isPrivateIPv4(host) || !host.includes(".");
+}
+
+function hasDb(env) {
+  return Boolean(env.DB && typeof env.DB.prepare === "function");
+}
+
+function parseJsonArray(value) {
+  if (Array.isArray(value)) return value;
+  try {
+    const parsed = JSON.parse(value || "[]");
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+function newSigningSecret() {
+  const bytes = new Uint8Array(32);
+  crypto.getRandomValues(bytes);
+  return (
+    "whsec_" +
+    Array.from(bytes)
+      .map((b) => b.toString(16).padStart(2, "0"))
+      .join("")
+  );
+}
+
+/**
+ * Public shape of a subscription row. Never includes the signing secret.
+ */
+function toSubscription(row) {
+  return {
+    id: row.id,
+    tenantId: row.tenant_id,
+    source: row.source,
+    name: row.name,
+    targetUrl: row.target_url,
+    eventTypes: parseJsonArray(row.event_types),
+    conditions: parseJsonArray(row.conditions),
+    signed: Boolean(row.signing_secret),
+    status: row.status,
+    createdBy: row.created_by || null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * Event key used for event-type filters: "<type>.<action>" when the payload
+ * carries both (Linear: "Issue.update"), otherwise the type / event / action.
+ *
+ * @param {object} payload
+ * @returns {string}
+ */
+export function eventKeyFor(payload = {}) {
+  if (payload.type && payload.action) return `${payload.type}.${payload.action}`;
+  return payload.type || payload.event || payload.action || "unknown";
+}
+
+function globToRegExp(pattern) {
+  const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*");
+  return new RegExp(`^${escaped}$`);
+}
+
+function matchesEventType(patterns, payload) {
+  if (!patterns.length) return true;
+  const keys = new Set([eventKeyFor(payload)]);
+  for (const k of [payload.type, payload.event, payload.action]) {
+    if (k) keys.add(k);
+  }
+  return patterns.some((p) => [...keys].some((k) => globToRegExp(p).test(k)));
+}
+
+function readPath(payload, path) {
+  return path
+    .split(".")
+    .reduce((node, key) => (node == null ? undefined : node[key]), payload);
+}
+
+function matchesCondition({ path, op, value }, payload) {
+  const actual = readPath(payload, path);
+  switch (op) {
+    case "exists":
+      return value === false ? actual === undefined : actual !== undefined;
+    case "eq":
+      return actual === value;
+    case "neq":
+      return actual !== value;
+    case "contains":
+      return (
+        typeof actual === "string" &&
+        actual.toLowerCase().includes(String(value).toLowerCase())
+      );
+    case "in":
+      return Array.isArray(value) && value.includes(actual);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Does this subscription want this event?
+ *
+ * @param {object} subscription - Public subscription (see toSubscription)
+ * @param {object} payload - Webhook payload
+ * @returns {boolean}
+ */
+export function matchesSubscription(subscription, payload) {
+  if (subscription.status !== "active") return false;
+  if (!matchesEventType(subscription.eventTypes, payload)) return false;
+  return subscription.conditions.every((cond) => matchesCondition(cond, payload));
+}
+
+/**
+ * Validate create/update input. Returns an error string or null.
+ *
+ * @param {object} input
+ * @param {object} [options]
+ * @param {boolean} [options.partial=false] - PATCH semantics
+ * @returns {string|null}
+ */
+export function validateSubscriptionInput(input, { partial = false } = {}) {
+  const required = partial ? [] : ["source", "name", "targetUrl"];
+  for (const field of required) {
+    if (!input[field]) return `${field} is required`;
+  }
+  if (input.source !== undefined && !SOURCE_PATTERN.test(input.source)) {
+    return "source must be lowercase alphanumeric (a-z, 0-9, _ and -)";
+  }
+  if (input.targetUrl !== undefined) {
+    let url;
+    try {
+      url = new URL(input.targetUrl);
+    } catch {
+      return "targetUrl must be a valid URL";
+    }
+    if (url.protocol !== "https:") {
+      return "targetUrl must be https";
+    }
+    if (url.username || url.password) {
+      return "targetUrl must not carry credentials";
+    }
+    if (isInternalTarget(url)) {
+      return "targetUrl must be a public host (no private, loopback or link-local addresses)";
+    }
+  }
+  if (input.eventTypes !== undefined) {
+    if (
+      !Array.isArray(input.eventTypes) ||
+      input.eventTypes.some((t) => typeof t !== "string" || !t)
+    ) {
+      return "eventTypes must be an array of non-empty strings";
+    }
+  }
+  if (input.conditions !== undefined) {
+    if (!Array.isArray(input.conditions)) return "conditions must be an array";
+    for (const cond of input.conditions) {
+      if (!cond || typeof cond.path !== "string" || !cond.path) {
+        return "each condition needs a path";
+      }
+      if (!CONDITION_OPS.has(cond.op)) {
+        return `condition op must be one of: ${[...CONDITION_OPS].join(", ")}`;
+      }
+    }
+  }
+  if (input.status !== undefined && !["active", "paused"].includes(input.status)) {
+    return "status must be active or paused";
+  }
+  return null;
+}
+
+/**
+ * Resolve the subscriptions an incoming event should be delivered to.
+ *
+ * @param {object} env - Worker environment
+ * @param {object} params
+ * @param {string} params.tenantId
+ * @param {string} params.source
+ * @param {object} params.payload
+ * @returns {Promise<object[]|null>} Matching subscriptions, or null when the
+ *   registry is unavailable and the caller should use its fallback.
+ */
+export async function resolveSubscriptions(env, { tenantId, source, payload }) {
+  if (!hasDb(env)) return null;
+  try {
+    const { results = [] } = await env.DB.prepare(
+      `SELECT * FROM webhook_subscriptions
+       WHERE tenant_id = ? AND source = ? AND status = 'active'
+       ORDER BY created_at ASC`,
+    )
+      .bind(tenantId, source)
+      .all();
+    return results
+      .map(toSubscription)
+      .filter((sub) => matchesSubscription(sub, payload));
+  } catch (err) {
+    console.error("[webhook-registry] Failed to read subscriptions:", err);
+    return null;
+  }
+}
+
+/**
+ * List subscriptions.
+ *
+ * @param {object} env - Worker environment
+ * @param {object} [filters]
+ * @param {string} [filters.tenantId]
+ * @param {string} [filters.source]
+ * @param {string} [filters.status]
+ * @returns {Promise<object[]>}
+ */
+export async function listSubscriptions(env, { tenantId, source, status } = {}) {
+  let sql = "SELECT * FROM webhook_subscriptions WHERE 1=1";
+  const params = [];
+  if (tenantId) {
+    sql += " AND tenant_id = ?";
+    params.push(tenantId);
+  }
+  if (source) {
+    sql += " AND source = ?";
+    params.push(source);
+  }
+  if (status) {
+    sql += " AND status = ?";
+    params.push(status);
+  }
+  sql += " ORDER BY tenant_id, source, created_at";
+  const { results = [] } = await env.DB.prepare(sql).bind(...params).all();
+  return results.map(toSubscription);
+}
+
+/**
+ * @returns {Promise<object|null>}
+ */
+export async function getSubscription(env, id) {
+  const row = await env.DB.prepare("SELECT * FROM webhook_subscriptions WHERE id = ?")
+    .bind(id)
+    .first();
+  return row ? toSubscription(row) : null;
+}
+
+/**
+ * Create a subscription. The signing secret is generated here and returned
+ * only in this response (and from rotateSigningSecret).
+ *
+ * @returns {Promise<{subscription: object, signingSecret: string|null}>}
+ */
+export async function createSubscription(env, input, createdBy = null) {
+  const id = `whs_${crypto.randomUUID()}`;
+  const signingSecret = input.signed === false ? null : newSigningSecret();
+  const tenantId = input.tenantId || DEFAULT_TENANT;
+
+  await env.DB.prepare(
+    `INSERT INTO webhook_subscriptions
+       (id, tenant_id, source, name, target_url, event_types, conditions,
+        signing_secret, status, created_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+  )
+    .bind(
+      id,
+      tenantId,
+      input.source,
+      input.name,
+      input.targetUrl,
+      JSON.stringify(input.eventTypes || []),
+      JSON.stringify(input.conditions || []),
+      signingSecret,
+      input.status || "active",
+      createdBy,
+    )
+    .run();
+
+  return { subscription: await getSubscription(env, id), signingSecret };
+}
+
+const UPDATABLE = {
+  name: "name",
+  targetUrl: "target_url",
+  eventTypes: "event_types",
+  conditions: "conditions",
+  status: "status",
+};
+
+/**
+ * Patch a subscription. Tenant and source are immutable.
+ *
+ * @returns {Promise<object|null>} Updated subscription, null if not found
+ */
+export async function updateSubscription(env, id, patch) {
+  const sets = [];
+  const params = [];
+  for (const [field, column] of Object.entries(UPDATABLE)) {
+    if (patch[field] === undefined) continue;
+    sets.push(`${column} = ?`);
+    params.push(
+      Array.isArray(patch[field]) ? JSON.stringify(patch[field]) : patch[field],
+    );
+  }
+  if (sets.length === 0) return getSubscription(env, id);
+
+  const result = await env.DB.prepare(
+    `UPDATE webhook_subscriptions SET ${sets.join(", ")}, updated_at = datetime('now') WHERE id = ?`,
+  )
+    .bind(...params, id)
+    .run();
+  if ((result?.meta?.changes ?? 0) === 0) return null;
+  return getSubscription(env, id);
+}
+
+/**
+ * @returns {Promise<boolean>} true if a row was deleted
+ */
+export async function deleteSubscription(env, id) {
+  const result = await env.DB.prepare("DELETE FROM webhook_subscriptions WHERE id = ?")
+    .bind(id)
+    .run();
+  return (result?.meta?.changes ?? 0) > 0;
+}
+
+/**
+ * Replace a subscription's signing secret.
+ *
+ * @returns {Promise<string|null>} New secret, null if not found
+ */
+export async function rotateSigningSecret(env, id) {
+  const signingSecret = newSigningSecret();
+  const result = await env.DB.prepare(
+    "UPDATE webhook_subscriptions SET signing_secret = ?, updated_at = datetime('now') WHERE id = ?",
+  )
+    .bind(signingSecret, id)
+    .run();
+  return (result?.meta?.changes ?? 0) > 0 ? signingSecret : null;
+}
+
+/**
+ * Signing secret for outbound deliveries. Internal use only.
+ *
+ * @returns {Promise<string|null>}
+ */
+export async function getSigningSecret(env, id) {
+  if (!hasDb(env) || !id) return null;
+  const row = await env.DB.prepare(
+    "SELECT signing_secret FROM webhook_subscriptions WHERE id = ?",
+  )
+    .bind(id)
+    .first();
+  return row?.signing_secret || null;
+}
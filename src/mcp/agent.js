@@ -19,7 +19,11 @@ export class McpConnectAgent extends McpAgent {
     const authToken = this.props?.authToken;
 
     // createMcpServer returns a fully configured McpServer with all registered tools
-    this.server = createMcpServer(this.env, { baseUrl, authToken });
+    this.server = createMcpServer(this.env, {
+      baseUrl,
+      authToken,
+      sessionId: this.getSessionId(),
+    });
   }
 
   /**
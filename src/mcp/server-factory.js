@@ -22,6 +22,7 @@ import { MCP_TOOL_DEFS } from "./tool-registry.js";
  * @param {object} [opts]
  * @param {string} [opts.baseUrl] - Base URL for local API calls
  * @param {string} [opts.authToken] - Auth token to pass through to tool dispatcher
+ * @param {string} [opts.sessionId] - MCP session id; SQL cursors are bound to it
  * @returns {McpServer}
  */
 export function createMcpServer(env, opts = {}) {
@@ -49,6 +50,8 @@ export function createMcpServer(env, opts = {}) {
         return await dispatchToolCall(def.name, args, env, {
           baseUrl,
           authToken: opts.authToken,
+          // OAuth sessions carry no sql:* scopes, so SQL writes are refused
+          context: { viaBroker: true, sessionId: opts.sessionId },
         });
       },
     );
@@ -8,13 +8,23 @@
  */
 
 import { getCredential, getServiceToken, getMintAuthToken } from "../lib/credential-helper.js";
-import { serviceFetch } from "../lib/service-switch.js";
+import { serviceFetch, getBreakerStates } from "../lib/service-switch.js";
 import {
   getCloudflareApiCredentials,
   parseTimeframe,
 } from "../lib/cloudflare-api-helper.js";
 import { getServiceCatalog } from "../lib/service-catalog.js";
 import { Client } from "@neondatabase/serverless";
+import { classifySql, resolveSqlLimits, queryExtended, missingSqlScope } from "../lib/sql-guard.js";
+import {
+  isPageable,
+  keysetError,
+  cursorOwner,
+  fetchPage,
+  loadCursorState,
+  advanceCursor,
+} from "../lib/sql-cursor.js";
+import { evaluatePolicy, intentForTool } from "../lib/policy-evaluator.js";
 
 /**
  * Parse a fetch response, returning an MCP error result for non-OK responses.
@@ -69,6 +79,160 @@ async function checkAndParseJson(response, label) {
   return { data: parsed, error };
 }
 
+/**
+ * One page of a chitty_neon_query read, using a server-side cursor.
+ * `args.cursor` continues a previous page; otherwise a new cursor is opened
+ * with `args.pageSize` rows per page.
+ *
+ * @returns {Promise<object>} { rows, rowCount, fields, hasMore, nextCursor }
+ *   or { error, status }
+ */
+async function queryNeonPage(env, connectionString, args, context) {
+  if (!env.TOKEN_KV) {
+    return { error: "SQL cursor store not configured", status: 503 };
+  }
+  // Bound to the MCP session or the caller's credential, never shared
+  const actor = await cursorOwner(context?.sessionId);
+  if (!actor) {
+    return { error: "Paging requires an MCP session or API key to bind the cursor to", status: 400 };
+  }
+  const limits = resolveSqlLimits(env);
+
+  let state;
+  if (args.cursor) {
+    state = await loadCursorState(env, args.cursor, actor);
+    if (!state || state.source !== "mcp") {
+      return { error: "Cursor not found or expired", status: 404 };
+    }
+  } else {
+    const query = args.query || args.sql;
+    if (!isPageable(classifySql(query))) {
+      return {
+        error: "Only a single SELECT, WITH, VALUES or TABLE query can be paged",
+        status: 400,
+      };
+    }
+    if (keysetError(args.keyset)) {
+      return { error: keysetError(args.keyset), status: 400 };
+    }
+    state = {
+      source: "mcp",
+      query,
+      params: args.params || [],
+      keyset: args.keyset,
+      after: null,
+      pageSize: Math.min(Math.max(Math.floor(Number(args.pageSize)) || limits.maxRows, 1), limits.maxRows),
+      actor,
+    };
+  }
+
+  const client = new Client({ connectionString });
+  try {
+    await client.connect();
+    const page = await fetchPage(client, { ...state, limits });
+    return {
+      rows: page.rows,
+      rowCount: page.rows.length,
+      fields: page.fields,
+      hasMore: page.hasMore,
+      nextCursor: await advanceCursor(env, state, page),
+    };
+  } catch (error) {
+    return { error: error.message, status: error.name === "SqlRejectedError" ? 422 : 500 };
+  } finally {
+    await client.end().catch(() => {});
+  }
+}
+
+/**
+ * Apply the policy bundle's sensitive-intent rules to a tool call.
+ * Returns an MCP error result when the call is denied, or needs a
+ * confirmation the caller has not given (`confirmed: true`); null to proceed.
+ *
+ * `via_broker` holds only for calls that came in through an authenticated
+ * MCP entry point (`context.viaBroker`), and `scope_granted` reflects the
+ * caller's own sql:* scopes (`context.scopes`, `context.role`).
+ */
+async function checkToolPolicy(env, name, args, context) {
+  const intent = intentForTool(name, args);
+  if (!intent) return null;
+
+  const policyContext = { via_broker: context?.viaBroker === true, tool: name };
+  if (intent === "sql_write" || intent === "sql_ddl") {
+    const keyInfo = { role: context?.role, scopes: context?.scopes || [] };
+    policyContext.scope_granted = !missingSqlScope(keyInfo, intent === "sql_ddl" ? "ddl" : "write");
+  }
+  const { decision, rule } = await evaluatePolicy(env, {
+    intent,
+    chittyId: context?.chittyId,
+    tenantId: context?.tenantId,
+    context: policyContext,
+  });
+  if (decision === "allow") return null;
+  if (decision === "require_confirmation" && args.confirmed === true) return null;
+
+  const text =
+    decision === "deny"
+      ? `Policy error (403): ${rule.error_code} — ${intent} denied by rule ${rule.id}: ${rule.reason}`
+      : `Policy error (428): POLICY_CONFIRMATION_REQUIRED — ${intent} requires confirmation (rule ${rule.id}: ${rule.reason}). Ask the user, then retry with confirmed: true`;
+  return { content: [{ type: "text", text }], isError: true };
+}
+
+/**
+ * Fact governance RBAC for a fact tool call (src/lib/fact-rbac.js).
+ * The actor is the session's authenticated ChittyID (`context.chittyId`);
+ * `args.actor_chitty_id` may only repeat it. Delegations apply to
+ * `args.case_id`; when one is used on an existing fact, the fact must belong
+ * to the delegated case.
+ *
+ * @returns {Promise<{ perm: object, actor: string } | { error: object }>} error is an MCP error result
+ */
+async function authorizeFactAction(env, action, args, context) {
+  const denied = (reason) => ({
+    error: { content: [{ type: "text", text: `Permission denied: ${reason}` }], isError: true },
+  });
+  const actor = context?.chittyId;
+  if (!actor) {
+    return denied(`no ChittyID is bound to this session or API key, so it cannot ${action} facts`);
+  }
+  if (args.actor_chitty_id && args.actor_chitty_id !== actor) {
+    return denied(`actor_chitty_id ${args.actor_chitty_id} is not the authenticated actor`);
+  }
+
+  const { checkFactPermission } = await import("../lib/fact-rbac.js");
+  const perm = await checkFactPermission(actor, action, env, {
+    tenantId: context?.tenantId,
+    caseId: args.case_id,
+  });
+  if (!perm.allowed) return denied(perm.reason);
+
+  if (perm.source === "delegation" && args.fact_id) {
+    const factResp = await serviceFetch(
+      env,
+      "ledger",
+      `/api/facts/${encodeURIComponent(args.fact_id)}`,
+      {},
+    );
+    const fact = factResp.ok ? await factResp.json().catch(() => null) : null;
+    if ((fact?.case_id ?? fact?.fact?.case_id) !== perm.delegation.case_id) {
+      return denied(
+        `delegation ${perm.delegation.id} covers case ${perm.delegation.case_id}, which fact ${args.fact_id} does not belong to`,
+      );
+    }
+  }
+  return { perm, actor };
+}
+
+/** Ledger body fields recording a delegated action */
+function onBehalfOf(perm) {
+  return perm.source === "delegation"
+    ? {
+        on_behalf_of: perm.delegation.delegator_chitty_id,
+        delegation_id: perm.delegation.id,
+      }
+    : {};
+}
+
 async function fetchServiceStatusSnapshot(env) {
   const statusChecks = getServiceCatalog(env).map(async (service) => {
     try {
@@ -101,7 +265,7 @@ async function fetchServiceStatusSnapshot(env) {
   results.forEach((entry) => {
     services[entry.serviceId] = entry;
   });
-  return { services };
+  return { services, breakers: getBreakerStates() };
 }
 
 /**
@@ -209,6 +373,9 @@ export async function dispatchToolCall(name, args = {}, env, options = {}) {
   };
 
   try {
+    const policyRefusal = await checkToolPolicy(env, name, args, context);
+    if (policyRefusal) return policyRefusal;
+
     let result;
 
     // ── Identity tools ──────────────────────────────────────────────
@@ -341,6 +508,10 @@ export async function dispatchToolCall(name, args = {}, env, options = {}) {
       if (respErr) return respErr;
       result = data;
     } else if (name === "chitty_fact_mint") {
+      // RBAC: fact_action_policies (default any entity with trust >= BASIC)
+      const { perm, actor, error: permErr } = await authorizeFactAction(env, "mint", args, context);
+      if (permErr) return permErr;
+
       // Pre-flight: verify the cited evidence exists in ChittyLedger
       const evidenceCheck = await serviceFetch(
         env,
@@ -388,6 +559,8 @@ export async function dispatchToolCall(name, args = {}, env, options = {}) {
           category: args.category,
           // Anchor fact to evidence integrity state at mint time
           evidence_hash_at_mint: evidenceHash,
+          minted_by: actor,
+          ...onBehalfOf(perm),
         },
       });
       const { data, error: respErr } = await checkAndParseJson(
@@ -397,6 +570,10 @@ export async function dispatchToolCall(name, args = {}, env, options = {}) {
       if (respErr) return respErr;
       result = data;
     } else if (name === "chitty_fact_validate") {
+      // RBAC: fact_action_policies (default Person or Authority with trust >= PROFESSIONAL)
+      const { perm, actor, error: permErr } = await authorizeFactAction(env, "validate", args, context);
+      if (permErr) return permErr;
+
       // Pre-flight: verify all corroborating evidence IDs exist (parallel)
       if (args.corroborating_evidence?.length) {
         const checks = await Promise.all(
@@ -434,6 +611,8 @@ export async function dispatchToolCall(name, args = {}, env, options = {}) {
             validation_method: args.validation_method,
             corroborating_evidence: args.corroborating_evidence,
             notes: args.notes,
+            validated_by: actor,
+            ...onBehalfOf(perm),
           },
         },
       );
@@ -444,33 +623,9 @@ export async function dispatchToolCall(name, args = {}, env, options = {}) {
       if (respErr) return respErr;
       result = data;
     } else if (name === "chitty_fact_seal") {
-      if (!args.actor_chitty_id) {
-        return {
-          content: [
-            {
-              type: "text",
-              text: "Missing required parameter: actor_chitty_id",
-            },
-          ],
-          isError: true,
-        };
-      }
-      // RBAC: Authority (A) with trust >= INSTITUTIONAL (4)
-      const { checkFactPermission, FACT_ACTIONS } =
-        await import("../lib/fact-rbac.js");
-      const perm = await checkFactPermission(
-        args.actor_chitty_id,
-        FACT_ACTIONS.SEAL,
-        env,
-      );
-      if (!perm.allowed) {
-        return {
-          content: [
-            { type: "text", text: `Permission denied: ${perm.reason}` },
-          ],
-          isError: true,
-        };
-      }
+      // RBAC: fact_action_policies (default Authority with trust >= INSTITUTIONAL)
+      const { perm, actor, error: permErr } = await authorizeFactAction(env, "seal", args, context);
+      if (permErr) return permErr;
 
       // Seal the fact in ChittyLedger
       const response = await serviceFetch(
@@ -481,8 +636,9 @@ export async function dispatchToolCall(name, args = {}, env, options = {}) {
           method: "POST",
 
           body: {
-            sealed_by: args.actor_chitty_id,
+            sealed_by: actor,
             seal_reason: args.seal_reason,
+            ...onBehalfOf(perm),
           },
         },
       );
@@ -499,7 +655,7 @@ export async function dispatchToolCall(name, args = {}, env, options = {}) {
             fact_id: args.fact_id,
             fact_text: result.fact_text || result.text,
             evidence_chain: result.evidence_chain || [],
-            signer_chitty_id: args.actor_chitty_id,
+            signer_chitty_id: actor,
           });
         } catch (queueErr) {
           console.error(
@@ -517,33 +673,9 @@ export async function dispatchToolCall(name, args = {}, env, options = {}) {
           "PROOF_Q binding not configured. Proof will not be minted.";
       }
     } else if (name === "chitty_fact_dispute") {
-      if (!args.actor_chitty_id) {
-        return {
-          content: [
-            {
-              type: "text",
-              text: "Missing required parameter: actor_chitty_id",
-            },
-          ],
-          isError: true,
-        };
-      }
-      // RBAC: Person (P) or Authority (A) with trust >= ENHANCED (2)
-      const { checkFactPermission: checkDisputePerm, FACT_ACTIONS: DA } =
-        await import("../lib/fact-rbac.js");
-      const perm = await checkDisputePerm(
-        args.actor_chitty_id,
-        DA.DISPUTE,
-        env,
-      );
-      if (!perm.allowed) {
-        return {
-          content: [
-            { type: "text", text: `Permission denied: ${perm.reason}` },
-          ],
-          isError: true,
-        };
-      }
+      // RBAC: fact_action_policies (default Person or Authority with trust >= ENHANCED)
+      const { perm, actor, error: permErr } = await authorizeFactAction(env, "dispute", args, context);
+      if (permErr) return permErr;
 
       // Verify counter evidence exists (parallel)
       if (args.counter_evidence_ids?.length) {
@@ -580,9 +712,34 @@ export async function dispatchToolCall(name, args = {}, env, options = {}) {
 
           body: {
             reason: args.reason,
-            challenger_chitty_id:
-              args.challenger_chitty_id || args.actor_chitty_id,
+            challenger_chitty_id: args.challenger_chitty_id || actor,
             counter_evidence_ids: args.counter_evidence_ids,
+            ...onBehalfOf(perm),
+          },
+        },
+      );
+      const { data, error: respErr } = await checkAndParseJson(
+        response,
+        "ChittyLedger",
+      );
+      if (respErr) return respErr;
+      result = data;
+    } else if (name === "chitty_fact_retract") {
+      // RBAC: fact_action_policies (default Authority with trust >= INSTITUTIONAL)
+      const { perm, actor, error: permErr } = await authorizeFactAction(env, "retract", args, context);
+      if (permErr) return permErr;
+
+      const response = await serviceFetch(
+        env,
+        "ledger",
+        `/api/facts/${encodeURIComponent(args.fact_id)}/retract`,
+        {
+          method: "POST",
+
+          body: {
+            reason: args.reason,
+            retracted_by: actor,
+            ...onBehalfOf(perm),
           },
         },
       );
@@ -593,29 +750,9 @@ export async function dispatchToolCall(name, args = {}, env, options = {}) {
       if (respErr) return respErr;
       result = data;
     } else if (name === "chitty_fact_export") {
-      if (!args.actor_chitty_id) {
-        return {
-          content: [
-            {
-              type: "text",
-              text: "Missing required parameter: actor_chitty_id",
-            },
-          ],
-          isError: true,
-        };
-      }
-      // RBAC: Any authenticated with trust >= BASIC (1)
-      const { checkFactPermission: checkExportPerm, FACT_ACTIONS: EA } =
-        await import("../lib/fact-rbac.js");
-      const perm = await checkExportPerm(args.actor_chitty_id, EA.EXPORT, env);
-      if (!perm.allowed) {
-        return {
-          content: [
-            { type: "text", text: `Permission denied: ${perm.reason}` },
-          ],
-          isError: true,
-        };
-      }
+      // RBAC: fact_action_policies (default any entity with trust >= BASIC)
+      const { error: permErr } = await authorizeFactAction(env, "export", args, context);
+      if (permErr) return permErr;
 
       if (args.format === "pdf") {
         // Fetch fact with proof data
@@ -1272,7 +1409,7 @@ export async function dispatchToolCall(name, args = {}, env, options = {}) {
       result = await response.json();
     } else if (name === "chitty_neon_query") {
       const query = args.query || args.sql;
-      if (!query) {
+      if (!query && !args.cursor) {
         return {
           content: [{ type: "text", text: "Missing required parameter: sql" }],
           isError: true,
@@ -1298,19 +1435,35 @@ export async function dispatchToolCall(name, args = {}, env, options = {}) {
         };
       }
       if (neonDbUrl.startsWith("http://") || neonDbUrl.startsWith("https://")) {
+        // The proxy owns its own cursors; pass paging through untouched
         const response = await fetch(neonDbUrl, {
           method: "POST",
           headers: { "Content-Type": "application/json" },
-          body: JSON.stringify({ query, params: args.params }),
+          body: JSON.stringify({
+            query,
+            params: args.params,
+            ...(args.pageSize && { pageSize: args.pageSize }),
+            ...(args.cursor && { cursor: args.cursor }),
+          }),
         });
         const fetchErr = await checkFetchError(response, "Neon");
         if (fetchErr) return fetchErr;
         result = await response.json();
+      } else if (args.pageSize || args.cursor) {
+        const paged = await queryNeonPage(env, neonDbUrl, args, context);
+        if (paged.error) {
+          return {
+            content: [{ type: "text", text: `Neon error (${paged.status}): ${paged.error}` }],
+            isError: true,
+          };
+        }
+        result = paged;
       } else {
         const client = new Client({ connectionString: neonDbUrl });
         try {
           await client.connect();
-          result = await client.query(query, args.params || []);
+          // Extended protocol: one statement per call, as /api/execute/sql
+          result = await queryExtended(client, query, args.params || []);
         } finally {
           await client.end().catch(() => {});
         }
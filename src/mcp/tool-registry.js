@@ -286,7 +286,7 @@ const MCP_TOOLS = [
     },
   },
 
-  // ── 4. Fact Governance (5) ──────────────────────────────────
+  // ── 4. Fact Governance (6) ──────────────────────────────────
   {
     name: "chitty_fact_mint",
     description:
@@ -330,6 +330,11 @@ const MCP_TOOLS = [
           ],
           description: "Fact category for classification",
         },
+        actor_chitty_id: {
+          type: "string",
+          description:
+            "ChittyID of the minting entity; must match the ChittyID bound to the API key",
+        },
       },
       required: ["evidence_id", "text"],
     },
@@ -361,6 +366,15 @@ const MCP_TOOLS = [
           type: "string",
           description: "Validation notes or reasoning",
         },
+        actor_chitty_id: {
+          type: "string",
+          description:
+            "ChittyID of the validating entity; must match the ChittyID bound to the API key",
+        },
+        case_id: {
+          type: "string",
+          description: "Case of the fact, to act under a delegation for that case",
+        },
       },
       required: ["fact_id", "validation_method"],
     },
@@ -368,27 +382,31 @@ const MCP_TOOLS = [
   {
     name: "chitty_fact_seal",
     description:
-      "Seal a verified fact permanently, triggering async ChittyProof minting. Requires Authority entity type with INSTITUTIONAL trust level (4+).",
+      "Seal a verified fact permanently, triggering async ChittyProof minting. By default requires Authority entity type with INSTITUTIONAL trust level (4+), or a delegation from such an Authority for the fact's case.",
     inputSchema: {
       type: "object",
       properties: {
         fact_id: { type: "string", description: "Fact ID to seal" },
         actor_chitty_id: {
           type: "string",
-          description: "ChittyID of the authority performing the seal",
+          description: "ChittyID of the authority performing the seal; must match the ChittyID bound to the API key",
         },
         seal_reason: {
           type: "string",
           description: "Reason for sealing the fact",
         },
+        case_id: {
+          type: "string",
+          description: "Case of the fact, to act under a delegation for that case",
+        },
       },
-      required: ["fact_id", "actor_chitty_id"],
+      required: ["fact_id"],
     },
   },
   {
     name: "chitty_fact_dispute",
     description:
-      "Dispute a verified or sealed fact. Creates a dispute record. Requires ENHANCED trust level (2+).",
+      "Dispute a verified or sealed fact. Creates a dispute record. By default requires a Person or Authority with ENHANCED trust level (2+).",
     inputSchema: {
       type: "object",
       properties: {
@@ -396,7 +414,7 @@ const MCP_TOOLS = [
         reason: { type: "string", description: "Reason for the dispute" },
         actor_chitty_id: {
           type: "string",
-          description: "ChittyID of the entity filing the dispute",
+          description: "ChittyID of the entity filing the dispute; must match the ChittyID bound to the API key",
         },
         challenger_chitty_id: {
           type: "string",
@@ -407,8 +425,33 @@ const MCP_TOOLS = [
           items: { type: "string" },
           description: "Evidence IDs that contradict this fact",
         },
+        case_id: {
+          type: "string",
+          description: "Case of the fact, to act under a delegation for that case",
+        },
+      },
+      required: ["fact_id", "reason"],
+    },
+  },
+  {
+    name: "chitty_fact_retract",
+    description:
+      "Retract a fact from the ledger. By default requires Authority entity type with INSTITUTIONAL trust level (4+), or a delegation from such an Authority for the fact's case.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        fact_id: { type: "string", description: "Fact ID to retract" },
+        reason: { type: "string", description: "Reason for the retraction" },
+        actor_chitty_id: {
+          type: "string",
+          description: "ChittyID of the authority performing the retraction; must match the ChittyID bound to the API key",
+        },
+        case_id: {
+          type: "string",
+          description: "Case of the fact, to act under a delegation for that case",
+        },
       },
-      required: ["fact_id", "reason", "actor_chitty_id"],
+      required: ["fact_id", "reason"],
     },
   },
   {
@@ -426,10 +469,10 @@ const MCP_TOOLS = [
         },
         actor_chitty_id: {
           type: "string",
-          description: "ChittyID of the requesting entity",
+          description: "ChittyID of the requesting entity; must match the ChittyID bound to the API key",
         },
       },
-      required: ["fact_id", "format", "actor_chitty_id"],
+      required: ["fact_id", "format"],
     },
   },
 
@@ -1105,14 +1148,28 @@ const MCP_TOOLS = [
   {
     name: "chitty_neon_query",
     description:
-      "Execute SQL queries against Neon database through secure proxy.",
+      "Execute SQL queries against Neon database through secure proxy. For large results pass pageSize to get one page and a nextCursor, then call again with only cursor to fetch the next page.",
     inputSchema: {
       type: "object",
       properties: {
         sql: { type: "string" },
         params: { type: "array" },
+        pageSize: {
+          type: "number",
+          description:
+            "Rows per page. Pages a single SELECT/WITH query by keyset; requires keyset.",
+        },
+        keyset: {
+          type: "array",
+          items: { type: "string" },
+          description:
+            "Result column(s) that uniquely order the rows, e.g. [\"id\"]. Pages are ordered by these columns.",
+        },
+        cursor: {
+          type: "string",
+          description: "nextCursor from the previous page (sql is not needed)",
+        },
       },
-      required: ["sql"],
     },
   },
 
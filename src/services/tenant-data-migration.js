@@ -9,7 +9,19 @@
  *   1. Query shared DB for distinct client_ids with document counts
  *   2. For each client: provision tenant project (if needed)
  *   3. Replicate non-privileged documents to tenant Neon
- *   4. Replicate associated custody logs and document families
+ *   4. Replicate associated custody logs, document families and financial records
+ *   5. Verify row counts and content hashes against the shared DB
+ *
+ * Progress is checkpointed per client in tenant_data_migrations (migration
+ * 035) after every batch, under a lease (migration 038) so two runs never
+ * interleave on one client. A rerun resumes from the saved phase and
+ * offset. Rows are inserted only where the tenant has none with that id,
+ * and the ids actually inserted are recorded with each batch's checkpoint
+ * in tenant_data_migration_rows; rollback deletes exactly those (or the
+ * tenant project the migration created). A run that dies between copying
+ * a batch and checkpointing it leaves that batch's rows unrecorded, so
+ * rollback errs toward keeping rows, never toward deleting foreign ones.
+ * Verified clients are skipped unless restarted.
  *
  * @module services/tenant-data-migration
  */
@@ -19,6 +31,47 @@ import { queryTenantDb } from "../lib/tenant-connection-router.js";
 
 const EVIDENCE_SERVICE_URL = "https://evidence.chitty.cc";
 const BATCH_SIZE = 50;
+const MIGRATION_SOURCE = "migration-phase5";
+/** Mismatched or missing document ids reported by verification */
+const MAX_REPORTED = 20;
+/** A run or rollback holds the client's lease this long past its last checkpoint */
+const LOCK_TTL_MS = 10 * 60 * 1000;
+
+/** Copy phases in order, with the checkpoint column holding each count and the tenant table */
+const PHASES = [
+  { name: "documents", column: "documents", table: "evidence_documents" },
+  { name: "custodyLogs", column: "custody_logs", table: "evidence_custody_log" },
+  { name: "families", column: "families", table: "document_families" },
+  { name: "financialRecords", column: "financial_records", table: "financial_records" },
+];
+
+const ELIGIBLE_DOCUMENTS =
+  "(privilege_flag IS NULL OR privilege_flag IN ('none', 'possible_ac', 'needs_review'))";
+
+function formatCheckpoint(row) {
+  let verification = null;
+  try {
+    verification = row.verification ? JSON.parse(row.verification) : null;
+  } catch {
+    verification = null;
+  }
+  return {
+    clientId: row.client_id,
+    status: row.status,
+    phase: row.phase,
+    offset: row.cursor_offset,
+    provisioned: row.provisioned === 1,
+    documents: row.documents,
+    custodyLogs: row.custody_logs,
+    families: row.families,
+    financialRecords: row.financial_records,
+    verification,
+    lastError: row.last_error ?? null,
+    startedAt: row.started_at,
+    updatedAt: row.updated_at,
+    completedAt: row.completed_at ?? null,
+  };
+}
 
 export class TenantDataMigration {
   constructor(env) {
@@ -67,6 +120,7 @@ export class TenantDataMigration {
 
     for (const client of clients) {
       const existing = await this.manager.getTenantRecord(client.clientId);
+      const checkpoint = await this.#loadCheckpoint(client.clientId);
 
       // Count documents eligible for replication (non-privileged)
       const docResult = await this.#queryEvidenceDb(
@@ -103,6 +157,9 @@ export class TenantDataMigration {
       plan.clients.push({
         clientId: client.clientId,
         alreadyProvisioned: !!existing,
+        migration: checkpoint
+          ? { status: checkpoint.status, phase: checkpoint.phase, offset: checkpoint.cursor_offset }
+          : null,
         documents: docCount,
         custodyLogs: custodyCount,
         families: familyCount,
@@ -124,6 +181,7 @@ export class TenantDataMigration {
    * @param {string} [options.clientId] - Migrate a specific client only
    * @param {boolean} [options.dryRun] - If true, only plan without executing
    * @param {string} [options.region] - Neon region for new projects
+   * @param {boolean} [options.restart] - Ignore checkpoints and copy from the start
    * @returns {Promise<object>} Migration results
    */
   async execute(options = {}) {
@@ -139,7 +197,16 @@ export class TenantDataMigration {
       mode: "execute",
       startedAt: new Date().toISOString(),
       clients: [],
-      totals: { provisioned: 0, documents: 0, custodyLogs: 0, families: 0, financialRecords: 0, errors: 0 },
+      totals: {
+        provisioned: 0,
+        documents: 0,
+        custodyLogs: 0,
+        families: 0,
+        financialRecords: 0,
+        errors: 0,
+        skipped: 0,
+        unverified: 0,
+      },
     };
 
     for (const client of clients) {
@@ -148,7 +215,10 @@ export class TenantDataMigration {
 
       if (clientResult.error) {
         results.totals.errors++;
+      } else if (clientResult.skipped) {
+        results.totals.skipped++;
       } else {
+        if (clientResult.status === "verify_failed") results.totals.unverified++;
         if (clientResult.provisioned) results.totals.provisioned++;
         results.totals.documents += clientResult.documents;
         results.totals.custodyLogs += clientResult.custodyLogs;
@@ -162,7 +232,162 @@ export class TenantDataMigration {
   }
 
   /**
-   * Migrate a single client's data
+   * Verify a client's migrated data: row counts per table, and every
+   * document's content_hash, shared DB against the tenant project.
+   * Records the result on the client's checkpoint once its copy is done.
+   *
+   * @param {string} clientId
+   * @returns {Promise<object>} { clientId, ok, checkedAt, counts, missingDocuments, hashMismatches }
+   */
+  async verify(clientId) {
+    const counts = {};
+    for (const phase of PHASES) {
+      const source = await this.#sourceCount(clientId, phase.name);
+      const tenant = await this.#tenantCount(clientId, phase.name);
+      counts[phase.name] = { source, tenant, match: source === tenant };
+    }
+
+    const missingDocuments = [];
+    const hashMismatches = [];
+    for (let offset = 0; ; offset += BATCH_SIZE) {
+      const batch = await this.#queryEvidenceDb(
+        `SELECT id, content_hash FROM evidence_documents
+         WHERE client_id = ? AND ${ELIGIBLE_DOCUMENTS}
+         ORDER BY created_at, id
+         LIMIT ? OFFSET ?`,
+        [clientId, BATCH_SIZE, offset],
+      );
+      const rows = batch.results || [];
+      if (rows.length === 0) break;
+
+      const copied = await queryTenantDb(
+        this.env,
+        clientId,
+        "SELECT id, content_hash FROM evidence_documents WHERE id = ANY($1)",
+        [rows.map((r) => r.id)],
+      );
+      const tenantHashes = new Map((copied.rows || []).map((r) => [r.id, r.content_hash]));
+      for (const doc of rows) {
+        if (!tenantHashes.has(doc.id)) {
+          missingDocuments.push(doc.id);
+        } else if ((tenantHashes.get(doc.id) ?? null) !== (doc.content_hash ?? null)) {
+          hashMismatches.push({ id: doc.id, source: doc.content_hash, tenant: tenantHashes.get(doc.id) });
+        }
+      }
+      if (rows.length < BATCH_SIZE) break;
+    }
+
+    const verification = {
+      clientId,
+      ok:
+        Object.values(counts).every((c) => c.match) &&
+        missingDocuments.length === 0 &&
+        hashMismatches.length === 0,
+      checkedAt: new Date().toISOString(),
+      counts,
+      missingDocuments: missingDocuments.slice(0, MAX_REPORTED),
+      hashMismatches: hashMismatches.slice(0, MAX_REPORTED),
+      totalMissing: missingDocuments.length,
+      totalMismatched: hashMismatches.length,
+    };
+
+    if (this.env.DB) {
+      await this.env.DB.prepare(
+        `UPDATE tenant_data_migrations
+         SET status = ?, verification = ?, updated_at = ?
+         WHERE client_id = ? AND status IN ('verified', 'verify_failed')`,
+      )
+        .bind(
+          verification.ok ? "verified" : "verify_failed",
+          JSON.stringify(verification),
+          verification.checkedAt,
+          clientId,
+        )
+        .run();
+    }
+
+    return verification;
+  }
+
+  /**
+   * Remove a client's migrated data from its tenant project: the rows the
+   * migration recorded inserting, children first. With deprovision, a
+   * tenant project this migration created is deleted instead. Verified
+   * migrations need force, and a run in progress cannot be rolled back.
+   *
+   * @param {string} clientId
+   * @param {object} [options]
+   * @param {boolean} [options.deprovision] - Delete the tenant project the migration created
+   * @param {boolean} [options.force] - Allow rolling back a verified migration
+   * @returns {Promise<object>} { clientId, deprovisioned, deleted }
+   */
+  async rollback(clientId, options = {}) {
+    const checkpoint = await this.#loadCheckpoint(clientId);
+    if (!checkpoint) throw new Error(`Migration for client ${clientId} not found`);
+    if (checkpoint.status === "rolled_back") {
+      throw new Error(`Migration for client ${clientId} cannot be rolled back: already rolled back`);
+    }
+    if (checkpoint.status === "verified" && !options.force) {
+      throw new Error(`Migration for client ${clientId} cannot be rolled back: it is verified (pass force to override)`);
+    }
+    if (options.deprovision && checkpoint.provisioned !== 1) {
+      throw new Error(`Tenant ${clientId} cannot be deprovisioned: this migration did not provision it`);
+    }
+
+    const runId = `tdr_${crypto.randomUUID()}`;
+    if (!(await this.#acquireLock(clientId, runId))) {
+      throw new Error(`Migration for client ${clientId} cannot be rolled back: a run is in progress`);
+    }
+
+    const deleted = { documents: 0, custodyLogs: 0, families: 0, financialRecords: 0 };
+    try {
+      if (options.deprovision) {
+        await this.manager.deprovisionTenant(clientId);
+        await this.env.DB.prepare("DELETE FROM tenant_data_migration_rows WHERE client_id = ?")
+          .bind(clientId)
+          .run();
+      } else {
+        // Families and custody logs reference documents, so documents go last
+        for (const phase of [...PHASES].reverse()) {
+          deleted[phase.name] = await this.#deleteRecordedRows(clientId, phase.table);
+        }
+      }
+
+      await this.#saveCheckpoint(clientId, runId, {
+        status: "rolled_back",
+        phase: PHASES[0].name,
+        offset: 0,
+        provisioned: options.deprovision ? false : checkpoint.provisioned === 1,
+        counts: {},
+        startedAt: checkpoint.started_at,
+      });
+    } catch (error) {
+      await this.#releaseLock(clientId, runId);
+      throw error;
+    }
+
+    return { clientId, deprovisioned: options.deprovision === true, deleted };
+  }
+
+  /**
+   * Migration checkpoints, most recently updated first
+   *
+   * @param {string} [clientId] - One client only
+   * @returns {Promise<{migrations: object[]}>}
+   */
+  async progress(clientId) {
+    if (clientId) {
+      const row = await this.#loadCheckpoint(clientId);
+      return { migrations: row ? [formatCheckpoint(row)] : [] };
+    }
+    const { results } = await this.env.DB.prepare(
+      "SELECT * FROM tenant_data_migrations ORDER BY updated_at DESC",
+    ).all();
+    return { migrations: (results || []).map(formatCheckpoint) };
+  }
+
+  /**
+   * Migrate a single client's data, resuming from its checkpoint
    * @param {string} clientId
    * @param {object} options
    * @returns {Promise<object>}
@@ -178,6 +403,42 @@ export class TenantDataMigration {
       error: null,
     };
 
+    const runId = `tdm_${crypto.randomUUID()}`;
+    if (!(await this.#acquireLock(clientId, runId))) {
+      return { ...result, error: `Migration for client ${clientId} is already running` };
+    }
+
+    const checkpoint = await this.#loadCheckpoint(clientId);
+    if (checkpoint?.status === "verified" && !options.restart) {
+      await this.#releaseLock(clientId, runId);
+      const done = formatCheckpoint(checkpoint);
+      return {
+        ...result,
+        documents: done.documents,
+        custodyLogs: done.custodyLogs,
+        families: done.families,
+        financialRecords: done.financialRecords,
+        status: "verified",
+        skipped: true,
+      };
+    }
+
+    // Interrupted copies pick up where they stopped; anything else starts over
+    const resume =
+      !options.restart && ["running", "failed"].includes(checkpoint?.status);
+    const state = {
+      status: "running",
+      phase: resume ? checkpoint.phase : PHASES[0].name,
+      offset: resume ? checkpoint.cursor_offset : 0,
+      provisioned: checkpoint?.provisioned === 1,
+      counts: {},
+      startedAt: resume ? checkpoint.started_at : new Date().toISOString(),
+    };
+    if (resume) {
+      for (const phase of PHASES) state.counts[phase.name] = checkpoint[phase.column] || 0;
+      result.resumedFrom = { phase: state.phase, offset: state.offset };
+    }
+
     try {
       // Step 1: Ensure tenant project exists
       let tenant = await this.manager.getTenantRecord(clientId);
@@ -187,34 +448,64 @@ export class TenantDataMigration {
         });
         tenant = await this.manager.getTenantRecord(clientId);
         result.provisioned = true;
+        state.provisioned = true;
       }
-
-      // Step 2: Migrate documents in batches
-      result.documents = await this.#migrateDocuments(clientId);
-
-      // Step 3: Migrate custody logs
-      result.custodyLogs = await this.#migrateCustodyLogs(clientId);
-
-      // Step 4: Migrate document families
-      result.families = await this.#migrateDocumentFamilies(clientId);
-
-      // Step 5: Migrate financial records
-      result.financialRecords = await this.#migrateFinancialRecords(clientId);
+      await this.#saveCheckpoint(clientId, runId, state);
+
+      // Steps 2-5: documents, custody logs, document families, financial records
+      const copiers = {
+        documents: (start, onBatch) => this.#migrateDocuments(clientId, start, onBatch),
+        custodyLogs: (start, onBatch) => this.#migrateCustodyLogs(clientId, start, onBatch),
+        families: (start, onBatch) => this.#migrateDocumentFamilies(clientId, start, onBatch),
+        financialRecords: (start, onBatch) => this.#migrateFinancialRecords(clientId, start, onBatch),
+      };
+      const startIndex = PHASES.findIndex((p) => p.name === state.phase);
+      for (const phase of startIndex === -1 ? [] : PHASES.slice(startIndex)) {
+        state.phase = phase.name;
+        state.counts[phase.name] = await copiers[phase.name](state.offset, async (offset, insertedIds) => {
+          state.offset = offset;
+          state.counts[phase.name] = offset;
+          await this.#saveCheckpoint(clientId, runId, state, { table: phase.table, ids: insertedIds });
+        });
+        state.offset = 0;
+      }
+      state.phase = "verify";
+      await this.#saveCheckpoint(clientId, runId, state);
+
+      // Step 6: Verify against the shared DB
+      const verification = await this.verify(clientId);
+      state.phase = "done";
+      state.status = verification.ok ? "verified" : "verify_failed";
+      state.verification = verification;
+      state.completedAt = verification.checkedAt;
+      await this.#saveCheckpoint(clientId, runId, state);
+
+      result.status = state.status;
+      result.verification = verification;
     } catch (error) {
       result.error = error.message;
+      state.status = "failed";
+      state.error = error.message;
+      await this.#saveCheckpoint(clientId, runId, state).catch((err) => {
+        console.error(`[TenantDataMigration] Checkpoint save failed for ${clientId}:`, err.message);
+      });
     }
 
+    for (const phase of PHASES) result[phase.name] = state.counts[phase.name] || 0;
     return result;
   }
 
   /**
    * Migrate documents for a client in batches
    * @param {string} clientId
+   * @param {number} [startOffset] - Rows already copied by an earlier run
+   * @param {function(number, string[]): Promise<void>} [onBatch] - Checkpoint after each
+   *   batch, with the ids the batch inserted
    * @returns {Promise<number>} Count of migrated documents
    */
-  async #migrateDocuments(clientId) {
-    let total = 0;
-    let offset = 0;
+  async #migrateDocuments(clientId, startOffset = 0, onBatch = async () => {}) {
+    let total = startOffset;
+    let offset = startOffset;
     let hasMore = true;
 
     while (hasMore) {
@@ -226,7 +517,7 @@ export class TenantDataMigration {
          FROM evidence_documents
          WHERE client_id = ?
            AND (privilege_flag IS NULL OR privilege_flag IN ('none', 'possible_ac', 'needs_review'))
-         ORDER BY created_at
+         ORDER BY created_at, id
          LIMIT ? OFFSET ?`,
         [clientId, BATCH_SIZE, offset],
       );
@@ -237,8 +528,9 @@ export class TenantDataMigration {
         continue;
       }
 
+      const inserted = [];
       for (const doc of rows) {
-        await this.#replicateRecord(clientId, "evidence_documents", {
+        const isNew = await this.#replicateRecord(clientId, "evidence_documents", {
           id: doc.id,
           document_type: doc.document_type,
           file_name: doc.file_name,
@@ -258,14 +550,16 @@ export class TenantDataMigration {
           superseded_by: doc.superseded_by,
           supersedes: doc.supersedes,
           replicated_at: new Date().toISOString(),
-          source: "migration-phase5",
+          source: MIGRATION_SOURCE,
           created_at: doc.created_at,
           updated_at: doc.updated_at,
         });
+        if (isNew) inserted.push(doc.id);
         total++;
       }
 
-      offset += BATCH_SIZE;
+      offset += rows.length;
+      await onBatch(offset, inserted);
       if (rows.length < BATCH_SIZE) break;
     }
 
@@ -275,11 +569,13 @@ export class TenantDataMigration {
   /**
    * Migrate custody logs for a client's documents
    * @param {string} clientId
+   * @param {number} [startOffset]
+   * @param {function(number, string[]): Promise<void>} [onBatch]
    * @returns {Promise<number>}
    */
-  async #migrateCustodyLogs(clientId) {
-    let total = 0;
-    let offset = 0;
+  async #migrateCustodyLogs(clientId, startOffset = 0, onBatch = async () => {}) {
+    let total = startOffset;
+    let offset = startOffset;
     let hasMore = true;
 
     while (hasMore) {
@@ -290,7 +586,7 @@ export class TenantDataMigration {
          INNER JOIN evidence_documents ed ON ec.document_id = ed.id
          WHERE ed.client_id = ?
            AND (ed.privilege_flag IS NULL OR ed.privilege_flag IN ('none', 'possible_ac', 'needs_review'))
-         ORDER BY ec.created_at
+         ORDER BY ec.created_at, ec.id
          LIMIT ? OFFSET ?`,
         [clientId, BATCH_SIZE, offset],
       );
@@ -301,6 +597,7 @@ export class TenantDataMigration {
         continue;
       }
 
+      const inserted = [];
       for (const log of rows) {
         // Map source columns (evidence_chain_of_custody) to target (evidence_custody_log)
         const details = JSON.stringify({
@@ -308,7 +605,7 @@ export class TenantDataMigration {
           notes: log.notes || null,
           verification_method: log.verification_method || null,
         });
-        await this.#replicateRecord(clientId, "evidence_custody_log", {
+        const isNew = await this.#replicateRecord(clientId, "evidence_custody_log", {
           id: log.id,
           document_id: log.document_id,
           action: log.custody_action || "unknown",
@@ -317,10 +614,12 @@ export class TenantDataMigration {
           details,
           created_at: log.created_at,
         });
+        if (isNew) inserted.push(log.id);
         total++;
       }
 
-      offset += BATCH_SIZE;
+      offset += rows.length;
+      await onBatch(offset, inserted);
       if (rows.length < BATCH_SIZE) break;
     }
 
@@ -330,11 +629,13 @@ export class TenantDataMigration {
   /**
    * Migrate document families for a client's documents
    * @param {string} clientId
+   * @param {number} [startOffset]
+   * @param {function(number, string[]): Promise<void>} [onBatch]
    * @returns {Promise<number>}
    */
-  async #migrateDocumentFamilies(clientId) {
-    let total = 0;
-    let offset = 0;
+  async #migrateDocumentFamilies(clientId, startOffset = 0, onBatch = async () => {}) {
+    let total = startOffset;
+    let offset = startOffset;
     let hasMore = true;
 
     while (hasMore) {
@@ -347,7 +648,7 @@ export class TenantDataMigration {
          ) OR df.child_document_id IN (
            SELECT id FROM evidence_documents WHERE client_id = ?
          )
-         ORDER BY df.created_at
+         ORDER BY df.created_at, df.id
          LIMIT ? OFFSET ?`,
         [clientId, clientId, BATCH_SIZE, offset],
       );
@@ -358,8 +659,9 @@ export class TenantDataMigration {
         continue;
       }
 
+      const inserted = [];
       for (const fam of rows) {
-        await this.#replicateRecord(clientId, "document_families", {
+        const isNew = await this.#replicateRecord(clientId, "document_families", {
           id: fam.id,
           parent_document_id: fam.parent_document_id,
           child_document_id: fam.child_document_id,
@@ -368,10 +670,12 @@ export class TenantDataMigration {
           notes: fam.notes,
           created_at: fam.created_at,
         });
+        if (isNew) inserted.push(fam.id);
         total++;
       }
 
-      offset += BATCH_SIZE;
+      offset += rows.length;
+      await onBatch(offset, inserted);
       if (rows.length < BATCH_SIZE) break;
     }
 
@@ -381,11 +685,13 @@ export class TenantDataMigration {
   /**
    * Migrate financial records linked to a client's documents
    * @param {string} clientId
+   * @param {number} [startOffset]
+   * @param {function(number, string[]): Promise<void>} [onBatch]
    * @returns {Promise<number>}
    */
-  async #migrateFinancialRecords(clientId) {
-    let total = 0;
-    let offset = 0;
+  async #migrateFinancialRecords(clientId, startOffset = 0, onBatch = async () => {}) {
+    let total = startOffset;
+    let offset = startOffset;
     let hasMore = true;
 
     while (hasMore) {
@@ -398,7 +704,7 @@ export class TenantDataMigration {
          WHERE cd.uploaded_by IN (
            SELECT DISTINCT uploaded_by FROM evidence_documents WHERE client_id = ?
          )
-         ORDER BY fr.created_at
+         ORDER BY fr.created_at, fr.id
          LIMIT ? OFFSET ?`,
         [clientId, BATCH_SIZE, offset],
       );
@@ -409,8 +715,9 @@ export class TenantDataMigration {
         continue;
       }
 
+      const inserted = [];
       for (const rec of rows) {
-        await this.#replicateRecord(clientId, "financial_records", {
+        const isNew = await this.#replicateRecord(clientId, "financial_records", {
           id: rec.id,
           record_type: rec.record_type,
           description: rec.description,
@@ -424,34 +731,246 @@ export class TenantDataMigration {
           created_at: rec.created_at,
           updated_at: rec.updated_at,
         });
+        if (isNew) inserted.push(rec.id);
         total++;
       }
 
-      offset += BATCH_SIZE;
+      offset += rows.length;
+      await onBatch(offset, inserted);
       if (rows.length < BATCH_SIZE) break;
     }
 
     return total;
   }
 
+  async #sourceCount(clientId, phase) {
+    const queries = {
+      documents: [
+        `SELECT COUNT(*) as cnt FROM evidence_documents WHERE client_id = ? AND ${ELIGIBLE_DOCUMENTS}`,
+        [clientId],
+      ],
+      custodyLogs: [
+        `SELECT COUNT(*) as cnt FROM evidence_chain_of_custody
+         WHERE document_id IN (SELECT id FROM evidence_documents WHERE client_id = ? AND ${ELIGIBLE_DOCUMENTS})`,
+        [clientId],
+      ],
+      families: [
+        `SELECT COUNT(*) as cnt FROM evidence_document_families
+         WHERE parent_document_id IN (SELECT id FROM evidence_documents WHERE client_id = ?)
+            OR child_document_id IN (SELECT id FROM evidence_documents WHERE client_id = ?)`,
+        [clientId, clientId],
+      ],
+      financialRecords: [
+        `SELECT COUNT(*) as cnt FROM financial_records fr
+         INNER JOIN client_documents cd ON fr.source_document_id = cd.id
+         WHERE cd.uploaded_by IN (SELECT DISTINCT uploaded_by FROM evidence_documents WHERE client_id = ?)`,
+        [clientId],
+      ],
+    };
+    const result = await this.#queryEvidenceDb(...queries[phase]);
+    return Number(result.results?.[0]?.cnt || 0);
+  }
+
+  /** Rows in the tenant project that came from this migration */
+  async #tenantCount(clientId, phase) {
+    const migratedDocs = `SELECT id FROM evidence_documents WHERE source = '${MIGRATION_SOURCE}'`;
+    if (phase === "financialRecords") {
+      let total = 0;
+      for await (const ids of this.#sourceFinancialIds(clientId)) {
+        const result = await queryTenantDb(
+          this.env,
+          clientId,
+          "SELECT COUNT(*)::int AS cnt FROM financial_records WHERE id = ANY($1)",
+          [ids],
+        );
+        total += Number(result.rows?.[0]?.cnt || 0);
+      }
+      return total;
+    }
+    const queries = {
+      documents: `SELECT COUNT(*)::int AS cnt FROM evidence_documents WHERE source = '${MIGRATION_SOURCE}'`,
+      custodyLogs: `SELECT COUNT(*)::int AS cnt FROM evidence_custody_log WHERE document_id IN (${migratedDocs})`,
+      families: `SELECT COUNT(*)::int AS cnt FROM document_families
+                 WHERE parent_document_id IN (${migratedDocs}) OR child_document_id IN (${migratedDocs})`,
+    };
+    const result = await queryTenantDb(this.env, clientId, queries[phase]);
+    return Number(result.rows?.[0]?.cnt || 0);
+  }
+
+  /** Financial record ids the migration copies for a client, a batch at a time */
+  async *#sourceFinancialIds(clientId) {
+    for (let offset = 0; ; offset += BATCH_SIZE) {
+      const batch = await this.#queryEvidenceDb(
+        `SELECT fr.id FROM financial_records fr
+         INNER JOIN client_documents cd ON fr.source_document_id = cd.id
+         WHERE cd.uploaded_by IN (
+           SELECT DISTINCT uploaded_by FROM evidence_documents WHERE client_id = ?
+         )
+         ORDER BY fr.created_at, fr.id
+         LIMIT ? OFFSET ?`,
+        [clientId, BATCH_SIZE, offset],
+      );
+      const rows = batch.results || [];
+      if (rows.length) yield rows.map((r) => r.id);
+      if (rows.length < BATCH_SIZE) break;
+    }
+  }
+
+  /** Run a DELETE in the tenant project and return how many rows it removed */
+  async #tenantDelete(clientId, sql, params = []) {
+    const result = await queryTenantDb(
+      this.env,
+      clientId,
+      `WITH deleted AS (${sql} RETURNING 1) SELECT COUNT(*)::int AS cnt FROM deleted`,
+      params,
+    );
+    return Number(result.rows?.[0]?.cnt || 0);
+  }
+
+  /** Delete the rows this client's migration recorded inserting into one table */
+  async #deleteRecordedRows(clientId, table) {
+    let total = 0;
+    for (;;) {
+      const { results } = await this.env.DB.prepare(
+        `SELECT row_id FROM tenant_data_migration_rows
+         WHERE client_id = ? AND table_name = ?
+         LIMIT ?`,
+      )
+        .bind(clientId, table, BATCH_SIZE)
+        .all();
+      const ids = (results || []).map((r) => r.row_id);
+      if (ids.length === 0) break;
+
+      total += await this.#tenantDelete(clientId, `DELETE FROM ${table} WHERE id = ANY($1)`, [ids]);
+      await this.env.DB.prepare(
+        `DELETE FROM tenant_data_migration_rows
+         WHERE client_id = ? AND table_name = ? AND row_id IN (${ids.map(() => "?").join(", ")})`,
+      )
+        .bind(clientId, table, ...ids)
+        .run();
+    }
+    return total;
+  }
+
+  /**
+   * Take the client's lease, creating its checkpoint row if needed.
+   * @returns {Promise<boolean>} false while another run or rollback holds it
+   */
+  async #acquireLock(clientId, runId) {
+    if (!this.env.DB) return true;
+    const now = new Date();
+    await this.env.DB.prepare(
+      `INSERT INTO tenant_data_migrations (client_id, started_at, updated_at) VALUES (?, ?, ?)
+       ON CONFLICT(client_id) DO NOTHING`,
+    )
+      .bind(clientId, now.toISOString(), now.toISOString())
+      .run();
+
+    const result = await this.env.DB.prepare(
+      `UPDATE tenant_data_migrations
+       SET locked_by = ?, locked_until = ?, updated_at = ?
+       WHERE client_id = ? AND (locked_until IS NULL OR locked_until < ?)`,
+    )
+      .bind(
+        runId,
+        new Date(now.getTime() + LOCK_TTL_MS).toISOString(),
+        now.toISOString(),
+        clientId,
+        now.toISOString(),
+      )
+      .run();
+    return (result?.meta?.changes ?? 0) > 0;
+  }
+
+  async #releaseLock(clientId, runId) {
+    if (!this.env.DB) return;
+    await this.env.DB.prepare(
+      `UPDATE tenant_data_migrations
+       SET locked_by = NULL, locked_until = NULL
+       WHERE client_id = ? AND locked_by = ?`,
+    )
+      .bind(clientId, runId)
+      .run()
+      .catch((err) => {
+        console.error(`[TenantDataMigration] Lease release failed for ${clientId}:`, err.message);
+      });
+  }
+
+  async #loadCheckpoint(clientId) {
+    if (!this.env.DB) return null;
+    return this.env.DB.prepare(
+      "SELECT * FROM tenant_data_migrations WHERE client_id = ?",
+    )
+      .bind(clientId)
+      .first();
+  }
+
+  /**
+   * Write the client's checkpoint row, with the ids the last batch inserted.
+   * Renews the lease while the run is going and releases it once the run
+   * ends; throws if the run no longer holds the lease.
+   *
+   * @param {string} clientId
+   * @param {string} runId - Lease holder
+   * @param {object} state - { status, phase, offset, provisioned, counts, startedAt, verification?, error?, completedAt? }
+   * @param {{ table: string, ids: string[] }} [inserted]
+   */
+  async #saveCheckpoint(clientId, runId, state, inserted = null) {
+    if (!this.env.DB) return;
+    const running = state.status === "running";
+    const recorded = (inserted?.ids || []).map((id) =>
+      this.env.DB.prepare(
+        `INSERT OR IGNORE INTO tenant_data_migration_rows (client_id, table_name, row_id) VALUES (?, ?, ?)`,
+      ).bind(clientId, inserted.table, String(id)),
+    );
+    const checkpoint = this.env.DB.prepare(
+      `UPDATE tenant_data_migrations
+       SET status = ?, phase = ?, cursor_offset = ?, provisioned = ?, documents = ?, custody_logs = ?,
+           families = ?, financial_records = ?, verification = ?, last_error = ?, started_at = ?,
+           updated_at = ?, completed_at = ?, locked_by = ?, locked_until = ?
+       WHERE client_id = ? AND locked_by = ?`,
+    ).bind(
+      state.status,
+      state.phase,
+      state.offset,
+      state.provisioned ? 1 : 0,
+      ...PHASES.map((p) => state.counts[p.name] || 0),
+      state.verification ? JSON.stringify(state.verification) : null,
+      state.error ?? null,
+      state.startedAt,
+      new Date().toISOString(),
+      state.completedAt ?? null,
+      running ? runId : null,
+      running ? new Date(Date.now() + LOCK_TTL_MS).toISOString() : null,
+      clientId,
+      runId,
+    );
+
+    // Inserted ids are recorded even if the lease was lost: the rows exist
+    const results = await this.env.DB.batch([...recorded, checkpoint]);
+    if ((results.at(-1)?.meta?.changes ?? 0) === 0) {
+      throw new Error(`Migration for client ${clientId} lost its lease to another run`);
+    }
+  }
+
   /**
-   * Replicate a single record to the tenant's Neon project
+   * Replicate a single record to the tenant's Neon project, unless the
+   * tenant already has a row with its id.
    * Uses queryTenantDb which resolves the connection via KV/D1
+   * @returns {Promise<boolean>} Whether this call inserted the row
    */
   async #replicateRecord(tenantId, table, record) {
     const columns = Object.keys(record).filter((k) => record[k] !== undefined);
     const values = columns.map((k) => record[k]);
     const placeholders = columns.map((_, i) => `$${i + 1}`).join(", ");
-    const updateSet = columns
-      .filter((c) => c !== "id")
-      .map((col) => `${col} = $${columns.indexOf(col) + 1}`)
-      .join(", ");
 
     const sql = `INSERT INTO ${table} (${columns.join(", ")})
       VALUES (${placeholders})
-      ON CONFLICT (id) DO UPDATE SET ${updateSet}`;
+      ON CONFLICT (id) DO NOTHING
+      RETURNING id`;
 
-    await queryTenantDb(this.env, tenantId, sql, values);
+    const result = await queryTenantDb(this.env, tenantId, sql, values);
+    return (result?.rows?.length ?? 0) > 0;
   }
 
   /**
@@ -0,0 +1,695 @@
+/**
+ * Tenant Export Bundles
+ *
+ * Streams a tenant's data to R2 for legal-hold handoffs. Unlike
+ * TenantProjectManager.exportTenant (project metadata only), a bundle holds:
+ *
+ *   exports/tenants/<tenantId>/<jobId>/
+ *     tables/<table>/part-NNNN.ndjson[.age]  the table's rows, PAGES_PER_PART pages per part
+ *     objects/<r2_key>[.age]                 evidence R2 objects the rows reference
+ *     manifest.json                          SHA-256 and size of every file
+ *     manifest.json.jws                      detached Ed25519 signature of manifest.json
+ *
+ * and is served by the existing /api/v1/exports route. Files are written
+ * with R2 multipart uploads as rows and objects stream through, so memory
+ * stays at one part regardless of tenant size. With a recipient key, every
+ * file is an age file encrypted to it (see lib/export-crypto.js); hashes
+ * cover the stored (encrypted) bytes and the plaintext.
+ *
+ * Only objects under the tenant's evidence prefix (evidence/<tenantId>/)
+ * are copied: FILES is shared by every tenant, so an r2_key pointing
+ * anywhere else is listed in the manifest as skipped, never read.
+ *
+ * Jobs run asynchronously under a lease in tenant_export_jobs (migration
+ * 037): the request kicks the first run, and the 5-minute cron picks up
+ * queued jobs and retries ones whose run died. Each run works for a time
+ * budget, saving its position after every finished file (migration 039),
+ * then requeues itself; the next run resumes at that table part or object
+ * and the manifest is built from the recorded files at the end.
+ *
+ * @module services/tenant-export
+ */
+
+import { createHash } from "node:crypto";
+import { Client } from "@neondatabase/serverless";
+import { TenantProjectManager } from "./tenant-project-manager.js";
+import {
+  importRecipientKey,
+  createFileEncryptor,
+  signManifest,
+  hasExportSigningKey,
+  ENCRYPTION_SCHEME,
+  CHUNK_SIZE,
+} from "../lib/export-crypto.js";
+
+/** Tenant tables exported, in dependency order; missing ones are skipped */
+export const EXPORT_TABLES = [
+  "evidence_documents",
+  "evidence_custody_log",
+  "document_families",
+  "client_documents",
+  "financial_records",
+];
+
+const MANIFEST_FORMAT = "chitty-tenant-export/v1";
+/** R2 multipart parts must share one size (except the last) of at least 5 MiB */
+const PART_SIZE = 5 * 1024 * 1024;
+const PAGE_SIZE = 500;
+/** Table pages per part file; progress is saved after every part */
+const PAGES_PER_PART = 20;
+const LEASE_MS = 15 * 60 * 1000;
+/** How long a run started by the request works before requeueing (waitUntil) */
+const RUN_BUDGET_MS = 20 * 1000;
+/** How long a cron run works, inside the 5-minute schedule and the lease */
+const CRON_BUDGET_MS = 4 * 60 * 1000;
+const MAX_ATTEMPTS = 3;
+
+const encoder = new TextEncoder();
+
+/**
+ * R2 prefix holding a tenant's evidence objects
+ * @param {string} tenantId
+ * @returns {string}
+ */
+export function tenantEvidencePrefix(tenantId) {
+  return `evidence/${tenantId}/`;
+}
+
+function isTenantEvidenceKey(tenantId, r2Key) {
+  return (
+    typeof r2Key === "string" &&
+    r2Key.startsWith(tenantEvidencePrefix(tenantId)) &&
+    !r2Key.split("/").some((segment) => segment === "." || segment === "..")
+  );
+}
+
+function concat(chunks, length) {
+  const out = new Uint8Array(length);
+  let offset = 0;
+  for (const chunk of chunks) {
+    out.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return out;
+}
+
+/**
+ * One bundle file streamed to R2, hashed as it is written
+ */
+class R2FileWriter {
+  constructor(bucket, key, { path, contentType, encryptor = null }) {
+    this.bucket = bucket;
+    this.key = key;
+    this.path = path;
+    this.httpMetadata = { contentType };
+    this.encryptor = encryptor;
+    this.hash = createHash("sha256");
+    this.plaintextHash = encryptor ? createHash("sha256") : null;
+    this.bytes = 0;
+    this.plaintextBytes = 0;
+    this.buffer = [];
+    this.bufferLength = 0;
+    this.upload = null;
+    this.parts = [];
+  }
+
+  async write(data) {
+    const bytes = typeof data === "string" ? encoder.encode(data) : data;
+    if (!this.encryptor) return this.#append(bytes);
+
+    this.plaintextHash.update(bytes);
+    this.plaintextBytes += bytes.length;
+    for (const chunk of await this.encryptor.push(bytes)) {
+      await this.#append(chunk);
+    }
+  }
+
+  async close() {
+    if (this.encryptor) await this.#append(await this.encryptor.finish());
+
+    const rest = concat(this.buffer, this.bufferLength);
+    if (!this.upload) {
+      await this.bucket.put(this.key, rest, { httpMetadata: this.httpMetadata });
+    } else {
+      if (rest.length) await this.#uploadPart(rest);
+      await this.upload.complete(this.parts);
+    }
+
+    const result = { bytes: this.bytes, sha256: this.hash.digest("hex") };
+    if (this.encryptor) {
+      result.plaintextBytes = this.plaintextBytes;
+      result.plaintextSha256 = this.plaintextHash.digest("hex");
+    }
+    return result;
+  }
+
+  async abort() {
+    if (this.upload) await this.upload.abort().catch(() => {});
+  }
+
+  async #append(bytes) {
+    this.hash.update(bytes);
+    this.bytes += bytes.length;
+    this.buffer.push(bytes);
+    this.bufferLength += bytes.length;
+
+    while (this.bufferLength >= PART_SIZE) {
+      const all = concat(this.buffer, this.bufferLength);
+      await this.#uploadPart(all.subarray(0, PART_SIZE));
+      this.buffer = [all.subarray(PART_SIZE)];
+      this.bufferLength -= PART_SIZE;
+    }
+  }
+
+  async #uploadPart(bytes) {
+    if (!this.upload) {
+      this.upload = await this.bucket.createMultipartUpload(this.key, {
+        httpMetadata: this.httpMetadata,
+      });
+    }
+    this.parts.push(await this.upload.uploadPart(this.parts.length + 1, bytes));
+  }
+}
+
+function formatJob(row) {
+  const completed = row.status === "completed";
+  return {
+    id: row.id,
+    tenantId: row.tenant_id,
+    status: row.status,
+    encrypted: Boolean(row.recipient_thumbprint),
+    recipient: row.recipient_thumbprint ?? null,
+    includeObjects: row.include_objects === 1,
+    fileCount: row.file_count ?? null,
+    totalBytes: row.total_bytes ?? null,
+    missingObjects: row.missing_objects ?? null,
+    skippedObjects: row.skipped_objects ?? null,
+    progress: row.progress && !completed ? JSON.parse(row.progress) : null,
+    attempts: row.attempts ?? 0,
+    error: row.error ?? null,
+    requestedBy: row.requested_by ?? null,
+    createdAt: row.created_at,
+    startedAt: row.started_at ?? null,
+    completedAt: row.completed_at ?? null,
+    // Served by exportRoutes at /api/v1/exports/<key without "exports/">
+    manifestUrl: completed ? `/api/v1/${row.manifest_key}` : null,
+    signatureUrl: completed ? `/api/v1/${row.manifest_key}.jws` : null,
+  };
+}
+
+export class TenantExporter {
+  constructor(env) {
+    this.env = env;
+    this.manager = new TenantProjectManager(env);
+  }
+
+  /**
+   * Queue an export bundle for a tenant
+   *
+   * @param {string} tenantId
+   * @param {object} [options]
+   * @param {object|string} [options.recipientKey] - age recipient (age1…) or X25519 public JWK to encrypt to
+   * @param {boolean} [options.includeObjects] - Include evidence R2 objects (default true)
+   * @param {string} [options.actor] - Who requested it
+   * @returns {Promise<object>} The queued job
+   */
+  async createJob(tenantId, options = {}) {
+    if (!this.env.FILES) throw new Error("Export storage (FILES) is not configured");
+    if (!hasExportSigningKey(this.env)) {
+      throw new Error("Export signing key is not configured");
+    }
+
+    const record = await this.manager.getTenantRecord(tenantId);
+    if (!record) throw new Error(`Tenant ${tenantId} not found`);
+    if (record.status === "deprovisioned") {
+      throw new Error(`Tenant ${tenantId} is not provisioned (status: deprovisioned)`);
+    }
+
+    const recipient = options.recipientKey ? await importRecipientKey(options.recipientKey) : null;
+
+    const now = new Date().toISOString();
+    const id = `tex_${crypto.randomUUID()}`;
+    const row = {
+      id,
+      tenant_id: tenantId,
+      status: "queued",
+      include_objects: options.includeObjects === false ? 0 : 1,
+      recipient_key: recipient?.recipient ?? null,
+      recipient_thumbprint: recipient?.recipient ?? null,
+      prefix: `exports/tenants/${tenantId}/${id}`,
+      requested_by: options.actor || null,
+      attempts: 0,
+      created_at: now,
+    };
+    await this.env.DB.prepare(
+      `INSERT INTO tenant_export_jobs
+       (id, tenant_id, status, include_objects, recipient_key, recipient_thumbprint, prefix,
+        requested_by, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    )
+      .bind(
+        row.id,
+        row.tenant_id,
+        row.status,
+        row.include_objects,
+        row.recipient_key,
+        row.recipient_thumbprint,
+        row.prefix,
+        row.requested_by,
+        now,
+        now,
+      )
+      .run();
+
+    return formatJob(row);
+  }
+
+  /**
+   * One export job
+   *
+   * @param {string} tenantId
+   * @param {string} jobId
+   * @returns {Promise<object>}
+   */
+  async getJob(tenantId, jobId) {
+    const row = await this.env.DB.prepare(
+      "SELECT * FROM tenant_export_jobs WHERE id = ? AND tenant_id = ?",
+    )
+      .bind(jobId, tenantId)
+      .first();
+    if (!row) throw new Error(`Export ${jobId} not found for tenant ${tenantId}`);
+    return formatJob(row);
+  }
+
+  /**
+   * A tenant's export jobs, newest first
+   *
+   * @param {string} tenantId
+   * @returns {Promise<{exports: object[]}>}
+   */
+  async listJobs(tenantId) {
+    const { results } = await this.env.DB.prepare(
+      "SELECT * FROM tenant_export_jobs WHERE tenant_id = ? ORDER BY created_at DESC LIMIT 50",
+    )
+      .bind(tenantId)
+      .all();
+    return { exports: (results || []).map(formatJob) };
+  }
+
+  /**
+   * Run a queued job (or one whose lease ran out) for up to budgetMs,
+   * then requeue it from where it stopped. Returns null when another run
+   * holds the job.
+   *
+   * @param {string} jobId
+   * @param {object} [options]
+   * @param {number} [options.budgetMs] - Work time before saving progress and requeueing
+   * @returns {Promise<object|null>} The job after the run
+   */
+  async runJob(jobId, { budgetMs = RUN_BUDGET_MS } = {}) {
+    const now = new Date();
+    const claim = await this.env.DB.prepare(
+      `UPDATE tenant_export_jobs
+       SET status = 'running', attempts = attempts + 1, locked_until = ?,
+           started_at = COALESCE(started_at, ?), updated_at = ?
+       WHERE id = ? AND attempts < ?
+         AND (status = 'queued' OR (status = 'running' AND locked_until < ?))`,
+    )
+      .bind(
+        new Date(now.getTime() + LEASE_MS).toISOString(),
+        now.toISOString(),
+        now.toISOString(),
+        jobId,
+        MAX_ATTEMPTS,
+        now.toISOString(),
+      )
+      .run();
+    if ((claim?.meta?.changes ?? 0) === 0) return null;
+
+    // locked_until is this run's lease: every later write is conditional on it
+    const job = await this.env.DB.prepare(
+      "SELECT * FROM tenant_export_jobs WHERE id = ?",
+    )
+      .bind(jobId)
+      .first();
+
+    try {
+      const result = await this.#export(job, now.getTime() + budgetMs);
+      if (!result) {
+        // Out of time, not a failure: give the attempt back and let the
+        // next run resume from the saved progress
+        await this.env.DB.prepare(
+          `UPDATE tenant_export_jobs
+           SET status = 'queued', attempts = attempts - 1, locked_until = NULL, updated_at = ?
+           WHERE id = ? AND locked_until = ?`,
+        )
+          .bind(new Date().toISOString(), jobId, job.locked_until)
+          .run();
+        const current = await this.env.DB.prepare(
+          "SELECT * FROM tenant_export_jobs WHERE id = ?",
+        )
+          .bind(jobId)
+          .first();
+        return formatJob(current);
+      }
+
+      await this.env.DB.prepare(
+        `UPDATE tenant_export_jobs
+         SET status = 'completed', manifest_key = ?, file_count = ?, total_bytes = ?,
+             missing_objects = ?, skipped_objects = ?, error = NULL, locked_until = NULL,
+             completed_at = ?, updated_at = ?
+         WHERE id = ? AND locked_until = ?`,
+      )
+        .bind(
+          result.manifestKey,
+          result.fileCount,
+          result.totalBytes,
+          result.missingObjects,
+          result.skippedObjects,
+          result.completedAt,
+          result.completedAt,
+          jobId,
+          job.locked_until,
+        )
+        .run();
+      return formatJob({
+        ...job,
+        status: "completed",
+        manifest_key: result.manifestKey,
+        file_count: result.fileCount,
+        total_bytes: result.totalBytes,
+        missing_objects: result.missingObjects,
+        skipped_objects: result.skippedObjects,
+        error: null,
+        completed_at: result.completedAt,
+      });
+    } catch (err) {
+      console.error(`[TenantExporter] ${jobId} failed:`, err.message);
+      // Retried by the cron until attempts run out
+      const status = job.attempts >= MAX_ATTEMPTS ? "failed" : "queued";
+      await this.env.DB.prepare(
+        `UPDATE tenant_export_jobs
+         SET status = ?, error = ?, locked_until = NULL, updated_at = ?
+         WHERE id = ? AND locked_until = ?`,
+      )
+        .bind(status, err.message, new Date().toISOString(), jobId, job.locked_until)
+        .run();
+      return formatJob({ ...job, status, error: err.message });
+    }
+  }
+
+  /**
+   * Run the oldest waiting job and fail jobs that died on their last
+   * attempt (5-minute cron)
+   *
+   * @returns {Promise<{ran: number, failed: number}>}
+   */
+  async processJobs() {
+    const now = new Date().toISOString();
+    const abandoned = await this.env.DB.prepare(
+      `UPDATE tenant_export_jobs
+       SET status = 'failed', error = COALESCE(error, 'Export run did not finish'), locked_until = NULL, updated_at = ?
+       WHERE status = 'running' AND locked_until < ? AND attempts >= ?`,
+    )
+      .bind(now, now, MAX_ATTEMPTS)
+      .run();
+
+    const next = await this.env.DB.prepare(
+      `SELECT id FROM tenant_export_jobs
+       WHERE attempts < ? AND (status = 'queued' OR (status = 'running' AND locked_until < ?))
+       ORDER BY created_at
+       LIMIT 1`,
+    )
+      .bind(MAX_ATTEMPTS, now)
+      .first();
+
+    const job = next ? await this.runJob(next.id, { budgetMs: CRON_BUDGET_MS }) : null;
+    return {
+      ran: job ? 1 : 0,
+      failed: (abandoned?.meta?.changes ?? 0) + (job?.status === "failed" ? 1 : 0),
+    };
+  }
+
+  /**
+   * Export from the saved progress until done (returns the manifest
+   * summary) or past the deadline (returns null)
+   */
+  async #export(job, deadline) {
+    const tenantId = job.tenant_id;
+    const record = await this.manager.getTenantRecord(tenantId);
+    if (!record || record.status === "deprovisioned") {
+      throw new Error(`Tenant ${tenantId} is not provisioned`);
+    }
+    const connectionUri = await this.manager.getTenantConnection(tenantId);
+    if (!connectionUri) throw new Error(`Tenant ${tenantId} has no connection string`);
+
+    const recipient = job.recipient_key ? await importRecipientKey(job.recipient_key) : null;
+    let progress = job.progress
+      ? JSON.parse(job.progress)
+      : { phase: "tables", table: 0, after: "", part: 0 };
+
+    // Suspended tenants still export (legal holds), so this connects directly
+    // rather than through getTenantDb's access checks
+    const client = new Client({ connectionString: connectionUri });
+    try {
+      await client.connect();
+
+      if (progress.phase === "tables") {
+        const { rows } = await client.query(
+          "SELECT table_name FROM information_schema.tables WHERE table_schema = 'public'",
+        );
+        const present = new Set(rows.map((r) => r.table_name));
+
+        for (let index = progress.table; index < EXPORT_TABLES.length; index++) {
+          const table = EXPORT_TABLES[index];
+          if (!present.has(table)) continue;
+          let { after, part } = index === progress.table ? progress : { after: "", part: 0 };
+          for (;;) {
+            if (Date.now() >= deadline) return null;
+            const written = await this.#exportTablePart(client, job, recipient, table, after, part);
+            progress = written.done
+              ? { phase: "tables", table: index + 1, after: "", part: 0 }
+              : { phase: "tables", table: index, after: written.after, part: part + 1 };
+            await this.#saveProgress(job, progress, written.entry ? [written.entry] : []);
+            if (written.done) break;
+            ({ after, part } = progress);
+          }
+        }
+
+        progress = { phase: job.include_objects === 1 ? "objects" : "manifest", table: 0, after: "" };
+        await this.#saveProgress(job, progress, []);
+      }
+
+      if (progress.phase === "objects") {
+        const { rows } = await client.query(
+          `SELECT table_name FROM information_schema.columns
+           WHERE table_schema = 'public' AND column_name = 'r2_key'`,
+        );
+        const withObjects = new Set(rows.map((r) => r.table_name));
+        const seen = new Set();
+
+        for (let index = progress.table; index < EXPORT_TABLES.length; index++) {
+          const table = EXPORT_TABLES[index];
+          if (!withObjects.has(table)) continue;
+          let after = index === progress.table ? progress.after : "";
+          for (;;) {
+            const page = await client.query(
+              `SELECT id, r2_key FROM ${table}
+               WHERE id > $1 AND r2_key IS NOT NULL ORDER BY id LIMIT ${PAGE_SIZE}`,
+              [after],
+            );
+            const batch = page.rows || [];
+            const entries = [];
+            let outOfTime = false;
+            for (const row of batch) {
+              if (Date.now() >= deadline) {
+                outOfTime = true;
+                break;
+              }
+              if (!seen.has(row.r2_key)) {
+                seen.add(row.r2_key);
+                entries.push(await this.#exportObject(job, recipient, row.r2_key));
+              }
+              after = row.id;
+            }
+            const finished = !outOfTime && batch.length < PAGE_SIZE;
+            progress = finished
+              ? { phase: "objects", table: index + 1, after: "" }
+              : { phase: "objects", table: index, after };
+            await this.#saveProgress(job, progress, entries);
+            if (outOfTime) return null;
+            if (finished) break;
+          }
+        }
+
+        progress = { phase: "manifest" };
+        await this.#saveProgress(job, progress, []);
+      }
+    } finally {
+      await client.end().catch((err) => {
+        console.warn("[TenantExporter] Connection cleanup failed:", err.message);
+      });
+    }
+
+    return this.#writeManifest(job, record, recipient);
+  }
+
+  /**
+   * Write one part file of up to PAGES_PER_PART pages of a table, starting
+   * after the given id. Later parts that would be empty are not written.
+   */
+  async #exportTablePart(client, job, recipient, table, after, part) {
+    const page = (cursor) =>
+      client
+        .query(`SELECT * FROM ${table} WHERE id > $1 ORDER BY id LIMIT ${PAGE_SIZE}`, [cursor])
+        .then((result) => result.rows || []);
+
+    let batch = await page(after);
+    if (batch.length === 0 && part > 0) return { entry: null, after, done: true };
+
+    const path = `tables/${table}/part-${String(part).padStart(4, "0")}.ndjson`;
+    const writer = await this.#openFile(job, path, "application/x-ndjson", recipient);
+    let rows = 0;
+    let pages = 0;
+    let last = after;
+    try {
+      while (batch.length > 0) {
+        await writer.write(batch.map((r) => `${JSON.stringify(r)}\n`).join(""));
+        rows += batch.length;
+        pages++;
+        last = batch[batch.length - 1].id;
+        if (batch.length < PAGE_SIZE || pages === PAGES_PER_PART) break;
+        batch = await page(last);
+      }
+      const entry = { path: writer.path, type: "table", table, part, rows, ...(await writer.close()) };
+      return { entry, after: last, done: batch.length < PAGE_SIZE };
+    } catch (err) {
+      await writer.abort();
+      throw err;
+    }
+  }
+
+  /**
+   * Copy one evidence object into the bundle; returns its manifest entry,
+   * or a skipped/missing entry when it is outside the tenant's prefix or
+   * no longer in R2
+   */
+  async #exportObject(job, recipient, r2Key) {
+    if (!isTenantEvidenceKey(job.tenant_id, r2Key)) {
+      console.warn(`[TenantExporter] ${job.id}: skipping ${r2Key}, outside ${tenantEvidencePrefix(job.tenant_id)}`);
+      return { type: "skipped", r2Key };
+    }
+    const object = await this.env.FILES.get(r2Key);
+    if (!object) return { type: "missing", r2Key };
+
+    const contentType = object.httpMetadata?.contentType || "application/octet-stream";
+    const writer = await this.#openFile(job, `objects/${r2Key}`, contentType, recipient);
+    try {
+      const reader = object.body.getReader();
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        await writer.write(value);
+      }
+      return { path: writer.path, type: "object", r2Key, contentType, ...(await writer.close()) };
+    } catch (err) {
+      await writer.abort();
+      throw err;
+    }
+  }
+
+  /**
+   * Record finished files and the next resume point, only while this run
+   * still holds the lease
+   */
+  async #saveProgress(job, progress, entries) {
+    const now = new Date().toISOString();
+    const statements = entries.map((entry) =>
+      this.env.DB.prepare(
+        `INSERT OR REPLACE INTO tenant_export_files (job_id, type, path, entry, created_at)
+         SELECT ?, ?, ?, ?, ?
+         WHERE EXISTS (SELECT 1 FROM tenant_export_jobs WHERE id = ? AND locked_until = ?)`,
+      ).bind(job.id, entry.type, entry.path ?? entry.r2Key, JSON.stringify(entry), now, job.id, job.locked_until),
+    );
+    statements.push(
+      this.env.DB.prepare(
+        `UPDATE tenant_export_jobs SET progress = ?, updated_at = ?
+         WHERE id = ? AND locked_until = ?`,
+      ).bind(JSON.stringify(progress), now, job.id, job.locked_until),
+    );
+    const results = await this.env.DB.batch(statements);
+    if ((results.at(-1)?.meta?.changes ?? 0) === 0) {
+      throw new Error(`Export ${job.id} lost its lease to another run`);
+    }
+  }
+
+  async #writeManifest(job, record, recipient) {
+    const { results } = await this.env.DB.prepare(
+      "SELECT entry FROM tenant_export_files WHERE job_id = ? ORDER BY rowid",
+    )
+      .bind(job.id)
+      .all();
+    const entries = (results || []).map((r) => JSON.parse(r.entry));
+    const files = entries.filter((e) => e.type === "table" || e.type === "object");
+    const missingObjects = entries.filter((e) => e.type === "missing").map((e) => e.r2Key);
+    const skippedObjects = entries.filter((e) => e.type === "skipped").map((e) => e.r2Key);
+
+    const completedAt = new Date().toISOString();
+    const manifest = {
+      format: MANIFEST_FORMAT,
+      jobId: job.id,
+      tenantId: job.tenant_id,
+      tenant: {
+        neonProjectId: record.neon_project_id,
+        region: record.neon_region,
+        pgVersion: record.pg_version,
+        status: record.status,
+      },
+      requestedBy: job.requested_by ?? null,
+      createdAt: job.created_at,
+      completedAt,
+      encryption: recipient
+        ? { scheme: ENCRYPTION_SCHEME, recipient: recipient.recipient, chunkSize: CHUNK_SIZE }
+        : null,
+      evidencePrefix: tenantEvidencePrefix(job.tenant_id),
+      files,
+      missingObjects,
+      skippedObjects,
+    };
+
+    const manifestKey = `${job.prefix}/manifest.json`;
+    const manifestBytes = encoder.encode(JSON.stringify(manifest, null, 2));
+    const { signature, kid } = await signManifest(this.env, manifestBytes);
+    await this.env.FILES.put(manifestKey, manifestBytes, {
+      httpMetadata: { contentType: "application/json" },
+    });
+    await this.env.FILES.put(
+      `${manifestKey}.jws`,
+      JSON.stringify({
+        alg: "EdDSA",
+        kid,
+        signature,
+        sha256: createHash("sha256").update(manifestBytes).digest("hex"),
+      }),
+      { httpMetadata: { contentType: "application/json" } },
+    );
+
+    return {
+      manifestKey,
+      fileCount: files.length,
+      totalBytes: files.reduce((n, f) => n + f.bytes, 0),
+      missingObjects: missingObjects.length,
+      skippedObjects: skippedObjects.length,
+      completedAt,
+    };
+  }
+
+  async #openFile(job, path, contentType, recipient) {
+    const filePath = recipient ? `${path}.age` : path;
+    return new R2FileWriter(this.env.FILES, `${job.prefix}/${filePath}`, {
+      path: filePath,
+      contentType: recipient ? "application/octet-stream" : contentType,
+      encryptor: recipient ? await createFileEncryptor(recipient) : null,
+    });
+  }
+}
@@ -0,0 +1,361 @@
+/**
+ * Tenant Metering
+ *
+ * Suspension checks, quotas and monthly usage for tenant Neon projects.
+ *
+ *   - checkAccess runs before every tenant connection and refuses
+ *     suspended or deprovisioned tenants, and tenants over a hard quota
+ *   - recordQuery counts queries made through queryTenantDb
+ *   - syncUsage pulls storage and compute seconds from the Neon API
+ *     (hourly cron, for every active tenant)
+ *   - report builds the monthly usage report used for billing
+ *
+ * Usage is kept per calendar month (UTC) in tenant_usage; limits live in
+ * tenant_quotas, where NULL means unlimited (migration 034).
+ *
+ * @module services/tenant-metering
+ */
+
+import { TenantProjectManager } from "./tenant-project-manager.js";
+import { classifySql } from "../lib/sql-guard.js";
+
+export const QUOTA_METRICS = {
+  storage: { limit: "max_storage_bytes", used: "storage_bytes" },
+  queries: { limit: "max_queries", used: "query_count" },
+  compute: { limit: "max_compute_seconds", used: "compute_seconds" },
+};
+
+const PAGE_SIZE = 100;
+
+/**
+ * Refusal to connect to a tenant's database
+ */
+export class TenantAccessError extends Error {
+  /**
+   * @param {string} message
+   * @param {object} [details] - { code, status, tenantId, overages }
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = "TenantAccessError";
+    Object.assign(this, details);
+  }
+}
+
+/**
+ * Usage period for a date: YYYY-MM in UTC
+ * @param {Date} [date]
+ * @returns {string}
+ */
+export function usagePeriod(date = new Date()) {
+  return date.toISOString().slice(0, 7);
+}
+
+/**
+ * Whether a query may write (storage quotas only block writes). Uses the
+ * /api/execute/sql classifier, so data-modifying CTEs, EXPLAIN ANALYZE,
+ * SELECT ... INTO, multi-statement strings and anything it cannot
+ * tokenize count as writes; only a query it classifies as a read does not.
+ *
+ * @param {string} query
+ * @returns {boolean}
+ */
+export function isWriteQuery(query) {
+  return classifySql(query).kind !== "read";
+}
+
+/**
+ * Metrics at or over their limit
+ *
+ * @param {object|null} quota - tenant_quotas row
+ * @param {object|null} usage - tenant_usage row
+ * @returns {Array<{metric: string, used: number, limit: number}>}
+ */
+export function quotaOverages(quota, usage) {
+  if (!quota) return [];
+  const overages = [];
+  for (const [metric, { limit, used }] of Object.entries(QUOTA_METRICS)) {
+    const max = quota[limit];
+    const value = usage?.[used] ?? 0;
+    if (max !== null && max !== undefined && value >= max) {
+      overages.push({ metric, used: value, limit: max });
+    }
+  }
+  return overages;
+}
+
+function formatQuota(row) {
+  if (!row || row.enforcement === null || row.enforcement === undefined) return null;
+  return {
+    maxStorageBytes: row.max_storage_bytes ?? null,
+    maxQueries: row.max_queries ?? null,
+    maxComputeSeconds: row.max_compute_seconds ?? null,
+    enforcement: row.enforcement,
+  };
+}
+
+function formatUsage(row) {
+  return {
+    queries: row?.query_count ?? 0,
+    storageBytes: row?.storage_bytes ?? null,
+    computeSeconds: row?.compute_seconds ?? null,
+    neonSyncedAt: row?.neon_synced_at ?? null,
+  };
+}
+
+export class TenantMetering {
+  constructor(env) {
+    this.env = env;
+    this.manager = new TenantProjectManager(env);
+  }
+
+  /**
+   * Refuse suspended or deprovisioned tenants and tenants over a hard
+   * quota. Storage limits only refuse writes.
+   *
+   * @param {string} tenantId
+   * @param {object} [options]
+   * @param {boolean} [options.write] - The caller is about to write
+   * @returns {Promise<void>}
+   * @throws {TenantAccessError}
+   */
+  async checkAccess(tenantId, options = {}) {
+    // No platform DB (local dev) — there is nothing to enforce against
+    if (!this.env.DB) return;
+
+    const row = await this.env.DB.prepare(
+      `SELECT p.status, p.suspended_reason,
+              q.max_storage_bytes, q.max_queries, q.max_compute_seconds, q.enforcement,
+              u.query_count, u.storage_bytes, u.compute_seconds
+       FROM tenant_projects p
+       LEFT JOIN tenant_quotas q ON q.tenant_id = p.tenant_id
+       LEFT JOIN tenant_usage u ON u.tenant_id = p.tenant_id AND u.period = ?
+       WHERE p.tenant_id = ?`,
+    )
+      .bind(usagePeriod(), tenantId)
+      .first();
+    if (!row) return;
+
+    if (row.status === "suspended") {
+      throw new TenantAccessError(
+        `Tenant ${tenantId} is suspended${row.suspended_reason ? `: ${row.suspended_reason}` : ""}`,
+        { code: "TENANT_SUSPENDED", status: 403, tenantId },
+      );
+    }
+    if (row.status === "deprovisioned") {
+      throw new TenantAccessError(`Tenant ${tenantId} is deprovisioned`, {
+        code: "TENANT_DEPROVISIONED",
+        status: 410,
+        tenantId,
+      });
+    }
+
+    if (row.enforcement !== "hard") return;
+    const overages = quotaOverages(row, row).filter(
+      (o) => o.metric !== "storage" || options.write,
+    );
+    if (overages.length) {
+      throw new TenantAccessError(
+        `Tenant ${tenantId} is over its ${overages.map((o) => o.metric).join(", ")} quota`,
+        { code: "TENANT_QUOTA_EXCEEDED", status: 429, tenantId, overages },
+      );
+    }
+  }
+
+  /**
+   * Count one query against the tenant's monthly usage. Best-effort.
+   *
+   * @param {string} tenantId
+   */
+  async recordQuery(tenantId) {
+    if (!this.env.DB) return;
+    try {
+      await this.env.DB.prepare(
+        `INSERT INTO tenant_usage (tenant_id, period, query_count, updated_at)
+         VALUES (?, ?, 1, ?)
+         ON CONFLICT(tenant_id, period) DO UPDATE SET
+           query_count = query_count + 1, updated_at = excluded.updated_at`,
+      )
+        .bind(tenantId, usagePeriod(), new Date().toISOString())
+        .run();
+    } catch (err) {
+      console.warn(
+        `[TenantMetering] Query count failed for ${tenantId}:`,
+        err.message,
+      );
+    }
+  }
+
+  /**
+   * Pull storage and compute seconds for the current period from Neon
+   *
+   * @param {string} tenantId
+   * @returns {Promise<{tenantId: string, period: string, storageBytes: number|null, computeSeconds: number|null}>}
+   */
+  async syncUsage(tenantId) {
+    const project = await this.manager.getNeonProject(tenantId);
+    const storageBytes = project?.synthetic_storage_size ?? null;
+    const computeSeconds =
+      project?.compute_time_seconds ?? project?.cpu_used_sec ?? null;
+    const period = usagePeriod();
+    const now = new Date().toISOString();
+
+    await this.env.DB.prepare(
+      `INSERT INTO tenant_usage (tenant_id, period, storage_bytes, compute_seconds, neon_synced_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?)
+       ON CONFLICT(tenant_id, period) DO UPDATE SET
+         storage_bytes = excluded.storage_bytes, compute_seconds = excluded.compute_seconds,
+         neon_synced_at = excluded.neon_synced_at, updated_at = excluded.updated_at`,
+    )
+      .bind(tenantId, period, storageBytes, computeSeconds, now, now)
+      .run();
+
+    return { tenantId, period, storageBytes, computeSeconds };
+  }
+
+  /**
+   * Sync Neon usage for every active tenant; one failure does not stop the rest
+   *
+   * @returns {Promise<{synced: number, failed: number}>}
+   */
+  async syncAllUsage() {
+    let synced = 0;
+    let failed = 0;
+    for (let offset = 0; ; offset += PAGE_SIZE) {
+      const page = await this.manager.listTenants({
+        status: "active",
+        limit: PAGE_SIZE,
+        offset,
+      });
+      for (const tenant of page.tenants) {
+        try {
+          await this.syncUsage(tenant.tenant_id);
+          synced++;
+        } catch (err) {
+          failed++;
+          console.warn(
+            `[TenantMetering] Usage sync failed for ${tenant.tenant_id}:`,
+            err.message,
+          );
+        }
+      }
+      if (page.tenants.length < PAGE_SIZE || offset + PAGE_SIZE >= page.total) break;
+    }
+    return { synced, failed };
+  }
+
+  /**
+   * Set a tenant's quota. Omitted limits are unlimited.
+   *
+   * @param {string} tenantId
+   * @param {object} quota - { maxStorageBytes?, maxQueries?, maxComputeSeconds?, enforcement? }
+   * @param {string|null} [actor]
+   * @returns {Promise<object>} Formatted quota
+   */
+  async setQuota(tenantId, quota, actor = null) {
+    const record = await this.manager.getTenantRecord(tenantId);
+    if (!record) throw new Error(`Tenant ${tenantId} not found`);
+
+    const row = {
+      max_storage_bytes: quota.maxStorageBytes ?? null,
+      max_queries: quota.maxQueries ?? null,
+      max_compute_seconds: quota.maxComputeSeconds ?? null,
+      enforcement: quota.enforcement || "hard",
+    };
+    await this.env.DB.prepare(
+      `INSERT INTO tenant_quotas (tenant_id, max_storage_bytes, max_queries, max_compute_seconds, enforcement, updated_by, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)
+       ON CONFLICT(tenant_id) DO UPDATE SET
+         max_storage_bytes = excluded.max_storage_bytes, max_queries = excluded.max_queries,
+         max_compute_seconds = excluded.max_compute_seconds, enforcement = excluded.enforcement,
+         updated_by = excluded.updated_by, updated_at = excluded.updated_at`,
+    )
+      .bind(
+        tenantId,
+        row.max_storage_bytes,
+        row.max_queries,
+        row.max_compute_seconds,
+        row.enforcement,
+        actor,
+        new Date().toISOString(),
+      )
+      .run();
+    return formatQuota(row);
+  }
+
+  /**
+   * One tenant's usage and quota for a period
+   *
+   * @param {string} tenantId
+   * @param {string} [period] - YYYY-MM, defaults to the current month
+   * @returns {Promise<object>}
+   */
+  async getUsage(tenantId, period = usagePeriod()) {
+    const record = await this.manager.getTenantRecord(tenantId);
+    if (!record) throw new Error(`Tenant ${tenantId} not found`);
+
+    const [usage, quota] = await Promise.all([
+      this.env.DB.prepare(
+        "SELECT * FROM tenant_usage WHERE tenant_id = ? AND period = ?",
+      )
+        .bind(tenantId, period)
+        .first(),
+      this.env.DB.prepare("SELECT * FROM tenant_quotas WHERE tenant_id = ?")
+        .bind(tenantId)
+        .first(),
+    ]);
+
+    return {
+      tenantId,
+      status: record.status,
+      period,
+      usage: formatUsage(usage),
+      quota: formatQuota(quota),
+      overages: quotaOverages(quota, usage),
+    };
+  }
+
+  /**
+   * Monthly usage report across tenants, for billing
+   *
+   * @param {string} [period] - YYYY-MM, defaults to the current month
+   * @returns {Promise<object>} Per-tenant usage, quota and overages plus totals
+   */
+  async report(period = usagePeriod()) {
+    const { results } = await this.env.DB.prepare(
+      `SELECT p.tenant_id, p.status,
+              u.query_count, u.storage_bytes, u.compute_seconds, u.neon_synced_at,
+              q.max_storage_bytes, q.max_queries, q.max_compute_seconds, q.enforcement
+       FROM tenant_projects p
+       LEFT JOIN tenant_usage u ON u.tenant_id = p.tenant_id AND u.period = ?
+       LEFT JOIN tenant_quotas q ON q.tenant_id = p.tenant_id
+       WHERE p.status != 'deprovisioned' OR u.tenant_id IS NOT NULL
+       ORDER BY p.tenant_id`,
+    )
+      .bind(period)
+      .all();
+
+    const totals = { queries: 0, storageBytes: 0, computeSeconds: 0 };
+    const tenants = (results || []).map((row) => {
+      const usage = formatUsage(row);
+      totals.queries += usage.queries;
+      totals.storageBytes += usage.storageBytes || 0;
+      totals.computeSeconds += usage.computeSeconds || 0;
+      return {
+        tenantId: row.tenant_id,
+        status: row.status,
+        usage,
+        quota: formatQuota(row),
+        overages: quotaOverages(row.enforcement ? row : null, row),
+      };
+    });
+
+    return {
+      period,
+      generatedAt: new Date().toISOString(),
+      tenants,
+      totals,
+      overQuota: tenants.filter((t) => t.overages.length).length,
+    };
+  }
+}
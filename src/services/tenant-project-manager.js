@@ -2,7 +2,8 @@
  * Tenant Project Manager
  *
  * Wraps the Neon API for per-tenant project lifecycle:
- * provision, lookup, deprovision, export, and list.
+ * provision, lookup, suspend/resume, deprovision, export, and list,
+ * plus point-in-time branches: expiring sandboxes and restores.
  *
  * Two-layer model:
  *   Layer 1 (tenant-owned): evidence originals, custody logs, client documents
@@ -16,6 +17,38 @@ import { runTenantMigrations } from "../lib/tenant-migrations.js";
 
 const NEON_API_BASE = "https://console.neon.tech/api/v2";
 
+/** Sandbox branch lifetime in hours */
+export const BRANCH_TTL_HOURS = { default: 24, max: 168 };
+/** How long the pre-restore backup branch is kept */
+const BACKUP_TTL_HOURS = 168;
+const BRANCH_CLEANUP_BATCH = 50;
+
+function hoursFromNow(hours) {
+  return new Date(Date.now() + hours * 3600 * 1000).toISOString();
+}
+
+function formatBranch(row, { withConnection = false } = {}) {
+  const branch = {
+    id: row.id,
+    tenantId: row.tenant_id,
+    neonBranchId: row.neon_branch_id,
+    name: row.name,
+    kind: row.kind,
+    parentTimestamp: row.parent_timestamp ?? null,
+    purpose: row.purpose ?? null,
+    status: row.status,
+    expiresAt: row.expires_at,
+    createdBy: row.created_by ?? null,
+    createdAt: row.created_at,
+    promotedAt: row.promoted_at ?? null,
+    deletedAt: row.deleted_at ?? null,
+  };
+  if (withConnection) {
+    branch.connectionUri = row.deleted_at ? null : (row.connection_uri_encrypted ?? null);
+  }
+  return branch;
+}
+
 export class TenantProjectManager {
   /**
    * @param {object} env - Worker environment bindings
@@ -151,6 +184,7 @@ export class TenantProjectManager {
     // Run base migrations on the new tenant database
     const migrationResult = await runTenantMigrations(connectionUri);
     const migrationsApplied = migrationResult.applied;
+    await this.#recordSchemaVersion(tenantId, migrationResult.version ?? null);
 
     return {
       tenantId,
@@ -244,6 +278,113 @@ export class TenantProjectManager {
       .run();
   }
 
+  /**
+   * Record a new tenant's schema version for the upgrade status report.
+   * Best-effort: the tenant's own _tenant_schema_version is authoritative.
+   * @param {string} tenantId
+   * @param {number|null} version
+   */
+  async #recordSchemaVersion(tenantId, version) {
+    try {
+      await this.env.DB.prepare(
+        `INSERT INTO tenant_schema_versions (tenant_id, version, state, last_run_at, updated_at)
+         VALUES (?, ?, 'idle', ?, ?)
+         ON CONFLICT(tenant_id) DO UPDATE SET version = excluded.version, last_run_at = excluded.last_run_at,
+           updated_at = excluded.updated_at`,
+      )
+        .bind(tenantId, version, new Date().toISOString(), new Date().toISOString())
+        .run();
+    } catch (err) {
+      console.warn(
+        `[TenantProjectManager] Schema version record failed for ${tenantId}:`,
+        err.message,
+      );
+    }
+  }
+
+  /**
+   * Suspend a tenant: its database stays intact, but getTenantDb and
+   * queryTenantDb refuse it until resumed.
+   *
+   * @param {string} tenantId
+   * @param {object} [options]
+   * @param {string} [options.reason]
+   * @param {string} [options.actor] - Who suspended it
+   * @returns {Promise<object>}
+   */
+  async suspendTenant(tenantId, options = {}) {
+    const record = await this.getTenantRecord(tenantId);
+    if (!record) {
+      throw new Error(`Tenant ${tenantId} not found`);
+    }
+
+    const suspendedAt = new Date().toISOString();
+    const result = await this.env.DB.prepare(
+      `UPDATE tenant_projects
+       SET status = 'suspended', suspended_at = ?, suspended_reason = ?, suspended_by = ?, updated_at = ?
+       WHERE tenant_id = ? AND status = 'active'`,
+    )
+      .bind(suspendedAt, options.reason || null, options.actor || null, suspendedAt, tenantId)
+      .run();
+    if ((result?.meta?.changes ?? 0) === 0) {
+      throw new Error(`Tenant ${tenantId} is not active (status: ${record.status})`);
+    }
+
+    // Drop the cached connection so nothing keeps using it
+    if (this.env.TENANT_CONNECTIONS) {
+      await this.env.TENANT_CONNECTIONS.delete(`tenant:${tenantId}`);
+    }
+
+    return {
+      tenantId,
+      status: "suspended",
+      suspendedAt,
+      reason: options.reason || null,
+    };
+  }
+
+  /**
+   * Resume a suspended tenant
+   *
+   * @param {string} tenantId
+   * @returns {Promise<{tenantId: string, status: string}>}
+   */
+  async resumeTenant(tenantId) {
+    const record = await this.getTenantRecord(tenantId);
+    if (!record) {
+      throw new Error(`Tenant ${tenantId} not found`);
+    }
+
+    const result = await this.env.DB.prepare(
+      `UPDATE tenant_projects
+       SET status = 'active', suspended_at = NULL, suspended_reason = NULL, suspended_by = NULL, updated_at = ?
+       WHERE tenant_id = ? AND status = 'suspended'`,
+    )
+      .bind(new Date().toISOString(), tenantId)
+      .run();
+    if ((result?.meta?.changes ?? 0) === 0) {
+      throw new Error(`Tenant ${tenantId} is not suspended (status: ${record.status})`);
+    }
+
+    return { tenantId, status: "active" };
+  }
+
+  /**
+   * Fetch a tenant's Neon project, including its consumption metrics
+   *
+   * @param {string} tenantId
+   * @returns {Promise<object|null>} Neon project object
+   */
+  async getNeonProject(tenantId) {
+    const record = await this.getTenantRecord(tenantId);
+    if (!record) {
+      throw new Error(`Tenant ${tenantId} not found`);
+    }
+
+    const result = await this.#neonFetch(`/projects/${record.neon_project_id}`);
+    return result?.project || null;
+  }
+
   /**
    * Deprovision a tenant's Neon project
    *
@@ -302,6 +443,338 @@ export class TenantProjectManager {
     };
   }
 
+  /**
+   * Create a Neon branch of a tenant's project, optionally at a point in
+   * time, with its own compute endpoint. The branch is a sandbox: its
+   * connection URI works until expiresAt, then the cron deletes it.
+   *
+   * @param {string} tenantId
+   * @param {object} [options]
+   * @param {string} [options.timestamp] - ISO time to branch from (default: now)
+   * @param {string} [options.name] - Branch name prefix
+   * @param {number} [options.ttlHours] - Lifetime (default 24)
+   * @param {string} [options.purpose] - Why the sandbox exists (investigation, testing)
+   * @param {string} [options.actor] - Who created it
+   * @returns {Promise<object>} Branch, including its connection URI
+   */
+  async createBranch(tenantId, options = {}) {
+    const record = await this.#requireBranchableTenant(tenantId);
+
+    const id = `tbr_${crypto.randomUUID()}`;
+    const name = `${options.name || "sandbox"}-${id.slice(4, 12)}`;
+    const branchBody = { name };
+    if (options.timestamp) {
+      branchBody.parent_timestamp = new Date(options.timestamp).toISOString();
+    }
+
+    const result = await this.#neonFetch(
+      `/projects/${record.neon_project_id}/branches`,
+      {
+        method: "POST",
+        body: JSON.stringify({
+          branch: branchBody,
+          endpoints: [{ type: "read_write" }],
+        }),
+      },
+    );
+
+    const connectionUri = result.connection_uris?.[0]?.connection_uri || null;
+    if (!connectionUri) {
+      await this.#deleteNeonBranch(record.neon_project_id, result.branch.id).catch(() => {});
+      throw new Error(
+        `Neon branch ${result.branch.id} created without a connection URI and was removed`,
+      );
+    }
+
+    const now = new Date().toISOString();
+    const row = {
+      id,
+      tenant_id: tenantId,
+      neon_branch_id: result.branch.id,
+      name,
+      kind: "sandbox",
+      parent_timestamp: branchBody.parent_timestamp || null,
+      purpose: options.purpose || null,
+      connection_uri_encrypted: connectionUri,
+      status: "active",
+      expires_at: hoursFromNow(options.ttlHours ?? BRANCH_TTL_HOURS.default),
+      created_by: options.actor || null,
+      created_at: now,
+    };
+    await this.#storeBranch(row);
+
+    return formatBranch(row, { withConnection: true });
+  }
+
+  /**
+   * List a tenant's branches, newest first (without connection URIs)
+   *
+   * @param {string} tenantId
+   * @returns {Promise<{branches: object[]}>}
+   */
+  async listBranches(tenantId) {
+    const record = await this.getTenantRecord(tenantId);
+    if (!record) {
+      throw new Error(`Tenant ${tenantId} not found`);
+    }
+
+    const { results } = await this.env.DB.prepare(
+      "SELECT * FROM tenant_branches WHERE tenant_id = ? ORDER BY created_at DESC",
+    )
+      .bind(tenantId)
+      .all();
+    return { branches: (results || []).map((row) => formatBranch(row)) };
+  }
+
+  /**
+   * One branch, with its connection URI while it still exists
+   *
+   * @param {string} tenantId
+   * @param {string} branchId - tbr_ id
+   * @returns {Promise<object>}
+   */
+  async getBranch(tenantId, branchId) {
+    return formatBranch(await this.#getBranchRow(tenantId, branchId), {
+      withConnection: true,
+    });
+  }
+
+  /**
+   * Delete a branch from Neon before it expires
+   *
+   * @param {string} tenantId
+   * @param {string} branchId - tbr_ id
+   * @returns {Promise<object>}
+   */
+  async deleteBranch(tenantId, branchId) {
+    const row = await this.#getBranchRow(tenantId, branchId);
+    if (row.deleted_at) {
+      throw new Error(`Branch ${branchId} is not live (status: ${row.status})`);
+    }
+    const record = await this.getTenantRecord(tenantId);
+
+    await this.#deleteNeonBranch(record.neon_project_id, row.neon_branch_id);
+    await this.#markBranchDeleted(row.id, "deleted");
+    return { id: row.id, tenantId, status: "deleted" };
+  }
+
+  /**
+   * Restore a tenant's database from a branch. Neon replaces the default
+   * branch's data with the branch's and keeps the previous state as a
+   * backup branch, so the tenant's connection URI is unchanged and the
+   * restore can itself be undone by restoring from the backup.
+   *
+   * The restore has happened once Neon accepts it, so a failure to record
+   * the backup afterwards does not throw: the result carries
+   * backupRecorded: false, the error, and the backup's Neon branch name so
+   * it can still be found (and, until recorded, is not expired by the cron).
+   *
+   * @param {string} tenantId
+   * @param {string} branchId - tbr_ id of an active, unexpired branch
+   * @param {object} [options]
+   * @param {string} [options.actor] - Who restored it
+   * @returns {Promise<object>} { tenantId, restoredFrom, backup, backupName, backupRecorded, backupError }
+   */
+  async restoreBranch(tenantId, branchId, options = {}) {
+    const record = await this.#requireBranchableTenant(tenantId);
+    const row = await this.#getBranchRow(tenantId, branchId);
+    if (row.status !== "active" || row.deleted_at) {
+      throw new Error(`Branch ${branchId} is not active (status: ${row.status})`);
+    }
+    // The cron may be deleting it from Neon right now
+    if (Date.parse(row.expires_at) <= Date.now()) {
+      throw new Error(`Branch ${branchId} is not active (expired at ${row.expires_at})`);
+    }
+
+    const { branches } = await this.#neonFetch(
+      `/projects/${record.neon_project_id}/branches`,
+    );
+    const target = (branches || []).find((b) => b.default || b.primary);
+    if (!target) {
+      throw new Error(`Neon project ${record.neon_project_id} has no default branch`);
+    }
+
+    const backupId = `tbr_${crypto.randomUUID()}`;
+    const backupName = `pre-restore-${backupId.slice(4, 12)}`;
+    await this.#neonFetch(
+      `/projects/${record.neon_project_id}/branches/${target.id}/restore`,
+      {
+        method: "POST",
+        body: JSON.stringify({
+          source_branch_id: row.neon_branch_id,
+          preserve_under_name: backupName,
+        }),
+      },
+    );
+
+    const now = new Date().toISOString();
+    await this.env.DB.prepare(
+      `UPDATE tenant_branches
+       SET status = 'promoted', promoted_at = ?, promoted_by = ?, updated_at = ?
+       WHERE id = ?`,
+    )
+      .bind(now, options.actor || null, now, row.id)
+      .run();
+
+    // The backup keeps the name Neon was given; its id comes from a fresh listing
+    let backup = null;
+    let backupError = null;
+    try {
+      const after = await this.#neonFetch(
+        `/projects/${record.neon_project_id}/branches`,
+      );
+      const preserved = (after.branches || []).find((b) => b.name === backupName);
+      if (!preserved) {
+        throw new Error(`Neon does not list the backup branch ${backupName}`);
+      }
+      const backupRow = {
+        id: backupId,
+        tenant_id: tenantId,
+        neon_branch_id: preserved.id,
+        name: backupName,
+        kind: "backup",
+        parent_timestamp: null,
+        purpose: `State before restoring from ${row.id}`,
+        connection_uri_encrypted: null,
+        status: "active",
+        expires_at: hoursFromNow(BACKUP_TTL_HOURS),
+        created_by: options.actor || null,
+        created_at: now,
+      };
+      await this.#storeBranch(backupRow);
+      backup = backupRow;
+    } catch (err) {
+      backupError = err.message;
+      console.error(
+        `[TenantProjectManager] Restored ${tenantId} but could not record backup branch ${backupName}:`,
+        err.message,
+      );
+    }
+
+    return {
+      tenantId,
+      restoredFrom: formatBranch({ ...row, status: "promoted", promoted_at: now }),
+      backup: backup ? formatBranch(backup) : null,
+      backupName,
+      backupRecorded: Boolean(backup),
+      backupError,
+      restoredAt: now,
+    };
+  }
+
+  /**
+   * Delete branches past their expiry (5-minute cron). A branch Neon no
+   * longer has counts as deleted.
+   *
+   * @returns {Promise<{deleted: number, failed: number}>}
+   */
+  async cleanupExpiredBranches() {
+    const { results } = await this.env.DB.prepare(
+      `SELECT b.id, b.tenant_id, b.neon_branch_id, p.neon_project_id
+       FROM tenant_branches b
+       JOIN tenant_projects p ON p.tenant_id = b.tenant_id
+       WHERE b.deleted_at IS NULL AND b.expires_at <= ?
+       ORDER BY b.expires_at
+       LIMIT ?`,
+    )
+      .bind(new Date().toISOString(), BRANCH_CLEANUP_BATCH)
+      .all();
+
+    let deleted = 0;
+    let failed = 0;
+    for (const row of results || []) {
+      try {
+        await this.#deleteNeonBranch(row.neon_project_id, row.neon_branch_id);
+        await this.#markBranchDeleted(row.id, "expired");
+        deleted++;
+      } catch (err) {
+        failed++;
+        console.warn(
+          `[TenantProjectManager] Branch cleanup failed for ${row.tenant_id}/${row.id}:`,
+          err.message,
+        );
+      }
+    }
+    return { deleted, failed };
+  }
+
+  async #requireBranchableTenant(tenantId) {
+    const record = await this.getTenantRecord(tenantId);
+    if (!record) {
+      throw new Error(`Tenant ${tenantId} not found`);
+    }
+    if (record.status === "deprovisioned") {
+      throw new Error(`Tenant ${tenantId} is not provisioned (status: deprovisioned)`);
+    }
+    return record;
+  }
+
+  async #getBranchRow(tenantId, branchId) {
+    const row = await this.env.DB.prepare(
+      "SELECT * FROM tenant_branches WHERE id = ? AND tenant_id = ?",
+    )
+      .bind(branchId, tenantId)
+      .first();
+    if (!row) {
+      throw new Error(`Branch ${branchId} not found for tenant ${tenantId}`);
+    }
+    return row;
+  }
+
+  async #storeBranch(row) {
+    await this.env.DB.prepare(
+      `INSERT INTO tenant_branches
+       (id, tenant_id, neon_branch_id, name, kind, parent_timestamp, purpose, connection_uri_encrypted,
+        status, expires_at, created_by, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    )
+      .bind(
+        row.id,
+        row.tenant_id,
+        row.neon_branch_id,
+        row.name,
+        row.kind,
+        row.parent_timestamp,
+        row.purpose,
+        row.connection_uri_encrypted,
+        row.status,
+        row.expires_at,
+        row.created_by,
+        row.created_at,
+        row.created_at,
+      )
+      .run();
+  }
+
+  /**
+   * Delete a Neon branch; one Neon no longer has is already gone
+   */
+  async #deleteNeonBranch(projectId, neonBranchId) {
+    try {
+      await this.#neonFetch(`/projects/${projectId}/branches/${neonBranchId}`, {
+        method: "DELETE",
+      });
+    } catch (err) {
+      if (!err.message.includes("Neon API error: 404")) throw err;
+    }
+  }
+
+  /**
+   * Record a branch's removal from Neon. Active branches take the given
+   * status; promoted ones stay promoted.
+   */
+  async #markBranchDeleted(id, status) {
+    const now = new Date().toISOString();
+    await this.env.DB.prepare(
+      `UPDATE tenant_branches
+       SET status = CASE WHEN status = 'active' THEN ? ELSE status END,
+           deleted_at = ?, connection_uri_encrypted = NULL, updated_at = ?
+       WHERE id = ?`,
+    )
+      .bind(status, now, now, id)
+      .run();
+  }
+
   /**
    * List all tenant projects
    *
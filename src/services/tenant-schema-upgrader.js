@@ -0,0 +1,227 @@
+/**
+ * Tenant Schema Upgrader
+ *
+ * Brings already-provisioned tenant databases to a TENANT_MIGRATIONS
+ * version. Provisioning only migrates a new tenant once; this fans a
+ * target version out to every active tenant (or one tenant), so new
+ * migrations reach existing tenants and down-migrations can roll them back.
+ *
+ * Flow per tenant:
+ *   1. Take the tenant's lease in tenant_schema_versions (skip if held)
+ *   2. Plan from the tenant's own _tenant_schema_version and run each step
+ *   3. Record the resulting version and release the lease
+ *
+ * Dry runs take no lease and return each tenant's pending steps with SQL.
+ * One tenant failing does not stop the others.
+ *
+ * @module services/tenant-schema-upgrader
+ */
+
+import { TenantProjectManager } from "./tenant-project-manager.js";
+import {
+  migrateTenantSchema,
+  LATEST_TENANT_VERSION,
+} from "../lib/tenant-migrations.js";
+
+/** How long a tenant's upgrade lease lasts before another run may take it */
+const LOCK_TTL_MS = 10 * 60 * 1000;
+const PAGE_SIZE = 100;
+
+export class TenantSchemaUpgrader {
+  constructor(env) {
+    this.env = env;
+    this.manager = new TenantProjectManager(env);
+  }
+
+  /**
+   * Apply a schema version to every active tenant, or one tenant
+   *
+   * @param {object} [options]
+   * @param {string} [options.tenantId] - Upgrade one tenant only
+   * @param {number} [options.targetVersion] - Defaults to the latest version
+   * @param {boolean} [options.dryRun] - Report pending steps without running them
+   * @returns {Promise<object>} Per-tenant results and a summary by status
+   */
+  async apply(options = {}) {
+    const targetVersion = options.targetVersion ?? LATEST_TENANT_VERSION;
+    const dryRun = options.dryRun === true;
+
+    let tenants;
+    if (options.tenantId) {
+      const record = await this.manager.getTenantRecord(options.tenantId);
+      if (!record) throw new Error(`Tenant ${options.tenantId} not found`);
+      if (record.status === "deprovisioned") {
+        throw new Error(`Tenant ${options.tenantId} is deprovisioned`);
+      }
+      tenants = [record];
+    } else {
+      tenants = await this.#activeTenants();
+    }
+
+    const runId = `tsu_${crypto.randomUUID()}`;
+    const results = [];
+    for (const tenant of tenants) {
+      results.push(
+        await this.#applyOne(tenant.tenant_id, { targetVersion, dryRun, runId }),
+      );
+    }
+
+    const summary = {};
+    for (const result of results) {
+      summary[result.status] = (summary[result.status] || 0) + 1;
+    }
+
+    return {
+      runId,
+      mode: dryRun ? "dry-run" : "execute",
+      targetVersion,
+      latestVersion: LATEST_TENANT_VERSION,
+      tenants: results,
+      summary,
+    };
+  }
+
+  /**
+   * Which tenants are on which schema version, from the last recorded runs
+   *
+   * @returns {Promise<object>} Versions per tenant, counts by version, and how many are behind
+   */
+  async status() {
+    const tenants = await this.#activeTenants();
+    const { results } = await this.env.DB.prepare(
+      "SELECT * FROM tenant_schema_versions",
+    ).all();
+    const rows = new Map((results || []).map((r) => [r.tenant_id, r]));
+    const now = new Date().toISOString();
+
+    const byVersion = {};
+    let behind = 0;
+    const report = tenants.map((tenant) => {
+      const row = rows.get(tenant.tenant_id);
+      const version = row?.version ?? null;
+      const key = version === null ? "unknown" : String(version);
+      byVersion[key] = (byVersion[key] || 0) + 1;
+      const isBehind = version === null || version < LATEST_TENANT_VERSION;
+      if (isBehind) behind++;
+      return {
+        tenantId: tenant.tenant_id,
+        version,
+        behind: isBehind,
+        state: row?.state || "idle",
+        locked: Boolean(row?.locked_until && row.locked_until > now),
+        lastError: row?.last_error ?? null,
+        lastRunAt: row?.last_run_at ?? null,
+      };
+    });
+
+    return {
+      latestVersion: LATEST_TENANT_VERSION,
+      total: report.length,
+      behind,
+      byVersion,
+      tenants: report,
+    };
+  }
+
+  async #applyOne(tenantId, { targetVersion, dryRun, runId }) {
+    let connectionUri;
+    try {
+      connectionUri = await this.manager.getTenantConnection(tenantId);
+    } catch (err) {
+      return { tenantId, status: "failed", error: err.message };
+    }
+    if (!connectionUri) {
+      return { tenantId, status: "failed", error: "Tenant has no connection string" };
+    }
+
+    if (dryRun) {
+      try {
+        const plan = await migrateTenantSchema(connectionUri, { targetVersion, dryRun: true });
+        return {
+          tenantId,
+          status: plan.steps.length ? "pending" : "current",
+          from: plan.from,
+          to: plan.to,
+          steps: plan.steps,
+        };
+      } catch (err) {
+        return { tenantId, status: "failed", error: err.message };
+      }
+    }
+
+    if (!(await this.#acquireLock(tenantId, runId))) {
+      return { tenantId, status: "locked", error: "Another schema upgrade holds this tenant" };
+    }
+
+    try {
+      const result = await migrateTenantSchema(connectionUri, { targetVersion });
+      await this.#releaseLock(tenantId, runId, { version: result.version, state: "idle" });
+      return {
+        tenantId,
+        status: result.applied ? "migrated" : "current",
+        from: result.from,
+        version: result.version,
+        steps: result.steps.map(({ version, name, direction }) => ({ version, name, direction })),
+      };
+    } catch (err) {
+      console.error(`[TenantSchemaUpgrader] ${tenantId} failed:`, err.message);
+      await this.#releaseLock(tenantId, runId, {
+        version: err.version ?? null,
+        state: "failed",
+        error: err.message,
+      });
+      return { tenantId, status: "failed", version: err.version ?? null, error: err.message };
+    }
+  }
+
+  async #acquireLock(tenantId, runId) {
+    const now = new Date();
+    await this.env.DB.prepare(
+      `INSERT INTO tenant_schema_versions (tenant_id, updated_at) VALUES (?, ?)
+       ON CONFLICT(tenant_id) DO NOTHING`,
+    )
+      .bind(tenantId, now.toISOString())
+      .run();
+
+    const result = await this.env.DB.prepare(
+      `UPDATE tenant_schema_versions
+       SET state = 'migrating', locked_by = ?, locked_until = ?, updated_at = ?
+       WHERE tenant_id = ? AND (locked_until IS NULL OR locked_until < ?)`,
+    )
+      .bind(
+        runId,
+        new Date(now.getTime() + LOCK_TTL_MS).toISOString(),
+        now.toISOString(),
+        tenantId,
+        now.toISOString(),
+      )
+      .run();
+    return (result?.meta?.changes ?? 0) > 0;
+  }
+
+  async #releaseLock(tenantId, runId, { version, state, error = null }) {
+    const now = new Date().toISOString();
+    await this.env.DB.prepare(
+      `UPDATE tenant_schema_versions
+       SET version = COALESCE(?, version), state = ?, last_error = ?, last_run_at = ?,
+           locked_by = NULL, locked_until = NULL, updated_at = ?
+       WHERE tenant_id = ? AND locked_by = ?`,
+    )
+      .bind(version, state, error, now, now, tenantId, runId)
+      .run();
+  }
+
+  async #activeTenants() {
+    const tenants = [];
+    for (let offset = 0; ; offset += PAGE_SIZE) {
+      const page = await this.manager.listTenants({
+        status: "active",
+        limit: PAGE_SIZE,
+        offset,
+      });
+      tenants.push(...page.tenants);
+      if (page.tenants.length < PAGE_SIZE || tenants.length >= page.total) break;
+    }
+    return tenants;
+  }
+}
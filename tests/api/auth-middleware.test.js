@@ -119,6 +119,51 @@ describe("authenticate middleware", () => {
     expect(next).not.toHaveBeenCalled();
   });
 
+  it("allows GET /api/v1/identity/policy-bundle/jwks.json without an API key", async () => {
+    const c = createMockContext({
+      req: {
+        method: "GET",
+        header: headerMap({}),
+        raw: new Request("http://localhost/api/v1/identity/policy-bundle/jwks.json", { method: "GET" }),
+      },
+    });
+
+    const next = vi.fn(async () => {});
+    await authenticate(c, next);
+
+    expect(next).toHaveBeenCalledTimes(1);
+    expect(c.set).toHaveBeenCalledWith(
+      "apiKey",
+      expect.objectContaining({ type: "public", service: "policy-bundle" }),
+    );
+  });
+
+  it("allows GET /api/v1/tenants/exports/jwks without an API key, but not other export routes", async () => {
+    const request = (path, method = "GET") =>
+      createMockContext({
+        req: { method, header: headerMap({}), raw: new Request(`http://localhost${path}`, { method }) },
+      });
+
+    const c = request("/api/v1/tenants/exports/jwks");
+    const next = vi.fn(async () => {});
+    await authenticate(c, next);
+    expect(next).toHaveBeenCalledTimes(1);
+    expect(c.set).toHaveBeenCalledWith(
+      "apiKey",
+      expect.objectContaining({ type: "public", service: "tenant-exports" }),
+    );
+
+    for (const [path, method] of [
+      ["/api/v1/tenants/exports/jwks", "POST"],
+      ["/api/v1/tenants/org-a/exports", "GET"],
+    ]) {
+      const denied = vi.fn(async () => {});
+      const response = await authenticate(request(path, method), denied);
+      expect(response.status).toBe(401);
+      expect(denied).not.toHaveBeenCalled();
+    }
+  });
+
   it("allows GET /api/v1/identity/:id/policy-bundle without an API key", async () => {
     const c = createMockContext({
       req: {
@@ -163,6 +208,70 @@ describe("authenticate middleware", () => {
     );
   });
 
+  it("allows GET /api/v1/identity/:id/policy-bundle/diff without an API key", async () => {
+    const c = createMockContext({
+      req: {
+        method: "GET",
+        header: headerMap({}),
+        raw: new Request(
+          "http://localhost/api/v1/identity/03-1-USA-5537-P-2602-0-38/policy-bundle/diff?from=abc",
+          { method: "GET" },
+        ),
+      },
+    });
+
+    const next = vi.fn(async () => {});
+    await authenticate(c, next);
+
+    expect(next).toHaveBeenCalledTimes(1);
+    expect(c.set).toHaveBeenCalledWith(
+      "apiKey",
+      expect.objectContaining({ type: "public", service: "policy-bundle" }),
+    );
+  });
+
+  it("still validates an API key presented on a policy-bundle read", async () => {
+    const c = createMockContext({
+      req: {
+        method: "GET",
+        header: headerMap({ "X-ChittyOS-API-Key": "tenant_key" }),
+        raw: new Request(
+          "http://localhost/api/v1/identity/03-1-USA-5537-P-2602-0-38/policy-bundle",
+          { method: "GET" },
+        ),
+      },
+    });
+    c.env.API_KEYS.get.mockResolvedValueOnce(
+      JSON.stringify({ status: "active", userId: "user_123", metadata: { tenantId: "acme" } }),
+    );
+
+    const next = vi.fn(async () => {});
+    await authenticate(c, next);
+
+    expect(next).toHaveBeenCalledTimes(1);
+    expect(c.set).toHaveBeenCalledWith(
+      "apiKey",
+      expect.objectContaining({ userId: "user_123", metadata: { tenantId: "acme" } }),
+    );
+
+    const invalid = createMockContext({
+      req: {
+        method: "GET",
+        header: headerMap({ "X-ChittyOS-API-Key": "bogus" }),
+        raw: new Request(
+          "http://localhost/api/v1/identity/03-1-USA-5537-P-2602-0-38/policy-bundle",
+          { method: "GET" },
+        ),
+      },
+    });
+    invalid.env.API_KEYS.get.mockResolvedValueOnce(null);
+    invalid.env.OAUTH_PROVIDER = undefined;
+    const denied = vi.fn(async () => {});
+    const response = await authenticate(invalid, denied);
+    expect(response.status).toBe(401);
+    expect(denied).not.toHaveBeenCalled();
+  });
+
   it("does NOT bypass auth for a non-GET request to the policy-bundle path", async () => {
     const c = createMockContext({
       req: {
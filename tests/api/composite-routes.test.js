@@ -0,0 +1,202 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+
+const mockFetch = vi.fn();
+vi.stubGlobal("fetch", mockFetch);
+
+vi.mock("../../src/lib/credential-helper.js", () => ({
+  getServiceToken: vi.fn(async (_env, service) => `${service}-token`),
+}));
+
+const { compositeRoutes } = await import("../../src/api/routes/composite.js");
+
+function json(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { "Content-Type": "application/json" },
+  });
+}
+
+function post(path, body) {
+  return compositeRoutes.fetch(
+    new Request(`http://localhost${path}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    }),
+    { CONVERSATIONS: { put: vi.fn() } },
+  );
+}
+
+const calls = () => mockFetch.mock.calls.map(([url, init]) => `${init.method} ${url}`);
+
+describe("POST /case-with-parties", () => {
+  let minted;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    minted = 0;
+    mockFetch.mockImplementation(async (url, init) => {
+      if (url.endsWith("/v1/mint")) return json({ chittyid: `CID-${++minted}` });
+      if (url === "https://cases.chitty.cc/v1/cases") return json({ error: "db down" }, 500);
+      if (init.method === "POST" && url.endsWith("/v1/void")) return json({ voided: true });
+      return json({}, 404);
+    });
+  });
+
+  it("voids every minted ChittyID when case creation fails", async () => {
+    const res = await post("/case-with-parties", {
+      caseDetails: { title: "Arias v. Bianchi", type: "litigation" },
+      parties: [
+        { role: "plaintiff", name: "A", type: "individual" },
+        { role: "defendant", name: "B", type: "organization" },
+      ],
+    });
+    const body = await res.json();
+
+    expect(res.status).toBe(502);
+    expect(body.error.code).toBe("COMPOSITE_ROLLED_BACK");
+    expect(body.saga.failedStep).toBe("create-case");
+    expect(body.saga.steps.map((s) => [s.name, s.status])).toEqual([
+      ["mint-case-id", "compensated"],
+      ["mint-party-id[0]", "compensated"],
+      ["mint-party-id[1]", "compensated"],
+      ["create-case", "failed"],
+    ]);
+
+    const voided = mockFetch.mock.calls
+      .filter(([url]) => url.endsWith("/v1/void"))
+      .map(([, init]) => JSON.parse(init.body).chittyid);
+    expect(voided).toEqual(["CID-3", "CID-2", "CID-1"]);
+  });
+
+  it("closes the case and retracts evidence when a later step fails", async () => {
+    mockFetch.mockImplementation(async (url, init) => {
+      if (url.endsWith("/v1/mint")) return json({ chittyid: `CID-${++minted}` });
+      if (url === "https://cases.chitty.cc/v1/cases") return json({ id: "case-row" }, 201);
+      if (url === "https://evidence.chitty.cc/v1/ingest") return json({ hash: "abc" });
+      return json({ ok: true });
+    });
+    const env = { CONVERSATIONS: { put: vi.fn().mockRejectedValue(new Error("KV write failed")) } };
+
+    const res = await compositeRoutes.fetch(
+      new Request("http://localhost/case-with-parties", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          caseDetails: { title: "T", type: "general" },
+          initialEvidence: { lease: { type: "document", description: "Lease" } },
+        }),
+      }),
+      env,
+    );
+    const body = await res.json();
+
+    expect(body.saga.failedStep).toBe("store-context");
+    expect(calls()).toEqual(
+      expect.arrayContaining([
+        "POST https://evidence.chitty.cc/v1/evidence/CID-2/retract",
+        "PATCH https://cases.chitty.cc/v1/cases/CID-1",
+      ]),
+    );
+    const closeCall = mockFetch.mock.calls.find(([, init]) => init.method === "PATCH");
+    expect(JSON.parse(closeCall[1].body).status).toBe("closed");
+  });
+});
+
+describe("POST /batch", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it("rolls back earlier requests in an atomic sequential batch", async () => {
+    mockFetch
+      .mockResolvedValueOnce(json({ data: { id: "case 1" } }, 201))
+      .mockResolvedValueOnce(json({ error: { message: "invalid party" } }, 400))
+      .mockResolvedValueOnce(json({ closed: true }));
+
+    const res = await post("/batch", {
+      sequential: true,
+      atomic: true,
+      requests: [
+        {
+          id: "create",
+          method: "POST",
+          endpoint: "/api/chittycases",
+          body: { title: "T" },
+          compensate: {
+            method: "DELETE",
+            endpoint: "/api/chittycases/{{response.data.id}}",
+            body: { reason: "rollback of {{response.data.id}}" },
+          },
+        },
+        { id: "party", method: "POST", endpoint: "/api/parties", body: {} },
+        { id: "never", method: "POST", endpoint: "/api/other", body: {} },
+      ],
+    });
+    const body = await res.json();
+
+    expect(res.status).toBe(502);
+    expect(body.results.map((r) => [r.id, r.status, !!r.rolledBack])).toEqual([
+      ["create", "success", true],
+      ["party", "error", false],
+      ["never", "skipped", false],
+    ]);
+    expect(body.summary.rolledBack).toBe(1);
+    expect(body.saga.failedStep).toBe("party");
+
+    const [url, init] = mockFetch.mock.calls[2];
+    expect(url).toBe("https://connect.chitty.cc/api/chittycases/case%201");
+    expect(init.method).toBe("DELETE");
+    expect(JSON.parse(init.body)).toEqual({ reason: "rollback of case 1" });
+  });
+
+  it("fails the compensation instead of blanking an unresolved placeholder", async () => {
+    mockFetch
+      .mockResolvedValueOnce(json({ data: {} }, 201))
+      .mockResolvedValueOnce(json({ error: { message: "invalid party" } }, 400));
+
+    const res = await post("/batch", {
+      sequential: true,
+      atomic: true,
+      requests: [
+        {
+          id: "create",
+          method: "POST",
+          endpoint: "/api/chittycases",
+          body: { title: "T" },
+          compensate: { method: "DELETE", endpoint: "/api/chittycases/{{response.data.id}}" },
+        },
+        { id: "party", method: "POST", endpoint: "/api/parties", body: {} },
+      ],
+    });
+    const body = await res.json();
+
+    expect(res.status).toBe(500);
+    expect(body.results[0].rolledBack).toBeUndefined();
+    expect(body.summary.rolledBack).toBe(0);
+    const create = body.saga.steps.find((s) => s.name === "create");
+    expect(create.status).toBe("compensation_failed");
+    expect(create.compensationError).toContain("{{response.data.id}}");
+    // The compensation never went out
+    expect(mockFetch).toHaveBeenCalledTimes(2);
+  });
+
+  it("keeps partial-success semantics when not atomic", async () => {
+    mockFetch
+      .mockResolvedValueOnce(json({ ok: true }))
+      .mockResolvedValueOnce(json({ error: "nope" }, 500));
+
+    const res = await post("/batch", {
+      sequential: true,
+      requests: [
+        { method: "POST", endpoint: "/a", compensate: { endpoint: "/undo" } },
+        { method: "POST", endpoint: "/b" },
+      ],
+    });
+    const body = await res.json();
+
+    expect(res.status).toBe(207);
+    expect(body.saga).toBeUndefined();
+    expect(mockFetch).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,192 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { Hono } from "hono";
+
+vi.mock("../../src/lib/trust-resolver.js", () => ({
+  resolveTrustLevel: vi.fn(async (id) =>
+    id.split("-")[4] === "A"
+      ? { trust_level: 4, entity_type: "A", ty: 0.9, vy: 0.8, ry: 0.7 }
+      : { trust_level: 2, entity_type: "P", ty: 0.5, vy: 0.5, ry: 0.4 },
+  ),
+  TRUST_LEVELS: { ANONYMOUS: 0, BASIC: 1, ENHANCED: 2, PROFESSIONAL: 3, INSTITUTIONAL: 4, OFFICIAL: 5 },
+}));
+
+const { factRoutes } = await import("../../src/api/routes/facts.js");
+
+const PERSON = "01-P-USA-1234-P-2601-A-X";
+
+function makeApp(apiKey) {
+  const app = new Hono();
+  app.use("*", async (c, next) => {
+    c.set("apiKey", apiKey);
+    return next();
+  });
+  app.route("/api/v1/facts", factRoutes);
+  return app;
+}
+
+let delegations;
+let env;
+
+beforeEach(() => {
+  delegations = [
+    {
+      id: "fdl_1",
+      tenant_id: "acme",
+      delegator_chitty_id: "01-A-USA-5678-A-2601-B-X",
+      delegate_chitty_id: PERSON,
+      action: "seal",
+      case_id: "case-1",
+      starts_at: "2020-01-01T00:00:00.000Z",
+      expires_at: "2999-01-01T00:00:00.000Z",
+    },
+  ];
+  env = {
+    DB: {
+      prepare: (sql) => ({
+        bind: (...args) => ({
+          all: async () => {
+            if (sql.includes("FROM fact_action_policies")) return { results: [] };
+            return {
+              results: delegations.filter(
+                (d) =>
+                  d.delegate_chitty_id === args[0] &&
+                  d.tenant_id === args[1] &&
+                  (!sql.includes("action = ?") || d.action === args[4]) &&
+                  (!sql.includes("case_id = ?") || d.case_id === args.at(-1)),
+              ),
+            };
+          },
+          run: async () => {
+            if (!sql.includes("UPDATE fact_delegations")) return { meta: { changes: 0 } };
+            const [, , id, tenantId, delegator] = args;
+            const row = delegations.find(
+              (d) =>
+                d.id === id &&
+                d.tenant_id === tenantId &&
+                !d.revoked_at &&
+                (!sql.includes("delegator_chitty_id = ?") || d.delegator_chitty_id === delegator),
+            );
+            if (row) row.revoked_at = args[0];
+            return { meta: { changes: row ? 1 : 0 } };
+          },
+        }),
+      }),
+    },
+  };
+});
+
+describe("GET /api/v1/facts/permissions/:chittyId", () => {
+  it("explains each action and the delegations that apply", async () => {
+    const app = makeApp({ metadata: { tenantId: "acme" } });
+    const res = await app.request(`/api/v1/facts/permissions/${PERSON}?case_id=case-1`, {}, env);
+    expect(res.status).toBe(200);
+    const body = await res.json();
+    expect(body).toMatchObject({ chitty_id: PERSON, entity_type: "P", trust_level: 2, tenant_id: "acme" });
+    expect(body.actions.seal).toMatchObject({ allowed: true, source: "delegation", delegation: { id: "fdl_1" } });
+    expect(body.actions.retract).toMatchObject({ allowed: false, policy: { scope: "default" } });
+    expect(body.delegations.map((d) => d.id)).toEqual(["fdl_1"]);
+
+    const noCase = await (await app.request(`/api/v1/facts/permissions/${PERSON}`, {}, env)).json();
+    expect(noCase.actions.seal.allowed).toBe(false);
+  });
+});
+
+describe("fact policy administration", () => {
+  it("requires admin and validates policies", async () => {
+    const put = (app, body) =>
+      app.request(
+        "/api/v1/facts/policies/seal",
+        { method: "PUT", headers: { "Content-Type": "application/json" }, body: JSON.stringify(body) },
+        env,
+      );
+    expect((await put(makeApp({ scopes: ["read"] }), { entity_types: ["A"], min_trust: 3 })).status).toBe(403);
+
+    const admin = makeApp({ role: "admin", metadata: { tenantId: "acme" } });
+    expect((await put(admin, { entity_types: ["X"], min_trust: 3 })).status).toBe(400);
+    const ok = await put(admin, { entity_types: ["A"], min_trust: 3 });
+    expect(ok.status).toBe(200);
+    expect((await ok.json()).policy).toEqual({ name: "seal", entity_types: ["A"], min_trust: 3, scope: "tenant" });
+  });
+});
+
+describe("fact policy tenants", () => {
+  const put = (app, body) =>
+    app.request(
+      "/api/v1/facts/policies/seal",
+      { method: "PUT", headers: { "Content-Type": "application/json" }, body: JSON.stringify(body) },
+      env,
+    );
+
+  it("lets only platform admins change the global or another tenant's policy", async () => {
+    const tenantAdmin = makeApp({ role: "admin", metadata: { tenantId: "acme" } });
+    expect((await put(tenantAdmin, { entity_types: ["A"], min_trust: 1, tenant_id: "*" })).status).toBe(403);
+    expect((await put(tenantAdmin, { entity_types: ["A"], min_trust: 1, tenant_id: "globex" })).status).toBe(403);
+    const del = await tenantAdmin.request("/api/v1/facts/policies/seal?tenant_id=globex", { method: "DELETE" }, env);
+    expect(del.status).toBe(403);
+
+    const platformAdmin = makeApp({ role: "admin" });
+    const global = await put(platformAdmin, { entity_types: ["A"], min_trust: 4, tenant_id: "*" });
+    expect(global.status).toBe(200);
+    expect((await global.json()).policy.scope).toBe("global");
+  });
+});
+
+describe("POST /api/v1/facts/delegations", () => {
+  const AUTHORITY = "01-A-USA-5678-A-2601-B-X";
+  const grant = (app, body) =>
+    app.request(
+      "/api/v1/facts/delegations",
+      { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(body) },
+      env,
+    );
+  const body = {
+    delegate_chitty_id: PERSON,
+    action: "seal",
+    case_id: "case-1",
+    expires_at: new Date(Date.now() + 86_400_000).toISOString(),
+  };
+
+  it("grants as the caller's own ChittyID", async () => {
+    const res = await grant(makeApp({ metadata: { tenantId: "acme", chittyId: AUTHORITY } }), body);
+    expect(res.status).toBe(201);
+    expect((await res.json()).delegation).toMatchObject({ delegator_chitty_id: AUTHORITY, tenant_id: "acme" });
+  });
+
+  it("refuses to grant on behalf of another entity unless admin", async () => {
+    const caller = makeApp({ metadata: { tenantId: "acme", chittyId: PERSON } });
+    const res = await grant(caller, { ...body, delegate_chitty_id: "01-P-USA-9999-P-2601-C-X", delegator_chitty_id: AUTHORITY });
+    expect(res.status).toBe(403);
+    expect((await res.json()).error).toBe("FORBIDDEN");
+
+    const anonymous = await grant(makeApp({ metadata: { tenantId: "acme" } }), { ...body, delegator_chitty_id: AUTHORITY });
+    expect(anonymous.status).toBe(403);
+
+    const admin = await grant(makeApp({ role: "admin", metadata: { tenantId: "acme" } }), {
+      ...body,
+      delegator_chitty_id: AUTHORITY,
+    });
+    expect(admin.status).toBe(201);
+  });
+});
+
+describe("DELETE /api/v1/facts/delegations/:id", () => {
+  const AUTHORITY = "01-A-USA-5678-A-2601-B-X";
+  const revoke = (apiKey) =>
+    makeApp(apiKey).request("/api/v1/facts/delegations/fdl_1", { method: "DELETE" }, env);
+
+  it("lets only the delegator or an admin revoke", async () => {
+    expect((await revoke({ metadata: { tenantId: "acme", chittyId: PERSON } })).status).toBe(404);
+    expect((await revoke({ metadata: { tenantId: "acme" } })).status).toBe(403);
+    expect(delegations[0].revoked_at).toBeUndefined();
+
+    const own = await revoke({ metadata: { tenantId: "acme", chittyId: AUTHORITY } });
+    expect(own.status).toBe(200);
+    expect(delegations[0].revoked_at).toBeTruthy();
+  });
+
+  it("lets an admin revoke another delegator's grant", async () => {
+    const res = await revoke({ role: "admin", metadata: { tenantId: "acme" } });
+    expect(res.status).toBe(200);
+    expect(delegations[0].revoked_at).toBeTruthy();
+  });
+});
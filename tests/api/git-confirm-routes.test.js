@@ -0,0 +1,577 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+
+vi.mock("../../src/middleware/mcp-auth.js", () => ({
+  mcpAuthMiddleware: async (c, next) => {
+    c.set("apiKey", {
+      key: c.req.header("X-ChittyOS-API-Key"),
+      metadata: {},
+    });
+    return next();
+  },
+}));
+
+const { gitConfirmRoutes } = await import("../../src/api/routes/git-confirm.js");
+const { findProtectedRef, canonicalRepoPath } = await import(
+  "../../src/lib/git-policy.js"
+);
+const { expireConfirmations } = await import("../../src/lib/git-confirm-audit.js");
+const { dashboard } = await import("../../src/api/routes/dashboard.js");
+const { Hono } = await import("hono");
+
+const REPO = "/home/ubuntu/projects/github.com/CHITTYOS/chittyconnect";
+
+function createKV() {
+  const store = new Map();
+  return {
+    store,
+    get: vi.fn(async (key) => store.get(key) ?? null),
+    put: vi.fn(async (key, value) => store.set(key, value)),
+    delete: vi.fn(async (key) => store.delete(key)),
+  };
+}
+
+// Just enough of D1 for git_repo_allowlist, git_confirm_approvals,
+// git_confirmations and (empty) policy_bundle_overlays
+function createDB(repoRows = [], overlays = []) {
+  const approvals = new Map();
+  const confirmations = new Map();
+  return {
+    approvals,
+    confirmations,
+    prepare(sql) {
+      return {
+        bind(...args) {
+          return {
+            async all() {
+              if (sql.includes("FROM policy_bundle_overlays")) {
+                return { results: overlays };
+              }
+              if (sql.includes("FROM git_repo_allowlist")) {
+                return { results: repoRows.filter((r) => r.tenant_id === args[0]) };
+              }
+              if (sql.includes("FROM git_confirmations") && sql.includes("status = 'issued' AND expires_at <=")) {
+                return {
+                  results: [...confirmations.values()].filter(
+                    (r) => r.status === "issued" && r.expires_at <= args[0],
+                  ),
+                };
+              }
+              if (sql.includes("FROM git_confirmations")) {
+                // Listing: tenant + caller filter are all the tests use
+                const [tenant, caller] = args;
+                return {
+                  results: [...confirmations.values()].filter(
+                    (r) =>
+                      r.tenant_id === tenant &&
+                      (!sql.includes("caller = ?") || r.caller === caller || r.issuer_fingerprint === caller),
+                  ),
+                };
+              }
+              const rows = [...approvals.values()];
+              return {
+                results: sql.includes("tenant_id = ?")
+                  ? rows.filter((r) => r.tenant_id === args[args.length - 2])
+                  : rows,
+              };
+            },
+            async first() {
+              return approvals.get(args[0]) ?? null;
+            },
+            async run() {
+              if (sql.includes("INSERT INTO git_confirm_approvals")) {
+                const [id, tenant_id, intent, repo_path, remote, ref, reason,
+                  issuer_fingerprint, status, expires_at, created_at] = args;
+                approvals.set(id, {
+                  id, tenant_id, intent, repo_path, remote, ref, reason,
+                  issuer_fingerprint, status, expires_at, created_at,
+                });
+                return { meta: { changes: 1 } };
+              }
+              if (sql.includes("INSERT INTO git_confirmations")) {
+                const [id, tenant_id, intent, repo_path, remote, ref, reason, caller,
+                  issuer_fingerprint, approval_id, issued_at, expires_at] = args;
+                confirmations.set(id, {
+                  id, tenant_id, intent, repo_path, remote, ref, reason, caller,
+                  issuer_fingerprint, approval_id, status: "issued", issued_at, expires_at,
+                });
+                return { meta: { changes: 1 } };
+              }
+              if (sql.includes("UPDATE git_confirmations")) {
+                const row = confirmations.get(args[args.length - 1]);
+                if (row?.status !== "issued") return { meta: { changes: 0 } };
+                if (sql.includes("'redeemed'")) {
+                  Object.assign(row, {
+                    status: "redeemed",
+                    redeemed_at: args[0],
+                    redeemer_fingerprint: args[1],
+                  });
+                } else {
+                  Object.assign(row, { status: "expired", expired_at: args[0] });
+                }
+                return { meta: { changes: 1 } };
+              }
+              if (sql.includes("UPDATE git_confirm_approvals") && sql.includes("decided_by = ?")) {
+                const row = approvals.get(args[4]);
+                if (row?.status !== "pending") return { meta: { changes: 0 } };
+                Object.assign(row, { status: args[0], decided_by: args[1], decision_notes: args[3] });
+                return { meta: { changes: 1 } };
+              }
+              if (sql.includes("SET status = 'issued'")) {
+                const row = approvals.get(args[1]);
+                if (row?.status !== "approved") return { meta: { changes: 0 } };
+                row.status = "issued";
+                row.issued_at = args[0];
+                return { meta: { changes: 1 } };
+              }
+              return { meta: { changes: 0 } };
+            },
+          };
+        },
+      };
+    },
+  };
+}
+
+function post(path, body, env, key = "key-a") {
+  return gitConfirmRoutes.request(
+    path,
+    {
+      method: "POST",
+      headers: { "Content-Type": "application/json", "X-ChittyOS-API-Key": key },
+      body: JSON.stringify(body),
+    },
+    env,
+  );
+}
+
+describe("git-policy", () => {
+  it("qualifies bare refs per intent and matches tenant patterns", () => {
+    const policy = { protectedBranches: ["release/*", "refs/tags/v*"] };
+    expect(findProtectedRef("reset_hard", "main", policy)).toEqual({
+      source: "hard_deny",
+      pattern: "refs/heads/main",
+    });
+    expect(findProtectedRef("branch_delete", "release/1.2", policy)).toEqual({
+      source: "tenant_policy",
+      pattern: "release/*",
+    });
+    expect(findProtectedRef("tag_delete", "v1.0.0", policy)?.pattern).toBe("refs/tags/v*");
+    // Tags named main are not the main branch
+    expect(findProtectedRef("tag_delete", "main", policy)).toBeNull();
+    expect(findProtectedRef("history_rewrite", "feature/x", policy)).toBeNull();
+  });
+
+  it("resolves dot segments in repo paths", () => {
+    expect(canonicalRepoPath("/a/b/../c//d/")).toBe("/a/c/d");
+  });
+});
+
+describe("POST /confirm", () => {
+  let env;
+
+  beforeEach(() => {
+    env = { TOKEN_KV: createKV(), DB: createDB() };
+  });
+
+  it("issues tokens for the new intents without a remote", async () => {
+    const res = await post(
+      "/confirm",
+      { intent: "reset_hard", repo_path: REPO, ref: "feature/x" },
+      env,
+    );
+    expect(res.status).toBe(201);
+    const body = await res.json();
+    expect(body.scope).toEqual({
+      intent: "reset_hard",
+      repo_path: REPO,
+      remote: null,
+      ref: "feature/x",
+    });
+
+    const redeem = await post(
+      "/confirm/redeem",
+      {
+        confirmation_token: body.confirmation_token,
+        intent: "reset_hard",
+        repo_path: REPO,
+        ref: "feature/x",
+      },
+      env,
+    );
+    expect(redeem.status).toBe(200);
+    expect((await redeem.json()).valid).toBe(true);
+  });
+
+  it("still requires a remote for force pushes", async () => {
+    const res = await post(
+      "/confirm",
+      { intent: "force_push", repo_path: REPO, ref: "feature/x" },
+      env,
+    );
+    expect(res.status).toBe(400);
+    expect((await res.json()).error.code).toBe("MISSING_REQUIRED_FIELDS");
+  });
+
+  it("hard-denies main for force and branch-rewriting intents", async () => {
+    const force = await post(
+      "/confirm",
+      { intent: "force_push", repo_path: REPO, remote: "origin", ref: "main" },
+      env,
+    );
+    expect(force.status).toBe(403);
+    expect((await force.json()).error.code).toBe("POLICY_BLOCKED_FORCE_TO_PROTECTED");
+
+    const del = await post(
+      "/confirm",
+      { intent: "branch_delete", repo_path: REPO, ref: "refs/heads/master" },
+      env,
+    );
+    expect(del.status).toBe(403);
+    expect((await del.json()).error.code).toBe("POLICY_BLOCKED_PROTECTED_REF");
+  });
+
+  it("refuses refs protected by the tenant repo allowlist", async () => {
+    env.DB = createDB([
+      {
+        tenant_id: "chittyos-default",
+        path_prefix: "/home/ubuntu/projects/github.com/CHITTYOS/",
+        protected_branches: '["release/*"]',
+        approval_intents: "[]",
+      },
+      {
+        tenant_id: "other-tenant",
+        path_prefix: "/",
+        protected_branches: '["feature/*"]',
+        approval_intents: "[]",
+      },
+    ]);
+
+    const res = await post(
+      "/confirm",
+      { intent: "force_push_with_lease", repo_path: REPO, remote: "origin", ref: "release/2.0" },
+      env,
+    );
+    expect(res.status).toBe(403);
+    const body = await res.json();
+    expect(body.error).toMatchObject({
+      code: "POLICY_BLOCKED_FORCE_TO_PROTECTED",
+      source: "tenant_policy",
+      pattern: "release/*",
+    });
+
+    const other = await post(
+      "/confirm",
+      { intent: "force_push", repo_path: REPO, remote: "origin", ref: "feature/x" },
+      env,
+    );
+    expect(other.status).toBe(201);
+  });
+
+  it("applies tenant overlays of the policy bundle rules", async () => {
+    const rules = {
+      default: { decision: "allow" },
+      rules: [
+        {
+          id: "tenant.freeze_tags",
+          intents: ["tag_delete"],
+          decision: "deny",
+          error_code: "EXECUTION_DENIED_BY_POLICY",
+          reason: "Tags are frozen",
+        },
+      ],
+    };
+    env.DB = createDB([], [
+      {
+        scope_type: "tenant",
+        scope_value: "chittyos-default",
+        version: "*",
+        file_key: "rules",
+        mode: "replace",
+        content: JSON.stringify(rules),
+      },
+    ]);
+
+    const res = await post("/confirm", { intent: "tag_delete", repo_path: REPO, ref: "v1.0.0" }, env);
+    expect(res.status).toBe(403);
+    expect((await res.json()).error).toMatchObject({
+      code: "EXECUTION_DENIED_BY_POLICY",
+      message: "Tags are frozen",
+      rule: "tenant.freeze_tags",
+    });
+
+    const reset = await post("/confirm", { intent: "reset_hard", repo_path: REPO, ref: "feature/x" }, env);
+    expect(reset.status).toBe(201);
+
+    // The replaced rules drop every protection rule, but main stays hard-denied
+    const main = await post("/confirm", { intent: "force_push", repo_path: REPO, remote: "origin", ref: "main" }, env);
+    expect(main.status).toBe(403);
+    expect((await main.json()).error).toMatchObject({
+      code: "POLICY_BLOCKED_FORCE_TO_PROTECTED",
+      source: "hard_deny",
+      rule: "hard_deny",
+    });
+  });
+
+  it("holds intents listed in approval_intents until approved", async () => {
+    env.DB = createDB([
+      {
+        tenant_id: "chittyos-default",
+        path_prefix: "/home/ubuntu/projects/github.com/CHITTYOS",
+        protected_branches: "[]",
+        approval_intents: '["history_rewrite"]',
+      },
+    ]);
+
+    const res = await post(
+      "/confirm",
+      { intent: "history_rewrite", repo_path: REPO, ref: "feature/x", reason: "drop secrets" },
+      env,
+    );
+    expect(res.status).toBe(202);
+    const held = await res.json();
+    expect(held.status).toBe("pending_approval");
+    expect(held.approval_id).toMatch(/^gca_/);
+    expect(env.TOKEN_KV.put).not.toHaveBeenCalled();
+
+    const early = await post(`/confirm/approvals/${held.approval_id}/token`, {}, env);
+    expect(early.status).toBe(409);
+
+    // Another key cannot see or collect it
+    const stranger = await post(`/confirm/approvals/${held.approval_id}/token`, {}, env, "key-b");
+    expect(stranger.status).toBe(404);
+
+    env.DB.approvals.get(held.approval_id).status = "approved";
+
+    const collected = await post(`/confirm/approvals/${held.approval_id}/token`, {}, env);
+    expect(collected.status).toBe(201);
+    const issued = await collected.json();
+    expect(issued.confirmation_token).toBeTruthy();
+    expect(issued.approval_id).toBe(held.approval_id);
+    expect(env.DB.approvals.get(held.approval_id).status).toBe("issued");
+
+    const again = await post(`/confirm/approvals/${held.approval_id}/token`, {}, env);
+    expect(again.status).toBe(403);
+    expect((await again.json()).error.code).toBe("POLICY_BLOCKED_TOKEN_ISSUED");
+  });
+
+  it("reports denied approvals to the requester", async () => {
+    const res = await post(
+      "/confirm",
+      { intent: "tag_delete", repo_path: REPO, ref: "v0.1.0", require_approval: true },
+      env,
+    );
+    const { approval_id } = await res.json();
+    Object.assign(env.DB.approvals.get(approval_id), {
+      status: "denied",
+      decision_notes: "tag is published",
+    });
+
+    const status = await gitConfirmRoutes.request(
+      `/confirm/approvals/${approval_id}`,
+      { headers: { "X-ChittyOS-API-Key": "key-a" } },
+      env,
+    );
+    expect((await status.json()).status).toBe("denied");
+
+    const token = await post(`/confirm/approvals/${approval_id}/token`, {}, env);
+    expect(token.status).toBe(403);
+    expect(await token.json()).toMatchObject({
+      error: { code: "POLICY_BLOCKED_APPROVAL_DENIED", reason: "tag is published" },
+    });
+  });
+});
+
+describe("confirmation audit trail", () => {
+  let env;
+
+  beforeEach(() => {
+    vi.stubGlobal("fetch", vi.fn(async () => new Response("{}", { status: 200 })));
+    env = {
+      TOKEN_KV: createKV(),
+      DB: createDB(),
+      CHITTYCHRONICLE_SERVICE_URL: "https://chronicle.test",
+    };
+  });
+
+  function chronicleEvents() {
+    return fetch.mock.calls.map(([, init]) => JSON.parse(init.body));
+  }
+
+  it("records issue and redeem without storing the token", async () => {
+    const res = await post(
+      "/confirm",
+      {
+        intent: "force_push",
+        repo_path: REPO,
+        remote: "origin",
+        ref: "feature/x",
+        reason: "rebase onto main",
+      },
+      env,
+    );
+    const { confirmation_token } = await res.json();
+
+    const [row] = env.DB.confirmations.values();
+    expect(row).toMatchObject({
+      intent: "force_push",
+      ref: "feature/x",
+      reason: "rebase onto main",
+      status: "issued",
+    });
+    expect(row.id).toMatch(/^gct_[0-9a-f]{32}$/);
+    expect(JSON.stringify(row)).not.toContain(confirmation_token);
+
+    await post(
+      "/confirm/redeem",
+      {
+        confirmation_token,
+        intent: "force_push",
+        repo_path: REPO,
+        remote: "origin",
+        ref: "feature/x",
+      },
+      env,
+    );
+    expect(row.status).toBe("redeemed");
+
+    const events = chronicleEvents();
+    expect(events.map((e) => e.event_type)).toEqual([
+      "git.confirmation.issued",
+      "git.confirmation.redeemed",
+    ]);
+    expect(events[0].data).toMatchObject({
+      confirmation_id: row.id,
+      scope: { intent: "force_push", repo_path: REPO, remote: "origin", ref: "feature/x" },
+      reason: "rebase onto main",
+    });
+    expect(JSON.stringify(events)).not.toContain(confirmation_token);
+  });
+
+  it("expires unredeemed tokens and lists them by caller", async () => {
+    await post("/confirm", { intent: "tag_delete", repo_path: REPO, ref: "v0.0.1" }, env);
+    const [row] = env.DB.confirmations.values();
+    row.expires_at = new Date(Date.now() - 1000).toISOString();
+
+    expect(await expireConfirmations(env)).toEqual({ expired: 1 });
+    expect(row.status).toBe("expired");
+    expect(chronicleEvents().at(-1).event_type).toBe("git.confirmation.expired");
+
+    const fingerprint = row.issuer_fingerprint;
+    const list = await gitConfirmRoutes.request(
+      `/confirmations?caller=${fingerprint}`,
+      { headers: { "X-ChittyOS-API-Key": "key-a" } },
+      env,
+    );
+    expect(list.status).toBe(200);
+    const body = await list.json();
+    expect(body.count).toBe(1);
+    expect(body.confirmations[0]).toMatchObject({ id: row.id, status: "expired" });
+  });
+
+  it("lists dashboard confirmations for the key's tenant, ignoring ?tenant= for non-admins", async () => {
+    await post("/confirm", { intent: "tag_delete", repo_path: REPO, ref: "v0.0.2" }, env);
+
+    const list = (apiKey, query = "") => {
+      const app = new Hono();
+      app.use("*", async (c, next) => {
+        c.set("apiKey", apiKey);
+        return next();
+      });
+      app.route("/dashboard", dashboard);
+      return app
+        .request(`/dashboard/git-confirmations${query}`, {}, env)
+        .then((res) => res.json())
+        .then((body) => body.data.confirmations);
+    };
+
+    const outsider = { name: "outsider", metadata: { tenantId: "globex" } };
+    expect(await list(outsider)).toHaveLength(0);
+    expect(await list(outsider, "?tenant=chittyos-default")).toHaveLength(0);
+    expect(await list({ name: "reviewer" })).toHaveLength(1);
+    expect(await list({ ...outsider, role: "admin" }, "?tenant=chittyos-default")).toHaveLength(1);
+  });
+
+  it("rejects unknown status filters", async () => {
+    const res = await gitConfirmRoutes.request(
+      "/confirmations?status=bogus",
+      { headers: { "X-ChittyOS-API-Key": "key-a" } },
+      env,
+    );
+    expect(res.status).toBe(400);
+  });
+
+  it("decides dashboard approvals as the calling key, never the requester's", async () => {
+    const res = await post(
+      "/confirm",
+      { intent: "tag_delete", repo_path: REPO, ref: "v0.1.0", require_approval: true },
+      env,
+    );
+    const { approval_id } = await res.json();
+
+    const decide = (key, apiKey, body = {}, auth = { "X-ChittyOS-API-Key": key }) => {
+      const app = new Hono();
+      app.use("*", async (c, next) => {
+        c.set("apiKey", apiKey);
+        return next();
+      });
+      app.route("/dashboard", dashboard);
+      return app.request(
+        `/dashboard/approvals/${approval_id}/approve`,
+        {
+          method: "POST",
+          headers: { "Content-Type": "application/json", ...auth },
+          body: JSON.stringify(body),
+        },
+        env,
+      );
+    };
+
+    const self = await decide("key-a", { name: "requester" }, { approver_chitty_id: "someone-else" });
+    expect(self.status).toBe(403);
+    const selfBearer = await decide("key-a", { name: "requester" }, {}, {
+      Authorization: "Bearer key-a",
+    });
+    expect(selfBearer.status).toBe(403);
+    const anonymous = await decide(null, { name: "unknown" }, {}, {});
+    expect(anonymous.status).toBe(403);
+    expect(env.DB.approvals.get(approval_id).status).toBe("pending");
+    const otherTenant = await decide("key-c", { name: "outsider", metadata: { tenantId: "globex" } });
+    expect(otherTenant.status).toBe(404);
+
+    const approved = await decide("key-b", { name: "release-manager" }, { approver_chitty_id: "someone-else" });
+    expect(approved.status).toBe(200);
+    expect((await approved.json()).data.approver).toBe("release-manager");
+    expect(env.DB.approvals.get(approval_id)).toMatchObject({ status: "approved", decided_by: "release-manager" });
+  });
+
+  it("lists only the caller's tenant's git approvals unless the caller is an admin", async () => {
+    await post(
+      "/confirm",
+      { intent: "tag_delete", repo_path: REPO, ref: "v0.2.0", require_approval: true },
+      env,
+    );
+
+    const list = (apiKey) => {
+      const app = new Hono();
+      app.use("*", async (c, next) => {
+        c.set("apiKey", apiKey);
+        return next();
+      });
+      app.route("/dashboard", dashboard);
+      const DB = {
+        prepare: (sql) =>
+          sql.includes("FROM context_ledger") || sql.includes("FROM prompt_versions")
+            ? { bind: () => ({ all: async () => ({ results: [] }) }) }
+            : env.DB.prepare(sql),
+      };
+      return app
+        .request("/dashboard/approvals?status=pending", {}, { ...env, DB })
+        .then((res) => res.json())
+        .then((body) => body.data.approvals);
+    };
+
+    expect(await list({ name: "outsider", metadata: { tenantId: "globex" } })).toHaveLength(0);
+    expect(await list({ name: "reviewer" })).toHaveLength(1);
+    expect(await list({ name: "root", role: "admin", metadata: { tenantId: "globex" } })).toHaveLength(1);
+  });
+});
@@ -0,0 +1,69 @@
+import { describe, it, expect } from "vitest";
+import { Hono } from "hono";
+import { githubAutomationRoutes } from "../../src/api/routes/github-automations.js";
+
+// D1 with one installation (on the "acme" account) and its settings row
+function createDB() {
+  const saved = [];
+  const prepare = (sql) => ({
+    bind: (...args) => ({
+      first: async () => {
+        if (sql.includes("FROM installations")) return args[0] === 42 ? { account_login: "Acme" } : null;
+        return null;
+      },
+      run: async () => {
+        saved.push(args);
+        return { meta: { changes: 1 } };
+      },
+    }),
+  });
+  return { prepare, saved };
+}
+
+function createTestApp(keyInfo) {
+  const db = createDB();
+  const app = new Hono();
+  app.use("*", async (c, next) => {
+    c.set("apiKey", keyInfo);
+    return next();
+  });
+  app.route("/api/v1/github/installations", githubAutomationRoutes);
+  const request = (path, init) => app.request(path, init, { DB: db });
+  return { request, db };
+}
+
+const put = (request, id, body) =>
+  request(`/api/v1/github/installations/${id}/automations`, {
+    method: "PUT",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+
+describe("github automation routes", () => {
+  it("only lets keys linked to the installation's account read or change it", async () => {
+    const stranger = createTestApp({ role: "user", scopes: ["user"], metadata: { githubAccounts: ["other"] } });
+    expect((await stranger.request("/api/v1/github/installations/42/automations")).status).toBe(403);
+    expect((await put(stranger.request, 42, { push: { enabled: false } })).status).toBe(403);
+    expect(stranger.db.saved).toEqual([]);
+
+    const owner = createTestApp({ role: "user", scopes: ["user"], metadata: { githubAccounts: ["acme"] } });
+    const res = await put(owner.request, 42, { push: { enabled: false } });
+    expect(res.status).toBe(200);
+    expect((await res.json()).automations.push.enabled).toBe(false);
+    expect((await owner.request("/api/v1/github/installations/7/automations")).status).toBe(404);
+
+    const admin = createTestApp({ role: "admin", scopes: ["admin"] });
+    expect((await admin.request("/api/v1/github/installations/7/automations")).status).toBe(200);
+  });
+
+  it("refuses issue rules that could backtrack catastrophically", async () => {
+    const { request, db } = createTestApp({ role: "admin", scopes: ["admin"] });
+
+    const res = await put(request, 42, { issues: { rules: [{ pattern: "(a+)+$", label: "slow" }] } });
+    expect(res.status).toBe(400);
+    expect((await res.json()).error).toContain("nested quantifiers");
+    expect(db.saved).toEqual([]);
+
+    expect((await put(request, 42, { issues: { rules: [{ pattern: "\\bcrash\\b", label: "bug" }] } })).status).toBe(200);
+  });
+});
@@ -1,15 +1,22 @@
 /**
  * Identity policy-bundle route tests.
  *
- * Hits the real route + real vendored bundle JSON. No mocks.
+ * Hits the real route + real vendored bundle JSON. No mocks; overlays and
+ * snapshots use an in-memory D1 stand-in.
  */
 
-import { describe, it, expect } from "vitest";
+import { describe, it, expect, beforeAll, beforeEach } from "vitest";
+import { createHash } from "node:crypto";
+import * as jose from "jose";
 import { Hono } from "hono";
 import { identityRoutes } from "../../src/api/routes/identity.js";
 
-function makeApp() {
+function makeApp(keyInfo = { userId: "user-1" }) {
   const app = new Hono();
+  app.use("*", async (c, next) => {
+    c.set("apiKey", keyInfo);
+    await next();
+  });
   app.route("/api/v1/identity", identityRoutes);
   return app;
 }
@@ -101,3 +108,261 @@ describe("GET /api/v1/identity/:chittyId/policy-bundle/check", () => {
     expect(second.status).toBe(304);
   });
 });
+
+describe("policy bundle overlays, signatures and diff", () => {
+  function overlayDB(overlays) {
+    const snapshots = new Map();
+    const statement = (sql, args) => ({
+          all: async () => {
+            if (sql.includes("SELECT DISTINCT scope_value")) {
+              const tenants = new Set(overlays.filter((o) => o.scope_type === "tenant").map((o) => o.scope_value));
+              return { results: [...tenants].map((scope_value) => ({ scope_value })) };
+            }
+            const [version, ...scopes] = args;
+            const pairs = [];
+            for (let i = 0; i < scopes.length; i += 2) pairs.push([scopes[i], scopes[i + 1]]);
+            const results = overlays.filter(
+              (o) =>
+                ["*", version].includes(o.version) &&
+                pairs.some(([type, value]) => o.scope_type === type && o.scope_value === value),
+            );
+            results.sort((a, b) => (a.scope_type === "entity_type" ? 0 : 1) - (b.scope_type === "entity_type" ? 0 : 1));
+            return { results };
+          },
+          run: async () => {
+            if (sql.includes("INSERT OR IGNORE INTO policy_bundle_snapshots")) {
+              snapshots.set(args[0], { version: args[1], files: args[2] });
+            }
+            if (sql.includes("INSERT INTO policy_bundle_overlays")) {
+              const [id, scope_type, scope_value, version, file_key, mode, file_name, content] = args;
+              overlays.push({ id, scope_type, scope_value, version, file_key, mode, file_name, content });
+            }
+            return { meta: { changes: 1 } };
+          },
+          first: async () =>
+            sql.includes("FROM policy_bundle_overlays")
+              ? overlays.find((o) => o.scope_value === args[1] && o.file_key === args[3]) || null
+              : snapshots.get(args[0]) || null,
+    });
+    return {
+      snapshots,
+      prepare: (sql) => ({ ...statement(sql, []), bind: (...args) => statement(sql, args) }),
+    };
+  }
+
+  const overlays = [
+    {
+      scope_type: "entity_type",
+      scope_value: "A",
+      version: "*",
+      file_key: "policy",
+      mode: "merge",
+      content: JSON.stringify({ agent_limits: { max_autonomy: 2 } }),
+    },
+    {
+      scope_type: "tenant",
+      scope_value: "acme",
+      version: "v1",
+      file_key: "tenant_rules",
+      mode: "replace",
+      file_name: "acme-rules.md",
+      content: "# ACME rules",
+    },
+  ];
+
+  let signingJwk;
+  let env;
+
+  beforeAll(async () => {
+    const { privateKey } = await jose.generateKeyPair("EdDSA", { extractable: true });
+    signingJwk = { ...(await jose.exportJWK(privateKey)), kid: "policy-2026" };
+  });
+
+  beforeEach(() => {
+    env = { DB: overlayDB([...overlays]), POLICY_BUNDLE_SIGNING_JWK: JSON.stringify(signingJwk) };
+  });
+
+  const AGENT_ID = "03-1-USA-5537-A-2602-0-38";
+  const acme = { userId: "user-2", metadata: { tenantId: "acme" } };
+
+  it("merges entity-type then tenant overlays and changes the sha", async () => {
+    const app = makeApp();
+    const base = await (await app.request(`/api/v1/identity/${VALID_ID}/policy-bundle`, {}, env)).json();
+    expect(base.overlays).toEqual([]);
+
+    const res = await makeApp(acme).request(`/api/v1/identity/${AGENT_ID}/policy-bundle`, {}, env);
+    const body = await res.json();
+    expect(body.base_sha256).toBe(base.sha256);
+    expect(body.sha256).not.toBe(base.sha256);
+    expect(res.headers.get("ETag")).toBe(`W/"${body.sha256}"`);
+    expect(body.overlays.map((o) => o.scope_type)).toEqual(["entity_type", "tenant"]);
+
+    const policy = JSON.parse(body.bundle.policy.content);
+    expect(policy.agent_limits).toEqual({ max_autonomy: 2 });
+    expect(policy.forbidden_behaviors).toBeTruthy();
+    expect(body.bundle.tenant_rules).toEqual({ name: "acme-rules.md", content: "# ACME rules" });
+    expect(res.headers.get("Cache-Control")).toContain("private");
+    // Serving never writes snapshots
+    expect(env.DB.snapshots.size).toBe(0);
+  });
+
+  it("serves tenant overlays only to that tenant's keys and admins", async () => {
+    const other = makeApp({ userId: "user-3", metadata: { tenantId: "globex" } });
+    const denied = await other.request(`/api/v1/identity/${AGENT_ID}/policy-bundle?tenant=acme`, {}, env);
+    expect(denied.status).toBe(403);
+    const check = await other.request(`/api/v1/identity/${AGENT_ID}/policy-bundle/check?tenant=acme`, {}, env);
+    expect(check.status).toBe(403);
+
+    const own = await (await other.request(`/api/v1/identity/${AGENT_ID}/policy-bundle`, {}, env)).json();
+    expect(own.overlays.map((o) => o.scope_type)).toEqual(["entity_type"]);
+
+    const admin = makeApp({ userId: "ops", role: "admin" });
+    const res = await admin.request(`/api/v1/identity/${AGENT_ID}/policy-bundle?tenant=acme`, {}, env);
+    expect((await res.json()).bundle.tenant_rules).toBeTruthy();
+  });
+
+  it("serves keyless callers the base bundle with entity-type overlays only", async () => {
+    const keyless = makeApp({ type: "public", service: "policy-bundle", status: "active" });
+    const res = await keyless.request(`/api/v1/identity/${AGENT_ID}/policy-bundle`, {}, env);
+    expect(res.status).toBe(200);
+    const body = await res.json();
+    expect(body.overlays.map((o) => o.scope_type)).toEqual(["entity_type"]);
+    expect(body.bundle.tenant_rules).toBeUndefined();
+    expect(res.headers.get("Cache-Control")).toContain("public");
+
+    const check = await keyless.request(`/api/v1/identity/${AGENT_ID}/policy-bundle/check`, {}, env);
+    expect((await check.json()).sha256).toBe(body.sha256);
+
+    const tenant = await keyless.request(`/api/v1/identity/${AGENT_ID}/policy-bundle?tenant=acme`, {}, env);
+    expect(tenant.status).toBe(401);
+  });
+
+  it("snapshots the affected bundles when an overlay changes, so channels can diff from them", async () => {
+    const admin = makeApp({ userId: "ops", role: "admin" });
+    const put = await admin.request(
+      "/api/v1/identity/policy-bundle/overlays",
+      {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          scope_type: "tenant",
+          scope_value: "acme",
+          file_key: "escalation",
+          mode: "replace",
+          content: "Page the on-call lead",
+        }),
+      },
+      env,
+    );
+    expect(put.status).toBe(200);
+
+    const served = await (await makeApp(acme).request(`/api/v1/identity/${AGENT_ID}/policy-bundle`, {}, env)).json();
+    expect(env.DB.snapshots.has(served.sha256)).toBe(true);
+    // Agents (with their entity-type overlay) and every other type with acme's
+    expect(env.DB.snapshots.size).toBe(2);
+
+    const back = await (
+      await makeApp().request(`/api/v1/identity/${VALID_ID}/policy-bundle/diff?from=${served.sha256}`, {}, env)
+    ).json();
+    expect(back.removed.sort()).toEqual(["escalation", "tenant_rules"]);
+  });
+
+  it("signs the effective bundle with a key published as JWKS", async () => {
+    const app = makeApp();
+    const res = await makeApp(acme).request(`/api/v1/identity/${AGENT_ID}/policy-bundle`, {}, env);
+    const body = await res.json();
+    expect(res.headers.get("X-Policy-Bundle-Signature")).toBe(body.signature);
+
+    // Offline verification: recompute the sha, then check the detached JWS
+    const sha = createHash("sha256").update(JSON.stringify(body.bundle)).digest("hex");
+    expect(sha).toBe(body.sha256);
+
+    const jwks = await (await app.request("/api/v1/identity/policy-bundle/jwks.json", {}, env)).json();
+    expect(jwks.keys[0]).toMatchObject({ kid: "policy-2026", alg: "EdDSA" });
+    expect(jwks.keys[0].d).toBeUndefined();
+
+    const [protectedHeader, , signature] = body.signature.split(".");
+    const { payload } = await jose.flattenedVerify(
+      {
+        protected: protectedHeader,
+        payload: jose.base64url.encode(`chitty-policy-bundle:${body.version}:${sha}`),
+        signature,
+      },
+      jose.createLocalJWKSet(jwks),
+    );
+    expect(new TextDecoder().decode(payload)).toContain(sha);
+  });
+
+  it("diffs against the base bundle and previously served overlays", async () => {
+    const app = makeApp();
+    const base = await (await app.request(`/api/v1/identity/${VALID_ID}/policy-bundle/check`, {}, env)).json();
+
+    const res = await makeApp(acme).request(
+      `/api/v1/identity/${AGENT_ID}/policy-bundle/diff?from=${base.sha256}`,
+      {},
+      env,
+    );
+    expect(res.status).toBe(200);
+    const diff = await res.json();
+    expect(diff.from).toBe(base.sha256);
+    expect(Object.keys(diff.added)).toEqual(["tenant_rules"]);
+    expect(Object.keys(diff.changed)).toEqual(["policy"]);
+    expect(diff.removed).toEqual([]);
+    expect(diff.signature).toBeTruthy();
+  });
+
+  it("rejects unknown versions and unknown base shas", async () => {
+    const app = makeApp();
+    const version = await app.request(`/api/v1/identity/${VALID_ID}/policy-bundle?version=v9`, {}, env);
+    expect(version.status).toBe(404);
+    expect((await version.json()).versions).toContain("v1");
+
+    const diff = await app.request(
+      `/api/v1/identity/${VALID_ID}/policy-bundle/diff?from=${"0".repeat(64)}`,
+      {},
+      env,
+    );
+    expect(diff.status).toBe(404);
+    expect((await diff.json()).error).toBe("UNKNOWN_BASE");
+  });
+});
+
+describe("POST /api/v1/identity/:chittyId/policy/evaluate", () => {
+  function evaluate(body) {
+    return makeApp().request(`/api/v1/identity/${VALID_ID}/policy/evaluate`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+  }
+
+  it("returns the decision and the rule that matched", async () => {
+    const denied = await (
+      await evaluate({ intent: "force_push", context: { ref_protected: true } })
+    ).json();
+    expect(denied).toMatchObject({
+      chittyId: VALID_ID,
+      intent: "force_push",
+      decision: "deny",
+      rule: { id: "git.force_to_protected", error_code: "POLICY_BLOCKED_FORCE_TO_PROTECTED" },
+      bundle: { version: "v1" },
+    });
+
+    const confirm = await (await evaluate({ intent: "force_push", context: {} })).json();
+    expect(confirm).toMatchObject({ decision: "require_confirmation", rule: { id: "git.destructive" } });
+
+    const direct = await (
+      await evaluate({ intent: "credential_retrieve", context: { via_broker: false } })
+    ).json();
+    expect(direct.rule.error_code).toBe("POLICY_BLOCKED_MANDATORY_BROKER_ROUTE");
+
+    const other = await (await evaluate({ intent: "read_docs" })).json();
+    expect(other).toMatchObject({ decision: "allow", rule: { id: "default" } });
+  });
+
+  it("validates the request", async () => {
+    expect((await evaluate({ context: {} })).status).toBe(400);
+    expect((await evaluate({ intent: "sql_write", context: [] })).status).toBe(400);
+    expect((await evaluate({ intent: "sql_write", version: "v9" })).status).toBe(404);
+  });
+});
@@ -0,0 +1,205 @@
+import { describe, it, expect, vi, beforeAll, beforeEach } from "vitest";
+import * as jose from "jose";
+import { ledgerRouter } from "../../src/api/routes/ledger.js";
+import { ledgerSigningInput } from "../../src/auth/sovereignty-cert.js";
+
+const ISSUER = "https://cert.chitty.cc";
+
+let issuerKey;
+let signerKey;
+let env;
+let inserted;
+
+async function issueCert(claims = {}, { expiresIn = "1h" } = {}) {
+  return new jose.SignJWT({ permissions: ["chitty_ledger_record"], ...claims })
+    .setProtectedHeader({ alg: "ES256", kid: "cert-key-1" })
+    .setIssuer(ISSUER)
+    .setSubject(claims.sub ?? "did:chitty:signer-1")
+    .setJti(claims.jti ?? "cert-1")
+    .setIssuedAt()
+    .setExpirationTime(expiresIn)
+    .sign(issuerKey.privateKey);
+}
+
+async function signEntry(entry, { kid = "did:chitty:signer-1", key = signerKey.privateKey } = {}) {
+  const jws = await new jose.CompactSign(new TextEncoder().encode(ledgerSigningInput(entry)))
+    .setProtectedHeader({ alg: "EdDSA", kid })
+    .sign(key);
+  const [header, , sig] = jws.split(".");
+  return `${header}..${sig}`;
+}
+
+function entryFor({ data = { action: "approve" }, signer_id = "did:chitty:signer-1", ...overrides } = {}) {
+  return {
+    context_id: "ctx-1",
+    context_chitty_id: "CHITTY-CTX-1",
+    session_id: "sess-1",
+    event_type: "decision",
+    payload: JSON.stringify(data),
+    previous_hash: "GENESIS",
+    signer_id,
+    signed_at: Math.floor(Date.now() / 1000),
+    ...overrides,
+  };
+}
+
+async function append({ cert, signature, entry = entryFor() }) {
+  const { payload, ...fields } = entry;
+  const body = { ...fields, data: JSON.parse(payload), signature: signature ?? (await signEntry(entry)) };
+  return ledgerRouter.request(
+    "/append",
+    {
+      method: "POST",
+      headers: { "Content-Type": "application/json", "x-sovereignty-cert": cert },
+      body: JSON.stringify(body),
+    },
+    env,
+  );
+}
+
+beforeAll(async () => {
+  issuerKey = await jose.generateKeyPair("ES256", { extractable: true });
+  signerKey = await jose.generateKeyPair("EdDSA", { extractable: true });
+});
+
+beforeEach(async () => {
+  inserted = [];
+  vi.stubGlobal(
+    "fetch",
+    vi.fn(async () => new Response(JSON.stringify({ status: "active" }), { status: 200 })),
+  );
+  env = {
+    CHITTYCERT_JWKS: JSON.stringify({
+      keys: [{ ...(await jose.exportJWK(issuerKey.publicKey)), kid: "cert-key-1", alg: "ES256" }],
+    }),
+    CHITTY_SIGNER_JWKS: JSON.stringify({
+      keys: [{ ...(await jose.exportJWK(signerKey.publicKey)), kid: "did:chitty:signer-1", alg: "EdDSA" }],
+    }),
+    DB: {
+      prepare: (sql) => ({
+        bind: (...args) => ({
+          first: async () => null,
+          run: async () => {
+            inserted.push({ sql, args });
+            return { meta: { changes: 1 } };
+          },
+        }),
+      }),
+    },
+  };
+});
+
+describe("POST /append SOVEREIGNTY.cert verification", () => {
+  it("appends entries with a valid cert and signature", async () => {
+    const res = await append({ cert: await issueCert() });
+    expect(res.status).toBe(201);
+    expect(inserted).toHaveLength(1);
+    expect(fetch).toHaveBeenCalledWith(
+      `${ISSUER}/api/v1/certificate/cert-1`,
+      expect.objectContaining({ signal: expect.any(AbortSignal) }),
+    );
+    expect(inserted[0].args.slice(7, 12)).toEqual([
+      "GENESIS",
+      "did:chitty:signer-1",
+      expect.any(String),
+      1,
+      expect.any(Number),
+    ]);
+  });
+
+  it("rejects expired, mismatched, unscoped and revoked certs", async () => {
+    const cases = [
+      [await issueCert({}, { expiresIn: Math.floor(Date.now() / 1000) - 60 }), "cert_expired"],
+      [await issueCert({ sub: "did:chitty:someone-else" }), "signer_mismatch"],
+      [await issueCert({ permissions: ["chitty_fact_read"] }), "permission_denied"],
+    ];
+    for (const [cert, code] of cases) {
+      const res = await append({ cert });
+      expect(res.status).toBe(403);
+      expect((await res.json()).code).toBe(code);
+    }
+
+    fetch.mockResolvedValueOnce(new Response(JSON.stringify({ status: "revoked" }), { status: 200 }));
+    const revoked = await append({ cert: await issueCert() });
+    expect((await revoked.json()).code).toBe("cert_revoked");
+    expect(inserted).toHaveLength(0);
+  });
+
+  it("fails closed when revocation status is unavailable", async () => {
+    fetch.mockResolvedValueOnce(new Response("down", { status: 502 }));
+    const res = await append({ cert: await issueCert() });
+    expect(res.status).toBe(503);
+    expect((await res.json()).code).toBe("revocation_unavailable");
+  });
+
+  it("rejects certs signed by an unknown issuer key", async () => {
+    const rogue = await jose.generateKeyPair("ES256");
+    const cert = await new jose.SignJWT({ permissions: ["chitty_ledger_record"] })
+      .setProtectedHeader({ alg: "ES256", kid: "cert-key-1" })
+      .setIssuer(ISSUER)
+      .setSubject("did:chitty:signer-1")
+      .setJti("cert-1")
+      .setExpirationTime("1h")
+      .sign(rogue.privateKey);
+    const res = await append({ cert });
+    expect(res.status).toBe(403);
+    expect((await res.json()).code).toBe("invalid_cert");
+  });
+
+  it("rejects signatures over other payloads or from other keys", async () => {
+    const cert = await issueCert();
+    const forged = await signEntry(entryFor({ data: { action: "deny" } }));
+    let res = await append({ cert, signature: forged });
+    expect((await res.json()).code).toBe("invalid_signature");
+
+    // Fields outside the payload are signed too
+    for (const field of [{ session_id: "sess-2" }, { context_chitty_id: "CHITTY-CTX-2" }, { previous_hash: "abc123" }]) {
+      const signed = await signEntry(entryFor(field));
+      res = await append({ cert, signature: signed });
+      expect((await res.json()).code).toBe("invalid_signature");
+    }
+
+    const other = await jose.generateKeyPair("EdDSA");
+    const wrongKey = await signEntry(entryFor(), { key: other.privateKey });
+    res = await append({ cert, signature: wrongKey });
+    expect((await res.json()).code).toBe("invalid_signature");
+
+    const wrongKid = await signEntry(entryFor(), { kid: "did:chitty:other" });
+    res = await append({ cert, signature: wrongKid });
+    expect((await res.json()).code).toBe("key_mismatch");
+    expect(inserted).toHaveLength(0);
+  });
+
+  it("refuses replays: stale signing times and entries that no longer extend the head", async () => {
+    const cert = await issueCert();
+    const stale = entryFor({ signed_at: Math.floor(Date.now() / 1000) - 3600 });
+    let res = await append({ cert, entry: stale });
+    expect(res.status).toBe(403);
+    expect((await res.json()).code).toBe("stale_signature");
+
+    // The head moved on after the entry was signed
+    const prepare = env.DB.prepare;
+    env.DB.prepare = (sql) =>
+      sql.includes("SELECT hash FROM context_ledger") && !sql.includes("INSERT")
+        ? { bind: () => ({ first: async () => ({ hash: "feedface" }) }) }
+        : prepare(sql);
+    res = await append({ cert });
+    expect(res.status).toBe(409);
+    expect(await res.json()).toMatchObject({ code: "stale_previous_hash", head: "feedface" });
+
+    // ...or moved between the check and the insert
+    env.DB.prepare = (sql) => ({
+      bind: () => ({ first: async () => null, run: async () => ({ meta: { changes: sql.includes("INSERT") ? 0 : 1 } }) }),
+    });
+    res = await append({ cert });
+    expect(res.status).toBe(409);
+    expect(inserted).toHaveLength(0);
+  });
+
+  it("fails closed when the revocation check times out", async () => {
+    fetch.mockRejectedValueOnce(new DOMException("The operation was aborted due to timeout", "TimeoutError"));
+    const res = await append({ cert: await issueCert() });
+    expect(res.status).toBe(503);
+    expect((await res.json()).code).toBe("revocation_unavailable");
+  });
+});
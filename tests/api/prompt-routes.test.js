@@ -0,0 +1,415 @@
+import { describe, it, expect, beforeEach } from "vitest";
+import { Hono } from "hono";
+import { promptRoutes } from "../../src/api/routes/prompts.js";
+import { dashboard } from "../../src/api/routes/dashboard.js";
+
+const AUTHOR = "01-P-USA-1111-P-2601-A-X";
+const REVIEWER = "01-P-USA-2222-P-2601-A-X";
+
+function makeApp(apiKey) {
+  const app = new Hono();
+  app.use("*", async (c, next) => {
+    c.set("apiKey", apiKey);
+    return next();
+  });
+  app.route("/api/v1/context/prompts", promptRoutes);
+  app.route("/api/dashboard", dashboard);
+  return app;
+}
+
+// Just enough of D1 for prompt_registry and prompt_versions.
+function createDB(registryRow) {
+  const registry = new Map([[registryRow.id, { ...registryRow }]]);
+  const versions = [
+    { id: 1, prompt_id: registryRow.id, version: 1, base: registryRow.base, status: "active", reviewers: "[]" },
+  ];
+  const suites = [];
+  const executions = [];
+
+  function execute(sql, args) {
+    if (sql.includes("SELECT * FROM prompt_registry WHERE id = ?")) return registry.get(args[0]) ?? null;
+    if (sql.includes("SELECT base FROM prompt_registry WHERE id = ?")) return registry.get(args[0]) ?? null;
+    if (sql.includes("SELECT base FROM prompt_versions WHERE prompt_id = ? AND version = ?")) {
+      const row = versions.find((v) => v.prompt_id === args[0] && v.version === args[1]);
+      const readable = !sql.includes("IN ('active', 'approved')") || ["active", "approved"].includes(row?.status);
+      return readable ? row : null;
+    }
+    if (sql.includes("SELECT MAX(version)")) {
+      return { latest: Math.max(...versions.filter((v) => v.prompt_id === args[0]).map((v) => v.version)) };
+    }
+    if (sql.includes("SELECT * FROM prompt_versions WHERE prompt_id = ? AND version = ?")) {
+      return versions.find((v) => v.prompt_id === args[0] && v.version === args[1]) ?? null;
+    }
+    if (sql.includes("SELECT * FROM prompt_versions WHERE id = ?")) return versions.find((v) => v.id === args[0]) ?? null;
+    if (sql.includes("INSERT INTO prompt_versions")) {
+      const [prompt_id, version, base, , , , author_gate, , changelog, created_by, status, reviewers] = args;
+      if (versions.some((v) => v.prompt_id === prompt_id && v.version === version)) {
+        throw new Error("D1_ERROR: UNIQUE constraint failed: prompt_versions.prompt_id, prompt_versions.version");
+      }
+      versions.push({
+        id: versions.length + 1,
+        prompt_id,
+        version,
+        base,
+        author_gate,
+        changelog,
+        created_by,
+        status: status ?? "active",
+        reviewers: reviewers ?? "[]",
+      });
+      return { meta: { changes: 1 } };
+    }
+    if (sql.includes("SET status = ?, decided_by = ?")) {
+      const row = versions.find((v) => v.prompt_id === args[4] && v.version === args[5] && v.status === "pending");
+      if (!row) return { meta: { changes: 0 } };
+      Object.assign(row, { status: args[0], decided_by: args[1], decision_notes: args[3] });
+      return { meta: { changes: 1 } };
+    }
+    if (sql.includes("UPDATE prompt_registry")) {
+      Object.assign(registry.get(args.at(-1)), { version: args[0], base: args[1] });
+      return { meta: { changes: 1 } };
+    }
+    if (sql.includes("SET status = 'superseded'")) {
+      versions.filter((v) => v.prompt_id === args[0] && v.status === "active").forEach((v) => (v.status = "superseded"));
+      return { meta: { changes: 1 } };
+    }
+    if (sql.includes("SET status = 'active'")) {
+      versions.find((v) => v.prompt_id === args[1] && v.version === args[2]).status = "active";
+      return { meta: { changes: 1 } };
+    }
+    if (sql.includes("SELECT id FROM prompt_eval_suites")) {
+      return suites.find((s) => s.prompt_id === args[0] && s.name === args[1]) ?? null;
+    }
+    if (sql.includes("INSERT INTO prompt_eval_suites")) {
+      const [id, prompt_id, name, cases, pass_threshold] = args;
+      suites.push({ id, prompt_id, name, cases, pass_threshold });
+      return { meta: { changes: 1 } };
+    }
+    if (sql.includes("SELECT * FROM prompt_eval_suites WHERE prompt_id = ?")) {
+      return { results: suites.filter((s) => s.prompt_id === args[0]) };
+    }
+    if (sql.includes("INSERT INTO prompt_executions")) {
+      const [prompt_id, prompt_version, , , executed_by, mode, environment, , , , error, , output_quality, quality_source] = args;
+      executions.push({ prompt_id, prompt_version, executed_by, mode, environment, error, output_quality, quality_source });
+      return { meta: { changes: 1 } };
+    }
+    throw new Error(`unexpected SQL: ${sql}`);
+  }
+
+  const prepare = (sql) => {
+    const stmt = { args: [] };
+    stmt.bind = (...args) => ((stmt.args = args), stmt);
+    stmt.first = async () => execute(sql, stmt.args);
+    stmt.run = async () => execute(sql, stmt.args);
+    stmt.all = async () => execute(sql, stmt.args);
+    return stmt;
+  };
+  return {
+    registry,
+    versions,
+    suites,
+    executions,
+    prepare,
+    batch: async (stmts) => Promise.all(stmts.map((s) => s.run())),
+  };
+}
+
+const json = (body) => ({
+  method: "POST",
+  headers: { "Content-Type": "application/json" },
+  body: JSON.stringify(body),
+});
+
+let env;
+
+beforeEach(() => {
+  env = {
+    DB: createDB({
+      id: "litigation.synthesize",
+      domain: "litigation",
+      version: 1,
+      base: "v1 base",
+      layers: "[]",
+      fallback: "passthrough",
+      env_gate: "{}",
+      author_gate: JSON.stringify({
+        domain: "litigation",
+        allowedAuthors: [AUTHOR, REVIEWER],
+        requireApproval: true,
+      }),
+      consumer_gate: "{}",
+    }),
+  };
+});
+
+describe("prompt approval workflow", () => {
+  it("stages updates behind requireApproval until a reviewer approves", async () => {
+    const put = await makeApp({ chittyId: AUTHOR }).request(
+      "/api/v1/context/prompts/litigation.synthesize",
+      { ...json({ base: "v2 base", changelog: "Tighten tone" }), method: "PUT" },
+      env,
+    );
+    expect(put.status).toBe(202);
+    expect(await put.json()).toMatchObject({ version: 2, status: "pending", reviewers: [REVIEWER], activeVersion: 1 });
+    // Still serving v1
+    expect(env.DB.registry.get("litigation.synthesize")).toMatchObject({ version: 1, base: "v1 base" });
+
+    const self = await makeApp({ chittyId: AUTHOR }).request(
+      "/api/v1/context/prompts/litigation.synthesize/versions/2/approve",
+      json({}),
+      env,
+    );
+    expect(self.status).toBe(403);
+    expect((await self.json()).reason).toMatch(/own version/);
+
+    const approved = await makeApp({ chittyId: REVIEWER }).request(
+      "/api/v1/context/prompts/litigation.synthesize/versions/2/approve",
+      json({ notes: "LGTM" }),
+      env,
+    );
+    expect(approved.status).toBe(200);
+    expect(await approved.json()).toMatchObject({ version: 2, status: "active" });
+    expect(env.DB.registry.get("litigation.synthesize")).toMatchObject({ version: 2, base: "v2 base" });
+    expect(env.DB.versions.map((v) => v.status)).toEqual(["superseded", "active"]);
+  });
+
+  it("rejects with a reason and keeps the active version", async () => {
+    await makeApp({ chittyId: AUTHOR }).request(
+      "/api/v1/context/prompts/litigation.synthesize",
+      { ...json({ base: "v2 base" }), method: "PUT" },
+      env,
+    );
+
+    const app = makeApp({ chittyId: REVIEWER });
+    const noReason = await app.request("/api/v1/context/prompts/litigation.synthesize/versions/2/reject", json({}), env);
+    expect(noReason.status).toBe(400);
+
+    const rejected = await app.request(
+      "/api/v1/context/prompts/litigation.synthesize/versions/2/reject",
+      json({ reason: "Off-policy" }),
+      env,
+    );
+    expect(await rejected.json()).toMatchObject({ status: "rejected" });
+    expect(env.DB.versions[1]).toMatchObject({ status: "rejected", decided_by: REVIEWER, decision_notes: "Off-policy" });
+    expect(env.DB.registry.get("litigation.synthesize").version).toBe(1);
+
+    const again = await app.request("/api/v1/context/prompts/litigation.synthesize/versions/2/approve", json({}), env);
+    expect(again.status).toBe(409);
+  });
+});
+
+describe("prompt version numbering", () => {
+  it("numbers again when a concurrent update takes the version first", async () => {
+    const prepare = env.DB.prepare;
+    let raced = false;
+    env.DB.prepare = (sql) => {
+      if (sql.includes("SELECT MAX(version)") && !raced) {
+        raced = true;
+        const stmt = prepare(sql);
+        const first = stmt.first;
+        stmt.first = async () => {
+          const latest = await first();
+          env.DB.versions.push({ id: 9, prompt_id: "litigation.synthesize", version: 2, status: "pending", reviewers: "[]" });
+          return latest;
+        };
+        return stmt;
+      }
+      return prepare(sql);
+    };
+
+    const put = await makeApp({ chittyId: AUTHOR }).request(
+      "/api/v1/context/prompts/litigation.synthesize",
+      { ...json({ base: "v3 base" }), method: "PUT" },
+      env,
+    );
+    expect(put.status).toBe(202);
+    expect((await put.json()).version).toBe(3);
+  });
+});
+
+describe("dashboard prompt approvals", () => {
+  async function stageV2() {
+    await makeApp({ chittyId: AUTHOR }).request(
+      "/api/v1/context/prompts/litigation.synthesize",
+      { ...json({ base: "v2 base" }), method: "PUT" },
+      env,
+    );
+    return `pv_${env.DB.versions[1].id}`;
+  }
+
+  it("decides as the authenticated reviewer, not the approver named in the body", async () => {
+    const id = await stageV2();
+
+    const forged = await makeApp({ chittyId: AUTHOR }).request(
+      `/api/dashboard/approvals/${id}/approve`,
+      json({ approver_chitty_id: REVIEWER }),
+      env,
+    );
+    expect(forged.status).toBe(403);
+
+    const outsider = await makeApp({ chittyId: "01-P-USA-3333-P-2601-A-X" }).request(
+      `/api/dashboard/approvals/${id}/approve`,
+      json({}),
+      env,
+    );
+    expect(outsider.status).toBe(403);
+    expect((await outsider.json()).error).toMatch(/Reviewer must be one of/);
+
+    const approved = await makeApp({ chittyId: REVIEWER }).request(
+      `/api/dashboard/approvals/${id}/approve`,
+      json({ approver_chitty_id: "someone-else" }),
+      env,
+    );
+    expect(approved.status).toBe(200);
+    expect((await approved.json()).data).toMatchObject({ status: "approved", approver: REVIEWER });
+    expect(env.DB.versions[1]).toMatchObject({ status: "active", decided_by: REVIEWER });
+  });
+});
+
+describe("render preview", () => {
+  const preview = (body, apiKey = { chittyId: AUTHOR }) =>
+    makeApp(apiKey).request("/api/v1/context/prompts/litigation.synthesize/render-preview", json(body), env);
+
+  it("renders a draft with schema defaults, conditional layers and versioned partials", async () => {
+    env.DB.registry.set("shared.tone", { id: "shared.tone", version: 3, base: "Tone: {{tone}}.", consumer_gate: "{}" });
+    env.DB.versions.push({ id: 2, prompt_id: "shared.tone", version: 3, base: "Tone: {{tone}}.", status: "active" });
+
+    const res = await preview({
+      base: "Summarize {{#each parties}}{{this}}{{#unless @last}} v. {{/unless}}{{/each}}. {{> shared.tone@3}}",
+      layers: [
+        { id: "urgent", content: "Flag <{{deadline}}>.", order: 1, when: "urgent" },
+        { id: "routine", content: "No rush.", order: 2, when: "!urgent" },
+      ],
+      variableSchema: {
+        parties: { type: "array", required: true },
+        tone: { type: "string", default: "neutral" },
+        urgent: { type: "boolean", default: false },
+        deadline: { type: "string" },
+      },
+      escapeMode: "xml",
+      variables: { parties: ["Arias", "Bianchi"], urgent: true, deadline: "<friday>" },
+    });
+
+    expect(res.status).toBe(200);
+    const body = await res.json();
+    expect(body.rendered).toBe("Summarize Arias v. Bianchi. Tone: neutral.\n\nFlag <&lt;friday&gt;>.");
+    expect(body.resolvedLayers).toEqual(["urgent"]);
+    expect(body.partials).toEqual(["shared.tone@3"]);
+    // The stored prompt is untouched
+    expect(env.DB.registry.get("litigation.synthesize").base).toBe("v1 base");
+  });
+
+  it("reports variable errors and template errors separately", async () => {
+    const invalid = await preview({
+      base: "Hi {{name}}",
+      variableSchema: { name: { type: "string", required: true } },
+      variables: { name: 5 },
+    });
+    expect(invalid.status).toBe(400);
+    expect((await invalid.json()).errors).toEqual(["name must be a string, got number"]);
+
+    const missingPartial = await preview({ base: "{{> shared.missing}}" });
+    expect(missingPartial.status).toBe(422);
+
+    const syntax = await preview({ base: "{{#if x}}open" });
+    expect(syntax.status).toBe(400);
+
+    const outsider = await preview({ base: "x" }, { chittyId: "01-P-USA-9999-P-2601-A-X" });
+    expect(outsider.status).toBe(403);
+  });
+});
+
+describe("partial access", () => {
+  const preview = (base, apiKey = { chittyId: AUTHOR, service: "drafting" }) =>
+    makeApp(apiKey).request("/api/v1/context/prompts/litigation.synthesize/render-preview", json({ base }), env);
+
+  beforeEach(() => {
+    env.DB.registry.set("billing.rates", {
+      id: "billing.rates",
+      version: 1,
+      base: "Rate card",
+      consumer_gate: JSON.stringify({ allowedServices: ["billing"] }),
+    });
+    env.DB.versions.push(
+      { id: 2, prompt_id: "litigation.synthesize", version: 2, base: "unreviewed", status: "pending" },
+      { id: 3, prompt_id: "litigation.synthesize", version: 3, base: "approved", status: "approved" },
+    );
+  });
+
+  it("resolves only active or approved versions", async () => {
+    expect(await (await preview("{{> litigation.synthesize@1}}")).json()).toMatchObject({ rendered: "v1 base" });
+    expect(await (await preview("{{> litigation.synthesize@3}}")).json()).toMatchObject({ rendered: "approved" });
+    expect((await preview("{{> litigation.synthesize@2}}")).status).toBe(422);
+  });
+
+  it("does not resolve prompts the caller fails the consumer gate for", async () => {
+    expect((await preview("{{> billing.rates}}")).status).toBe(422);
+    const billing = await preview("{{> billing.rates}}", { chittyId: AUTHOR, service: "billing" });
+    expect(await billing.json()).toMatchObject({ rendered: "Rate card" });
+    const admin = await preview("{{> billing.rates}}", { chittyId: AUTHOR, role: "admin" });
+    expect(admin.status).toBe(200);
+  });
+});
+
+describe("offline evaluation", () => {
+  it("runs a staged version against its suites with the stub model and logs auto_eval scores", async () => {
+    const app = makeApp({ chittyId: AUTHOR });
+    const created = await app.request(
+      "/api/v1/context/prompts/litigation.synthesize/eval-suites",
+      json({
+        name: "smoke",
+        passThreshold: 1,
+        cases: [
+          { id: "echo", input: "Filing A", expect: { mustContain: ["Cite the record", "Filing A"] } },
+          { id: "json", input: "Filing B", stub: '{"verdict":"deny"}', expect: { jsonSchema: { required: ["verdict"] } } },
+        ],
+      }),
+      env,
+    );
+    expect(created.status).toBe(201);
+
+    const dupe = await app.request(
+      "/api/v1/context/prompts/litigation.synthesize/eval-suites",
+      json({ name: "smoke", cases: [{ id: "x", input: "y", expect: { maxLength: 5 } }] }),
+      env,
+    );
+    expect(dupe.status).toBe(409);
+
+    // Stage v2 without going live, then evaluate both versions
+    await app.request(
+      "/api/v1/context/prompts/litigation.synthesize",
+      { ...json({ base: "Cite the record.", draft: true }), method: "PUT" },
+      env,
+    );
+
+    const v2 = await app.request("/api/v1/context/prompts/litigation.synthesize/evaluate", json({ version: 2 }), env);
+    expect(v2.status).toBe(200);
+    expect(await v2.json()).toMatchObject({ version: 2, model: "stub", envMode: "deterministic", passed: true });
+
+    const v1 = await (await app.request("/api/v1/context/prompts/litigation.synthesize/evaluate", json({}), env)).json();
+    expect(v1).toMatchObject({ version: 1, passed: false });
+    expect(v1.suites[0].cases[0].checks).toContainEqual({
+      check: "mustContain",
+      passed: false,
+      detail: 'missing "Cite the record"',
+    });
+
+    expect(env.DB.executions.map((e) => [e.prompt_version, e.output_quality])).toEqual([
+      [2, 1],
+      [2, 1],
+      [1, 0.5],
+      [1, 1],
+    ]);
+    expect(env.DB.executions.every((e) => e.quality_source === "auto_eval" && e.mode === "evaluate")).toBe(true);
+    expect(env.DB.registry.get("litigation.synthesize").version).toBe(1);
+  });
+
+  it("is limited to the prompt's authors", async () => {
+    const res = await makeApp({ chittyId: "01-P-USA-9999-P-2601-A-X" }).request(
+      "/api/v1/context/prompts/litigation.synthesize/evaluate",
+      json({}),
+      env,
+    );
+    expect(res.status).toBe(403);
+  });
+});
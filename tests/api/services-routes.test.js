@@ -0,0 +1,42 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { Hono } from "hono";
+
+const mockReset = vi.fn(() => 2);
+vi.mock("../../src/lib/service-switch.js", () => ({
+  getBreakerStates: vi.fn(() => ({})),
+  resetBreakers: (...args) => mockReset(...args),
+}));
+
+const { servicesRoutes } = await import("../../src/api/routes/services.js");
+
+function makeApp(apiKey) {
+  const app = new Hono();
+  app.use("*", async (c, next) => {
+    c.set("apiKey", apiKey);
+    return next();
+  });
+  app.route("/api/services", servicesRoutes);
+  return app;
+}
+
+const reset = (apiKey) =>
+  makeApp(apiKey).request("/api/services/breakers/ledger/reset", { method: "POST" }, {});
+
+beforeEach(() => {
+  vi.clearAllMocks();
+});
+
+describe("POST /api/services/breakers/:serviceName/reset", () => {
+  it("refuses keys without admin scope", async () => {
+    const res = await reset({ name: "ops", scopes: ["mcp:read", "mcp:write"] });
+    expect(res.status).toBe(403);
+    expect(mockReset).not.toHaveBeenCalled();
+  });
+
+  it("resets the service's breakers for an admin key", async () => {
+    const res = await reset({ name: "platform", scopes: ["admin"] });
+    expect(res.status).toBe(200);
+    expect(await res.json()).toEqual({ serviceName: "ledger", reset: 2 });
+    expect(mockReset).toHaveBeenCalledWith("ledger");
+  });
+});
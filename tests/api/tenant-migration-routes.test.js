@@ -18,6 +18,8 @@ const mockMigrationInstance = {
     totals: { provisioned: 1, documents: 5, custodyLogs: 2, families: 1, errors: 0 },
     completedAt: "2026-01-01T00:00:05Z",
   }),
+  verify: vi.fn(),
+  rollback: vi.fn(),
 };
 
 vi.mock("../../src/services/tenant-data-migration.js", () => {
@@ -26,6 +28,8 @@ vi.mock("../../src/services/tenant-data-migration.js", () => {
       this.discoverClients = mockMigrationInstance.discoverClients;
       this.plan = mockMigrationInstance.plan;
       this.execute = mockMigrationInstance.execute;
+      this.verify = mockMigrationInstance.verify;
+      this.rollback = mockMigrationInstance.rollback;
     }
   }
   return { TenantDataMigration: MockTenantDataMigration };
@@ -154,6 +158,7 @@ describe("Tenant Migration Routes", () => {
         clientId: "client-a",
         dryRun: true,
         region: "aws-us-west-2",
+        restart: false,
       });
     });
 
@@ -175,6 +180,55 @@ describe("Tenant Migration Routes", () => {
     });
   });
 
+  describe("POST /verify and /rollback", () => {
+    it("verifies one client", async () => {
+      mockMigrationInstance.verify.mockResolvedValueOnce({ clientId: "client-a", ok: true });
+
+      const app = createTestApp();
+      const res = await app.request("/api/v1/tenants/migration/verify", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ clientId: "client-a" }),
+      });
+
+      expect(res.status).toBe(200);
+      expect((await res.json()).ok).toBe(true);
+      expect(mockMigrationInstance.verify).toHaveBeenCalledWith("client-a");
+    });
+
+    it("requires a clientId", async () => {
+      const app = createTestApp();
+      const res = await app.request("/api/v1/tenants/migration/rollback", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({}),
+      });
+
+      expect(res.status).toBe(400);
+      expect(mockMigrationInstance.rollback).not.toHaveBeenCalled();
+    });
+
+    it("maps rollback refusals to 404 and 409", async () => {
+      mockMigrationInstance.rollback
+        .mockRejectedValueOnce(new Error("Migration for client client-a not found"))
+        .mockRejectedValueOnce(
+          new Error("Migration for client client-a cannot be rolled back: it is verified (pass force to override)"),
+        );
+
+      const app = createTestApp();
+      const rollback = () =>
+        app.request("/api/v1/tenants/migration/rollback", {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ clientId: "client-a", deprovision: true }),
+        });
+
+      expect((await rollback()).status).toBe(404);
+      expect((await rollback()).status).toBe(409);
+      expect(mockMigrationInstance.rollback).toHaveBeenCalledWith("client-a", { deprovision: true, force: false });
+    });
+  });
+
   describe("Admin auth enforcement", () => {
     it("rejects non-admin callers with 403", async () => {
       const app = createTestApp({ role: "user" });
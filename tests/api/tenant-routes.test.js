@@ -7,6 +7,10 @@ const mockGetRecord = vi.fn();
 const mockListTenants = vi.fn();
 const mockExport = vi.fn();
 const mockDeprovision = vi.fn();
+const mockSuspend = vi.fn();
+const mockResume = vi.fn();
+const mockCreateBranch = vi.fn();
+const mockRestoreBranch = vi.fn();
 
 vi.mock("../../src/services/tenant-project-manager.js", () => ({
   TenantProjectManager: class MockTPM {
@@ -16,6 +20,24 @@ vi.mock("../../src/services/tenant-project-manager.js", () => ({
       this.listTenants = mockListTenants;
       this.exportTenant = mockExport;
       this.deprovisionTenant = mockDeprovision;
+      this.suspendTenant = mockSuspend;
+      this.resumeTenant = mockResume;
+      this.createBranch = mockCreateBranch;
+      this.restoreBranch = mockRestoreBranch;
+    }
+  },
+  BRANCH_TTL_HOURS: { default: 24, max: 168 },
+}));
+
+const mockCreateExport = vi.fn();
+const mockRunExport = vi.fn();
+const mockGetExport = vi.fn();
+vi.mock("../../src/services/tenant-export.js", () => ({
+  TenantExporter: class MockExporter {
+    constructor() {
+      this.createJob = mockCreateExport;
+      this.runJob = mockRunExport;
+      this.getJob = mockGetExport;
     }
   },
 }));
@@ -284,3 +306,141 @@ describe("POST /api/v1/tenants/:tenantId/replicate", () => {
     expect(updatePart).toContain("file_name =");
   });
 });
+
+function adminApp(role = "admin") {
+  const admin = new Hono();
+  admin.use("*", async (c, next) => {
+    c.set("apiKey", { role, scopes: [role], userId: "admin-1" });
+    return next();
+  });
+  admin.route("/api/v1/tenants", tenantRoutes);
+  return admin;
+}
+
+const post = (target, path, body = {}) =>
+  target.request(path, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+
+describe("tenant suspension", () => {
+  it("requires admin scope", async () => {
+    const res = await post(adminApp("user"), "/api/v1/tenants/org-123/suspend");
+    expect(res.status).toBe(403);
+    expect(mockSuspend).not.toHaveBeenCalled();
+  });
+
+  it("suspends with a reason and the acting admin", async () => {
+    mockSuspend.mockResolvedValue({ tenantId: "org-123", status: "suspended" });
+    const res = await post(adminApp(), "/api/v1/tenants/org-123/suspend", { reason: "Unpaid invoice" });
+    expect(res.status).toBe(200);
+    expect(mockSuspend).toHaveBeenCalledWith("org-123", { reason: "Unpaid invoice", actor: "admin-1" });
+  });
+
+  it("maps lifecycle conflicts to 409", async () => {
+    mockResume.mockRejectedValue(new Error("Tenant org-123 is not suspended (status: active)"));
+    const res = await post(adminApp(), "/api/v1/tenants/org-123/resume");
+    expect(res.status).toBe(409);
+  });
+
+  it("surfaces refused tenant queries with their status", async () => {
+    const { TenantAccessError } = await import("../../src/services/tenant-metering.js");
+    mockQueryTenantDb.mockRejectedValueOnce(
+      new TenantAccessError("Tenant org-123 is suspended", { code: "TENANT_SUSPENDED", status: 403 }),
+    );
+    const res = await post(adminApp(), "/api/v1/tenants/org-123/replicate", {
+      table: "financial_records",
+      record: { id: "fr-1" },
+    });
+    expect(res.status).toBe(403);
+    expect(await res.json()).toMatchObject({ code: "TENANT_SUSPENDED" });
+  });
+
+  it("validates quota limits and report periods", async () => {
+    const target = adminApp();
+    const bad = await target.request("/api/v1/tenants/org-123/quota", {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ maxQueries: -1 }),
+    });
+    expect(bad.status).toBe(400);
+    expect((await target.request("/api/v1/tenants/usage?period=2026-13")).status).toBe(400);
+  });
+});
+
+describe("tenant branches", () => {
+  it("validates the point in time and lifetime before branching", async () => {
+    const target = adminApp();
+    const future = new Date(Date.now() + 3600_000).toISOString();
+    expect((await post(target, "/api/v1/tenants/org-123/branches", { timestamp: future })).status).toBe(400);
+    expect((await post(target, "/api/v1/tenants/org-123/branches", { ttlHours: 500 })).status).toBe(400);
+    expect((await post(adminApp("user"), "/api/v1/tenants/org-123/branches")).status).toBe(403);
+    expect(mockCreateBranch).not.toHaveBeenCalled();
+  });
+
+  it("creates a sandbox branch at a timestamp", async () => {
+    mockCreateBranch.mockResolvedValue({ id: "tbr_1", connectionUri: "postgresql://sandbox" });
+    const res = await post(adminApp(), "/api/v1/tenants/org-123/branches", {
+      timestamp: "2026-10-01T12:00:00Z",
+      ttlHours: 4,
+      purpose: "Investigate deleted exhibits",
+    });
+
+    expect(res.status).toBe(201);
+    expect((await res.json()).connectionUri).toBe("postgresql://sandbox");
+    expect(mockCreateBranch).toHaveBeenCalledWith("org-123", {
+      timestamp: "2026-10-01T12:00:00Z",
+      ttlHours: 4,
+      name: undefined,
+      purpose: "Investigate deleted exhibits",
+      actor: "admin-1",
+    });
+  });
+
+  it("maps restores of inactive or unknown branches to 409 and 404", async () => {
+    mockRestoreBranch
+      .mockRejectedValueOnce(new Error("Branch tbr_1 is not active (status: expired)"))
+      .mockRejectedValueOnce(new Error("Branch tbr_2 not found for tenant org-123"));
+    expect((await post(adminApp(), "/api/v1/tenants/org-123/branches/tbr_1/restore")).status).toBe(409);
+    expect((await post(adminApp(), "/api/v1/tenants/org-123/branches/tbr_2/restore")).status).toBe(404);
+    expect(mockRestoreBranch).toHaveBeenCalledWith("org-123", "tbr_1", { actor: "admin-1" });
+  });
+});
+
+describe("tenant export bundles", () => {
+  it("queues an export and returns 202", async () => {
+    mockCreateExport.mockResolvedValue({ id: "tex_1", status: "queued", encrypted: true });
+    const recipientKey = { kty: "OKP", crv: "X25519", x: "abc" };
+    const res = await post(adminApp(), "/api/v1/tenants/org-123/exports", { recipientKey, includeObjects: false });
+
+    expect(res.status).toBe(202);
+    expect(await res.json()).toMatchObject({ id: "tex_1", status: "queued" });
+    expect(mockCreateExport).toHaveBeenCalledWith("org-123", {
+      recipientKey,
+      includeObjects: false,
+      actor: "admin-1",
+    });
+  });
+
+  it("maps bad recipient keys and missing configuration to 400 and 503", async () => {
+    mockCreateExport
+      .mockRejectedValueOnce(new Error("recipientKey must be a public key"))
+      .mockRejectedValueOnce(new Error("Export signing key is not configured"));
+    expect((await post(adminApp(), "/api/v1/tenants/org-123/exports", { recipientKey: "nope" })).status).toBe(400);
+    expect((await post(adminApp(), "/api/v1/tenants/org-123/exports")).status).toBe(503);
+    expect((await post(adminApp(), "/api/v1/tenants/org-123/exports", { includeObjects: "yes" })).status).toBe(400);
+    expect((await post(adminApp("user"), "/api/v1/tenants/org-123/exports")).status).toBe(403);
+    expect(mockCreateExport).toHaveBeenCalledTimes(2);
+  });
+
+  it("reports job status and 404s unknown jobs", async () => {
+    mockGetExport
+      .mockResolvedValueOnce({ id: "tex_1", status: "completed", manifestUrl: "/api/v1/exports/tenants/org-123/tex_1/manifest.json" })
+      .mockRejectedValueOnce(new Error("Export tex_2 not found for tenant org-123"));
+    const ok = await adminApp().request("/api/v1/tenants/org-123/exports/tex_1");
+    expect(ok.status).toBe(200);
+    expect((await ok.json()).manifestUrl).toContain("manifest.json");
+    expect((await adminApp().request("/api/v1/tenants/org-123/exports/tex_2")).status).toBe(404);
+  });
+});
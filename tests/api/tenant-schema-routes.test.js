@@ -0,0 +1,80 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { Hono } from "hono";
+
+const mockApply = vi.fn();
+const mockStatus = vi.fn();
+
+vi.mock("../../src/services/tenant-schema-upgrader.js", () => ({
+  TenantSchemaUpgrader: class MockTenantSchemaUpgrader {
+    constructor() {
+      this.apply = mockApply;
+      this.status = mockStatus;
+    }
+  },
+}));
+
+const { tenantSchemaRoutes } = await import("../../src/api/routes/tenant-schema.js");
+const { LATEST_TENANT_VERSION } = await import("../../src/lib/tenant-migrations.js");
+
+function createTestApp({ role = "admin" } = {}) {
+  const app = new Hono();
+  app.use("*", async (c, next) => {
+    c.set("apiKey", { role, scopes: [role] });
+    return next();
+  });
+  app.route("/api/v1/tenants/migrations", tenantSchemaRoutes);
+  return app;
+}
+
+const apply = (app, body) =>
+  app.request("/api/v1/tenants/migrations/apply", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  mockApply.mockResolvedValue({ mode: "execute", summary: { migrated: 1 }, tenants: [] });
+});
+
+describe("POST /api/v1/tenants/migrations/apply", () => {
+  it("requires admin scope", async () => {
+    const res = await apply(createTestApp({ role: "user" }), {});
+    expect(res.status).toBe(403);
+    expect(mockApply).not.toHaveBeenCalled();
+  });
+
+  it("fans out to the latest version by default", async () => {
+    const res = await apply(createTestApp(), {});
+    expect(res.status).toBe(200);
+    expect(mockApply).toHaveBeenCalledWith({ tenantId: undefined, targetVersion: undefined, dryRun: false });
+  });
+
+  it("requires allowDataLoss to roll tenants back, except on a dry run", async () => {
+    const app = createTestApp();
+    const target = LATEST_TENANT_VERSION - 1;
+
+    expect((await apply(app, { targetVersion: target })).status).toBe(400);
+    expect((await apply(app, { targetVersion: target, dryRun: true })).status).toBe(200);
+    expect((await apply(app, { targetVersion: target, allowDataLoss: true, tenantId: "org-a" })).status).toBe(200);
+    expect(mockApply).toHaveBeenLastCalledWith({ tenantId: "org-a", targetVersion: target, dryRun: false });
+
+    expect((await apply(app, { targetVersion: LATEST_TENANT_VERSION + 1 })).status).toBe(400);
+  });
+
+  it("maps unknown tenants to 404", async () => {
+    mockApply.mockRejectedValue(new Error("Tenant org-x not found"));
+    const res = await apply(createTestApp(), { tenantId: "org-x" });
+    expect(res.status).toBe(404);
+  });
+});
+
+describe("GET /api/v1/tenants/migrations/status", () => {
+  it("returns the version report", async () => {
+    mockStatus.mockResolvedValue({ latestVersion: 2, total: 1, behind: 0, byVersion: { 2: 1 }, tenants: [] });
+    const res = await createTestApp().request("/api/v1/tenants/migrations/status");
+    expect(res.status).toBe(200);
+    expect(await res.json()).toMatchObject({ latestVersion: 2, byVersion: { 2: 1 } });
+  });
+});
@@ -0,0 +1,68 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+
+const mockList = vi.fn();
+const mockGet = vi.fn();
+const mockReplay = vi.fn();
+vi.mock("../../src/handlers/webhook-outbox.js", async (importOriginal) => ({
+  ...(await importOriginal()),
+  listDeliveries: (...args) => mockList(...args),
+  getDelivery: (...args) => mockGet(...args),
+  replayDelivery: (...args) => mockReplay(...args),
+}));
+
+let keyInfo;
+vi.mock("../../src/api/middleware/auth.js", () => ({
+  authenticate: async (c, next) => {
+    c.set("apiKey", keyInfo);
+    return next();
+  },
+}));
+
+const { webhookRoutes } = await import("../../src/api/routes/webhooks.js");
+
+const env = { DB: {} };
+const tenantKey = { name: "org-a-ops", scopes: ["mcp:read"], metadata: { tenantId: "org-a" } };
+const adminKey = { name: "platform", scopes: ["admin"] };
+const request = (path, init) => webhookRoutes.request(path, init, env);
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  keyInfo = tenantKey;
+  mockList.mockResolvedValue([]);
+  mockGet.mockResolvedValue(null);
+  mockReplay.mockResolvedValue(null);
+});
+
+describe("webhook delivery routes", () => {
+  it("lists only the key's tenant's deliveries", async () => {
+    const res = await request("/linear/deliveries");
+    expect(res.status).toBe(200);
+    expect(mockList.mock.calls[0][2]).toMatchObject({ tenantId: "org-a" });
+  });
+
+  it("refuses another tenant's listing unless the key is an admin", async () => {
+    expect((await request("/linear/deliveries?tenantId=org-b")).status).toBe(403);
+    expect((await request("/linear/deliveries?tenantId=*")).status).toBe(403);
+    expect(mockList).not.toHaveBeenCalled();
+
+    keyInfo = adminKey;
+    expect((await request("/linear/deliveries?tenantId=*")).status).toBe(200);
+    expect(mockList.mock.calls[0][2].tenantId).toBeUndefined();
+  });
+
+  it("404s another tenant's delivery and replay", async () => {
+    expect((await request("/linear/deliveries/whd_1")).status).toBe(404);
+    expect(mockGet).toHaveBeenCalledWith(env, "linear", "whd_1", { tenantId: "org-a" });
+
+    const replay = await request("/linear/deliveries/whd_1/replay", { method: "POST" });
+    expect(replay.status).toBe(404);
+    expect(mockReplay).toHaveBeenCalledWith(env, "linear", "whd_1", { tenantId: "org-a" });
+  });
+
+  it("lets admins fetch any tenant's delivery", async () => {
+    keyInfo = adminKey;
+    mockGet.mockResolvedValue({ id: "whd_1", tenant_id: "org-b" });
+    expect((await request("/linear/deliveries/whd_1")).status).toBe(200);
+    expect(mockGet).toHaveBeenCalledWith(env, "linear", "whd_1", { tenantId: undefined });
+  });
+});
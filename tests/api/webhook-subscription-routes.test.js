@@ -0,0 +1,72 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { Hono } from "hono";
+
+const mockList = vi.fn();
+const mockGet = vi.fn();
+const mockCreate = vi.fn();
+const mockDelete = vi.fn();
+vi.mock("../../src/lib/webhook-registry.js", async (importOriginal) => ({
+  ...(await importOriginal()),
+  listSubscriptions: (...args) => mockList(...args),
+  getSubscription: (...args) => mockGet(...args),
+  createSubscription: (...args) => mockCreate(...args),
+  deleteSubscription: (...args) => mockDelete(...args),
+}));
+
+const { webhookSubscriptionRoutes } = await import("../../src/api/routes/webhook-subscriptions.js");
+
+function appFor(keyInfo) {
+  const app = new Hono();
+  app.use("*", async (c, next) => {
+    c.set("apiKey", keyInfo);
+    return next();
+  });
+  app.route("/api/v1/webhooks/subscriptions", webhookSubscriptionRoutes);
+  return app;
+}
+
+const env = { DB: {} };
+const tenantKey = { name: "org-a-ops", scopes: ["mcp:read"], metadata: { tenantId: "org-a" } };
+const adminKey = { name: "platform", scopes: ["admin"] };
+const request = (app, path, init) => app.request(`/api/v1/webhooks/subscriptions${path}`, init, env);
+const post = (app, body) =>
+  request(app, "", { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(body) });
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  mockList.mockResolvedValue([]);
+  mockCreate.mockImplementation(async (_env, input) => ({ subscription: { id: "whs_1", ...input }, signingSecret: "whsec_x" }));
+});
+
+describe("webhook subscription tenancy", () => {
+  it("lists the key's own tenant and keeps * for admins", async () => {
+    await request(appFor(tenantKey), "");
+    expect(mockList).toHaveBeenCalledWith(env, expect.objectContaining({ tenantId: "org-a" }));
+
+    expect((await request(appFor(tenantKey), "?tenantId=*")).status).toBe(403);
+    expect((await request(appFor(tenantKey), "?tenantId=org-b")).status).toBe(403);
+
+    expect((await request(appFor(adminKey), "?tenantId=*")).status).toBe(200);
+    expect(mockList).toHaveBeenLastCalledWith(env, expect.objectContaining({ tenantId: undefined }));
+  });
+
+  it("creates subscriptions for the key's tenant only", async () => {
+    const body = { source: "linear", name: "tasks", targetUrl: "https://tasks.example.com/hook" };
+    const res = await post(appFor(tenantKey), body);
+    expect(res.status).toBe(201);
+    expect(mockCreate.mock.calls[0][1].tenantId).toBe("org-a");
+
+    expect((await post(appFor(tenantKey), { ...body, tenantId: "org-b" })).status).toBe(403);
+    expect((await post(appFor(tenantKey), { ...body, targetUrl: "https://169.254.169.254/" })).status).toBe(400);
+    expect(mockCreate).toHaveBeenCalledTimes(1);
+  });
+
+  it("hides other tenants' subscriptions", async () => {
+    mockGet.mockResolvedValue({ id: "whs_b", tenantId: "org-b" });
+    expect((await request(appFor(tenantKey), "/whs_b")).status).toBe(404);
+    expect((await request(appFor(tenantKey), "/whs_b", { method: "DELETE" })).status).toBe(404);
+    expect(mockDelete).not.toHaveBeenCalled();
+
+    expect((await request(appFor(adminKey), "/whs_b")).status).toBe(200);
+  });
+});
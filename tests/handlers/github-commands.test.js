@@ -0,0 +1,216 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+
+vi.mock("../../src/github/checks.js", () => ({
+  createComplianceCheck: vi.fn(async () => ({})),
+}));
+
+vi.mock("../../src/github/labels.js", () => ({
+  addLabels: vi.fn(async () => []),
+  removeLabel: vi.fn(async () => {}),
+}));
+
+vi.mock("../../src/github/comments.js", async (importOriginal) => ({
+  ...(await importOriginal()),
+  summarizePullRequest: vi.fn(async () => {}),
+}));
+
+vi.mock("../../src/lib/credential-helper.js", () => ({
+  getServiceToken: vi.fn(async () => "svc-token"),
+}));
+
+vi.mock("../../src/mcp/tool-dispatcher.js", () => ({
+  dispatchToolCall: vi.fn(async () => ({
+    content: [{ type: "text", text: JSON.stringify({ id: "task-42" }) }],
+  })),
+}));
+
+const { parseCommands, handleCommentCommands } = await import("../../src/github/commands.js");
+const { mergeAutomationSettings } = await import("../../src/github/automation-settings.js");
+const { createComplianceCheck } = await import("../../src/github/checks.js");
+const { addLabels } = await import("../../src/github/labels.js");
+const { summarizePullRequest } = await import("../../src/github/comments.js");
+const { dispatchToolCall } = await import("../../src/mcp/tool-dispatcher.js");
+
+const repository = {
+  name: "chittyconnect",
+  full_name: "CHITTYOS/chittyconnect",
+  owner: { login: "CHITTYOS" },
+};
+
+const config = mergeAutomationSettings().issue_comment;
+
+let role;
+
+function payload(body, { pr = false, issueBody = "" } = {}) {
+  return {
+    action: "created",
+    repository,
+    comment: {
+      body,
+      user: { login: "dev", type: "User" },
+      html_url: "https://github.com/CHITTYOS/chittyconnect/issues/5#issuecomment-1",
+    },
+    issue: {
+      number: 5,
+      title: "Export broken",
+      body: issueBody,
+      html_url: "https://github.com/CHITTYOS/chittyconnect/issues/5",
+      ...(pr && { pull_request: { url: "https://api.github.com/repos/CHITTYOS/chittyconnect/pulls/5" } }),
+    },
+  };
+}
+
+function postedReply() {
+  const call = fetch.mock.calls.find(
+    ([url, init]) => url.endsWith("/issues/5/comments") && init?.method === "POST",
+  );
+  return call ? JSON.parse(call[1].body).body : null;
+}
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  role = "write";
+  vi.stubGlobal(
+    "fetch",
+    vi.fn(async (url, init = {}) => {
+      if (url.includes("/collaborators/")) {
+        return new Response(JSON.stringify({ role_name: role }), { status: 200 });
+      }
+      if (url.endsWith("/pulls/5")) {
+        return new Response(JSON.stringify({ number: 5, head: { sha: "abcdef1234" } }), {
+          status: 200,
+        });
+      }
+      if (url.endsWith("/assignees")) {
+        return new Response(JSON.stringify({ assignees: [{ login: "dev" }] }), { status: 201 });
+      }
+      if (url.startsWith("https://evidence.chitty.cc")) {
+        return new Response(JSON.stringify({ evidence_id: "ev-1" }), { status: 201 });
+      }
+      return new Response(JSON.stringify({ id: 1, method: init.method }), { status: 201 });
+    }),
+  );
+});
+
+describe("parseCommands", () => {
+  it("reads command lines with quoted args and skips fences and quotes", () => {
+    const body = [
+      "Thanks!",
+      '/chitty label add "needs review" bug',
+      "> /chitty assign me",
+      "```",
+      "/chitty rerun-checks",
+      "```",
+      "/chitty TASK --priority high fix it",
+    ].join("\n");
+    expect(parseCommands(body)).toEqual([
+      { name: "label", args: ["add", "needs review", "bug"], raw: '/chitty label add "needs review" bug' },
+      { name: "task", args: ["--priority", "high", "fix", "it"], raw: "/chitty TASK --priority high fix it" },
+    ]);
+    expect(parseCommands("please /chitty summarize")).toEqual([]);
+  });
+});
+
+describe("handleCommentCommands", () => {
+  it("runs a command and replies with the result", async () => {
+    await handleCommentCommands({}, "ghs_test", payload('/chitty label add "needs review"'), config);
+    expect(addLabels).toHaveBeenCalledWith("ghs_test", "CHITTYOS", "chittyconnect", 5, ["needs review"]);
+    expect(postedReply()).toContain('> /chitty label add "needs review"');
+    expect(postedReply()).toContain("Added `needs review`.");
+  });
+
+  it("rejects commands above the commenter's role", async () => {
+    role = "read";
+    await handleCommentCommands({}, "ghs_test", payload("/chitty rerun-checks", { pr: true }), config);
+    expect(createComplianceCheck).not.toHaveBeenCalled();
+    expect(postedReply()).toContain("needs the **write** role");
+  });
+
+  it("treats non-collaborators as having no role", async () => {
+    fetch.mockImplementationOnce(async () => new Response("Not Found", { status: 404 }));
+    await handleCommentCommands({}, "ghs_test", payload("/chitty label add bug"), config);
+    expect(addLabels).not.toHaveBeenCalled();
+    expect(postedReply()).toContain("(current: none)");
+  });
+
+  it("replies with usage for bad arguments and unknown commands", async () => {
+    await handleCommentCommands(
+      {},
+      "ghs_test",
+      payload("/chitty label bug\n/chitty deploy\n/chitty task --priority urgent x"),
+      config,
+    );
+    const reply = postedReply();
+    expect(reply).toContain("Usage: `/chitty label add|remove <label> [<label> ...]`");
+    expect(reply).toContain("Unknown command `deploy`");
+    expect(reply).toContain("Priority must be one of low, normal, high, critical.");
+    expect(addLabels).not.toHaveBeenCalled();
+    expect(dispatchToolCall).not.toHaveBeenCalled();
+  });
+
+  it("re-runs checks on the PR head and refreshes summaries without a reply", async () => {
+    await handleCommentCommands({}, "ghs_test", payload("/chitty rerun-checks", { pr: true }), config);
+    expect(createComplianceCheck).toHaveBeenCalledWith(
+      "ghs_test",
+      "CHITTYOS",
+      "chittyconnect",
+      "abcdef1234",
+      expect.objectContaining({ summary: expect.stringContaining("@dev") }),
+    );
+    expect(postedReply()).toContain("Re-ran checks on `abcdef1`.");
+
+    fetch.mockClear();
+    await handleCommentCommands({}, "ghs_test", payload("/chitty summarize", { pr: true }), config);
+    expect(summarizePullRequest).toHaveBeenCalled();
+    expect(postedReply()).toBeNull();
+  });
+
+  it("rejects PR-only commands on issues", async () => {
+    await handleCommentCommands({}, "ghs_test", payload("/chitty rerun-checks"), config);
+    expect(postedReply()).toContain("only works on pull requests");
+  });
+
+  it("submits evidence to the case referenced by the issue", async () => {
+    await handleCommentCommands(
+      {},
+      "ghs_test",
+      payload("/chitty evidence https://files.example/receipt.pdf", { issueBody: "case: CASE-2026-0042" }),
+      config,
+    );
+    const [, init] = fetch.mock.calls.find(([url]) => url === "https://evidence.chitty.cc/v1/ingest");
+    expect(init.headers.Authorization).toBe("Bearer svc-token");
+    expect(JSON.parse(init.body)).toMatchObject({
+      caseId: "CASE-2026-0042",
+      url: "https://files.example/receipt.pdf",
+      metadata: { submittedBy: "dev" },
+    });
+    expect(postedReply()).toContain("Submitted to case `CASE-2026-0042` as evidence `ev-1`.");
+  });
+
+  it("opens a task with the configured agent", async () => {
+    await handleCommentCommands(
+      { DB: {} },
+      "ghs_test",
+      payload("/chitty task --priority high Investigate export crash"),
+      config,
+    );
+    expect(dispatchToolCall).toHaveBeenCalledWith(
+      "chitty_task_create",
+      expect.objectContaining({
+        title: "Investigate export crash",
+        assigned_agent: "chittyagent-github",
+        priority: "high",
+      }),
+      { DB: {} },
+    );
+    expect(postedReply()).toContain("Opened task `task-42`: Investigate export crash");
+  });
+
+  it("treats disabled commands as unknown", async () => {
+    const disabled = mergeAutomationSettings({ issue_comment: { disabled_commands: ["label"] } })
+      .issue_comment;
+    await handleCommentCommands({}, "ghs_test", payload("/chitty label add bug"), disabled);
+    expect(addLabels).not.toHaveBeenCalled();
+    expect(postedReply()).toContain("Unknown command `label`");
+  });
+});
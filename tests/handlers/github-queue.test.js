@@ -0,0 +1,210 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+
+vi.mock("../../src/auth/github.js", () => ({
+  getCachedInstallationToken: vi.fn(async () => "ghs_test"),
+}));
+
+vi.mock("../../src/github/checks.js", () => ({
+  createComplianceCheck: vi.fn(async () => ({})),
+}));
+
+vi.mock("../../src/github/labels.js", () => ({
+  autoLabelPullRequest: vi.fn(async () => []),
+  autoLabelIssue: vi.fn(async () => ["type/bug"]),
+  addLabels: vi.fn(async () => []),
+  removeLabel: vi.fn(async () => {}),
+}));
+
+vi.mock("../../src/github/comments.js", async (importOriginal) => ({
+  ...(await importOriginal()),
+  summarizePullRequest: vi.fn(async () => {}),
+  upsertMarkedComment: vi.fn(async () => {}),
+  fetchPullRequestReviews: vi.fn(async () => []),
+}));
+
+vi.mock("../../src/lib/credential-helper.js", () => ({
+  getServiceToken: vi.fn(async () => "svc-token"),
+}));
+
+vi.mock("../../src/mcp/tool-dispatcher.js", () => ({
+  dispatchToolCall: vi.fn(async () => ({ content: [{ type: "text", text: "{}" }] })),
+}));
+
+const { runAutomations } = await import("../../src/handlers/queue.js");
+const { createComplianceCheck } = await import("../../src/github/checks.js");
+const { autoLabelIssue, addLabels, removeLabel } = await import("../../src/github/labels.js");
+const { summarizePullRequest, upsertMarkedComment, fetchPullRequestReviews } = await import(
+  "../../src/github/comments.js"
+);
+const { dispatchToolCall } = await import("../../src/mcp/tool-dispatcher.js");
+
+const repository = {
+  name: "chittyconnect",
+  full_name: "CHITTYOS/chittyconnect",
+  owner: { login: "CHITTYOS" },
+};
+
+function envWith(automations) {
+  return {
+    CHITTYCHRONICLE_SERVICE_URL: "https://chronicle.test",
+    DB: {
+      prepare: () => ({
+        bind: () => ({
+          first: async () => (automations ? { automations: JSON.stringify(automations) } : null),
+        }),
+      }),
+    },
+  };
+}
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  vi.stubGlobal(
+    "fetch",
+    vi.fn(async () => new Response(JSON.stringify({ number: 7, title: "PR" }), { status: 200 })),
+  );
+});
+
+describe("runAutomations", () => {
+  it("re-runs the compliance check when a check suite is re-requested", async () => {
+    await runAutomations(
+      envWith(),
+      "check_suite",
+      { action: "rerequested", check_suite: { head_sha: "abc123" }, repository, sender: { login: "dev" } },
+      1,
+    );
+    expect(createComplianceCheck).toHaveBeenCalledWith(
+      "ghs_test",
+      "CHITTYOS",
+      "chittyconnect",
+      "abc123",
+      expect.objectContaining({ summary: expect.stringContaining("@dev") }),
+    );
+  });
+
+  it("labels approved PRs and refreshes the summary with reviews", async () => {
+    fetchPullRequestReviews.mockResolvedValue([
+      { user: { login: "a" }, state: "CHANGES_REQUESTED" },
+      { user: { login: "a" }, state: "APPROVED" },
+      { user: { login: "a" }, state: "COMMENTED" },
+    ]);
+    await runAutomations(
+      envWith(),
+      "pull_request_review",
+      { action: "submitted", pull_request: { number: 7, url: "https://api.github.test/pr/7" }, repository },
+      1,
+    );
+    expect(addLabels).toHaveBeenCalledWith("ghs_test", "CHITTYOS", "chittyconnect", 7, ["review/approved"]);
+    expect(removeLabel).toHaveBeenCalledWith(
+      "ghs_test",
+      "CHITTYOS",
+      "chittyconnect",
+      7,
+      "review/changes-requested",
+    );
+    expect(summarizePullRequest).toHaveBeenCalledWith(
+      "ghs_test",
+      "CHITTYOS",
+      "chittyconnect",
+      7,
+      expect.objectContaining({ number: 7 }),
+      { reviews: expect.any(Array) },
+    );
+  });
+
+  it("auto-labels issues and links referenced ChittyCases", async () => {
+    const issue = {
+      number: 3,
+      title: "Crash when exporting",
+      body: "Related to case: CASE-2026-0042",
+      html_url: "https://github.com/CHITTYOS/chittyconnect/issues/3",
+    };
+    await runAutomations(envWith(), "issues", { action: "opened", issue, repository }, 1);
+
+    expect(autoLabelIssue).toHaveBeenCalledWith("ghs_test", "CHITTYOS", "chittyconnect", 3, issue, []);
+    const [url, init] = fetch.mock.calls[0];
+    expect(url).toBe("https://cases.chitty.cc/api/cases/CASE-2026-0042/links");
+    expect(JSON.parse(init.body)).toMatchObject({ type: "github_issue", number: 3 });
+    expect(addLabels).toHaveBeenCalledWith("ghs_test", "CHITTYOS", "chittyconnect", 3, ["chittycase"]);
+    expect(upsertMarkedComment).toHaveBeenCalled();
+  });
+
+  it("does not link a case from ordinary prose", async () => {
+    const issue = {
+      number: 4,
+      title: "Export hangs",
+      body: "Retry in case the upload stalls",
+      html_url: "https://github.com/CHITTYOS/chittyconnect/issues/4",
+    };
+    await runAutomations(envWith(), "issues", { action: "opened", issue, repository }, 1);
+
+    expect(autoLabelIssue).toHaveBeenCalled();
+    expect(fetch).not.toHaveBeenCalled();
+    expect(addLabels).not.toHaveBeenCalled();
+  });
+
+  it("logs releases to the chronicle", async () => {
+    await runAutomations(
+      envWith(),
+      "release",
+      { action: "published", release: { tag_name: "v2.1.0", html_url: "https://x" }, repository },
+      1,
+    );
+    const [url, init] = fetch.mock.calls[0];
+    expect(url).toBe("https://chronicle.test/events");
+    expect(JSON.parse(init.body)).toMatchObject({
+      event_type: "github.release.published",
+      data: { repository: "CHITTYOS/chittyconnect", tag: "v2.1.0" },
+    });
+  });
+
+  it("opens a tracking task for failed workflow runs on tracked branches", async () => {
+    const run = {
+      id: 99,
+      name: "CI",
+      run_number: 12,
+      head_branch: "main",
+      head_sha: "def456",
+      conclusion: "failure",
+      html_url: "https://github.com/run/99",
+    };
+    const env = envWith({ workflow_run: { branches: ["main"], assigned_agent: "chittyagent-ci" } });
+
+    await runAutomations(env, "workflow_run", { action: "completed", workflow_run: run, repository }, 1);
+    expect(dispatchToolCall).toHaveBeenCalledWith(
+      "chitty_task_create",
+      expect.objectContaining({
+        task_type: "ci_failure",
+        assigned_agent: "chittyagent-ci",
+        priority: "high",
+        payload: expect.objectContaining({ run_id: 99, head_sha: "def456" }),
+      }),
+      env,
+    );
+
+    dispatchToolCall.mockClear();
+    await runAutomations(
+      env,
+      "workflow_run",
+      { action: "completed", workflow_run: { ...run, head_branch: "feature/x" }, repository },
+      1,
+    );
+    await runAutomations(
+      env,
+      "workflow_run",
+      { action: "completed", workflow_run: { ...run, conclusion: "success" }, repository },
+      1,
+    );
+    expect(dispatchToolCall).not.toHaveBeenCalled();
+  });
+
+  it("skips handlers disabled for the installation", async () => {
+    await runAutomations(
+      envWith({ check_rerun: { enabled: false } }),
+      "check_run",
+      { action: "rerequested", check_run: { head_sha: "abc" }, repository },
+      1,
+    );
+    expect(createComplianceCheck).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,286 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import {
+  computeBackoffMs,
+  enqueueDelivery,
+  attemptDelivery,
+  processDueDeliveries,
+  replayDelivery,
+  listDeliveries,
+  deliveryListWindow,
+  MAX_ATTEMPTS,
+} from "../../src/handlers/webhook-outbox.js";
+
+const mockFetch = vi.fn();
+vi.stubGlobal("fetch", mockFetch);
+
+/**
+ * Minimal D1 stand-in: records every statement and lets tests script
+ * first()/all()/run() results by SQL substring.
+ */
+function createDb({ first = {}, all = {}, changes = 1 } = {}) {
+  const statements = [];
+  const prepare = vi.fn((sql) => {
+    const stmt = {
+      sql,
+      params: [],
+      bind: vi.fn((...params) => {
+        stmt.params = params;
+        return stmt;
+      }),
+      run: vi.fn(async () => ({ success: true, meta: { changes } })),
+      first: vi.fn(async () => {
+        const key = Object.keys(first).find((k) => sql.includes(k));
+        return key ? first[key] : null;
+      }),
+      all: vi.fn(async () => {
+        const key = Object.keys(all).find((k) => sql.includes(k));
+        return { results: key ? all[key] : [] };
+      }),
+    };
+    statements.push(stmt);
+    return stmt;
+  });
+  return {
+    prepare,
+    batch: vi.fn(async (stmts) => stmts.map(() => ({ success: true }))),
+    statements,
+  };
+}
+
+function makeDelivery(overrides = {}) {
+  return {
+    id: "whd_1",
+    source: "linear",
+    target: "agent",
+    target_url: "https://tasks.chitty.cc/api/v1/webhook/linear",
+    event_type: "Issue",
+    payload: JSON.stringify({ action: "update" }),
+    received_at: "2026-01-01T00:00:00.000Z",
+    status: "pending",
+    attempts: 0,
+    max_attempts: MAX_ATTEMPTS,
+    replay_count: 0,
+    ...overrides,
+  };
+}
+
+beforeEach(() => {
+  vi.clearAllMocks();
+});
+
+describe("computeBackoffMs", () => {
+  it("doubles per attempt and caps at six hours", () => {
+    expect(computeBackoffMs(1)).toBe(30_000);
+    expect(computeBackoffMs(2)).toBe(60_000);
+    expect(computeBackoffMs(4)).toBe(240_000);
+    expect(computeBackoffMs(20)).toBe(6 * 60 * 60 * 1000);
+  });
+});
+
+describe("enqueueDelivery", () => {
+  it("persists the delivery before any attempt", async () => {
+    const DB = createDb();
+    const delivery = await enqueueDelivery(
+      { DB },
+      {
+        source: "notion",
+        target: "agent",
+        url: "https://notion-ops.chitty.cc/webhook",
+        eventType: "page.updated",
+        payload: { type: "page.updated" },
+        receivedAt: "2026-01-01T00:00:00.000Z",
+      },
+    );
+    expect(delivery.id).toMatch(/^whd_/);
+    expect(delivery.persisted).toBe(true);
+    const insert = DB.statements.find((s) => s.sql.includes("INSERT INTO webhook_deliveries"));
+    expect(insert.params).toContain("notion");
+    expect(insert.params).toContain(JSON.stringify({ type: "page.updated" }));
+  });
+
+  it("returns an unpersisted delivery when DB is not bound", async () => {
+    const delivery = await enqueueDelivery(
+      {},
+      { source: "notion", target: "agent", url: "https://x", payload: {}, receivedAt: "t" },
+    );
+    expect(delivery.persisted).toBe(false);
+  });
+});
+
+describe("attemptDelivery", () => {
+  it("marks the delivery delivered on 2xx and records the attempt", async () => {
+    const DB = createDb();
+    mockFetch.mockResolvedValue({ ok: true, status: 200, json: async () => ({ ok: 1 }) });
+
+    const outcome = await attemptDelivery({ DB, INTERNAL_WEBHOOK_SECRET: "s" }, makeDelivery());
+
+    expect(outcome).toMatchObject({ delivered: true, status: "delivered", statusCode: 200 });
+    const [, init] = mockFetch.mock.calls[0];
+    expect(init.headers["X-Webhook-Delivery"]).toBe("whd_1");
+    expect(init.headers["X-Webhook-Secret"]).toBe("s");
+    expect(init.body).toBe(JSON.stringify({ action: "update" }));
+    expect(DB.batch).toHaveBeenCalledOnce();
+  });
+
+  it("signs registry deliveries with the subscription secret", async () => {
+    const DB = createDb({ first: { signing_secret: { signing_secret: "whsec_test" } } });
+    mockFetch.mockResolvedValue({ ok: true, status: 200, json: async () => ({}) });
+
+    const delivery = makeDelivery({ subscription_id: "whs_a", tenant_id: "acme" });
+    await attemptDelivery({ DB }, delivery);
+
+    const [, init] = mockFetch.mock.calls[0];
+    expect(init.headers["X-ChittyOS-Tenant"]).toBe("acme");
+    expect(init.headers["X-Webhook-Signature"]).toMatch(/^sha256=[0-9a-f]{64}$/);
+    const { verifyWebhookSignature } = await import("../../src/auth/webhook.js");
+    expect(
+      await verifyWebhookSignature(
+        new TextEncoder().encode(delivery.payload),
+        init.headers["X-Webhook-Signature"],
+        "whsec_test",
+      ),
+    ).toBe(true);
+  });
+
+  it("schedules a retry with backoff on network failure", async () => {
+    const DB = createDb();
+    mockFetch.mockRejectedValue(new Error("connect ECONNREFUSED"));
+
+    const before = Date.now();
+    const delivery = makeDelivery();
+    const outcome = await attemptDelivery({ DB }, delivery);
+
+    expect(outcome).toMatchObject({ delivered: false, status: "failed", statusCode: null });
+    expect(delivery.attempts).toBe(1);
+    expect(Date.parse(delivery.next_attempt_at)).toBeGreaterThanOrEqual(before + 30_000);
+  });
+
+  it("dead-letters permanent 4xx responses immediately", async () => {
+    const DB = createDb();
+    mockFetch.mockResolvedValue({ ok: false, status: 410, json: async () => ({}) });
+
+    const outcome = await attemptDelivery({ DB }, makeDelivery());
+    expect(outcome.status).toBe("dead");
+  });
+
+  it("retries 429 responses", async () => {
+    const DB = createDb();
+    mockFetch.mockResolvedValue({ ok: false, status: 429, json: async () => ({}) });
+
+    const outcome = await attemptDelivery({ DB }, makeDelivery());
+    expect(outcome.status).toBe("failed");
+  });
+
+  it("dead-letters once max attempts are exhausted", async () => {
+    const DB = createDb();
+    mockFetch.mockResolvedValue({ ok: false, status: 503, json: async () => ({}) });
+
+    const outcome = await attemptDelivery(
+      { DB },
+      makeDelivery({ attempts: MAX_ATTEMPTS - 1, status: "failed" }),
+    );
+    expect(outcome.status).toBe("dead");
+  });
+
+  it("skips deliveries another worker has leased", async () => {
+    const DB = createDb({ changes: 0 });
+    const outcome = await attemptDelivery({ DB }, makeDelivery());
+    expect(outcome.error).toBe("delivery_locked");
+    expect(mockFetch).not.toHaveBeenCalled();
+  });
+});
+
+describe("processDueDeliveries", () => {
+  it("retries due deliveries and summarizes outcomes", async () => {
+    const DB = createDb({
+      all: {
+        "FROM webhook_deliveries": [
+          makeDelivery({ id: "whd_a", status: "failed", attempts: 1 }),
+          makeDelivery({ id: "whd_b", status: "failed", attempts: 2 }),
+        ],
+      },
+    });
+    mockFetch
+      .mockResolvedValueOnce({ ok: true, status: 200, json: async () => ({}) })
+      .mockRejectedValueOnce(new Error("timeout"));
+
+    const summary = await processDueDeliveries({ DB });
+    expect(summary).toEqual({ attempted: 2, delivered: 1, retrying: 1, dead: 0 });
+  });
+
+  it("is a no-op without a DB binding", async () => {
+    expect(await processDueDeliveries({})).toEqual({
+      attempted: 0,
+      delivered: 0,
+      retrying: 0,
+      dead: 0,
+    });
+  });
+});
+
+describe("replayDelivery", () => {
+  it("re-arms a dead delivery and attempts it immediately", async () => {
+    const DB = createDb({
+      first: {
+        "FROM webhook_deliveries": makeDelivery({ status: "dead", attempts: 8 }),
+      },
+    });
+    mockFetch.mockResolvedValue({ ok: true, status: 202, json: async () => ({}) });
+
+    const replay = await replayDelivery({ DB }, "linear", "whd_1");
+    expect(replay.outcome).toMatchObject({ delivered: true, status: "delivered" });
+    expect(replay.delivery.replay_count).toBe(1);
+    expect(replay.delivery.payload).toBeUndefined();
+    const rearm = DB.statements.find((s) => s.sql.includes("replay_count = replay_count + 1"));
+    expect(rearm.sql).toContain("locked_until IS NULL OR locked_until < ?");
+    expect(Date.parse(rearm.params[1])).toBeGreaterThan(Date.now());
+    // The re-arm took the lease; the attempt does not claim it again
+    expect(DB.statements.some((s) => s.sql.includes("SET locked_until = ?"))).toBe(false);
+  });
+
+  it("leaves a delivery alone while another attempt holds its lease", async () => {
+    const DB = createDb({
+      first: { "FROM webhook_deliveries": makeDelivery({ status: "failed", attempts: 3 }) },
+      changes: 0,
+    });
+
+    const replay = await replayDelivery({ DB }, "linear", "whd_1");
+    expect(replay.outcome).toMatchObject({ delivered: false, status: "failed", error: "delivery_locked" });
+    expect(replay.delivery.payload).toBeUndefined();
+    expect(mockFetch).not.toHaveBeenCalled();
+    expect(DB.batch).not.toHaveBeenCalled();
+  });
+
+  it("returns null for unknown deliveries", async () => {
+    const DB = createDb();
+    expect(await replayDelivery({ DB }, "linear", "missing")).toBeNull();
+  });
+
+  it("looks the delivery up within the caller's tenant", async () => {
+    const DB = createDb();
+    expect(await replayDelivery({ DB }, "linear", "whd_1", { tenantId: "acme" })).toBeNull();
+    expect(DB.statements[0].sql).toContain("AND tenant_id = ?");
+    expect(DB.statements[0].params).toEqual(["whd_1", "linear", "acme"]);
+    expect(DB.statements).toHaveLength(1);
+  });
+});
+
+describe("listDeliveries", () => {
+  it("parses and clamps limit and offset", async () => {
+    expect(deliveryListWindow({ limit: "abc", offset: "-5" })).toEqual({ limit: 50, offset: 0 });
+    expect(deliveryListWindow({ limit: "1000", offset: "20" })).toEqual({ limit: 200, offset: 20 });
+    expect(deliveryListWindow({ limit: 0 })).toEqual({ limit: 1, offset: 0 });
+    expect(deliveryListWindow()).toEqual({ limit: 50, offset: 0 });
+
+    const DB = createDb();
+    await listDeliveries({ DB }, "linear", { status: "dead", limit: "NaN", offset: "x" });
+    expect(DB.statements[0].params).toEqual(["linear", "dead", 50, 0]);
+  });
+
+  it("filters by tenant when one is given", async () => {
+    const DB = createDb();
+    await listDeliveries({ DB }, "linear", { tenantId: "acme" });
+    expect(DB.statements[0].sql).toContain("AND tenant_id = ?");
+    expect(DB.statements[0].params).toEqual(["linear", "acme", 50, 0]);
+  });
+});
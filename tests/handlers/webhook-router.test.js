@@ -0,0 +1,142 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+
+vi.mock("../../src/handlers/webhook-outbox.js", () => ({
+  enqueueDelivery: vi.fn(async (_env, params) => ({ id: `whd_${params.target}`, ...params })),
+  attemptDelivery: vi.fn(async () => ({
+    delivered: true,
+    status: "delivered",
+    statusCode: 200,
+    result: { ok: true },
+    error: null,
+  })),
+}));
+
+vi.mock("../../src/lib/webhook-registry.js", async (importOriginal) => ({
+  ...(await importOriginal()),
+  resolveSubscriptions: vi.fn(),
+  listSubscriptions: vi.fn(),
+}));
+
+import {
+  routeWebhook,
+  getConfiguredAgents,
+  validateWebhookSignature,
+} from "../../src/handlers/webhook-router.js";
+import { signHmac } from "../../src/auth/webhook.js";
+import { enqueueDelivery } from "../../src/handlers/webhook-outbox.js";
+import { resolveSubscriptions, listSubscriptions } from "../../src/lib/webhook-registry.js";
+
+const env = { DB: {} };
+
+beforeEach(() => {
+  vi.clearAllMocks();
+});
+
+describe("routeWebhook", () => {
+  it("fans out to every matching registry subscription", async () => {
+    resolveSubscriptions.mockResolvedValue([
+      { id: "whs_a", name: "tasks", targetUrl: "https://tasks.example/hook" },
+      { id: "whs_b", name: "audit", targetUrl: "https://audit.example/hook" },
+    ]);
+
+    const result = await routeWebhook("stripe", { type: "invoice.paid" }, env, {
+      tenantId: "acme",
+    });
+
+    expect(resolveSubscriptions).toHaveBeenCalledWith(env, {
+      tenantId: "acme",
+      source: "stripe",
+      payload: { type: "invoice.paid" },
+    });
+    expect(result.routed).toBe(true);
+    expect(result.deliveries.map((d) => d.subscription_id)).toEqual(["whs_a", "whs_b"]);
+    expect(enqueueDelivery).toHaveBeenCalledWith(
+      env,
+      expect.objectContaining({ subscriptionId: "whs_a", tenantId: "acme", eventType: "invoice.paid" }),
+    );
+    expect(result.agent).toBe("https://tasks.example/hook");
+  });
+
+  it("reports no_agent_configured when no subscription matches", async () => {
+    resolveSubscriptions.mockResolvedValue([]);
+    const result = await routeWebhook("stripe", { type: "invoice.paid" }, env);
+    expect(result).toMatchObject({ routed: false, reason: "no_agent_configured" });
+    expect(enqueueDelivery).not.toHaveBeenCalled();
+  });
+
+  it("falls back to the built-in agents when the registry is unavailable", async () => {
+    resolveSubscriptions.mockResolvedValue(null);
+    const result = await routeWebhook("notion", { type: "page.updated" }, env);
+    expect(result.agent).toBe("https://notion-ops.chitty.cc/webhook");
+  });
+
+  it("keeps github handled internally by default", async () => {
+    resolveSubscriptions.mockResolvedValue(null);
+    const result = await routeWebhook("github", { action: "closed" }, env);
+    expect(result.reason).toBe("handled_internally");
+  });
+});
+
+describe("getConfiguredAgents", () => {
+  it("lists active subscriptions for the tenant", async () => {
+    listSubscriptions.mockResolvedValue([
+      { id: "whs_a", source: "linear", name: "tasks", targetUrl: "https://t", eventTypes: ["Issue.*"], signed: true },
+    ]);
+    const agents = await getConfiguredAgents(env, { tenantId: "acme" });
+    expect(listSubscriptions).toHaveBeenCalledWith(env, { tenantId: "acme", status: "active" });
+    expect(agents).toEqual([
+      { source: "linear", url: "https://t", name: "tasks", subscription_id: "whs_a", event_types: ["Issue.*"], signed: true },
+    ]);
+  });
+
+  it("falls back to the built-in map without a DB", async () => {
+    const agents = await getConfiguredAgents({});
+    expect(agents.map((a) => a.source)).toContain("linear");
+    expect(agents.map((a) => a.source)).not.toContain("github");
+  });
+});
+
+describe("validateWebhookSignature", () => {
+  const body = JSON.stringify({ type: "Issue", action: "create" });
+  const request = (headers = {}) =>
+    new Request("https://connect.chitty.cc/webhooks/linear", { method: "POST", body, headers });
+  const secrets = {
+    LINEAR_WEBHOOK_SECRET: "platform-secret",
+    WEBHOOK_TENANT_SECRETS: JSON.stringify({ "org-a": { linear: "org-a-secret" } }),
+  };
+
+  it("refuses unsigned webhooks from a source that has a secret", async () => {
+    const result = await validateWebhookSignature("linear", request(), secrets);
+    expect(result).toMatchObject({ valid: false, reason: "signature_required" });
+    expect(result.tenantId).toBeUndefined();
+  });
+
+  it("only accepts unsigned webhooks for the default tenant of unconfigured sources", async () => {
+    const result = await validateWebhookSignature("linear", request(), {});
+    expect(result).toEqual({ valid: true, signed: false, tenantId: "chittyos-default" });
+  });
+
+  it("takes the tenant from the secret that verified the signature", async () => {
+    const enc = new TextEncoder().encode(body);
+    const tenant = await validateWebhookSignature(
+      "linear",
+      request({ "X-Linear-Signature": await signHmac("org-a-secret", enc) }),
+      secrets,
+    );
+    expect(tenant).toMatchObject({ valid: true, verified: true, tenantId: "org-a" });
+
+    const platform = await validateWebhookSignature(
+      "linear",
+      request({ "X-Linear-Signature": await signHmac("platform-secret", enc) }),
+      secrets,
+    );
+    expect(platform.tenantId).toBe("chittyos-default");
+
+    const forged = await validateWebhookSignature(
+      "linear",
+      request({ "X-Linear-Signature": await signHmac("guess", enc) }),
+      secrets,
+    );
+    expect(forged).toMatchObject({ valid: false, reason: "signature_mismatch" });
+  });
+});
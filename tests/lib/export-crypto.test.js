@@ -0,0 +1,102 @@
+import { describe, it, expect, beforeAll } from "vitest";
+import * as jose from "jose";
+import {
+  importRecipientKey,
+  generateAgeIdentity,
+  createFileEncryptor,
+  decryptFile,
+  signManifest,
+  exportSigningJwks,
+  CHUNK_SIZE,
+} from "../../src/lib/export-crypto.js";
+
+async function encryptAll(recipient, bytes, step = 10_000) {
+  const encryptor = await createFileEncryptor(recipient);
+  const chunks = [];
+  for (let i = 0; i < bytes.length; i += step) {
+    chunks.push(...(await encryptor.push(bytes.subarray(i, i + step))));
+  }
+  chunks.push(await encryptor.finish());
+  return new Uint8Array(Buffer.concat(chunks));
+}
+
+let age;
+beforeAll(async () => {
+  age = await generateAgeIdentity();
+});
+
+describe("age encryption", () => {
+  it("round-trips a multi-chunk file in the age v1 format", async () => {
+    const recipient = await importRecipientKey(age.recipient);
+    expect(recipient.recipient).toBe(age.recipient);
+
+    const data = Uint8Array.from({ length: CHUNK_SIZE * 2 + 1234 }, (_, i) => (i * 31) % 251);
+    const ciphertext = await encryptAll(recipient, data);
+    const lines = new TextDecoder().decode(ciphertext.subarray(0, 200)).split("\n");
+    expect(lines[0]).toBe("age-encryption.org/v1");
+    expect(lines[1]).toMatch(/^-> X25519 [A-Za-z0-9+/]{43}$/);
+    expect(lines[3]).toMatch(/^--- [A-Za-z0-9+/]{43}$/);
+
+    const plaintext = await decryptFile(ciphertext, `# created: 2026-10-19\n# public key: ${age.recipient}\n${age.identity}\n`);
+    expect(Buffer.from(plaintext).equals(Buffer.from(data))).toBe(true);
+  });
+
+  it("rejects truncated files, tampered headers and other identities", async () => {
+    const recipient = await importRecipientKey(age.recipient);
+    const ciphertext = await encryptAll(recipient, new Uint8Array(CHUNK_SIZE + 10).fill(7));
+
+    // Dropping the final chunk leaves a complete, but non-final, chunk
+    await expect(decryptFile(ciphertext.subarray(0, ciphertext.length - 26), age.identity)).rejects.toThrow(
+      "Chunk 0 failed to decrypt",
+    );
+
+    // An extra stanza is not covered by the header MAC
+    const text = Buffer.from(ciphertext).toString("latin1").replace("\n--- ", "\n-> grease\n\n--- ");
+    await expect(decryptFile(new Uint8Array(Buffer.from(text, "latin1")), age.identity)).rejects.toThrow(
+      "header MAC does not match",
+    );
+
+    const other = await generateAgeIdentity();
+    await expect(decryptFile(ciphertext, other.identity)).rejects.toThrow("No recipient stanza");
+  });
+
+  it("accepts X25519 JWKs and refuses private, malformed or non-X25519 keys", async () => {
+    const pair = await jose.generateKeyPair("ECDH-ES+A256KW", { crv: "X25519", extractable: true });
+    const fromJwk = await importRecipientKey(await jose.exportJWK(pair.publicKey));
+    expect(fromJwk.recipient).toMatch(/^age1[02-9ac-hj-np-z]{58}$/);
+    expect((await importRecipientKey(fromJwk.recipient)).publicKey).toEqual(fromJwk.publicKey);
+
+    await expect(importRecipientKey(await jose.exportJWK(pair.privateKey))).rejects.toThrow(
+      "recipientKey must be a public key",
+    );
+    await expect(importRecipientKey("{not json")).rejects.toThrow("recipientKey is not valid JSON");
+    await expect(importRecipientKey(`${age.recipient.slice(0, -1)}q`)).rejects.toThrow("bech32 checksum");
+
+    const rsa = await jose.generateKeyPair("RSA-OAEP-256", { extractable: true });
+    await expect(importRecipientKey(await jose.exportSPKI(rsa.publicKey))).rejects.toThrow(
+      "recipientKey must be an age X25519 recipient",
+    );
+  });
+});
+
+describe("manifest signing", () => {
+  it("signs detached and verifies against the published JWKS", async () => {
+    const { privateKey } = await jose.generateKeyPair("EdDSA", { extractable: true });
+    const env = { EXPORT_SIGNING_JWK: JSON.stringify({ ...(await jose.exportJWK(privateKey)), kid: "export-2026" }) };
+    const manifest = new TextEncoder().encode('{"format":"chitty-tenant-export/v1"}');
+
+    const { signature, kid } = await signManifest(env, manifest);
+    expect(kid).toBe("export-2026");
+
+    const jwks = await exportSigningJwks(env);
+    expect(jwks.keys[0].d).toBeUndefined();
+    const [header, , sig] = signature.split(".");
+    const { payload } = await jose.compactVerify(
+      `${header}.${jose.base64url.encode(manifest)}.${sig}`,
+      jose.createLocalJWKSet(jwks),
+    );
+    expect(new TextDecoder().decode(payload)).toContain("chitty-tenant-export/v1");
+
+    await expect(signManifest({}, manifest)).rejects.toThrow("not configured");
+  });
+});
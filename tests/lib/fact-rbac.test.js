@@ -1,6 +1,12 @@
 // tests/lib/fact-rbac.test.js
 import { describe, it, expect, vi, beforeEach } from "vitest";
-import { checkFactPermission, FACT_ACTIONS } from "../../src/lib/fact-rbac.js";
+import {
+  checkFactPermission,
+  createDelegation,
+  explainFactPermissions,
+  FACT_ACTIONS,
+  MAX_DELEGATION_SECONDS,
+} from "../../src/lib/fact-rbac.js";
 
 vi.mock("../../src/lib/trust-resolver.js", () => ({
   resolveTrustLevel: vi.fn(),
@@ -77,3 +83,153 @@ describe("checkFactPermission", () => {
     expect(result.action).toBe("dispute");
   });
 });
+
+describe("data-driven policies and delegations", () => {
+  const AUTHORITY = "01-A-USA-5678-A-2601-B-X";
+  const PERSON = "01-P-USA-1234-P-2601-A-X";
+  const TRUST = {
+    [AUTHORITY]: { trust_level: 4, entity_type: "A" },
+    [PERSON]: { trust_level: 2, entity_type: "P" },
+  };
+
+  /** D1 stand-in for fact_action_policies and fact_delegations */
+  function createDB({ policies = [], delegations = [] } = {}) {
+    return {
+      delegations,
+      prepare: (sql) => ({
+        bind: (...args) => ({
+          all: async () => {
+            if (sql.includes("FROM fact_action_policies")) {
+              const [first, second] = args;
+              const byAction = sql.includes("action = ?");
+              const tenant = byAction ? second : first;
+              return {
+                results: policies.filter(
+                  (p) => (!byAction || p.action === first) && ["*", tenant].includes(p.tenant_id),
+                ),
+              };
+            }
+            if (sql.includes("FROM fact_delegations")) {
+              const [delegate, tenant, now] = args;
+              const rest = args.slice(4);
+              return {
+                results: delegations.filter(
+                  (d) =>
+                    d.delegate_chitty_id === delegate &&
+                    d.tenant_id === tenant &&
+                    !d.revoked_at &&
+                    d.starts_at <= now &&
+                    d.expires_at > now &&
+                    (!sql.includes("action = ?") || d.action === rest[0]) &&
+                    (!sql.includes("case_id = ?") || d.case_id === rest.at(-1)),
+                ),
+              };
+            }
+            throw new Error(`Unhandled SQL: ${sql}`);
+          },
+          run: async () => {
+            if (sql.includes("INSERT INTO fact_delegations")) {
+              const [id, tenant_id, delegator_chitty_id, delegate_chitty_id, action, case_id, reason, starts_at, expires_at] = args;
+              delegations.push({ id, tenant_id, delegator_chitty_id, delegate_chitty_id, action, case_id, reason, starts_at, expires_at });
+            }
+            return { meta: { changes: 1 } };
+          },
+        }),
+      }),
+    };
+  }
+
+  beforeEach(() => {
+    resolveTrustLevel.mockImplementation(async (id) => TRUST[id] ?? { trust_level: 0, entity_type: "P" });
+  });
+
+  it("prefers tenant overrides over the global policy", async () => {
+    const env = {
+      DB: createDB({
+        policies: [
+          { action: "dispute", tenant_id: "*", entity_types: '["P","A"]', min_trust: 2 },
+          { action: "dispute", tenant_id: "acme", entity_types: '["A"]', min_trust: 3 },
+        ],
+      }),
+    };
+
+    const global = await checkFactPermission(PERSON, "dispute", env, { tenantId: "other" });
+    expect(global).toMatchObject({ allowed: true, policy: { scope: "global" } });
+
+    const acme = await checkFactPermission(PERSON, "dispute", env, { tenantId: "acme" });
+    expect(acme).toMatchObject({ allowed: false, required_level: 3, policy: { scope: "tenant" } });
+  });
+
+  it("lets a delegate seal for the delegated case only, until expiry", async () => {
+    const env = { DB: createDB() };
+    const expiresAt = new Date(Date.now() + 3600_000).toISOString();
+    const { delegation } = await createDelegation(env, {
+      tenantId: "acme",
+      delegatorChittyId: AUTHORITY,
+      delegateChittyId: PERSON,
+      action: "seal",
+      caseId: "case-1",
+      expiresAt,
+    });
+    expect(delegation.id).toMatch(/^fdl_/);
+
+    const granted = await checkFactPermission(PERSON, FACT_ACTIONS.SEAL, env, { tenantId: "acme", caseId: "case-1" });
+    expect(granted).toMatchObject({
+      allowed: true,
+      source: "delegation",
+      delegation: { id: delegation.id, delegator_chitty_id: AUTHORITY, case_id: "case-1" },
+    });
+
+    const otherCase = await checkFactPermission(PERSON, FACT_ACTIONS.SEAL, env, { tenantId: "acme", caseId: "case-2" });
+    expect(otherCase.allowed).toBe(false);
+
+    env.DB.delegations[0].expires_at = new Date(Date.now() - 1000).toISOString();
+    const expired = await checkFactPermission(PERSON, FACT_ACTIONS.SEAL, env, { tenantId: "acme", caseId: "case-1" });
+    expect(expired.allowed).toBe(false);
+  });
+
+  it("stops honouring delegations when the delegator loses the permission", async () => {
+    const env = { DB: createDB() };
+    await createDelegation(env, {
+      tenantId: "acme",
+      delegatorChittyId: AUTHORITY,
+      delegateChittyId: PERSON,
+      action: "seal",
+      caseId: "case-1",
+      expiresAt: new Date(Date.now() + 3600_000).toISOString(),
+    });
+    TRUST[AUTHORITY] = { trust_level: 3, entity_type: "A" };
+    try {
+      const result = await checkFactPermission(PERSON, "seal", env, { tenantId: "acme", caseId: "case-1" });
+      expect(result.allowed).toBe(false);
+    } finally {
+      TRUST[AUTHORITY] = { trust_level: 4, entity_type: "A" };
+    }
+  });
+
+  it("refuses delegations the delegator could not perform or that run too long", async () => {
+    const env = { DB: createDB() };
+    const base = {
+      tenantId: "acme",
+      delegateChittyId: AUTHORITY,
+      action: "seal",
+      caseId: "case-1",
+      expiresAt: new Date(Date.now() + 3600_000).toISOString(),
+    };
+    expect((await createDelegation(env, { ...base, delegatorChittyId: PERSON })).status).toBe(403);
+
+    const tooLong = new Date(Date.now() + (MAX_DELEGATION_SECONDS + 60) * 1000).toISOString();
+    expect(
+      (await createDelegation(env, { ...base, delegatorChittyId: "x", delegateChittyId: PERSON, expiresAt: tooLong })).status,
+    ).toBe(400);
+    expect(env.DB.delegations).toHaveLength(0);
+  });
+
+  it("explains every action with its reason", async () => {
+    const explanation = await explainFactPermissions({}, PERSON, { tenantId: "acme" });
+    expect(Object.keys(explanation.actions)).toEqual(["mint", "validate", "seal", "dispute", "export", "retract"]);
+    expect(explanation.actions.dispute.allowed).toBe(true);
+    expect(explanation.actions.seal.reason).toContain("entity type");
+    expect(explanation.actions.validate.reason).toContain("trust level");
+  });
+});
@@ -0,0 +1,186 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import {
+  HASH_VERSION_APPEND,
+  LEDGER_GENESIS,
+  ledgerEntryHash,
+  merkleRoot,
+  merkleInclusionProof,
+  verifyInclusionProof,
+  listLedgerEntries,
+  verifyLedgerChain,
+  createCheckpoint,
+  proveLedgerEntry,
+} from "../../src/lib/ledger-integrity.js";
+
+/**
+ * Minimal D1 stand-in covering the queries ledger-integrity issues
+ */
+function createDB() {
+  const entries = [];
+  const checkpoints = [];
+
+  const forContext = (id) => entries.filter((e) => e.context_id === id);
+
+  function handle(sql, args) {
+    if (sql.includes("INSERT INTO context_ledger_checkpoints")) {
+      const [id, context_id, entry_count, last_entry_id, last_hash, merkle_root, created_at] = args;
+      checkpoints.push({ id, context_id, entry_count, last_entry_id, last_hash, merkle_root, created_at, anchored_at: null });
+      return { meta: { changes: 1 } };
+    }
+    if (sql.includes("UPDATE context_ledger_checkpoints SET anchored_at")) {
+      checkpoints.find((c) => c.id === args[1]).anchored_at = args[0];
+      return { meta: { changes: 1 } };
+    }
+    if (sql.includes("MAX(entry_count)")) {
+      const counts = checkpoints.filter((c) => c.context_id === args[0]).map((c) => c.entry_count);
+      return { entry_count: counts.length ? Math.max(...counts) : null };
+    }
+    if (sql.includes("FROM context_ledger_checkpoints")) {
+      const list = checkpoints
+        .filter((c) => c.context_id === (sql.includes("WHERE id = ?") ? args[1] : args[0]))
+        .filter((c) => !sql.includes("WHERE id = ?") || c.id === args[0])
+        .sort((a, b) => b.entry_count - a.entry_count);
+      return sql.includes("LIMIT 1") || sql.includes("WHERE id = ?") ? list[0] || null : { results: list };
+    }
+    if (sql.includes("COUNT(*) AS idx")) {
+      return { idx: forContext(args[0]).filter((e) => e.seq < args[1]).length };
+    }
+    if (sql.includes("AND id = ?")) {
+      return forContext(args[0]).find((e) => e.id === args[1]) || null;
+    }
+    if (sql.includes("rowid > ?")) {
+      const [contextId, after, limit] = args;
+      return { results: forContext(contextId).filter((e) => e.seq > after).slice(0, limit) };
+    }
+    throw new Error(`Unhandled SQL: ${sql}`);
+  }
+
+  return {
+    entries,
+    checkpoints,
+    prepare: (sql) => ({
+      bind: (...args) => ({
+        all: async () => handle(sql, args),
+        first: async () => handle(sql, args),
+        run: async () => handle(sql, args),
+      }),
+    }),
+  };
+}
+
+async function append(db, contextId, data) {
+  const previous = db.entries.filter((e) => e.context_id === contextId).at(-1);
+  const entry = {
+    seq: db.entries.length + 1,
+    id: `entry-${db.entries.length + 1}`,
+    context_id: contextId,
+    event_type: "decision",
+    payload: JSON.stringify(data),
+    previous_hash: previous ? previous.hash : LEDGER_GENESIS,
+    signature: "sig",
+    hash_version: HASH_VERSION_APPEND,
+  };
+  entry.hash = await ledgerEntryHash(entry);
+  db.entries.push(entry);
+  return entry;
+}
+
+describe("Merkle proofs", () => {
+  it("verifies every leaf of trees up to size 9 and rejects tampering", async () => {
+    for (let size = 1; size <= 9; size++) {
+      const hashes = Array.from({ length: size }, (_, i) => `h${i}`);
+      const root = await merkleRoot(hashes);
+      for (let index = 0; index < size; index++) {
+        const proof = await merkleInclusionProof(hashes, index);
+        expect(proof.merkle_root).toBe(root);
+        const claim = { ...proof, entry_hash: hashes[index] };
+        expect(await verifyInclusionProof(claim, root)).toBe(true);
+        expect(await verifyInclusionProof({ ...claim, entry_hash: "forged" }, root)).toBe(false);
+        if (size > 1) {
+          expect(await verifyInclusionProof({ ...claim, leaf_index: (index + 1) % size }, root)).toBe(false);
+        }
+      }
+    }
+  });
+});
+
+describe("ledger reads and verification", () => {
+  let env;
+
+  beforeEach(async () => {
+    vi.stubGlobal("fetch", vi.fn(async () => new Response("{}", { status: 201 })));
+    env = { DB: createDB(), CHITTYCHRONICLE_SERVICE_URL: "https://chronicle.test" };
+    for (let i = 0; i < 5; i++) {
+      await append(env.DB, "ctx-1", { step: i });
+    }
+    await append(env.DB, "ctx-2", { other: true });
+  });
+
+  it("pages entries in chain order", async () => {
+    const first = await listLedgerEntries(env, "ctx-1", { limit: 2 });
+    expect(first.entries.map((e) => e.id)).toEqual(["entry-1", "entry-2"]);
+    expect(first.entries[0].payload).toEqual({ step: 0 });
+
+    const rest = await listLedgerEntries(env, "ctx-1", { cursor: first.next_cursor, limit: 10 });
+    expect(rest.entries.map((e) => e.id)).toEqual(["entry-3", "entry-4", "entry-5"]);
+    expect(rest.next_cursor).toBeNull();
+  });
+
+  it("reports an intact chain", async () => {
+    const report = await verifyLedgerChain(env, "ctx-1");
+    expect(report).toMatchObject({ valid: true, entries: 5, recomputed: 5, first_broken: null });
+    expect(report.head_hash).toBe(env.DB.entries[4].hash);
+  });
+
+  it("reports the first broken link", async () => {
+    env.DB.entries[2].payload = JSON.stringify({ step: "rewritten" });
+    env.DB.entries[3].previous_hash = "0".repeat(64);
+
+    const report = await verifyLedgerChain(env, "ctx-1");
+    expect(report.valid).toBe(false);
+    expect(report.first_broken).toMatchObject({ index: 2, entry_id: "entry-3", reason: "hash_mismatch" });
+  });
+
+  it("checks legacy entries by link only", async () => {
+    env.DB.entries[0].previous_hash = "genesis";
+    env.DB.entries.forEach((e) => (e.hash_version = null));
+
+    const report = await verifyLedgerChain(env, "ctx-1");
+    expect(report).toMatchObject({ valid: true, recomputed: 0, link_only: 5 });
+  });
+
+  it("checkpoints, anchors and proves entries", async () => {
+    const checkpoint = await createCheckpoint(env, "ctx-1");
+    expect(checkpoint).toMatchObject({ entry_count: 5, last_entry_id: "entry-5" });
+    expect(checkpoint.anchored_at).not.toBeNull();
+    const [, init] = fetch.mock.calls[0];
+    expect(JSON.parse(init.body)).toMatchObject({
+      event_type: "ledger.checkpoint.created",
+      data: { merkle_root: checkpoint.merkle_root, entry_count: 5 },
+    });
+
+    // Nothing new to checkpoint
+    expect(await createCheckpoint(env, "ctx-1")).toBeNull();
+
+    const proof = await proveLedgerEntry(env, "ctx-1", "entry-3");
+    expect(proof).toMatchObject({ leaf_index: 2, tree_size: 5, entry_hash: env.DB.entries[2].hash });
+    expect(await verifyInclusionProof(proof, checkpoint.merkle_root)).toBe(true);
+
+    // Entries after the checkpoint must wait for the next one
+    await append(env.DB, "ctx-1", { step: 5 });
+    const pending = await proveLedgerEntry(env, "ctx-1", env.DB.entries.at(-1).id);
+    expect(pending.status).toBe(409);
+
+    // A rewritten covered entry breaks the checkpoint root
+    env.DB.entries[1].hash = "f".repeat(64);
+    const report = await verifyLedgerChain(env, "ctx-1");
+    expect(report.checkpoint_mismatches).toEqual([
+      expect.objectContaining({ checkpoint_id: checkpoint.id, reason: "root_mismatch" }),
+    ]);
+  });
+
+  it("refuses proofs for unknown entries and uncheckpointed contexts", async () => {
+    expect((await proveLedgerEntry(env, "ctx-1", "missing")).status).toBe(404);
+    expect((await proveLedgerEntry(env, "ctx-1", "entry-1")).status).toBe(409);
+  });
+});
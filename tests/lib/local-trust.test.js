@@ -0,0 +1,92 @@
+import { describe, it, expect } from "vitest";
+import { computeLocalTrust } from "../../src/lib/local-trust.js";
+
+const NOW = 1_790_000_000;
+const DAY = 86400;
+
+// experience_profiles.newest_interaction is written with CURRENT_TIMESTAMP
+const sqlTimestamp = (seconds) => new Date(seconds * 1000).toISOString().replace("T", " ").slice(0, 19);
+
+function db(rows) {
+  return {
+    prepare: (sql) => ({
+      bind: () => ({
+        first: async () => {
+          const table = Object.keys(rows).find((t) => sql.includes(`FROM ${t}`));
+          return rows[table] ?? null;
+        },
+      }),
+    }),
+  };
+}
+
+describe("computeLocalTrust", () => {
+  it("returns null without a DB or any local history", async () => {
+    expect(await computeLocalTrust("01-P-USA-1234-P-2601-A-X", {})).toBeNull();
+    expect(
+      await computeLocalTrust("01-P-USA-1234-P-2601-A-X", { DB: db({ context_ledger: { entries: 0 } }) }),
+    ).toBeNull();
+  });
+
+  it("penalises red flags, anomalies and inactivity", async () => {
+    const profile = {
+      total_interactions: 100,
+      success_rate: 0.9,
+      risk_score: 10,
+      anomaly_count: 0,
+      first_seen: NOW - 90 * DAY,
+      newest_interaction: sqlTimestamp(NOW - DAY),
+    };
+    const traits = JSON.stringify({ volatile: 0.2, compliant: 0.8 });
+    const clean = await computeLocalTrust(
+      "01-P-USA-1234-P-2601-A-X",
+      {
+        DB: db({
+          experience_profiles: profile,
+          context_dna: { behavioral_traits: traits, red_flag_count: 0, anomaly_count: 0 },
+          context_ledger: { entries: 10, signed: 5, anomalies: 0, first_at: NOW - 90 * DAY, last_at: NOW - DAY },
+        }),
+      },
+      { now: NOW },
+    );
+    const flagged = await computeLocalTrust(
+      "01-P-USA-1234-P-2601-A-X",
+      {
+        DB: db({
+          experience_profiles: { ...profile, newest_interaction: sqlTimestamp(NOW - 120 * DAY) },
+          context_dna: { behavioral_traits: traits, red_flag_count: 2, anomaly_count: 4 },
+          context_ledger: { entries: 10, signed: 5, anomalies: 1, first_at: NOW - 90 * DAY, last_at: NOW - 120 * DAY },
+        }),
+      },
+      { now: NOW },
+    );
+
+    // Same identity history, so TY matches
+    expect(flagged.ty).toBe(clean.ty);
+    // trait alignment 0.8; halved for >90 idle days, less 0.1 per red flag
+    expect(clean.vy).toBe(0.8);
+    expect(flagged.vy).toBe(0.2);
+    // 0.9 * (1 - 0.1), less 0.05 per anomaly on the worst count
+    expect(clean.ry).toBe(0.81);
+    expect(flagged.ry).toBe(0.61);
+    expect(flagged.signals).toMatchObject({ red_flags: 2, anomalies: 4, signed_entries: 5 });
+    expect(clean.signals.last_active).toBe(NOW - DAY);
+  });
+
+  it("takes recency from the profile's timestamp when it is newer than the ledger", async () => {
+    const result = await computeLocalTrust(
+      "01-P-USA-1234-P-2601-A-X",
+      {
+        DB: db({
+          experience_profiles: { total_interactions: 5, newest_interaction: sqlTimestamp(NOW - 2 * DAY) },
+          context_dna: { behavioral_traits: JSON.stringify({ compliant: 0.6 }) },
+          context_ledger: { entries: 1, signed: 0, anomalies: 0, first_at: NOW - 200 * DAY, last_at: NOW - 200 * DAY },
+        }),
+      },
+      { now: NOW },
+    );
+    expect(result.signals.last_active).toBe(NOW - 2 * DAY);
+    // Active within a week: full recency credit
+    expect(result.vy).toBe(0.6);
+  });
+});
@@ -0,0 +1,97 @@
+import { describe, it, expect, vi } from "vitest";
+import {
+  evaluatePolicy,
+  intentForTool,
+  matchPolicyRule,
+  parsePolicyRules,
+} from "../../src/lib/policy-evaluator.js";
+import { POLICY_BUNDLES } from "../../src/lib/policy-bundles.js";
+
+const bundledRules = parsePolicyRules(POLICY_BUNDLES.v1.files.rules.content);
+
+/** D1 stand-in that serves a fixed list of overlays */
+function overlayEnv(overlays) {
+  return {
+    DB: {
+      prepare: () => ({
+        bind: () => ({
+          all: async () => ({ results: overlays }),
+          run: async () => ({ meta: { changes: 1 } }),
+        }),
+      }),
+    },
+  };
+}
+
+describe("matchPolicyRule", () => {
+  it("applies the first matching rule in bundle order", () => {
+    expect(matchPolicyRule(bundledRules, "tag_delete", { ref_protected: true })).toMatchObject({
+      decision: "deny",
+      rule: { id: "git.protected_ref", error_code: "POLICY_BLOCKED_PROTECTED_REF" },
+    });
+    expect(matchPolicyRule(bundledRules, "sql_ddl", { via_broker: true }).decision).toBe(
+      "require_confirmation",
+    );
+    expect(matchPolicyRule(bundledRules, "sql_write", { scope_granted: false }).rule.error_code).toBe(
+      "INSUFFICIENT_SCOPE",
+    );
+  });
+
+  it("treats absent context as not matching `not` conditions", () => {
+    expect(matchPolicyRule(bundledRules, "credential_rotate", {}).rule.id).toBe(
+      "credential.destination_unverified",
+    );
+    expect(
+      matchPolicyRule(bundledRules, "credential_rotate", { leak_containment: true }).rule.id,
+    ).toBe("credential.brokered");
+    expect(
+      matchPolicyRule(bundledRules, "credential_retrieve", { plaintext: true, long_lived: false })
+        .decision,
+    ).toBe("allow");
+  });
+});
+
+describe("evaluatePolicy", () => {
+  it("uses tenant overlays of the rules file", async () => {
+    const rules = {
+      default: { decision: "allow" },
+      rules: [{ id: "acme.no_tag_delete", intents: ["tag_delete"], decision: "deny" }],
+    };
+    const env = overlayEnv([
+      { scope_type: "tenant", scope_value: "acme", version: "*", file_key: "rules", mode: "replace", content: JSON.stringify(rules) },
+    ]);
+    const result = await evaluatePolicy(env, { intent: "tag_delete", tenantId: "acme" });
+    expect(result).toMatchObject({
+      decision: "deny",
+      rule: { id: "acme.no_tag_delete", error_code: "EXECUTION_DENIED_BY_POLICY" },
+    });
+    expect(result.bundle.sha256).not.toBe(POLICY_BUNDLES.v1.sha256);
+  });
+
+  it("fails closed when the rules cannot be loaded", async () => {
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    const broken = overlayEnv([
+      { scope_type: "tenant", scope_value: "acme", version: "*", file_key: "rules", mode: "replace", content: "{not json" },
+    ]);
+    const result = await evaluatePolicy(broken, { intent: "read_docs", tenantId: "acme" });
+    expect(result).toMatchObject({
+      decision: "deny",
+      rule: { id: "failure_mode", error_code: "POLICY_BLOCKED_CHITTYCONNECT_UNAVAILABLE" },
+    });
+
+    const down = {
+      DB: { prepare: () => ({ bind: () => ({ all: async () => { throw new Error("D1 down"); } }) }) },
+    };
+    expect((await evaluatePolicy(down, { intent: "sql_write" })).decision).toBe("deny");
+  });
+});
+
+describe("intentForTool", () => {
+  it("maps governed MCP tools to intents", () => {
+    expect(intentForTool("chitty_credential_retrieve", {})).toBe("credential_retrieve");
+    expect(intentForTool("chitty_neon_query", { sql: "UPDATE t SET a = 1" })).toBe("sql_write");
+    expect(intentForTool("chitty_neon_query", { query: "DROP TABLE t" })).toBe("sql_ddl");
+    expect(intentForTool("chitty_neon_query", { sql: "SELECT 1" })).toBeNull();
+    expect(intentForTool("chitty_services_status", {})).toBeNull();
+  });
+});
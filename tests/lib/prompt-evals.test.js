@@ -0,0 +1,122 @@
+import { describe, it, expect } from "vitest";
+import {
+  validateEvalSuite,
+  validateJsonSchema,
+  checkExpectations,
+  stubModel,
+  runEvalSuite,
+} from "../../src/lib/prompt-evals.js";
+
+const CASE = { id: "basic", input: "Summarize the filing", expect: { mustContain: ["Summary"] } };
+
+describe("validateEvalSuite", () => {
+  it("requires named suites of well-formed cases", () => {
+    expect(validateEvalSuite({ name: "smoke", cases: [CASE] })).toBeNull();
+    expect(validateEvalSuite({ cases: [CASE] })).toMatch(/name/);
+    expect(validateEvalSuite({ name: "smoke", cases: [] })).toMatch(/non-empty/);
+    expect(validateEvalSuite({ name: "smoke", cases: [CASE, CASE] })).toMatch(/twice/);
+    expect(validateEvalSuite({ name: "smoke", cases: [{ ...CASE, expect: {} }] })).toMatch(/at least one check/);
+    expect(validateEvalSuite({ name: "smoke", cases: [{ ...CASE, expect: { contains: ["x"] } }] })).toMatch(/not a check/);
+    expect(validateEvalSuite({ name: "smoke", cases: [{ ...CASE, expect: { regex: "(" } }] })).toMatch(/regex is invalid/);
+    expect(validateEvalSuite({ name: "smoke", cases: [{ ...CASE, expect: { regex: "(a+)+$" } }] })).toMatch(
+      /nested quantifiers/,
+    );
+    expect(
+      validateEvalSuite({
+        name: "smoke",
+        cases: [{ ...CASE, expect: { jsonSchema: { properties: { id: { pattern: "(\\w+)*!" } } } } }],
+      }),
+    ).toMatch(/unsafe pattern at \$\.id/);
+    expect(validateEvalSuite({ name: "smoke", cases: [CASE], passThreshold: 2 })).toMatch(/passThreshold/);
+    // Updates may send only the fields they change
+    expect(validateEvalSuite({ passThreshold: 0.8 }, { partial: true })).toBeNull();
+  });
+});
+
+describe("validateJsonSchema", () => {
+  const schema = {
+    type: "object",
+    required: ["verdict", "citations"],
+    additionalProperties: false,
+    properties: {
+      verdict: { enum: ["grant", "deny"] },
+      confidence: { type: "number", minimum: 0, maximum: 1 },
+      citations: { type: "array", minItems: 1, items: { type: "string", pattern: "^\\d+ U\\.S\\." } },
+    },
+  };
+
+  it("accepts conforming values and reports each violation by path", () => {
+    expect(validateJsonSchema({ verdict: "grant", confidence: 0.9, citations: ["410 U.S. 113"] }, schema)).toEqual([]);
+    expect(validateJsonSchema({ verdict: "maybe", confidence: 2, citations: ["n/a"], extra: 1 }, schema)).toEqual([
+      '$.verdict must be one of "grant", "deny"',
+      "$.confidence is above 1",
+      "$.citations[0] does not match ^\\d+ U\\.S\\.",
+      "$.extra is not allowed",
+    ]);
+    expect(validateJsonSchema([], schema)).toEqual(["$ must be object, got array"]);
+    expect(validateJsonSchema(3, { type: "number" })).toEqual([]);
+  });
+});
+
+describe("checkExpectations", () => {
+  it("scores the fraction of checks that pass", () => {
+    const result = checkExpectations('{"verdict":"deny"}', {
+      regex: { pattern: "VERDICT", flags: "i" },
+      jsonSchema: { type: "object", required: ["verdict", "reason"] },
+      mustContain: ["deny"],
+      mustNotContain: ["grant"],
+      maxLength: 10,
+    });
+    expect(result.checks.map((c) => [c.check, c.passed])).toEqual([
+      ["regex", true],
+      ["jsonSchema", false],
+      ["mustContain", true],
+      ["mustNotContain", true],
+      ["maxLength", false],
+    ]);
+    expect(result).toMatchObject({ score: 0.6, passed: false });
+    expect(checkExpectations("plain text", { jsonSchema: { type: "object" } }).checks[0].detail).toBe("output is not JSON");
+  });
+
+  it("fails stored regexes that are unsafe instead of running them", () => {
+    const slow = `${"a".repeat(40)}!`;
+    expect(checkExpectations(slow, { regex: "(a+)+$" }).checks[0]).toMatchObject({
+      passed: false,
+      detail: expect.stringContaining("nested quantifiers"),
+    });
+    expect(validateJsonSchema(slow, { type: "string", pattern: "(a|aa)+$" })).toEqual([
+      expect.stringContaining("was not run"),
+    ]);
+  });
+});
+
+describe("runEvalSuite", () => {
+  it("runs each case through compose and the model, scoring failures as zero", async () => {
+    const suite = {
+      id: "pes_1",
+      name: "smoke",
+      passThreshold: 0.75,
+      cases: [
+        { id: "echo", input: "Filing A", variables: { tone: "brief" }, expect: { mustContain: ["Be brief.", "Filing A"] } },
+        { id: "stub", input: "Filing B", stub: { verdict: "grant" }, expect: { jsonSchema: { required: ["verdict"] } } },
+        { id: "broken", input: "Filing C", variables: { fail: true }, expect: { maxLength: 5 } },
+      ],
+    };
+    const result = await runEvalSuite(suite, {
+      compose: async (variables) => {
+        if (variables.fail) throw new Error("Missing variables: tone");
+        return { output: `Be ${variables.tone || "neutral"}.`, layers: ["tone"] };
+      },
+      generate: async (systemPrompt, testCase) => stubModel(systemPrompt, testCase),
+    });
+
+    expect(result.cases.map((c) => [c.caseId, c.score])).toEqual([
+      ["echo", 1],
+      ["stub", 1],
+      ["broken", 0],
+    ]);
+    expect(result.cases[0].output).toBe("Be brief.\n\nFiling A");
+    expect(result.cases[2].error).toBe("Missing variables: tone");
+    expect(result).toMatchObject({ suiteId: "pes_1", score: 0.667, passed: false });
+  });
+});
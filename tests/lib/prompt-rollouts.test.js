@@ -0,0 +1,178 @@
+import { describe, it, expect, vi } from "vitest";
+import {
+  validateRollout,
+  decideRollout,
+  assignBucket,
+  selectPromptVariant,
+  promptVersionStats,
+  endRollout,
+} from "../../src/lib/prompt-rollouts.js";
+
+const ROLLOUT = {
+  id: "pro_1",
+  promptId: "litigation.synthesize",
+  controlVersion: 1,
+  variants: [
+    { version: 1, weight: 90 },
+    { version: 2, weight: 10 },
+  ],
+  minExecutions: 50,
+  maxErrorRate: 0.05,
+  maxQualityDrop: 0.05,
+};
+
+function stat(version, { executions = 100, errors = 0, quality = 0.8, rated = executions } = {}) {
+  return { prompt_version: version, executions, error_count: errors, avg_quality: quality, rated_count: rated };
+}
+
+describe("validateRollout", () => {
+  it("requires at least two distinct variants with weights summing to 100", () => {
+    expect(validateRollout({ variants: ROLLOUT.variants })).toBeNull();
+    expect(validateRollout({ variants: [{ version: 1, weight: 100 }] })).toMatch(/at least two/);
+    expect(validateRollout({ variants: [{ version: 1, weight: 50 }, { version: 2, weight: 40 }] })).toMatch(/sum to 100/);
+    expect(validateRollout({ variants: [{ version: 1, weight: 50 }, { version: 1, weight: 50 }] })).toMatch(/twice/);
+    expect(validateRollout({ variants: ROLLOUT.variants, controlVersion: 3 })).toMatch(/controlVersion/);
+    expect(validateRollout({ variants: ROLLOUT.variants, maxErrorRate: 2 })).toMatch(/maxErrorRate/);
+  });
+});
+
+describe("decideRollout", () => {
+  it("holds until every candidate has enough executions", () => {
+    const decision = decideRollout(ROLLOUT, [stat(1), stat(2, { executions: 10 })]);
+    expect(decision.action).toBe("hold");
+  });
+
+  it("rolls back on error rate or a quality drop against the control", () => {
+    expect(decideRollout(ROLLOUT, [stat(1), stat(2, { errors: 10 })])).toMatchObject({
+      action: "rollback",
+      version: 1,
+    });
+    expect(decideRollout(ROLLOUT, [stat(1, { quality: 0.9 }), stat(2, { quality: 0.8 })])).toMatchObject({
+      action: "rollback",
+      reason: expect.stringContaining("below control"),
+    });
+    // Even a candidate short of minExecutions is rolled back once it breaches
+    expect(decideRollout(ROLLOUT, [stat(1), stat(2, { executions: 60, errors: 6 })]).action).toBe("rollback");
+  });
+
+  it("promotes the best candidate within budget", () => {
+    const abc = {
+      ...ROLLOUT,
+      variants: [
+        { version: 1, weight: 50 },
+        { version: 2, weight: 25 },
+        { version: 3, weight: 25 },
+      ],
+    };
+    const decision = decideRollout(abc, [stat(1, { quality: 0.8 }), stat(2, { quality: 0.82 }), stat(3, { quality: 0.88 })]);
+    expect(decision).toMatchObject({ action: "promote", version: 3 });
+  });
+
+  it("never promotes a candidate rated below the control", () => {
+    // Within maxQualityDrop, so no rollback, but not an improvement either
+    const decision = decideRollout(ROLLOUT, [stat(1, { quality: 0.8 }), stat(2, { quality: 0.78 })]);
+    expect(decision).toMatchObject({ action: "hold", reason: expect.stringContaining("below control") });
+    expect(decideRollout(ROLLOUT, [stat(1, { quality: 0.8 }), stat(2, { quality: 0.8 })])).toMatchObject({
+      action: "promote",
+      version: 2,
+    });
+  });
+
+  it("holds without enough control traffic or rated executions", () => {
+    expect(decideRollout(ROLLOUT, [stat(1, { executions: 10 }), stat(2, { quality: 0.9 })])).toMatchObject({
+      action: "hold",
+      reason: expect.stringContaining("control executions"),
+    });
+    expect(decideRollout(ROLLOUT, [stat(1, { quality: null, rated: 0 }), stat(2, { quality: null, rated: 0 })])).toMatchObject({
+      action: "hold",
+      reason: expect.stringContaining("rated executions"),
+    });
+    expect(decideRollout(ROLLOUT, [stat(1), stat(2, { quality: 0.95, rated: 3 })]).action).toBe("hold");
+    // The error budget still rolls back without any ratings
+    expect(decideRollout(ROLLOUT, [stat(1, { executions: 0 }), stat(2, { errors: 10, rated: 0 })]).action).toBe("rollback");
+  });
+});
+
+describe("promptVersionStats", () => {
+  it("counts live traffic only, leaving out eval-suite runs", async () => {
+    let statsSql;
+    const env = {
+      DB: {
+        prepare: (sql) => ((statsSql = sql), { bind: () => ({ all: async () => ({ results: [stat(1)] }) }) }),
+      },
+    };
+    expect(await promptVersionStats(env, "litigation.synthesize", { days: 7 })).toEqual([stat(1)]);
+    expect(statsSql).toContain("quality_source != 'auto_eval'");
+  });
+});
+
+describe("endRollout", () => {
+  it("re-activates the control on rollback when another version went active", async () => {
+    const ran = [];
+    const prepare = (sql) => ({
+      bind: (...args) => ({
+        sql,
+        args,
+        run: async () => ({ meta: { changes: 1 } }),
+        first: async () => ({ prompt_id: "litigation.synthesize", version: args[1], status: "superseded", base: "v1" }),
+      }),
+    });
+    const env = { DB: { prepare, batch: vi.fn(async (stmts) => ran.push(...stmts)) } };
+
+    expect(await endRollout(env, ROLLOUT, { status: "rolled_back", version: 1, decidedBy: "auto" })).toBe(true);
+    expect(ran.find((stmt) => stmt.sql.includes("SET status = 'active'")).args).toEqual([
+      expect.any(String),
+      "litigation.synthesize",
+      1,
+    ]);
+  });
+});
+
+describe("assignBucket", () => {
+  it("is sticky per consumer and spreads consumers across buckets", async () => {
+    expect(await assignBucket("pro_1", "consumer-a")).toBe(await assignBucket("pro_1", "consumer-a"));
+    const buckets = await Promise.all(
+      Array.from({ length: 200 }, (_, i) => assignBucket("pro_1", `consumer-${i}`)),
+    );
+    expect(buckets.every((b) => b >= 0 && b < 100)).toBe(true);
+    expect(new Set(buckets).size).toBeGreaterThan(50);
+  });
+});
+
+describe("selectPromptVariant", () => {
+  it("serves the variant whose weight range holds the consumer's bucket", async () => {
+    const bound = [];
+    const env = {
+      DB: {
+        prepare: (sql) => ({
+          bind: (...args) => {
+            bound.push({ sql, args });
+            return {
+              all: async () => ({
+                results: [
+                  {
+                    id: "pro_1",
+                    variants: JSON.stringify([
+                      { version: 1, weight: 0 },
+                      { version: 2, weight: 100 },
+                    ]),
+                  },
+                ],
+              }),
+              first: async () => ({ prompt_id: args[0], version: args[1], base: `v${args[1]} base`, layers: "[]" }),
+            };
+          },
+        }),
+      },
+    };
+
+    const variant = await selectPromptVariant(
+      env,
+      { id: "litigation.synthesize", version: 1 },
+      { environment: "production", consumerService: "chittyrouter", consumerId: "consumer-a" },
+    );
+
+    expect(variant).toMatchObject({ rolloutId: "pro_1", version: { version: 2, base: "v2 base" } });
+    expect(bound[0].args).toEqual(["litigation.synthesize", "production", "chittyrouter"]);
+  });
+});
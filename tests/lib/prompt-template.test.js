@@ -0,0 +1,113 @@
+import { describe, it, expect } from "vitest";
+import {
+  parseTemplate,
+  compileTemplate,
+  renderTemplate,
+  applyVariableSchema,
+  validateVariableSchema,
+  TemplateError,
+} from "../../src/lib/prompt-template.js";
+
+async function render(source, values, opts, partials = {}) {
+  const compiled = await compileTemplate(source, async (id, version) => partials[version ? `${id}@${version}` : id] ?? null);
+  return renderTemplate(compiled, values, opts);
+}
+
+describe("prompt templates", () => {
+  it("renders variables, conditionals and loops", async () => {
+    const source = [
+      "Case {{case.name}}.",
+      "{{#if urgent}}URGENT{{else}}routine{{/if}}",
+      "{{#unless parties}}no parties{{/unless}}",
+      "{{#each exhibits}}{{@index}}:{{label}}{{#unless @last}}, {{/unless}}{{else}}none{{/each}}",
+      "{{! authors only }}\\{{literal}}",
+    ].join("\n");
+    const { output } = await render(source, {
+      case: { name: "Arias" },
+      urgent: false,
+      parties: [],
+      exhibits: [{ label: "A" }, { label: "B" }],
+    });
+    expect(output).toBe("Case Arias.\nroutine\nno parties\n0:A, 1:B\n{{literal}}");
+  });
+
+  it("resolves own properties only, never inherited ones", async () => {
+    await expect(render("{{constructor}}", {})).rejects.toThrow(TemplateError);
+    await expect(render("{{toString}}", {})).rejects.toThrow(TemplateError);
+    await expect(render("{{case.constructor}}", { case: {} })).rejects.toMatchObject({
+      missing: ["case.constructor"],
+    });
+    const { output } = await render("{{case.parties.length}}", { case: { parties: ["A", "B"] } });
+    expect(output).toBe("2");
+  });
+
+  it("fails on missing variables instead of leaking them", async () => {
+    await expect(render("Hello {{name}} from {{org}}", { org: "Chitty" })).rejects.toThrow(TemplateError);
+    try {
+      await render("Hello {{name}} from {{org}}", { org: "Chitty" });
+    } catch (err) {
+      expect(err).toMatchObject({ code: "TEMPLATE_MISSING_VARIABLES", missing: ["name"] });
+    }
+    // Declared optional variables render empty
+    const { output } = await render("Hello {{name}}!", {}, { optional: ["name"] });
+    expect(output).toBe("Hello !");
+  });
+
+  it("escapes per mode, never in triple braces, and does not re-parse values", async () => {
+    const values = { input: `<b>"x" & {{secret}}</b>` };
+    expect((await render("{{input}}", values, { escape: "xml" })).output).toBe(
+      "&lt;b&gt;&quot;x&quot; &amp; {{secret}}&lt;/b&gt;",
+    );
+    expect((await render("{{{input}}}", values, { escape: "xml" })).output).toBe(values.input);
+    expect((await render('"{{input}}"', { input: 'a "q"\nb' }, { escape: "json" })).output).toBe('"a \\"q\\"\\nb"');
+  });
+
+  it("resolves partials by ID and version and detects cycles", async () => {
+    const partials = {
+      "shared.tone": "Be {{tone}}.",
+      "shared.footer@2": "{{> shared.tone}} Thanks.",
+      "loop.a": "{{> loop.b}}",
+      "loop.b": "{{> loop.a}}",
+    };
+    const result = await render("Intro. {{> shared.footer@2}}", { tone: "brief" }, {}, partials);
+    expect(result.output).toBe("Intro. Be brief. Thanks.");
+    expect(result.partials.sort()).toEqual(["shared.footer@2", "shared.tone"]);
+
+    await expect(render("{{> loop.a}}", {}, {}, partials)).rejects.toMatchObject({ code: "TEMPLATE_PARTIAL_CYCLE" });
+    await expect(render("{{> nope}}", {}, {}, partials)).rejects.toMatchObject({ code: "TEMPLATE_PARTIAL_NOT_FOUND" });
+  });
+
+  it("rejects unbalanced blocks", () => {
+    expect(() => parseTemplate("{{#if a}}x")).toThrow(/Unclosed/);
+    expect(() => parseTemplate("x{{/each}}")).toThrow(/Unexpected/);
+    expect(() => parseTemplate("{{#if a}}{{/each}}")).toThrow(/Unexpected/);
+    expect(() => parseTemplate("{{not valid}}")).toThrow(/Invalid expression/);
+  });
+});
+
+describe("variable schemas", () => {
+  const schema = {
+    org: { type: "string", required: true },
+    tone: { type: "string", default: "neutral", enum: ["neutral", "formal"] },
+    limit: { type: "number" },
+  };
+
+  it("applies defaults and reports type, enum and required errors", () => {
+    expect(applyVariableSchema(schema, { org: "Chitty" })).toEqual({
+      values: { org: "Chitty", tone: "neutral" },
+      errors: [],
+      optional: ["limit"],
+    });
+    expect(applyVariableSchema(schema, { tone: "casual", limit: "5" }).errors).toEqual([
+      "org is required",
+      "tone must be one of neutral, formal",
+      "limit must be a number, got string",
+    ]);
+  });
+
+  it("validates schema declarations", () => {
+    expect(validateVariableSchema(schema)).toBeNull();
+    expect(validateVariableSchema({ x: { type: "date" } })).toMatch(/type must be one of/);
+    expect(validateVariableSchema({ x: { type: "number", default: "1" } })).toMatch(/default must be a number/);
+  });
+});
@@ -0,0 +1,42 @@
+import { describe, it, expect } from "vitest";
+import {
+  unsafeRegexReason,
+  compileSafeRegex,
+  safeTest,
+  MAX_INPUT_LENGTH,
+  MAX_PATTERN_LENGTH,
+} from "../../src/lib/safe-regex.js";
+
+describe("unsafeRegexReason", () => {
+  it("accepts ordinary patterns", () => {
+    for (const pattern of ["\\bbug\\b", "^feat(ure)?:", "crash|panic", "[a-z]+-\\d{2,4}", "(?:foo|bar)?", "a\\(b+\\)*"]) {
+      expect(unsafeRegexReason(pattern)).toBeNull();
+    }
+  });
+
+  it("refuses nested quantifiers, backreferences and oversized or invalid patterns", () => {
+    expect(unsafeRegexReason("(a+)+$")).toContain("nested quantifiers");
+    expect(unsafeRegexReason("((ab)*c)*")).toContain("nested quantifiers");
+    expect(unsafeRegexReason("(\\w{1,10}){2,}")).toContain("nested quantifiers");
+    expect(unsafeRegexReason("(a|aa)+$")).toContain("repeated alternations");
+    expect(unsafeRegexReason("((a|aa))*$")).toContain("repeated alternations");
+    expect(unsafeRegexReason("(a)\\1")).toContain("backreferences");
+    expect(unsafeRegexReason("(?<x>a)\\k<x>")).toContain("backreferences");
+    expect(unsafeRegexReason("a".repeat(MAX_PATTERN_LENGTH + 1))).toContain("longer than");
+    expect(unsafeRegexReason("(unclosed")).toBeTruthy();
+    expect(unsafeRegexReason("")).toContain("non-empty");
+  });
+});
+
+describe("compileSafeRegex / safeTest", () => {
+  it("compiles safe patterns and throws on unsafe ones", () => {
+    expect(compileSafeRegex("bug", "i").test("BUG")).toBe(true);
+    expect(() => compileSafeRegex("(a*)*b")).toThrow("nested quantifiers");
+  });
+
+  it("only looks at the first MAX_INPUT_LENGTH characters", () => {
+    const text = `${"x".repeat(MAX_INPUT_LENGTH)}needle`;
+    expect(safeTest(/needle/, text)).toBe(false);
+    expect(safeTest(/needle/, "a needle")).toBe(true);
+  });
+});
@@ -0,0 +1,107 @@
+import { describe, it, expect, vi } from "vitest";
+import { Saga, SagaError, expectOk } from "../../src/lib/saga.js";
+
+describe("Saga", () => {
+  it("returns the workflow result and reports every step completed", async () => {
+    const saga = new Saga("happy");
+    const result = await saga.run(async () => {
+      const a = await saga.step("a", async () => 1, vi.fn());
+      const b = await saga.step("b", async () => a + 1);
+      return b;
+    });
+
+    expect(result).toBe(2);
+    const report = saga.report();
+    expect(report.status).toBe("completed");
+    expect(report.steps.map((s) => [s.name, s.status])).toEqual([
+      ["a", "completed"],
+      ["b", "completed"],
+    ]);
+  });
+
+  it("compensates completed steps in reverse order when a step fails", async () => {
+    const order = [];
+    const saga = new Saga("rollback");
+
+    const error = await saga
+      .run(async () => {
+        await saga.step("one", async () => "id-1", async (id) => order.push(`undo ${id}`));
+        await saga.step("two", async () => "id-2", async (id) => order.push(`undo ${id}`));
+        await saga.step("three", async () => {
+          throw new Error("upstream 500");
+        });
+      })
+      .catch((e) => e);
+
+    expect(error).toBeInstanceOf(SagaError);
+    expect(error.code).toBe("COMPOSITE_ROLLED_BACK");
+    expect(order).toEqual(["undo id-2", "undo id-1"]);
+    expect(error.report).toMatchObject({
+      status: "rolled_back",
+      failedStep: "three",
+      rollback: { status: "completed" },
+    });
+    expect(error.report.steps.map((s) => s.status)).toEqual([
+      "compensated",
+      "compensated",
+      "failed",
+    ]);
+    expect(error.report.steps[2].error).toBe("upstream 500");
+  });
+
+  it("keeps rolling back when a compensation fails and reports it", async () => {
+    const saga = new Saga("partial");
+    const undoFirst = vi.fn();
+
+    const error = await saga
+      .run(async () => {
+        await saga.step("first", async () => 1, undoFirst);
+        await saga.step("second", async () => 2, async () => {
+          throw new Error("void endpoint down");
+        });
+        await saga.step("third", async () => {
+          throw new Error("boom");
+        });
+      })
+      .catch((e) => e);
+
+    expect(undoFirst).toHaveBeenCalledWith(1);
+    expect(error.code).toBe("COMPOSITE_ROLLBACK_INCOMPLETE");
+    expect(error.report.status).toBe("rollback_incomplete");
+    expect(error.report.steps[1]).toMatchObject({
+      status: "compensation_failed",
+      compensationError: "void endpoint down",
+    });
+  });
+
+  it("registers compensations for every successful item in a parallel step", async () => {
+    const undo = vi.fn();
+    const saga = new Saga("parallel");
+
+    const error = await saga
+      .run(() =>
+        saga.all(
+          "mint",
+          ["a", "b", "c"],
+          async (item) => {
+            if (item === "b") throw new Error("mint b failed");
+            return `id-${item}`;
+          },
+          undo,
+        ),
+      )
+      .catch((e) => e);
+
+    expect(error.report.failedStep).toBe("mint[1]");
+    expect(undo.mock.calls.map(([id]) => id).sort()).toEqual(["id-a", "id-c"]);
+  });
+});
+
+describe("expectOk", () => {
+  it("throws with the upstream status and body", async () => {
+    const response = new Response("nope", { status: 409 });
+    await expect(expectOk(response, "Case creation")).rejects.toThrow(
+      "Case creation failed (409): nope",
+    );
+  });
+});
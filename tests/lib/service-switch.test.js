@@ -0,0 +1,196 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+
+vi.mock("../../src/lib/credential-helper.js", () => ({
+  getServiceToken: vi.fn().mockResolvedValue("svc-token"),
+}));
+
+import {
+  serviceFetch,
+  getBreakerStates,
+  resetBreakers,
+  invalidateSwitchCache,
+} from "../../src/lib/service-switch.js";
+
+const mockFetch = vi.fn();
+vi.stubGlobal("fetch", mockFetch);
+
+function makeEnv(switches, bindingFetch) {
+  return {
+    IDEMP_KV: {
+      get: vi.fn().mockResolvedValue(switches ? JSON.stringify(switches) : null),
+    },
+    SVC_LEDGER: bindingFetch ? { fetch: bindingFetch } : undefined,
+  };
+}
+
+const ok = () => new Response(JSON.stringify({ ok: true }), { status: 200 });
+const fail = () => new Response("boom", { status: 502 });
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  invalidateSwitchCache();
+  resetBreakers();
+});
+
+describe("serviceFetch routing", () => {
+  it("uses the service binding when available", async () => {
+    const binding = vi.fn().mockResolvedValue(ok());
+    const res = await serviceFetch(makeEnv(null, binding), "ledger", "/api/facts");
+    expect(res.status).toBe(200);
+    expect(binding).toHaveBeenCalledOnce();
+    expect(mockFetch).not.toHaveBeenCalled();
+  });
+
+  it("fails over to http when the binding throws", async () => {
+    const binding = vi.fn().mockRejectedValue(new Error("binding down"));
+    mockFetch.mockResolvedValue(ok());
+    const res = await serviceFetch(makeEnv(null, binding), "ledger", "/api/facts");
+    expect(res.status).toBe(200);
+    const req = mockFetch.mock.calls[0][0];
+    expect(req.url).toBe("https://ledger.chitty.cc/api/facts");
+    expect(req.headers.get("Authorization")).toBe("Bearer svc-token");
+  });
+
+  it("does not replay non-idempotent writes on a 5xx", async () => {
+    const binding = vi.fn().mockResolvedValue(fail());
+    const res = await serviceFetch(makeEnv(null, binding), "ledger", "/api/facts", {
+      method: "POST",
+      body: { a: 1 },
+    });
+    expect(res.status).toBe(502);
+    expect(mockFetch).not.toHaveBeenCalled();
+  });
+
+  it("fails over from http to binding when http mode is unreachable", async () => {
+    const binding = vi.fn().mockResolvedValue(ok());
+    mockFetch.mockRejectedValue(new Error("ECONNRESET"));
+    const env = makeEnv(
+      { ledger: { enabled: true, mode: "http", url: "https://ledger.example", binding: "SVC_LEDGER" } },
+      binding,
+    );
+    const res = await serviceFetch(env, "ledger", "/api/facts");
+    expect(res.status).toBe(200);
+    expect(binding).toHaveBeenCalledOnce();
+  });
+
+  it("does not fail a write over after a transport error", async () => {
+    const binding = vi.fn().mockRejectedValue(new Error("connection reset"));
+    mockFetch.mockResolvedValue(ok());
+    const res = await serviceFetch(makeEnv(null, binding), "ledger", "/api/facts", {
+      method: "POST",
+      body: { a: 1 },
+    });
+    expect(res.status).toBe(503);
+    expect((await res.json()).reason).toBe("connection reset");
+    expect(mockFetch).not.toHaveBeenCalled();
+  });
+
+  it("reports a missing binding unless failover is set explicitly", async () => {
+    mockFetch.mockResolvedValue(ok());
+    const missing = await serviceFetch(makeEnv(null), "ledger", "/api/facts");
+    expect(missing.status).toBe(503);
+    expect((await missing.json()).error).toContain("not configured");
+    expect(mockFetch).not.toHaveBeenCalled();
+
+    invalidateSwitchCache();
+    const env = makeEnv({ ledger: { enabled: true, mode: "binding", binding: "SVC_LEDGER", failover: true } });
+    const res = await serviceFetch(env, "ledger", "/api/facts");
+    expect(res.status).toBe(200);
+    expect(mockFetch.mock.calls[0][0].url).toBe("https://ledger.chitty.cc/api/facts");
+  });
+
+  it("returns 503 without failover when failover is disabled and the binding is missing", async () => {
+    const env = makeEnv({ ledger: { enabled: true, mode: "binding", binding: "SVC_LEDGER", failover: false } });
+    const res = await serviceFetch(env, "ledger", "/api/facts");
+    expect(res.status).toBe(503);
+    expect((await res.json()).error).toContain("not configured");
+  });
+});
+
+describe("circuit breaker", () => {
+  const breakerSwitch = {
+    ledger: {
+      enabled: true,
+      mode: "binding",
+      binding: "SVC_LEDGER",
+      failover: false,
+      breaker: { minimumCalls: 3, failureRateThreshold: 0.5, openMs: 1000 },
+    },
+  };
+
+  it("opens after the failure rate threshold and short-circuits calls", async () => {
+    const binding = vi.fn().mockResolvedValue(fail());
+    const env = makeEnv(breakerSwitch, binding);
+
+    for (let i = 0; i < 3; i++) await serviceFetch(env, "ledger", "/x");
+    expect(getBreakerStates().ledger.binding.state).toBe("open");
+
+    const res = await serviceFetch(env, "ledger", "/x");
+    expect(res.status).toBe(503);
+    const body = await res.json();
+    expect(body.error).toContain("circuit is open");
+    expect(body.retryAfterMs).toBeGreaterThan(0);
+    expect(binding).toHaveBeenCalledTimes(3);
+  });
+
+  it("closes again after a successful half-open probe", async () => {
+    vi.useFakeTimers();
+    try {
+      const binding = vi.fn().mockResolvedValue(fail());
+      const env = makeEnv(breakerSwitch, binding);
+      for (let i = 0; i < 3; i++) await serviceFetch(env, "ledger", "/x");
+
+      vi.advanceTimersByTime(1001);
+      binding.mockResolvedValue(ok());
+      const res = await serviceFetch(env, "ledger", "/x");
+      expect(res.status).toBe(200);
+      expect(getBreakerStates().ledger.binding.state).toBe("closed");
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it("re-opens when the half-open probe fails", async () => {
+    vi.useFakeTimers();
+    try {
+      const binding = vi.fn().mockResolvedValue(fail());
+      const env = makeEnv(breakerSwitch, binding);
+      for (let i = 0; i < 3; i++) await serviceFetch(env, "ledger", "/x");
+
+      vi.advanceTimersByTime(1001);
+      await serviceFetch(env, "ledger", "/x");
+      const state = getBreakerStates().ledger.binding;
+      expect(state.state).toBe("open");
+      expect(state.trips).toBe(2);
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it("routes around an open binding breaker via http", async () => {
+    const binding = vi.fn().mockRejectedValue(new Error("binding down"));
+    mockFetch.mockResolvedValue(ok());
+    const env = makeEnv(
+      { ledger: { ...breakerSwitch.ledger, failover: true } },
+      binding,
+    );
+    for (let i = 0; i < 3; i++) await serviceFetch(env, "ledger", "/x");
+    expect(getBreakerStates().ledger.binding.state).toBe("open");
+
+    binding.mockClear();
+    const res = await serviceFetch(env, "ledger", "/x");
+    expect(res.status).toBe(200);
+    expect(binding).not.toHaveBeenCalled();
+  });
+
+  it("tracks latency and resets on demand", async () => {
+    const binding = vi.fn().mockResolvedValue(ok());
+    await serviceFetch(makeEnv(null, binding), "ledger", "/x");
+    const state = getBreakerStates("ledger").ledger.binding;
+    expect(state.totalCalls).toBe(1);
+    expect(state.avgLatencyMs).toBeGreaterThanOrEqual(0);
+
+    expect(resetBreakers("ledger")).toBe(1);
+    expect(getBreakerStates()).toEqual({});
+  });
+});
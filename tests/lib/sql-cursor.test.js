@@ -0,0 +1,189 @@
+import { describe, it, expect, vi } from "vitest";
+import {
+  fetchPage,
+  streamCursorNdjson,
+  saveCursorState,
+  loadCursorState,
+  advanceCursor,
+  isPageable,
+  keysetError,
+  cursorOwner,
+} from "../../src/lib/sql-cursor.js";
+import { classifySql, SqlRejectedError } from "../../src/lib/sql-guard.js";
+
+const limits = { maxRows: 100, timeoutMs: 1000, maxCost: 50 };
+
+function scriptedClient(batches = [], cost = 1) {
+  const calls = [];
+  return {
+    calls,
+    end: vi.fn(async () => {}),
+    query: vi.fn(async (arg) => {
+      // Caller SQL arrives as a named prepared statement
+      const sql = typeof arg === "string" ? arg : arg.text.trim().replace(/\s+/g, " ");
+      calls.push(sql);
+      if (sql.startsWith("EXPLAIN")) {
+        return { rows: [{ "QUERY PLAN": [{ Plan: { "Total Cost": cost } }] }] };
+      }
+      if (sql.startsWith("FETCH") || sql.startsWith("SELECT * FROM")) {
+        return { rows: batches.shift() || [], fields: [{ name: "n", dataTypeID: 23 }] };
+      }
+      return { rows: [] };
+    }),
+  };
+}
+
+function kvStore() {
+  const map = new Map();
+  return {
+    map,
+    put: vi.fn(async (k, v) => map.set(k, v)),
+    get: vi.fn(async (k) => (map.has(k) ? JSON.parse(map.get(k)) : null)),
+  };
+}
+
+describe("isPageable", () => {
+  it("accepts single reads only", () => {
+    expect(isPageable(classifySql("SELECT 1"))).toBe(true);
+    expect(isPageable(classifySql("SHOW x"))).toBe(false);
+    expect(isPageable(classifySql("DELETE FROM t"))).toBe(false);
+  });
+});
+
+describe("fetchPage", () => {
+  it("fetches one extra row to detect more pages and returns the last key", async () => {
+    const client = scriptedClient([[{ n: 1 }, { n: 2 }, { n: 3 }]]);
+    const page = await fetchPage(client, { query: "SELECT n FROM t", keyset: ["n"], pageSize: 2, limits });
+
+    expect(page.rows).toEqual([{ n: 1 }, { n: 2 }]);
+    expect(page.hasMore).toBe(true);
+    expect(page.after).toEqual([2]);
+    expect(client.calls).toEqual([
+      "BEGIN READ ONLY",
+      "SET LOCAL statement_timeout = 1000",
+      'EXPLAIN (FORMAT JSON) SELECT * FROM ( SELECT n FROM t ) AS chitty_page ORDER BY "n" LIMIT 3',
+      'SELECT * FROM ( SELECT n FROM t ) AS chitty_page ORDER BY "n" LIMIT 3',
+      "COMMIT",
+    ]);
+  });
+
+  it("seeks past the last key without re-costing continuation pages", async () => {
+    const client = scriptedClient([[{ n: 5, m: "x" }]]);
+    const page = await fetchPage(client, {
+      query: "SELECT n, m FROM t WHERE n > $1",
+      params: [0],
+      keyset: ["n", "m"],
+      after: [4, "w"],
+      pageSize: 2,
+      limits,
+    });
+    expect(page).toMatchObject({ hasMore: false, after: null });
+    expect(client.query).toHaveBeenCalledWith(
+      expect.objectContaining({
+        text: 'SELECT * FROM (\nSELECT n, m FROM t WHERE n > $1\n) AS chitty_page WHERE ("n", "m") > ($2, $3) ORDER BY "n", "m" LIMIT 3',
+        values: [0, 4, "w"],
+      }),
+    );
+    expect(client.calls.some((q) => q.startsWith("EXPLAIN"))).toBe(false);
+  });
+
+  it("rejects queries over the cost ceiling before fetching", async () => {
+    const client = scriptedClient([], 1e6);
+    await expect(
+      fetchPage(client, { query: "SELECT * FROM huge", keyset: ["id"], pageSize: 2, limits }),
+    ).rejects.toBeInstanceOf(SqlRejectedError);
+    expect(client.calls.at(-1)).toBe("ROLLBACK");
+  });
+
+  it("rejects queries that could close the page's subquery", async () => {
+    const client = scriptedClient();
+    await expect(
+      fetchPage(client, { query: "SELECT 1) x, (SELECT 2", keyset: ["id"], pageSize: 2, limits }),
+    ).rejects.toThrow("balanced parentheses");
+    // Parentheses inside strings and comments do not count
+    await fetchPage(client, { query: "SELECT ')' AS id -- (", keyset: ["id"], pageSize: 2, limits });
+    expect(client.calls).toHaveLength(5);
+  });
+
+  it("refuses null keys, which would end paging early", async () => {
+    const client = scriptedClient([[{ n: 1 }, { n: null }, { n: 3 }]]);
+    await expect(
+      fetchPage(client, { query: "SELECT n FROM t", keyset: ["n"], pageSize: 2, limits }),
+    ).rejects.toThrow("Keyset column n");
+  });
+});
+
+describe("keysetError", () => {
+  it("accepts plain column names only", () => {
+    expect(keysetError(["id"])).toBeNull();
+    expect(keysetError(["created_at", "id"])).toBeNull();
+    expect(keysetError(undefined)).toContain("keyset must name");
+    expect(keysetError([])).toContain("keyset must name");
+    expect(keysetError(['id" DESC'])).toContain("Invalid keyset column");
+    expect(keysetError(["a", "b", "c", "d", "e"])).toContain("at most");
+  });
+});
+
+describe("streamCursorNdjson", () => {
+  async function read(stream) {
+    const text = await new Response(stream).text();
+    return text.trim().split("\n").map((l) => JSON.parse(l));
+  }
+
+  it("streams batches until the cursor is exhausted", async () => {
+    const client = scriptedClient([[{ n: 1 }, { n: 2 }], [{ n: 3 }]]);
+    const onComplete = vi.fn();
+    const lines = await read(streamCursorNdjson(client, { batchSize: 2, onComplete }));
+
+    expect(lines.filter((l) => l.type === "row").map((l) => l.data.n)).toEqual([1, 2, 3]);
+    expect(lines.at(-1)).toEqual({ type: "end", rowCount: 3, truncated: false });
+    expect(client.end).toHaveBeenCalled();
+    expect(onComplete).toHaveBeenCalledWith({ rowCount: 3, truncated: false, error: null });
+  });
+
+  it("truncates at maxRows", async () => {
+    const client = scriptedClient([[{ n: 1 }, { n: 2 }], [{ n: 3 }, { n: 4 }]]);
+    const lines = await read(streamCursorNdjson(client, { batchSize: 2, maxRows: 3 }));
+    expect(lines.at(-1)).toEqual({ type: "end", rowCount: 3, truncated: true });
+  });
+
+  it("ends with an error line and rolls back when a fetch fails", async () => {
+    const client = scriptedClient();
+    client.query.mockRejectedValueOnce(new Error("canceling statement due to statement timeout"));
+    const lines = await read(streamCursorNdjson(client));
+    expect(lines.at(-1)).toMatchObject({ type: "error", rowCount: 0 });
+    expect(client.calls.at(-1)).toBe("ROLLBACK");
+  });
+});
+
+describe("cursor state", () => {
+  it("binds tokens to the actor that opened them", async () => {
+    const env = { TOKEN_KV: kvStore() };
+    const token = await saveCursorState(env, { source: "execute", query: "SELECT 1", actor: "a" });
+
+    expect(token).toMatch(/^sqlc_[0-9a-f]{32}$/);
+    expect(await loadCursorState(env, token, "a")).toMatchObject({ query: "SELECT 1" });
+    expect(await loadCursorState(env, token, "b")).toBeNull();
+    expect(await loadCursorState(env, "not-a-token", "a")).toBeNull();
+  });
+
+  it("derives distinct owners from credentials and none without one", async () => {
+    const env = { TOKEN_KV: kvStore() };
+    const owner = await cursorOwner("key-a");
+    expect(owner).toMatch(/^owner:[0-9a-f]{32}$/);
+    expect(await cursorOwner("key-b")).not.toBe(owner);
+    expect(await cursorOwner(null)).toBeNull();
+
+    const token = await saveCursorState(env, { source: "execute", query: "SELECT 1", actor: null });
+    expect(await loadCursorState(env, token, null)).toBeNull();
+  });
+
+  it("issues a fresh token per page and none after the last", async () => {
+    const env = { TOKEN_KV: kvStore() };
+    const state = { source: "execute", query: "SELECT 1", keyset: ["id"], after: [10], actor: "a" };
+
+    const next = await advanceCursor(env, state, { rows: [{ id: 11 }, { id: 12 }], hasMore: true, after: [12] });
+    expect((await loadCursorState(env, next, "a")).after).toEqual([12]);
+    expect(await advanceCursor(env, state, { rows: [1], hasMore: false })).toBeNull();
+  });
+});
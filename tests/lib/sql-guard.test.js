@@ -0,0 +1,227 @@
+import { describe, it, expect, vi } from "vitest";
+import {
+  classifySql,
+  grantedSqlLevel,
+  missingSqlScope,
+  resolveSqlLimits,
+  executeGuarded,
+  recordSqlAudit,
+  SqlRejectedError,
+} from "../../src/lib/sql-guard.js";
+
+describe("classifySql", () => {
+  it.each([
+    ["SELECT * FROM users", "read"],
+    ["  (select 1)", "read"],
+    ["WITH t AS (SELECT 1) SELECT * FROM t", "read"],
+    ["EXPLAIN SELECT 1", "read"],
+    ["SHOW search_path", "read"],
+    ["INSERT INTO t VALUES (1)", "write"],
+    ["update t set a = 1", "write"],
+    ["WITH d AS (DELETE FROM t RETURNING *) SELECT * FROM d", "write"],
+    ["SELECT * FROM t FOR UPDATE", "write"],
+    ["EXPLAIN ANALYZE DELETE FROM t", "write"],
+    ["EXPLAIN (ANALYZE, BUFFERS) UPDATE t SET a = 1", "write"],
+    ["DROP TABLE users", "ddl"],
+    ["truncate audit_log", "ddl"],
+    ["SELECT * INTO backup FROM users", "ddl"],
+    ["DO $$ BEGIN EXECUTE 'DROP TABLE x'; END $$", "ddl"],
+    ["SET ROLE postgres", "ddl"],
+  ])("classifies %s as %s", (sql, kind) => {
+    expect(classifySql(sql).kind).toBe(kind);
+  });
+
+  it("ignores keywords inside strings, identifiers and comments", () => {
+    expect(classifySql("SELECT 'DROP TABLE x; DELETE' AS note").kind).toBe("read");
+    expect(classifySql('SELECT "update" FROM t').kind).toBe("read");
+    expect(classifySql("SELECT 1 -- DELETE FROM t").kind).toBe("read");
+    expect(classifySql("SELECT /* ; INSERT */ 1").statementCount).toBe(1);
+  });
+
+  it("sees the statement boundaries Postgres sees", () => {
+    const smuggled = classifySql("SELECT '--', 1; COMMIT; DROP TABLE users; SELECT '\\n'");
+    expect(smuggled.statementCount).toBe(4);
+    expect(smuggled.kind).toBe("ddl");
+
+    // Backslash escapes only apply in E'' strings
+    expect(classifySql("SELECT E'it\\'s; DROP TABLE x'").statementCount).toBe(1);
+    expect(classifySql("SELECT 'a\\'; DROP TABLE x; --'")).toMatchObject({ statementCount: 2, kind: "ddl" });
+    // a$b$ is an identifier, not a dollar quote
+    expect(classifySql("SELECT a$b$ FROM t; DROP TABLE t; SELECT $b$ x").statementCount).toBe(3);
+    expect(classifySql("SELECT $tag$ ; DROP $tag$, $1").statementCount).toBe(1);
+    expect(classifySql("SELECT /* /* nested */ ; */ 1").statementCount).toBe(1);
+  });
+
+  it("treats unterminated quotes and comments as ddl", () => {
+    expect(classifySql("SELECT 'open").kind).toBe("ddl");
+    expect(classifySql("SELECT $x$ open").kind).toBe("ddl");
+    expect(classifySql("SELECT 1 /* open").explainable).toBe(false);
+  });
+
+  it.each([
+    "SELECT pg_terminate_backend(123)",
+    "SELECT pg_catalog.pg_cancel_backend (123)",
+    'SELECT "pg_terminate_backend" /* gap */ (123)',
+    "SELECT set_config('role', 'postgres', false)",
+    "SELECT lo_import('/etc/passwd')",
+    "SELECT * FROM dblink('host=evil', 'SELECT 1') AS t(a int)",
+  ])("denies read scope for the admin function in %s", (sql) => {
+    const result = classifySql(sql);
+    expect(result.kind).toBe("ddl");
+    expect(missingSqlScope({ scopes: ["sql:read"] }, result.kind)).toBe("sql:ddl");
+  });
+
+  it("counts statements and takes the most privileged kind", () => {
+    const result = classifySql("SELECT 1; DROP TABLE users;");
+    expect(result.statementCount).toBe(2);
+    expect(result.kind).toBe("ddl");
+    expect(result.keyword).toBe("DROP");
+    expect(result.explainable).toBe(false);
+  });
+
+  it("marks single DML and queries as explainable", () => {
+    expect(classifySql("SELECT 1").explainable).toBe(true);
+    expect(classifySql("DELETE FROM t").explainable).toBe(true);
+    expect(classifySql("SHOW x").explainable).toBe(false);
+  });
+});
+
+describe("scopes", () => {
+  it("treats keys without sql scopes as read-only", () => {
+    expect(grantedSqlLevel({ scopes: ["mcp:read"] })).toBe("read");
+    expect(missingSqlScope({}, "write")).toBe("sql:write");
+  });
+
+  it("is hierarchical and honours admin", () => {
+    expect(missingSqlScope({ scopes: ["sql:write"] }, "read")).toBeNull();
+    expect(missingSqlScope({ scopes: ["sql:write"] }, "ddl")).toBe("sql:ddl");
+    expect(missingSqlScope({ scopes: ["sql:ddl"] }, "write")).toBeNull();
+    expect(missingSqlScope({ scopes: ["admin"] }, "ddl")).toBeNull();
+  });
+});
+
+describe("resolveSqlLimits", () => {
+  it("lets env and key set limits but requests only tighten them", () => {
+    const limits = resolveSqlLimits(
+      { SQL_MAX_ROWS: "500" },
+      { sqlLimits: { maxCost: 10 } },
+      { maxRows: 5000, timeoutMs: 2000 },
+    );
+    expect(limits).toEqual({ maxRows: 500, timeoutMs: 2000, maxCost: 10 });
+  });
+});
+
+function fakeClient({ cost = 10, rows = [] } = {}) {
+  const calls = [];
+  const prepared = [];
+  return {
+    calls,
+    prepared,
+    query: vi.fn(async (arg) => {
+      const sql = typeof arg === "string" ? arg : arg.text.trim().replace(/\s+/g, " ");
+      if (typeof arg !== "string") prepared.push(arg);
+      calls.push(sql);
+      if (sql.startsWith("EXPLAIN")) {
+        return { rows: [{ "QUERY PLAN": [{ Plan: { "Total Cost": cost } }] }] };
+      }
+      return { rows, rowCount: rows.length };
+    }),
+  };
+}
+
+describe("executeGuarded", () => {
+  const limits = { maxRows: 2, timeoutMs: 5000, maxCost: 100 };
+
+  it("runs reads in a read-only transaction with a statement timeout", async () => {
+    const client = fakeClient({ rows: [{ a: 1 }, { a: 2 }, { a: 3 }] });
+    const out = await executeGuarded(client, {
+      query: "SELECT a FROM t",
+      classification: classifySql("SELECT a FROM t"),
+      limits,
+    });
+    expect(client.calls).toEqual([
+      "BEGIN READ ONLY",
+      "SET LOCAL statement_timeout = 5000",
+      "EXPLAIN (FORMAT JSON) SELECT a FROM t",
+      "SELECT a FROM t",
+      "COMMIT",
+    ]);
+    expect(out.rows).toHaveLength(2);
+    expect(out.truncated).toBe(true);
+    expect(out.planCost).toBe(10);
+  });
+
+  it("sends caller SQL as named prepared statements, even without params", async () => {
+    const client = fakeClient();
+    await executeGuarded(client, { query: "SELECT 1", classification: classifySql("SELECT 1"), limits });
+
+    expect(client.prepared).toHaveLength(2);
+    for (const query of client.prepared) {
+      expect(query.name).toMatch(/^chitty_sql_\d+$/);
+      expect(query.values).toEqual([]);
+    }
+    expect(client.prepared[0].name).not.toBe(client.prepared[1].name);
+  });
+
+  it("refuses anything but exactly one statement before touching the database", async () => {
+    const query = "SELECT '--', 1; COMMIT; DROP TABLE users; SELECT '\\n'";
+    const client = fakeClient();
+    await expect(
+      executeGuarded(client, { query, classification: classifySql(query), limits }),
+    ).rejects.toMatchObject({ name: "SqlRejectedError", type: "sql_multiple_statements" });
+    expect(client.calls).toEqual([]);
+  });
+
+  it("rejects statements above the cost ceiling and rolls back", async () => {
+    const client = fakeClient({ cost: 5000 });
+    await expect(
+      executeGuarded(client, {
+        query: "SELECT * FROM huge",
+        classification: classifySql("SELECT * FROM huge"),
+        limits,
+      }),
+    ).rejects.toBeInstanceOf(SqlRejectedError);
+    expect(client.calls).not.toContain("SELECT * FROM huge");
+    expect(client.calls.at(-1)).toBe("ROLLBACK");
+  });
+
+  it("runs ddl outside a transaction", async () => {
+    const client = fakeClient();
+    await executeGuarded(client, {
+      query: "VACUUM t",
+      classification: classifySql("VACUUM t"),
+      limits,
+    });
+    expect(client.calls).toEqual(["SET statement_timeout = 5000", "VACUUM t"]);
+  });
+});
+
+describe("recordSqlAudit", () => {
+  it("stores a hash and the statement but never the params", async () => {
+    const bind = vi.fn().mockReturnValue({ run: vi.fn().mockResolvedValue({}) });
+    const env = { DB: { prepare: vi.fn(() => ({ bind })) } };
+
+    await recordSqlAudit(env, {
+      actor: "svc",
+      database: "chittyos-core",
+      query: "SELECT $1",
+      paramCount: 1,
+      kind: "read",
+      outcome: "executed",
+      rowCount: 1,
+    });
+
+    const params = bind.mock.calls[0];
+    expect(params[0]).toMatch(/^sqa_/);
+    expect(params.slice(1, 5)).toEqual(["svc", "chittyos-core", "read", "sql:read"]);
+    expect(params[5]).toMatch(/^[0-9a-f]{64}$/);
+    expect(params[7]).toBe(1);
+  });
+
+  it("swallows audit failures", async () => {
+    const env = { DB: { prepare: vi.fn(() => { throw new Error("no table"); }) } };
+    await expect(
+      recordSqlAudit(env, { database: "x", query: "SELECT 1", kind: "read", outcome: "executed" }),
+    ).resolves.toBeUndefined();
+  });
+});
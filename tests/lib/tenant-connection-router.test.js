@@ -58,6 +58,40 @@ describe("resolveDataLayer", () => {
 });
 
 describe("queryTenantDb", () => {
+  function platformDb(row) {
+    const calls = [];
+    return {
+      calls,
+      prepare: (sql) => ({
+        bind: (...args) => {
+          calls.push({ sql, args });
+          return { first: async () => row, run: async () => ({ meta: { changes: 1 } }) };
+        },
+      }),
+    };
+  }
+
+  it("refuses suspended tenants before connecting", async () => {
+    const env = { DB: platformDb({ status: "suspended", suspended_reason: null }) };
+    await expect(
+      queryTenantDb(env, "tenant-1", "SELECT 1", []),
+    ).rejects.toMatchObject({ code: "TENANT_SUSPENDED", status: 403 });
+    expect(mockConnect).not.toHaveBeenCalled();
+  });
+
+  it("refuses writes when a hard storage quota is exhausted", async () => {
+    const env = {
+      DB: platformDb({ status: "active", enforcement: "hard", max_storage_bytes: 10, storage_bytes: 10 }),
+    };
+    await expect(
+      queryTenantDb(env, "tenant-1", "INSERT INTO t VALUES (1)", []),
+    ).rejects.toMatchObject({ code: "TENANT_QUOTA_EXCEEDED" });
+    // Reads still reach the connection lookup
+    await expect(
+      queryTenantDb(env, "tenant-1", "SELECT 1", []),
+    ).rejects.toThrow("has no connection string");
+  });
+
   it("throws when tenantId provided but has no connection string", async () => {
     const env = { NEON_DATABASE_URL: "postgresql://platform-db" };
     await expect(
@@ -1,7 +1,10 @@
 import { describe, it, expect, vi, beforeEach } from "vitest";
 import {
   runTenantMigrations,
+  migrateTenantSchema,
+  planTenantMigrations,
   TENANT_MIGRATIONS,
+  LATEST_TENANT_VERSION,
 } from "../../src/lib/tenant-migrations.js";
 
 const mockConnect = vi.fn();
@@ -103,3 +106,73 @@ describe("runTenantMigrations", () => {
     expect(mockEnd).toHaveBeenCalled();
   });
 });
+
+describe("planTenantMigrations", () => {
+  it("plans missing versions up to the target in order", () => {
+    const plan = planTenantMigrations([1], LATEST_TENANT_VERSION);
+    expect(plan.from).toBe(1);
+    expect(plan.steps.map((s) => [s.version, s.direction])).toEqual([[2, "up"]]);
+    expect(planTenantMigrations([1, 2]).steps).toEqual([]);
+  });
+
+  it("plans down-migrations newest first without touching the version table", () => {
+    const plan = planTenantMigrations([1, 2], 0);
+    expect(plan.steps.map((s) => [s.version, s.direction])).toEqual([
+      [2, "down"],
+      [1, "down"],
+    ]);
+    for (const migration of TENANT_MIGRATIONS) {
+      expect(migration.down).not.toContain("_tenant_schema_version");
+    }
+  });
+
+  it("rejects targets outside the known versions", () => {
+    expect(() => planTenantMigrations([], LATEST_TENANT_VERSION + 1)).toThrow(/targetVersion/);
+    expect(() => planTenantMigrations([], -1)).toThrow(/targetVersion/);
+  });
+});
+
+describe("migrateTenantSchema", () => {
+  it("returns the plan without running it on a dry run", async () => {
+    mockQuery
+      .mockResolvedValueOnce({})
+      .mockResolvedValueOnce({ rows: [{ version: 1 }] });
+
+    const result = await migrateTenantSchema("postgresql://test", { dryRun: true });
+
+    expect(result).toMatchObject({ from: 1, to: LATEST_TENANT_VERSION, version: 1, applied: 0 });
+    expect(result.steps[0].sql).toContain("client_documents");
+    expect(mockQuery).toHaveBeenCalledTimes(2);
+  });
+
+  it("removes the version row when migrating down", async () => {
+    mockQuery
+      .mockResolvedValueOnce({})
+      .mockResolvedValueOnce({ rows: [{ version: 1 }, { version: 2 }] })
+      .mockResolvedValue({});
+
+    const result = await migrateTenantSchema("postgresql://test", { targetVersion: 1 });
+
+    expect(result).toMatchObject({ from: 2, version: 1, applied: 1 });
+    expect(mockQuery).toHaveBeenCalledWith("DELETE FROM _tenant_schema_version WHERE version = $1", [2]);
+  });
+
+  it("reports the version reached when a step fails", async () => {
+    mockQuery
+      .mockResolvedValueOnce({})
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({}) // BEGIN
+      .mockResolvedValueOnce({}) // migration 1
+      .mockResolvedValueOnce({}) // INSERT version 1
+      .mockResolvedValueOnce({}) // COMMIT
+      .mockResolvedValueOnce({}) // BEGIN
+      .mockRejectedValueOnce(new Error("permission denied"))
+      .mockResolvedValue({});
+
+    await expect(migrateTenantSchema("postgresql://test")).rejects.toMatchObject({
+      message: "Tenant migration 002_client_data failed: permission denied",
+      version: 1,
+      applied: 1,
+    });
+  });
+});
@@ -1,5 +1,10 @@
 import { describe, it, expect, vi, beforeEach } from "vitest";
-import { resolveTrustLevel, TRUST_LEVELS } from "../../src/lib/trust-resolver.js";
+import {
+  resolveTrustLevel,
+  reconcileLocalTrust,
+  TRUST_LEVELS,
+  LOCAL_TRUST_CEILING,
+} from "../../src/lib/trust-resolver.js";
 
 const mockFetch = vi.fn();
 vi.stubGlobal("fetch", mockFetch);
@@ -8,9 +13,51 @@ const mockEnv = {
   CREDENTIAL_CACHE: {
     get: vi.fn(),
     put: vi.fn(),
+    delete: vi.fn(),
+    list: vi.fn(),
   },
 };
 
+const NOW = Math.floor(Date.now() / 1000);
+
+// D1 fake holding an established, well-behaved entity's local history.
+function historyDB({ profile, dna, ledger } = {}) {
+  const rows = {
+    experience_profiles: profile !== undefined ? profile : {
+      chitty_id: "01-P-USA-1234-P-2601-A-X",
+      total_interactions: 1000,
+      success_rate: 0.95,
+      risk_score: 5,
+      anomaly_count: 0,
+      first_seen: NOW - 365 * 86400,
+      newest_interaction: new Date((NOW - 3600) * 1000).toISOString().replace("T", " ").slice(0, 19),
+    },
+    context_dna: dna !== undefined ? dna : {
+      behavioral_traits: JSON.stringify({ volatile: 0.1, compliant: 0.9, trustAligned: 0.9 }),
+      red_flag_count: 0,
+      anomaly_count: 0,
+      success_rate: 0.95,
+    },
+    context_ledger: ledger ?? {
+      entries: 1000,
+      signed: 1000,
+      anomalies: 0,
+      first_at: NOW - 365 * 86400,
+      last_at: NOW - 60,
+    },
+  };
+  return {
+    prepare: (sql) => ({
+      bind: () => ({
+        first: async () => {
+          const table = Object.keys(rows).find((t) => sql.includes(`FROM ${t}`));
+          return rows[table] ?? null;
+        },
+      }),
+    }),
+  };
+}
+
 beforeEach(() => {
   vi.clearAllMocks();
 });
@@ -45,7 +92,14 @@ describe("resolveTrustLevel", () => {
     // ChittyID segment 4 = "A" (Authority entity type)
     const result = await resolveTrustLevel("01-A-USA-5678-A-2601-B-X", mockEnv);
     // deriveTrustLevel: floor((0.9+0.8+0.7)/3 * 5) = floor(0.8 * 5) = floor(4.0) = 4
-    expect(result).toEqual({ trust_level: 4, entity_type: "A", ty: 0.9, vy: 0.8, ry: 0.7 });
+    expect(result).toEqual({
+      trust_level: 4,
+      entity_type: "A",
+      ty: 0.9,
+      vy: 0.8,
+      ry: 0.7,
+      source: "chittyscore",
+    });
     expect(mockFetch).toHaveBeenCalledWith(
       "https://score.chitty.cc/v1/reckon/01-A-USA-5678-A-2601-B-X",
       expect.objectContaining({
@@ -68,4 +122,125 @@ describe("resolveTrustLevel", () => {
     const result = await resolveTrustLevel("bad-id", mockEnv);
     expect(result).toEqual({ trust_level: 0, entity_type: "P", ty: 0, vy: 0, ry: 0 });
   });
+
+  it("scores locally when ChittyScore is unreachable and caps the level", async () => {
+    mockEnv.CREDENTIAL_CACHE.get.mockResolvedValue(null);
+    mockFetch.mockRejectedValue(new Error("network down"));
+    const env = { ...mockEnv, DB: historyDB() };
+
+    const result = await resolveTrustLevel("01-P-USA-1234-P-2601-A-X", env);
+
+    expect(result.source).toBe("local");
+    expect(result.ty).toBeGreaterThan(0.9);
+    expect(result.vy).toBeGreaterThan(0.8);
+    expect(result.ry).toBeGreaterThan(0.8);
+    // Composite would derive 4+, but local scoring never exceeds the ceiling
+    expect(result.trust_level).toBe(LOCAL_TRUST_CEILING);
+    expect(result.signals.ledger_entries).toBe(1000);
+    expect(mockEnv.CREDENTIAL_CACHE.put).toHaveBeenCalledWith(
+      "trust:01-P-USA-1234-P-2601-A-X",
+      expect.any(String),
+      { expirationTtl: 60 },
+    );
+    expect(mockEnv.CREDENTIAL_CACHE.put).toHaveBeenCalledWith(
+      "trust:local:01-P-USA-1234-P-2601-A-X",
+      expect.any(String),
+      { expirationTtl: 86400 },
+    );
+  });
+
+  it("scores locally when ChittyScore hangs past the timeout", async () => {
+    mockEnv.CREDENTIAL_CACHE.get.mockResolvedValue(null);
+    const timeout = vi
+      .spyOn(AbortSignal, "timeout")
+      .mockImplementation(() => AbortSignal.abort(new DOMException("timed out", "TimeoutError")));
+    // Never answers; only the abort signal ends the request
+    mockFetch.mockImplementation(
+      (_url, init) =>
+        new Promise((_resolve, reject) => {
+          if (init.signal.aborted) reject(init.signal.reason);
+          init.signal.addEventListener("abort", () => reject(init.signal.reason));
+        }),
+    );
+    const env = { ...mockEnv, DB: historyDB() };
+
+    try {
+      const result = await resolveTrustLevel("01-P-USA-1234-P-2601-A-X", env);
+      expect(timeout).toHaveBeenCalledWith(5000);
+      expect(result.source).toBe("local");
+      expect(result.trust_level).toBe(LOCAL_TRUST_CEILING);
+    } finally {
+      timeout.mockRestore();
+    }
+  });
+
+  it("does not score locally when ChittyScore rejects the entity", async () => {
+    mockEnv.CREDENTIAL_CACHE.get.mockResolvedValue(null);
+    mockFetch.mockResolvedValue({ ok: false, status: 404 });
+    const env = { ...mockEnv, DB: historyDB() };
+
+    const result = await resolveTrustLevel("01-P-USA-1234-P-2601-A-X", env);
+
+    expect(result).toEqual({ trust_level: 0, entity_type: "P", ty: 0, vy: 0, ry: 0 });
+    expect(mockEnv.CREDENTIAL_CACHE.put).not.toHaveBeenCalled();
+  });
+
+  it("falls back to ANONYMOUS when there is no local history either", async () => {
+    mockEnv.CREDENTIAL_CACHE.get.mockResolvedValue(null);
+    mockFetch.mockResolvedValue({ ok: false, status: 503 });
+    const env = {
+      ...mockEnv,
+      DB: historyDB({ profile: null, dna: null, ledger: { entries: 0 } }),
+    };
+
+    const result = await resolveTrustLevel("01-P-USA-9999-P-2601-A-X", env);
+
+    expect(result).toEqual({ trust_level: 0, entity_type: "P", ty: 0, vy: 0, ry: 0 });
+  });
+
+  it("reconciles a pending local score when ChittyScore answers", async () => {
+    const id = "01-P-USA-1234-P-2601-A-X";
+    mockEnv.CREDENTIAL_CACHE.get.mockImplementation(async (key) =>
+      key === `trust:local:${id}`
+        ? JSON.stringify({ trust_level: 3, ty: 0.7, vy: 0.7, ry: 0.7, source: "local", computed_at: "2026-10-19T00:00:00.000Z" })
+        : null,
+    );
+    mockFetch.mockResolvedValue({ ok: true, json: async () => ({ ty: 0.5, vy: 0.5, ry: 0.5 }) });
+    const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+
+    const result = await resolveTrustLevel(id, mockEnv);
+
+    expect(result.source).toBe("chittyscore");
+    expect(result.trust_level).toBe(2);
+    expect(result.reconciled).toEqual({
+      local_trust_level: 3,
+      local_computed_at: "2026-10-19T00:00:00.000Z",
+      drift: { trust_level: -1, ty: -0.2, vy: -0.2, ry: -0.2 },
+    });
+    expect(mockEnv.CREDENTIAL_CACHE.delete).toHaveBeenCalledWith(`trust:local:${id}`);
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining("differs from local 3"));
+    warn.mockRestore();
+  });
+});
+
+describe("reconcileLocalTrust", () => {
+  it("re-resolves pending entities past the cache", async () => {
+    mockEnv.CREDENTIAL_CACHE.list.mockResolvedValue({
+      keys: [{ name: "trust:local:01-P-USA-1234-P-2601-A-X" }, { name: "trust:local:01-P-USA-5678-P-2601-A-X" }],
+    });
+    // A stale local result sits in the main cache; refresh must skip it
+    mockEnv.CREDENTIAL_CACHE.get.mockImplementation(async (key) =>
+      key.startsWith("trust:local:") ? null : JSON.stringify({ trust_level: 3, source: "local" }),
+    );
+    mockFetch
+      .mockResolvedValueOnce({ ok: true, json: async () => ({ ty: 0.6, vy: 0.6, ry: 0.6 }) })
+      .mockResolvedValueOnce({ ok: false, status: 503 });
+
+    const sweep = await reconcileLocalTrust(mockEnv);
+
+    expect(mockEnv.CREDENTIAL_CACHE.list).toHaveBeenCalledWith({ prefix: "trust:local:", limit: 50 });
+    expect(mockFetch).toHaveBeenCalledTimes(2);
+    // The second entity has no DB to score from, so it stays unresolved
+    expect(sweep).toEqual({ checked: 2, reconciled: 1, pending: 1 });
+  });
 });
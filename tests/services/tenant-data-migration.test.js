@@ -27,10 +27,11 @@ function createMockEnv() {
       prepare: vi.fn().mockReturnValue({
         bind: vi.fn().mockReturnValue({
           first: vi.fn().mockResolvedValue(null),
-          run: vi.fn().mockResolvedValue({ success: true }),
+          run: vi.fn().mockResolvedValue({ success: true, meta: { changes: 1 } }),
           all: vi.fn().mockResolvedValue({ results: [] }),
         }),
       }),
+      batch: vi.fn(async (stmts) => stmts.map(() => ({ success: true, meta: { changes: 1 } }))),
     },
     TENANT_CONNECTIONS: {
       get: vi.fn().mockResolvedValue(null),
@@ -357,3 +358,259 @@ describe("TenantDataMigration", () => {
     });
   });
 });
+
+describe("TenantDataMigration checkpoints", () => {
+  const CHECKPOINT_COLUMNS = [
+    "status", "phase", "cursor_offset", "provisioned", "documents", "custody_logs", "families",
+    "financial_records", "verification", "last_error", "started_at", "updated_at", "completed_at",
+    "locked_by", "locked_until",
+  ];
+
+  // D1 with one tenant_data_migrations row, its recorded rows, and an already-provisioned tenant
+  function createCheckpointEnv(checkpoint, recorded = []) {
+    const saves = [];
+    const updates = [];
+    const rows = recorded.map(([table_name, row_id]) => ({ table_name, row_id }));
+    let row = checkpoint ? { client_id: "client-a", provisioned: 0, ...checkpoint } : null;
+
+    function execute(sql, args) {
+      if (sql.includes("INSERT INTO tenant_data_migrations")) {
+        row ??= { client_id: args[0], status: "running", phase: "documents", provisioned: 0 };
+      } else if (sql.includes("SET locked_by = ?")) {
+        const [lockedBy, lockedUntil, , , now] = args;
+        if (row.locked_until && row.locked_until >= now) return { meta: { changes: 0 } };
+        Object.assign(row, { locked_by: lockedBy, locked_until: lockedUntil });
+      } else if (sql.includes("SET locked_by = NULL")) {
+        if (row.locked_by === args[1]) Object.assign(row, { locked_by: null, locked_until: null });
+      } else if (sql.includes("SET status = ?, phase = ?")) {
+        if (row.locked_by !== args.at(-1)) return { meta: { changes: 0 } };
+        Object.assign(row, Object.fromEntries(CHECKPOINT_COLUMNS.map((col, i) => [col, args[i]])));
+        saves.push({ ...row });
+      } else if (sql.includes("UPDATE tenant_data_migrations")) {
+        updates.push(args);
+      } else if (sql.includes("INSERT OR IGNORE INTO tenant_data_migration_rows")) {
+        rows.push({ table_name: args[1], row_id: args[2] });
+      } else if (sql.includes("DELETE FROM tenant_data_migration_rows")) {
+        const [, table, ...ids] = args;
+        for (let i = rows.length - 1; i >= 0; i--) {
+          if (rows[i].table_name === table && ids.includes(rows[i].row_id)) rows.splice(i, 1);
+        }
+      }
+      return { meta: { changes: 1 } };
+    }
+
+    const prepare = (sql) => {
+      const stmt = { args: [] };
+      stmt.bind = (...args) => ((stmt.args = args), stmt);
+      stmt.run = async () => execute(sql, stmt.args);
+      stmt.first = async () => {
+        if (sql.includes("FROM tenant_data_migrations")) return row;
+        if (sql.includes("FROM tenant_projects")) return { tenant_id: "client-a", status: "active" };
+        return null;
+      };
+      stmt.all = async () => {
+        if (!sql.includes("FROM tenant_data_migration_rows")) return { results: [] };
+        const [, table, limit] = stmt.args;
+        return { results: rows.filter((r) => r.table_name === table).slice(0, limit) };
+      };
+      return stmt;
+    };
+    const batch = async (stmts) => Promise.all(stmts.map((stmt) => stmt.run()));
+    return { env: { CHITTY_EVIDENCE_TOKEN: "t", DB: { prepare, batch } }, saves, updates, rows, row: () => row };
+  }
+
+  // Evidence DB answers by query instead of call order
+  function routeEvidence(handler) {
+    mockFetch.mockImplementation(async (url, options) => {
+      const { sql, params } = JSON.parse(options.body);
+      return { ok: true, status: 200, json: async () => ({ results: handler(sql, params) || [] }) };
+    });
+  }
+
+  const sourceDocs = [
+    { id: "doc-1", content_hash: "h1" },
+    { id: "doc-2", content_hash: "h2" },
+  ];
+  function evidence(sql, params) {
+    if (sql.includes("COUNT(*)")) {
+      if (sql.includes("evidence_chain_of_custody")) return [{ cnt: 51 }];
+      if (sql.includes("financial_records") || sql.includes("families")) return [{ cnt: 0 }];
+      return [{ cnt: 2 }];
+    }
+    if (sql.includes("SELECT id, content_hash")) return sourceDocs;
+    if (sql.includes("FROM evidence_chain_of_custody") && params[2] === 50) {
+      return [{ id: "custody-51", document_id: "doc-1", custodian: "pipeline", created_at: "2026-01-02" }];
+    }
+    return [];
+  }
+
+  async function tenantDb(tenantRows) {
+    const { queryTenantDb } = await import("../../src/lib/tenant-connection-router.js");
+    queryTenantDb.mockImplementation(async (env, tenantId, sql) => {
+      if (sql.includes("WITH deleted")) return { rows: [{ cnt: 3 }] };
+      if (sql.includes("content_hash")) return { rows: tenantRows };
+      if (sql.includes("evidence_custody_log")) return { rows: [{ cnt: 51 }] };
+      if (sql.includes("COUNT(*)::int AS cnt FROM evidence_documents")) return { rows: [{ cnt: tenantRows.length }] };
+      return { rows: [{ cnt: 0 }] };
+    });
+    return queryTenantDb;
+  }
+
+  it("resumes an interrupted client from its saved phase and offset, then verifies", async () => {
+    const { env, saves } = createCheckpointEnv({
+      status: "failed",
+      phase: "custodyLogs",
+      cursor_offset: 50,
+      documents: 2,
+      custody_logs: 50,
+      started_at: "2026-01-01T00:00:00Z",
+    });
+    routeEvidence(evidence);
+    await tenantDb(sourceDocs);
+
+    const result = await new TenantDataMigration(env).execute({ clientId: "client-a" });
+
+    expect(result.clients[0]).toMatchObject({
+      resumedFrom: { phase: "custodyLogs", offset: 50 },
+      documents: 2,
+      custodyLogs: 51,
+      status: "verified",
+      error: null,
+    });
+    // Documents were not copied again
+    const copies = mockFetch.mock.calls.map(([, o]) => JSON.parse(o.body).sql);
+    expect(copies.some((sql) => sql.includes("r2_key"))).toBe(false);
+    expect(saves.find((s) => s.phase === "custodyLogs" && s.cursor_offset === 51)).toBeDefined();
+    expect(saves.at(-1)).toMatchObject({
+      status: "verified",
+      phase: "done",
+      custody_logs: 51,
+      started_at: "2026-01-01T00:00:00Z",
+    });
+  });
+
+  it("skips verified clients unless restarted", async () => {
+    const { env } = createCheckpointEnv({ status: "verified", phase: "done", documents: 2 });
+    routeEvidence(evidence);
+
+    const result = await new TenantDataMigration(env).execute({ clientId: "client-a" });
+
+    expect(result.clients[0]).toMatchObject({ skipped: true, documents: 2 });
+    expect(result.totals.skipped).toBe(1);
+    expect(mockFetch).not.toHaveBeenCalled();
+  });
+
+  it("reports missing rows and content_hash mismatches", async () => {
+    const { env, updates } = createCheckpointEnv({ status: "verified", phase: "done" });
+    routeEvidence(evidence);
+    await tenantDb([{ id: "doc-1", content_hash: "tampered" }]);
+
+    const verification = await new TenantDataMigration(env).verify("client-a");
+
+    expect(verification).toMatchObject({
+      ok: false,
+      missingDocuments: ["doc-2"],
+      hashMismatches: [{ id: "doc-1", source: "h1", tenant: "tampered" }],
+    });
+    expect(verification.counts.documents).toEqual({ source: 2, tenant: 1, match: false });
+    expect(verification.counts.custodyLogs.match).toBe(true);
+    expect(updates[0][0]).toBe("verify_failed");
+  });
+
+  it("rolls back only the rows the migration recorded inserting, children first", async () => {
+    const { env, saves, rows } = createCheckpointEnv({ status: "failed", phase: "families", documents: 3 }, [
+      ["evidence_documents", "doc-1"],
+      ["evidence_custody_log", "custody-1"],
+      ["document_families", "fam-1"],
+      ["financial_records", "fin-1"],
+    ]);
+    const queryTenantDb = await tenantDb([]);
+
+    const result = await new TenantDataMigration(env).rollback("client-a");
+
+    const deletes = queryTenantDb.mock.calls.map(([, , sql, params]) => [sql.match(/DELETE FROM (\w+)/)[1], params[0]]);
+    expect(deletes).toEqual([
+      ["financial_records", ["fin-1"]],
+      ["document_families", ["fam-1"]],
+      ["evidence_custody_log", ["custody-1"]],
+      ["evidence_documents", ["doc-1"]],
+    ]);
+    expect(result).toEqual({
+      clientId: "client-a",
+      deprovisioned: false,
+      deleted: { documents: 3, custodyLogs: 3, families: 3, financialRecords: 3 },
+    });
+    expect(rows).toEqual([]);
+    expect(saves.at(-1)).toMatchObject({
+      status: "rolled_back",
+      phase: "documents",
+      cursor_offset: 0,
+      documents: 0,
+      locked_by: null,
+    });
+  });
+
+  it("records only ids the tenant did not already have", async () => {
+    const { env, rows } = createCheckpointEnv(null);
+    routeEvidence((sql, params) => {
+      if (sql.includes("r2_key")) {
+        return params.at(-1) === 0 ? [{ id: "doc-1" }, { id: "doc-2" }] : [];
+      }
+      return evidence(sql, params);
+    });
+    const queryTenantDb = await tenantDb(sourceDocs);
+    queryTenantDb.mockImplementation(async (env, tenantId, sql, params) => {
+      if (sql.includes("INSERT INTO evidence_documents")) return { rows: params[0] === "doc-2" ? [{ id: "doc-2" }] : [] };
+      if (sql.includes("RETURNING id")) return { rows: [] };
+      if (sql.includes("content_hash")) return { rows: sourceDocs };
+      return { rows: [{ cnt: 2 }] };
+    });
+
+    await new TenantDataMigration(env).execute({ clientId: "client-a" });
+
+    expect(queryTenantDb.mock.calls.find(([, , sql]) => sql.includes("INSERT INTO"))[2]).toContain("DO NOTHING");
+    expect(rows).toEqual([{ table_name: "evidence_documents", row_id: "doc-2" }]);
+  });
+
+  it("leases each client so runs and rollbacks cannot interleave", async () => {
+    const live = new Date(Date.now() + 60_000).toISOString();
+    const { env, saves, row } = createCheckpointEnv({
+      status: "running",
+      phase: "custodyLogs",
+      locked_by: "tdm_other",
+      locked_until: live,
+    });
+    routeEvidence(evidence);
+    const migration = new TenantDataMigration(env);
+
+    const result = await migration.execute({ clientId: "client-a" });
+    expect(result.clients[0].error).toContain("already running");
+    expect(mockFetch).not.toHaveBeenCalled();
+    await expect(migration.rollback("client-a")).rejects.toThrow("a run is in progress");
+    expect(saves).toEqual([]);
+
+    // A run that lost its lease stops at its next checkpoint
+    row().locked_until = new Date(Date.now() - 1000).toISOString();
+    await tenantDb(sourceDocs);
+    const stolen = env.DB.batch;
+    env.DB.batch = async (stmts) => {
+      Object.assign(row(), { locked_by: "tdm_other", locked_until: live });
+      env.DB.batch = stolen;
+      return stolen(stmts);
+    };
+    const lost = await migration.execute({ clientId: "client-a" });
+    expect(lost.clients[0].error).toContain("lost its lease");
+    expect(row().locked_by).toBe("tdm_other");
+  });
+
+  it("refuses to roll back verified or unknown migrations, or deprovision tenants it did not create", async () => {
+    const verified = new TenantDataMigration(createCheckpointEnv({ status: "verified" }).env);
+    await expect(verified.rollback("client-a")).rejects.toThrow("pass force");
+
+    const failed = new TenantDataMigration(createCheckpointEnv({ status: "failed" }).env);
+    await expect(failed.rollback("client-a", { deprovision: true })).rejects.toThrow("did not provision");
+
+    const none = new TenantDataMigration(createCheckpointEnv(null).env);
+    await expect(none.rollback("client-a")).rejects.toThrow("not found");
+  });
+});
@@ -0,0 +1,293 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { createHash } from "node:crypto";
+import * as jose from "jose";
+
+const mockQuery = vi.fn();
+vi.mock("@neondatabase/serverless", () => ({
+  Client: class MockClient {
+    connect = async () => {};
+    end = async () => {};
+    query = mockQuery;
+  },
+}));
+
+const mockGetRecord = vi.fn();
+const mockGetConnection = vi.fn();
+vi.mock("../../src/services/tenant-project-manager.js", () => ({
+  TenantProjectManager: class MockTPM {
+    constructor() {
+      this.getTenantRecord = mockGetRecord;
+      this.getTenantConnection = mockGetConnection;
+    }
+  },
+}));
+
+const { TenantExporter } = await import("../../src/services/tenant-export.js");
+const { decryptFile, generateAgeIdentity } = await import("../../src/lib/export-crypto.js");
+
+// Just enough of D1 for tenant_export_jobs and tenant_export_files.
+function createDB() {
+  const jobs = new Map();
+  const files = new Map();
+  const holds = (id, lease) => jobs.get(id)?.locked_until === lease;
+
+  function execute(sql, args) {
+    if (sql.includes("INSERT INTO tenant_export_jobs")) {
+      const [id, tenant_id, status, include_objects, recipient_key, recipient_thumbprint, prefix, requested_by, created_at] =
+        args;
+      jobs.set(id, { id, tenant_id, status, include_objects, recipient_key, recipient_thumbprint, prefix, requested_by, created_at, attempts: 0 });
+      return { meta: { changes: 1 } };
+    }
+    if (sql.includes("SET status = 'running'")) {
+      const [lockedUntil, startedAt, , id, maxAttempts, now] = args;
+      const job = jobs.get(id);
+      const claimable = job.status === "queued" || (job.status === "running" && job.locked_until < now);
+      if (!claimable || job.attempts >= maxAttempts) return { meta: { changes: 0 } };
+      Object.assign(job, { status: "running", attempts: job.attempts + 1, locked_until: lockedUntil, started_at: startedAt });
+      return { meta: { changes: 1 } };
+    }
+    if (sql.includes("INSERT OR REPLACE INTO tenant_export_files")) {
+      const [job_id, type, path, entry, , id, lease] = args;
+      if (!holds(id, lease)) return { meta: { changes: 0 } };
+      files.set(`${job_id}|${type}|${path}`, { job_id, entry });
+      return { meta: { changes: 1 } };
+    }
+    if (sql.includes("SET progress = ?")) {
+      const [progress, , id, lease] = args;
+      if (!holds(id, lease)) return { meta: { changes: 0 } };
+      jobs.get(id).progress = progress;
+      return { meta: { changes: 1 } };
+    }
+    if (sql.includes("SET status = 'completed'")) {
+      const [manifest_key, file_count, total_bytes, missing_objects, skipped_objects, completed_at, , id, lease] = args;
+      if (!holds(id, lease)) return { meta: { changes: 0 } };
+      Object.assign(jobs.get(id), {
+        status: "completed",
+        manifest_key,
+        file_count,
+        total_bytes,
+        missing_objects,
+        skipped_objects,
+        completed_at,
+        locked_until: null,
+      });
+      return { meta: { changes: 1 } };
+    }
+    if (sql.includes("SET status = 'queued', attempts = attempts - 1")) {
+      const [, id, lease] = args;
+      if (!holds(id, lease)) return { meta: { changes: 0 } };
+      const job = jobs.get(id);
+      Object.assign(job, { status: "queued", attempts: job.attempts - 1, locked_until: null });
+      return { meta: { changes: 1 } };
+    }
+    if (sql.includes("SET status = ?, error = ?")) {
+      const [status, error, , id, lease] = args;
+      if (!holds(id, lease)) return { meta: { changes: 0 } };
+      Object.assign(jobs.get(id), { status, error, locked_until: null });
+      return { meta: { changes: 1 } };
+    }
+    if (sql.includes("SELECT * FROM tenant_export_jobs WHERE id = ?")) return { ...jobs.get(args[0]) };
+    if (sql.includes("SELECT entry FROM tenant_export_files")) {
+      return { results: [...files.values()].filter((f) => f.job_id === args[0]).map(({ entry }) => ({ entry })) };
+    }
+    throw new Error(`unexpected SQL: ${sql}`);
+  }
+
+  const prepare = (sql) => {
+    const stmt = { args: [] };
+    stmt.bind = (...args) => ((stmt.args = args), stmt);
+    stmt.run = async () => execute(sql, stmt.args);
+    stmt.first = async () => execute(sql, stmt.args);
+    stmt.all = async () => execute(sql, stmt.args);
+    return stmt;
+  };
+  const batch = async (statements) => {
+    const results = [];
+    for (const stmt of statements) results.push(await stmt.run());
+    return results;
+  };
+  return { jobs, files, prepare, batch };
+}
+
+// In-memory R2: objects stored as bytes; multipart uploads concatenated on complete.
+function createBucket(initial = {}) {
+  const objects = new Map(Object.entries(initial).map(([k, v]) => [k, new TextEncoder().encode(v)]));
+  const toBytes = (v) => (typeof v === "string" ? new TextEncoder().encode(v) : new Uint8Array(v));
+  return {
+    objects,
+    put: vi.fn(async (key, value) => void objects.set(key, toBytes(value))),
+    get: vi.fn(async (key) => {
+      const bytes = objects.get(key);
+      if (!bytes) return null;
+      return { body: new Blob([bytes]).stream(), httpMetadata: { contentType: "application/pdf" } };
+    }),
+    createMultipartUpload: vi.fn(async (key) => {
+      const parts = [];
+      return {
+        uploadPart: async (partNumber, bytes) => (parts.push(toBytes(bytes)), { partNumber }),
+        complete: async () => objects.set(key, Buffer.concat(parts)),
+        abort: async () => {},
+      };
+    }),
+  };
+}
+
+const ROWS = {
+  evidence_documents: [
+    { id: "doc-1", title: "Lease", r2_key: "evidence/org-a/doc-1.pdf" },
+    { id: "doc-2", title: "Photo", r2_key: "evidence/org-a/doc-2.jpg" },
+    { id: "doc-3", title: "Planted", r2_key: "evidence/org-b/ledger.pdf" },
+    { id: "doc-4", title: "Traversal", r2_key: "evidence/org-a/../org-b/ledger.pdf" },
+  ],
+  evidence_custody_log: [{ id: "log-1", document_id: "doc-1", action: "uploaded" }],
+};
+
+let env;
+beforeEach(async () => {
+  vi.clearAllMocks();
+  const { privateKey } = await jose.generateKeyPair("EdDSA", { extractable: true });
+  env = {
+    DB: createDB(),
+    FILES: createBucket({ "evidence/org-a/doc-1.pdf": "%PDF-1.7 lease", "evidence/org-b/ledger.pdf": "%PDF-1.7 org-b" }),
+    EXPORT_SIGNING_JWK: JSON.stringify({ ...(await jose.exportJWK(privateKey)), kid: "export-test" }),
+  };
+  mockGetRecord.mockResolvedValue({ tenant_id: "org-a", status: "suspended", neon_project_id: "neon-a" });
+  mockGetConnection.mockResolvedValue("postgresql://org-a");
+  mockQuery.mockImplementation(async (sql, params) => {
+    if (sql.includes("information_schema.columns")) return { rows: [{ table_name: "evidence_documents" }] };
+    if (sql.includes("information_schema")) return { rows: Object.keys(ROWS).map((table_name) => ({ table_name })) };
+    const table = sql.match(/FROM (\w+)/)[1];
+    const rows = ROWS[table].filter((r) => r.id > params[0]);
+    if (!sql.includes("r2_key IS NOT NULL")) return { rows };
+    return { rows: rows.filter((r) => r.r2_key).map(({ id, r2_key }) => ({ id, r2_key })) };
+  });
+});
+
+const readJson = (key) => JSON.parse(new TextDecoder().decode(env.FILES.objects.get(key)));
+const sha256 = (bytes) => createHash("sha256").update(bytes).digest("hex");
+
+describe("TenantExporter", () => {
+  it("exports tables and the tenant's evidence objects with a signed, hashed manifest", async () => {
+    const exporter = new TenantExporter(env);
+    const queued = await exporter.createJob("org-a", { actor: "admin-1" });
+    expect(queued).toMatchObject({ status: "queued", encrypted: false, includeObjects: true, manifestUrl: null });
+
+    const job = await exporter.runJob(queued.id);
+
+    expect(job).toMatchObject({ status: "completed", fileCount: 3, missingObjects: 1, skippedObjects: 2, attempts: 1 });
+    const prefix = `exports/tenants/org-a/${queued.id}`;
+    expect(job.manifestUrl).toBe(`/api/v1/${prefix}/manifest.json`);
+
+    const manifest = readJson(`${prefix}/manifest.json`);
+    expect(manifest).toMatchObject({
+      format: "chitty-tenant-export/v1",
+      tenantId: "org-a",
+      encryption: null,
+      evidencePrefix: "evidence/org-a/",
+    });
+    expect(manifest.missingObjects).toEqual(["evidence/org-a/doc-2.jpg"]);
+    for (const file of manifest.files) {
+      expect(sha256(env.FILES.objects.get(`${prefix}/${file.path}`))).toBe(file.sha256);
+    }
+    const ndjson = new TextDecoder().decode(env.FILES.objects.get(`${prefix}/tables/evidence_documents/part-0000.ndjson`));
+    expect(ndjson.trim().split("\n").map(JSON.parse)).toEqual(ROWS.evidence_documents);
+    expect(manifest.files.find((f) => f.type === "object")).toMatchObject({ path: "objects/evidence/org-a/doc-1.pdf" });
+
+    const signed = readJson(`${prefix}/manifest.json.jws`);
+    expect(signed).toMatchObject({ kid: "export-test", sha256: sha256(env.FILES.objects.get(`${prefix}/manifest.json`)) });
+  });
+
+  it("never reads objects outside the tenant's evidence prefix", async () => {
+    const exporter = new TenantExporter(env);
+    const queued = await exporter.createJob("org-a");
+    await exporter.runJob(queued.id);
+
+    const manifest = readJson(`exports/tenants/org-a/${queued.id}/manifest.json`);
+    expect(manifest.skippedObjects).toEqual(["evidence/org-b/ledger.pdf", "evidence/org-a/../org-b/ledger.pdf"]);
+    expect(env.FILES.get.mock.calls.map(([key]) => key)).toEqual(["evidence/org-a/doc-1.pdf", "evidence/org-a/doc-2.jpg"]);
+  });
+
+  it("encrypts every file to the age recipient", async () => {
+    const age = await generateAgeIdentity();
+    const exporter = new TenantExporter(env);
+    const queued = await exporter.createJob("org-a", { recipientKey: age.recipient, includeObjects: false });
+    expect(queued).toMatchObject({ encrypted: true, recipient: age.recipient, includeObjects: false });
+
+    await exporter.runJob(queued.id);
+
+    const prefix = `exports/tenants/org-a/${queued.id}`;
+    const manifest = readJson(`${prefix}/manifest.json`);
+    expect(manifest.encryption).toMatchObject({ scheme: "age-encryption.org/v1", recipient: age.recipient });
+    expect(manifest.files.map((f) => f.path)).toEqual([
+      "tables/evidence_documents/part-0000.ndjson.age",
+      "tables/evidence_custody_log/part-0000.ndjson.age",
+    ]);
+    const file = manifest.files[1];
+    const ciphertext = env.FILES.objects.get(`${prefix}/${file.path}`);
+    expect(sha256(ciphertext)).toBe(file.sha256);
+    const plaintext = await decryptFile(ciphertext, age.identity);
+    expect(sha256(plaintext)).toBe(file.plaintextSha256);
+    expect(JSON.parse(new TextDecoder().decode(plaintext))).toEqual(ROWS.evidence_custody_log[0]);
+  });
+
+  it("saves progress when its time runs out and resumes there on the next run", async () => {
+    vi.useFakeTimers({ toFake: ["Date"] });
+    try {
+      const exporter = new TenantExporter(env);
+      const queued = await exporter.createJob("org-a");
+      const query = mockQuery.getMockImplementation();
+      mockQuery.mockImplementation(async (sql, params) => {
+        // The custody log is slow enough to use up the run's budget
+        if (sql.includes("FROM evidence_custody_log")) vi.setSystemTime(Date.now() + 60_000);
+        return query(sql, params);
+      });
+
+      const paused = await exporter.runJob(queued.id, { budgetMs: 30_000 });
+      expect(paused).toMatchObject({ status: "queued", attempts: 0, progress: { phase: "objects", table: 0, after: "" } });
+      expect(env.DB.files.size).toBe(2);
+      expect(env.FILES.get).not.toHaveBeenCalled();
+
+      mockQuery.mockClear();
+      const job = await exporter.runJob(queued.id, { budgetMs: 30_000 });
+      expect(job).toMatchObject({ status: "completed", fileCount: 3, attempts: 1 });
+      // Tables finished in the first run are not read again
+      expect(mockQuery.mock.calls.some(([sql]) => sql.includes("SELECT * FROM"))).toBe(false);
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it("refuses jobs it cannot run and requeues failed runs", async () => {
+    await expect(new TenantExporter({ ...env, EXPORT_SIGNING_JWK: undefined }).createJob("org-a")).rejects.toThrow(
+      "signing key is not configured",
+    );
+    await expect(new TenantExporter(env).createJob("org-a", { recipientKey: "not-a-key" })).rejects.toThrow("recipientKey");
+
+    const exporter = new TenantExporter(env);
+    const queued = await exporter.createJob("org-a");
+    mockGetConnection.mockRejectedValueOnce(new Error("Neon unavailable"));
+
+    const failed = await exporter.runJob(queued.id);
+    expect(failed).toMatchObject({ status: "queued", error: "Neon unavailable", attempts: 1 });
+
+    // A live lease is not taken twice
+    env.DB.jobs.get(queued.id).status = "running";
+    env.DB.jobs.get(queued.id).locked_until = new Date(Date.now() + 60_000).toISOString();
+    expect(await exporter.runJob(queued.id)).toBeNull();
+  });
+
+  it("stops writing once another run has taken the lease", async () => {
+    const exporter = new TenantExporter(env);
+    const queued = await exporter.createJob("org-a");
+    const query = mockQuery.getMockImplementation();
+    mockQuery.mockImplementation(async (sql, params) => {
+      if (sql.includes("FROM evidence_custody_log")) env.DB.jobs.get(queued.id).locked_until = "2099-01-01T00:00:00.000Z";
+      return query(sql, params);
+    });
+
+    await exporter.runJob(queued.id);
+
+    expect([...env.DB.files.keys()]).toEqual([expect.stringContaining("evidence_documents")]);
+    expect(env.DB.jobs.get(queued.id).status).toBe("running");
+  });
+});
@@ -0,0 +1,143 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+
+const mockGetRecord = vi.fn();
+const mockGetNeonProject = vi.fn();
+const mockListTenants = vi.fn();
+vi.mock("../../src/services/tenant-project-manager.js", () => ({
+  TenantProjectManager: class MockTPM {
+    constructor() {
+      this.getTenantRecord = mockGetRecord;
+      this.getNeonProject = mockGetNeonProject;
+      this.listTenants = mockListTenants;
+    }
+  },
+}));
+
+const { TenantMetering, TenantAccessError, quotaOverages, isWriteQuery, usagePeriod } = await import(
+  "../../src/services/tenant-metering.js"
+);
+
+function createEnv(firstRow = null, allRows = []) {
+  const calls = [];
+  return {
+    calls,
+    DB: {
+      prepare: vi.fn((sql) => ({
+        bind: (...args) => {
+          calls.push({ sql, args });
+          return {
+            first: async () => firstRow,
+            all: async () => ({ results: allRows }),
+            run: async () => ({ meta: { changes: 1 } }),
+          };
+        },
+      })),
+    },
+  };
+}
+
+beforeEach(() => {
+  vi.clearAllMocks();
+});
+
+describe("quota helpers", () => {
+  it("reports metrics at or over their limit, ignoring unlimited ones", () => {
+    const quota = { max_storage_bytes: 1000, max_queries: 10, max_compute_seconds: null };
+    expect(quotaOverages(quota, { storage_bytes: 500, query_count: 10, compute_seconds: 99999 })).toEqual([
+      { metric: "queries", used: 10, limit: 10 },
+    ]);
+    expect(quotaOverages(null, { query_count: 10 })).toEqual([]);
+  });
+
+  it("classifies writes and periods", () => {
+    expect(isWriteQuery("  insert into t values (1)")).toBe(true);
+    expect(isWriteQuery("SELECT * FROM updates")).toBe(false);
+    expect(isWriteQuery("SELECT 'insert into t' AS example")).toBe(false);
+    // Writes a leading-keyword match misses
+    for (const sql of [
+      "WITH moved AS (DELETE FROM a RETURNING *) INSERT INTO b SELECT * FROM moved",
+      "/* note */ INSERT INTO t VALUES (1)",
+      "(INSERT INTO t VALUES (1))",
+      "SELECT * INTO archive FROM t",
+      "EXPLAIN ANALYZE UPDATE t SET x = 1",
+      "MERGE INTO t USING s ON t.id = s.id WHEN MATCHED THEN DELETE",
+      "SELECT 1; INSERT INTO t VALUES (1)",
+      "VACUUM FULL t",
+      "SELECT 'unterminated",
+    ]) {
+      expect(isWriteQuery(sql), sql).toBe(true);
+    }
+    expect(usagePeriod(new Date("2026-10-31T23:59:59Z"))).toBe("2026-10");
+  });
+});
+
+describe("TenantMetering.checkAccess", () => {
+  const row = (overrides) => ({
+    status: "active",
+    enforcement: "hard",
+    max_storage_bytes: 1000,
+    max_queries: 100,
+    max_compute_seconds: null,
+    query_count: 5,
+    storage_bytes: 2000,
+    ...overrides,
+  });
+
+  it("refuses suspended tenants with the reason", async () => {
+    const metering = new TenantMetering(createEnv(row({ status: "suspended", suspended_reason: "Unpaid invoice" })));
+    const err = await metering.checkAccess("org-a").catch((e) => e);
+    expect(err).toBeInstanceOf(TenantAccessError);
+    expect(err).toMatchObject({ code: "TENANT_SUSPENDED", status: 403, message: "Tenant org-a is suspended: Unpaid invoice" });
+  });
+
+  it("blocks writes but not reads when only storage is over a hard quota", async () => {
+    const metering = new TenantMetering(createEnv(row()));
+    await expect(metering.checkAccess("org-a")).resolves.toBeUndefined();
+    await expect(metering.checkAccess("org-a", { write: true })).rejects.toMatchObject({
+      code: "TENANT_QUOTA_EXCEEDED",
+      status: 429,
+      overages: [{ metric: "storage", used: 2000, limit: 1000 }],
+    });
+  });
+
+  it("only reports soft quotas and checks the current period", async () => {
+    const env = createEnv(row({ enforcement: "soft", query_count: 500 }));
+    await expect(new TenantMetering(env).checkAccess("org-a", { write: true })).resolves.toBeUndefined();
+    expect(env.calls[0].args).toEqual([usagePeriod(), "org-a"]);
+  });
+});
+
+describe("TenantMetering usage", () => {
+  it("stores Neon storage and compute for the current period", async () => {
+    const env = createEnv();
+    mockGetNeonProject.mockResolvedValue({ synthetic_storage_size: 4096, compute_time_seconds: 360 });
+
+    const result = await new TenantMetering(env).syncUsage("org-a");
+
+    expect(result).toEqual({ tenantId: "org-a", period: usagePeriod(), storageBytes: 4096, computeSeconds: 360 });
+    expect(env.calls[0].sql).toContain("ON CONFLICT(tenant_id, period)");
+    expect(env.calls[0].args.slice(0, 4)).toEqual(["org-a", usagePeriod(), 4096, 360]);
+  });
+
+  it("builds the monthly report with totals and overages", async () => {
+    const env = createEnv(null, [
+      { tenant_id: "org-a", status: "active", query_count: 120, storage_bytes: 10, compute_seconds: 5, enforcement: "hard", max_queries: 100 },
+      { tenant_id: "org-b", status: "suspended", query_count: 3, storage_bytes: null, compute_seconds: null },
+    ]);
+
+    const report = await new TenantMetering(env).report("2026-09");
+
+    expect(env.calls[0].args).toEqual(["2026-09"]);
+    expect(report).toMatchObject({
+      period: "2026-09",
+      totals: { queries: 123, storageBytes: 10, computeSeconds: 5 },
+      overQuota: 1,
+    });
+    expect(report.tenants[0]).toMatchObject({
+      tenantId: "org-a",
+      quota: { maxQueries: 100, enforcement: "hard" },
+      overages: [{ metric: "queries", used: 120, limit: 100 }],
+    });
+    expect(report.tenants[1]).toMatchObject({ status: "suspended", quota: null, overages: [] });
+  });
+});
@@ -200,6 +200,49 @@ describe("TenantProjectManager", () => {
     });
   });
 
+  describe("suspendTenant / resumeTenant", () => {
+    function envWithTenant(record, changes = 1) {
+      const env = createMockEnv();
+      const run = vi.fn().mockResolvedValue({ meta: { changes } });
+      env.DB.prepare.mockReturnValue({
+        bind: vi.fn().mockReturnValue({
+          first: vi.fn().mockResolvedValue(record),
+          run,
+        }),
+      });
+      return { env, run };
+    }
+
+    it("suspends an active tenant and drops its cached connection", async () => {
+      const { env } = envWithTenant({ tenant_id: "tenant-abc", status: "active" });
+      const manager = new TenantProjectManager(env);
+
+      const result = await manager.suspendTenant("tenant-abc", {
+        reason: "Unpaid invoice",
+        actor: "admin-1",
+      });
+
+      expect(result).toMatchObject({ tenantId: "tenant-abc", status: "suspended", reason: "Unpaid invoice" });
+      expect(env.DB.prepare).toHaveBeenCalledWith(expect.stringContaining("WHERE tenant_id = ? AND status = 'active'"));
+      expect(env.TENANT_CONNECTIONS.delete).toHaveBeenCalledWith("tenant:tenant-abc");
+    });
+
+    it("refuses to suspend a tenant that is not active", async () => {
+      const { env } = envWithTenant({ tenant_id: "tenant-abc", status: "suspended" }, 0);
+      const manager = new TenantProjectManager(env);
+      await expect(manager.suspendTenant("tenant-abc")).rejects.toThrow("is not active");
+    });
+
+    it("resumes only suspended tenants", async () => {
+      const { env } = envWithTenant({ tenant_id: "tenant-abc", status: "suspended" });
+      const manager = new TenantProjectManager(env);
+      expect(await manager.resumeTenant("tenant-abc")).toEqual({ tenantId: "tenant-abc", status: "active" });
+
+      const { env: activeEnv } = envWithTenant({ tenant_id: "tenant-abc", status: "active" }, 0);
+      await expect(new TenantProjectManager(activeEnv).resumeTenant("tenant-abc")).rejects.toThrow("is not suspended");
+    });
+  });
+
   describe("exportTenant", () => {
     it("returns project metadata from Neon API", async () => {
       const env = createMockEnv();
@@ -233,6 +276,154 @@ describe("TenantProjectManager", () => {
     });
   });
 
+  describe("branches", () => {
+    const TENANT = { tenant_id: "tenant-abc", neon_project_id: "neon-proj-123", status: "active" };
+
+    function envWithBranches({ branch = null, expired = [] } = {}) {
+      const env = createMockEnv();
+      const inserts = [];
+      const updates = [];
+      env.DB.prepare.mockImplementation((sql) => ({
+        bind: (...args) => ({
+          first: async () => (sql.includes("FROM tenant_projects") ? TENANT : branch),
+          all: async () => ({ results: expired }),
+          run: async () => {
+            if (sql.includes("INSERT INTO tenant_branches")) inserts.push(args);
+            if (sql.includes("UPDATE tenant_branches")) updates.push({ sql, args });
+            return { meta: { changes: 1 } };
+          },
+        }),
+      }));
+      return { env, inserts, updates };
+    }
+
+    const neonOk = (body) => ({ ok: true, status: 200, json: async () => body });
+
+    it("branches at a timestamp and returns an expiring sandbox connection", async () => {
+      const { env, inserts } = envWithBranches();
+      mockFetch.mockResolvedValue(
+        neonOk({ branch: { id: "br-sandbox" }, connection_uris: [{ connection_uri: "postgresql://sandbox" }] }),
+      );
+
+      const branch = await new TenantProjectManager(env).createBranch("tenant-abc", {
+        timestamp: "2026-10-01T12:00:00Z",
+        ttlHours: 2,
+        actor: "admin-1",
+      });
+
+      const [url, options] = mockFetch.mock.calls[0];
+      expect(url).toBe("https://console.neon.tech/api/v2/projects/neon-proj-123/branches");
+      expect(JSON.parse(options.body)).toMatchObject({
+        branch: { parent_timestamp: "2026-10-01T12:00:00.000Z" },
+        endpoints: [{ type: "read_write" }],
+      });
+      expect(branch).toMatchObject({
+        neonBranchId: "br-sandbox",
+        kind: "sandbox",
+        status: "active",
+        connectionUri: "postgresql://sandbox",
+        createdBy: "admin-1",
+      });
+      expect(Date.parse(branch.expiresAt) - Date.now()).toBeGreaterThan(7000 * 1000);
+      expect(inserts).toHaveLength(1);
+    });
+
+    const SANDBOX = {
+      id: "tbr_1",
+      tenant_id: "tenant-abc",
+      neon_branch_id: "br-sandbox",
+      status: "active",
+      kind: "sandbox",
+      expires_at: new Date(Date.now() + 3600_000).toISOString(),
+    };
+
+    function neonWithBackup() {
+      mockFetch.mockImplementation(async (url, options = {}) => {
+        if (options.method === "POST") return neonOk({ branch: { id: "br-main" } });
+        const restoreBody = mockFetch.mock.calls.find(([, o]) => o?.method === "POST")?.[1].body;
+        const backupName = restoreBody && JSON.parse(restoreBody).preserve_under_name;
+        return neonOk({
+          branches: [
+            { id: "br-main", default: true },
+            { id: "br-sandbox", name: "sandbox-1" },
+            ...(backupName ? [{ id: "br-backup", name: backupName }] : []),
+          ],
+        });
+      });
+    }
+
+    it("restores the default branch from a sandbox and records the backup", async () => {
+      const { env, inserts, updates } = envWithBranches({ branch: SANDBOX });
+      neonWithBackup();
+
+      const result = await new TenantProjectManager(env).restoreBranch("tenant-abc", "tbr_1", { actor: "admin-1" });
+
+      const restore = mockFetch.mock.calls.find(([, o]) => o?.method === "POST");
+      expect(restore[0]).toBe("https://console.neon.tech/api/v2/projects/neon-proj-123/branches/br-main/restore");
+      expect(JSON.parse(restore[1].body)).toMatchObject({ source_branch_id: "br-sandbox" });
+      expect(updates[0].sql).toContain("status = 'promoted'");
+      expect(result.restoredFrom).toMatchObject({ id: "tbr_1", status: "promoted" });
+      expect(result.backup).toMatchObject({ neonBranchId: "br-backup", kind: "backup" });
+      expect(result).toMatchObject({ backupRecorded: true, backupError: null, backupName: result.backup.name });
+      expect(inserts).toHaveLength(1);
+    });
+
+    it("reports a backup it could not record instead of only logging it", async () => {
+      const { env } = envWithBranches({ branch: SANDBOX });
+      const prepare = env.DB.prepare.getMockImplementation();
+      env.DB.prepare.mockImplementation((sql) =>
+        sql.includes("INSERT INTO tenant_branches")
+          ? { bind: () => ({ run: async () => Promise.reject(new Error("D1 unavailable")) }) }
+          : prepare(sql),
+      );
+      neonWithBackup();
+
+      const result = await new TenantProjectManager(env).restoreBranch("tenant-abc", "tbr_1");
+
+      expect(result.restoredFrom).toMatchObject({ id: "tbr_1", status: "promoted" });
+      expect(result).toMatchObject({ backup: null, backupRecorded: false, backupError: "D1 unavailable" });
+      expect(result.backupName).toMatch(/^pre-restore-/);
+    });
+
+    it("refuses to restore from a branch past its expiry", async () => {
+      const { env } = envWithBranches({
+        branch: { ...SANDBOX, expires_at: new Date(Date.now() - 60_000).toISOString() },
+      });
+      await expect(new TenantProjectManager(env).restoreBranch("tenant-abc", "tbr_1")).rejects.toThrow(
+        "is not active (expired at",
+      );
+      expect(mockFetch).not.toHaveBeenCalled();
+    });
+
+    it("refuses to restore from a branch that is no longer active", async () => {
+      const { env } = envWithBranches({ branch: { id: "tbr_1", tenant_id: "tenant-abc", status: "expired" } });
+      await expect(new TenantProjectManager(env).restoreBranch("tenant-abc", "tbr_1")).rejects.toThrow(
+        "is not active",
+      );
+      expect(mockFetch).not.toHaveBeenCalled();
+    });
+
+    it("deletes expired branches, treating ones Neon already dropped as deleted", async () => {
+      const { env, updates } = envWithBranches({
+        expired: [
+          { id: "tbr_1", tenant_id: "tenant-abc", neon_branch_id: "br-1", neon_project_id: "neon-proj-123" },
+          { id: "tbr_2", tenant_id: "tenant-abc", neon_branch_id: "br-2", neon_project_id: "neon-proj-123" },
+          { id: "tbr_3", tenant_id: "tenant-abc", neon_branch_id: "br-3", neon_project_id: "neon-proj-123" },
+        ],
+      });
+      mockFetch
+        .mockResolvedValueOnce({ ok: true, status: 204 })
+        .mockResolvedValueOnce({ ok: false, status: 404, statusText: "Not Found", text: async () => "" })
+        .mockResolvedValueOnce({ ok: false, status: 500, statusText: "Server Error", text: async () => "" });
+
+      const sweep = await new TenantProjectManager(env).cleanupExpiredBranches();
+
+      expect(sweep).toEqual({ deleted: 2, failed: 1 });
+      expect(updates.map((u) => u.args.at(-1))).toEqual(["tbr_1", "tbr_2"]);
+      expect(updates[0].args[0]).toBe("expired");
+    });
+  });
+
   describe("listTenants", () => {
     it("returns paginated tenant list", async () => {
       const env = createMockEnv();
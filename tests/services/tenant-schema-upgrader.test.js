@@ -0,0 +1,153 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+
+const mockMigrate = vi.fn();
+vi.mock("../../src/lib/tenant-migrations.js", () => ({
+  migrateTenantSchema: (...args) => mockMigrate(...args),
+  LATEST_TENANT_VERSION: 2,
+}));
+
+const mockListTenants = vi.fn();
+const mockGetRecord = vi.fn();
+const mockGetConnection = vi.fn();
+vi.mock("../../src/services/tenant-project-manager.js", () => ({
+  TenantProjectManager: class MockTPM {
+    constructor() {
+      this.listTenants = mockListTenants;
+      this.getTenantRecord = mockGetRecord;
+      this.getTenantConnection = mockGetConnection;
+    }
+  },
+}));
+
+const { TenantSchemaUpgrader } = await import("../../src/services/tenant-schema-upgrader.js");
+
+// Just enough of D1 for tenant_schema_versions.
+function createDB(initial = []) {
+  const rows = new Map(initial.map((r) => [r.tenant_id, { ...r }]));
+
+  function execute(sql, args) {
+    if (sql.includes("INSERT INTO tenant_schema_versions")) {
+      if (!rows.has(args[0])) rows.set(args[0], { tenant_id: args[0], version: null, state: "idle" });
+      return { meta: { changes: 1 } };
+    }
+    if (sql.includes("SET state = 'migrating'")) {
+      const [runId, lockedUntil, , tenantId, now] = args;
+      const row = rows.get(tenantId);
+      if (row.locked_until && row.locked_until >= now) return { meta: { changes: 0 } };
+      Object.assign(row, { state: "migrating", locked_by: runId, locked_until: lockedUntil });
+      return { meta: { changes: 1 } };
+    }
+    if (sql.includes("SET version = COALESCE(?, version)")) {
+      const [version, state, error, lastRunAt, , tenantId, runId] = args;
+      const row = rows.get(tenantId);
+      if (row.locked_by !== runId) return { meta: { changes: 0 } };
+      Object.assign(row, {
+        version: version ?? row.version,
+        state,
+        last_error: error,
+        last_run_at: lastRunAt,
+        locked_by: null,
+        locked_until: null,
+      });
+      return { meta: { changes: 1 } };
+    }
+    if (sql.includes("SELECT * FROM tenant_schema_versions")) return { results: [...rows.values()] };
+    throw new Error(`unexpected SQL: ${sql}`);
+  }
+
+  const prepare = (sql) => {
+    const stmt = { args: [] };
+    stmt.bind = (...args) => ((stmt.args = args), stmt);
+    stmt.run = async () => execute(sql, stmt.args);
+    stmt.all = async () => execute(sql, stmt.args);
+    return stmt;
+  };
+  return { rows, prepare };
+}
+
+const TENANTS = [{ tenant_id: "org-a" }, { tenant_id: "org-b" }, { tenant_id: "org-c" }];
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  mockListTenants.mockResolvedValue({ tenants: TENANTS, total: TENANTS.length });
+  mockGetConnection.mockImplementation(async (id) => `postgresql://${id}`);
+});
+
+describe("TenantSchemaUpgrader", () => {
+  it("upgrades every active tenant, skipping locked ones and continuing past failures", async () => {
+    const future = new Date(Date.now() + 60_000).toISOString();
+    const env = {
+      DB: createDB([{ tenant_id: "org-c", version: 1, state: "migrating", locked_by: "tsu_other", locked_until: future }]),
+    };
+    mockMigrate.mockImplementation(async (uri) => {
+      if (uri === "postgresql://org-b") {
+        throw Object.assign(new Error("Tenant migration 002_client_data failed: timeout"), { version: 1 });
+      }
+      return { from: 1, to: 2, version: 2, applied: 1, steps: [{ version: 2, name: "002_client_data", direction: "up", sql: "…" }] };
+    });
+
+    const result = await new TenantSchemaUpgrader(env).apply();
+
+    expect(result.summary).toEqual({ migrated: 1, failed: 1, locked: 1 });
+    expect(result.tenants[0]).toEqual({
+      tenantId: "org-a",
+      status: "migrated",
+      from: 1,
+      version: 2,
+      steps: [{ version: 2, name: "002_client_data", direction: "up" }],
+    });
+    expect(mockListTenants).toHaveBeenCalledWith({ status: "active", limit: 100, offset: 0 });
+    expect(mockMigrate).toHaveBeenCalledTimes(2);
+
+    expect(env.DB.rows.get("org-a")).toMatchObject({ version: 2, state: "idle", locked_by: null });
+    expect(env.DB.rows.get("org-b")).toMatchObject({ version: 1, state: "failed", last_error: expect.stringContaining("timeout") });
+    // The other run keeps its lease
+    expect(env.DB.rows.get("org-c")).toMatchObject({ locked_by: "tsu_other" });
+  });
+
+  it("returns per-tenant diffs on a dry run without taking leases", async () => {
+    const env = { DB: createDB() };
+    mockGetRecord.mockResolvedValue({ tenant_id: "org-a", status: "active" });
+    mockMigrate.mockResolvedValue({
+      from: 2,
+      to: 1,
+      version: 2,
+      applied: 0,
+      steps: [{ version: 2, name: "002_client_data", direction: "down", sql: "DROP TABLE IF EXISTS financial_records;" }],
+    });
+
+    const result = await new TenantSchemaUpgrader(env).apply({ tenantId: "org-a", targetVersion: 1, dryRun: true });
+
+    expect(result).toMatchObject({ mode: "dry-run", targetVersion: 1, summary: { pending: 1 } });
+    expect(result.tenants[0].steps[0].sql).toContain("DROP TABLE");
+    expect(mockMigrate).toHaveBeenCalledWith("postgresql://org-a", { targetVersion: 1, dryRun: true });
+    expect(env.DB.rows.size).toBe(0);
+  });
+
+  it("refuses unknown and deprovisioned tenants", async () => {
+    const upgrader = new TenantSchemaUpgrader({ DB: createDB() });
+    mockGetRecord.mockResolvedValueOnce(null);
+    await expect(upgrader.apply({ tenantId: "org-x" })).rejects.toThrow("not found");
+    mockGetRecord.mockResolvedValueOnce({ tenant_id: "org-x", status: "deprovisioned" });
+    await expect(upgrader.apply({ tenantId: "org-x" })).rejects.toThrow("deprovisioned");
+  });
+
+  it("reports which tenants are on which version", async () => {
+    const env = {
+      DB: createDB([
+        { tenant_id: "org-a", version: 2, state: "idle" },
+        { tenant_id: "org-b", version: 1, state: "failed", last_error: "timeout" },
+      ]),
+    };
+
+    const report = await new TenantSchemaUpgrader(env).status();
+
+    expect(report).toMatchObject({ latestVersion: 2, total: 3, behind: 2, byVersion: { 2: 1, 1: 1, unknown: 1 } });
+    expect(report.tenants.map((t) => [t.tenantId, t.version, t.behind])).toEqual([
+      ["org-a", 2, false],
+      ["org-b", 1, true],
+      ["org-c", null, true],
+    ]);
+    expect(report.tenants[1]).toMatchObject({ state: "failed", lastError: "timeout", locked: false });
+  });
+});
@@ -3,18 +3,30 @@ import { useDashboardStore } from '../stores/dashboardStore';
 import { formatDistanceToNow } from 'date-fns';
 
 export default function Approvals() {
-  const { approvals, fetchApprovals, approveRequest, denyRequest } = useDashboardStore();
+  const {
+    approvals,
+    fetchApprovals,
+    approveRequest,
+    denyRequest,
+    gitConfirmations,
+    fetchGitConfirmations,
+  } = useDashboardStore();
   const [statusFilter, setStatusFilter] = useState('pending');
   const [selectedApproval, setSelectedApproval] = useState(null);
   const [showModal, setShowModal] = useState(false);
   const [modalAction, setModalAction] = useState(null);
   const [formData, setFormData] = useState({ notes: '', reason: '' });
   const [processing, setProcessing] = useState(false);
+  const [gitFilters, setGitFilters] = useState({ repo_path: '', ref: '', caller: '' });
 
   useEffect(() => {
     fetchApprovals(statusFilter);
   }, [statusFilter, fetchApprovals]);
 
+  useEffect(() => {
+    fetchGitConfirmations(gitFilters);
+  }, [gitFilters, fetchGitConfirmations]);
+
   const handleAction = (approval, action) => {
     setSelectedApproval(approval);
     setModalAction(action);
@@ -38,7 +50,7 @@ export default function Approvals() {
     <>
       <header className="page-header">
         <h1 className="page-title">Access Approvals</h1>
-        <p className="page-subtitle">Review and manage access requests from context entities</p>
+        <p className="page-subtitle">Review access requests from context entities, held git confirmations and prompt versions</p>
       </header>
 
       <div className="page-content">
@@ -78,7 +90,11 @@ export default function Approvals() {
                       <tr key={approval.id}>
                         <td>
                           <div style={{ fontFamily: 'monospace', fontSize: '12px' }}>
-                            {approval.context_chitty_id?.slice(0, 20)}...
+                            {approval.context_chitty_id
+                              ? `${approval.context_chitty_id.slice(0, 20)}...`
+                              : approval.payload.type === 'prompt_version'
+                                ? `${approval.payload.prompt_id} v${approval.payload.version}`
+                                : approval.payload.ref}
                           </div>
                         </td>
                         <td>
@@ -88,9 +104,13 @@ export default function Approvals() {
                         </td>
                         <td>{approval.project_path?.split('/').pop() || 'Unknown'}</td>
                         <td>
-                          <span className={`trust-badge level-${approval.trust_level}`}>
-                            L{approval.trust_level}
-                          </span>
+                          {approval.trust_level != null ? (
+                            <span className={`trust-badge level-${approval.trust_level}`}>
+                              L{approval.trust_level}
+                            </span>
+                          ) : (
+                            <span style={{ color: 'var(--text-muted)' }}>—</span>
+                          )}
                         </td>
                         <td>
                           {formatDistanceToNow(new Date(approval.timestamp), { addSuffix: true })}
@@ -167,6 +187,78 @@ export default function Approvals() {
             </div>
           </div>
         </div>
+
+        {/* Git Confirmation Audit Trail */}
+        <div className="card" style={{ marginTop: '24px' }}>
+          <div className="card-header">
+            <h3 className="card-title">Git Confirmations</h3>
+          </div>
+          <div className="card-body">
+            <div className="filters-bar">
+              {[
+                ['repo_path', 'Repository path'],
+                ['ref', 'Ref'],
+                ['caller', 'Caller'],
+              ].map(([key, placeholder]) => (
+                <input
+                  key={key}
+                  className="form-input"
+                  style={{ maxWidth: '240px' }}
+                  placeholder={placeholder}
+                  defaultValue={gitFilters[key]}
+                  onBlur={(e) => setGitFilters({ ...gitFilters, [key]: e.target.value.trim() })}
+                />
+              ))}
+            </div>
+            {gitConfirmations.length > 0 ? (
+              <div className="table-container">
+                <table className="table">
+                  <thead>
+                    <tr>
+                      <th>Intent</th>
+                      <th>Repository</th>
+                      <th>Ref</th>
+                      <th>Caller</th>
+                      <th>Reason</th>
+                      <th>Issued</th>
+                      <th>Status</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {gitConfirmations.map(confirmation => (
+                      <tr key={confirmation.id}>
+                        <td>
+                          <span className="entity-tag">{confirmation.intent}</span>
+                        </td>
+                        <td>{confirmation.repo_path.split('/').pop()}</td>
+                        <td style={{ fontFamily: 'monospace', fontSize: '12px' }}>
+                          {confirmation.remote ? `${confirmation.remote} ` : ''}{confirmation.ref}
+                        </td>
+                        <td>{confirmation.caller || confirmation.issuer_fingerprint}</td>
+                        <td>{confirmation.reason || '—'}</td>
+                        <td>
+                          {formatDistanceToNow(new Date(confirmation.issued_at), { addSuffix: true })}
+                        </td>
+                        <td>
+                          <span className={`status-badge ${confirmation.status}`}>
+                            {confirmation.status}
+                          </span>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            ) : (
+              <div className="empty-state">
+                <div className="empty-state-title">No git confirmations</div>
+                <div className="empty-state-message">
+                  Tokens issued by /api/git/confirm appear here
+                </div>
+              </div>
+            )}
+          </div>
+        </div>
       </div>
 
       {/* Action Modal */}
@@ -181,12 +273,51 @@ export default function Approvals() {
             </div>
             <div className="modal-body">
               <div style={{ background: 'var(--bg-tertiary)', padding: '16px', borderRadius: '8px', marginBottom: '20px' }}>
-                <div style={{ fontSize: '12px', color: 'var(--text-muted)', marginBottom: '4px' }}>Context</div>
-                <div style={{ fontFamily: 'monospace', fontSize: '13px' }}>
-                  {selectedApproval.context_chitty_id}
-                </div>
+                {selectedApproval.payload.type === 'git_confirmation' ? (
+                  <>
+                    <div style={{ fontSize: '12px', color: 'var(--text-muted)', marginBottom: '4px' }}>Git Operation</div>
+                    <div style={{ fontFamily: 'monospace', fontSize: '13px' }}>
+                      {selectedApproval.payload.intent} {selectedApproval.payload.remote || ''} {selectedApproval.payload.ref}
+                    </div>
+                    {selectedApproval.payload.reason && (
+                      <>
+                        <div style={{ fontSize: '12px', color: 'var(--text-muted)', marginTop: '12px', marginBottom: '4px' }}>
+                          Reason
+                        </div>
+                        <div>{selectedApproval.payload.reason}</div>
+                      </>
+                    )}
+                  </>
+                ) : selectedApproval.payload.type === 'prompt_version' ? (
+                  <>
+                    <div style={{ fontSize: '12px', color: 'var(--text-muted)', marginBottom: '4px' }}>Prompt Version</div>
+                    <div style={{ fontFamily: 'monospace', fontSize: '13px' }}>
+                      {selectedApproval.payload.prompt_id} v{selectedApproval.payload.version}
+                      {selectedApproval.payload.author ? ` by ${selectedApproval.payload.author}` : ''}
+                    </div>
+                    {selectedApproval.payload.changelog && (
+                      <>
+                        <div style={{ fontSize: '12px', color: 'var(--text-muted)', marginTop: '12px', marginBottom: '4px' }}>
+                          Changelog
+                        </div>
+                        <div>{selectedApproval.payload.changelog}</div>
+                      </>
+                    )}
+                  </>
+                ) : (
+                  <>
+                    <div style={{ fontSize: '12px', color: 'var(--text-muted)', marginBottom: '4px' }}>Context</div>
+                    <div style={{ fontFamily: 'monospace', fontSize: '13px' }}>
+                      {selectedApproval.context_chitty_id}
+                    </div>
+                  </>
+                )}
                 <div style={{ fontSize: '12px', color: 'var(--text-muted)', marginTop: '12px', marginBottom: '4px' }}>
-                  Project
+                  {selectedApproval.payload.type === 'git_confirmation'
+                    ? 'Repository'
+                    : selectedApproval.payload.type === 'prompt_version'
+                      ? 'Domain'
+                      : 'Project'}
                 </div>
                 <div>{selectedApproval.project_path}</div>
                 {selectedApproval.payload.requested_trust_level && (
@@ -19,6 +19,7 @@ export const useDashboardStore = create((set, get) => ({
   selectedContext: null,
   stats: null,
   approvals: [],
+  gitConfirmations: [],
   teamCandidates: [],
   loading: false,
   error: null,
@@ -112,6 +113,25 @@ export const useDashboardStore = create((set, get) => ({
     }
   },
 
+  // Fetch git confirmation audit trail
+  fetchGitConfirmations: async (filters = {}) => {
+    try {
+      const params = new URLSearchParams(
+        Object.entries(filters).filter(([, v]) => v),
+      );
+      const response = await authFetch(
+        `${API_BASE}/api/dashboard/git-confirmations?${params}`,
+      );
+      const data = await response.json();
+
+      if (data.success) {
+        set({ gitConfirmations: data.data.confirmations });
+      }
+    } catch (err) {
+      console.error("Failed to fetch git confirmations:", err);
+    }
+  },
+
   // Approve request
   approveRequest: async (approvalId, approverChittyId, notes) => {
     try {